@@ -5,180 +5,1799 @@
 (function($) {
     'use strict';
 
+    // Invoice status polling in the order meta box
+    var STATUS_POLL_INTERVAL = 30000; // 30 seconds between automatic checks
+    var STATUS_POLL_MAX_ATTEMPTS = 20; // Give up after ~10 minutes on the page
+    var statusPollTimer = null;
+    var statusPollAttempts = 0;
+
+    // Bulk invoice generation progress on the orders list
+    var BULK_GENERATE_POLL_INTERVAL = 5000; // 5 seconds between progress checks
+    var bulkGeneratePollTimer = null;
+
+    // Invoice number preview on the settings page
+    var NUMBERING_PREVIEW_DELAY = 400; // Wait for typing to pause before asking the server
+    var numberingPreviewTimer = null;
+    var numberingPreviewRequest = null;
+
+    // Invoice list filtering, sorting and paging over AJAX
+    var invoiceListRequest = null;
+
+    // Per-section saving on the settings page: stored values of each section
+    // by field name, compared with the form to find unsaved changes
+    var settingsBaselines = {};
+    var settingsFormSubmitting = false;
+
+    // Retry queue page: reloaded periodically so cron retries show up
+    var RETRY_QUEUE_POLL_INTERVAL = 15000; // 15 seconds between reloads
+    var retryQueuePollTimer = null;
+    var retryQueueActions = 0; // Retries running; reloads wait until they finish
+
+    /**
+     * Handle bulk PDF downloads on list page
+     */
+    function handleBulkDownload() {
+        var $panel = $('#b2brouter-bulk-download');
+
+        if (!$panel.length || !b2brouterAdmin.bulk_download) {
+            return;
+        }
+
+        // Drop the job from the URL so a reload does not restart it
+        window.history.replaceState({}, document.title, window.location.pathname + '?page=b2brouter-invoices');
+
+        updateBulkDownloadProgress($panel, b2brouterAdmin.bulk_download);
+        processBulkDownloadChunk($panel, b2brouterAdmin.bulk_download.job_id);
+    }
+
+    /**
+     * Ask the server to add the next chunk of invoices to the ZIP archive
+     */
+    function processBulkDownloadChunk($panel, jobId) {
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_bulk_download_process',
+                nonce: b2brouterAdmin.nonce,
+                job_id: jobId
+            },
+            success: function(response) {
+                if (!response.success) {
+                    finishBulkDownload($panel, 'notice-error', response.data.message);
+                    return;
+                }
+
+                updateBulkDownloadProgress($panel, response.data);
+
+                if (!response.data.complete) {
+                    processBulkDownloadChunk($panel, jobId);
+                } else if (response.data.added > 0) {
+                    finishBulkDownload($panel, response.data.failures.length ? 'notice-warning' : 'notice-success', b2brouterAdmin.strings.bulk_ready);
+                    downloadJobFile('b2brouter_bulk_download_archive', jobId);
+                } else {
+                    finishBulkDownload($panel, 'notice-error', b2brouterAdmin.strings.bulk_empty);
+                }
+            },
+            error: function() {
+                finishBulkDownload($panel, 'notice-error', b2brouterAdmin.strings.error);
+            }
+        });
+    }
+
+    /**
+     * Render job progress and per-invoice failures into the panel
+     *
+     * Shared by the ZIP download and the register export, which differ only in
+     * the progress message.
+     */
+    function updateBulkDownloadProgress($panel, job, progressText) {
+        var percent = job.total ? Math.round((job.processed / job.total) * 100) : 100;
+
+        $panel.find('.b2brouter-progress').attr('aria-valuenow', percent);
+        $panel.find('.b2brouter-progress-bar').css('width', percent + '%');
+        $panel.find('.b2brouter-bulk-download-message').text(
+            (progressText || b2brouterAdmin.strings.bulk_progress).replace('%1$d', job.processed).replace('%2$d', job.total)
+        );
+
+        var $failures = $panel.find('.b2brouter-bulk-download-failures').empty();
+
+        if (!job.failures.length) {
+            $failures.prop('hidden', true);
+            return;
+        }
+
+        $failures.append($('<li>').addClass('b2brouter-bulk-download-failures-heading').text(b2brouterAdmin.strings.bulk_failures));
+        $.each(job.failures, function(i, failure) {
+            $failures.append(
+                $('<li>').text(b2brouterAdmin.strings.bulk_order.replace('%s', failure.order_number) + ': ' + failure.message)
+            );
+        });
+        $failures.prop('hidden', false);
+    }
+
+    /**
+     * Switch the panel to its final state
+     */
+    function finishBulkDownload($panel, noticeClass, message) {
+        $panel
+            .removeClass('notice-info')
+            .addClass(noticeClass + ' is-complete');
+        $panel.find('.b2brouter-bulk-download-message').text(message);
+    }
+
+    /**
+     * Download the finished file of a chunked job (ZIP archive or register export)
+     */
+    function downloadJobFile(action, jobId) {
+        var form = $('<form>', {
+            method: 'POST',
+            action: b2brouterAdmin.ajax_url,
+            target: '_self'
+        });
+
+        form.append($('<input>', {
+            name: 'action',
+            value: action,
+            type: 'hidden'
+        }));
+
+        form.append($('<input>', {
+            name: 'nonce',
+            value: b2brouterAdmin.nonce,
+            type: 'hidden'
+        }));
+
+        form.append($('<input>', {
+            name: 'job_id',
+            value: jobId,
+            type: 'hidden'
+        }));
+
+        $('body').append(form);
+        form.submit();
+
+        setTimeout(function() {
+            form.remove();
+        }, 2000);
+    }
+
+    /**
+     * Handle invoice register exports on the list page
+     */
+    function handleInvoiceExport() {
+        var $panel = $('#b2brouter-invoice-export');
+
+        if (!$panel.length || !b2brouterAdmin.invoice_export) {
+            return;
+        }
+
+        // Drop the job from the URL so a reload does not restart it, but keep the filters
+        var url = new URL(window.location.href);
+        url.searchParams.delete('invoice_export_job');
+        url.searchParams.delete('invoice_export_count');
+        window.history.replaceState({}, document.title, url.pathname + url.search);
+
+        updateBulkDownloadProgress($panel, b2brouterAdmin.invoice_export, b2brouterAdmin.strings.export_progress);
+        processInvoiceExportChunk($panel, b2brouterAdmin.invoice_export.job_id);
+    }
+
+    /**
+     * Ask the server to export the next chunk of invoices
+     */
+    function processInvoiceExportChunk($panel, jobId) {
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_invoice_export_process',
+                nonce: b2brouterAdmin.nonce,
+                job_id: jobId
+            },
+            success: function(response) {
+                if (!response.success) {
+                    finishBulkDownload($panel, 'notice-error', response.data.message);
+                    return;
+                }
+
+                updateBulkDownloadProgress($panel, response.data, b2brouterAdmin.strings.export_progress);
+
+                if (!response.data.complete) {
+                    processInvoiceExportChunk($panel, jobId);
+                } else if (response.data.rows > 0) {
+                    finishBulkDownload($panel, response.data.failures.length ? 'notice-warning' : 'notice-success', b2brouterAdmin.strings.export_ready);
+                    downloadJobFile('b2brouter_invoice_export_file', jobId);
+                } else {
+                    finishBulkDownload($panel, 'notice-error', b2brouterAdmin.strings.export_empty);
+                }
+            },
+            error: function() {
+                finishBulkDownload($panel, 'notice-error', b2brouterAdmin.strings.error);
+            }
+        });
+    }
+
+    /**
+     * Open an invoice (or credit note) PDF in the modal viewer
+     */
+    function viewInvoicePdf($button) {
+        b2brouterPdfViewer.open({
+            url: b2brouterAdmin.ajax_url,
+            data: {
+                action: 'b2brouter_download_pdf',
+                nonce: b2brouterAdmin.nonce,
+                order_id: $button.data('order-id'),
+                download: 'view'
+            },
+            trigger: $button.get(0)
+        });
+    }
+
+    /**
+     * Handle the bulk invoice generation panel on the orders list
+     */
+    function handleBulkGenerate() {
+        var $panel = $('#b2brouter-bulk-generate');
+
+        if (!$panel.length) {
+            return;
+        }
+
+        $panel.on('click', '.b2brouter-bulk-generate-retry', function(e) {
+            e.preventDefault();
+            retryBulkGenerate($panel, $(this));
+        });
+
+        $panel.on('click', '.b2brouter-bulk-generate-dismiss', function(e) {
+            e.preventDefault();
+            dismissBulkGenerate($panel);
+        });
+
+        pollBulkGenerate($panel);
+    }
+
+    /**
+     * Fetch batch progress, polling again until every order is done
+     */
+    function pollBulkGenerate($panel) {
+        clearTimeout(bulkGeneratePollTimer);
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_bulk_generate_status',
+                nonce: b2brouterAdmin.nonce,
+                batch_id: $panel.data('batch-id')
+            },
+            success: function(response) {
+                if (!response.success) {
+                    $panel.removeClass('notice-info').addClass('notice-error is-complete');
+                    $panel.find('.b2brouter-bulk-generate-message').text(response.data.message);
+                    return;
+                }
+
+                updateBulkGenerateProgress($panel, response.data);
+
+                if (!response.data.complete) {
+                    bulkGeneratePollTimer = setTimeout(function() {
+                        pollBulkGenerate($panel);
+                    }, BULK_GENERATE_POLL_INTERVAL);
+                }
+            },
+            error: function() {
+                // A dropped request should not stop tracking the queue
+                bulkGeneratePollTimer = setTimeout(function() {
+                    pollBulkGenerate($panel);
+                }, BULK_GENERATE_POLL_INTERVAL);
+            }
+        });
+    }
+
+    /**
+     * Render batch progress and per-order results into the panel
+     */
+    function updateBulkGenerateProgress($panel, batch) {
+        var percent = batch.total ? Math.round((batch.processed / batch.total) * 100) : 100;
+        var noticeClass = 'notice-info';
+        var message = b2brouterAdmin.strings.bulk_generate_progress.replace('%1$d', batch.processed).replace('%2$d', batch.total);
+
+        if (batch.complete) {
+            noticeClass = batch.failed ? (batch.succeeded ? 'notice-warning' : 'notice-error') : 'notice-success';
+            message = b2brouterAdmin.strings.bulk_generate_done.replace('%1$d', batch.succeeded).replace('%2$d', batch.failed);
+        }
+
+        $panel
+            .removeClass('notice-info notice-success notice-warning notice-error')
+            .addClass(noticeClass)
+            .toggleClass('is-complete', batch.complete);
+        $panel.find('.b2brouter-progress').attr('aria-valuenow', percent);
+        $panel.find('.b2brouter-progress-bar').css('width', percent + '%');
+        $panel.find('.b2brouter-bulk-generate-message').text(message);
+        $panel.find('.b2brouter-bulk-generate-retry').prop('hidden', !batch.complete || !batch.failed);
+
+        var $results = $panel.find('.b2brouter-bulk-generate-results').empty();
+
+        $.each(batch.orders, function(i, entry) {
+            var label = b2brouterAdmin.strings.bulk_order.replace('%s', entry.order_number);
+            var $order = entry.status === 'failed' && entry.edit_url ?
+                $('<a>').attr('href', entry.edit_url).text(label) :
+                $('<span>').text(label);
+            var detail = entry.status === 'failed' ?
+                (entry.message || b2brouterAdmin.strings.bulk_generate_failed) :
+                b2brouterAdmin.strings['bulk_generate_' + entry.status];
+
+            $results.append(
+                $('<li>')
+                    .addClass('b2brouter-bulk-generate-' + entry.status)
+                    .append($order, document.createTextNode(': ' + detail))
+            );
+        });
+
+        $results.prop('hidden', !batch.orders.length);
+    }
+
+    /**
+     * Queue the failed orders of the batch again
+     */
+    function retryBulkGenerate($panel, $button) {
+        var label = $button.text();
+
+        $button.prop('disabled', true).text(b2brouterAdmin.strings.bulk_generate_retrying);
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_bulk_generate_retry',
+                nonce: b2brouterAdmin.nonce,
+                batch_id: $panel.data('batch-id')
+            },
+            success: function(response) {
+                if (!response.success) {
+                    showNotice('error', response.data.message);
+                    return;
+                }
+
+                updateBulkGenerateProgress($panel, response.data.batch);
+                pollBulkGenerate($panel);
+            },
+            error: function() {
+                showNotice('error', b2brouterAdmin.strings.error);
+            },
+            complete: function() {
+                $button.prop('disabled', false).text(label);
+            }
+        });
+    }
+
+    /**
+     * Hide the panel and stop tracking the batch
+     */
+    function dismissBulkGenerate($panel) {
+        clearTimeout(bulkGeneratePollTimer);
+
+        $.post(b2brouterAdmin.ajax_url, {
+            action: 'b2brouter_bulk_generate_dismiss',
+            nonce: b2brouterAdmin.nonce
+        });
+
+        $panel.fadeTo(100, 0, function() {
+            $panel.slideUp(100, function() {
+                $panel.remove();
+            });
+        });
+    }
+
+    /**
+     * Validate API Key
+     */
+    function validateApiKey() {
+        var $button = $('#b2brouter_validate_key');
+        var $input = $('#b2brouter_api_key');
+        var $result = $('#b2brouter_validation_result');
+        var apiKey = $input.val().trim();
+
+        if (!apiKey) {
+            renderStatus($result, 'error', 'dashicons-warning', b2brouterAdmin.strings.error + ': ' + b2brouterAdmin.strings.api_key_required);
+            return;
+        }
+
+        // Disable button and show loading
+        $button.prop('disabled', true).text(b2brouterAdmin.strings.validating);
+        $result.removeClass('success error').html('');
+
+        // Hide account selector from previous validation
+        $('#b2brouter_account_selector').hide();
+
+        // AJAX request
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_validate_api_key',
+                nonce: b2brouterAdmin.nonce,
+                api_key: apiKey
+            },
+            success: function(response) {
+                if (response.success) {
+                    if (response.data.multiple_accounts && response.data.accounts) {
+                        // Multiple accounts: show selector
+                        renderStatus($result, 'success', 'dashicons-yes-alt', response.data.message);
+
+                        var $select = $('#b2brouter_account_select');
+                        $select.empty();
+                        $.each(response.data.accounts, function(i, account) {
+                            $select.append(
+                                $('<option></option>')
+                                    .val(account.id)
+                                    .text(account.label)
+                                    .data('name', account.name)
+                            );
+                        });
+                        $('#b2brouter_account_selector').show();
+                        $('#b2brouter_account_select_result').removeClass('success error').html('');
+                    } else {
+                        // Single account: auto-selected
+                        renderStatus($result, 'success', 'dashicons-yes-alt', response.data.message);
+                    }
+                } else {
+                    renderStatus($result, 'error', 'dashicons-warning', response.data.message);
+                }
+            },
+            error: function() {
+                renderStatus($result, 'error', 'dashicons-warning', b2brouterAdmin.strings.error);
+            },
+            complete: function() {
+                $button.prop('disabled', false).text(b2brouterAdmin.strings.validate_key);
+            }
+        });
+    }
+
+    /**
+     * Select Account
+     */
+    function selectAccount() {
+        var $select = $('#b2brouter_account_select');
+        var $button = $('#b2brouter_select_account');
+        var $result = $('#b2brouter_account_select_result');
+        var accountId = $select.val();
+        var accountName = $select.find(':selected').data('name');
+
+        if (!accountId) {
+            return;
+        }
+
+        $button.prop('disabled', true);
+        $result.removeClass('success error').html('');
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_select_account',
+                nonce: b2brouterAdmin.nonce,
+                account_id: accountId
+            },
+            success: function(response) {
+                if (response.success) {
+                    renderStatus($result, 'success', 'dashicons-yes-alt', response.data.message);
+                    // Update displayed current account
+                    var $current = $('#b2brouter_current_account');
+                    if ($current.length) {
+                        $current.text(b2brouterAdmin.strings.current_account.replace('%1$s', accountName).replace('%2$s', accountId));
+                    }
+                } else {
+                    renderStatus($result, 'error', 'dashicons-warning', response.data.message);
+                }
+            },
+            error: function() {
+                renderStatus($result, 'error', 'dashicons-warning', b2brouterAdmin.strings.error);
+            },
+            complete: function() {
+                $button.prop('disabled', false);
+            }
+        });
+    }
+
+    /**
+     * Copy the value of the input named in the button's data-copy-target
+     */
+    function copyToClipboard($button) {
+        var $input = $($button.data('copy-target'));
+        var value = $input.val();
+
+        function confirmCopied() {
+            $button.text(b2brouterAdmin.strings.copied);
+            setTimeout(function() {
+                $button.text(b2brouterAdmin.strings.copy);
+            }, 2000);
+        }
+
+        if (navigator.clipboard && window.isSecureContext) {
+            navigator.clipboard.writeText(value).then(confirmCopied);
+            return;
+        }
+
+        // Plain-HTTP admin: the Clipboard API is unavailable, copy via a selection.
+        // Password inputs cannot be copied from, so use a temporary textarea.
+        var $temp = $('<textarea>').val(value).css({position: 'fixed', top: 0, left: '-9999px'}).appendTo('body');
+        $temp[0].select();
+
+        if (document.execCommand('copy')) {
+            confirmCopied();
+        }
+
+        $temp.remove();
+    }
+
+    /**
+     * Generate a webhook secret, or rotate the saved one
+     */
+    function rotateWebhookSecret($button) {
+        var $result = $('#b2brouter_webhook_secret_result');
+
+        if ($button.is('#b2brouter_rotate_webhook_secret') && !window.confirm(b2brouterAdmin.strings.rotate_secret_confirm)) {
+            return;
+        }
+
+        $button.prop('disabled', true);
+        $result.removeClass('success error').html('');
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_rotate_webhook_secret',
+                nonce: b2brouterAdmin.nonce
+            },
+            success: function(response) {
+                if (!response.success) {
+                    renderStatus($result, 'error', 'dashicons-warning', response.data.message);
+                    return;
+                }
+
+                // Keep the form in sync so saving the page does not restore the old secret
+                $('#b2brouter_webhook_secret').val(response.data.secret);
+                updateSettingsBaseline('b2brouter_webhook_secret', response.data.secret);
+                $('#b2brouter_generate_webhook_secret').hide();
+                $('#b2brouter_rotate_webhook_secret').show();
+                renderStatus($result, 'success', 'dashicons-yes-alt', response.data.message);
+
+                if (response.data.grace_message) {
+                    $('#b2brouter_webhook_secret_grace')
+                        .show()
+                        .find('.b2brouter-webhook-grace-message')
+                        .text(response.data.grace_message);
+                }
+            },
+            error: function() {
+                renderStatus($result, 'error', 'dashicons-warning', b2brouterAdmin.strings.error);
+            },
+            complete: function() {
+                $button.prop('disabled', false);
+            }
+        });
+    }
+
+    /**
+     * Stop accepting the previous webhook secret
+     */
+    function endWebhookGrace($button) {
+        var $result = $('#b2brouter_webhook_secret_result');
+
+        $button.prop('disabled', true);
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_end_webhook_secret_grace',
+                nonce: b2brouterAdmin.nonce
+            },
+            success: function(response) {
+                if (response.success) {
+                    $('#b2brouter_webhook_secret_grace').hide();
+                    renderStatus($result, 'success', 'dashicons-yes-alt', response.data.message);
+                } else {
+                    renderStatus($result, 'error', 'dashicons-warning', response.data.message);
+                }
+            },
+            error: function() {
+                renderStatus($result, 'error', 'dashicons-warning', b2brouterAdmin.strings.error);
+            },
+            complete: function() {
+                $button.prop('disabled', false);
+            }
+        });
+    }
+
+    /**
+     * Fetch the invoice payload for an order without sending it
+     */
+    function previewInvoiceData($button) {
+        $button.prop('disabled', true).addClass('b2brouter-loading');
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_preview_invoice_data',
+                nonce: b2brouterAdmin.nonce,
+                order_id: $button.data('order-id')
+            },
+            success: function(response) {
+                if (response.success) {
+                    openPayloadInspector(response.data, $button);
+                } else {
+                    showNotice('error', response.data.message);
+                }
+            },
+            error: function() {
+                showNotice('error', b2brouterAdmin.strings.error);
+            },
+            complete: function() {
+                $button.prop('disabled', false).removeClass('b2brouter-loading');
+            }
+        });
+    }
+
+    /**
+     * Show a prepared payload as summary + lines tables, with the raw JSON on demand.
+     * Every value is inserted as text.
+     */
+    function openPayloadInspector(data, $trigger) {
+        var strings = b2brouterAdmin.strings;
+        var details = data.details;
+        var documentLabel = strings.payload_invoice;
+
+        if (details.is_refund) {
+            documentLabel = details.is_rectificative ? strings.payload_rectificative : strings.payload_credit_note;
+        }
+
+        var summary = [
+            [strings.payload_invoice_type, details.invoice_type],
+            [strings.payload_document, documentLabel],
+            [strings.payload_number, (details.series_code || '—') + ' / ' + (details.number || strings.payload_number_automatic)],
+            [strings.payload_countries, (details.merchant_country || '—') + ' → ' + (details.customer_country || '—')],
+            [strings.payload_reverse_charge, details.reverse_charge ? strings.payload_yes : strings.payload_no]
+        ];
+
+        if (details.is_refund) {
+            summary.push([strings.payload_amended, $.grep([details.amended_number, details.amended_date, details.amended_reason], Boolean).join(' · ')]);
+        }
+
+        var $summary = $('<table>').addClass('widefat striped b2brouter-payload-summary');
+        $.each(summary, function(i, row) {
+            $summary.append($('<tr>').append($('<th>').attr('scope', 'row').text(row[0]), $('<td>').text(row[1])));
+        });
+
+        var $lines = $('<table>').addClass('widefat striped b2brouter-payload-lines').append(
+            $('<thead>').append($('<tr>').append(
+                $.map([strings.payload_description, strings.payload_quantity, strings.payload_price, strings.payload_tax_rate, strings.payload_category, strings.payload_percent], function(label) {
+                    return $('<th>').attr('scope', 'col').text(label)[0];
+                })
+            ))
+        );
+        var $tbody = $('<tbody>').appendTo($lines);
+
+        $.each(details.lines, function(i, line) {
+            var $description = $('<td>').text(line.description);
+
+            if (line.source === 'shipping') {
+                $description.append(' ', $('<span>').addClass('description').text('(' + strings.payload_shipping + ')'));
+            }
+
+            $tbody.append($('<tr>').append(
+                $description,
+                $('<td>').text(line.quantity),
+                $('<td>').text(line.price),
+                $('<td>').text(line.tax_rate + '%'),
+                $('<td>').append($('<code>').text(line.category), ' ' + line.tax_name),
+                $('<td>').text(line.percent + '%')
+            ));
+        });
+
+        var $json = $('<pre>').addClass('b2brouter-payload-json').text(JSON.stringify(data.payload, null, 2)).hide();
+        var $toggle = $('<button type="button">').addClass('button').text(strings.payload_show_json).on('click', function() {
+            $json.toggle();
+            $toggle.text($json.is(':visible') ? strings.payload_hide_json : strings.payload_show_json)
+                .attr('aria-expanded', $json.is(':visible') ? 'true' : 'false');
+        }).attr('aria-expanded', 'false');
+
+        var $close = $('<button type="button">').addClass('button-link b2brouter-payload-close')
+            .attr('aria-label', strings.close)
+            .append($('<span>').addClass('dashicons dashicons-no-alt'));
+
+        var $body = $('<div>').addClass('b2brouter-payload-body').append(
+            $('<p>').addClass('description').text(strings.payload_notice),
+            $summary
+        );
+
+        if (details.uses_parent_items) {
+            $body.append($('<p>').addClass('description').text(strings.payload_parent_items));
+        }
+
+        $body.append($lines, $('<p>').append($toggle), $json);
+
+        var $inspector = $('<div>').addClass('b2brouter-payload-inspector').append(
+            $('<div>').addClass('b2brouter-payload-backdrop'),
+            $('<div>').addClass('b2brouter-payload-dialog')
+                .attr({role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'b2brouter-payload-title'})
+                .append(
+                    $('<div>').addClass('b2brouter-payload-header').append(
+                        $('<h2>').attr('id', 'b2brouter-payload-title').text(strings.payload_title),
+                        $close
+                    ),
+                    $body
+                )
+        ).appendTo('body');
+
+        function close() {
+            $(document).off('keydown.b2brouterPayload');
+            $inspector.remove();
+            $trigger.trigger('focus');
+        }
+
+        $close.on('click', close);
+        $inspector.find('.b2brouter-payload-backdrop').on('click', close);
+        $(document).on('keydown.b2brouterPayload', function(e) {
+            if (e.key === 'Escape') {
+                close();
+            }
+        });
+
+        $close.trigger('focus');
+    }
+
+    /**
+     * Ask the server for the next invoice/credit note numbers with the unsaved field values
+     */
+    function previewInvoiceNumbers() {
+        var $preview = $('#b2brouter_numbering_preview');
+
+        if (!$preview.length) {
+            return;
+        }
+
+        // Only the latest field values matter
+        if (numberingPreviewRequest) {
+            numberingPreviewRequest.abort();
+        }
+
+        var pattern = $('input[name="b2brouter_invoice_numbering_pattern"]:checked').val();
+
+        $preview.addClass('b2brouter-loading');
+
+        numberingPreviewRequest = $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_preview_invoice_numbers',
+                nonce: b2brouterAdmin.nonce,
+                invoice_series_code: $('#b2brouter_invoice_series_code').val(),
+                credit_note_series_code: $('#b2brouter_credit_note_series_code').val(),
+                numbering_pattern: pattern
+            },
+            success: function(response) {
+                if (!response.success) {
+                    return;
+                }
+
+                renderNumberPreview($preview.find('.b2brouter-numbering-preview-invoice'), response.data.invoice, pattern,
+                    b2brouterAdmin.strings.numbering_sample_order);
+                renderNumberPreview($preview.find('.b2brouter-numbering-preview-credit-note'), response.data.credit_note, pattern,
+                    b2brouterAdmin.strings.numbering_sample_refund);
+
+                var $warnings = $preview.find('.b2brouter-numbering-preview-warnings').empty();
+
+                $.each(response.data.warnings, function(i, warning) {
+                    $warnings.append(
+                        $('<p>').addClass('b2brouter-numbering-preview-warning')
+                            .append($('<span>').addClass('dashicons dashicons-warning'))
+                            .append(document.createTextNode(' ' + warning))
+                    );
+                });
+            },
+            complete: function() {
+                numberingPreviewRequest = null;
+                $preview.removeClass('b2brouter-loading');
+            }
+        });
+    }
+
+    /**
+     * Render one previewed number, the one the next new order or refund would get. Values are inserted as text.
+     */
+    function renderNumberPreview($el, preview, pattern, sampleText) {
+        $el.empty();
+
+        if (pattern === 'automatic') {
+            $el.append($('<code>').text((preview.series_code ? preview.series_code + '-' : '') + '…'))
+                .append(document.createTextNode(' ' + b2brouterAdmin.strings.numbering_automatic));
+            return;
+        }
+
+        if (!preview.formatted) {
+            // No orders yet, or an order number that does not end in digits
+            $el.text(preview.sample
+                ? b2brouterAdmin.strings.numbering_unknown.replace('%s', preview.sample)
+                : b2brouterAdmin.strings.numbering_no_order);
+            return;
+        }
+
+        $el.append($('<code>').text(preview.formatted))
+            .append(' ', $('<span>').addClass('description').text(sampleText.replace('%s', preview.sample)));
+
+        if (preview.collisions.length) {
+            $el.append(' ', $('<span>').addClass('dashicons dashicons-warning b2brouter-numbering-collision'));
+        }
+    }
+
+    /**
+     * Send a signed test event to our own webhook endpoint
+     */
+    function sendWebhookTest() {
+        var $button = $('#b2brouter_webhook_test');
+        var $result = $('#b2brouter_webhook_test_result');
+
+        $button.prop('disabled', true).text(b2brouterAdmin.strings.webhook_testing);
+        $result.removeClass('success error').html('');
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_webhook_test',
+                nonce: b2brouterAdmin.nonce
+            },
+            success: function(response) {
+                if (response.success) {
+                    renderStatus($result, 'success', 'dashicons-yes-alt', response.data.message);
+                } else {
+                    renderStatus($result, 'error', 'dashicons-warning', response.data.message);
+                }
+            },
+            error: function() {
+                renderStatus($result, 'error', 'dashicons-warning', b2brouterAdmin.strings.error);
+            },
+            complete: function() {
+                $button.prop('disabled', false).text(b2brouterAdmin.strings.webhook_test);
+                // The test delivery is logged by the endpoint itself
+                loadWebhookLog(1);
+            }
+        });
+    }
+
+    /**
+     * Load one page of the webhook delivery log with the current filters
+     */
+    function loadWebhookLog(page) {
+        var $log = $('#b2brouter_webhook_log');
+
+        if (!$log.length) {
+            return;
+        }
+
+        $log.addClass('b2brouter-loading');
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_webhook_log',
+                nonce: b2brouterAdmin.nonce,
+                page: page,
+                signature: $('#b2brouter_webhook_log_signature').val(),
+                outcome: $('#b2brouter_webhook_log_outcome').val(),
+                invoice_id: $.trim($('#b2brouter_webhook_log_invoice').val())
+            },
+            success: function(response) {
+                if (response.success) {
+                    renderWebhookLog($log, response.data);
+                } else {
+                    renderWebhookLogMessage($log, response.data.message);
+                }
+            },
+            error: function() {
+                renderWebhookLogMessage($log, b2brouterAdmin.strings.error);
+            },
+            complete: function() {
+                $log.removeClass('b2brouter-loading');
+            }
+        });
+    }
+
+    /**
+     * Render delivery log rows and pagination. Values are inserted as text.
+     */
+    function renderWebhookLog($log, data) {
+        var $tbody = $log.find('tbody').empty();
+
+        if (!data.entries.length) {
+            renderWebhookLogMessage($log, b2brouterAdmin.strings.webhook_log_empty);
+        }
+
+        $.each(data.entries, function(i, entry) {
+            var succeeded = entry.status >= 200 && entry.status < 300;
+            var $event = $('<td>').text(entry.event || '—');
+
+            if (entry.test) {
+                $event.append(' ', $('<span>').addClass('b2brouter-webhook-log-test').text(b2brouterAdmin.strings.webhook_log_test));
+            }
+
+            $tbody.append($('<tr>').append(
+                $('<td>').text(entry.date),
+                $event,
+                $('<td>').text(entry.invoice_id || '—'),
+                $('<td>').append(
+                    $('<span>')
+                        .addClass('b2brouter-webhook-signature signature-' + entry.signature)
+                        .text(b2brouterAdmin.strings['webhook_signature_' + entry.signature] || entry.signature)
+                ),
+                $('<td>').append(
+                    $('<span>')
+                        .addClass('b2brouter-webhook-status ' + (succeeded ? 'success' : 'error'))
+                        .text(entry.status)
+                ),
+                $('<td>').text(entry.message)
+            ));
+        });
+
+        $log.data('page', data.page);
+        $log.find('.b2brouter-webhook-log-prev').prop('disabled', data.page <= 1);
+        $log.find('.b2brouter-webhook-log-next').prop('disabled', data.page >= data.total_pages);
+        $log.find('.b2brouter-webhook-log-page').text(
+            b2brouterAdmin.strings.webhook_log_page.replace('%1$d', data.page).replace('%2$d', data.total_pages)
+        );
+    }
+
+    /**
+     * Replace the delivery log rows with a single message row
+     */
+    function renderWebhookLogMessage($log, message) {
+        $log.find('tbody').empty().append(
+            $('<tr>').append($('<td>').attr('colspan', 6).text(message))
+        );
+    }
+
+    /**
+     * Handle the retry queue page
+     */
+    function handleRetryQueue() {
+        var $queue = $('#b2brouter-retry-queue');
+
+        if (!$queue.length) {
+            return;
+        }
+
+        $queue.on('click', '.b2brouter-retry-queue-retry', function(e) {
+            e.preventDefault();
+
+            var $row = $(this).closest('tr');
+
+            retryQueueActions++;
+            retryQueuedOrder($row).always(function() {
+                retryQueueActions--;
+            });
+        });
+
+        $queue.on('click', '.b2brouter-retry-queue-dismiss', function(e) {
+            e.preventDefault();
+
+            if (window.confirm(b2brouterAdmin.strings.retry_queue_dismiss_confirm)) {
+                dismissQueuedOrder($(this).closest('tr'));
+            }
+        });
+
+        $('.b2brouter-retry-queue-retry-all').on('click', function(e) {
+            e.preventDefault();
+            retryAllQueued($queue, $(this));
+        });
+
+        loadRetryQueue($queue);
+    }
+
+    /**
+     * Reload the queue, then schedule the next reload
+     */
+    function loadRetryQueue($queue) {
+        clearTimeout(retryQueuePollTimer);
+
+        function scheduleNext() {
+            retryQueuePollTimer = setTimeout(function() {
+                loadRetryQueue($queue);
+            }, RETRY_QUEUE_POLL_INTERVAL);
+        }
+
+        // Leave the rows alone while an action updates them, or nobody is looking
+        if (retryQueueActions || document.hidden) {
+            scheduleNext();
+            return;
+        }
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_retry_queue',
+                nonce: b2brouterAdmin.nonce
+            },
+            success: function(response) {
+                if (retryQueueActions) {
+                    return;
+                }
+
+                if (response.success) {
+                    renderRetryQueue($queue, response.data.entries);
+                } else {
+                    renderRetryQueueMessage($queue, response.data.message);
+                }
+            },
+            complete: scheduleNext
+        });
+    }
+
+    /**
+     * Render the queue rows
+     */
+    function renderRetryQueue($queue, entries) {
+        var $tbody = $queue.find('tbody').empty();
+
+        $.each(entries, function(i, entry) {
+            $tbody.append(renderRetryQueueRow(entry));
+        });
+
+        if (!entries.length) {
+            renderRetryQueueMessage($queue, b2brouterAdmin.strings.retry_queue_empty);
+        }
+
+        $('.b2brouter-retry-queue-retry-all').prop('disabled', !entries.length);
+    }
+
+    /**
+     * Build one queue row. Values are inserted as text.
+     */
+    function renderRetryQueueRow(entry) {
+        var label = b2brouterAdmin.strings.bulk_order.replace('%s', entry.order_number);
+        var $order = $('<td>').append(
+            entry.edit_url ? $('<a>').attr('href', entry.edit_url).text(label) : $('<span>').text(label)
+        );
+        var $next = $('<td>');
+
+        if (entry.is_refund) {
+            $order.append(' ', $('<span>').addClass('b2brouter-retry-queue-refund').text(b2brouterAdmin.strings.retry_queue_refund));
+        }
+
+        if (entry.status === 'gave_up') {
+            $next.append($('<span>').addClass('b2brouter-retry-queue-gave-up').text(b2brouterAdmin.strings.retry_queue_gave_up));
+        } else {
+            $next.text(entry.next_run_date).append(
+                $('<br>'),
+                $('<span>').addClass('description').text(b2brouterAdmin.strings.retry_queue_next_in.replace('%s', entry.next_run_in))
+            );
+        }
+
+        return $('<tr>').attr('data-order-id', entry.order_id).append(
+            $order,
+            $('<td>').addClass('b2brouter-retry-queue-reason').text(entry.reason),
+            $('<td>').text(entry.attempts + ' / ' + entry.max_attempts),
+            $('<td>').text(entry.last_attempt_date),
+            $next,
+            $('<td>').addClass('b2brouter-retry-queue-actions').append(
+                $('<button type="button">').addClass('button button-small b2brouter-retry-queue-retry').text(b2brouterAdmin.strings.retry_queue_retry),
+                ' ',
+                $('<button type="button">').addClass('button-link b2brouter-retry-queue-dismiss').text(b2brouterAdmin.strings.retry_queue_dismiss)
+            )
+        );
+    }
+
+    /**
+     * Replace the queue rows with a single message row
+     */
+    function renderRetryQueueMessage($queue, message) {
+        $queue.find('tbody').empty().append(
+            $('<tr>').append($('<td>').attr('colspan', 6).text(message))
+        );
+    }
+
+    /**
+     * Retry one queued order. Resolves with whether its invoice got generated.
+     */
+    function retryQueuedOrder($row) {
+        var deferred = $.Deferred();
+        var $button = $row.find('.b2brouter-retry-queue-retry');
+
+        $row.find('button').prop('disabled', true);
+        $button.text(b2brouterAdmin.strings.retry_queue_retrying);
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_retry_queue_retry',
+                nonce: b2brouterAdmin.nonce,
+                order_id: $row.data('order-id')
+            },
+            success: function(response) {
+                if (!response.success) {
+                    showNotice('error', response.data.message);
+                    $row.remove();
+                    deferred.resolve(false);
+                    return;
+                }
+
+                showNotice(response.data.success ? 'success' : 'error', response.data.message);
+
+                if (response.data.entry) {
+                    $row.replaceWith(renderRetryQueueRow(response.data.entry).addClass('is-updated'));
+                } else {
+                    $row.remove();
+                }
+
+                deferred.resolve(response.data.success);
+            },
+            error: function() {
+                showNotice('error', b2brouterAdmin.strings.error);
+                $row.find('button').prop('disabled', false);
+                $button.text(b2brouterAdmin.strings.retry_queue_retry);
+                deferred.resolve(false);
+            },
+            complete: function() {
+                updateRetryQueueEmpty();
+            }
+        });
+
+        return deferred.promise();
+    }
+
+    /**
+     * Retry every order shown, one at a time, reporting progress
+     */
+    function retryAllQueued($queue, $button) {
+        var orderIds = $queue.find('tbody tr[data-order-id]').map(function() {
+            return $(this).data('order-id');
+        }).get();
+        var $status = $queue.find('.b2brouter-retry-queue-status');
+        var generated = 0;
+        var index = 0;
+
+        if (!orderIds.length) {
+            return;
+        }
+
+        retryQueueActions++;
+        $button.prop('disabled', true);
+
+        function next() {
+            if (index >= orderIds.length) {
+                $status.text(b2brouterAdmin.strings.retry_queue_done.replace('%1$d', generated).replace('%2$d', orderIds.length - generated));
+                retryQueueActions--;
+                loadRetryQueue($queue);
+                return;
+            }
+
+            $status.text(b2brouterAdmin.strings.retry_queue_progress.replace('%1$d', index + 1).replace('%2$d', orderIds.length));
+
+            var $row = $queue.find('tbody tr[data-order-id="' + orderIds[index] + '"]');
+
+            index++;
+
+            // Dismissed in the meantime
+            if (!$row.length) {
+                next();
+                return;
+            }
+
+            retryQueuedOrder($row).done(function(success) {
+                generated += success ? 1 : 0;
+                next();
+            });
+        }
+
+        next();
+    }
+
+    /**
+     * Remove an order from the queue
+     */
+    function dismissQueuedOrder($row) {
+        $row.find('button').prop('disabled', true);
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_retry_queue_dismiss',
+                nonce: b2brouterAdmin.nonce,
+                order_id: $row.data('order-id')
+            },
+            success: function(response) {
+                if (!response.success) {
+                    showNotice('error', response.data.message);
+                    $row.find('button').prop('disabled', false);
+                    return;
+                }
+
+                $row.remove();
+                updateRetryQueueEmpty();
+            },
+            error: function() {
+                showNotice('error', b2brouterAdmin.strings.error);
+                $row.find('button').prop('disabled', false);
+            }
+        });
+    }
+
+    /**
+     * Show the empty message once the last row is gone
+     */
+    function updateRetryQueueEmpty() {
+        var $queue = $('#b2brouter-retry-queue');
+
+        if (!$queue.find('tbody tr[data-order-id]').length) {
+            renderRetryQueueMessage($queue, b2brouterAdmin.strings.retry_queue_empty);
+            $('.b2brouter-retry-queue-retry-all').prop('disabled', true);
+        }
+    }
+
+    /**
+     * Generate Invoice
+     */
+    function generateInvoice(orderId, $button) {
+        if (!orderId || !$button) {
+            return;
+        }
+
+        // Disable button and show loading
+        var originalText = $button.text();
+        $button.prop('disabled', true).text(b2brouterAdmin.strings.generating).addClass('b2brouter-loading');
+
+        // AJAX request
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_generate_invoice',
+                nonce: b2brouterAdmin.nonce,
+                order_id: orderId
+            },
+            success: function(response) {
+                if (response.success) {
+                    // Show success message
+                    showNotice('success', response.data.message);
+
+                    if (response.data.meta_box_html) {
+                        // Swap in the rendered meta box so unsaved order edits survive
+                        $button.closest('.b2brouter-invoice-meta-box').replaceWith(response.data.meta_box_html);
+                        updateInvoiceColumn(orderId, response.data.column_html);
+
+                        // Follow the new invoice as it is sent and accepted
+                        statusPollAttempts = 0;
+                        scheduleStatusPoll();
+                    } else {
+                        // Reload page after 1 second
+                        setTimeout(function() {
+                            location.reload();
+                        }, 1000);
+                    }
+                } else {
+                    // Show error message
+                    showNotice('error', response.data.message);
+
+                    // Re-enable button
+                    $button.prop('disabled', false).text(originalText).removeClass('b2brouter-loading');
+                }
+            },
+            error: function() {
+                showNotice('error', b2brouterAdmin.strings.error);
+                $button.prop('disabled', false).text(originalText).removeClass('b2brouter-loading');
+            }
+        });
+    }
+
+    /**
+     * Approve or decline a customer's correction request from the meta box
+     */
+    function resolveCorrection($button) {
+        var orderId = $button.data('order-id');
+        var decision = $button.data('decision');
+        var $request = $button.closest('.b2brouter-correction-request');
+
+        if (!orderId || $request.hasClass('b2brouter-loading')) {
+            return;
+        }
+
+        if (decision === 'approve' && !window.confirm(b2brouterAdmin.strings.correction_approve_confirm)) {
+            return;
+        }
+
+        var originalText = $button.text();
+        $request.addClass('b2brouter-loading').find('button, textarea').prop('disabled', true);
+        $button.text(b2brouterAdmin.strings.correction_resolving);
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_resolve_correction',
+                nonce: b2brouterAdmin.nonce,
+                order_id: orderId,
+                decision: decision,
+                response: $request.find('.b2brouter-correction-response').val()
+            },
+            success: function(response) {
+                showNotice(response.success ? 'success' : 'error', response.data.message);
+
+                // Swapped even on error: the invoice may be cancelled while the reissue failed
+                if (response.data.meta_box_html) {
+                    $request.closest('.b2brouter-invoice-meta-box').replaceWith(response.data.meta_box_html);
+                    updateInvoiceColumn(orderId, response.data.column_html);
+
+                    statusPollAttempts = 0;
+                    scheduleStatusPoll();
+                }
+            },
+            error: function() {
+                showNotice('error', b2brouterAdmin.strings.error);
+            },
+            complete: function() {
+                // No-op if the meta box was swapped; restores the request after an error otherwise
+                $request.removeClass('b2brouter-loading').find('button, textarea').prop('disabled', false);
+                $button.text(originalText);
+            }
+        });
+    }
+
+    /**
+     * Refresh invoice status from B2Brouter and re-render the meta box
+     */
+    function refreshInvoiceStatus(orderId, $button) {
+        if (!orderId) {
+            return;
+        }
+
+        var originalHtml = $button ? $button.html() : '';
+        if ($button) {
+            $button.prop('disabled', true)
+                   .html('<span class="dashicons dashicons-update dashicons-spin"></span> ' + b2brouterAdmin.strings.refreshing);
+        }
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_refresh_status',
+                nonce: b2brouterAdmin.nonce,
+                order_id: orderId
+            },
+            success: function(response) {
+                if (response.success) {
+                    if (response.data.meta_box_html) {
+                        $('.b2brouter-invoice-meta-box[data-order-id="' + orderId + '"]').replaceWith(response.data.meta_box_html);
+                    }
+                    updateInvoiceColumn(orderId, response.data.column_html);
+
+                    if ($button) {
+                        showNotice('success', response.data.message);
+                    }
+                } else if ($button) {
+                    showNotice('error', response.data.message);
+                }
+            },
+            error: function() {
+                if ($button) {
+                    showNotice('error', b2brouterAdmin.strings.error);
+                }
+            },
+            complete: function() {
+                // The button is gone if the meta box was swapped; restore it otherwise
+                if ($button && $.contains(document, $button[0])) {
+                    $button.prop('disabled', false).html(originalHtml);
+                }
+                scheduleStatusPoll();
+            }
+        });
+    }
+
+    /**
+     * Schedule the next automatic status check while the invoice status is not final
+     */
+    function scheduleStatusPoll() {
+        clearTimeout(statusPollTimer);
+
+        var $metaBox = $('.b2brouter-invoice-meta-box[data-status-final="0"]').first();
+
+        if (!$metaBox.length || statusPollAttempts >= STATUS_POLL_MAX_ATTEMPTS) {
+            return;
+        }
+
+        statusPollTimer = setTimeout(function() {
+            statusPollAttempts++;
+            refreshInvoiceStatus($metaBox.data('order-id'), null);
+        }, STATUS_POLL_INTERVAL);
+    }
+
+    /**
+     * Run an invoice list row action over AJAX and swap in the re-rendered row
+     */
+    function runListRowAction($button, action) {
+        var $row = $button.closest('tr');
+        var orderId = $button.data('order-id');
+
+        if (!orderId || $row.hasClass('b2brouter-row-busy')) {
+            return;
+        }
+
+        var $icon = $button.find('.dashicons');
+        var iconClass = $icon.attr('class');
+
+        $row.addClass('b2brouter-row-busy');
+        $icon.attr('class', 'dashicons dashicons-update dashicons-spin');
+
+        $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: {
+                action: action,
+                nonce: b2brouterAdmin.nonce,
+                order_id: orderId,
+                context: 'list'
+            },
+            success: function(response) {
+                if (response.data && response.data.row_html) {
+                    $row.replaceWith(response.data.row_html);
+                }
+                showNotice(response.success ? 'success' : 'error', response.data.message);
+            },
+            error: function() {
+                showNotice('error', b2brouterAdmin.strings.error);
+            },
+            complete: function() {
+                // No-op if the row was replaced; restores it after an error otherwise
+                $row.removeClass('b2brouter-row-busy');
+                $icon.attr('class', iconClass);
+            }
+        });
+    }
+
+    /**
+     * Refresh the invoice cell for an order in the legacy or HPOS orders list
+     */
+    function updateInvoiceColumn(orderId, html) {
+        if (!html) {
+            return;
+        }
+
+        $('#post-' + orderId + ', #order-' + orderId)
+            .find('td.column-b2brouter_invoice')
+            .html(html);
+    }
+
+    /**
+     * Read the invoice list state (filters, sorting, page) from a URL
+     */
+    function getInvoiceListStateFromUrl(url) {
+        var params = new URL(url, window.location.href).searchParams;
+        var state = {};
+
+        $.each(b2brouterAdmin.list_state_keys, function(i, key) {
+            if (params.get(key)) {
+                state[key] = params.get(key);
+            }
+        });
+
+        return state;
+    }
+
+    /**
+     * Read the invoice list state from the filter bar, keeping the current sort order
+     */
+    function getInvoiceListStateFromForm($form, keepPage) {
+        var current = getInvoiceListStateFromUrl(window.location.href);
+        var state = {};
+
+        $.each(b2brouterAdmin.list_state_keys, function(i, key) {
+            var value = $form.find('[name="' + key + '"]').first().val();
+
+            if (value) {
+                state[key] = value;
+            }
+        });
+
+        if (current.orderby) {
+            state.orderby = current.orderby;
+            state.order = current.order || 'asc';
+        }
+
+        // New filters start again from the first page
+        if (!keepPage) {
+            delete state.paged;
+        }
+
+        return state;
+    }
+
+    /**
+     * Replace the invoice list with the given state and mirror it in the URL
+     */
+    function loadInvoiceList(state, pushHistory) {
+        var $form = $('#b2brouter-invoice-list');
+        var $table = $form.find('.b2brouter-invoice-list-table');
+        var focusedId = $.contains($form[0], document.activeElement) ? document.activeElement.id : '';
+
+        if (invoiceListRequest) {
+            invoiceListRequest.abort();
+        }
+
+        $table.addClass('b2brouter-list-loading').attr('aria-busy', 'true');
+
+        invoiceListRequest = $.ajax({
+            url: b2brouterAdmin.ajax_url,
+            type: 'POST',
+            data: $.extend({
+                action: 'b2brouter_invoice_list',
+                nonce: b2brouterAdmin.nonce
+            }, state),
+            success: function(response) {
+                if (!response.success) {
+                    showNotice('error', response.data.message);
+                    return;
+                }
+
+                $table.html(response.data.html);
+
+                if (pushHistory) {
+                    window.history.pushState(state, '', window.location.pathname + '?' + $.param($.extend({page: 'b2brouter-invoices'}, state)));
+                }
+
+                // Filter controls are re-rendered too; keep the keyboard where it was
+                if (focusedId) {
+                    $('#' + focusedId).trigger('focus');
+                }
+            },
+            error: function(xhr, status) {
+                if (status !== 'abort') {
+                    showNotice('error', b2brouterAdmin.strings.error);
+                }
+            },
+            complete: function(xhr, status) {
+                if (status !== 'abort') {
+                    invoiceListRequest = null;
+                    $table.removeClass('b2brouter-list-loading').attr('aria-busy', 'false');
+                }
+            }
+        });
+    }
+
+    /**
+     * Take over filtering, sorting and paging of the invoice list
+     *
+     * Without JavaScript the list is a plain GET form, so every state stays
+     * reachable by URL either way.
+     */
+    function handleInvoiceList() {
+        var $form = $('#b2brouter-invoice-list');
+
+        if (!$form.length || !window.history.pushState) {
+            return;
+        }
+
+        $form.on('submit', function(e) {
+            var submitter = e.originalEvent && e.originalEvent.submitter;
+
+            // Bulk actions and register exports still submit the form normally. Enter in
+            // a filter field also reports the first bulk Apply button as submitter, so
+            // only treat it as a bulk action when one is chosen.
+            var bulkAction = submitter && (submitter.id === 'doaction' || submitter.id === 'doaction2') &&
+                $form.find(submitter.id === 'doaction' ? '#bulk-action-selector-top' : '#bulk-action-selector-bottom').val() !== '-1';
+
+            if (bulkAction || (submitter && submitter.name === 'invoice_export')) {
+                return;
+            }
+
+            e.preventDefault();
+
+            // Enter in the "current page" box keeps the typed page; anything else is a new filter
+            var keepPage = $(document.activeElement).is('[name="paged"]');
+            loadInvoiceList(getInvoiceListStateFromForm($form, keepPage), true);
+        });
+
+        $form.on('change', '.b2brouter-list-filters select, .b2brouter-list-filters input[type="date"]', function() {
+            loadInvoiceList(getInvoiceListStateFromForm($form, false), true);
+        });
+
+        $form.on('click', '.tablenav-pages a, .manage-column a, .b2brouter-filter-reset', function(e) {
+            e.preventDefault();
+            loadInvoiceList(getInvoiceListStateFromUrl(this.href), true);
+        });
+
+        $(window).on('popstate', function() {
+            loadInvoiceList(getInvoiceListStateFromUrl(window.location.href), false);
+        });
+    }
+
+    /**
+     * Read the named fields of a settings section. Checkboxes read as
+     * booleans, as in the values returned by the server.
+     */
+    function getSettingsSectionValues($section) {
+        var values = {};
+
+        $section.find('input[name^="b2brouter_"], select[name^="b2brouter_"]').each(function() {
+            var $input = $(this);
+            var name = $input.attr('name');
+
+            if ($input.is(':radio')) {
+                values[name] = $input.is(':checked') ? $input.val() : (values[name] || '');
+            } else if ($input.is(':checkbox')) {
+                values[name] = $input.is(':checked');
+            } else {
+                values[name] = $input.val();
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Whether a settings section differs from its stored values
+     */
+    function isSettingsSectionDirty($section) {
+        var baseline = settingsBaselines[$section.data('section')] || {};
+        var current = getSettingsSectionValues($section);
+        var dirty = false;
+
+        $.each(current, function(name, value) {
+            if (name in baseline && baseline[name] !== value) {
+                dirty = true;
+                return false;
+            }
+        });
+
+        return dirty;
+    }
+
     /**
-     * Handle bulk PDF downloads on list page
+     * Flag a settings section with unsaved changes
      */
-    function handleBulkDownload() {
-        // Check if we're on the invoices list page with bulk_download parameter
-        var urlParams = new URLSearchParams(window.location.search);
-        var bulkCount = urlParams.get('bulk_download');
+    function updateSettingsSectionState($section) {
+        var dirty = isSettingsSectionDirty($section);
+        var $status = $section.find('.b2brouter-settings-section-status');
 
-        if (!bulkCount || !b2brouterAdmin.bulk_download_ids) {
-            return;
+        $section.toggleClass('is-dirty', dirty);
+
+        if (dirty) {
+            $status.removeClass('success error').addClass('is-dirty').text(b2brouterAdmin.strings.section_dirty);
+        } else if ($status.hasClass('is-dirty')) {
+            $status.removeClass('is-dirty').empty();
         }
+    }
 
-        var orderIds = b2brouterAdmin.bulk_download_ids;
-        var delay = 500; // 500ms delay between downloads
+    /**
+     * Record a value saved outside the section form, e.g. a rotated secret
+     */
+    function updateSettingsBaseline(name, value) {
+        var $section = $('.b2brouter-settings-section').has('[name="' + name + '"]');
 
-        // Download each PDF sequentially
-        orderIds.forEach(function(orderId, index) {
-            setTimeout(function() {
-                // Create a hidden iframe for each download to avoid popup blockers
-                var iframe = $('<iframe>', {
-                    style: 'display:none;',
-                    name: 'b2brouter-download-frame-' + orderId
-                });
-                $('body').append(iframe);
+        if (!$section.length || !settingsBaselines[$section.data('section')]) {
+            return;
+        }
 
-                var form = $('<form>', {
-                    method: 'POST',
-                    action: b2brouterAdmin.ajax_url,
-                    target: 'b2brouter-download-frame-' + orderId
-                });
+        settingsBaselines[$section.data('section')][name] = value;
+        updateSettingsSectionState($section);
+    }
 
-                form.append($('<input>', {
-                    name: 'action',
-                    value: 'b2brouter_download_pdf',
-                    type: 'hidden'
-                }));
-
-                form.append($('<input>', {
-                    name: 'nonce',
-                    value: b2brouterAdmin.nonce,
-                    type: 'hidden'
-                }));
-
-                form.append($('<input>', {
-                    name: 'order_id',
-                    value: orderId,
-                    type: 'hidden'
-                }));
-
-                form.append($('<input>', {
-                    name: 'download',
-                    value: 'download',
-                    type: 'hidden'
-                }));
-
-                $('body').append(form);
-                form.submit();
-
-                // Clean up after download
-                setTimeout(function() {
-                    form.remove();
-                    iframe.remove();
-                }, 5000);
-            }, index * delay);
-        });
-
-        // Clean up URL
-        window.history.replaceState({}, document.title, window.location.pathname + '?page=b2brouter-invoices');
+    /**
+     * Put a stored value back into a settings field
+     */
+    function setSettingsFieldValue($section, name, value) {
+        var $input = $section.find('[name="' + name + '"]');
+
+        if ($input.is(':radio')) {
+            $input.prop('checked', false).filter(function() {
+                return $(this).val() === value;
+            }).prop('checked', true);
+        } else if ($input.is(':checkbox')) {
+            $input.prop('checked', value === true);
+        } else {
+            $input.val(value);
+        }
     }
 
     /**
-     * Validate API Key
+     * Show a validation message under the field it belongs to
      */
-    function validateApiKey() {
-        var $button = $('#b2brouter_validate_key');
-        var $input = $('#b2brouter_api_key');
-        var $result = $('#b2brouter_validation_result');
-        var apiKey = $input.val().trim();
+    function showSettingsFieldIssue($section, issue) {
+        var $input = $section.find('[name="' + issue.field + '"]');
 
-        if (!apiKey) {
-            renderStatus($result, 'error', 'dashicons-warning', b2brouterAdmin.strings.error + ': ' + b2brouterAdmin.strings.api_key_required);
+        if (!$input.length) {
+            showNotice(issue.type === 'error' ? 'error' : 'success', issue.message);
             return;
         }
 
-        // Disable button and show loading
-        $button.prop('disabled', true).text(b2brouterAdmin.strings.validating);
-        $result.removeClass('success error').html('');
-
-        // Hide account selector from previous validation
-        $('#b2brouter_account_selector').hide();
+        var id = issue.field + '_issue';
+        var $message = $('<p>')
+            .attr('id', id)
+            .addClass('b2brouter-field-error' + (issue.type === 'error' ? '' : ' is-warning'))
+            .text(issue.message);
 
-        // AJAX request
-        $.ajax({
-            url: b2brouterAdmin.ajax_url,
-            type: 'POST',
-            data: {
-                action: 'b2brouter_validate_api_key',
-                nonce: b2brouterAdmin.nonce,
-                api_key: apiKey
-            },
-            success: function(response) {
-                if (response.success) {
-                    if (response.data.multiple_accounts && response.data.accounts) {
-                        // Multiple accounts: show selector
-                        renderStatus($result, 'success', 'dashicons-yes-alt', response.data.message);
+        $input.closest('td, .b2brouter-settings-section').find('.description').last().after($message);
 
-                        var $select = $('#b2brouter_account_select');
-                        $select.empty();
-                        $.each(response.data.accounts, function(i, account) {
-                            $select.append(
-                                $('<option></option>')
-                                    .val(account.id)
-                                    .text(account.label)
-                                    .data('name', account.name)
-                            );
-                        });
-                        $('#b2brouter_account_selector').show();
-                        $('#b2brouter_account_select_result').removeClass('success error').html('');
-                    } else {
-                        // Single account: auto-selected
-                        renderStatus($result, 'success', 'dashicons-yes-alt', response.data.message);
-                    }
-                } else {
-                    renderStatus($result, 'error', 'dashicons-warning', response.data.message);
-                }
-            },
-            error: function() {
-                renderStatus($result, 'error', 'dashicons-warning', b2brouterAdmin.strings.error);
-            },
-            complete: function() {
-                $button.prop('disabled', false).text(b2brouterAdmin.strings.validate_key);
-            }
-        });
+        if (issue.type === 'error') {
+            $input.attr({'aria-invalid': 'true', 'aria-describedby': id});
+        }
     }
 
     /**
-     * Select Account
+     * Remove the validation messages of a section, or of one field
      */
-    function selectAccount() {
-        var $select = $('#b2brouter_account_select');
-        var $button = $('#b2brouter_select_account');
-        var $result = $('#b2brouter_account_select_result');
-        var accountId = $select.val();
-        var accountName = $select.find(':selected').data('name');
+    function clearSettingsFieldIssues($section, name) {
+        var $inputs = $section.find(name ? '[name="' + name + '"]' : '[aria-invalid]');
 
-        if (!accountId) {
-            return;
-        }
+        $inputs.removeAttr('aria-invalid aria-describedby');
+        $section.find(name ? '#' + name + '_issue' : '.b2brouter-field-error').remove();
+    }
 
+    /**
+     * Save one settings section. Fields the server rejects keep what the
+     * admin typed and stay marked as unsaved.
+     */
+    function saveSettingsSection($section, $button) {
+        var section = $section.data('section');
+        var $status = $section.find('.b2brouter-settings-section-status');
+        var data = $section.find(':input[name^="b2brouter_"]').serializeArray();
+
+        data.push(
+            {name: 'action', value: 'b2brouter_save_settings_section'},
+            {name: 'nonce', value: b2brouterAdmin.nonce},
+            {name: 'section', value: section}
+        );
+
+        clearSettingsFieldIssues($section);
         $button.prop('disabled', true);
-        $result.removeClass('success error').html('');
+        $status.removeClass('success error is-dirty').text(b2brouterAdmin.strings.section_saving);
 
         $.ajax({
             url: b2brouterAdmin.ajax_url,
             type: 'POST',
-            data: {
-                action: 'b2brouter_select_account',
-                nonce: b2brouterAdmin.nonce,
-                account_id: accountId
-            },
+            data: data,
             success: function(response) {
-                if (response.success) {
-                    renderStatus($result, 'success', 'dashicons-yes-alt', response.data.message);
-                    // Update displayed current account
-                    var $current = $('#b2brouter_current_account');
-                    if ($current.length) {
-                        $current.text(b2brouterAdmin.strings.current_account.replace('%1$s', accountName).replace('%2$s', accountId));
+                var result = response.data || {};
+                var rejected = {};
+
+                if (!result.values) {
+                    renderStatus($status, 'error', 'dashicons-warning', result.message || b2brouterAdmin.strings.error);
+                    return;
+                }
+
+                $.each(result.errors || [], function(i, issue) {
+                    rejected[issue.field] = true;
+                    showSettingsFieldIssue($section, issue);
+                });
+
+                $.each(result.warnings || [], function(i, issue) {
+                    showSettingsFieldIssue($section, issue);
+                });
+
+                $.each(result.values, function(name, value) {
+                    if (!rejected[name]) {
+                        setSettingsFieldValue($section, name, value);
                     }
+                });
+
+                settingsBaselines[section] = result.values;
+                $section.toggleClass('is-dirty', isSettingsSectionDirty($section));
+
+                if (response.success) {
+                    renderStatus($status, 'success', 'dashicons-yes-alt', result.message);
                 } else {
-                    renderStatus($result, 'error', 'dashicons-warning', response.data.message);
+                    renderStatus($status, 'error', 'dashicons-warning', result.message);
+                    $section.find('[aria-invalid="true"]').first().trigger('focus');
                 }
             },
             error: function() {
-                renderStatus($result, 'error', 'dashicons-warning', b2brouterAdmin.strings.error);
+                renderStatus($status, 'error', 'dashicons-warning', b2brouterAdmin.strings.error);
             },
             complete: function() {
                 $button.prop('disabled', false);
@@ -187,47 +1806,47 @@
     }
 
     /**
-     * Generate Invoice
+     * Track unsaved changes per settings section and save sections over AJAX
      */
-    function generateInvoice(orderId, $button) {
-        if (!orderId || !$button) {
+    function handleSettingsSections() {
+        var $sections = $('.b2brouter-settings-section');
+
+        if (!$sections.length) {
             return;
         }
 
-        // Disable button and show loading
-        var originalText = $button.text();
-        $button.prop('disabled', true).text(b2brouterAdmin.strings.generating).addClass('b2brouter-loading');
+        $sections.each(function() {
+            var $section = $(this);
+            settingsBaselines[$section.data('section')] = getSettingsSectionValues($section);
+        });
 
-        // AJAX request
-        $.ajax({
-            url: b2brouterAdmin.ajax_url,
-            type: 'POST',
-            data: {
-                action: 'b2brouter_generate_invoice',
-                nonce: b2brouterAdmin.nonce,
-                order_id: orderId
-            },
-            success: function(response) {
-                if (response.success) {
-                    // Show success message
-                    showNotice('success', response.data.message);
+        $sections.find('.b2brouter-settings-section-actions').show();
 
-                    // Reload page after 1 second
-                    setTimeout(function() {
-                        location.reload();
-                    }, 1000);
-                } else {
-                    // Show error message
-                    showNotice('error', response.data.message);
+        $sections.on('input change', ':input[name^="b2brouter_"]', function() {
+            var $section = $(this).closest('.b2brouter-settings-section');
+            clearSettingsFieldIssues($section, $(this).attr('name'));
+            updateSettingsSectionState($section);
+        });
 
-                    // Re-enable button
-                    $button.prop('disabled', false).text(originalText).removeClass('b2brouter-loading');
-                }
-            },
-            error: function() {
-                showNotice('error', b2brouterAdmin.strings.error);
-                $button.prop('disabled', false).text(originalText).removeClass('b2brouter-loading');
+        $sections.on('click', '.b2brouter-save-section', function(e) {
+            e.preventDefault();
+            saveSettingsSection($(this).closest('.b2brouter-settings-section'), $(this));
+        });
+
+        // The full form submit saves every section
+        $sections.closest('form').on('submit', function() {
+            settingsFormSubmitting = true;
+        });
+
+        $(window).on('beforeunload', function(e) {
+            if (settingsFormSubmitting || !$('.b2brouter-settings-section.is-dirty').length) {
+                return;
             }
+
+            // Browsers show their own wording; the text is only a fallback
+            e.preventDefault();
+            e.originalEvent.returnValue = b2brouterAdmin.strings.unsaved_changes;
+            return b2brouterAdmin.strings.unsaved_changes;
         });
     }
 
@@ -278,6 +1897,21 @@
         // Handle bulk downloads
         handleBulkDownload();
 
+        // Handle invoice register exports
+        handleInvoiceExport();
+
+        // Track queued bulk invoice generation
+        handleBulkGenerate();
+
+        // Filter, sort and page the invoice list without reloading
+        handleInvoiceList();
+
+        // Save settings per section and warn about unsaved changes
+        handleSettingsSections();
+
+        // Retry, dismiss and track failed invoices on the retry queue page
+        handleRetryQueue();
+
         // Validate API key button
         $('#b2brouter_validate_key').on('click', function(e) {
             e.preventDefault();
@@ -291,12 +1925,90 @@
             generateInvoice(orderId, $(this));
         });
 
+        // Approve / decline a customer's correction request (in meta box)
+        $(document).on('click', '.b2brouter-resolve-correction', function(e) {
+            e.preventDefault();
+            resolveCorrection($(this));
+        });
+
+        // Refresh status button (in meta box)
+        $(document).on('click', '.b2brouter-refresh-status', function(e) {
+            e.preventDefault();
+            statusPollAttempts = 0;
+            refreshInvoiceStatus($(this).data('order-id'), $(this));
+        });
+
+        // Preview invoice data button (in meta box)
+        $(document).on('click', '.b2brouter-preview-invoice-data', function(e) {
+            e.preventDefault();
+            previewInvoiceData($(this));
+        });
+
+        // Poll while the invoice status is not final
+        scheduleStatusPoll();
+
         // Select account button
         $('#b2brouter_select_account').on('click', function(e) {
             e.preventDefault();
             selectAccount();
         });
 
+        // Live invoice number preview (settings page)
+        $('#b2brouter_invoice_series_code, #b2brouter_credit_note_series_code').on('input', function() {
+            clearTimeout(numberingPreviewTimer);
+            numberingPreviewTimer = setTimeout(previewInvoiceNumbers, NUMBERING_PREVIEW_DELAY);
+        });
+        $('input[name="b2brouter_invoice_numbering_pattern"]').on('change', previewInvoiceNumbers);
+        previewInvoiceNumbers();
+
+        // Copy webhook URL / secret
+        $(document).on('click', '.b2brouter-copy', function(e) {
+            e.preventDefault();
+            copyToClipboard($(this));
+        });
+
+        // Generate / rotate webhook secret
+        $('#b2brouter_generate_webhook_secret, #b2brouter_rotate_webhook_secret').on('click', function(e) {
+            e.preventDefault();
+            rotateWebhookSecret($(this));
+        });
+
+        $('#b2brouter_end_webhook_secret_grace').on('click', function(e) {
+            e.preventDefault();
+            endWebhookGrace($(this));
+        });
+
+        // Webhook test event and delivery log (settings page)
+        $('#b2brouter_webhook_test').on('click', function(e) {
+            e.preventDefault();
+            sendWebhookTest();
+        });
+
+        $('#b2brouter_webhook_log_signature, #b2brouter_webhook_log_outcome').on('change', function() {
+            loadWebhookLog(1);
+        });
+
+        $('#b2brouter_webhook_log_refresh').on('click', function(e) {
+            e.preventDefault();
+            loadWebhookLog(1);
+        });
+
+        // Filter on Enter instead of submitting the settings form
+        $('#b2brouter_webhook_log_invoice').on('keypress', function(e) {
+            if (e.which === 13) {
+                e.preventDefault();
+                loadWebhookLog(1);
+            }
+        });
+
+        $('#b2brouter_webhook_log').on('click', '.b2brouter-webhook-log-prev, .b2brouter-webhook-log-next', function(e) {
+            e.preventDefault();
+            var page = $('#b2brouter_webhook_log').data('page') || 1;
+            loadWebhookLog($(this).hasClass('b2brouter-webhook-log-next') ? page + 1 : page - 1);
+        });
+
+        loadWebhookLog(1);
+
         // Validate on Enter key in API key input
         $('#b2brouter_api_key').on('keypress', function(e) {
             if (e.which === 13) {
@@ -310,20 +2022,24 @@
             e.preventDefault();
 
             var $button = $(this);
+
+            if ($button.data('download') !== 'download') {
+                viewInvoicePdf($button);
+                return;
+            }
+
             var orderId = $button.data('order-id');
-            var downloadMode = $button.data('download') === 'download' ? 'download' : 'view';
 
             // Disable button and show loading
             var originalText = $button.html();
             $button.prop('disabled', true)
-                   .html('<span class="dashicons dashicons-update dashicons-spin"></span> ' +
-                         (downloadMode === 'download' ? b2brouterAdmin.strings.downloading : b2brouterAdmin.strings.loading));
+                   .html('<span class="dashicons dashicons-update dashicons-spin"></span> ' + b2brouterAdmin.strings.downloading);
 
-            // Create form and submit to new window/tab
+            // Create form and submit
             var form = $('<form>', {
                 method: 'POST',
                 action: b2brouterAdmin.ajax_url,
-                target: downloadMode === 'download' ? '_self' : '_blank'
+                target: '_self'
             });
 
             form.append($('<input>', {
@@ -346,7 +2062,7 @@
 
             form.append($('<input>', {
                 name: 'download',
-                value: downloadMode,
+                value: 'download',
                 type: 'hidden'
             }));
 
@@ -364,55 +2080,7 @@
         // List table View PDF button
         $(document).on('click', '.b2brouter-list-view-pdf', function(e) {
             e.preventDefault();
-
-            var $button = $(this);
-            var orderId = $button.data('order-id');
-
-            // Disable button and show loading
-            var originalHtml = $button.html();
-            $button.prop('disabled', true)
-                   .html('<span class="dashicons dashicons-update dashicons-spin" style="line-height: 1.4;"></span> ' + b2brouterAdmin.strings.loading);
-
-            // Create form and submit to new tab
-            var form = $('<form>', {
-                method: 'POST',
-                action: b2brouterAdmin.ajax_url,
-                target: '_blank'
-            });
-
-            form.append($('<input>', {
-                name: 'action',
-                value: 'b2brouter_download_pdf',
-                type: 'hidden'
-            }));
-
-            form.append($('<input>', {
-                name: 'nonce',
-                value: b2brouterAdmin.nonce,
-                type: 'hidden'
-            }));
-
-            form.append($('<input>', {
-                name: 'order_id',
-                value: orderId,
-                type: 'hidden'
-            }));
-
-            form.append($('<input>', {
-                name: 'download',
-                value: 'view',
-                type: 'hidden'
-            }));
-
-            // Add to body and submit
-            $('body').append(form);
-            form.submit();
-
-            // Clean up and restore button after delay
-            setTimeout(function() {
-                form.remove();
-                $button.prop('disabled', false).html(originalHtml);
-            }, 2000);
+            viewInvoicePdf($(this));
         });
 
         // List table Download PDF button
@@ -469,6 +2137,23 @@
             }, 2000);
         });
 
+        // List table Refresh status button
+        $(document).on('click', '.b2brouter-list-refresh-status', function(e) {
+            e.preventDefault();
+            runListRowAction($(this), 'b2brouter_refresh_status');
+        });
+
+        // List table Regenerate button (failed invoices only)
+        $(document).on('click', '.b2brouter-list-regenerate', function(e) {
+            e.preventDefault();
+
+            if (!window.confirm(b2brouterAdmin.strings.regenerate_confirm)) {
+                return;
+            }
+
+            runListRowAction($(this), 'b2brouter_regenerate_invoice');
+        });
+
     });
 
 })(jQuery);
@@ -1,7 +1,20 @@
 /**
  * B2Brouter Customer JavaScript
  *
- * Handles customer-facing PDF download functionality
+ * Handles customer-facing PDF download functionality. Documents open in the
+ * shared modal viewer (pdf-viewer.js), which offers the download and print.
+ * "Generate Invoice" first opens a modal where the customer reviews and can
+ * correct the billing details the invoice will be issued with. Once it is
+ * issued, "Request correction" opens the same modal to describe the problem
+ * and propose the details the shop should reissue it with.
+ *
+ * Events (triggered on the clicked link, bubbling to document):
+ * - b2brouter:before_document_download (request) — call preventDefault() to
+ *   handle the download yourself
+ * - b2brouter:document_download (request) — the document was opened in the viewer
+ *
+ * `request` is { order_id, document, expires, token }, where document is
+ * 'invoice' or 'credit_note'.
  *
  * @package B2Brouter\WooCommerce
  * @since 1.0.0
@@ -10,227 +23,534 @@
 (function($) {
     'use strict';
 
-    $(document).ready(function() {
+    // Fields that must not be left empty in the billing review form
+    var BILLING_REQUIRED_FIELDS = ['address_1', 'city', 'country'];
+
+    // Browser autofill tokens for the billing review fields
+    var BILLING_AUTOCOMPLETE = {
+        first_name: 'billing given-name',
+        last_name: 'billing family-name',
+        company: 'billing organization',
+        address_1: 'billing address-line1',
+        address_2: 'billing address-line2',
+        city: 'billing address-level2',
+        postcode: 'billing postal-code',
+        state: 'billing address-level1',
+        country: 'billing country'
+    };
+
+    var $billingModal = null;
+    var billingState = null;
+
+    /**
+     * Read the signed download request from a link's data attributes
+     *
+     * Returns null unless every attribute is present.
+     */
+    function getDocumentRequest($link) {
+        var request = {
+            order_id: $link.attr('data-b2brouter-order-id'),
+            document: $link.attr('data-b2brouter-document'),
+            expires: $link.attr('data-b2brouter-expires'),
+            token: $link.attr('data-b2brouter-token')
+        };
+
+        if (!request.order_id || !request.document || !request.expires || !request.token) {
+            if (b2brouterCustomer.debug) {
+                console.error('Incomplete B2Brouter document attributes', request);
+            }
+            return null;
+        }
 
-        /**
-         * Handle PDF download button clicks
-         * Target both class names (WooCommerce uses action key as class)
-         * Use attribute selector for credit notes since they have refund ID appended
-         */
-        $(document).on('click', '.b2brouter-customer-download-pdf, .download_invoice_pdf, .b2brouter_download_invoice, [class*="b2brouter_download_credit_note"]', function(e) {
-            e.preventDefault();
+        return request;
+    }
+
+    /**
+     * Fetch the invoice status timeline for a placeholder and render it
+     */
+    function loadInvoiceTimeline($container) {
+        var data = {
+            action: 'b2brouter_customer_invoice_timeline',
+            nonce: b2brouterCustomer.nonce,
+            order_id: $container.data('order-id')
+        };
+
+        if ($container.data('order-key')) {
+            data.order_key = $container.data('order-key');
+        }
 
-            var $button = $(this);
-            var orderId = $button.data('order-id');
-            var orderKey = $button.data('order-key');
+        $.ajax({
+            url: b2brouterCustomer.ajax_url,
+            type: 'POST',
+            data: data,
+            success: function(response) {
+                if (response.success) {
+                    renderInvoiceTimeline($container, response.data);
+                } else {
+                    $container.empty().append(
+                        $('<p>').addClass('b2brouter-invoice-timeline-error').text(response.data.message || b2brouterCustomer.strings.timelineError)
+                    );
+                }
+            },
+            error: function(xhr, status, error) {
+                if (b2brouterCustomer.debug) {
+                    console.error('AJAX error:', status, error);
+                }
+                $container.empty().append(
+                    $('<p>').addClass('b2brouter-invoice-timeline-error').text(b2brouterCustomer.strings.timelineError)
+                );
+            }
+        });
+    }
 
-            // Prevent multiple clicks
-            if ($button.hasClass('loading')) {
-                return;
+    /**
+     * Render timeline steps (issued → sent → delivered → accepted/refused)
+     */
+    function renderInvoiceTimeline($container, timeline) {
+        var $list = $('<ol>').addClass('b2brouter-timeline');
+
+        $.each(timeline.steps, function(i, step) {
+            var $step = $('<li>')
+                .addClass('b2brouter-timeline-step is-' + step.state + ' b2brouter-timeline-step-' + step.key)
+                .append($('<span>').addClass('b2brouter-timeline-label').text(step.label));
+
+            if (step.date) {
+                $step.append($('<span>').addClass('b2brouter-timeline-date').text(step.date));
             }
 
-            // Check if this is a refund download (URL contains #refund-{id})
-            var href = $button.attr('href');
-            if (href && href.indexOf('#refund-') === 0) {
-                var refundMatch = href.match(/#refund-(\d+)/);
-                if (refundMatch && refundMatch[1]) {
-                    orderId = refundMatch[1];
-                    if (b2brouterCustomer.debug) {
-                        console.log('Extracted refund ID from href:', orderId);
-                    }
-                }
+            if (step.description) {
+                $step.append($('<span>').addClass('b2brouter-timeline-description').text(step.description));
             }
 
-            // Invoice fragment: #b2brouter-invoice-{order_id}-{order_key}
-            if (href && href.indexOf('#b2brouter-invoice-') === 0) {
-                var invoiceMatch = href.match(/#b2brouter-invoice-(\d+)-(.+)$/);
-                if (invoiceMatch) {
-                    orderId = invoiceMatch[1];
-                    orderKey = invoiceMatch[2];
-                    if (b2brouterCustomer.debug) {
-                        console.log('Extracted order ID and key from invoice fragment:', orderId, orderKey);
-                    }
+            $list.append($step);
+        });
+
+        $container.empty().append($list);
+    }
+
+    /**
+     * Build the billing review dialog once and wire its controls
+     */
+    function getBillingModal() {
+        if ($billingModal) {
+            return $billingModal;
+        }
+
+        $billingModal = $(
+            '<div class="b2brouter-billing-modal" hidden>' +
+                '<div class="b2brouter-billing-modal-backdrop"></div>' +
+                '<div class="b2brouter-billing-modal-dialog" role="dialog" aria-modal="true" aria-labelledby="b2brouter-billing-modal-title">' +
+                    '<form class="b2brouter-billing-form" novalidate>' +
+                        '<h2 class="b2brouter-billing-modal-title" id="b2brouter-billing-modal-title"></h2>' +
+                        '<p class="b2brouter-billing-intro"></p>' +
+                        '<p class="b2brouter-billing-message" role="alert" hidden></p>' +
+                        '<div class="b2brouter-billing-fields"></div>' +
+                        '<div class="b2brouter-billing-actions">' +
+                            '<button type="button" class="button b2brouter-billing-cancel"></button>' +
+                            '<button type="submit" class="button alt b2brouter-billing-submit"></button>' +
+                        '</div>' +
+                    '</form>' +
+                '</div>' +
+            '</div>'
+        );
+
+        $billingModal.find('.b2brouter-billing-cancel').text(b2brouterCustomer.strings.billingCancel);
+
+        $billingModal.on('click', '.b2brouter-billing-modal-backdrop, .b2brouter-billing-cancel', closeBillingReview);
+        $billingModal.on('submit', 'form', function(e) {
+            e.preventDefault();
+            saveBillingDetails();
+        });
+        $billingModal.on('keydown', handleBillingKeydown);
+
+        $('body').append($billingModal);
+
+        return $billingModal;
+    }
+
+    /**
+     * Dialog texts for the review before invoicing ('review') or a correction request ('correction')
+     */
+    function getBillingModeStrings(mode) {
+        var strings = b2brouterCustomer.strings;
+
+        if (mode === 'correction') {
+            return {
+                title: strings.correctionTitle,
+                intro: strings.correctionIntro,
+                submit: strings.correctionSubmit,
+                busy: strings.correctionSending
+            };
+        }
+
+        return {
+            title: strings.billingTitle,
+            intro: strings.billingIntro,
+            submit: strings.billingConfirm,
+            busy: strings.billingSaving
+        };
+    }
+
+    /**
+     * Open the billing review for an order and load its current details
+     */
+    function openBillingReview(orderId, $button, mode) {
+        var $modal = getBillingModal();
+        var strings = getBillingModeStrings(mode);
+
+        billingState = {
+            orderId: orderId,
+            $button: $button,
+            mode: mode || 'review',
+            xhr: null
+        };
+
+        $modal.find('.b2brouter-billing-modal-title').text(strings.title);
+        $modal.find('.b2brouter-billing-intro').text(strings.intro);
+        $modal.find('.b2brouter-billing-submit').text(strings.submit);
+        showBillingMessage('');
+        $modal.find('.b2brouter-billing-fields').empty().append(
+            $('<p>').addClass('b2brouter-billing-loading').text(b2brouterCustomer.strings.billingLoading)
+        );
+        $modal.find('.b2brouter-billing-submit').prop('disabled', true);
+        $modal.prop('hidden', false);
+        $('body').addClass('b2brouter-billing-modal-open');
+        $modal.find('.b2brouter-billing-cancel').trigger('focus');
+
+        billingState.xhr = $.ajax({
+            url: b2brouterCustomer.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_customer_billing_details',
+                nonce: b2brouterCustomer.nonce,
+                order_id: orderId
+            },
+            success: function(response) {
+                if (!billingState) {
+                    return;
                 }
-            }
 
-            // Get order ID from My Account table if not set
-            if (!orderId) {
-                // Try to extract from aria-label first (e.g., "Download Invoice PDF order number 70")
-                var ariaLabel = $button.attr('aria-label');
-                if (ariaLabel) {
-                    var ariaMatch = ariaLabel.match(/order\s+number\s+(\d+)/i);
-                    if (ariaMatch && ariaMatch[1]) {
-                        orderId = ariaMatch[1];
-                        if (b2brouterCustomer.debug) {
-                            console.log('Extracted order ID from aria-label:', orderId);
-                        }
-                    }
+                if (!response.success) {
+                    $modal.find('.b2brouter-billing-fields').empty();
+                    showBillingMessage(response.data.message || b2brouterCustomer.strings.billingError);
+                    return;
                 }
 
-                // If still not found, try from table row
-                if (!orderId) {
-                    var $row = $button.closest('tr');
+                renderBillingFields(response.data);
+                $modal.find('.b2brouter-billing-submit').prop('disabled', false);
+                $modal.find('.b2brouter-billing-fields :input').first().trigger('focus');
+            },
+            error: function(xhr, status, error) {
+                if (status === 'abort') {
+                    return;
+                }
+                if (b2brouterCustomer.debug) {
+                    console.error('AJAX error:', status, error);
+                }
+                $modal.find('.b2brouter-billing-fields').empty();
+                showBillingMessage(b2brouterCustomer.strings.billingError);
+            }
+        });
+    }
+
+    /**
+     * Render one labelled input per billing field. Values are set as properties.
+     *
+     * A correction request starts with the customer's description of the problem.
+     */
+    function renderBillingFields(data) {
+        var $fields = getBillingModal().find('.b2brouter-billing-fields').empty();
+
+        if (billingState && billingState.mode === 'correction') {
+            $fields.append(
+                $('<p>').addClass('b2brouter-billing-field b2brouter-billing-field-message').append(
+                    $('<label>').attr('for', 'b2brouter_billing_message').text(b2brouterCustomer.strings.correctionMessage).append(
+                        ' ', $('<abbr>').addClass('required').attr('title', b2brouterCustomer.strings.billingRequired).text('*')
+                    ),
+                    $('<textarea>').attr({
+                        id: 'b2brouter_billing_message',
+                        name: 'message',
+                        rows: 3,
+                        'aria-required': 'true',
+                        'aria-describedby': 'b2brouter_billing_message_error'
+                    }),
+                    $('<span>').addClass('b2brouter-billing-field-error').attr('id', 'b2brouter_billing_message_error')
+                )
+            );
+        }
 
-                    // Try multiple selectors to find order number link
-                    var $orderLink = $row.find('.woocommerce-orders-table__cell-order-number a, td.order-number a, .order-number a');
-                    var orderUrl = $orderLink.attr('href');
+        $.each(data.labels, function(key, label) {
+            var id = 'b2brouter_billing_' + key;
+            var required = BILLING_REQUIRED_FIELDS.indexOf(key) !== -1;
+            var $label = $('<label>').attr('for', id).text(label);
+            var $input;
+
+            if (key === 'country' && !$.isEmptyObject(data.countries)) {
+                $input = $('<select>').append($('<option>').val('').text(b2brouterCustomer.strings.billingSelectCountry));
+                $.each(data.countries, function(code, name) {
+                    $input.append($('<option>').val(code).text(name));
+                });
+            } else {
+                $input = $('<input type="text">');
+            }
 
-                    if (b2brouterCustomer.debug) {
-                        console.log('Order link found:', $orderLink.length);
-                        console.log('Order URL:', orderUrl);
-                    }
+            $input.attr({
+                id: id,
+                name: key,
+                autocomplete: BILLING_AUTOCOMPLETE[key] || 'off',
+                'aria-describedby': id + '_error'
+            }).val(data.details[key] || '');
 
-                    if (orderUrl) {
-                        // Try different URL patterns
-                        var matches = orderUrl.match(/[?&]order(?:-id)?[=\/](\d+)/i) ||
-                                      orderUrl.match(/\/order\/(\d+)/i) ||
-                                      orderUrl.match(/view-order\/(\d+)/i);
+            if (required) {
+                $input.attr('aria-required', 'true');
+                $label.append(' ', $('<abbr>').addClass('required').attr('title', b2brouterCustomer.strings.billingRequired).text('*'));
+            }
 
-                        if (matches && matches[1]) {
-                            orderId = matches[1];
-                            if (b2brouterCustomer.debug) {
-                                console.log('Extracted order ID from URL:', orderId);
-                            }
-                        }
-                    }
+            $fields.append(
+                $('<p>').addClass('b2brouter-billing-field b2brouter-billing-field-' + key).append(
+                    $label,
+                    $input,
+                    $('<span>').addClass('b2brouter-billing-field-error').attr('id', id + '_error')
+                )
+            );
+        });
+    }
+
+    /**
+     * Save the reviewed details, then request the invoice, or send the correction request
+     */
+    function saveBillingDetails() {
+        var $modal = getBillingModal();
+        var $submit = $modal.find('.b2brouter-billing-submit');
+        var billing = {};
+
+        if (!billingState || $submit.prop('disabled')) {
+            return;
+        }
 
-                    // Try to get order key from view order link
-                    var $viewLink = $row.find('.woocommerce-button.view, a.view, .button.view');
-                    var viewOrderUrl = $viewLink.attr('href');
+        var mode = billingState.mode;
+        var strings = getBillingModeStrings(mode);
+        var data = {
+            action: mode === 'correction' ? 'b2brouter_customer_request_correction' : 'b2brouter_customer_update_billing',
+            nonce: b2brouterCustomer.nonce,
+            order_id: billingState.orderId
+        };
 
-                    if (viewOrderUrl) {
-                        var keyMatch = viewOrderUrl.match(/[?&]key=([^&]+)/);
-                        if (keyMatch && keyMatch[1]) {
-                            orderKey = keyMatch[1];
-                            if (b2brouterCustomer.debug) {
-                                console.log('Extracted order key:', orderKey);
-                            }
-                        }
+        $modal.find('.b2brouter-billing-fields :input').each(function() {
+            billing[this.name] = $(this).val();
+        });
+
+        if (mode === 'correction') {
+            data.message = billing.message;
+            delete billing.message;
+        }
+        data.billing = billing;
+
+        showBillingMessage('');
+        showBillingFieldErrors({});
+        $submit.prop('disabled', true).text(strings.busy);
+
+        $.ajax({
+            url: b2brouterCustomer.ajax_url,
+            type: 'POST',
+            data: data,
+            success: function(response) {
+                if (!billingState) {
+                    return;
+                }
+
+                if (response.success) {
+                    var orderId = billingState.orderId;
+                    var $button = billingState.$button;
+
+                    closeBillingReview();
+
+                    if (mode === 'correction') {
+                        // The request now waits for the shop; replace the button with its status
+                        $button.closest('.b2brouter-correction').replaceWith(
+                            $('<p>').addClass('b2brouter-correction-status').attr('role', 'status').text(response.data.message)
+                        );
+                    } else {
+                        requestInvoice(orderId, $button);
                     }
+                    return;
                 }
-            }
 
-            if (!orderId) {
+                showBillingMessage(response.data.message || b2brouterCustomer.strings.error);
+                showBillingFieldErrors(response.data.errors || {});
+            },
+            error: function(xhr, status, error) {
                 if (b2brouterCustomer.debug) {
-                    console.error('Could not find order ID');
+                    console.error('AJAX error:', status, error);
                 }
-                alert(b2brouterCustomer.strings.error);
-                return;
+                showBillingMessage(b2brouterCustomer.strings.error);
+            },
+            complete: function() {
+                $submit.prop('disabled', false).text(strings.submit);
+            }
+        });
+    }
+
+    /**
+     * Show (or, with an empty message, hide) the form-level message
+     */
+    function showBillingMessage(message) {
+        getBillingModal().find('.b2brouter-billing-message').text(message).prop('hidden', !message);
+    }
+
+    /**
+     * Mark the fields the server rejected and focus the first one
+     */
+    function showBillingFieldErrors(errors) {
+        var $first = null;
+
+        getBillingModal().find('.b2brouter-billing-field').each(function() {
+            var $input = $(this).find(':input');
+            var message = errors[$input.attr('name')] || '';
+
+            $(this).toggleClass('has-error', !!message);
+            $(this).find('.b2brouter-billing-field-error').text(message);
+            $input.attr('aria-invalid', message ? 'true' : null);
+
+            if (message && !$first) {
+                $first = $input;
             }
+        });
 
-            // Show loading state
-            var originalHtml = $button.html();
-            $button.addClass('loading')
-                   .prop('disabled', true)
-                   .html('<span class="dashicons dashicons-update dashicons-spin"></span> ' +
-                         b2brouterCustomer.strings.downloading);
-
-            // Create hidden form for POST request
-            var form = $('<form>', {
-                method: 'POST',
-                action: b2brouterCustomer.ajax_url,
-                target: '_blank'
-            });
+        if ($first) {
+            $first.trigger('focus');
+        }
+    }
+
+    /**
+     * Escape closes the review; Tab stays inside the dialog
+     */
+    function handleBillingKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeBillingReview();
+            return;
+        }
 
-            // Add form fields
-            form.append($('<input>', {
-                name: 'action',
-                value: 'b2brouter_customer_download_pdf',
-                type: 'hidden'
-            }));
-
-            form.append($('<input>', {
-                name: 'nonce',
-                value: b2brouterCustomer.nonce,
-                type: 'hidden'
-            }));
-
-            form.append($('<input>', {
-                name: 'order_id',
-                value: orderId,
-                type: 'hidden'
-            }));
-
-            // Add order key if available (for guest orders)
-            if (orderKey) {
-                form.append($('<input>', {
-                    name: 'order_key',
-                    value: orderKey,
-                    type: 'hidden'
-                }));
+        if (e.key === 'Tab') {
+            var $focusable = getBillingModal().find(':input:not(:disabled)').filter(':visible');
+            var first = $focusable.get(0);
+            var last = $focusable.get($focusable.length - 1);
+
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
             }
+        }
+    }
+
+    /**
+     * Close the review and give focus back to the button that opened it
+     */
+    function closeBillingReview() {
+        if (!billingState) {
+            return;
+        }
 
-            // Submit form
-            $('body').append(form);
-            form.submit();
+        var current = billingState;
+        billingState = null;
 
-            // Clean up and restore button after delay
-            setTimeout(function() {
-                form.remove();
+        if (current.xhr) {
+            current.xhr.abort();
+        }
+
+        $billingModal.prop('hidden', true);
+        $('body').removeClass('b2brouter-billing-modal-open');
+        current.$button.trigger('focus');
+    }
+
+    /**
+     * Ask for the invoice to be generated, then reload to show the download button
+     */
+    function requestInvoice(orderId, $button) {
+        // Show loading state
+        var originalHtml = $button.html();
+        $button.addClass('loading')
+               .prop('disabled', true)
+               .html('<span class="dashicons dashicons-update dashicons-spin"></span> ' +
+                     b2brouterCustomer.strings.generating);
+
+        // Make AJAX request to generate invoice
+        $.ajax({
+            url: b2brouterCustomer.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_customer_generate_invoice',
+                nonce: b2brouterCustomer.nonce,
+                order_id: orderId
+            },
+            success: function(response) {
+                if (response.success) {
+                    // Reload page to show download button
+                    window.location.reload();
+                } else {
+                    alert(response.data.message || b2brouterCustomer.strings.error);
+                    $button.removeClass('loading')
+                           .prop('disabled', false)
+                           .html(originalHtml);
+                }
+            },
+            error: function(xhr, status, error) {
+                if (b2brouterCustomer.debug) {
+                    console.error('AJAX error:', status, error);
+                }
+                alert(b2brouterCustomer.strings.error);
                 $button.removeClass('loading')
                        .prop('disabled', false)
                        .html(originalHtml);
-            }, 2000);
+            }
         });
+    }
+
+    $(document).ready(function() {
 
         /**
-         * Handle My Account orders table - add data attributes to buttons
-         * This runs on page load to pre-populate data attributes
+         * Handle document download clicks
+         *
+         * Links carry signed data attributes emitted by
+         * Customer::get_document_attributes(), so this works with any theme
+         * markup or language. Themes can render their own links with the same
+         * attributes, and can listen for (or cancel) the download through the
+         * b2brouter:before_document_download / b2brouter:document_download events.
          */
-        $('.b2brouter-customer-download-pdf, .download_invoice_pdf, .b2brouter_download_invoice, [class*="b2brouter_download_credit_note"]').each(function() {
+        $(document).on('click', '[data-b2brouter-document]', function(e) {
             var $button = $(this);
+            var request = getDocumentRequest($button);
 
-            // Try to extract from aria-label first
-            var ariaLabel = $button.attr('aria-label');
-            if (ariaLabel) {
-                var ariaMatch = ariaLabel.match(/order\s+number\s+(\d+)/i);
-                if (ariaMatch && ariaMatch[1]) {
-                    $button.attr('data-order-id', ariaMatch[1]);
-                    if (b2brouterCustomer.debug) {
-                        console.log('Set order ID from aria-label:', ariaMatch[1]);
-                    }
-                }
-            }
-
-            var $row = $button.closest('tr');
-
-            if ($row.length === 0) {
-                // Not in a table, might be on thank you page which already has attributes
+            // Without a complete signature, let the fallback URL take over
+            if (!request) {
                 return;
             }
 
-            // If no order ID yet, get from order number link
-            if (!$button.attr('data-order-id')) {
-                var $orderLink = $row.find('.woocommerce-orders-table__cell-order-number a, td.order-number a, .order-number a');
-                var orderUrl = $orderLink.attr('href');
-
-                if (orderUrl) {
-                    var matches = orderUrl.match(/[?&]order(?:-id)?[=\/](\d+)/i) ||
-                                  orderUrl.match(/\/order\/(\d+)/i) ||
-                                  orderUrl.match(/view-order\/(\d+)/i);
+            e.preventDefault();
 
-                    if (matches && matches[1]) {
-                        $button.attr('data-order-id', matches[1]);
-                        if (b2brouterCustomer.debug) {
-                            console.log('Set order ID from URL:', matches[1]);
-                        }
-                    }
-                }
+            var beforeEvent = $.Event('b2brouter:before_document_download');
+            $button.trigger(beforeEvent, [request]);
+            if (beforeEvent.isDefaultPrevented()) {
+                return;
             }
 
-            // Get order key from view order link
-            var $viewLink = $row.find('.woocommerce-button.view, a.view, .button.view');
-            var viewOrderUrl = $viewLink.attr('href');
+            b2brouterPdfViewer.open({
+                url: b2brouterCustomer.ajax_url,
+                data: $.extend({
+                    action: 'b2brouter_customer_download_pdf',
+                    nonce: b2brouterCustomer.nonce
+                }, request),
+                title: request.document === 'credit_note'
+                    ? b2brouterCustomer.strings.creditNote
+                    : b2brouterCustomer.strings.invoice,
+                trigger: this
+            });
 
-            if (viewOrderUrl) {
-                var keyMatch = viewOrderUrl.match(/[?&]key=([^&]+)/);
-                if (keyMatch && keyMatch[1]) {
-                    $button.attr('data-order-key', keyMatch[1]);
-                    if (b2brouterCustomer.debug) {
-                        console.log('Set order key on button:', keyMatch[1]);
-                    }
-                }
-            }
+            $button.trigger('b2brouter:document_download', [request]);
         });
 
         /**
@@ -307,43 +627,16 @@
                 return;
             }
 
-            // Show loading state
-            var originalHtml = $button.html();
-            $button.addClass('loading')
-                   .prop('disabled', true)
-                   .html('<span class="dashicons dashicons-update dashicons-spin"></span> ' +
-                         b2brouterCustomer.strings.generating);
+            // Review the billing details first; the invoice is requested once they are saved
+            openBillingReview(orderId, $button, 'review');
+        });
 
-            // Make AJAX request to generate invoice
-            $.ajax({
-                url: b2brouterCustomer.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'b2brouter_customer_generate_invoice',
-                    nonce: b2brouterCustomer.nonce,
-                    order_id: orderId
-                },
-                success: function(response) {
-                    if (response.success) {
-                        // Reload page to show download button
-                        window.location.reload();
-                    } else {
-                        alert(response.data.message || b2brouterCustomer.strings.error);
-                        $button.removeClass('loading')
-                               .prop('disabled', false)
-                               .html(originalHtml);
-                    }
-                },
-                error: function(xhr, status, error) {
-                    if (b2brouterCustomer.debug) {
-                        console.error('AJAX error:', status, error);
-                    }
-                    alert(b2brouterCustomer.strings.error);
-                    $button.removeClass('loading')
-                           .prop('disabled', false)
-                           .html(originalHtml);
-                }
-            });
+        /**
+         * Handle request correction button clicks (view-order page)
+         */
+        $(document).on('click', '.b2brouter-request-correction', function(e) {
+            e.preventDefault();
+            openBillingReview($(this).data('order-id'), $(this), 'correction');
         });
 
         /**
@@ -390,10 +683,17 @@
             }
         });
 
+        /**
+         * Load invoice status timelines (view order and thank you pages)
+         */
+        $('.b2brouter-invoice-timeline').each(function() {
+            loadInvoiceTimeline($(this));
+        });
+
         // Debug: Log if scripts loaded
         if (b2brouterCustomer.debug) {
             console.log('B2Brouter customer scripts loaded');
-            console.log('Found download buttons:', $('.b2brouter-customer-download-pdf, .download_invoice_pdf, .b2brouter_download_invoice, [class*="b2brouter_download_credit_note"]').length);
+            console.log('Found download buttons:', $('[data-b2brouter-document]').length);
             console.log('Found generate buttons:', $('.b2brouter_generate_invoice').length);
         }
 
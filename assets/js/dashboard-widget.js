@@ -0,0 +1,238 @@
+/**
+ * B2Brouter Dashboard Widget
+ *
+ * Fills the "B2Brouter Invoices" dashboard widget from the
+ * b2brouter_dashboard_stats AJAX action. Every bar, segment and figure is a
+ * link to the invoice list filtered to match it.
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    var settings = window.b2brouterDashboard;
+    var stats = null;
+    var period = 'day';
+
+    /**
+     * Load the stats and render them
+     */
+    function loadStats(refresh) {
+        var $widget = $('#b2brouter-dashboard');
+
+        $widget.attr('aria-busy', 'true');
+
+        $.ajax({
+            url: settings.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'b2brouter_dashboard_stats',
+                nonce: settings.nonce,
+                refresh: refresh ? 1 : 0
+            },
+            success: function(response) {
+                if (!response.success) {
+                    renderError($widget, response.data && response.data.message ? response.data.message : settings.strings.error);
+                    return;
+                }
+
+                stats = response.data;
+                render($widget);
+            },
+            error: function() {
+                renderError($widget, settings.strings.error);
+            },
+            complete: function() {
+                $widget.attr('aria-busy', 'false');
+            }
+        });
+    }
+
+    /**
+     * Replace the widget content with an error message
+     */
+    function renderError($widget, message) {
+        $widget.empty().append(
+            $('<p>').addClass('b2brouter-dashboard-error').text(message),
+            renderFooter()
+        );
+    }
+
+    /**
+     * Render the whole widget from the current stats
+     */
+    function render($widget) {
+        if (!stats.total) {
+            $widget.empty().append(
+                $('<p>').addClass('b2brouter-dashboard-empty').text(settings.strings.empty),
+                renderFooter()
+            );
+            return;
+        }
+
+        $widget.empty().append(
+            renderKpis(),
+            renderIssued(),
+            renderStatuses(),
+            renderFooter()
+        );
+    }
+
+    /**
+     * Credit-note ratio and stuck invoices
+     */
+    function renderKpis() {
+        var creditNotes = stats.credit_notes;
+        var stuck = stats.stuck;
+
+        var $ratio = $('<a>').addClass('b2brouter-dashboard-kpi').attr('href', creditNotes.url).append(
+            $('<span>').addClass('b2brouter-dashboard-kpi-value').text(creditNotes.ratio + '%'),
+            $('<span>').addClass('b2brouter-dashboard-kpi-label').text(settings.strings.credit_note_ratio),
+            $('<span>').addClass('b2brouter-dashboard-kpi-detail').text(
+                settings.strings.credit_note_detail
+                    .replace('%1$d', creditNotes.credit_notes)
+                    .replace('%2$d', creditNotes.invoices)
+            )
+        );
+
+        var $stuck = $('<a>').addClass('b2brouter-dashboard-kpi').attr('href', stuck.url)
+            .toggleClass('has-stuck', stuck.count > 0)
+            .append(
+                $('<span>').addClass('b2brouter-dashboard-kpi-value').text(stuck.count),
+                $('<span>').addClass('b2brouter-dashboard-kpi-label').text(settings.strings.stuck)
+            );
+
+        if (!stuck.count) {
+            $stuck.append($('<span>').addClass('b2brouter-dashboard-kpi-detail').text(settings.strings.stuck_none));
+        }
+
+        return $('<div>').addClass('b2brouter-dashboard-kpis').append($ratio, $stuck);
+    }
+
+    /**
+     * Issued invoices per day or week, as a bar chart with a period toggle
+     */
+    function renderIssued() {
+        var buckets = stats.issued[period];
+        var max = 0;
+
+        $.each(buckets, function(i, bucket) {
+            max = Math.max(max, bucket.count);
+        });
+
+        var $toggle = $('<div>').addClass('b2brouter-dashboard-toggle').attr('role', 'group');
+
+        $.each({day: settings.strings.per_day, week: settings.strings.per_week}, function(value, label) {
+            $('<button type="button">').addClass('button-link')
+                .attr('aria-pressed', value === period ? 'true' : 'false')
+                .text(label)
+                .on('click', function() {
+                    period = value;
+                    var $section = $(this).closest('.b2brouter-dashboard-issued');
+                    $section.replaceWith(renderIssued());
+                    $('.b2brouter-dashboard-issued .b2brouter-dashboard-toggle button[aria-pressed="true"]').trigger('focus');
+                })
+                .appendTo($toggle);
+        });
+
+        var $chart = $('<ol>').addClass('b2brouter-dashboard-chart');
+
+        $.each(buckets, function(i, bucket) {
+            var label = settings.strings.bar_label.replace('%1$s', bucket.label).replace('%2$d', bucket.count);
+
+            $('<li>').append(
+                $('<a>').attr({href: bucket.url, title: label, 'aria-label': label}).append(
+                    $('<span>').addClass('b2brouter-dashboard-bar-count').text(bucket.count),
+                    $('<span>').addClass('b2brouter-dashboard-bar')
+                        .css('height', max ? Math.max(2, Math.round(bucket.count / max * 100)) + '%' : '2px'),
+                    $('<span>').addClass('b2brouter-dashboard-bar-label').text(bucket.label)
+                )
+            ).appendTo($chart);
+        });
+
+        return $('<div>').addClass('b2brouter-dashboard-issued').append(
+            $('<div>').addClass('b2brouter-dashboard-heading').append(
+                $('<h3>').text(settings.strings.issued),
+                $toggle
+            ),
+            $chart
+        );
+    }
+
+    /**
+     * Invoices per status, as a stacked bar with a legend
+     */
+    function renderStatuses() {
+        var total = 0;
+
+        $.each(stats.statuses, function(i, status) {
+            total += status.count;
+        });
+
+        var $bar = $('<div>').addClass('b2brouter-dashboard-segments');
+        var $legend = $('<ul>').addClass('b2brouter-dashboard-legend');
+
+        $.each(stats.statuses, function(i, status) {
+            var label = settings.strings.segment_label.replace('%1$s', status.label).replace('%2$d', status.count);
+
+            if (status.count > 0) {
+                $('<a>').addClass('b2brouter-dashboard-segment status-' + status.status)
+                    .attr({href: status.url, title: label, 'aria-label': label})
+                    .css('width', (status.count / total * 100) + '%')
+                    .appendTo($bar);
+            }
+
+            $('<li>').append(
+                $('<a>').attr('href', status.url).append(
+                    $('<span>').addClass('b2brouter-dashboard-swatch status-' + status.status),
+                    $('<span>').text(status.label),
+                    ' ',
+                    $('<strong>').text(status.count)
+                )
+            ).appendTo($legend);
+        });
+
+        return $('<div>').addClass('b2brouter-dashboard-statuses').append(
+            $('<h3>').text(settings.strings.status_breakdown),
+            total ? $bar : $(),
+            $legend
+        );
+    }
+
+    /**
+     * Last update time, refresh button and link to the full list
+     */
+    function renderFooter() {
+        var $footer = $('<p>').addClass('b2brouter-dashboard-footer');
+
+        if (stats) {
+            $footer.append(
+                $('<span>').addClass('b2brouter-dashboard-updated').text(settings.strings.updated.replace('%s', stats.updated)),
+                ' '
+            );
+        }
+
+        $footer.append($('<button type="button">').addClass('button-link b2brouter-dashboard-refresh').text(settings.strings.refresh));
+
+        if (stats) {
+            $footer.append(' | ', $('<a>').attr('href', stats.list_url).text(settings.strings.view_all));
+        }
+
+        return $footer;
+    }
+
+    $(document).ready(function() {
+        if (!settings || !$('#b2brouter-dashboard').length) {
+            return;
+        }
+
+        $(document).on('click', '.b2brouter-dashboard-refresh', function() {
+            loadStats(true);
+        });
+
+        loadStats(false);
+    });
+
+})(jQuery);
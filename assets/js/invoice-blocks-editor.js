@@ -0,0 +1,114 @@
+/**
+ * B2Brouter Invoice Blocks (editor)
+ *
+ * Editor side of the "Invoice download" and "Invoice status" blocks. Both
+ * are rendered by PHP (Blocks) for the order being viewed, so the editor
+ * only shows a sample with the block's settings applied and saves nothing
+ * but the attributes. Written against the wp.* globals so the plugin needs
+ * no build step.
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+(function(wp) {
+    'use strict';
+
+    var el = wp.element.createElement;
+    var __ = wp.i18n.__;
+    var useBlockProps = wp.blockEditor.useBlockProps;
+    var InspectorControls = wp.blockEditor.InspectorControls;
+    var PanelBody = wp.components.PanelBody;
+    var ToggleControl = wp.components.ToggleControl;
+
+    /**
+     * Note below each sample: the real content depends on the order
+     */
+    function renderSampleNote() {
+        return el('p', { className: 'b2brouter-invoice-block-sample-note' },
+            __('Sample content. On the order confirmation and view-order pages this shows the order\'s own invoice, once it has one.', 'b2brouter-for-woocommerce')
+        );
+    }
+
+    /**
+     * One sample row of the download list
+     */
+    function renderSampleDocument(type, label, number) {
+        return el('li', { className: 'b2brouter-invoice-block-document b2brouter-invoice-block-document-' + type },
+            el('span', { className: 'b2brouter-invoice-block-label' }, label),
+            ' ',
+            el('span', { className: 'b2brouter-invoice-block-number' }, number),
+            ' ',
+            el('button', { type: 'button', className: 'wp-element-button b2brouter-invoice-block-download', disabled: true },
+                __('Download PDF', 'b2brouter-for-woocommerce')
+            )
+        );
+    }
+
+    wp.blocks.registerBlockType('b2brouter/invoice-download', {
+        edit: function(props) {
+            var showCreditNotes = props.attributes.showCreditNotes;
+
+            return el('div', useBlockProps({ className: 'b2brouter-invoice-block b2brouter-invoice-download-block' }),
+                el(InspectorControls, null,
+                    el(PanelBody, { title: __('Settings', 'b2brouter-for-woocommerce') },
+                        el(ToggleControl, {
+                            label: __('Show credit notes', 'b2brouter-for-woocommerce'),
+                            help: __('Also list the credit notes (or rectificative invoices) issued for refunds.', 'b2brouter-for-woocommerce'),
+                            checked: showCreditNotes,
+                            onChange: function(value) {
+                                props.setAttributes({ showCreditNotes: value });
+                            }
+                        })
+                    )
+                ),
+                el('ul', { className: 'b2brouter-invoice-block-documents' },
+                    renderSampleDocument('invoice', __('Invoice', 'b2brouter-for-woocommerce'), 'INV-1001'),
+                    showCreditNotes ? renderSampleDocument('credit_note', __('Credit note', 'b2brouter-for-woocommerce'), 'CN-1001') : null
+                ),
+                renderSampleNote()
+            );
+        },
+        save: function() {
+            return null;
+        }
+    });
+
+    wp.blocks.registerBlockType('b2brouter/invoice-status', {
+        edit: function(props) {
+            var showDates = props.attributes.showDates;
+            var steps = [
+                { label: __('Issued', 'b2brouter-for-woocommerce'), state: 'complete', date: '2025-01-15 10:02' },
+                { label: __('Sent', 'b2brouter-for-woocommerce'), state: 'complete', date: '2025-01-15 10:03' },
+                { label: __('Delivered', 'b2brouter-for-woocommerce'), state: 'upcoming', date: '' },
+                { label: __('Accepted', 'b2brouter-for-woocommerce'), state: 'upcoming', date: '' }
+            ];
+
+            return el('div', useBlockProps({ className: 'b2brouter-invoice-block b2brouter-invoice-status-block' }),
+                el(InspectorControls, null,
+                    el(PanelBody, { title: __('Settings', 'b2brouter-for-woocommerce') },
+                        el(ToggleControl, {
+                            label: __('Show dates', 'b2brouter-for-woocommerce'),
+                            checked: showDates,
+                            onChange: function(value) {
+                                props.setAttributes({ showDates: value });
+                            }
+                        })
+                    )
+                ),
+                el('ol', { className: 'b2brouter-invoice-block-timeline' },
+                    steps.map(function(step) {
+                        return el('li', { key: step.label, className: 'b2brouter-invoice-block-step is-' + step.state },
+                            el('span', { className: 'b2brouter-invoice-block-step-label' }, step.label),
+                            showDates && step.date ? el('span', { className: 'b2brouter-invoice-block-step-date' }, step.date) : null
+                        );
+                    })
+                ),
+                renderSampleNote()
+            );
+        },
+        save: function() {
+            return null;
+        }
+    });
+})(window.wp);
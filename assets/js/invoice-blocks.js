@@ -0,0 +1,123 @@
+/**
+ * B2Brouter Invoice Blocks
+ *
+ * Front end of the "Invoice download" block. Each button carries the same
+ * signed download request as the classic My Account buttons (see
+ * customer.js); the PDF is fetched as a blob and saved under the filename
+ * the server sends. Plain DOM and fetch, so it works on block themes that do
+ * not load jQuery.
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+(function(window, document) {
+    'use strict';
+
+    var config = window.b2brouterInvoiceBlocks;
+
+    if (!config) {
+        return;
+    }
+
+    /**
+     * Show (or clear, with an empty message) the error line of a block
+     */
+    function showError(block, message) {
+        var error = block ? block.querySelector('.b2brouter-invoice-block-error') : null;
+
+        if (!error) {
+            return;
+        }
+
+        error.textContent = message;
+        error.hidden = message === '';
+    }
+
+    /**
+     * Filename from the Content-Disposition header, if any
+     */
+    function getFilename(response) {
+        var match = /filename="?([^";]+)"?/.exec(response.headers.get('Content-Disposition') || '');
+
+        return match ? match[1] : 'invoice.pdf';
+    }
+
+    /**
+     * Hand a downloaded PDF to the browser
+     */
+    function saveBlob(blob, filename) {
+        var url = window.URL.createObjectURL(blob);
+        var link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser time to start the download before releasing the blob
+        window.setTimeout(function() {
+            window.URL.revokeObjectURL(url);
+        }, 1000);
+    }
+
+    /**
+     * Download the document of a button
+     */
+    function download(button) {
+        var block = button.closest('.b2brouter-invoice-block');
+        var label = button.textContent;
+        var body = new FormData();
+
+        body.append('action', 'b2brouter_customer_download_pdf');
+        body.append('nonce', config.nonce);
+        body.append('order_id', button.getAttribute('data-b2brouter-order-id'));
+        body.append('document', button.getAttribute('data-b2brouter-document'));
+        body.append('expires', button.getAttribute('data-b2brouter-expires'));
+        body.append('token', button.getAttribute('data-b2brouter-token'));
+
+        button.disabled = true;
+        button.setAttribute('aria-busy', 'true');
+        button.textContent = config.strings.downloading;
+        showError(block, '');
+
+        window.fetch(config.ajax_url, { method: 'POST', body: body, credentials: 'same-origin' })
+            .then(function(response) {
+                var type = response.headers.get('Content-Type') || '';
+
+                if (response.ok && type.indexOf('application/pdf') !== -1) {
+                    return response.blob().then(function(blob) {
+                        saveBlob(blob, getFilename(response));
+                    });
+                }
+
+                // wp_send_json_error() responses carry the reason
+                return response.json().then(function(json) {
+                    throw new Error(json && json.data && json.data.message ? json.data.message : config.strings.error);
+                }, function() {
+                    throw new Error(config.strings.error);
+                });
+            })
+            .catch(function(error) {
+                showError(block, error.message || config.strings.error);
+            })
+            .then(function() {
+                button.disabled = false;
+                button.removeAttribute('aria-busy');
+                button.textContent = label;
+            });
+    }
+
+    document.addEventListener('click', function(e) {
+        var button = e.target.closest ? e.target.closest('.b2brouter-invoice-block-download') : null;
+
+        if (!button || button.disabled) {
+            return;
+        }
+
+        e.preventDefault();
+        download(button);
+    });
+})(window, document);
@@ -0,0 +1,227 @@
+/**
+ * B2Brouter Log Viewer
+ *
+ * Fills the Invoices → Logs table from the b2brouter_logs AJAX action,
+ * reloads it when a filter changes, loads older entries on request and,
+ * while "Show new entries" is ticked, adds new entries at the top. The
+ * filter bar doubles as the export form.
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    var settings = window.b2brouterLogs;
+    var newestId = 0;
+    var oldestId = 0;
+    var loading = false;
+    var generation = 0;
+    var filterTimer = null;
+
+    /**
+     * Current filter values
+     */
+    function getFilters() {
+        return {
+            level: $('#b2brouter_logs_level').val(),
+            order_id: $.trim($('#b2brouter_logs_order').val()),
+            invoice_id: $.trim($('#b2brouter_logs_invoice').val()),
+            search: $.trim($('#b2brouter_logs_search').val())
+        };
+    }
+
+    /**
+     * Fetch entries for the current filters
+     */
+    function request(extra) {
+        return $.ajax({
+            url: settings.ajax_url,
+            type: 'POST',
+            data: $.extend({action: 'b2brouter_logs', nonce: settings.nonce}, getFilters(), extra)
+        });
+    }
+
+    /**
+     * Build one table row
+     */
+    function renderRow(entry) {
+        var $order = $('<td>').addClass('column-order');
+        var $invoice = $('<td>').addClass('column-invoice');
+
+        if (entry.order_id) {
+            var label = settings.strings.order.replace('%d', entry.order_id);
+            $order.append(entry.order_url ? $('<a>').attr('href', entry.order_url).text(label) : $('<span>').text(label));
+        }
+
+        if (entry.invoice_id !== '') {
+            $invoice.append(
+                $('<button type="button">').addClass('button-link b2brouter-logs-filter-invoice')
+                    .attr('title', settings.strings.filter_invoice)
+                    .data('invoice', entry.invoice_id)
+                    .text(entry.invoice_id)
+            );
+        }
+
+        return $('<tr>').attr('data-id', entry.id).append(
+            $('<td>').addClass('column-date').text(entry.date),
+            $('<td>').addClass('column-level').append(
+                $('<span>').addClass('b2brouter-logs-level level-' + entry.level).text(settings.levels[entry.level] || entry.level)
+            ),
+            $order,
+            $invoice,
+            $('<td>').addClass('b2brouter-logs-message').text(entry.message)
+        );
+    }
+
+    /**
+     * Replace the table with the newest entries matching the filters
+     */
+    function load() {
+        var $tbody = $('.b2brouter-logs-table tbody');
+        var current = ++generation;
+
+        loading = true;
+        $('.b2brouter-logs').attr('aria-busy', 'true');
+
+        request({}).done(function(response) {
+            // A newer filter change superseded this request
+            if (current !== generation) {
+                return;
+            }
+
+            if (!response.success) {
+                showError($tbody);
+                return;
+            }
+
+            $tbody.empty();
+            newestId = 0;
+            oldestId = 0;
+
+            if (!response.data.entries.length) {
+                $tbody.append($('<tr>').append($('<td colspan="5">').text(settings.strings.empty)));
+            }
+
+            appendEntries($tbody, response.data);
+            $('.b2brouter-logs-status').text('');
+        }).fail(function() {
+            if (current === generation) {
+                showError($tbody);
+            }
+        }).always(function() {
+            if (current === generation) {
+                loading = false;
+                $('.b2brouter-logs').attr('aria-busy', 'false');
+            }
+        });
+    }
+
+    /**
+     * Add entries below the ones shown
+     */
+    function appendEntries($tbody, data) {
+        $.each(data.entries, function(i, entry) {
+            $tbody.append(renderRow(entry));
+        });
+
+        if (data.entries.length) {
+            newestId = newestId || data.entries[0].id;
+            oldestId = data.entries[data.entries.length - 1].id;
+        }
+
+        $('.b2brouter-logs-more').prop('hidden', !data.has_more);
+    }
+
+    /**
+     * Replace the table with an error row
+     */
+    function showError($tbody) {
+        $tbody.empty().append($('<tr>').append($('<td colspan="5">').text(settings.strings.error)));
+        $('.b2brouter-logs-more').prop('hidden', true);
+    }
+
+    /**
+     * Load the page of entries older than the last one shown
+     */
+    function loadOlder() {
+        var $button = $('.b2brouter-logs-more button').prop('disabled', true);
+        var current = generation;
+
+        request({before_id: oldestId}).done(function(response) {
+            if (current === generation && response.success) {
+                appendEntries($('.b2brouter-logs-table tbody'), response.data);
+            }
+        }).always(function() {
+            $button.prop('disabled', false);
+        });
+    }
+
+    /**
+     * Add entries logged since the newest one shown
+     */
+    function tail() {
+        if (loading || document.hidden || !$('#b2brouter_logs_tail').is(':checked')) {
+            return;
+        }
+
+        var current = generation;
+
+        request({after_id: newestId}).done(function(response) {
+            if (current !== generation || !response.success || !response.data.entries.length) {
+                return;
+            }
+
+            // Too many to stitch in: start over from the newest page
+            if (response.data.has_more || !newestId) {
+                load();
+                return;
+            }
+
+            var $tbody = $('.b2brouter-logs-table tbody');
+
+            $.each(response.data.entries.slice().reverse(), function(i, entry) {
+                $tbody.prepend(renderRow(entry).addClass('is-new'));
+            });
+
+            newestId = response.data.entries[0].id;
+            $('.b2brouter-logs-status').text(settings.strings.new_entries.replace('%d', response.data.entries.length));
+        });
+    }
+
+    $(document).ready(function() {
+        var $form = $('.b2brouter-logs-filters');
+
+        if (!settings || !$form.length) {
+            return;
+        }
+
+        $form.on('change', 'select', load);
+
+        $form.on('input', 'input[type="search"]', function() {
+            clearTimeout(filterTimer);
+            filterTimer = setTimeout(load, 300);
+        });
+
+        // Enter filters; only the Export button submits the form
+        $form.on('keydown', 'input[type="search"]', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(filterTimer);
+                load();
+            }
+        });
+
+        $(document).on('click', '.b2brouter-logs-filter-invoice', function() {
+            $('#b2brouter_logs_invoice').val($(this).data('invoice'));
+            load();
+        });
+
+        $('.b2brouter-logs-more button').on('click', loadOlder);
+
+        load();
+        setInterval(tail, settings.tail_interval);
+    });
+
+})(jQuery);
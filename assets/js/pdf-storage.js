@@ -0,0 +1,349 @@
+/**
+ * B2Brouter PDF Storage Panel
+ *
+ * Drives the storage panel on the settings page: charts the daily cache size,
+ * runs a scan through the b2brouter_pdf_storage_* AJAX actions, and lets the
+ * admin delete old or orphan PDFs, download missing ones again or clear stale
+ * references, polling each job until it completes.
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    var settings = window.b2brouterPdfStorage;
+    var scan = null;
+    var busy = false;
+    var previewTimer = null;
+
+    /**
+     * POST to one of the storage AJAX actions
+     */
+    function request(action, data) {
+        return $.ajax({
+            url: settings.ajax_url,
+            type: 'POST',
+            data: $.extend({action: action, nonce: settings.nonce}, data)
+        });
+    }
+
+    /**
+     * Cleanup age currently entered in the panel
+     */
+    function getDays() {
+        return parseInt($('#b2brouter_pdf_storage_days').val(), 10) || '';
+    }
+
+    /**
+     * Disable the panel buttons while a job runs
+     */
+    function setBusy($panel, value) {
+        busy = value;
+        $panel.attr('aria-busy', value ? 'true' : 'false');
+        $panel.find('.b2brouter-pdf-storage-scan').prop('disabled', value);
+        updateActionButtons($panel);
+    }
+
+    /**
+     * Show job progress
+     */
+    function showProgress($panel, job) {
+        var template = job.type === 'scan' ? settings.strings.scan_progress : settings.strings.action_progress;
+
+        $panel.find('.b2brouter-pdf-storage-progress').prop('hidden', false)
+            .find('progress').attr('value', job.total ? Math.round(job.processed / job.total * 100) : 100);
+
+        $panel.find('.b2brouter-pdf-storage-progress-text').text(
+            template.replace('%1$d', job.processed).replace('%2$d', job.total)
+        );
+    }
+
+    /**
+     * Start a scan or an action, then poll it to completion
+     */
+    function runTask($panel, task) {
+        setBusy($panel, true);
+        $panel.find('.b2brouter-pdf-storage-outcome').empty();
+
+        request('b2brouter_pdf_storage_start', {
+            task: task,
+            scan_job_id: scan ? scan.job_id : '',
+            days: getDays()
+        }).done(function(response) {
+            if (!response.success) {
+                fail($panel, response.data && response.data.message);
+                return;
+            }
+
+            poll($panel, response.data);
+        }).fail(function() {
+            fail($panel);
+        });
+    }
+
+    /**
+     * Process chunks until the job completes
+     */
+    function poll($panel, job) {
+        showProgress($panel, job);
+
+        if (job.complete) {
+            finish($panel, job);
+            return;
+        }
+
+        request('b2brouter_pdf_storage_process', {
+            job_id: job.job_id,
+            days: getDays()
+        }).done(function(response) {
+            if (!response.success) {
+                fail($panel, response.data && response.data.message);
+                return;
+            }
+
+            poll($panel, response.data);
+        }).fail(function() {
+            fail($panel);
+        });
+    }
+
+    /**
+     * Show a scan result, or report an action and scan again
+     */
+    function finish($panel, job) {
+        $panel.find('.b2brouter-pdf-storage-progress').prop('hidden', true);
+
+        if (job.type === 'scan') {
+            scan = job;
+            setBusy($panel, false);
+            renderScan($panel);
+            return;
+        }
+
+        var $outcome = $panel.find('.b2brouter-pdf-storage-outcome').append(
+            $('<p>').text(settings.strings.action_done.replace('%d', job.done))
+        );
+
+        if (job.failures.length) {
+            var $failures = $('<ul>').addClass('b2brouter-pdf-storage-failures');
+
+            $.each(job.failures, function(i, failure) {
+                $('<li>').append($('<strong>').text(failure.label), ' ', document.createTextNode(failure.message)).appendTo($failures);
+            });
+
+            $outcome.append($('<p>').addClass('error').text(settings.strings.action_failures.replace('%d', job.failures.length)), $failures);
+        }
+
+        // Refresh the lists so they reflect what the action changed
+        runTask($panel, 'scan');
+    }
+
+    /**
+     * Report a failed request
+     */
+    function fail($panel, message) {
+        $panel.find('.b2brouter-pdf-storage-progress').prop('hidden', true);
+        $panel.find('.b2brouter-pdf-storage-outcome').empty().append(
+            $('<p>').addClass('error').text(message || settings.strings.error)
+        );
+        setBusy($panel, false);
+    }
+
+    /**
+     * Enable each action button only when it has something to act on
+     */
+    function updateActionButtons($panel) {
+        var counts = scan ? {
+            cleanup: scan.cleanup.count,
+            delete_orphans: scan.orphans.count,
+            redownload: scan.missing.count,
+            forget_missing: scan.missing.count
+        } : {};
+
+        $panel.find('.b2brouter-pdf-storage-action').each(function() {
+            $(this).prop('disabled', busy || !counts[$(this).data('action')]);
+        });
+    }
+
+    /**
+     * Fill a file list with "name, size, date" rows
+     */
+    function renderFileList($group, files) {
+        var $list = $group.find('.b2brouter-pdf-storage-list').empty();
+
+        $group.find('.b2brouter-pdf-storage-summary').text(
+            settings.strings.files_summary.replace('%1$d', files.count).replace('%2$s', files.size_label)
+        );
+
+        $.each(files.files, function(i, file) {
+            $('<li>').append(
+                $('<code>').text(file.name),
+                ' ',
+                $('<span>').addClass('description').text(file.size_label + (file.modified ? ' · ' + file.modified : ''))
+            ).appendTo($list);
+        });
+
+        appendMore($list, files.count - files.files.length);
+    }
+
+    /**
+     * Note how many rows were left out of a list
+     */
+    function appendMore($list, hidden) {
+        if (hidden > 0) {
+            $('<li>').addClass('description').text(settings.strings.more.replace('%d', hidden)).appendTo($list);
+        } else if (!$list.children().length) {
+            $('<li>').addClass('description').text(settings.strings.none).appendTo($list);
+        }
+    }
+
+    /**
+     * Render the result of the last scan
+     */
+    function renderScan($panel) {
+        $panel.find('.b2brouter-pdf-storage-results').prop('hidden', false);
+        $panel.find('.b2brouter-pdf-storage-total').text(
+            settings.strings.files_summary.replace('%1$d', scan.storage.count).replace('%2$s', scan.storage.size_label)
+        );
+
+        renderFileList($panel.find('[data-group="cleanup"]'), scan.cleanup);
+        renderFileList($panel.find('[data-group="orphans"]'), scan.orphans);
+
+        var $missing = $panel.find('[data-group="missing"]');
+        var $list = $missing.find('.b2brouter-pdf-storage-list').empty();
+
+        $missing.find('.b2brouter-pdf-storage-summary').text(settings.strings.missing_summary.replace('%d', scan.missing.count));
+
+        $.each(scan.missing.orders, function(i, entry) {
+            var label = '#' + entry.order_number + (entry.is_refund ? ' (' + settings.strings.refund + ')' : '');
+
+            $('<li>').append(
+                entry.edit_url ? $('<a>').attr('href', entry.edit_url).text(label) : $('<span>').text(label),
+                ' ',
+                $('<code>').text(entry.file)
+            ).appendTo($list);
+        });
+
+        appendMore($list, scan.missing.count - scan.missing.orders.length);
+
+        renderHistory($panel, scan.history);
+        updateActionButtons($panel);
+    }
+
+    /**
+     * Cache size per day, as a bar chart
+     */
+    function renderHistory($panel, history) {
+        var $container = $panel.find('.b2brouter-pdf-storage-history').empty();
+        var max = 0;
+
+        if (!history.length) {
+            $container.append($('<p>').addClass('description').text(settings.strings.history_empty));
+            return;
+        }
+
+        $.each(history, function(i, day) {
+            max = Math.max(max, day.size);
+        });
+
+        var $chart = $('<ol>').addClass('b2brouter-pdf-storage-chart');
+
+        $.each(history, function(i, day) {
+            var label = settings.strings.bar_label
+                .replace('%1$s', day.label)
+                .replace('%2$s', day.size_label)
+                .replace('%3$d', day.count);
+
+            $('<li>').attr({title: label, 'aria-label': label}).append(
+                $('<span>').addClass('b2brouter-pdf-storage-bar')
+                    .css('height', max ? Math.max(2, Math.round(day.size / max * 100)) + '%' : '2px'),
+                $('<span>').addClass('b2brouter-pdf-storage-bar-label').text(day.label)
+            ).appendTo($chart);
+        });
+
+        $container.append($chart);
+    }
+
+    /**
+     * Recompute the cleanup preview after the age changes
+     */
+    function refreshPreview($panel) {
+        if (!scan || busy || !getDays()) {
+            return;
+        }
+
+        request('b2brouter_pdf_storage_preview', {
+            scan_job_id: scan.job_id,
+            days: getDays()
+        }).done(function(response) {
+            if (!response.success) {
+                fail($panel, response.data && response.data.message);
+                return;
+            }
+
+            scan.cleanup = response.data;
+            renderFileList($panel.find('[data-group="cleanup"]'), scan.cleanup);
+            updateActionButtons($panel);
+        });
+    }
+
+    /**
+     * Confirmation text for an action, or null when it needs none
+     */
+    function getConfirmation(action) {
+        switch (action) {
+            case 'cleanup':
+                return settings.strings.confirm_cleanup.replace('%d', scan.cleanup.count);
+            case 'delete_orphans':
+                return settings.strings.confirm_orphans.replace('%d', scan.orphans.count);
+            case 'forget_missing':
+                return settings.strings.confirm_forget.replace('%d', scan.missing.count);
+        }
+
+        return null;
+    }
+
+    $(document).ready(function() {
+        var $panel = $('#b2brouter_pdf_storage');
+
+        if (!settings || !$panel.length) {
+            return;
+        }
+
+        renderHistory($panel, settings.history);
+        updateActionButtons($panel);
+
+        $panel.on('click', '.b2brouter-pdf-storage-scan', function() {
+            runTask($panel, 'scan');
+        });
+
+        $panel.on('click', '.b2brouter-pdf-storage-action', function() {
+            var action = $(this).data('action');
+            var confirmation = getConfirmation(action);
+
+            if (confirmation && !window.confirm(confirmation)) {
+                return;
+            }
+
+            runTask($panel, action);
+        });
+
+        // The panel sits inside the settings form; Enter must not submit it
+        $panel.on('keydown', '#b2brouter_pdf_storage_days', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                refreshPreview($panel);
+            }
+        });
+
+        $panel.on('input', '#b2brouter_pdf_storage_days', function() {
+            clearTimeout(previewTimer);
+            previewTimer = setTimeout(function() {
+                refreshPreview($panel);
+            }, 400);
+        });
+    });
+
+})(jQuery);
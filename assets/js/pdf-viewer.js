@@ -0,0 +1,428 @@
+/**
+ * B2Brouter PDF Viewer
+ *
+ * Modal PDF viewer shared by the admin screens and My Account. The PDF is
+ * fetched from admin-ajax.php as a blob and shown with the browser's own PDF
+ * renderer; page and zoom are driven through the PDF open parameters
+ * (#page=…&zoom=…), so no PDF library has to be bundled.
+ *
+ * Usage:
+ *   b2brouterPdfViewer.open({
+ *       url: ajaxUrl,
+ *       data: { action: 'b2brouter_download_pdf', nonce: nonce, order_id: 42 },
+ *       title: 'Invoice',        // optional, defaults to the PDF filename
+ *       trigger: buttonElement   // optional, receives focus again on close
+ *   });
+ *
+ * Keyboard: Escape closes, Left/Right and PageUp/PageDown change page,
+ * + and - zoom, 0 resets the zoom. Tab stays inside the dialog.
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+(function($, window) {
+    'use strict';
+
+    var ZOOM_LEVELS = [50, 75, 100, 125, 150, 200, 300];
+    var DEFAULT_ZOOM = 100;
+
+    var strings = (window.b2brouterPdfViewerL10n && window.b2brouterPdfViewerL10n.strings) || {};
+
+    var $viewer = null;
+    var state = null;
+
+    /**
+     * Build the dialog markup once and wire its controls
+     */
+    function getViewer() {
+        if ($viewer) {
+            return $viewer;
+        }
+
+        $viewer = $(
+            '<div class="b2brouter-pdf-viewer" hidden>' +
+                '<div class="b2brouter-pdf-viewer-backdrop"></div>' +
+                '<div class="b2brouter-pdf-viewer-dialog" role="dialog" aria-modal="true" aria-labelledby="b2brouter-pdf-viewer-title">' +
+                    '<div class="b2brouter-pdf-viewer-toolbar" role="toolbar">' +
+                        '<h2 class="b2brouter-pdf-viewer-title" id="b2brouter-pdf-viewer-title"></h2>' +
+                        '<div class="b2brouter-pdf-viewer-group">' +
+                            '<button type="button" class="b2brouter-pdf-viewer-prev"><span class="dashicons dashicons-arrow-left-alt2" aria-hidden="true"></span></button>' +
+                            '<span class="b2brouter-pdf-viewer-page" aria-live="polite"></span>' +
+                            '<button type="button" class="b2brouter-pdf-viewer-next"><span class="dashicons dashicons-arrow-right-alt2" aria-hidden="true"></span></button>' +
+                        '</div>' +
+                        '<div class="b2brouter-pdf-viewer-group">' +
+                            '<button type="button" class="b2brouter-pdf-viewer-zoom-out"><span class="dashicons dashicons-minus" aria-hidden="true"></span></button>' +
+                            '<span class="b2brouter-pdf-viewer-zoom" aria-live="polite"></span>' +
+                            '<button type="button" class="b2brouter-pdf-viewer-zoom-in"><span class="dashicons dashicons-plus" aria-hidden="true"></span></button>' +
+                        '</div>' +
+                        '<div class="b2brouter-pdf-viewer-group">' +
+                            '<a class="b2brouter-pdf-viewer-download" role="button"><span class="dashicons dashicons-download" aria-hidden="true"></span></a>' +
+                            '<button type="button" class="b2brouter-pdf-viewer-print"><span class="dashicons dashicons-printer" aria-hidden="true"></span></button>' +
+                            '<button type="button" class="b2brouter-pdf-viewer-close"><span class="dashicons dashicons-no-alt" aria-hidden="true"></span></button>' +
+                        '</div>' +
+                    '</div>' +
+                    '<div class="b2brouter-pdf-viewer-body">' +
+                        '<p class="b2brouter-pdf-viewer-loading"><span class="dashicons dashicons-update dashicons-spin" aria-hidden="true"></span> </p>' +
+                        '<p class="b2brouter-pdf-viewer-error" role="alert" hidden></p>' +
+                        '<iframe class="b2brouter-pdf-viewer-frame" hidden></iframe>' +
+                    '</div>' +
+                '</div>' +
+            '</div>'
+        );
+
+        // Labels go through .attr()/.append() so translations are escaped
+        $viewer.find('.b2brouter-pdf-viewer-toolbar').attr('aria-label', strings.toolbar);
+        $viewer.find('.b2brouter-pdf-viewer-prev').attr({'aria-label': strings.previous_page, title: strings.previous_page});
+        $viewer.find('.b2brouter-pdf-viewer-next').attr({'aria-label': strings.next_page, title: strings.next_page});
+        $viewer.find('.b2brouter-pdf-viewer-zoom-out').attr({'aria-label': strings.zoom_out, title: strings.zoom_out});
+        $viewer.find('.b2brouter-pdf-viewer-zoom-in').attr({'aria-label': strings.zoom_in, title: strings.zoom_in});
+        $viewer.find('.b2brouter-pdf-viewer-download').attr({'aria-label': strings.download, title: strings.download});
+        $viewer.find('.b2brouter-pdf-viewer-print').attr({'aria-label': strings.print, title: strings.print});
+        $viewer.find('.b2brouter-pdf-viewer-close').attr({'aria-label': strings.close, title: strings.close});
+        $viewer.find('.b2brouter-pdf-viewer-loading').append(document.createTextNode(strings.loading));
+
+        $viewer.on('click', '.b2brouter-pdf-viewer-backdrop, .b2brouter-pdf-viewer-close', close);
+        $viewer.on('click', '.b2brouter-pdf-viewer-prev', function() { goToPage(state.page - 1); });
+        $viewer.on('click', '.b2brouter-pdf-viewer-next', function() { goToPage(state.page + 1); });
+        $viewer.on('click', '.b2brouter-pdf-viewer-zoom-out', function() { stepZoom(-1); });
+        $viewer.on('click', '.b2brouter-pdf-viewer-zoom-in', function() { stepZoom(1); });
+        $viewer.on('click', '.b2brouter-pdf-viewer-print', print);
+        $viewer.on('click', '.b2brouter-pdf-viewer-download', function(e) {
+            if (!state || !state.blobUrl) {
+                e.preventDefault();
+            }
+        });
+        $viewer.on('keydown', handleKeydown);
+
+        $('body').append($viewer);
+
+        return $viewer;
+    }
+
+    /**
+     * Open the viewer and fetch the PDF
+     */
+    function open(options) {
+        if (state) {
+            close();
+        }
+
+        var $dialog = getViewer();
+
+        state = {
+            blobUrl: '',
+            filename: '',
+            page: 1,
+            pageCount: 0,
+            zoom: DEFAULT_ZOOM,
+            title: options.title || '',
+            trigger: options.trigger || document.activeElement,
+            xhr: null
+        };
+
+        $dialog.find('.b2brouter-pdf-viewer-title').text(state.title || strings.title);
+        $dialog.find('.b2brouter-pdf-viewer-loading').prop('hidden', false);
+        $dialog.find('.b2brouter-pdf-viewer-error').prop('hidden', true).text('');
+        $dialog.find('.b2brouter-pdf-viewer-frame').prop('hidden', true).attr('title', state.title || strings.title);
+        $dialog.find('.b2brouter-pdf-viewer-download').removeAttr('href download');
+        updateControls();
+
+        $dialog.prop('hidden', false);
+        $('body').addClass('b2brouter-pdf-viewer-open');
+        $dialog.find('.b2brouter-pdf-viewer-close').trigger('focus');
+
+        fetchPdf(options.url, options.data);
+    }
+
+    /**
+     * POST the request and keep the response as a blob
+     */
+    function fetchPdf(url, data) {
+        var xhr = new XMLHttpRequest();
+        var body = new FormData();
+
+        $.each(data || {}, function(name, value) {
+            body.append(name, value);
+        });
+
+        xhr.open('POST', url);
+        xhr.responseType = 'blob';
+
+        xhr.onload = function() {
+            if (!state || state.xhr !== xhr) {
+                return;
+            }
+
+            var contentType = xhr.getResponseHeader('Content-Type') || '';
+
+            if (xhr.status !== 200 || contentType.indexOf('application/pdf') === -1) {
+                // Read asynchronously: the viewer may be closed, or showing another PDF, by then
+                readErrorMessage(xhr.response, function(message) {
+                    if (state && state.xhr === xhr) {
+                        showError(message);
+                    }
+                });
+                return;
+            }
+
+            state.blobUrl = URL.createObjectURL(xhr.response);
+            state.filename = getFilename(xhr.getResponseHeader('Content-Disposition'));
+            state.pageCount = parseInt(xhr.getResponseHeader('X-B2Brouter-Page-Count'), 10) || 0;
+
+            showPdf();
+        };
+
+        xhr.onerror = function() {
+            if (state && state.xhr === xhr) {
+                showError(strings.error);
+            }
+        };
+
+        state.xhr = xhr;
+        xhr.send(body);
+    }
+
+    /**
+     * Show the loaded PDF in the frame
+     */
+    function showPdf() {
+        var $dialog = getViewer();
+        var label = state.title || state.filename || strings.title;
+
+        $dialog.find('.b2brouter-pdf-viewer-title').text(label);
+        $dialog.find('.b2brouter-pdf-viewer-loading').prop('hidden', true);
+        $dialog.find('.b2brouter-pdf-viewer-download').attr({
+            href: state.blobUrl,
+            download: state.filename || 'invoice.pdf'
+        });
+        $dialog.find('.b2brouter-pdf-viewer-frame').attr('title', label).prop('hidden', false);
+
+        renderFrame();
+    }
+
+    /**
+     * Show an error in place of the PDF
+     */
+    function showError(message) {
+        var $dialog = getViewer();
+
+        if (!state) {
+            return;
+        }
+
+        $dialog.find('.b2brouter-pdf-viewer-loading').prop('hidden', true);
+        $dialog.find('.b2brouter-pdf-viewer-error').text(message).prop('hidden', false);
+        updateControls();
+    }
+
+    /**
+     * Point the frame at the current page and zoom
+     */
+    function renderFrame() {
+        getViewer().find('.b2brouter-pdf-viewer-frame').attr(
+            'src',
+            state.blobUrl + '#page=' + state.page + '&zoom=' + state.zoom
+        );
+        updateControls();
+    }
+
+    /**
+     * Sync toolbar state (labels and disabled buttons) with the viewer state
+     */
+    function updateControls() {
+        var $dialog = getViewer();
+        var ready = !!state.blobUrl;
+        var zoomIndex = ZOOM_LEVELS.indexOf(state.zoom);
+        var pageLabel = state.pageCount
+            ? strings.page_of.replace('%1$d', state.page).replace('%2$d', state.pageCount)
+            : strings.page.replace('%d', state.page);
+
+        $dialog.find('.b2brouter-pdf-viewer-page').text(ready ? pageLabel : '');
+        $dialog.find('.b2brouter-pdf-viewer-zoom').text(ready ? state.zoom + '%' : '');
+
+        $dialog.find('.b2brouter-pdf-viewer-prev').prop('disabled', !ready || state.page <= 1);
+        $dialog.find('.b2brouter-pdf-viewer-next').prop('disabled', !ready || (state.pageCount > 0 && state.page >= state.pageCount));
+        $dialog.find('.b2brouter-pdf-viewer-zoom-out').prop('disabled', !ready || zoomIndex <= 0);
+        $dialog.find('.b2brouter-pdf-viewer-zoom-in').prop('disabled', !ready || zoomIndex >= ZOOM_LEVELS.length - 1);
+        $dialog.find('.b2brouter-pdf-viewer-print').prop('disabled', !ready);
+        $dialog.find('.b2brouter-pdf-viewer-download').attr('aria-disabled', ready ? 'false' : 'true');
+    }
+
+    /**
+     * Move to a page, staying within the document when its length is known
+     */
+    function goToPage(page) {
+        if (!state || !state.blobUrl || page < 1 || (state.pageCount > 0 && page > state.pageCount)) {
+            return;
+        }
+
+        state.page = page;
+        renderFrame();
+    }
+
+    /**
+     * Move one step up or down the zoom levels
+     */
+    function stepZoom(direction) {
+        if (!state || !state.blobUrl) {
+            return;
+        }
+
+        var index = ZOOM_LEVELS.indexOf(state.zoom) + direction;
+
+        if (index < 0 || index >= ZOOM_LEVELS.length) {
+            return;
+        }
+
+        state.zoom = ZOOM_LEVELS[index];
+        renderFrame();
+    }
+
+    /**
+     * Print through the browser's PDF renderer, or open the PDF if it refuses
+     */
+    function print() {
+        var frame = getViewer().find('.b2brouter-pdf-viewer-frame').get(0);
+
+        try {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        } catch (e) {
+            window.open(state.blobUrl, '_blank');
+        }
+    }
+
+    /**
+     * Keyboard shortcuts and focus trap
+     *
+     * Once focus is inside the PDF frame the browser's renderer owns the
+     * keyboard; Tab back to the toolbar to use these shortcuts again.
+     */
+    function handleKeydown(e) {
+        if (!state) {
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+            return;
+        }
+
+        if (e.key === 'Tab') {
+            var $focusable = getViewer()
+                .find('button:not(:disabled), a[href], iframe:not([hidden])')
+                .filter(':visible');
+            var first = $focusable.get(0);
+            var last = $focusable.get($focusable.length - 1);
+
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'PageUp':
+                e.preventDefault();
+                goToPage(state.page - 1);
+                break;
+            case 'ArrowRight':
+            case 'PageDown':
+                e.preventDefault();
+                goToPage(state.page + 1);
+                break;
+            case '+':
+            case '=':
+                e.preventDefault();
+                stepZoom(1);
+                break;
+            case '-':
+                e.preventDefault();
+                stepZoom(-1);
+                break;
+            case '0':
+                e.preventDefault();
+                if (state.blobUrl) {
+                    state.zoom = DEFAULT_ZOOM;
+                    renderFrame();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Close the viewer, free the blob and give focus back to the trigger
+     */
+    function close() {
+        if (!state) {
+            return;
+        }
+
+        var current = state;
+        state = null;
+
+        if (current.xhr) {
+            current.xhr.abort();
+        }
+
+        $viewer.prop('hidden', true);
+        $viewer.find('.b2brouter-pdf-viewer-frame').attr('src', 'about:blank');
+        $('body').removeClass('b2brouter-pdf-viewer-open');
+
+        if (current.blobUrl) {
+            URL.revokeObjectURL(current.blobUrl);
+        }
+
+        if (current.trigger && current.trigger.focus) {
+            current.trigger.focus();
+        }
+    }
+
+    /**
+     * Extract the filename from a Content-Disposition header
+     */
+    function getFilename(disposition) {
+        var match = disposition ? disposition.match(/filename="?([^";]+)"?/i) : null;
+
+        return match ? match[1] : '';
+    }
+
+    /**
+     * Turn a failed response (wp_die text or a JSON error) into a message
+     */
+    function readErrorMessage(blob, callback) {
+        if (!blob || typeof blob.text !== 'function') {
+            callback(strings.error);
+            return;
+        }
+
+        blob.text().then(function(text) {
+            var message = '';
+
+            try {
+                var json = JSON.parse(text);
+                message = json && json.data && json.data.message ? json.data.message : '';
+            } catch (e) {
+                // Plain text or HTML from wp_die(); parse without running anything
+                message = new DOMParser().parseFromString(text, 'text/html').body.textContent;
+            }
+
+            callback($.trim(message) || strings.error);
+        }, function() {
+            callback(strings.error);
+        });
+    }
+
+    window.b2brouterPdfViewer = {
+        open: open,
+        close: close
+    };
+
+})(jQuery, window);
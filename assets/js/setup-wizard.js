@@ -0,0 +1,388 @@
+/**
+ * B2Brouter Setup Wizard
+ *
+ * Drives the step-by-step setup on the welcome page. Each step is checked
+ * with the AJAX actions the settings page already uses, then saved with
+ * b2brouter_setup_save_step, which records the progress so a reload resumes
+ * at the first unfinished step. The number preview, secret generation and
+ * copy buttons are handled by admin.js.
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    var settings = window.b2brouterSetupWizard;
+    var $wizard = $();
+    var completed = [];
+
+    // Accounts returned by the last key validation, reused by the account step
+    var validation = null;
+
+    /**
+     * Get the panel of a step
+     */
+    function getStep(step) {
+        return $wizard.find('.b2brouter-wizard-step[data-step="' + step + '"]');
+    }
+
+    /**
+     * First step that has not been saved yet
+     */
+    function getResumeStep() {
+        for (var i = 0; i < settings.steps.length; i++) {
+            if ($.inArray(settings.steps[i], completed) === -1) {
+                return settings.steps[i];
+            }
+        }
+
+        return settings.steps[settings.steps.length - 1];
+    }
+
+    /**
+     * Show one step and move focus to its heading
+     */
+    function showStep(step) {
+        $wizard.find('.b2brouter-wizard-step').prop('hidden', true);
+        getStep(step).prop('hidden', false).find('h3').trigger('focus');
+
+        updateNav(step);
+
+        if (step === 'account') {
+            showAccounts();
+        }
+    }
+
+    /**
+     * Mark done, current and reachable steps in the step list
+     */
+    function updateNav(current) {
+        var resume = getResumeStep();
+
+        $wizard.find('.b2brouter-wizard-steps li').each(function() {
+            var $item = $(this);
+            var step = $item.data('step');
+            var done = $.inArray(step, completed) !== -1;
+
+            $item.toggleClass('is-done', done).toggleClass('is-current', step === current);
+            $item.find('button')
+                .prop('disabled', !done && step !== resume && step !== current)
+                .attr('aria-current', step === current ? 'step' : null);
+        });
+    }
+
+    /**
+     * Render an inline status indicator. Message is inserted as text.
+     */
+    function renderResult($el, statusClass, message) {
+        $el.removeClass('success error').empty();
+
+        if (!message) {
+            return;
+        }
+
+        $el.addClass(statusClass)
+            .append($('<span>').addClass('dashicons ' + (statusClass === 'success' ? 'dashicons-yes-alt' : 'dashicons-warning')))
+            .append(document.createTextNode(' ' + message));
+    }
+
+    /**
+     * Read the named fields of a step as a flat object
+     */
+    function getStepData($step) {
+        var data = {};
+
+        $step.find('input[name], select[name]').each(function() {
+            var $input = $(this);
+            // The pattern radios keep the settings page name for admin.js
+            var name = $input.attr('name') === 'b2brouter_invoice_numbering_pattern' ? 'numbering_pattern' : $input.attr('name');
+
+            if ($input.is(':radio')) {
+                if ($input.is(':checked')) {
+                    data[name] = $input.val();
+                }
+            } else if ($input.is(':checkbox')) {
+                data[name] = $input.is(':checked') ? $input.val() : '';
+            } else {
+                data[name] = $input.val();
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * POST to admin-ajax and resolve with response.data, or reject with a message
+     */
+    function request(action, data) {
+        return $.ajax({
+            url: settings.ajax_url,
+            type: 'POST',
+            data: $.extend({action: action, nonce: settings.nonce}, data)
+        }).then(function(response) {
+            if (!response.success) {
+                return $.Deferred().reject(response.data && response.data.message ? response.data.message : settings.strings.error).promise();
+            }
+
+            return response.data;
+        }, function() {
+            return $.Deferred().reject(settings.strings.error).promise();
+        });
+    }
+
+    /**
+     * Save a step and refresh the progress and summary from the response
+     */
+    function saveStep(step) {
+        return request('b2brouter_setup_save_step', $.extend({step: step}, getStepData(getStep(step))))
+            .then(function(data) {
+                completed = data.progress.completed;
+                renderSummary(data.summary);
+                return data;
+            });
+    }
+
+    /**
+     * Check the key with B2Brouter, then save it
+     */
+    function validateAndSaveApiKey() {
+        var apiKey = $('#b2brouter_wizard_api_key').val().trim();
+
+        if (!apiKey) {
+            return $.Deferred().reject(settings.strings.api_key_required).promise();
+        }
+
+        return request('b2brouter_validate_api_key', {api_key: apiKey})
+            .then(function(data) {
+                validation = data;
+                return saveStep('api_key');
+            });
+    }
+
+    /**
+     * Fill the account step from the last validation, validating the saved key on resume
+     */
+    function showAccounts() {
+        var $step = getStep('account');
+        var $result = $step.find('.b2brouter-wizard-result');
+
+        if (!validation) {
+            renderResult($result, '', '');
+            $result.text(settings.strings.loading_accounts);
+
+            request('b2brouter_validate_api_key', {api_key: $('#b2brouter_wizard_api_key').val().trim()})
+                .done(function(data) {
+                    validation = data;
+                    $result.empty();
+                    showAccounts();
+                })
+                .fail(function(message) {
+                    renderResult($result, 'error', message);
+                });
+            return;
+        }
+
+        if (!validation.multiple_accounts) {
+            // Single account: already selected by the validation
+            $('#b2brouter_wizard_account_selector').hide();
+            $('#b2brouter_wizard_current_account').text(validation.message);
+            return;
+        }
+
+        var $select = $('#b2brouter_wizard_account_select').empty();
+
+        $.each(validation.accounts, function(i, account) {
+            $select.append($('<option>').val(account.id).text(account.label));
+        });
+
+        $('#b2brouter_wizard_account_selector').show();
+
+        if (!$('#b2brouter_wizard_current_account').text().trim()) {
+            $('#b2brouter_wizard_current_account').text(settings.strings.select_account);
+        }
+    }
+
+    /**
+     * Use the account picked in the selector
+     */
+    function selectAccount($button) {
+        var $result = getStep('account').find('.b2brouter-wizard-result');
+
+        $button.prop('disabled', true);
+        renderResult($result, '', '');
+
+        request('b2brouter_select_account', {account_id: $('#b2brouter_wizard_account_select').val()})
+            .done(function(data) {
+                $('#b2brouter_wizard_current_account').text(data.message);
+            })
+            .fail(function(message) {
+                renderResult($result, 'error', message);
+            })
+            .always(function() {
+                $button.prop('disabled', false);
+            });
+    }
+
+    /**
+     * Save the webhook step so the test runs against these values, then send a test event
+     */
+    function sendWebhookTest($button) {
+        var $result = $('#b2brouter_wizard_webhook_test_result');
+        var label = $button.text();
+
+        $button.prop('disabled', true).text(settings.strings.webhook_testing);
+        renderResult($result, '', '');
+
+        saveStep('webhook')
+            .then(function() {
+                return request('b2brouter_webhook_test', {});
+            })
+            .done(function(data) {
+                updateNav('webhook');
+                renderResult($result, 'success', data.message);
+            })
+            .fail(function(message) {
+                renderResult($result, 'error', message);
+            })
+            .always(function() {
+                $button.prop('disabled', false).text(label);
+            });
+    }
+
+    /**
+     * Issue a real invoice for the suggested order
+     */
+    function generateTestInvoice($button) {
+        var $result = $('#b2brouter_wizard_test_invoice_result');
+        var label = $button.text();
+
+        $button.prop('disabled', true).text(settings.strings.generating);
+        renderResult($result, '', '');
+
+        request('b2brouter_generate_invoice', {order_id: $button.data('order-id')})
+            .done(function(data) {
+                $button.hide();
+                renderResult($result, 'success', data.message);
+                $result.append(' ', $('<a>').attr('href', $button.data('order-url')).text(settings.strings.view_order));
+            })
+            .fail(function(message) {
+                renderResult($result, 'error', message);
+                $button.prop('disabled', false).text(label);
+            });
+    }
+
+    /**
+     * Replace the summary rows. Values are inserted as text.
+     */
+    function renderSummary(summary) {
+        var $summary = $wizard.find('.b2brouter-wizard-summary').empty();
+
+        $.each(summary, function(i, row) {
+            $summary.append($('<dt>').text(row.label), $('<dd>').text(row.value));
+        });
+    }
+
+    /**
+     * Check and save the current step, then move on
+     */
+    function nextStep($button) {
+        var $step = $button.closest('.b2brouter-wizard-step');
+        var step = $step.data('step');
+        var $result = $step.find('.b2brouter-wizard-result');
+        var label = $button.text();
+
+        $button.prop('disabled', true).text(step === 'api_key' ? settings.strings.validating : settings.strings.saving);
+        renderResult($result, '', '');
+
+        var saving = step === 'api_key' ? validateAndSaveApiKey() : saveStep(step);
+
+        saving
+            .done(function(data) {
+                if (step === 'summary') {
+                    updateNav(step);
+                    renderResult($result, 'success', data.message);
+                    $step.find('.b2brouter-wizard-finished').prop('hidden', false);
+                    return;
+                }
+
+                showStep(settings.steps[$.inArray(step, settings.steps) + 1]);
+            })
+            .fail(function(message) {
+                renderResult($result, 'error', message);
+            })
+            .always(function() {
+                $button.prop('disabled', false).text(label);
+            });
+    }
+
+    /**
+     * Show or hide the webhook URL, secret and test with the checkbox
+     */
+    function toggleWebhookFields() {
+        $wizard.find('.b2brouter-wizard-webhook-fields').toggle($('#b2brouter_wizard_webhook_enabled').is(':checked'));
+    }
+
+    $(document).ready(function() {
+        $wizard = $('#b2brouter-setup-wizard');
+
+        if (!settings || !$wizard.length) {
+            return;
+        }
+
+        completed = settings.progress.completed;
+
+        $wizard.on('click', '.b2brouter-wizard-next', function(e) {
+            e.preventDefault();
+            nextStep($(this));
+        });
+
+        $wizard.on('click', '.b2brouter-wizard-back', function(e) {
+            e.preventDefault();
+            var step = $(this).closest('.b2brouter-wizard-step').data('step');
+            showStep(settings.steps[$.inArray(step, settings.steps) - 1]);
+        });
+
+        $wizard.on('click', '.b2brouter-wizard-goto', function(e) {
+            e.preventDefault();
+            showStep($(this).data('step'));
+        });
+
+        // Enter in a text field continues instead of submitting nothing
+        $wizard.on('keydown', 'input[type="text"], input[type="password"]', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                $(this).closest('.b2brouter-wizard-step').find('.b2brouter-wizard-next').trigger('click');
+            }
+        });
+
+        // A new key needs a new account list
+        $('#b2brouter_wizard_api_key').on('input', function() {
+            validation = null;
+        });
+
+        $('#b2brouter_wizard_select_account').on('click', function(e) {
+            e.preventDefault();
+            selectAccount($(this));
+        });
+
+        $('#b2brouter_wizard_webhook_enabled').on('change', toggleWebhookFields);
+        toggleWebhookFields();
+
+        $('#b2brouter_wizard_webhook_test').on('click', function(e) {
+            e.preventDefault();
+            sendWebhookTest($(this));
+        });
+
+        $('#b2brouter_wizard_test_invoice').on('click', function(e) {
+            e.preventDefault();
+            generateTestInvoice($(this));
+        });
+
+        if (settings.progress.step === 'account') {
+            showAccounts();
+        }
+    });
+
+})(jQuery);
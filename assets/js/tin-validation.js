@@ -0,0 +1,230 @@
+/**
+ * B2Brouter TIN Validation
+ *
+ * Inline Tax ID / VAT number feedback on classic and block checkout. Mirrors
+ * Tin_Validator on the server: format rules come from b2brouterTinValidation,
+ * only the Spanish NIF/NIE/CIF check digit is computed here. In 'require'
+ * mode the server also rejects the order; this script only explains why
+ * before the customer gets that far.
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+(function($) {
+    'use strict';
+
+    var settings = window.b2brouterTinValidation;
+    var SPANISH_NIF_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+    var BLOCKS_FIELD_SELECTOR = 'input[id$="b2brouter/tin"], input[id$="b2brouter-tin"]';
+
+    /**
+     * Strip separators and uppercase, like Tin_Validator::normalize()
+     */
+    function normalize(tin) {
+        return String(tin || '').replace(/[\s.\-\/]/g, '').toUpperCase();
+    }
+
+    /**
+     * Get the VAT prefix for a billing country (Greece uses EL)
+     */
+    function getVatPrefix(country) {
+        country = String(country || '').toUpperCase();
+
+        return settings.prefixOverrides[country] || country;
+    }
+
+    /**
+     * Verify the check digit of a Spanish NIF (DNI, NIE, K/L/M) or CIF
+     */
+    function isValidSpanishTin(number) {
+        var matches;
+
+        if ((matches = number.match(/^(\d{8})([A-Z])$/))) {
+            return SPANISH_NIF_LETTERS.charAt(parseInt(matches[1], 10) % 23) === matches[2];
+        }
+
+        if ((matches = number.match(/^([XYZ])(\d{7})([A-Z])$/))) {
+            var digits = 'XYZ'.indexOf(matches[1]) + matches[2];
+            return SPANISH_NIF_LETTERS.charAt(parseInt(digits, 10) % 23) === matches[3];
+        }
+
+        if ((matches = number.match(/^[KLM](\d{7})([A-Z])$/))) {
+            return SPANISH_NIF_LETTERS.charAt(parseInt(matches[1], 10) % 23) === matches[2];
+        }
+
+        if ((matches = number.match(/^([ABCDEFGHJNPQRSUVW])(\d{7})([0-9A-J])$/))) {
+            var sum = 0;
+
+            for (var i = 0; i < 7; i++) {
+                var digit = parseInt(matches[2].charAt(i), 10);
+
+                if (i % 2 === 0) {
+                    digit *= 2;
+                    digit = Math.floor(digit / 10) + (digit % 10);
+                }
+
+                sum += digit;
+            }
+
+            var control = (10 - (sum % 10)) % 10;
+            var controlLetter = 'JABCDEFGHI'.charAt(control);
+
+            if ('NPQRSW'.indexOf(matches[1]) !== -1) {
+                return matches[3] === controlLetter;
+            }
+
+            if ('ABEH'.indexOf(matches[1]) !== -1) {
+                return matches[3] === String(control);
+            }
+
+            return matches[3] === String(control) || matches[3] === controlLetter;
+        }
+
+        return false;
+    }
+
+    /**
+     * Validate a TIN, returning the error message or '' when it passes
+     */
+    function validate(tin, country) {
+        var normalized = normalize(tin);
+
+        if (!normalized) {
+            return '';
+        }
+
+        var prefix = normalized.substring(0, 2);
+        var scheme = settings.rules[prefix] ? prefix : getVatPrefix(country);
+        var number = settings.rules[prefix] ? normalized.substring(2) : normalized;
+
+        if (!settings.rules[scheme]) {
+            return '';
+        }
+
+        if (!new RegExp('^(?:' + settings.rules[scheme] + ')$').test(number)) {
+            return settings.strings.format.replace('%s', scheme);
+        }
+
+        if (scheme === 'ES' && !isValidSpanishTin(number)) {
+            return settings.strings.checksum;
+        }
+
+        return '';
+    }
+
+    /**
+     * Show or clear the message below a TIN input
+     */
+    function showFeedback($input, $container, message) {
+        var feedbackId = ($input.attr('id') || 'b2brouter-tin').replace(/[^\w-]/g, '-') + '-feedback';
+        var $feedback = $('#' + feedbackId);
+
+        if (!message) {
+            $feedback.remove();
+            $input.removeAttr('aria-invalid aria-describedby');
+            return false;
+        }
+
+        if (!$feedback.length) {
+            $feedback = $('<p>', {
+                id: feedbackId,
+                'class': 'b2brouter-tin-feedback is-' + settings.mode,
+                role: 'alert'
+            });
+            $container.after($feedback);
+        }
+
+        $feedback.text(message);
+        $input.attr({'aria-invalid': 'true', 'aria-describedby': feedbackId});
+
+        return true;
+    }
+
+    /**
+     * Classic checkout: #billing_tin next to #billing_country
+     */
+    function validateClassicField() {
+        var $input = $('#billing_tin');
+
+        if (!$input.length) {
+            return;
+        }
+
+        var message = validate($input.val(), $('#billing_country').val());
+        var invalid = showFeedback($input, $input, message);
+
+        $input.closest('.form-row')
+            .toggleClass('woocommerce-invalid b2brouter-tin-invalid', invalid)
+            .toggleClass('woocommerce-validated', !invalid && !!normalize($input.val()));
+    }
+
+    /**
+     * Billing country from the block checkout store
+     */
+    function getBlocksCountry() {
+        if (!window.wp || !wp.data || !wp.data.select('wc/store/cart')) {
+            return '';
+        }
+
+        var customer = wp.data.select('wc/store/cart').getCustomerData();
+
+        return customer && customer.billingAddress ? customer.billingAddress.country : '';
+    }
+
+    /**
+     * Block checkout: the b2brouter/tin additional field
+     */
+    function validateBlocksField() {
+        var $input = $(BLOCKS_FIELD_SELECTOR).first();
+
+        if (!$input.length) {
+            return;
+        }
+
+        var $container = $input.closest('.wc-block-components-text-input');
+        var message = validate($input.val(), getBlocksCountry());
+
+        showFeedback($input, $container.length ? $container : $input, message);
+        $container.toggleClass('b2brouter-tin-invalid', !!message);
+    }
+
+    $(document).ready(function() {
+        if (!settings || settings.mode === 'off') {
+            return;
+        }
+
+        // Classic checkout: check when the customer leaves the field or changes country,
+        // and drop a stale message as soon as they start correcting it
+        $(document.body).on('change blur', '#billing_tin', validateClassicField);
+        $(document.body).on('change', '#billing_country', validateClassicField);
+        $(document.body).on('input', '#billing_tin', function() {
+            showFeedback($(this), $(this), '');
+            $(this).closest('.form-row').removeClass('woocommerce-invalid b2brouter-tin-invalid');
+        });
+        validateClassicField();
+
+        // Block checkout renders the field with React, so listen on the document
+        $(document).on('focusout change', BLOCKS_FIELD_SELECTOR, validateBlocksField);
+        $(document).on('input', BLOCKS_FIELD_SELECTOR, function() {
+            var $input = $(this);
+            showFeedback($input, $input, '');
+            $input.closest('.wc-block-components-text-input').removeClass('b2brouter-tin-invalid');
+        });
+
+        // Re-check when the billing country changes in the block checkout store
+        if (window.wp && wp.data && wp.data.subscribe) {
+            var lastCountry = getBlocksCountry();
+
+            wp.data.subscribe(function() {
+                var country = getBlocksCountry();
+
+                if (country !== lastCountry) {
+                    lastCountry = country;
+                    validateBlocksField();
+                }
+            });
+        }
+    });
+
+})(jQuery);
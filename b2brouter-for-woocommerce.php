@@ -168,15 +168,27 @@ class B2Brouter_WooCommerce {
         // Initialize dependency container
         $this->init_container();
 
+        // Logger writes to the event log table from the first hook on, and updates skip activate()
+        \B2Brouter\WooCommerce\Event_Log::maybe_install();
+
         // Services that register hooks spanning frontend, admin, REST, and cron contexts
         $this->get('order_handler');
         $this->get('customer_fields');
         $this->get('status_sync');
         $this->get('webhook_handler');
+        $this->get('pdf_storage');
+        $this->get('retry_queue');
+        $this->get('blocks');
 
-        // Admin registers only admin_*, wp_ajax_*, and admin_bar hooks — skip on frontend
+        // Admin, Bulk_Download, Bulk_Generation, Invoice_Export, Dashboard_Widget and Log_Viewer register only admin_*,
+        // wp_ajax_*, wp_dashboard_setup and admin_bar hooks — skip on frontend
         if (is_admin()) {
             $this->get('admin');
+            $this->get('bulk_download');
+            $this->get('bulk_generation');
+            $this->get('invoice_export');
+            $this->get('dashboard_widget');
+            $this->get('log_viewer');
         }
 
         // Customer registers frontend hooks plus wp_ajax_* handlers. AJAX requests run in
@@ -237,15 +249,80 @@ class B2Brouter_WooCommerce {
             );
         };
 
-        // Register Admin (depends on Settings, Invoice_Generator, and Status_Sync)
+        // Register Admin (depends on Settings, Invoice_Generator, Status_Sync, Order_Handler, Setup_Wizard, and Pdf_Storage)
         $this->container['admin'] = function() {
             return new \B2Brouter\WooCommerce\Admin(
                 $this->get('settings'),
                 $this->get('invoice_generator'),
+                $this->get('status_sync'),
+                $this->get('order_handler'),
+                $this->get('setup_wizard'),
+                $this->get('pdf_storage')
+            );
+        };
+
+        // Register Setup_Wizard (depends on Settings and Status_Sync)
+        $this->container['setup_wizard'] = function() {
+            return new \B2Brouter\WooCommerce\Setup_Wizard(
+                $this->get('settings'),
                 $this->get('status_sync')
             );
         };
 
+        // Register Bulk_Download (depends on Settings and Invoice_Generator)
+        $this->container['bulk_download'] = function() {
+            return new \B2Brouter\WooCommerce\Bulk_Download(
+                $this->get('settings'),
+                $this->get('invoice_generator')
+            );
+        };
+
+        // Register Bulk_Generation (depends on Invoice_Generator)
+        $this->container['bulk_generation'] = function() {
+            return new \B2Brouter\WooCommerce\Bulk_Generation(
+                $this->get('invoice_generator')
+            );
+        };
+
+        // Register Invoice_Export (depends on Settings)
+        $this->container['invoice_export'] = function() {
+            return new \B2Brouter\WooCommerce\Invoice_Export(
+                $this->get('settings')
+            );
+        };
+
+        // Register Pdf_Storage (depends on Settings and Invoice_Generator)
+        $this->container['pdf_storage'] = function() {
+            return new \B2Brouter\WooCommerce\Pdf_Storage(
+                $this->get('settings'),
+                $this->get('invoice_generator')
+            );
+        };
+
+        // Register Retry_Queue (depends on Invoice_Generator)
+        $this->container['retry_queue'] = function() {
+            return new \B2Brouter\WooCommerce\Retry_Queue(
+                $this->get('invoice_generator')
+            );
+        };
+
+        // Register Log_Viewer (depends on Settings)
+        $this->container['log_viewer'] = function() {
+            return new \B2Brouter\WooCommerce\Log_Viewer(
+                $this->get('settings')
+            );
+        };
+
+        // Register Dashboard_Widget (no dependencies)
+        $this->container['dashboard_widget'] = function() {
+            return new \B2Brouter\WooCommerce\Dashboard_Widget();
+        };
+
+        // Register Blocks (no dependencies)
+        $this->container['blocks'] = function() {
+            return new \B2Brouter\WooCommerce\Blocks();
+        };
+
         // Register Order_Handler (depends on Settings and Invoice_Generator)
         $this->container['order_handler'] = function() {
             return new \B2Brouter\WooCommerce\Order_Handler(
@@ -262,9 +339,11 @@ class B2Brouter_WooCommerce {
             );
         };
 
-        // Register Customer_Fields (no dependencies)
+        // Register Customer_Fields (depends on Settings)
         $this->container['customer_fields'] = function() {
-            return new \B2Brouter\WooCommerce\Customer_Fields();
+            return new \B2Brouter\WooCommerce\Customer_Fields(
+                $this->get('settings')
+            );
         };
 
         // Register Status_Sync (depends on Settings and Invoice_Generator)
@@ -319,6 +398,8 @@ class B2Brouter_WooCommerce {
             add_option('b2brouter_transaction_count', 0);
         }
 
+        \B2Brouter\WooCommerce\Event_Log::maybe_install();
+
         // Initialize container to access Status_Sync
         $this->init_container();
 
@@ -326,6 +407,9 @@ class B2Brouter_WooCommerce {
         $status_sync = $this->get('status_sync');
         $status_sync->activate();
 
+        // Reschedule retries still queued from before a deactivation
+        $this->get('retry_queue')->activate();
+
         // Flush rewrite rules
         flush_rewrite_rules();
     }
@@ -344,6 +428,9 @@ class B2Brouter_WooCommerce {
         $status_sync = $this->get('status_sync');
         $status_sync->deactivate();
 
+        // Stop queued retries; the queue itself is kept for reactivation
+        $this->get('retry_queue')->deactivate();
+
         // Clean up if needed
         flush_rewrite_rules();
     }
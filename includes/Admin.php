@@ -21,6 +21,44 @@ if (!defined('ABSPATH')) {
  */
 class Admin {
 
+    /**
+     * Settings page sections and the form fields each one saves
+     *
+     * Every section can be saved on its own over AJAX; the full form submit
+     * saves them all in this order.
+     *
+     * @since 1.0.0
+     * @var array
+     */
+    const SETTINGS_SECTIONS = array(
+        'uninstall' => array(
+            'b2brouter_delete_archival_data',
+        ),
+        'general' => array(
+            'b2brouter_api_key',
+            'b2brouter_invoice_mode',
+            'b2brouter_tin_validation',
+        ),
+        'webhook' => array(
+            'b2brouter_webhook_enabled',
+            'b2brouter_webhook_secret',
+            'b2brouter_webhook_fallback_polling',
+        ),
+        'numbering' => array(
+            'b2brouter_invoice_series_code',
+            'b2brouter_credit_note_series_code',
+            'b2brouter_invoice_numbering_pattern',
+        ),
+        'pdf' => array(
+            'b2brouter_auto_save_pdf',
+            'b2brouter_attach_to_order_completed',
+            'b2brouter_attach_to_customer_invoice',
+            'b2brouter_attach_to_refunded_order',
+            'b2brouter_auto_cleanup_enabled',
+            'b2brouter_auto_cleanup_days',
+        ),
+    );
+
     /**
      * Settings instance
      *
@@ -45,6 +83,30 @@ class Admin {
      */
     private $status_sync;
 
+    /**
+     * Order Handler instance
+     *
+     * @since 1.0.0
+     * @var Order_Handler
+     */
+    private $order_handler;
+
+    /**
+     * Setup Wizard instance
+     *
+     * @since 1.0.0
+     * @var Setup_Wizard
+     */
+    private $setup_wizard;
+
+    /**
+     * PDF Storage instance
+     *
+     * @since 1.0.0
+     * @var Pdf_Storage
+     */
+    private $pdf_storage;
+
     /**
      * Constructor
      *
@@ -52,11 +114,17 @@ class Admin {
      * @param Settings $settings Settings instance
      * @param Invoice_Generator $invoice_generator Invoice generator instance
      * @param Status_Sync $status_sync Status sync instance
+     * @param Order_Handler $order_handler Order handler instance, used to render meta box fragments
+     * @param Setup_Wizard $setup_wizard Setup wizard instance, rendered on the welcome page
+     * @param Pdf_Storage $pdf_storage PDF storage instance, whose panel follows the PDF options
      */
-    public function __construct(Settings $settings, Invoice_Generator $invoice_generator, ?Status_Sync $status_sync = null) {
+    public function __construct(Settings $settings, Invoice_Generator $invoice_generator, ?Status_Sync $status_sync = null, ?Order_Handler $order_handler = null, ?Setup_Wizard $setup_wizard = null, ?Pdf_Storage $pdf_storage = null) {
         $this->settings = $settings;
         $this->invoice_generator = $invoice_generator;
         $this->status_sync = $status_sync;
+        $this->order_handler = $order_handler;
+        $this->setup_wizard = $setup_wizard;
+        $this->pdf_storage = $pdf_storage;
 
         // Add admin menu
         add_action('admin_menu', array($this, 'add_admin_menu'));
@@ -73,13 +141,25 @@ class Admin {
         // Admin bar counter
         add_action('admin_bar_menu', array($this, 'add_admin_bar_counter'), 100);
 
+        // Invoice list rows-per-page screen option
+        add_filter('set_screen_option_' . Invoice_List_Table::PER_PAGE_OPTION, array($this, 'save_invoices_per_page'), 10, 3);
+
         // Enqueue admin scripts
         add_action('admin_enqueue_scripts', array($this, 'enqueue_admin_scripts'));
 
         // Handle AJAX requests
         add_action('wp_ajax_b2brouter_validate_api_key', array($this, 'ajax_validate_api_key'));
         add_action('wp_ajax_b2brouter_select_account', array($this, 'ajax_select_account'));
+        add_action('wp_ajax_b2brouter_save_settings_section', array($this, 'ajax_save_settings_section'));
+        add_action('wp_ajax_b2brouter_rotate_webhook_secret', array($this, 'ajax_rotate_webhook_secret'));
+        add_action('wp_ajax_b2brouter_end_webhook_secret_grace', array($this, 'ajax_end_webhook_secret_grace'));
+        add_action('wp_ajax_b2brouter_preview_invoice_numbers', array($this, 'ajax_preview_invoice_numbers'));
         add_action('wp_ajax_b2brouter_generate_invoice', array($this, 'ajax_generate_invoice'));
+        add_action('wp_ajax_b2brouter_refresh_status', array($this, 'ajax_refresh_status'));
+        add_action('wp_ajax_b2brouter_preview_invoice_data', array($this, 'ajax_preview_invoice_data'));
+        add_action('wp_ajax_b2brouter_regenerate_invoice', array($this, 'ajax_regenerate_invoice'));
+        add_action('wp_ajax_b2brouter_resolve_correction', array($this, 'ajax_resolve_correction'));
+        add_action('wp_ajax_b2brouter_invoice_list', array($this, 'ajax_invoice_list'));
         add_action('wp_ajax_b2brouter_download_pdf', array($this, 'ajax_download_pdf'));
     }
 
@@ -132,7 +212,7 @@ class Admin {
         );
 
         // Register List of Invoices page
-        add_submenu_page(
+        $invoices_hook = add_submenu_page(
             'b2brouter',
             __('List of Invoices', 'b2brouter-for-woocommerce'),
             __('List of Invoices', 'b2brouter-for-woocommerce'),
@@ -140,6 +220,49 @@ class Admin {
             'b2brouter-invoices',
             array($this, 'render_invoices_page')
         );
+
+        add_action('load-' . $invoices_hook, array($this, 'add_invoices_screen_options'));
+
+        // Register Retry Queue page, with a count bubble while orders wait in it; retrying
+        // generates invoices, so it takes the same capability as the Generate Invoice action
+        $queued = Retry_Queue::count();
+        $retry_queue_title = __('Retry Queue', 'b2brouter-for-woocommerce');
+
+        add_submenu_page(
+            'b2brouter',
+            $retry_queue_title,
+            $queued ? $retry_queue_title . ' <span class="awaiting-mod">' . number_format_i18n($queued) . '</span>' : $retry_queue_title,
+            'manage_options',
+            'b2brouter-retry-queue',
+            array($this, 'render_retry_queue_page')
+        );
+    }
+
+    /**
+     * Add the "Number of items per page" screen option to the invoice list
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function add_invoices_screen_options() {
+        add_screen_option('per_page', array(
+            'label'   => __('Invoices per page', 'b2brouter-for-woocommerce'),
+            'default' => Invoice_List_Table::PER_PAGE,
+            'option'  => Invoice_List_Table::PER_PAGE_OPTION,
+        ));
+    }
+
+    /**
+     * Save the invoice list rows-per-page screen option
+     *
+     * @since 1.0.0
+     * @param mixed $screen_option Value to save, false to skip saving
+     * @param string $option Option name
+     * @param int $value Submitted value
+     * @return int Rows per page, between 1 and 999
+     */
+    public function save_invoices_per_page($screen_option, $option, $value) {
+        return min(999, max(1, intval($value)));
     }
 
     /**
@@ -252,31 +375,40 @@ class Admin {
             return;
         }
 
+        Pdf_Viewer::register_assets();
+
         wp_enqueue_style(
             'b2brouter-admin',
             B2BROUTER_WC_PLUGIN_URL . 'assets/css/admin.css',
-            array(),
+            array(Pdf_Viewer::HANDLE),
             B2BROUTER_WC_VERSION
         );
 
         wp_enqueue_script(
             'b2brouter-admin',
             B2BROUTER_WC_PLUGIN_URL . 'assets/js/admin.js',
-            array('jquery'),
+            array('jquery', Pdf_Viewer::HANDLE),
             B2BROUTER_WC_VERSION,
             true
         );
 
-        // Check for bulk download transient
-        $bulk_download_ids = get_transient('b2brouter_bulk_download_' . get_current_user_id());
-        if ($bulk_download_ids) {
-            delete_transient('b2brouter_bulk_download_' . get_current_user_id());
-        }
+        // Pick up a bulk download job created by Invoice_List_Table::process_bulk_action().
+        // The job is bound to the user who created it, so the ID alone grants nothing.
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+        $bulk_download_job_id = isset($_GET['bulk_download_job']) ? sanitize_key(wp_unslash($_GET['bulk_download_job'])) : '';
+        $bulk_download_job = Bulk_Download::get_job($bulk_download_job_id, get_current_user_id());
+
+        // Same for a register export job
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+        $invoice_export_job_id = isset($_GET['invoice_export_job']) ? sanitize_key(wp_unslash($_GET['invoice_export_job'])) : '';
+        $invoice_export_job = Invoice_Export::get_job($invoice_export_job_id, get_current_user_id());
 
         wp_localize_script('b2brouter-admin', 'b2brouterAdmin', array(
             'ajax_url' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce('b2brouter_nonce'),
-            'bulk_download_ids' => $bulk_download_ids ? $bulk_download_ids : false,
+            'bulk_download' => $bulk_download_job ? Bulk_Download::get_summary($bulk_download_job_id, $bulk_download_job) : false,
+            'invoice_export' => $invoice_export_job ? Invoice_Export::get_summary($invoice_export_job_id, $invoice_export_job) : false,
+            'list_state_keys' => Invoice_List_Table::STATE_KEYS,
             'strings' => array(
                 'validating' => __('Validating...', 'b2brouter-for-woocommerce'),
                 'generating' => __('Generating invoice...', 'b2brouter-for-woocommerce'),
@@ -285,9 +417,92 @@ class Admin {
                 'validate_key' => __('Validate Key', 'b2brouter-for-woocommerce'),
                 'api_key_required' => __('API key is required', 'b2brouter-for-woocommerce'),
                 'downloading' => __('Downloading...', 'b2brouter-for-woocommerce'),
-                'loading' => __('Loading...', 'b2brouter-for-woocommerce'),
+                'refreshing' => __('Refreshing...', 'b2brouter-for-woocommerce'),
+                'regenerate_confirm' => __('Replace this failed invoice with a new one in B2Brouter?', 'b2brouter-for-woocommerce'),
+                'correction_approve_confirm' => __('Cancel this invoice and reissue it with the billing details the customer proposed?', 'b2brouter-for-woocommerce'),
+                'correction_resolving' => __('Processing...', 'b2brouter-for-woocommerce'),
                 /* translators: %1$s: account name, %2$s: account ID */
                 'current_account' => __('Current account: %1$s (ID: %2$s)', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: invoices processed so far, %2$d: invoices selected */
+                'bulk_progress' => __('Adding invoices to the ZIP archive: %1$d of %2$d', 'b2brouter-for-woocommerce'),
+                'bulk_ready' => __('ZIP archive ready. Your download will start shortly.', 'b2brouter-for-woocommerce'),
+                'bulk_empty' => __('None of the selected invoices could be added to the ZIP archive.', 'b2brouter-for-woocommerce'),
+                'bulk_failures' => __('These invoices were skipped:', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: invoices processed so far, %2$d: invoices being exported */
+                'export_progress' => __('Exporting the invoice register: %1$d of %2$d', 'b2brouter-for-woocommerce'),
+                'export_ready' => __('Invoice register ready. Your download will start shortly.', 'b2brouter-for-woocommerce'),
+                'export_empty' => __('None of the invoices could be exported.', 'b2brouter-for-woocommerce'),
+                /* translators: %s: order number */
+                'bulk_order' => __('Order #%s', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: orders processed so far, %2$d: orders queued */
+                'bulk_generate_progress' => __('Generating invoices in the background: %1$d of %2$d', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: invoices generated, %2$d: orders that failed */
+                'bulk_generate_done' => __('Invoice generation finished: %1$d generated, %2$d failed.', 'b2brouter-for-woocommerce'),
+                'bulk_generate_pending' => __('Queued', 'b2brouter-for-woocommerce'),
+                'bulk_generate_success' => __('Invoice generated', 'b2brouter-for-woocommerce'),
+                'bulk_generate_failed' => __('Failed', 'b2brouter-for-woocommerce'),
+                'bulk_generate_retrying' => __('Queueing failed orders again...', 'b2brouter-for-woocommerce'),
+                'numbering_automatic' => __('assigned by B2Brouter when each document is issued, so it cannot be previewed here', 'b2brouter-for-woocommerce'),
+                /* translators: %s: order number of the latest order */
+                'numbering_sample_order' => __('for the next order, after #%s', 'b2brouter-for-woocommerce'),
+                /* translators: %s: ID of the latest order or refund */
+                'numbering_sample_refund' => __('for the next refund, after ID %s', 'b2brouter-for-woocommerce'),
+                'numbering_no_order' => __('shown once the store has an order', 'b2brouter-for-woocommerce'),
+                /* translators: %s: order number of the latest order */
+                'numbering_unknown' => __('depends on how your order numbers continue after #%s', 'b2brouter-for-woocommerce'),
+                'payload_title' => __('Invoice data preview', 'b2brouter-for-woocommerce'),
+                'payload_notice' => __('This is what would be sent to B2Brouter right now. Nothing has been sent.', 'b2brouter-for-woocommerce'),
+                'payload_invoice_type' => __('Invoice type', 'b2brouter-for-woocommerce'),
+                'payload_document' => __('Document', 'b2brouter-for-woocommerce'),
+                'payload_invoice' => __('Invoice', 'b2brouter-for-woocommerce'),
+                'payload_credit_note' => __('Credit note (positive amounts)', 'b2brouter-for-woocommerce'),
+                'payload_rectificative' => __('Rectificative invoice (negative amounts)', 'b2brouter-for-woocommerce'),
+                'payload_number' => __('Series / number', 'b2brouter-for-woocommerce'),
+                'payload_number_automatic' => __('assigned by B2Brouter', 'b2brouter-for-woocommerce'),
+                'payload_countries' => __('Merchant → customer country', 'b2brouter-for-woocommerce'),
+                'payload_reverse_charge' => __('Reverse charge', 'b2brouter-for-woocommerce'),
+                'payload_amended' => __('Amends invoice', 'b2brouter-for-woocommerce'),
+                'payload_parent_items' => __('No refunded items; the parent order lines are used.', 'b2brouter-for-woocommerce'),
+                'payload_yes' => __('Yes', 'b2brouter-for-woocommerce'),
+                'payload_no' => __('No', 'b2brouter-for-woocommerce'),
+                'payload_description' => __('Description', 'b2brouter-for-woocommerce'),
+                'payload_quantity' => __('Qty', 'b2brouter-for-woocommerce'),
+                'payload_price' => __('Price', 'b2brouter-for-woocommerce'),
+                'payload_tax_rate' => __('Computed rate', 'b2brouter-for-woocommerce'),
+                'payload_category' => __('Tax category', 'b2brouter-for-woocommerce'),
+                'payload_percent' => __('Percent sent', 'b2brouter-for-woocommerce'),
+                'payload_shipping' => __('shipping', 'b2brouter-for-woocommerce'),
+                'payload_show_json' => __('Show raw JSON', 'b2brouter-for-woocommerce'),
+                'payload_hide_json' => __('Hide raw JSON', 'b2brouter-for-woocommerce'),
+                'close' => __('Close', 'b2brouter-for-woocommerce'),
+                'copied' => __('Copied!', 'b2brouter-for-woocommerce'),
+                'copy' => __('Copy', 'b2brouter-for-woocommerce'),
+                'rotate_secret_confirm' => __('Create a new webhook secret? The current one keeps working until the grace period ends.', 'b2brouter-for-woocommerce'),
+                'webhook_testing' => __('Sending...', 'b2brouter-for-woocommerce'),
+                'webhook_test' => __('Send test event', 'b2brouter-for-woocommerce'),
+                'webhook_log_empty' => __('No webhook deliveries recorded yet.', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: current page, %2$d: number of pages */
+                'webhook_log_page' => __('Page %1$d of %2$d', 'b2brouter-for-woocommerce'),
+                'webhook_log_test' => __('Test', 'b2brouter-for-woocommerce'),
+                'webhook_signature_valid' => __('Valid', 'b2brouter-for-woocommerce'),
+                'webhook_signature_invalid' => __('Invalid', 'b2brouter-for-woocommerce'),
+                'webhook_signature_skipped' => __('Not checked', 'b2brouter-for-woocommerce'),
+                'section_dirty' => __('Unsaved changes', 'b2brouter-for-woocommerce'),
+                'section_saving' => __('Saving...', 'b2brouter-for-woocommerce'),
+                'unsaved_changes' => __('You have unsaved changes. Leave the page anyway?', 'b2brouter-for-woocommerce'),
+                'retry_queue_empty' => __('No failed invoices are waiting for a retry.', 'b2brouter-for-woocommerce'),
+                /* translators: %s: time until the next attempt, e.g. "5 mins" */
+                'retry_queue_next_in' => __('in %s', 'b2brouter-for-woocommerce'),
+                'retry_queue_gave_up' => __('Automatic retries stopped', 'b2brouter-for-woocommerce'),
+                'retry_queue_refund' => __('refund', 'b2brouter-for-woocommerce'),
+                'retry_queue_retry' => __('Retry now', 'b2brouter-for-woocommerce'),
+                'retry_queue_retrying' => __('Retrying...', 'b2brouter-for-woocommerce'),
+                'retry_queue_dismiss' => __('Dismiss', 'b2brouter-for-woocommerce'),
+                'retry_queue_dismiss_confirm' => __('Remove this order from the retry queue? Its invoice will not be generated automatically.', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: orders retried so far, %2$d: orders being retried */
+                'retry_queue_progress' => __('Retrying queued orders: %1$d of %2$d', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: invoices generated, %2$d: orders still failing */
+                'retry_queue_done' => __('Retry finished: %1$d generated, %2$d still failing.', 'b2brouter-for-woocommerce'),
             ),
         ));
     }
@@ -355,6 +570,150 @@ class Admin {
         ));
     }
 
+    /**
+     * AJAX: Save one section of the settings page
+     *
+     * Fields that fail validation are reported in 'errors' and keep their stored
+     * value; the other fields of the section are saved. 'values' holds what is
+     * stored now so the page can reset its unsaved-changes baseline.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_save_settings_section() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $section = isset($_POST['section']) ? sanitize_key(wp_unslash($_POST['section'])) : '';
+
+        if (!isset(self::SETTINGS_SECTIONS[$section])) {
+            wp_send_json_error(array('message' => __('Unknown settings section.', 'b2brouter-for-woocommerce')));
+        }
+
+        // Each setter sanitizes its own value
+        $input = wp_unslash($_POST); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $issues = $this->save_settings_section($section, $input);
+
+        $errors = array();
+        $warnings = array();
+        foreach ($issues as $issue) {
+            if ($issue['type'] === 'error') {
+                $errors[] = $issue;
+            } else {
+                $warnings[] = $issue;
+            }
+        }
+
+        $data = array(
+            'warnings' => $warnings,
+            'errors' => $errors,
+            'values' => $this->get_settings_section_values($section),
+        );
+
+        if (!empty($errors)) {
+            $data['message'] = __('Some fields were not saved. Correct them and save again.', 'b2brouter-for-woocommerce');
+            wp_send_json_error($data);
+        }
+
+        $data['message'] = __('Settings saved.', 'b2brouter-for-woocommerce');
+        wp_send_json_success($data);
+    }
+
+    /**
+     * AJAX: Generate a webhook secret, or rotate the existing one
+     *
+     * The new secret is saved straight away. When one was already set, the
+     * old secret keeps verifying deliveries during the grace period.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_rotate_webhook_secret() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $rotated = !empty($this->settings->get_webhook_secret());
+        $secret = $this->settings->rotate_webhook_secret();
+        $grace_until = $this->settings->get_webhook_secret_grace_until();
+
+        wp_send_json_success(array(
+            'secret' => $secret,
+            'message' => $rotated
+                ? __('New webhook secret saved. Copy it into your B2Brouter dashboard.', 'b2brouter-for-woocommerce')
+                : __('Webhook secret generated and saved. Copy it into your B2Brouter dashboard.', 'b2brouter-for-woocommerce'),
+            'grace_message' => $grace_until ? $this->get_webhook_grace_message($grace_until) : '',
+        ));
+    }
+
+    /**
+     * AJAX: Stop accepting the previous webhook secret
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_end_webhook_secret_grace() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $this->settings->end_webhook_secret_grace_period();
+
+        wp_send_json_success(array(
+            'message' => __('The previous webhook secret is no longer accepted.', 'b2brouter-for-woocommerce'),
+        ));
+    }
+
+    /**
+     * AJAX: Preview invoice numbers for unsaved series/numbering settings
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_preview_invoice_numbers() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $invoice_series_code = isset($_POST['invoice_series_code']) ? sanitize_text_field(wp_unslash($_POST['invoice_series_code'])) : '';
+        $credit_note_series_code = isset($_POST['credit_note_series_code']) ? sanitize_text_field(wp_unslash($_POST['credit_note_series_code'])) : '';
+        $pattern = isset($_POST['numbering_pattern']) ? sanitize_key(wp_unslash($_POST['numbering_pattern'])) : '';
+
+        if (!in_array($pattern, array('automatic', 'woocommerce'), true)) {
+            $pattern = $this->settings->get_invoice_numbering_pattern();
+        }
+
+        wp_send_json_success($this->invoice_generator->preview_invoice_numbers(
+            $invoice_series_code,
+            $credit_note_series_code,
+            $pattern
+        ));
+    }
+
+    /**
+     * Describe a running webhook secret grace period
+     *
+     * @since 1.0.0
+     * @param int $grace_until Unix timestamp when the previous secret expires
+     * @return string Message
+     */
+    private function get_webhook_grace_message($grace_until) {
+        return sprintf(
+            /* translators: %s: date and time the previous secret expires */
+            __('The previous secret is still accepted until %s. End the grace period once B2Brouter uses the new secret.', 'b2brouter-for-woocommerce'),
+            wp_date(get_option('date_format') . ' ' . get_option('time_format'), $grace_until)
+        );
+    }
+
     /**
      * AJAX: Generate invoice
      *
@@ -376,6 +735,113 @@ class Admin {
 
         $result = $this->invoice_generator->generate_invoice($order_id);
 
+        if ($result['success']) {
+            // Return fresh markup so admin.js can update the screen without a reload
+            $order = wc_get_order($order_id);
+            if ($order && $this->order_handler) {
+                $result['meta_box_html'] = $this->order_handler->get_invoice_meta_box_html($order);
+                $result['column_html'] = $this->order_handler->get_invoice_column_html($order);
+            }
+
+            // The invoice list re-renders the whole row instead
+            $context = isset($_POST['context']) ? sanitize_key(wp_unslash($_POST['context'])) : '';
+            if ($order && $context === 'list') {
+                $result['row_html'] = $this->get_invoice_list_row_html($order);
+            }
+
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+    }
+
+    /**
+     * AJAX: Regenerate a failed invoice from the invoice list
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_regenerate_invoice() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $order_id = isset($_POST['order_id']) ? intval($_POST['order_id']) : 0;
+
+        if (!$order_id) {
+            wp_send_json_error(array('message' => __('Invalid order ID', 'b2brouter-for-woocommerce')));
+        }
+
+        $result = $this->invoice_generator->regenerate_invoice($order_id);
+
+        // Re-render the row either way: a failed attempt may still have cleared the old invoice
+        $order = wc_get_order($order_id);
+        if ($order) {
+            $result['row_html'] = $this->get_invoice_list_row_html($order);
+        }
+
+        if ($result['success']) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+    }
+
+    /**
+     * AJAX: Approve or decline a customer's invoice correction request
+     *
+     * Approving cancels and reissues the invoice with the billing details
+     * the customer proposed. The request stays pending if the invoice could
+     * not even be cancelled, so it can be approved again later.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_resolve_correction() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $order_id = isset($_POST['order_id']) ? absint($_POST['order_id']) : 0;
+        $decision = isset($_POST['decision']) ? sanitize_key(wp_unslash($_POST['decision'])) : '';
+        $order = $order_id ? wc_get_order($order_id) : false;
+
+        if (!$order || !Correction_Request::is_pending($order)) {
+            wp_send_json_error(array('message' => __('This correction request is no longer pending.', 'b2brouter-for-woocommerce')));
+        }
+
+        if ($decision === 'approve') {
+            $request = Correction_Request::get($order);
+            $result = $this->invoice_generator->correct_invoice($order_id, $request['proposed'], $request['message']);
+
+            if (empty($result['corrective_invoice_id'])) {
+                wp_send_json_error($result);
+            }
+
+            // Approved once the invoice is cancelled; a failed reissue is left to the Generate Invoice button
+            $order = wc_get_order($order_id);
+            Correction_Request::resolve($order, Correction_Request::STATUS_APPROVED);
+        } elseif ($decision === 'reject') {
+            $response = isset($_POST['response']) ? sanitize_textarea_field(wp_unslash($_POST['response'])) : '';
+            Correction_Request::resolve($order, Correction_Request::STATUS_REJECTED, $response);
+
+            $result = array(
+                'success' => true,
+                'message' => __('Correction request declined. The customer has been notified.', 'b2brouter-for-woocommerce'),
+            );
+        } else {
+            wp_send_json_error(array('message' => __('Invalid request', 'b2brouter-for-woocommerce')));
+        }
+
+        if ($this->order_handler) {
+            $result['meta_box_html'] = $this->order_handler->get_invoice_meta_box_html($order);
+            $result['column_html'] = $this->order_handler->get_invoice_column_html($order);
+        }
+
         if ($result['success']) {
             wp_send_json_success($result);
         } else {
@@ -383,9 +849,134 @@ class Admin {
         }
     }
 
+    /**
+     * Render one invoice list row for in-place replacement
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order Order object
+     * @return string Row HTML
+     */
+    private function get_invoice_list_row_html($order) {
+        $list_table = new Invoice_List_Table($this->settings, $this->invoice_generator, 'b2brouter-invoices');
+        return $list_table->get_row_html($order);
+    }
+
+    /**
+     * AJAX: Render the invoice list for a filter, sort and page state
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_invoice_list() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $state = array('page' => 'b2brouter-invoices');
+
+        foreach (Invoice_List_Table::STATE_KEYS as $key) {
+            if (isset($_POST[$key]) && $_POST[$key] !== '') {
+                $state[$key] = sanitize_text_field(wp_unslash($_POST[$key]));
+            }
+        }
+
+        // WP_List_Table reads filters, sorting and paging from the request and builds
+        // its sort and pagination links from REQUEST_URI, so make both look like the list page.
+        $_GET = $state;
+        $_REQUEST = $state;
+        $_SERVER['REQUEST_URI'] = wp_make_link_relative(add_query_arg(array_map('rawurlencode', $state), admin_url('admin.php')));
+
+        $list_table = new Invoice_List_Table($this->settings, $this->invoice_generator, 'b2brouter-invoices');
+        $list_table->prepare_items();
+
+        ob_start();
+        $list_table->display();
+
+        wp_send_json_success(array(
+            'html' => ob_get_clean(),
+            'total_items' => $list_table->get_pagination_arg('total_items'),
+        ));
+    }
+
+    /**
+     * AJAX: Show the invoice payload for an order without sending it
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_preview_invoice_data() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options') && !current_user_can('edit_shop_orders')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $order_id = isset($_POST['order_id']) ? intval($_POST['order_id']) : 0;
+
+        if (!$order_id) {
+            wp_send_json_error(array('message' => __('Invalid order ID', 'b2brouter-for-woocommerce')));
+        }
+
+        $result = $this->invoice_generator->preview_invoice_data($order_id);
+
+        if ($result['success']) {
+            wp_send_json_success($result);
+        }
+
+        wp_send_json_error($result);
+    }
+
+    /**
+     * AJAX: Refresh invoice status from B2Brouter
+     *
+     * Wraps Status_Sync::manual_sync() for the meta box "Refresh status"
+     * button and for admin.js polling while the status is not final.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_refresh_status() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options') && !current_user_can('edit_shop_orders')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $order_id = isset($_POST['order_id']) ? intval($_POST['order_id']) : 0;
+
+        if (!$order_id) {
+            wp_send_json_error(array('message' => __('Invalid order ID', 'b2brouter-for-woocommerce')));
+        }
+
+        if (!$this->status_sync) {
+            wp_send_json_error(array('message' => __('Status sync is not available', 'b2brouter-for-woocommerce')));
+        }
+
+        $result = $this->status_sync->manual_sync($order_id);
+
+        if ($result['success']) {
+            // Tells admin.js whether to keep polling
+            $result['final'] = $this->status_sync->is_final_state($result['status']);
+
+            $order = wc_get_order($order_id);
+            if ($order && $this->order_handler) {
+                $result['meta_box_html'] = $this->order_handler->get_invoice_meta_box_html($order);
+                $result['column_html'] = $this->order_handler->get_invoice_column_html($order);
+            }
+
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+    }
+
     /**
      * Render welcome page
      *
+     * The page hosts the setup wizard between the banner and the help links.
+     *
      * @since 1.0.0
      * @return void
      */
@@ -403,69 +994,9 @@ class Admin {
             </div>
 
             <div class="b2brouter-welcome-content">
-                <div class="b2brouter-card">
-
-                    <div class="b2brouter-card-row b2brouter-card-row--70-30">
-                        <div class="b2brouter-card-col">
-                            <h3><?php esc_html_e('Next Steps', 'b2brouter-for-woocommerce'); ?></h3>
-                            <h4><?php esc_html_e('Step 1 — Get your B2Brouter credentials', 'b2brouter-for-woocommerce'); ?></h4>
-                            <ol>
-                                <li><a href="https://app.b2brouter.net" target="_blank"><?php esc_html_e('Register at app.b2brouter.net', 'b2brouter-for-woocommerce'); ?></a></li>
-                                <li><?php esc_html_e('Purchase an eDocExchange subscription.', 'b2brouter-for-woocommerce'); ?> <span><?php esc_html_e('First month is for free!', 'b2brouter-for-woocommerce'); ?></span></li>
-                                <li><?php esc_html_e('Go to Developers → API Keys in your B2Brouter dashboard.', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><?php esc_html_e('Copy the API key and store it safely.', 'b2brouter-for-woocommerce'); ?></li>
-                            </ol>
-                            <h4><?php esc_html_e('Step 2 — Configure the plugin', 'b2brouter-for-woocommerce'); ?></h4>
-                            <ol>
-                                <li><?php esc_html_e('In WordPress, go to Invoices → Settings.', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><?php esc_html_e('Paste your B2Brouter API key.', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><?php esc_html_e('Click Validate Key. If the key is correct, the plugin will display your account information.', 'b2brouter-for-woocommerce'); ?></li>
-                            </ol>
-                        </div>
-                        <div class="b2brouter-card-col b2brouter-card-highlight">
-                            <h3><?php esc_html_e('Requirements', 'b2brouter-for-woocommerce'); ?></h3>
-                            <ul class="b2brouter-list">
-                                <li><?php esc_html_e('A B2Brouter account with an active eDocExchange subscription', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><?php esc_html_e('WordPress 5.8 or higher', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><?php esc_html_e('WooCommerce 5.0 or higher, installed and active', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><?php esc_html_e('PHP 7.4 or higher', 'b2brouter-for-woocommerce'); ?></li>
-                            </ul>
-                        </div>
-                    </div>
-
-                    <div class="b2brouter-card-row b2brouter-card-row--70-30">
-                        <div class="b2brouter-card-col">
-                            <h3><?php esc_html_e('How it works', 'b2brouter-for-woocommerce'); ?></h3>
-                            <ul class="b2brouter-list">
-                                <li><?php esc_html_e('Advanced configuration (transports, formats, taxes) is done in your B2Brouter account.', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><?php esc_html_e('When an order is completed, the plugin automatically generates the invoice via the B2Brouter API.', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><?php esc_html_e('B2Brouter sends the invoice to your customer using your configured transport (email, Peppol, etc.).', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><?php esc_html_e('Your customers can also download their invoices from their account page.', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><?php esc_html_e('Credit notes are generated automatically when you process a refund.', 'b2brouter-for-woocommerce'); ?></li>
-                            </ul>
-                            <h3><?php esc_html_e('Ready to get started?', 'b2brouter-for-woocommerce'); ?></h3>
-                            <div class="b2brouter-actions">
-                                <a href="https://app.b2brouter.net" class="button button-primary button-hero" target="_blank">
-                                    <?php esc_html_e('Go to B2Brouter - Activate Subscription', 'b2brouter-for-woocommerce'); ?>
-                                </a>
-                                <a href="<?php echo esc_url(admin_url('admin.php?page=b2brouter-settings')); ?>" class="button button-secondary button-hero">
-                                    <?php esc_html_e('Configure Plugin', 'b2brouter-for-woocommerce'); ?>
-                                </a>
-                            </div>
-                        </div>
-                        <div class="b2brouter-card-col b2brouter-card-highlight">
-                            <h3><?php esc_html_e('Benefits', 'b2brouter-for-woocommerce'); ?></h3>
-                            <ul class="b2brouter-checklist">
-                                <li><strong><?php esc_html_e('Legal Compliance', 'b2brouter-for-woocommerce'); ?></strong> — <?php esc_html_e('Automatic compliance with electronic invoicing regulations across multiple countries.', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><strong><?php esc_html_e('Time Saving', 'b2brouter-for-woocommerce'); ?></strong> — <?php esc_html_e('Automatic generation of electronic invoices without manual intervention.', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><strong><?php esc_html_e('Professionalism', 'b2brouter-for-woocommerce'); ?></strong> — <?php esc_html_e('Invoices in standard formats: UBL, CII, XML, etc.', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><strong><?php esc_html_e('Cross-border', 'b2brouter-for-woocommerce'); ?></strong> — <?php esc_html_e('Support for international B2B and B2C transactions.', 'b2brouter-for-woocommerce'); ?></li>
-                                <li><strong><?php esc_html_e('Full Integration', 'b2brouter-for-woocommerce'); ?></strong> — <?php esc_html_e('Works seamlessly with WooCommerce without affecting your workflow.', 'b2brouter-for-woocommerce'); ?></li>
-                            </ul>
-                        </div>
-                    </div>
-
-                </div>
+                <?php if ($this->setup_wizard) : ?>
+                    <?php $this->setup_wizard->render(); ?>
+                <?php endif; ?>
 
                 <div class="b2brouter-card b2brouter-info">
                     <h3><?php esc_html_e('Need Help?', 'b2brouter-for-woocommerce'); ?></h3>
@@ -529,154 +1060,218 @@ class Admin {
     }
 
     /**
-     * Render settings page
+     * Save one section of the settings page
+     *
+     * Checkboxes missing from $input are saved as unchecked, as a form submit
+     * would send them. A field whose setter rejects the value keeps its stored
+     * value and is reported as an 'error' issue.
      *
      * @since 1.0.0
-     * @return void
+     * @param string $section Key of self::SETTINGS_SECTIONS
+     * @param array $input Unslashed form input keyed by field name
+     * @return array List of issues, each with 'field', 'code', 'message' and 'type' ('error' or 'warning')
      */
-    public function render_settings_page() {
-        $api_key = $this->settings->get_api_key();
-        $invoice_mode = $this->settings->get_invoice_mode();
-        $auto_save_pdf = $this->settings->get_auto_save_pdf();
-        $attach_to_completed = $this->settings->get_attach_to_order_completed();
-        $attach_to_invoice = $this->settings->get_attach_to_customer_invoice();
-        $attach_to_refunded = $this->settings->get_attach_to_refunded_order();
-        $auto_cleanup_enabled = $this->settings->get_auto_cleanup_enabled();
-        $auto_cleanup_days = $this->settings->get_auto_cleanup_days();
-        $delete_archival_data = $this->settings->get_delete_archival_data();
-        $transaction_count = $this->settings->get_transaction_count();
-        $api_configured = $this->settings->is_api_key_configured();
-        $invoice_series_code = $this->settings->get_invoice_series_code();
-        $credit_note_series_code = $this->settings->get_credit_note_series_code();
-        $numbering_pattern = $this->settings->get_invoice_numbering_pattern();
+    public function save_settings_section($section, array $input) {
+        $issues = array();
 
-        if (isset($_POST['b2brouter_save_settings']) && check_admin_referer('b2brouter_settings')) {
-            // Save API key
-            if (isset($_POST['b2brouter_api_key'])) {
-                $new_api_key = sanitize_text_field(wp_unslash($_POST['b2brouter_api_key']));
-                $this->settings->set_api_key($new_api_key);
-                $api_key = $new_api_key;
-            }
+        switch ($section) {
+            case 'uninstall':
+                $this->settings->set_delete_archival_data($this->is_checked($input, 'b2brouter_delete_archival_data', '1'));
+                break;
 
-            // Save invoice mode
-            if (isset($_POST['b2brouter_invoice_mode'])) {
-                $this->settings->set_invoice_mode(sanitize_text_field(wp_unslash($_POST['b2brouter_invoice_mode'])));
-                $invoice_mode = $this->settings->get_invoice_mode();
-            }
+            case 'general':
+                if (isset($input['b2brouter_api_key'])) {
+                    $this->settings->set_api_key(sanitize_text_field($input['b2brouter_api_key']));
+                }
 
-            // Save webhook settings
-            $webhook_enabled = isset($_POST['b2brouter_webhook_enabled']) && $_POST['b2brouter_webhook_enabled'] === 'yes';
-            $webhook_enabled_changed = $webhook_enabled !== $this->settings->get_webhook_enabled();
-            $this->settings->set_webhook_enabled($webhook_enabled);
-
-            if (isset($_POST['b2brouter_webhook_secret'])) {
-                $webhook_secret = sanitize_text_field(wp_unslash($_POST['b2brouter_webhook_secret']));
-
-                // Validate webhook secret if webhooks are enabled
-                if ($webhook_enabled && empty($webhook_secret)) {
-                    add_settings_error(
-                        'b2brouter_webhook_secret',
-                        'empty_webhook_secret',
-                        __('Webhook secret is required when webhooks are enabled.', 'b2brouter-for-woocommerce'),
-                        'warning'
-                    );
+                if (isset($input['b2brouter_invoice_mode'])) {
+                    $result = $this->settings->set_invoice_mode(sanitize_text_field($input['b2brouter_invoice_mode']));
+                    $this->collect_setting_issue($issues, 'b2brouter_invoice_mode', $result);
                 }
 
-                $this->settings->set_webhook_secret($webhook_secret);
-            }
+                if (isset($input['b2brouter_tin_validation'])) {
+                    $result = $this->settings->set_tin_validation_mode(sanitize_key($input['b2brouter_tin_validation']));
+                    $this->collect_setting_issue($issues, 'b2brouter_tin_validation', $result);
+                }
+                break;
+
+            case 'webhook':
+                $webhook_enabled = $this->is_checked($input, 'b2brouter_webhook_enabled', 'yes');
+                $webhook_enabled_changed = $webhook_enabled !== $this->settings->get_webhook_enabled();
+                $this->settings->set_webhook_enabled($webhook_enabled);
+
+                if (isset($input['b2brouter_webhook_secret'])) {
+                    $webhook_secret = sanitize_text_field($input['b2brouter_webhook_secret']);
+
+                    // Saved anyway: the admin may paste the secret from B2Brouter later
+                    if ($webhook_enabled && empty($webhook_secret)) {
+                        $issues[] = array(
+                            'field' => 'b2brouter_webhook_secret',
+                            'code' => 'empty_webhook_secret',
+                            'message' => __('Webhook secret is required when webhooks are enabled.', 'b2brouter-for-woocommerce'),
+                            'type' => 'warning',
+                        );
+                    }
+
+                    $this->settings->set_webhook_secret($webhook_secret);
+                }
 
-            $webhook_fallback = isset($_POST['b2brouter_webhook_fallback_polling']) && $_POST['b2brouter_webhook_fallback_polling'] === 'yes';
-            $webhook_fallback_changed = $webhook_fallback !== $this->settings->get_webhook_fallback_polling();
-            $this->settings->set_webhook_fallback_polling($webhook_fallback);
+                $webhook_fallback = $this->is_checked($input, 'b2brouter_webhook_fallback_polling', 'yes');
+                $webhook_fallback_changed = $webhook_fallback !== $this->settings->get_webhook_fallback_polling();
+                $this->settings->set_webhook_fallback_polling($webhook_fallback);
 
-            // Reschedule cron if webhook settings changed
-            if (($webhook_enabled_changed || $webhook_fallback_changed) && $this->status_sync) {
-                $this->status_sync->reschedule_cron();
-            }
+                // Reschedule cron if webhook settings changed
+                if (($webhook_enabled_changed || $webhook_fallback_changed) && $this->status_sync) {
+                    $this->status_sync->reschedule_cron();
+                }
+                break;
 
-            // Save PDF auto-save setting
-            $auto_save_enabled = isset($_POST['b2brouter_auto_save_pdf']) && $_POST['b2brouter_auto_save_pdf'] === '1';
-            $this->settings->set_auto_save_pdf($auto_save_enabled);
-            $auto_save_pdf = $auto_save_enabled;
+            case 'numbering':
+                if (isset($input['b2brouter_invoice_series_code'])) {
+                    $result = $this->settings->set_invoice_series_code($input['b2brouter_invoice_series_code']);
+                    $this->collect_setting_issue($issues, 'b2brouter_invoice_series_code', $result);
+                }
 
-            // Save email attachment settings
-            $this->settings->set_attach_to_order_completed(
-                isset($_POST['b2brouter_attach_to_order_completed']) && $_POST['b2brouter_attach_to_order_completed'] === '1'
-            );
-            $attach_to_completed = $this->settings->get_attach_to_order_completed();
+                if (isset($input['b2brouter_credit_note_series_code'])) {
+                    $result = $this->settings->set_credit_note_series_code($input['b2brouter_credit_note_series_code']);
+                    $this->collect_setting_issue($issues, 'b2brouter_credit_note_series_code', $result);
+                }
 
-            $this->settings->set_attach_to_customer_invoice(
-                isset($_POST['b2brouter_attach_to_customer_invoice']) && $_POST['b2brouter_attach_to_customer_invoice'] === '1'
-            );
-            $attach_to_invoice = $this->settings->get_attach_to_customer_invoice();
+                if (isset($input['b2brouter_invoice_numbering_pattern'])) {
+                    $result = $this->settings->set_invoice_numbering_pattern(sanitize_text_field($input['b2brouter_invoice_numbering_pattern']));
+                    $this->collect_setting_issue($issues, 'b2brouter_invoice_numbering_pattern', $result);
+                }
+                break;
+
+            case 'pdf':
+                $this->settings->set_auto_save_pdf($this->is_checked($input, 'b2brouter_auto_save_pdf', '1'));
+                $this->settings->set_attach_to_order_completed($this->is_checked($input, 'b2brouter_attach_to_order_completed', '1'));
+                $this->settings->set_attach_to_customer_invoice($this->is_checked($input, 'b2brouter_attach_to_customer_invoice', '1'));
+                $this->settings->set_attach_to_refunded_order($this->is_checked($input, 'b2brouter_attach_to_refunded_order', '1'));
+                $this->settings->set_auto_cleanup_enabled($this->is_checked($input, 'b2brouter_auto_cleanup_enabled', '1'));
+
+                if (isset($input['b2brouter_auto_cleanup_days'])) {
+                    $result = $this->settings->set_auto_cleanup_days(sanitize_text_field($input['b2brouter_auto_cleanup_days']));
+                    $this->collect_setting_issue($issues, 'b2brouter_auto_cleanup_days', $result);
+                }
+                break;
+
+            default:
+                $issues[] = array(
+                    'field' => '',
+                    'code' => 'unknown_section',
+                    'message' => __('Unknown settings section.', 'b2brouter-for-woocommerce'),
+                    'type' => 'error',
+                );
+        }
 
-            $this->settings->set_attach_to_refunded_order(
-                isset($_POST['b2brouter_attach_to_refunded_order']) && $_POST['b2brouter_attach_to_refunded_order'] === '1'
-            );
-            $attach_to_refunded = $this->settings->get_attach_to_refunded_order();
+        return $issues;
+    }
 
-            // Save cleanup settings
-            $this->settings->set_auto_cleanup_enabled(
-                isset($_POST['b2brouter_auto_cleanup_enabled']) && $_POST['b2brouter_auto_cleanup_enabled'] === '1'
-            );
-            $auto_cleanup_enabled = $this->settings->get_auto_cleanup_enabled();
+    /**
+     * Get the stored values of a settings page section
+     *
+     * @since 1.0.0
+     * @param string $section Key of self::SETTINGS_SECTIONS
+     * @return array Field name => value; checkboxes are booleans
+     */
+    public function get_settings_section_values($section) {
+        switch ($section) {
+            case 'uninstall':
+                return array(
+                    'b2brouter_delete_archival_data' => (bool) $this->settings->get_delete_archival_data(),
+                );
+
+            case 'general':
+                return array(
+                    'b2brouter_api_key' => $this->settings->get_api_key(),
+                    'b2brouter_invoice_mode' => $this->settings->get_invoice_mode(),
+                    'b2brouter_tin_validation' => $this->settings->get_tin_validation_mode(),
+                );
+
+            case 'webhook':
+                return array(
+                    'b2brouter_webhook_enabled' => (bool) $this->settings->get_webhook_enabled(),
+                    'b2brouter_webhook_secret' => $this->settings->get_webhook_secret(),
+                    'b2brouter_webhook_fallback_polling' => (bool) $this->settings->get_webhook_fallback_polling(),
+                );
+
+            case 'numbering':
+                return array(
+                    'b2brouter_invoice_series_code' => $this->settings->get_invoice_series_code(),
+                    'b2brouter_credit_note_series_code' => $this->settings->get_credit_note_series_code(),
+                    'b2brouter_invoice_numbering_pattern' => $this->settings->get_invoice_numbering_pattern(),
+                );
+
+            case 'pdf':
+                return array(
+                    'b2brouter_auto_save_pdf' => (bool) $this->settings->get_auto_save_pdf(),
+                    'b2brouter_attach_to_order_completed' => (bool) $this->settings->get_attach_to_order_completed(),
+                    'b2brouter_attach_to_customer_invoice' => (bool) $this->settings->get_attach_to_customer_invoice(),
+                    'b2brouter_attach_to_refunded_order' => (bool) $this->settings->get_attach_to_refunded_order(),
+                    'b2brouter_auto_cleanup_enabled' => (bool) $this->settings->get_auto_cleanup_enabled(),
+                    'b2brouter_auto_cleanup_days' => (string) $this->settings->get_auto_cleanup_days(),
+                );
+        }
 
-            if (isset($_POST['b2brouter_auto_cleanup_days'])) {
-                $this->settings->set_auto_cleanup_days(intval($_POST['b2brouter_auto_cleanup_days']));
-                $auto_cleanup_days = $this->settings->get_auto_cleanup_days();
-            }
+        return array();
+    }
 
-            // Save invoice series code (required, non-empty)
-            if (isset($_POST['b2brouter_invoice_series_code'])) {
-                $submitted = sanitize_text_field(wp_unslash($_POST['b2brouter_invoice_series_code']));
-                if (trim($submitted) === '') {
-                    add_settings_error(
-                        'b2brouter_invoice_series_code',
-                        'empty_invoice_series_code',
-                        __('Invoice series code is required and cannot be empty.', 'b2brouter-for-woocommerce'),
-                        'error'
-                    );
-                } else {
-                    $this->settings->set_invoice_series_code($submitted);
-                    $invoice_series_code = $this->settings->get_invoice_series_code();
-                }
-            }
+    /**
+     * Whether a checkbox was submitted with its checked value
+     *
+     * @since 1.0.0
+     * @param array $input Form input
+     * @param string $field Field name
+     * @param string $value Value the checkbox sends when checked
+     * @return bool
+     */
+    private function is_checked(array $input, $field, $value) {
+        return isset($input[$field]) && $input[$field] === $value;
+    }
 
-            // Save credit note series code (required, non-empty)
-            if (isset($_POST['b2brouter_credit_note_series_code'])) {
-                $submitted = sanitize_text_field(wp_unslash($_POST['b2brouter_credit_note_series_code']));
-                if (trim($submitted) === '') {
-                    add_settings_error(
-                        'b2brouter_credit_note_series_code',
-                        'empty_credit_note_series_code',
-                        __('Credit note series code is required and cannot be empty.', 'b2brouter-for-woocommerce'),
-                        'error'
-                    );
-                } else {
-                    $this->settings->set_credit_note_series_code($submitted);
-                    $credit_note_series_code = $this->settings->get_credit_note_series_code();
-                }
-            }
+    /**
+     * Record a setter's WP_Error as a blocking issue for a field
+     *
+     * @since 1.0.0
+     * @param array $issues Issues collected so far
+     * @param string $field Field name
+     * @param mixed $result Setter return value
+     * @return void
+     */
+    private function collect_setting_issue(array &$issues, $field, $result) {
+        if (!is_wp_error($result)) {
+            return;
+        }
 
-            // Save numbering pattern
-            if (isset($_POST['b2brouter_invoice_numbering_pattern'])) {
-                $this->settings->set_invoice_numbering_pattern(sanitize_text_field(wp_unslash($_POST['b2brouter_invoice_numbering_pattern'])));
-                $numbering_pattern = $this->settings->get_invoice_numbering_pattern();
-            }
+        $issues[] = array(
+            'field' => $field,
+            'code' => $result->get_error_code(),
+            'message' => $result->get_error_message(),
+            'type' => 'error',
+        );
+    }
 
-            // Save uninstall behavior
-            $this->settings->set_delete_archival_data(
-                isset($_POST['b2brouter_delete_archival_data']) && $_POST['b2brouter_delete_archival_data'] === '1'
-            );
-            $delete_archival_data = $this->settings->get_delete_archival_data();
+    /**
+     * Render settings page
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function render_settings_page() {
+        if (isset($_POST['b2brouter_save_settings']) && check_admin_referer('b2brouter_settings')) {
+            // Each setter sanitizes its own value
+            $input = wp_unslash($_POST); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
 
             // Render accumulated validation messages. Show success only if no blocking errors
             // were added (warnings still allow a save-confirmation message).
             $has_blocking_error = false;
-            foreach (get_settings_errors() as $settings_error) {
-                if (isset($settings_error['type']) && $settings_error['type'] === 'error') {
-                    $has_blocking_error = true;
-                    break;
+            foreach (array_keys(self::SETTINGS_SECTIONS) as $section) {
+                foreach ($this->save_settings_section($section, $input) as $issue) {
+                    add_settings_error($issue['field'], $issue['code'], $issue['message'], $issue['type']);
+                    if ($issue['type'] === 'error') {
+                        $has_blocking_error = true;
+                    }
                 }
             }
             settings_errors();
@@ -685,6 +1280,22 @@ class Admin {
             }
         }
 
+        $api_key = $this->settings->get_api_key();
+        $invoice_mode = $this->settings->get_invoice_mode();
+        $tin_validation_mode = $this->settings->get_tin_validation_mode();
+        $auto_save_pdf = $this->settings->get_auto_save_pdf();
+        $attach_to_completed = $this->settings->get_attach_to_order_completed();
+        $attach_to_invoice = $this->settings->get_attach_to_customer_invoice();
+        $attach_to_refunded = $this->settings->get_attach_to_refunded_order();
+        $auto_cleanup_enabled = $this->settings->get_auto_cleanup_enabled();
+        $auto_cleanup_days = $this->settings->get_auto_cleanup_days();
+        $delete_archival_data = $this->settings->get_delete_archival_data();
+        $transaction_count = $this->settings->get_transaction_count();
+        $api_configured = $this->settings->is_api_key_configured();
+        $invoice_series_code = $this->settings->get_invoice_series_code();
+        $credit_note_series_code = $this->settings->get_credit_note_series_code();
+        $numbering_pattern = $this->settings->get_invoice_numbering_pattern();
+
         ?>
         <div class="wrap b2brouter-settings">
             <h1><?php esc_html_e('Invoice Settings', 'b2brouter-for-woocommerce'); ?></h1>
@@ -701,7 +1312,7 @@ class Admin {
             <form method="post" action="" class="b2brouter-form">
                 <?php wp_nonce_field('b2brouter_settings'); ?>
 
-                <div class="b2brouter-uninstall-card">
+                <div class="b2brouter-uninstall-card b2brouter-settings-section" data-section="uninstall">
                     <h2><?php esc_html_e('Uninstall behavior', 'b2brouter-for-woocommerce'); ?></h2>
                     <p>
                         <?php esc_html_e('When this plugin is deleted from WordPress, it always removes its settings, cached PDF files, and scheduled sync tasks. Invoice identifiers stored on each order (B2Brouter invoice ID, invoice number, series code, and issue date) are preserved by default so your tax audit trail stays intact.', 'b2brouter-for-woocommerce'); ?>
@@ -716,8 +1327,10 @@ class Admin {
                     <p class="description">
                         <?php esc_html_e('Warning: this cannot be undone. Customer VAT / TIN numbers are never removed by uninstall.', 'b2brouter-for-woocommerce'); ?>
                     </p>
+                    <?php $this->render_settings_section_actions(); ?>
                 </div>
 
+                <div class="b2brouter-settings-section" data-section="general">
                 <table class="form-table">
                     <tr>
                         <th scope="row">
@@ -787,8 +1400,27 @@ class Admin {
                             </fieldset>
                         </td>
                     </tr>
+
+                    <tr>
+                        <th scope="row">
+                            <label for="b2brouter_tin_validation"><?php esc_html_e('Checkout TIN Validation', 'b2brouter-for-woocommerce'); ?></label>
+                        </th>
+                        <td>
+                            <select id="b2brouter_tin_validation" name="b2brouter_tin_validation">
+                                <option value="off" <?php selected($tin_validation_mode, 'off'); ?>><?php esc_html_e('Off', 'b2brouter-for-woocommerce'); ?></option>
+                                <option value="warn" <?php selected($tin_validation_mode, 'warn'); ?>><?php esc_html_e('Warn the customer', 'b2brouter-for-woocommerce'); ?></option>
+                                <option value="require" <?php selected($tin_validation_mode, 'require'); ?>><?php esc_html_e('Require a valid TIN', 'b2brouter-for-woocommerce'); ?></option>
+                            </select>
+                            <p class="description">
+                                <?php esc_html_e('Checks the Tax ID / VAT number format (EU VAT prefixes, Spanish NIF/CIF check digits) while the customer types. "Require" also blocks orders with an invalid number; an empty field is always allowed.', 'b2brouter-for-woocommerce'); ?>
+                            </p>
+                        </td>
+                    </tr>
                 </table>
+                <?php $this->render_settings_section_actions(); ?>
+                </div>
 
+                <div class="b2brouter-settings-section" data-section="webhook">
                 <h2><?php esc_html_e('Webhook Configuration', 'b2brouter-for-woocommerce'); ?></h2>
                 <table class="form-table">
                     <tr>
@@ -824,8 +1456,8 @@ class Admin {
                                    class="regular-text"
                                    style="background-color: #f0f0f0;" />
                             <button type="button"
-                                    class="button button-secondary"
-                                    onclick="navigator.clipboard.writeText('<?php echo esc_attr($this->settings->get_webhook_url()); ?>'); this.textContent = '<?php esc_attr_e('Copied!', 'b2brouter-for-woocommerce'); ?>'; setTimeout(() => { this.textContent = '<?php esc_attr_e('Copy', 'b2brouter-for-woocommerce'); ?>'; }, 2000);">
+                                    class="button button-secondary b2brouter-copy"
+                                    data-copy-target="#b2brouter_webhook_url">
                                 <?php esc_html_e('Copy', 'b2brouter-for-woocommerce'); ?>
                             </button>
                             <p class="description">
@@ -841,14 +1473,43 @@ class Admin {
                             </label>
                         </th>
                         <td>
+                            <?php $has_webhook_secret = !empty($this->settings->get_webhook_secret()); ?>
+                            <?php $webhook_grace_until = $this->settings->get_webhook_secret_grace_until(); ?>
                             <input type="password"
                                    name="b2brouter_webhook_secret"
                                    id="b2brouter_webhook_secret"
                                    value="<?php echo esc_attr($this->settings->get_webhook_secret()); ?>"
-                                   class="regular-text" />
+                                   class="regular-text"
+                                   autocomplete="off" />
+                            <button type="button"
+                                    class="button button-secondary b2brouter-copy"
+                                    data-copy-target="#b2brouter_webhook_secret">
+                                <?php esc_html_e('Copy', 'b2brouter-for-woocommerce'); ?>
+                            </button>
+                            <button type="button"
+                                    id="b2brouter_generate_webhook_secret"
+                                    class="button button-secondary"
+                                    <?php echo $has_webhook_secret ? 'style="display:none;"' : ''; ?>>
+                                <?php esc_html_e('Generate secret', 'b2brouter-for-woocommerce'); ?>
+                            </button>
+                            <button type="button"
+                                    id="b2brouter_rotate_webhook_secret"
+                                    class="button button-secondary"
+                                    <?php echo $has_webhook_secret ? '' : 'style="display:none;"'; ?>>
+                                <?php esc_html_e('Rotate secret', 'b2brouter-for-woocommerce'); ?>
+                            </button>
+                            <span id="b2brouter_webhook_secret_result" role="status"></span>
                             <p class="description">
-                                <?php esc_html_e('Enter the webhook secret from your B2Brouter dashboard to verify webhook authenticity.', 'b2brouter-for-woocommerce'); ?>
+                                <?php esc_html_e('Enter the webhook secret from your B2Brouter dashboard, or generate one here and copy it into B2Brouter. After rotating, the old secret stays valid for a grace period so no delivery is lost while you update B2Brouter.', 'b2brouter-for-woocommerce'); ?>
                             </p>
+                            <div id="b2brouter_webhook_secret_grace" class="notice notice-warning inline" <?php echo $webhook_grace_until ? '' : 'style="display:none;"'; ?>>
+                                <p>
+                                    <span class="b2brouter-webhook-grace-message"><?php echo $webhook_grace_until ? esc_html($this->get_webhook_grace_message($webhook_grace_until)) : ''; ?></span>
+                                    <button type="button" id="b2brouter_end_webhook_secret_grace" class="button button-small">
+                                        <?php esc_html_e('End grace period', 'b2brouter-for-woocommerce'); ?>
+                                    </button>
+                                </p>
+                            </div>
                         </td>
                     </tr>
 
@@ -869,8 +1530,68 @@ class Admin {
                             </p>
                         </td>
                     </tr>
+
+                    <tr>
+                        <th scope="row">
+                            <?php esc_html_e('Test Delivery', 'b2brouter-for-woocommerce'); ?>
+                        </th>
+                        <td>
+                            <button type="button" id="b2brouter_webhook_test" class="button button-secondary">
+                                <?php esc_html_e('Send test event', 'b2brouter-for-woocommerce'); ?>
+                            </button>
+                            <span id="b2brouter_webhook_test_result" role="status"></span>
+                            <p class="description">
+                                <?php esc_html_e('Posts a signed test event to the webhook URL above using the saved secret. Save your changes first.', 'b2brouter-for-woocommerce'); ?>
+                            </p>
+                        </td>
+                    </tr>
                 </table>
+                <?php $this->render_settings_section_actions(); ?>
+                </div>
+
+                <div id="b2brouter_webhook_log" class="b2brouter-webhook-log">
+                    <h3><?php esc_html_e('Recent Deliveries', 'b2brouter-for-woocommerce'); ?></h3>
+                    <div class="b2brouter-webhook-log-filters">
+                        <label for="b2brouter_webhook_log_signature" class="screen-reader-text"><?php esc_html_e('Filter by signature', 'b2brouter-for-woocommerce'); ?></label>
+                        <select id="b2brouter_webhook_log_signature">
+                            <option value=""><?php esc_html_e('All signatures', 'b2brouter-for-woocommerce'); ?></option>
+                            <option value="valid"><?php esc_html_e('Valid', 'b2brouter-for-woocommerce'); ?></option>
+                            <option value="invalid"><?php esc_html_e('Invalid', 'b2brouter-for-woocommerce'); ?></option>
+                            <option value="skipped"><?php esc_html_e('Not checked', 'b2brouter-for-woocommerce'); ?></option>
+                        </select>
+                        <label for="b2brouter_webhook_log_outcome" class="screen-reader-text"><?php esc_html_e('Filter by result', 'b2brouter-for-woocommerce'); ?></label>
+                        <select id="b2brouter_webhook_log_outcome">
+                            <option value=""><?php esc_html_e('All results', 'b2brouter-for-woocommerce'); ?></option>
+                            <option value="success"><?php esc_html_e('Succeeded (2xx)', 'b2brouter-for-woocommerce'); ?></option>
+                            <option value="failure"><?php esc_html_e('Failed', 'b2brouter-for-woocommerce'); ?></option>
+                        </select>
+                        <label for="b2brouter_webhook_log_invoice" class="screen-reader-text"><?php esc_html_e('Filter by invoice ID', 'b2brouter-for-woocommerce'); ?></label>
+                        <input type="search" id="b2brouter_webhook_log_invoice" placeholder="<?php esc_attr_e('Invoice ID', 'b2brouter-for-woocommerce'); ?>" />
+                        <button type="button" id="b2brouter_webhook_log_refresh" class="button"><?php esc_html_e('Refresh', 'b2brouter-for-woocommerce'); ?></button>
+                    </div>
+                    <table class="widefat striped b2brouter-webhook-log-table">
+                        <thead>
+                            <tr>
+                                <th scope="col"><?php esc_html_e('Received', 'b2brouter-for-woocommerce'); ?></th>
+                                <th scope="col"><?php esc_html_e('Event', 'b2brouter-for-woocommerce'); ?></th>
+                                <th scope="col"><?php esc_html_e('Invoice ID', 'b2brouter-for-woocommerce'); ?></th>
+                                <th scope="col"><?php esc_html_e('Signature', 'b2brouter-for-woocommerce'); ?></th>
+                                <th scope="col"><?php esc_html_e('HTTP Status', 'b2brouter-for-woocommerce'); ?></th>
+                                <th scope="col"><?php esc_html_e('Response', 'b2brouter-for-woocommerce'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr><td colspan="6"><?php esc_html_e('Loading...', 'b2brouter-for-woocommerce'); ?></td></tr>
+                        </tbody>
+                    </table>
+                    <div class="b2brouter-webhook-log-pagination">
+                        <button type="button" class="button b2brouter-webhook-log-prev" disabled><?php esc_html_e('Previous', 'b2brouter-for-woocommerce'); ?></button>
+                        <span class="b2brouter-webhook-log-page"></span>
+                        <button type="button" class="button b2brouter-webhook-log-next" disabled><?php esc_html_e('Next', 'b2brouter-for-woocommerce'); ?></button>
+                    </div>
+                </div>
 
+                <div class="b2brouter-settings-section" data-section="numbering">
                 <h2><?php esc_html_e('Invoice Numbering & Series', 'b2brouter-for-woocommerce'); ?></h2>
                 <table class="form-table">
                     <tr>
@@ -937,8 +1658,31 @@ class Admin {
                             </fieldset>
                         </td>
                     </tr>
+
+                    <tr>
+                        <th scope="row">
+                            <?php esc_html_e('Next Numbers', 'b2brouter-for-woocommerce'); ?>
+                        </th>
+                        <td>
+                            <div id="b2brouter_numbering_preview" class="b2brouter-numbering-preview" aria-live="polite">
+                                <dl>
+                                    <dt><?php esc_html_e('Invoice', 'b2brouter-for-woocommerce'); ?></dt>
+                                    <dd class="b2brouter-numbering-preview-invoice">&hellip;</dd>
+                                    <dt><?php esc_html_e('Credit note', 'b2brouter-for-woocommerce'); ?></dt>
+                                    <dd class="b2brouter-numbering-preview-credit-note">&hellip;</dd>
+                                </dl>
+                                <div class="b2brouter-numbering-preview-warnings"></div>
+                            </div>
+                            <p class="description">
+                                <?php esc_html_e('Preview of the numbers the next new order and refund would get with the values above, before you save. Orders already placed keep their own order number. With automatic numbering, B2Brouter assigns the numbers and they are not previewed.', 'b2brouter-for-woocommerce'); ?>
+                            </p>
+                        </td>
+                    </tr>
                 </table>
+                <?php $this->render_settings_section_actions(); ?>
+                </div>
 
+                <div class="b2brouter-settings-section" data-section="pdf">
                 <h2><?php esc_html_e('PDF Options', 'b2brouter-for-woocommerce'); ?></h2>
                 <table class="form-table">
                     <tr>
@@ -1061,6 +1805,14 @@ class Admin {
                         </td>
                     </tr>
                 </table>
+                <?php $this->render_settings_section_actions(); ?>
+                </div>
+
+                <?php
+                if ($this->pdf_storage) {
+                    $this->pdf_storage->render_panel();
+                }
+                ?>
 
                 <h2><?php esc_html_e('Plugin Information', 'b2brouter-for-woocommerce'); ?></h2>
                 <table class="form-table">
@@ -1097,6 +1849,26 @@ class Admin {
         <?php
     }
 
+    /**
+     * Render the save button and status of a settings page section
+     *
+     * Hidden until admin.js takes over; without JavaScript the form is
+     * saved as a whole with the Save Settings button.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    private function render_settings_section_actions() {
+        ?>
+        <p class="b2brouter-settings-section-actions" style="display:none;">
+            <button type="button" class="button button-secondary b2brouter-save-section">
+                <?php esc_html_e('Save section', 'b2brouter-for-woocommerce'); ?>
+            </button>
+            <span class="b2brouter-settings-section-status" role="status"></span>
+        </p>
+        <?php
+    }
+
     /**
      * Render list of invoices page
      *
@@ -1119,16 +1891,78 @@ class Admin {
             // Display bulk download notice if applicable
             $list_table->bulk_download_notice();
 
+            // Display register export progress if applicable
+            $list_table->invoice_export_notice();
+
             // Prepare items
             $list_table->prepare_items();
 
-            // Display the table
+            // Display the table. A GET form keeps filters, sorting and paging in the
+            // URL; admin.js swaps in the table over AJAX and updates the URL to match.
             ?>
-            <form method="post">
+            <form method="get" id="b2brouter-invoice-list">
+                <input type="hidden" name="page" value="b2brouter-invoices" />
+                <div class="b2brouter-invoice-list-table">
+                    <?php $list_table->display(); ?>
+                </div>
+            </form>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the retry queue page
+     *
+     * The table is filled and kept up to date by admin.js from the
+     * b2brouter_retry_queue AJAX action.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function render_retry_queue_page() {
+        if (!current_user_can('manage_options')) {
+            wp_die(esc_html__('You do not have sufficient permissions to access this page.', 'b2brouter-for-woocommerce'));
+        }
+
+        ?>
+        <div class="wrap">
+            <h1 class="wp-heading-inline"><?php esc_html_e('Retry Queue', 'b2brouter-for-woocommerce'); ?></h1>
+            <button type="button" class="page-title-action b2brouter-retry-queue-retry-all" disabled>
+                <?php esc_html_e('Retry all', 'b2brouter-for-woocommerce'); ?>
+            </button>
+            <hr class="wp-header-end">
+
+            <p class="description">
                 <?php
-                $list_table->display();
+                printf(
+                    /* translators: %d: number of automatic attempts */
+                    esc_html__('Invoices that failed to generate automatically are retried in the background with growing delays, up to %d attempts in total. Retry them now once the cause is fixed, or dismiss them to stop tracking them.', 'b2brouter-for-woocommerce'),
+                    (int) Retry_Queue::MAX_ATTEMPTS
+                );
                 ?>
-            </form>
+            </p>
+
+            <div id="b2brouter-retry-queue">
+                <p class="b2brouter-retry-queue-status" role="status" aria-live="polite"></p>
+
+                <table class="widefat striped b2brouter-retry-queue-table">
+                    <thead>
+                        <tr>
+                            <th scope="col"><?php esc_html_e('Order', 'b2brouter-for-woocommerce'); ?></th>
+                            <th scope="col"><?php esc_html_e('Reason', 'b2brouter-for-woocommerce'); ?></th>
+                            <th scope="col"><?php esc_html_e('Attempts', 'b2brouter-for-woocommerce'); ?></th>
+                            <th scope="col"><?php esc_html_e('Last attempt', 'b2brouter-for-woocommerce'); ?></th>
+                            <th scope="col"><?php esc_html_e('Next attempt', 'b2brouter-for-woocommerce'); ?></th>
+                            <th scope="col"><span class="screen-reader-text"><?php esc_html_e('Actions', 'b2brouter-for-woocommerce'); ?></span></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td colspan="6"><?php esc_html_e('Loading...', 'b2brouter-for-woocommerce'); ?></td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
         </div>
         <?php
     }
@@ -0,0 +1,305 @@
+<?php
+/**
+ * Invoice Blocks
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Blocks class
+ *
+ * Registers the "Invoice download" and "Invoice status" blocks for block
+ * themes, where the Order Confirmation template and block-based account
+ * pages have none of the classic markup customer.js hooks into. Both are
+ * dynamic blocks: the editor only shows a sample (invoice-blocks-editor.js),
+ * and the front end is rendered here for the order of the page being viewed
+ * (order-received or view-order endpoint). Downloads are handled by
+ * invoice-blocks.js, which has no jQuery dependency, through the same signed
+ * document request as the classic buttons.
+ *
+ * Nothing is rendered while the order has no invoice, or when the visitor
+ * may not see the order.
+ *
+ * @since 1.0.0
+ */
+class Blocks {
+
+    /**
+     * Front-end script and style handle
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const HANDLE = 'b2brouter-invoice-blocks';
+
+    /**
+     * Editor script handle
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const EDITOR_HANDLE = 'b2brouter-invoice-blocks-editor';
+
+    /**
+     * Whether the front-end script was already enqueued and localized
+     *
+     * @since 1.0.0
+     * @var bool
+     */
+    private $view_script_enqueued = false;
+
+    /**
+     * Constructor
+     *
+     * @since 1.0.0
+     */
+    public function __construct() {
+        add_action('init', array($this, 'register_blocks'));
+    }
+
+    /**
+     * Register the block assets and block types
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function register_blocks() {
+        if (!function_exists('register_block_type')) {
+            return;
+        }
+
+        wp_register_script(
+            self::EDITOR_HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/js/invoice-blocks-editor.js',
+            array('wp-blocks', 'wp-element', 'wp-block-editor', 'wp-components', 'wp-i18n'),
+            B2BROUTER_WC_VERSION,
+            true
+        );
+
+        if (function_exists('wp_set_script_translations')) {
+            wp_set_script_translations(self::EDITOR_HANDLE, 'b2brouter-for-woocommerce', B2BROUTER_WC_PLUGIN_DIR . 'languages');
+        }
+
+        // Enqueued by render_download_block() only when a download button is printed
+        wp_register_script(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/js/invoice-blocks.js',
+            array(),
+            B2BROUTER_WC_VERSION,
+            true
+        );
+
+        wp_register_style(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/css/invoice-blocks.css',
+            array(),
+            B2BROUTER_WC_VERSION
+        );
+
+        register_block_type('b2brouter/invoice-download', array(
+            'api_version'     => 2,
+            'title'           => __('Invoice download', 'b2brouter-for-woocommerce'),
+            'description'     => __('Download buttons for the invoice and credit notes of the order being viewed.', 'b2brouter-for-woocommerce'),
+            'category'        => 'woocommerce',
+            'icon'            => 'media-document',
+            'keywords'        => array('b2brouter', 'pdf', 'credit note'),
+            'attributes'      => array(
+                'showCreditNotes' => array(
+                    'type'    => 'boolean',
+                    'default' => true,
+                ),
+            ),
+            'supports'        => array(
+                'html'     => false,
+                'multiple' => false,
+            ),
+            'editor_script'   => self::EDITOR_HANDLE,
+            'style'           => self::HANDLE,
+            'render_callback' => array($this, 'render_download_block'),
+        ));
+
+        register_block_type('b2brouter/invoice-status', array(
+            'api_version'     => 2,
+            'title'           => __('Invoice status', 'b2brouter-for-woocommerce'),
+            'description'     => __('Delivery timeline (issued, sent, delivered, accepted) of the invoice of the order being viewed.', 'b2brouter-for-woocommerce'),
+            'category'        => 'woocommerce',
+            'icon'            => 'clock',
+            'keywords'        => array('b2brouter', 'timeline', 'delivery'),
+            'attributes'      => array(
+                'showDates' => array(
+                    'type'    => 'boolean',
+                    'default' => true,
+                ),
+            ),
+            'supports'        => array(
+                'html'     => false,
+                'multiple' => false,
+            ),
+            'editor_script'   => self::EDITOR_HANDLE,
+            'style'           => self::HANDLE,
+            'render_callback' => array($this, 'render_status_block'),
+        ));
+    }
+
+    /**
+     * Get the order shown on the current page, if the visitor may see it
+     *
+     * On the order-received endpoint the order key in the URL is required,
+     * and an order placed by a registered customer is only shown to that
+     * customer, as WooCommerce does for its own confirmation blocks. On the
+     * view-order endpoint the order must belong to the current user.
+     *
+     * @since 1.0.0
+     * @return \WC_Order|null The order, or null outside those pages or without access
+     */
+    public static function get_current_order() {
+        $received_id = absint(get_query_var('order-received'));
+        $view_id = absint(get_query_var('view-order'));
+
+        if (!$received_id && !$view_id) {
+            return null;
+        }
+
+        $order = wc_get_order($received_id ? $received_id : $view_id);
+
+        if (!$order || $order->get_type() === 'shop_order_refund') {
+            return null;
+        }
+
+        $customer_id = (int) $order->get_customer_id();
+
+        if ($received_id) {
+            // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- the order key is the access check
+            $order_key = isset($_GET['key']) ? sanitize_text_field(wp_unslash($_GET['key'])) : '';
+
+            if ($order_key === '' || !hash_equals((string) $order->get_order_key(), $order_key)) {
+                return null;
+            }
+
+            return !$customer_id || $customer_id === get_current_user_id() ? $order : null;
+        }
+
+        return $customer_id && $customer_id === get_current_user_id() ? $order : null;
+    }
+
+    /**
+     * Render the "Invoice download" block
+     *
+     * @since 1.0.0
+     * @param array $attributes Block attributes
+     * @return string Block HTML, empty when there is nothing to download
+     */
+    public function render_download_block($attributes) {
+        $order = self::get_current_order();
+
+        if (!$order || empty($order->get_meta('_b2brouter_invoice_id'))) {
+            return '';
+        }
+
+        $documents = Customer::get_order_documents($order);
+
+        if (isset($attributes['showCreditNotes']) && !$attributes['showCreditNotes']) {
+            $documents = array_filter($documents, function($document) {
+                return $document['type'] === 'invoice';
+            });
+        }
+
+        $this->enqueue_view_script();
+
+        $items = '';
+        foreach ($documents as $document) {
+            $items .= '<li class="b2brouter-invoice-block-document b2brouter-invoice-block-document-' . esc_attr($document['type']) . '">'
+                . '<span class="b2brouter-invoice-block-label">' . esc_html($document['label']) . '</span> '
+                . '<span class="b2brouter-invoice-block-number">' . esc_html($document['number']) . '</span>'
+                . ($document['date'] !== '' ? ' <span class="b2brouter-invoice-block-date">' . esc_html($document['date']) . '</span>' : '')
+                . ' <button type="button" class="wp-element-button b2brouter-invoice-block-download"' . Customer::format_html_attributes($document['attributes']) . '>'
+                . esc_html__('Download PDF', 'b2brouter-for-woocommerce')
+                . '</button>'
+                . '</li>';
+        }
+
+        return '<div ' . $this->get_wrapper_attributes('b2brouter-invoice-block b2brouter-invoice-download-block') . '>'
+            . '<ul class="b2brouter-invoice-block-documents">' . $items . '</ul>'
+            . '<p class="b2brouter-invoice-block-error" role="alert" hidden></p>'
+            . '</div>';
+    }
+
+    /**
+     * Render the "Invoice status" block
+     *
+     * @since 1.0.0
+     * @param array $attributes Block attributes
+     * @return string Block HTML, empty while the order has no invoice
+     */
+    public function render_status_block($attributes) {
+        $order = self::get_current_order();
+
+        if (!$order || empty($order->get_meta('_b2brouter_invoice_id'))) {
+            return '';
+        }
+
+        $show_dates = !isset($attributes['showDates']) || $attributes['showDates'];
+        $timeline = Customer::get_invoice_timeline($order);
+
+        $steps = '';
+        foreach ($timeline['steps'] as $step) {
+            $steps .= '<li class="b2brouter-invoice-block-step is-' . esc_attr($step['state']) . '">'
+                . '<span class="b2brouter-invoice-block-step-label">' . esc_html($step['label']) . '</span>'
+                . ($show_dates && $step['date'] !== '' ? '<span class="b2brouter-invoice-block-step-date">' . esc_html($step['date']) . '</span>' : '')
+                . ($step['description'] !== '' ? '<span class="b2brouter-invoice-block-step-description">' . esc_html($step['description']) . '</span>' : '')
+                . '</li>';
+        }
+
+        return '<div ' . $this->get_wrapper_attributes('b2brouter-invoice-block b2brouter-invoice-status-block') . '>'
+            . '<ol class="b2brouter-invoice-block-timeline" aria-label="' . esc_attr__('Invoice status', 'b2brouter-for-woocommerce') . '">' . $steps . '</ol>'
+            . '</div>';
+    }
+
+    /**
+     * Build the block wrapper attributes, including the editor's spacing and colour choices
+     *
+     * @since 1.0.0
+     * @param string $class_name Extra CSS classes
+     * @return string Attribute string
+     */
+    private function get_wrapper_attributes($class_name) {
+        // Empty outside a block render, e.g. when called directly
+        $attributes = function_exists('get_block_wrapper_attributes')
+            ? get_block_wrapper_attributes(array('class' => $class_name))
+            : '';
+
+        return $attributes !== '' ? $attributes : 'class="' . esc_attr($class_name) . '"';
+    }
+
+    /**
+     * Enqueue and configure the download script once per page
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    private function enqueue_view_script() {
+        if ($this->view_script_enqueued) {
+            return;
+        }
+
+        $this->view_script_enqueued = true;
+
+        wp_localize_script(self::HANDLE, 'b2brouterInvoiceBlocks', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce'    => wp_create_nonce('b2brouter_customer_nonce'),
+            'strings'  => array(
+                'downloading' => __('Downloading...', 'b2brouter-for-woocommerce'),
+                'error'       => __('Error downloading PDF', 'b2brouter-for-woocommerce'),
+            ),
+        ));
+
+        wp_enqueue_script(self::HANDLE);
+    }
+}
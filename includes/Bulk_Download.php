@@ -0,0 +1,428 @@
+<?php
+/**
+ * Bulk PDF Download Handler
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Bulk_Download class
+ *
+ * Builds a single ZIP archive of invoice PDFs for the "Download PDFs" bulk
+ * action on the invoice list. The archive is assembled server-side in small
+ * chunks driven by admin.js polling, so large selections never hit a request
+ * timeout and the browser only receives one file.
+ *
+ * @since 1.0.0
+ */
+class Bulk_Download {
+
+    /**
+     * Transient prefix for job state
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const TRANSIENT_PREFIX = 'b2brouter_bulk_download_';
+
+    /**
+     * Orders added to the archive per polling request
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const CHUNK_SIZE = 5;
+
+    /**
+     * Subdirectory of the PDF storage path holding in-progress archives
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const ARCHIVE_DIRECTORY = 'bulk-downloads';
+
+    /**
+     * Settings instance
+     *
+     * @since 1.0.0
+     * @var Settings
+     */
+    private $settings;
+
+    /**
+     * Invoice Generator instance
+     *
+     * @since 1.0.0
+     * @var Invoice_Generator
+     */
+    private $invoice_generator;
+
+    /**
+     * Constructor
+     *
+     * @since 1.0.0
+     * @param Settings $settings Settings instance
+     * @param Invoice_Generator $invoice_generator Invoice generator instance
+     */
+    public function __construct(Settings $settings, Invoice_Generator $invoice_generator) {
+        $this->settings = $settings;
+        $this->invoice_generator = $invoice_generator;
+
+        add_action('wp_ajax_b2brouter_bulk_download_process', array($this, 'ajax_process'));
+        add_action('wp_ajax_b2brouter_bulk_download_archive', array($this, 'ajax_download_archive'));
+    }
+
+    /**
+     * Create a bulk download job for the given orders
+     *
+     * @since 1.0.0
+     * @param int[] $order_ids Order or refund IDs to include
+     * @param int $user_id User who owns the job
+     * @return string Job ID
+     */
+    public static function create_job(array $order_ids, $user_id) {
+        $job = array(
+            'user_id'   => (int) $user_id,
+            'order_ids' => array_values(array_unique(array_filter(array_map('intval', $order_ids)))),
+            'position'  => 0,
+            'entries'   => array(),
+            'failures'  => array(),
+            'created'   => time(),
+        );
+
+        return Job_Store::create(self::TRANSIENT_PREFIX, $job);
+    }
+
+    /**
+     * Get a job, only if it belongs to the given user
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param int $user_id Requesting user ID
+     * @return array|null Job data or null if missing or owned by someone else
+     */
+    public static function get_job($job_id, $user_id) {
+        return Job_Store::get(self::TRANSIENT_PREFIX, $job_id, $user_id);
+    }
+
+    /**
+     * Build the progress summary sent to admin.js
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param array $job Job data
+     * @return array{job_id: string, total: int, processed: int, added: int, failures: array, complete: bool}
+     */
+    public static function get_summary($job_id, array $job) {
+        $total = count($job['order_ids']);
+
+        return array(
+            'job_id'    => $job_id,
+            'total'     => $total,
+            'processed' => min($job['position'], $total),
+            'added'     => count($job['entries']),
+            'failures'  => $job['failures'],
+            'complete'  => $job['position'] >= $total,
+        );
+    }
+
+    /**
+     * Add the next chunk of invoices to the job's archive
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param int $user_id Requesting user ID
+     * @return array{success: bool, message?: string, job_id?: string, total?: int, processed?: int, added?: int, failures?: array, complete?: bool}
+     */
+    public function process_chunk($job_id, $user_id) {
+        $job = self::get_job($job_id, $user_id);
+
+        if (!$job) {
+            return array(
+                'success' => false,
+                'message' => __('This download has expired. Please select the invoices again.', 'b2brouter-for-woocommerce'),
+            );
+        }
+
+        $total = count($job['order_ids']);
+
+        if ($job['position'] < $total) {
+            if (!class_exists('ZipArchive')) {
+                return array(
+                    'success' => false,
+                    'message' => __('The PHP Zip extension is required to download several invoices at once.', 'b2brouter-for-woocommerce'),
+                );
+            }
+
+            if ($job['position'] === 0) {
+                $this->delete_stale_archives();
+            }
+
+            $archive_path = $this->get_archive_path($job_id);
+
+            if (!$archive_path) {
+                return array(
+                    'success' => false,
+                    'message' => __('Failed to create PDF storage directory', 'b2brouter-for-woocommerce'),
+                );
+            }
+
+            // ZipArchive needs a real local path; WP_Filesystem has no archive API.
+            $zip = new \ZipArchive();
+
+            if ($zip->open($archive_path, \ZipArchive::CREATE) !== true) {
+                Logger::error('B2Brouter Bulk Download: could not open archive ' . $archive_path);
+                return array(
+                    'success' => false,
+                    'message' => __('Failed to create the ZIP archive.', 'b2brouter-for-woocommerce'),
+                );
+            }
+
+            $chunk = array_slice($job['order_ids'], $job['position'], self::CHUNK_SIZE);
+
+            foreach ($chunk as $order_id) {
+                $this->add_order_to_archive($zip, $order_id, $job);
+                $job['position']++;
+            }
+
+            $zip->close();
+
+            Job_Store::save(self::TRANSIENT_PREFIX, $job_id, $job);
+        }
+
+        return array_merge(array('success' => true), self::get_summary($job_id, $job));
+    }
+
+    /**
+     * Add one order's invoice PDF to the archive, recording failures on the job
+     *
+     * @since 1.0.0
+     * @param \ZipArchive $zip Open archive
+     * @param int $order_id Order or refund ID
+     * @param array $job Job data, updated in place
+     * @return void
+     */
+    private function add_order_to_archive($zip, $order_id, array &$job) {
+        $order = wc_get_order($order_id);
+
+        if (!$order) {
+            $job['failures'][] = array(
+                'order_id'     => $order_id,
+                'order_number' => (string) $order_id,
+                'message'      => __('Order not found', 'b2brouter-for-woocommerce'),
+            );
+            return;
+        }
+
+        $result = $this->invoice_generator->save_invoice_pdf($order_id);
+        $entry_name = $this->get_entry_name($order, $job['entries']);
+
+        if (!$result['success'] || !$zip->addFile($result['file_path'], $entry_name)) {
+            $job['failures'][] = array(
+                'order_id'     => $order_id,
+                'order_number' => $order->get_order_number(),
+                'message'      => $result['success'] ? __('Failed to add PDF to the ZIP archive.', 'b2brouter-for-woocommerce') : $result['message'],
+            );
+            return;
+        }
+
+        $job['entries'][] = $entry_name;
+    }
+
+    /**
+     * Pick a unique file name for the order's PDF inside the archive
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order Order object
+     * @param string[] $existing Entry names already in the archive
+     * @return string
+     */
+    private function get_entry_name($order, array $existing) {
+        $base = sanitize_file_name(Invoice_Generator::get_formatted_invoice_number($order));
+
+        if ($base === '') {
+            $base = 'invoice-' . $order->get_id();
+        }
+
+        $name = $base . '.pdf';
+        $suffix = 2;
+
+        while (in_array($name, $existing, true)) {
+            $name = $base . '-' . $suffix . '.pdf';
+            $suffix++;
+        }
+
+        return $name;
+    }
+
+    /**
+     * Resolve the archive path for a job, creating the archive directory
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @return string|false Absolute archive path or false on failure
+     */
+    private function get_archive_path($job_id) {
+        $directory = $this->get_archive_directory();
+
+        // Archives are only ever served through ajax_download_archive().
+        if (!is_dir($directory) && !Job_Store::create_protected_directory($directory)) {
+            Logger::error('B2Brouter Bulk Download: could not create ' . $directory);
+            return false;
+        }
+
+        return $directory . '/' . $job_id . '.zip';
+    }
+
+    /**
+     * Get the directory holding bulk download archives
+     *
+     * @since 1.0.0
+     * @return string
+     */
+    private function get_archive_directory() {
+        return $this->settings->get_pdf_storage_path() . '/' . self::ARCHIVE_DIRECTORY;
+    }
+
+    /**
+     * Remove archives left behind by abandoned jobs
+     *
+     * Jobs expire after an hour, so anything older than a day is unreachable.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    private function delete_stale_archives() {
+        $directory = $this->get_archive_directory();
+
+        if (!is_dir($directory)) {
+            return;
+        }
+
+        if (!function_exists('WP_Filesystem')) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+
+        global $wp_filesystem;
+
+        if (!WP_Filesystem()) {
+            return;
+        }
+
+        $entries = $wp_filesystem->dirlist($directory);
+
+        if (empty($entries)) {
+            return;
+        }
+
+        $cutoff_time = time() - DAY_IN_SECONDS;
+
+        foreach ($entries as $entry) {
+            if ($entry['type'] !== 'f' || substr($entry['name'], -4) !== '.zip') {
+                continue;
+            }
+
+            if ((int) $entry['lastmodunix'] < $cutoff_time) {
+                $wp_filesystem->delete($directory . '/' . $entry['name']);
+            }
+        }
+    }
+
+    /**
+     * AJAX: Process the next chunk of a bulk download job
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_process() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $job_id = isset($_POST['job_id']) ? sanitize_key(wp_unslash($_POST['job_id'])) : '';
+
+        $result = $this->process_chunk($job_id, get_current_user_id());
+
+        if ($result['success']) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+    }
+
+    /**
+     * AJAX: Stream the finished ZIP archive and discard the job
+     *
+     * @since 1.0.0
+     * @return void Outputs ZIP and exits
+     */
+    public function ajax_download_archive() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(
+                esc_html__('You do not have sufficient permissions to access this page.', 'b2brouter-for-woocommerce'),
+                esc_html__('Permission Denied', 'b2brouter-for-woocommerce'),
+                array('response' => 403)
+            );
+        }
+
+        $job_id = isset($_POST['job_id']) ? sanitize_key(wp_unslash($_POST['job_id'])) : '';
+        $job = self::get_job($job_id, get_current_user_id());
+        $archive_path = $job ? $this->get_archive_directory() . '/' . $job_id . '.zip' : '';
+
+        if (!$job || empty($job['entries']) || !file_exists($archive_path)) {
+            wp_die(
+                esc_html__('This download has expired. Please select the invoices again.', 'b2brouter-for-woocommerce'),
+                esc_html__('Error', 'b2brouter-for-woocommerce'),
+                array('response' => 404)
+            );
+        }
+
+        if (!function_exists('WP_Filesystem')) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+
+        global $wp_filesystem;
+
+        $zip_data = WP_Filesystem() ? $wp_filesystem->get_contents($archive_path) : false;
+
+        if ($zip_data === false) {
+            wp_die(
+                esc_html__('Failed to read the ZIP archive.', 'b2brouter-for-woocommerce'),
+                esc_html__('Error', 'b2brouter-for-woocommerce'),
+                array('response' => 500)
+            );
+        }
+
+        // The archive is single-use: drop it and the job before sending.
+        $wp_filesystem->delete($archive_path);
+        Job_Store::delete(self::TRANSIENT_PREFIX, $job_id);
+
+        if (ob_get_level()) {
+            ob_end_clean();
+        }
+
+        $filename = 'b2brouter-invoices-' . wp_date('Y-m-d') . '.zip';
+
+        header('Content-Type: application/zip');
+        header('Content-Length: ' . strlen($zip_data));
+        header('Content-Disposition: attachment; filename="' . $filename . '"');
+        header('Cache-Control: private, max-age=0, must-revalidate');
+        header('Pragma: public');
+        header('Expires: 0');
+
+        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- raw ZIP body, not HTML; Content-Type header set above.
+        echo $zip_data;
+        exit;
+    }
+}
@@ -0,0 +1,353 @@
+<?php
+/**
+ * Bulk Invoice Generation Tracker
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Bulk_Generation class
+ *
+ * Tracks the batch of orders queued by the "Generate B2Brouter Invoices" bulk
+ * action so the orders screen can report per-order progress. Invoices are
+ * still generated by Action Scheduler workers; this class only records their
+ * outcome and serves it to admin.js.
+ *
+ * @since 1.0.0
+ */
+class Bulk_Generation {
+
+    /**
+     * Action Scheduler hook that generates one queued invoice
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const ACTION_HOOK = 'b2brouter_bulk_generate_invoice';
+
+    /**
+     * Action Scheduler group for plugin actions
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const ACTION_GROUP = 'b2brouter';
+
+    /**
+     * Transient prefix for batch state
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const BATCH_TRANSIENT_PREFIX = 'b2brouter_bulk_batch_';
+
+    /**
+     * Transient prefix pointing a user at their most recent batch
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const ACTIVE_TRANSIENT_PREFIX = 'b2brouter_bulk_batch_user_';
+
+    /**
+     * Transient prefix for the last failure of a queued order
+     *
+     * Failures are stored per order rather than on the batch so concurrent
+     * queue workers never overwrite each other's results.
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const FAILURE_TRANSIENT_PREFIX = 'b2brouter_bulk_failure_';
+
+    /**
+     * Invoice Generator instance
+     *
+     * @since 1.0.0
+     * @var Invoice_Generator
+     */
+    private $invoice_generator;
+
+    /**
+     * Constructor
+     *
+     * @since 1.0.0
+     * @param Invoice_Generator $invoice_generator Invoice generator instance
+     */
+    public function __construct(Invoice_Generator $invoice_generator) {
+        $this->invoice_generator = $invoice_generator;
+
+        add_action('wp_ajax_b2brouter_bulk_generate_status', array($this, 'ajax_status'));
+        add_action('wp_ajax_b2brouter_bulk_generate_retry', array($this, 'ajax_retry'));
+        add_action('wp_ajax_b2brouter_bulk_generate_dismiss', array($this, 'ajax_dismiss'));
+    }
+
+    /**
+     * Create a batch for the given orders and make it the user's active batch
+     *
+     * @since 1.0.0
+     * @param int[] $order_ids Queued order IDs
+     * @param int $user_id User who submitted the bulk action
+     * @return string Batch ID
+     */
+    public static function create_batch(array $order_ids, $user_id) {
+        $batch = array(
+            'user_id'   => (int) $user_id,
+            'order_ids' => array_values(array_unique(array_filter(array_map('intval', $order_ids)))),
+            'created'   => time(),
+        );
+
+        $batch_id = Job_Store::create(self::BATCH_TRANSIENT_PREFIX, $batch, DAY_IN_SECONDS);
+        set_transient(self::ACTIVE_TRANSIENT_PREFIX . (int) $user_id, $batch_id, DAY_IN_SECONDS);
+
+        return $batch_id;
+    }
+
+    /**
+     * Get a batch, only if it belongs to the given user
+     *
+     * @since 1.0.0
+     * @param string $batch_id Batch ID
+     * @param int $user_id Requesting user ID
+     * @return array|null Batch data or null if missing or owned by someone else
+     */
+    public static function get_batch($batch_id, $user_id) {
+        return Job_Store::get(self::BATCH_TRANSIENT_PREFIX, $batch_id, $user_id);
+    }
+
+    /**
+     * Get the ID of the batch the user's progress panel should show
+     *
+     * @since 1.0.0
+     * @param int $user_id User ID
+     * @return string Batch ID, or empty string when there is none
+     */
+    public static function get_active_batch_id($user_id) {
+        $batch_id = get_transient(self::ACTIVE_TRANSIENT_PREFIX . (int) $user_id);
+
+        if (!is_string($batch_id) || !self::get_batch($batch_id, $user_id)) {
+            return '';
+        }
+
+        return $batch_id;
+    }
+
+    /**
+     * Record why a queued order failed to generate
+     *
+     * @since 1.0.0
+     * @param int $order_id Order ID
+     * @param string $message Failure message
+     * @return void
+     */
+    public static function record_failure($order_id, $message) {
+        set_transient(self::FAILURE_TRANSIENT_PREFIX . (int) $order_id, (string) $message, DAY_IN_SECONDS);
+    }
+
+    /**
+     * Forget a previously recorded failure
+     *
+     * @since 1.0.0
+     * @param int $order_id Order ID
+     * @return void
+     */
+    public static function clear_failure($order_id) {
+        delete_transient(self::FAILURE_TRANSIENT_PREFIX . (int) $order_id);
+    }
+
+    /**
+     * Queue invoice generation for an order unless it is already pending
+     *
+     * @since 1.0.0
+     * @param int $order_id Order ID
+     * @return bool True if a new action was enqueued, false if one was already pending
+     */
+    public static function enqueue($order_id) {
+        $args = array('order_id' => (int) $order_id);
+
+        // Any earlier failure is stale once the order is back in the queue.
+        self::clear_failure($order_id);
+
+        // Dedupe: if an action for this order is already pending (e.g. the
+        // merchant re-submitted the bulk form before the queue drained),
+        // don't enqueue a second copy.
+        if (as_has_scheduled_action(self::ACTION_HOOK, $args, self::ACTION_GROUP)) {
+            return false;
+        }
+
+        as_enqueue_async_action(self::ACTION_HOOK, $args, self::ACTION_GROUP);
+
+        return true;
+    }
+
+    /**
+     * Build the progress summary sent to admin.js
+     *
+     * An order counts as done once it has an invoice or a recorded failure;
+     * everything else is still waiting in the queue.
+     *
+     * @since 1.0.0
+     * @param string $batch_id Batch ID
+     * @param array $batch Batch data
+     * @return array{batch_id: string, total: int, processed: int, succeeded: int, failed: int, complete: bool, orders: array}
+     */
+    public function get_summary($batch_id, array $batch) {
+        $orders = array();
+        $succeeded = 0;
+        $failed = 0;
+
+        foreach ($batch['order_ids'] as $order_id) {
+            $order = wc_get_order($order_id);
+            $entry = array(
+                'order_id'     => $order_id,
+                'order_number' => $order ? $order->get_order_number() : (string) $order_id,
+                'edit_url'     => $order ? $order->get_edit_order_url() : '',
+                'status'       => 'pending',
+                'message'      => '',
+            );
+
+            $failure = get_transient(self::FAILURE_TRANSIENT_PREFIX . $order_id);
+
+            if ($order && $this->invoice_generator->has_invoice($order_id)) {
+                $entry['status'] = 'success';
+                $succeeded++;
+            } elseif (!$order || $failure !== false) {
+                $entry['status'] = 'failed';
+                $entry['message'] = $order
+                    ? (string) $failure
+                    : __('Order not found', 'b2brouter-for-woocommerce');
+                $failed++;
+            }
+
+            $orders[] = $entry;
+        }
+
+        $total = count($batch['order_ids']);
+
+        return array(
+            'batch_id'  => $batch_id,
+            'total'     => $total,
+            'processed' => $succeeded + $failed,
+            'succeeded' => $succeeded,
+            'failed'    => $failed,
+            'complete'  => ($succeeded + $failed) >= $total,
+            'orders'    => $orders,
+        );
+    }
+
+    /**
+     * Re-queue every failed order of a batch
+     *
+     * @since 1.0.0
+     * @param string $batch_id Batch ID
+     * @param int $user_id Requesting user ID
+     * @return array{success: bool, message: string, retried?: int}
+     */
+    public function retry_failed($batch_id, $user_id) {
+        $batch = self::get_batch($batch_id, $user_id);
+
+        if (!$batch) {
+            return array(
+                'success' => false,
+                'message' => __('This batch has expired. Please select the orders again.', 'b2brouter-for-woocommerce'),
+            );
+        }
+
+        $retried = 0;
+
+        foreach ($this->get_summary($batch_id, $batch)['orders'] as $entry) {
+            if ($entry['status'] !== 'failed' || !wc_get_order($entry['order_id'])) {
+                continue;
+            }
+
+            self::enqueue($entry['order_id']);
+            $retried++;
+        }
+
+        return array(
+            'success' => true,
+            'message' => sprintf(
+                /* translators: %d: number of orders queued again */
+                _n('%d order queued again.', '%d orders queued again.', $retried, 'b2brouter-for-woocommerce'),
+                $retried
+            ),
+            'retried' => $retried,
+        );
+    }
+
+    /**
+     * AJAX handler: report progress of a batch
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_status() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('edit_shop_orders')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $batch_id = isset($_POST['batch_id']) ? sanitize_key(wp_unslash($_POST['batch_id'])) : '';
+        $batch = self::get_batch($batch_id, get_current_user_id());
+
+        if (!$batch) {
+            wp_send_json_error(array('message' => __('This batch has expired. Please select the orders again.', 'b2brouter-for-woocommerce')));
+        }
+
+        wp_send_json_success($this->get_summary($batch_id, $batch));
+    }
+
+    /**
+     * AJAX handler: re-queue the failed orders of a batch
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_retry() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('edit_shop_orders')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $batch_id = isset($_POST['batch_id']) ? sanitize_key(wp_unslash($_POST['batch_id'])) : '';
+        $user_id = get_current_user_id();
+        $result = $this->retry_failed($batch_id, $user_id);
+
+        if (!$result['success']) {
+            wp_send_json_error($result);
+        }
+
+        $result['batch'] = $this->get_summary($batch_id, self::get_batch($batch_id, $user_id));
+
+        wp_send_json_success($result);
+    }
+
+    /**
+     * AJAX handler: hide the progress panel for the current user
+     *
+     * The batch itself is left to expire so queued orders keep processing.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_dismiss() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('edit_shop_orders')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        delete_transient(self::ACTIVE_TRANSIENT_PREFIX . get_current_user_id());
+
+        wp_send_json_success();
+    }
+}
@@ -0,0 +1,185 @@
+<?php
+/**
+ * Invoice Correction Requests
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Correction_Request class
+ *
+ * Once an invoice is issued its billing details are fixed, so a customer
+ * who spots a mistake asks for a correction from My Account instead
+ * (Customer::request_correction()). The request is kept on the order,
+ * shown in the order's B2Brouter meta box, and resolved from there: an
+ * approval cancels the invoice with a rectificative invoice or credit note
+ * and reissues it (Invoice_Generator::correct_invoice()), a rejection just
+ * closes it. Either way the customer gets a customer note, which
+ * WooCommerce emails to them.
+ *
+ * Only the latest request is kept; earlier ones remain in the order notes.
+ *
+ * @since 1.0.0
+ */
+class Correction_Request {
+
+    /**
+     * Order meta key holding the latest request
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const META_KEY = '_b2brouter_correction_request';
+
+    /**
+     * Request waiting for the shop
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const STATUS_PENDING = 'pending';
+
+    /**
+     * Request approved; the invoice was cancelled and reissued
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const STATUS_APPROVED = 'approved';
+
+    /**
+     * Request declined by the shop
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const STATUS_REJECTED = 'rejected';
+
+    /**
+     * Get the latest correction request of an order
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @return array|null Request, or null if the customer never asked for one
+     */
+    public static function get($order) {
+        $request = $order->get_meta(self::META_KEY);
+
+        return is_array($request) && !empty($request['status']) ? $request : null;
+    }
+
+    /**
+     * Check whether an order has a request waiting for the shop
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @return bool True if a request is pending
+     */
+    public static function is_pending($order) {
+        $request = self::get($order);
+
+        return $request !== null && $request['status'] === self::STATUS_PENDING;
+    }
+
+    /**
+     * Record a new request and note it on the order
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @param string $message What the customer says is wrong (sanitized)
+     * @param array<string, string> $current Billing details at the time of the request
+     * @param array<string, string> $proposed Billing details the customer proposes (validated)
+     * @return array The stored request
+     */
+    public static function create($order, $message, array $current, array $proposed) {
+        $request = array(
+            'status'         => self::STATUS_PENDING,
+            'message'        => $message,
+            // Kept so the meta box shows the changes the customer saw, even if the order is edited meanwhile
+            'current'        => $current,
+            'proposed'       => $proposed,
+            'invoice_number' => Invoice_Generator::get_formatted_invoice_number($order),
+            'requested_at'   => time(),
+            'resolved_at'    => 0,
+            'response'       => '',
+        );
+
+        $order->update_meta_data(self::META_KEY, $request);
+        $order->add_order_note(
+            sprintf(
+                /* translators: 1: formatted invoice number, 2: the customer's description of the problem */
+                __('The customer asked for invoice %1$s to be corrected: %2$s', 'b2brouter-for-woocommerce'),
+                $request['invoice_number'],
+                $message
+            ) . "\n" . implode("\n", Customer::describe_billing_changes($current, $proposed))
+        );
+        $order->save();
+
+        return $request;
+    }
+
+    /**
+     * Close the pending request and tell the customer
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @param string $status STATUS_APPROVED or STATUS_REJECTED
+     * @param string $response Reason for declining, passed on to the customer (sanitized)
+     * @return array|null The updated request, or null if none was pending
+     */
+    public static function resolve($order, $status, $response = '') {
+        $request = self::get($order);
+
+        if (!$request || $request['status'] !== self::STATUS_PENDING) {
+            return null;
+        }
+
+        $request['status'] = $status === self::STATUS_APPROVED ? self::STATUS_APPROVED : self::STATUS_REJECTED;
+        $request['resolved_at'] = time();
+        $request['response'] = $response;
+
+        if ($request['status'] === self::STATUS_APPROVED) {
+            $new_number = Invoice_Generator::get_formatted_invoice_number($order);
+
+            $note = $new_number !== '' && $new_number !== $request['invoice_number']
+                ? sprintf(
+                    /* translators: 1: formatted number of the corrected invoice, 2: formatted number of the new invoice */
+                    __('Your correction request for invoice %1$s was approved. It has been replaced by invoice %2$s, which you can download from your account.', 'b2brouter-for-woocommerce'),
+                    $request['invoice_number'],
+                    $new_number
+                  )
+                : sprintf(
+                    /* translators: %s: formatted number of the corrected invoice */
+                    __('Your correction request for invoice %s was approved. The corrected invoice will be available in your account shortly.', 'b2brouter-for-woocommerce'),
+                    $request['invoice_number']
+                  );
+        } else {
+            $note = $response !== ''
+                ? sprintf(
+                    /* translators: 1: formatted invoice number, 2: reason given by the shop */
+                    __('Your correction request for invoice %1$s was declined: %2$s', 'b2brouter-for-woocommerce'),
+                    $request['invoice_number'],
+                    $response
+                  )
+                : sprintf(
+                    /* translators: %s: formatted invoice number */
+                    __('Your correction request for invoice %s was declined. Please contact us if you have any questions.', 'b2brouter-for-woocommerce'),
+                    $request['invoice_number']
+                  );
+        }
+
+        $order->update_meta_data(self::META_KEY, $request);
+        // A customer note: WooCommerce emails it and lists it on the view-order page
+        $order->add_order_note($note, 1);
+        $order->save();
+
+        return $request;
+    }
+}
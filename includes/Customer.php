@@ -22,6 +22,58 @@ if (!defined('ABSPATH')) {
  */
 class Customer {
 
+    /**
+     * Timeline stage reached by each B2Brouter invoice status
+     *
+     * Stages are 0 issued, 1 sent, 2 delivered, 3 accepted/refused. Statuses
+     * not listed here (new, sending, error, ...) stay on the issued stage.
+     *
+     * @since 1.0.0
+     * @var array<string, int>
+     */
+    const TIMELINE_STAGES = array(
+        'sent'           => 1,
+        'registered'     => 2,
+        'downloaded'     => 2,
+        'delivered'      => 2,
+        'accepted'       => 3,
+        'allegedly_paid' => 3,
+        'paid'           => 3,
+        'closed'         => 3,
+        'refused'        => 3,
+        'cancelled'      => 3,
+        'annulled'       => 3,
+    );
+
+    /**
+     * Lifetime of signed document download tokens, in seconds (one hour)
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const DOCUMENT_TOKEN_TTL = 3600;
+
+    /**
+     * Billing fields the customer can correct before the invoice is issued
+     *
+     * Each is an order billing property with get_billing_* / set_billing_*
+     * accessors. The TIN is edited alongside them but lives in order meta.
+     *
+     * @since 1.0.0
+     * @var string[]
+     */
+    const EDITABLE_BILLING_FIELDS = array(
+        'first_name',
+        'last_name',
+        'company',
+        'address_1',
+        'address_2',
+        'city',
+        'postcode',
+        'state',
+        'country',
+    );
+
     /**
      * Settings instance
      *
@@ -63,9 +115,16 @@ class Customer {
         // Add PDF download link to My Account orders
         add_filter('woocommerce_my_account_my_orders_actions', array($this, 'add_pdf_download_to_my_account'), 10, 2);
 
+        // Render the My Account actions cell so our links carry signed data attributes
+        add_action('woocommerce_my_account_my_orders_column_order-actions', array($this, 'render_my_account_order_actions'));
+
         // Add PDF download section to Order Received (Thank You) page
         add_action('woocommerce_thankyou', array($this, 'add_pdf_to_thankyou_page'), 20, 1);
 
+        // Add documents list and invoice status timeline to My Account view-order page
+        add_action('woocommerce_view_order', array($this, 'add_documents_to_view_order'), 15, 1);
+        add_action('woocommerce_view_order', array($this, 'add_invoice_timeline_to_view_order'), 20, 1);
+
         // Handle customer PDF download requests
         add_action('wp_ajax_b2brouter_customer_download_pdf', array($this, 'ajax_customer_download_pdf'));
         add_action('wp_ajax_nopriv_b2brouter_customer_download_pdf', array($this, 'ajax_customer_download_pdf'));
@@ -73,6 +132,17 @@ class Customer {
         // Handle customer invoice generation requests
         add_action('wp_ajax_b2brouter_customer_generate_invoice', array($this, 'ajax_customer_generate_invoice'));
 
+        // Handle billing details review and correction before the invoice is requested
+        add_action('wp_ajax_b2brouter_customer_billing_details', array($this, 'ajax_customer_billing_details'));
+        add_action('wp_ajax_b2brouter_customer_update_billing', array($this, 'ajax_customer_update_billing'));
+
+        // Handle correction requests for issued invoices
+        add_action('wp_ajax_b2brouter_customer_request_correction', array($this, 'ajax_customer_request_correction'));
+
+        // Handle customer invoice status timeline requests (guests need it on the thank-you page)
+        add_action('wp_ajax_b2brouter_customer_invoice_timeline', array($this, 'ajax_customer_invoice_timeline'));
+        add_action('wp_ajax_nopriv_b2brouter_customer_invoice_timeline', array($this, 'ajax_customer_invoice_timeline'));
+
         // Enqueue frontend scripts and styles
         add_action('wp_enqueue_scripts', array($this, 'enqueue_scripts'));
     }
@@ -89,17 +159,19 @@ class Customer {
             return;
         }
 
+        Pdf_Viewer::register_assets();
+
         wp_enqueue_style(
             'b2brouter-customer',
             B2BROUTER_WC_PLUGIN_URL . 'assets/css/customer.css',
-            array(),
+            array(Pdf_Viewer::HANDLE),
             B2BROUTER_WC_VERSION
         );
 
         wp_enqueue_script(
             'b2brouter-customer',
             B2BROUTER_WC_PLUGIN_URL . 'assets/js/customer.js',
-            array('jquery'),
+            array('jquery', Pdf_Viewer::HANDLE),
             B2BROUTER_WC_VERSION,
             true
         );
@@ -108,10 +180,26 @@ class Customer {
             'ajax_url' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce('b2brouter_customer_nonce'),
             'strings' => array(
-                'downloading' => __('Downloading...', 'b2brouter-for-woocommerce'),
+                'invoice' => __('Invoice', 'b2brouter-for-woocommerce'),
+                'creditNote' => __('Credit note', 'b2brouter-for-woocommerce'),
                 'error' => __('Error downloading PDF', 'b2brouter-for-woocommerce'),
                 'generating' => __('Generating...', 'b2brouter-for-woocommerce'),
                 'generateInvoice' => __('Generate Invoice', 'b2brouter-for-woocommerce'),
+                'timelineError' => __('The invoice status could not be loaded. Please try again later.', 'b2brouter-for-woocommerce'),
+                'billingTitle' => __('Review your billing details', 'b2brouter-for-woocommerce'),
+                'billingIntro' => __('The invoice will be issued with these details and cannot be changed afterwards. Correct anything that is wrong before requesting it.', 'b2brouter-for-woocommerce'),
+                'billingConfirm' => __('Request invoice', 'b2brouter-for-woocommerce'),
+                'billingSaving' => __('Saving...', 'b2brouter-for-woocommerce'),
+                'billingCancel' => __('Cancel', 'b2brouter-for-woocommerce'),
+                'billingLoading' => __('Loading billing details...', 'b2brouter-for-woocommerce'),
+                'billingError' => __('Your billing details could not be loaded. Please try again later.', 'b2brouter-for-woocommerce'),
+                'billingRequired' => __('required', 'b2brouter-for-woocommerce'),
+                'billingSelectCountry' => __('Select a country', 'b2brouter-for-woocommerce'),
+                'correctionTitle' => __('Request an invoice correction', 'b2brouter-for-woocommerce'),
+                'correctionIntro' => __('Tell us what is wrong with the invoice and enter the billing details it should have. Once we approve the request, the invoice is cancelled and a corrected one is issued.', 'b2brouter-for-woocommerce'),
+                'correctionMessage' => __('What needs to be corrected?', 'b2brouter-for-woocommerce'),
+                'correctionSubmit' => __('Send request', 'b2brouter-for-woocommerce'),
+                'correctionSending' => __('Sending...', 'b2brouter-for-woocommerce'),
             ),
             'debug' => defined('WP_DEBUG') && WP_DEBUG,
         ));
@@ -128,11 +216,13 @@ class Customer {
     public function add_pdf_download_to_my_account($actions, $order) {
         $invoice_id = $order->get_meta('_b2brouter_invoice_id');
 
-        // If invoice exists, show download button
+        // If invoice exists, show download button. The URL is only a no-JS
+        // fallback; customer.js downloads from the signed data attributes.
         if (!empty($invoice_id)) {
             $actions['b2brouter_download_invoice'] = array(
-                'url' => '#b2brouter-invoice-' . $order->get_id() . '-' . $order->get_order_key(),
+                'url' => $order->get_view_order_url(),
                 'name' => __('Download Invoice', 'b2brouter-for-woocommerce'),
+                'b2brouter_attributes' => self::get_document_attributes($order, 'invoice'),
             );
         }
         // If manual mode and no invoice, show generate button
@@ -150,10 +240,10 @@ class Customer {
             foreach ($refunds as $index => $refund) {
                 $refund_invoice_id = $refund->get_meta('_b2brouter_invoice_id');
                 if (!empty($refund_invoice_id)) {
-                    // Encode refund ID in URL fragment for JavaScript extraction
                     $actions['b2brouter_download_credit_note_' . $refund->get_id()] = array(
-                        'url' => '#refund-' . $refund->get_id(),
+                        'url' => $order->get_view_order_url(),
                         'name' => __('Download Credit Note', 'b2brouter-for-woocommerce') . ' #' . ($index + 1),
+                        'b2brouter_attributes' => self::get_document_attributes($refund, 'credit_note'),
                     );
                 }
             }
@@ -162,6 +252,127 @@ class Customer {
         return $actions;
     }
 
+    /**
+     * Render the actions cell of the My Account orders table
+     *
+     * Mirrors WooCommerce's own markup for every action, adding the data
+     * attributes our download links need. Themes whose orders template does
+     * not fire this hook still get the plain links with their fallback URL.
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @return void
+     */
+    public function render_my_account_order_actions($order) {
+        $actions = wc_get_account_orders_actions($order);
+
+        if (empty($actions)) {
+            return;
+        }
+
+        $button_class = function_exists('wc_wp_theme_get_element_class_name') && wc_wp_theme_get_element_class_name('button')
+            ? ' ' . wc_wp_theme_get_element_class_name('button')
+            : '';
+
+        foreach ($actions as $key => $action) {
+            $aria_label = !empty($action['aria-label'])
+                ? $action['aria-label']
+                /* translators: 1: action name, 2: order number */
+                : sprintf(__('%1$s order number %2$s', 'b2brouter-for-woocommerce'), $action['name'], $order->get_order_number());
+
+            $attributes = !empty($action['b2brouter_attributes'])
+                ? self::format_html_attributes($action['b2brouter_attributes'])
+                : '';
+
+            echo '<a href="' . esc_url($action['url']) . '"'
+                . ' aria-label="' . esc_attr($aria_label) . '"'
+                . ' class="woocommerce-button' . esc_attr($button_class) . ' button ' . esc_attr(sanitize_html_class($key)) . '"'
+                . $attributes // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped by format_html_attributes()
+                . '>' . esc_html($action['name']) . '</a>';
+        }
+    }
+
+    /**
+     * Get the signed data attributes that let customer.js download a document
+     *
+     * @since 1.0.0
+     * @param \WC_Order|\WC_Order_Refund $document_order Order (invoice) or refund (credit note)
+     * @param string $document Document type: 'invoice' or 'credit_note'
+     * @return array<string, string> Attribute name => value
+     */
+    public static function get_document_attributes($document_order, $document) {
+        $order_id = $document_order->get_id();
+        $expires = time() + self::DOCUMENT_TOKEN_TTL;
+
+        return array(
+            'data-b2brouter-order-id' => (string) $order_id,
+            'data-b2brouter-document' => $document,
+            'data-b2brouter-expires'  => (string) $expires,
+            'data-b2brouter-token'    => self::create_document_token($order_id, $document, $expires),
+        );
+    }
+
+    /**
+     * Build an escaped HTML attribute string
+     *
+     * @since 1.0.0
+     * @param array<string, string> $attributes Attribute name => value
+     * @return string Attribute string with a leading space per attribute
+     */
+    public static function format_html_attributes(array $attributes) {
+        $html = '';
+
+        foreach ($attributes as $name => $value) {
+            $html .= ' ' . esc_attr($name) . '="' . esc_attr($value) . '"';
+        }
+
+        return $html;
+    }
+
+    /**
+     * Sign a document download
+     *
+     * @since 1.0.0
+     * @param int $order_id Order or refund ID
+     * @param string $document Document type
+     * @param int $expires Expiry timestamp
+     * @return string Token
+     */
+    private static function create_document_token($order_id, $document, $expires) {
+        return wp_hash((int) $order_id . '|' . $document . '|' . (int) $expires, 'nonce');
+    }
+
+    /**
+     * Check the signed document token sent with a download request
+     *
+     * The token must be unexpired, match the requested order and document
+     * type, and the document type must match the kind of order it points at.
+     *
+     * @since 1.0.0
+     * @param \WC_Order|\WC_Order_Refund $order Requested order or refund
+     * @return bool True if the request carries a valid token for this document
+     */
+    private function has_valid_document_token($order) {
+        // Nonce is verified by the AJAX entry point before this method is reached.
+        // phpcs:disable WordPress.Security.NonceVerification.Missing
+        $document = isset($_POST['document']) ? sanitize_key(wp_unslash($_POST['document'])) : '';
+        $expires = isset($_POST['expires']) ? intval($_POST['expires']) : 0;
+        $token = isset($_POST['token']) ? sanitize_text_field(wp_unslash($_POST['token'])) : '';
+        // phpcs:enable WordPress.Security.NonceVerification.Missing
+
+        if ($token === '' || $expires < time()) {
+            return false;
+        }
+
+        $expected_document = $order->get_type() === 'shop_order_refund' ? 'credit_note' : 'invoice';
+
+        if ($document !== $expected_document) {
+            return false;
+        }
+
+        return hash_equals(self::create_document_token($order->get_id(), $document, $expires), $token);
+    }
+
     /**
      * Add PDF download section to Thank You page
      *
@@ -202,9 +413,10 @@ class Customer {
 
                 <p>
                     <button type="button"
-                            class="button b2brouter-customer-download-pdf"
-                            data-order-id="<?php echo esc_attr($order_id); ?>"
-                            data-order-key="<?php echo esc_attr($order->get_order_key()); ?>">
+                            class="button b2brouter-customer-download-pdf"<?php
+                            // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped by format_html_attributes()
+                            echo self::format_html_attributes(self::get_document_attributes($order, 'invoice'));
+                            ?>>
                         <span class="dashicons dashicons-pdf"></span>
                         <?php esc_html_e('Download Invoice PDF', 'b2brouter-for-woocommerce'); ?>
                     </button>
@@ -228,11 +440,312 @@ class Customer {
                         </small>
                     </p>
                 <?php endif; ?>
+
+                <?php $this->render_invoice_timeline_container($order); ?>
             </div>
         </section>
         <?php
     }
 
+    /**
+     * Add the Documents section to the My Account view-order page
+     *
+     * Lists the invoice and every credit note (or rectificative invoice)
+     * issued for the order's refunds, each with its own download button,
+     * followed by the invoice correction request.
+     *
+     * @since 1.0.0
+     * @param int $order_id The order ID
+     * @return void
+     */
+    public function add_documents_to_view_order($order_id) {
+        $order = wc_get_order($order_id);
+
+        if (!$order) {
+            return;
+        }
+
+        $documents = self::get_order_documents($order);
+
+        if (empty($documents)) {
+            return;
+        }
+
+        ?>
+        <section class="b2brouter-invoice-section b2brouter-documents-section">
+            <h2 class="woocommerce-order-details__title"><?php esc_html_e('Documents', 'b2brouter-for-woocommerce'); ?></h2>
+
+            <table class="woocommerce-table shop_table b2brouter-documents">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e('Document', 'b2brouter-for-woocommerce'); ?></th>
+                        <th><?php esc_html_e('Number', 'b2brouter-for-woocommerce'); ?></th>
+                        <th><?php esc_html_e('Date', 'b2brouter-for-woocommerce'); ?></th>
+                        <th><?php esc_html_e('Amount', 'b2brouter-for-woocommerce'); ?></th>
+                        <th><span class="screen-reader-text"><?php esc_html_e('Actions', 'b2brouter-for-woocommerce'); ?></span></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ($documents as $document): ?>
+                        <tr class="b2brouter-document b2brouter-document-<?php echo esc_attr($document['type']); ?>">
+                            <td><?php echo esc_html($document['label']); ?></td>
+                            <td><?php echo esc_html($document['number']); ?></td>
+                            <td><?php echo esc_html($document['date']); ?></td>
+                            <td><?php echo wp_kses_post($document['amount']); ?></td>
+                            <td>
+                                <button type="button"
+                                        class="button b2brouter-customer-download-pdf"<?php
+                                        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped by format_html_attributes()
+                                        echo self::format_html_attributes($document['attributes']);
+                                        ?>>
+                                    <span class="dashicons dashicons-pdf"></span>
+                                    <?php esc_html_e('Download', 'b2brouter-for-woocommerce'); ?>
+                                </button>
+                            </td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+
+            <?php $this->render_correction_request($order); ?>
+        </section>
+        <?php
+    }
+
+    /**
+     * Render the invoice correction action below the documents list
+     *
+     * Shows the "Request correction" button, or a notice while a request
+     * is waiting for the shop. How a request was resolved reaches the
+     * customer as an order note.
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @return void
+     */
+    private function render_correction_request($order) {
+        if (empty($order->get_meta('_b2brouter_invoice_id'))) {
+            return;
+        }
+
+        $request = Correction_Request::get($order);
+
+        if ($request && $request['status'] === Correction_Request::STATUS_PENDING) {
+            ?>
+            <p class="b2brouter-correction-status">
+                <?php
+                printf(
+                    /* translators: %s: date the correction was requested */
+                    esc_html__('You asked for this invoice to be corrected on %s. We will let you know once the request has been reviewed.', 'b2brouter-for-woocommerce'),
+                    esc_html(wp_date(get_option('date_format'), $request['requested_at']))
+                );
+                ?>
+            </p>
+            <?php
+            return;
+        }
+
+        ?>
+        <p class="b2brouter-correction">
+            <button type="button"
+                    class="button b2brouter-request-correction"
+                    data-order-id="<?php echo esc_attr($order->get_id()); ?>">
+                <?php esc_html_e('Request correction', 'b2brouter-for-woocommerce'); ?>
+            </button>
+            <span class="b2brouter-correction-hint"><?php esc_html_e('Wrong name, address or tax ID on the invoice?', 'b2brouter-for-woocommerce'); ?></span>
+        </p>
+        <?php
+    }
+
+    /**
+     * Get the B2Brouter documents issued for an order
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @return array<int, array{type: string, label: string, number: string, date: string, amount: string, attributes: array}> Invoice first, then credit notes in refund order
+     */
+    public static function get_order_documents($order) {
+        $documents = array();
+
+        if (!empty($order->get_meta('_b2brouter_invoice_id'))) {
+            $documents[] = self::build_document($order, 'invoice', __('Invoice', 'b2brouter-for-woocommerce'));
+        }
+
+        // Spain and other rectificative countries correct invoices with a negative invoice instead of a credit note
+        $credit_note_label = in_array(strtoupper((string) $order->get_billing_country()), Invoice_Generator::RECTIFICATIVE_COUNTRIES, true)
+            ? __('Rectificative invoice', 'b2brouter-for-woocommerce')
+            : __('Credit note', 'b2brouter-for-woocommerce');
+
+        // WooCommerce returns refunds newest first; list them in the order they were issued
+        foreach (array_reverse($order->get_refunds()) as $refund) {
+            if (!empty($refund->get_meta('_b2brouter_invoice_id'))) {
+                $documents[] = self::build_document($refund, 'credit_note', $credit_note_label);
+            }
+        }
+
+        return $documents;
+    }
+
+    /**
+     * Describe one document for the Documents section
+     *
+     * @since 1.0.0
+     * @param \WC_Order|\WC_Order_Refund $document_order Order (invoice) or refund (credit note)
+     * @param string $type Document type: 'invoice' or 'credit_note'
+     * @param string $label Human-readable document type
+     * @return array{type: string, label: string, number: string, date: string, amount: string, attributes: array}
+     */
+    private static function build_document($document_order, $type, $label) {
+        $invoice_date = $document_order->get_meta('_b2brouter_invoice_date');
+
+        return array(
+            'type'       => $type,
+            'label'      => $label,
+            'number'     => Invoice_Generator::get_formatted_invoice_number($document_order),
+            'date'       => $invoice_date ? mysql2date(get_option('date_format'), $invoice_date) : '',
+            'amount'     => wc_price($document_order->get_total(), array('currency' => $document_order->get_currency())),
+            'attributes' => self::get_document_attributes($document_order, $type),
+        );
+    }
+
+    /**
+     * Add invoice status timeline to the My Account view-order page
+     *
+     * @since 1.0.0
+     * @param int $order_id The order ID
+     * @return void
+     */
+    public function add_invoice_timeline_to_view_order($order_id) {
+        $order = wc_get_order($order_id);
+
+        if (!$order || empty($order->get_meta('_b2brouter_invoice_id'))) {
+            return;
+        }
+
+        ?>
+        <section class="b2brouter-invoice-section b2brouter-invoice-status-section">
+            <h2 class="woocommerce-order-details__title"><?php esc_html_e('Invoice Status', 'b2brouter-for-woocommerce'); ?></h2>
+
+            <div class="b2brouter-invoice-details">
+                <?php $this->render_invoice_timeline_container($order); ?>
+            </div>
+        </section>
+        <?php
+    }
+
+    /**
+     * Render the placeholder customer.js fills with the status timeline
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @return void
+     */
+    private function render_invoice_timeline_container($order) {
+        ?>
+        <div class="b2brouter-invoice-timeline"
+             data-order-id="<?php echo esc_attr($order->get_id()); ?>"
+             data-order-key="<?php echo esc_attr($order->get_order_key()); ?>"
+             aria-live="polite">
+            <p class="b2brouter-invoice-timeline-loading"><?php esc_html_e('Loading invoice status...', 'b2brouter-for-woocommerce'); ?></p>
+        </div>
+        <?php
+    }
+
+    /**
+     * Build the customer-facing delivery timeline for an order's invoice
+     *
+     * Only the stage reached and when it was reached are exposed; B2Brouter
+     * error details stay in the admin.
+     *
+     * @since 1.0.0
+     * @param \WC_Order|\WC_Order_Refund $order Order or refund holding the invoice
+     * @return array{status: string, steps: array<int, array{key: string, label: string, state: string, date: string, description: string}>}
+     */
+    public static function get_invoice_timeline($order) {
+        $status = strtolower((string) $order->get_meta('_b2brouter_invoice_status'));
+        $history = $order->get_meta('_b2brouter_invoice_status_history');
+
+        // Invoices issued before the history was recorded only have their current status
+        if (!is_array($history) || empty($history)) {
+            $history = $status === '' ? array() : array(array(
+                'status' => $status,
+                'time'   => (int) $order->get_meta('_b2brouter_invoice_status_updated'),
+            ));
+        }
+
+        // Earliest time each stage was reached
+        $reached = array(0 => 0);
+        foreach ($history as $index => $entry) {
+            if ($index === 0) {
+                $reached[0] = (int) $entry['time'];
+            }
+            $entry_stage = self::get_timeline_stage($entry['status']);
+            for ($stage = 1; $stage <= $entry_stage; $stage++) {
+                if (!isset($reached[$stage])) {
+                    $reached[$stage] = (int) $entry['time'];
+                }
+            }
+        }
+
+        // An error does not undo the stages already reached
+        $current = $status === 'error' ? max(array_keys($reached)) : self::get_timeline_stage($status);
+
+        $labels = array(
+            __('Issued', 'b2brouter-for-woocommerce'),
+            __('Sent', 'b2brouter-for-woocommerce'),
+            __('Delivered', 'b2brouter-for-woocommerce'),
+            __('Accepted', 'b2brouter-for-woocommerce'),
+        );
+        $keys = array('issued', 'sent', 'delivered', 'accepted');
+
+        $steps = array();
+        foreach ($labels as $stage => $label) {
+            $step = array(
+                'key'         => $keys[$stage],
+                'label'       => $label,
+                'state'       => $stage <= $current ? 'complete' : 'upcoming',
+                'date'        => '',
+                'description' => '',
+            );
+
+            if ($stage === 3 && $current === 3 && $status === 'refused') {
+                $step['key'] = 'refused';
+                $step['label'] = __('Refused', 'b2brouter-for-woocommerce');
+                $step['state'] = 'failed';
+            } elseif ($stage === 3 && $current === 3 && in_array($status, array('cancelled', 'annulled'), true)) {
+                $step['key'] = 'cancelled';
+                $step['label'] = __('Cancelled', 'b2brouter-for-woocommerce');
+                $step['state'] = 'failed';
+            } elseif ($status === 'error' && $stage === $current + 1) {
+                $step['state'] = 'failed';
+                $step['description'] = __('There was a problem delivering this invoice. We are looking into it.', 'b2brouter-for-woocommerce');
+            }
+
+            if ($step['state'] !== 'upcoming' && !empty($reached[$stage])) {
+                $step['date'] = wp_date(get_option('date_format') . ' ' . get_option('time_format'), $reached[$stage]);
+            }
+
+            $steps[] = $step;
+        }
+
+        return array(
+            'status' => $status,
+            'steps'  => $steps,
+        );
+    }
+
+    /**
+     * Map an invoice status to its timeline stage
+     *
+     * @since 1.0.0
+     * @param string $status Invoice status
+     * @return int Stage index (0-3)
+     */
+    private static function get_timeline_stage($status) {
+        $status = strtolower((string) $status);
+        return isset(self::TIMELINE_STAGES[$status]) ? self::TIMELINE_STAGES[$status] : 0;
+    }
+
     /**
      * AJAX: Customer download PDF
      *
@@ -261,8 +774,8 @@ class Customer {
             ));
         }
 
-        // Check customer permissions
-        if (!$this->can_customer_access_order($order)) {
+        // Check customer permissions: a signed document link, or order ownership / order key
+        if (!$this->has_valid_document_token($order) && !$this->can_customer_access_order($order)) {
             wp_send_json_error(array(
                 'message' => __('You do not have permission to access this order', 'b2brouter-for-woocommerce')
             ));
@@ -352,6 +865,442 @@ class Customer {
         }
     }
 
+    /**
+     * Get the billing details the customer can review before requesting the invoice
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @return array<string, string> Billing field => value, TIN under 'tin'
+     */
+    public static function get_billing_details($order) {
+        $details = array();
+
+        foreach (self::EDITABLE_BILLING_FIELDS as $field) {
+            $details[$field] = (string) $order->{'get_billing_' . $field}();
+        }
+
+        $details['tin'] = (string) Customer_Fields::get_order_tin($order);
+
+        return $details;
+    }
+
+    /**
+     * Get the labels of the editable billing fields, in form order
+     *
+     * @since 1.0.0
+     * @return array<string, string> Field => label
+     */
+    public static function get_billing_field_labels() {
+        return array(
+            'first_name' => __('First name', 'b2brouter-for-woocommerce'),
+            'last_name'  => __('Last name', 'b2brouter-for-woocommerce'),
+            'company'    => __('Company name', 'b2brouter-for-woocommerce'),
+            'tin'        => __('Tax ID / VAT Number', 'b2brouter-for-woocommerce'),
+            'address_1'  => __('Street address', 'b2brouter-for-woocommerce'),
+            'address_2'  => __('Apartment, suite, unit, etc.', 'b2brouter-for-woocommerce'),
+            'city'       => __('Town / City', 'b2brouter-for-woocommerce'),
+            'postcode'   => __('Postcode / ZIP', 'b2brouter-for-woocommerce'),
+            'state'      => __('State / County', 'b2brouter-for-woocommerce'),
+            'country'    => __('Country / Region', 'b2brouter-for-woocommerce'),
+        );
+    }
+
+    /**
+     * List the billing fields that differ between two sets of details
+     *
+     * @since 1.0.0
+     * @param array<string, string> $from Details before the change
+     * @param array<string, string> $to Details after the change
+     * @return string[] One 'Label: "old" → "new"' line per changed field
+     */
+    public static function describe_billing_changes(array $from, array $to) {
+        $labels = self::get_billing_field_labels();
+        $changes = array();
+
+        foreach ($labels as $field => $label) {
+            $old = isset($from[$field]) ? (string) $from[$field] : '';
+            $new = isset($to[$field]) ? (string) $to[$field] : $old;
+
+            if ($old === $new) {
+                continue;
+            }
+
+            $changes[] = sprintf(
+                /* translators: 1: field label, 2: previous value, 3: new value */
+                __('%1$s: "%2$s" → "%3$s"', 'b2brouter-for-woocommerce'),
+                $label,
+                $old,
+                $new
+            );
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Set validated billing details on an order, without saving it
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @param array<string, string> $details Billing field => value, TIN under 'tin'
+     * @return string[] The changes made, as listed by describe_billing_changes()
+     */
+    public static function apply_billing_details($order, array $details) {
+        $current = self::get_billing_details($order);
+
+        foreach ($current as $field => $value) {
+            if (!isset($details[$field]) || $details[$field] === $value) {
+                continue;
+            }
+
+            if ($field === 'tin') {
+                $order->update_meta_data(Customer_Fields::get_tin_meta_key(), $details[$field]);
+            } else {
+                $order->{'set_billing_' . $field}($details[$field]);
+            }
+        }
+
+        return self::describe_billing_changes($current, $details);
+    }
+
+    /**
+     * Sanitize and validate submitted billing details
+     *
+     * Fields missing from the input keep their current value. The TIN is
+     * checked like at checkout, and rejected only when TIN validation is set
+     * to require.
+     *
+     * @since 1.0.0
+     * @param array<string, string> $current Current details, from get_billing_details()
+     * @param array $input Submitted values by field (unslashed)
+     * @return array{details: array<string, string>, errors: array<string, string>}
+     */
+    private function validate_billing_input(array $current, array $input) {
+        $details = array();
+        foreach ($current as $field => $value) {
+            $details[$field] = isset($input[$field]) && is_scalar($input[$field])
+                ? sanitize_text_field((string) $input[$field])
+                : $value;
+        }
+        $details['country'] = strtoupper($details['country']);
+
+        $errors = array();
+
+        if ($details['first_name'] === '' && $details['last_name'] === '' && $details['company'] === '') {
+            $errors['first_name'] = __('Enter your name or a company name.', 'b2brouter-for-woocommerce');
+        }
+
+        foreach (array('address_1', 'city') as $field) {
+            if ($details[$field] === '') {
+                $errors[$field] = __('This field is required.', 'b2brouter-for-woocommerce');
+            }
+        }
+
+        $countries = function_exists('WC') && WC()->countries ? WC()->countries->get_allowed_countries() : array();
+
+        if (!preg_match('/^[A-Z]{2}$/', $details['country']) || ($countries && !isset($countries[$details['country']]))) {
+            $errors['country'] = __('Select a valid country.', 'b2brouter-for-woocommerce');
+        }
+
+        if ($details['tin'] !== '' && $this->settings->get_tin_validation_mode() === 'require') {
+            $tin_result = Tin_Validator::validate($details['tin'], $details['country']);
+
+            if (!$tin_result['valid']) {
+                $errors['tin'] = $tin_result['message'];
+            }
+        }
+
+        return array(
+            'details' => $details,
+            'errors'  => $errors,
+        );
+    }
+
+    /**
+     * Apply the customer's corrections to the order's billing details
+     *
+     * Only allowed while the customer could still request the invoice
+     * (manual mode, completed or processing order, no invoice yet). Once
+     * issued, the invoice is legally fixed and changes go through
+     * request_correction() instead. Changed fields are listed in an order
+     * note so the shop can see what the customer corrected.
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @param array $input Submitted values by field (unslashed)
+     * @return array{success: bool, message: string, errors: array<string, string>, details: array<string, string>}
+     */
+    public function update_billing_details($order, array $input) {
+        $current = self::get_billing_details($order);
+        $result = array(
+            'success' => false,
+            'message' => '',
+            'errors'  => array(),
+            'details' => $current,
+        );
+
+        if ($this->invoice_generator->has_invoice($order->get_id())) {
+            $result['message'] = __('The invoice for this order has already been issued, so its billing details can no longer be changed.', 'b2brouter-for-woocommerce');
+            return $result;
+        }
+
+        // Same conditions as ajax_customer_generate_invoice(): the review is the step before it
+        if ($this->settings->get_invoice_mode() !== 'manual') {
+            $result['message'] = __('Billing details cannot be changed here while invoices are issued automatically.', 'b2brouter-for-woocommerce');
+            return $result;
+        }
+
+        if (!in_array($order->get_status(), array('completed', 'processing'), true)) {
+            $result['message'] = __('Billing details can only be changed for completed or processing orders.', 'b2brouter-for-woocommerce');
+            return $result;
+        }
+
+        $validated = $this->validate_billing_input($current, $input);
+
+        if ($validated['errors']) {
+            $result['message'] = __('Please correct the highlighted fields.', 'b2brouter-for-woocommerce');
+            $result['errors'] = $validated['errors'];
+            return $result;
+        }
+
+        $changes = self::apply_billing_details($order, $validated['details']);
+
+        $result['success'] = true;
+        $result['details'] = $validated['details'];
+
+        if (!$changes) {
+            $result['message'] = __('Your billing details are unchanged.', 'b2brouter-for-woocommerce');
+            return $result;
+        }
+
+        $order->add_order_note(
+            __('Billing details corrected by the customer before invoicing:', 'b2brouter-for-woocommerce') . "\n" . implode("\n", $changes)
+        );
+        $order->save();
+
+        $result['message'] = __('Your billing details have been updated.', 'b2brouter-for-woocommerce');
+
+        return $result;
+    }
+
+    /**
+     * Ask the shop to correct an issued invoice
+     *
+     * The customer explains what is wrong and proposes the billing details
+     * the invoice should have carried. Nothing on the order changes yet: the
+     * request waits in the order's B2Brouter meta box until the shop approves
+     * it (Invoice_Generator::correct_invoice()) or declines it. One request
+     * per order can be pending at a time.
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @param string $message What the customer says is wrong (unslashed)
+     * @param array $input Proposed values by field (unslashed)
+     * @return array{success: bool, message: string, errors: array<string, string>}
+     */
+    public function request_correction($order, $message, array $input) {
+        $result = array(
+            'success' => false,
+            'message' => '',
+            'errors'  => array(),
+        );
+
+        if (!$this->invoice_generator->has_invoice($order->get_id())) {
+            $result['message'] = __('This order has no invoice to correct yet.', 'b2brouter-for-woocommerce');
+            return $result;
+        }
+
+        if (Correction_Request::is_pending($order)) {
+            $result['message'] = __('A correction of this invoice has already been requested and is being reviewed.', 'b2brouter-for-woocommerce');
+            return $result;
+        }
+
+        $current = self::get_billing_details($order);
+        $validated = $this->validate_billing_input($current, $input);
+        $errors = $validated['errors'];
+
+        $message = trim(sanitize_textarea_field((string) $message));
+        if ($message === '') {
+            $errors['message'] = __('Describe what needs to be corrected.', 'b2brouter-for-woocommerce');
+        }
+
+        if ($errors) {
+            $result['message'] = __('Please correct the highlighted fields.', 'b2brouter-for-woocommerce');
+            $result['errors'] = $errors;
+            return $result;
+        }
+
+        if (!self::describe_billing_changes($current, $validated['details'])) {
+            $result['message'] = __('Change the billing details that are wrong on the invoice.', 'b2brouter-for-woocommerce');
+            return $result;
+        }
+
+        Correction_Request::create($order, $message, $current, $validated['details']);
+
+        $result['success'] = true;
+        $result['message'] = __('Your correction request has been sent. We will let you know once it has been reviewed.', 'b2brouter-for-woocommerce');
+
+        return $result;
+    }
+
+    /**
+     * Get an order the current customer may correct the billing details of
+     *
+     * Sends a JSON error (and exits) if the request does not name one.
+     *
+     * @since 1.0.0
+     * @return \WC_Order The order
+     */
+    private function get_billing_order_from_request() {
+        // Nonce is verified by the AJAX entry points before this method is reached.
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $order_id = isset($_POST['order_id']) ? intval($_POST['order_id']) : 0;
+
+        if (!$order_id) {
+            wp_send_json_error(array(
+                'message' => __('Invalid order ID', 'b2brouter-for-woocommerce')
+            ));
+        }
+
+        $order = wc_get_order($order_id);
+
+        // Refunds get credit notes; their billing details are the parent order's
+        if (!$order || $order->get_type() === 'shop_order_refund') {
+            wp_send_json_error(array(
+                'message' => __('Order not found', 'b2brouter-for-woocommerce')
+            ));
+        }
+
+        if (!$this->can_customer_access_order($order)) {
+            wp_send_json_error(array(
+                'message' => __('You do not have permission to access this order', 'b2brouter-for-woocommerce')
+            ));
+        }
+
+        return $order;
+    }
+
+    /**
+     * AJAX: Customer billing details, for the review before invoicing or a correction request
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_customer_billing_details() {
+        // Verify nonce
+        check_ajax_referer('b2brouter_customer_nonce', 'nonce');
+
+        $order = $this->get_billing_order_from_request();
+
+        wp_send_json_success(array(
+            'details'   => self::get_billing_details($order),
+            'labels'    => self::get_billing_field_labels(),
+            'countries' => function_exists('WC') && WC()->countries ? WC()->countries->get_allowed_countries() : array(),
+        ));
+    }
+
+    /**
+     * AJAX: Customer billing details correction
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_customer_update_billing() {
+        // Verify nonce
+        check_ajax_referer('b2brouter_customer_nonce', 'nonce');
+
+        $order = $this->get_billing_order_from_request();
+
+        // Sanitized field by field in update_billing_details()
+        $input = isset($_POST['billing']) && is_array($_POST['billing']) ? wp_unslash($_POST['billing']) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $result = $this->update_billing_details($order, $input);
+
+        if ($result['success']) {
+            wp_send_json_success(array(
+                'message' => $result['message'],
+                'details' => $result['details'],
+            ));
+        }
+
+        wp_send_json_error(array(
+            'message' => $result['message'],
+            'errors'  => $result['errors'],
+        ));
+    }
+
+    /**
+     * AJAX: Customer correction request for an issued invoice
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_customer_request_correction() {
+        // Verify nonce
+        check_ajax_referer('b2brouter_customer_nonce', 'nonce');
+
+        $order = $this->get_billing_order_from_request();
+
+        // Both sanitized in request_correction()
+        $message = isset($_POST['message']) ? wp_unslash($_POST['message']) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $input = isset($_POST['billing']) && is_array($_POST['billing']) ? wp_unslash($_POST['billing']) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $result = $this->request_correction($order, is_scalar($message) ? (string) $message : '', $input);
+
+        if ($result['success']) {
+            wp_send_json_success(array(
+                'message' => $result['message'],
+            ));
+        }
+
+        wp_send_json_error(array(
+            'message' => $result['message'],
+            'errors'  => $result['errors'],
+        ));
+    }
+
+    /**
+     * AJAX: Customer invoice status timeline
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_customer_invoice_timeline() {
+        // Verify nonce
+        check_ajax_referer('b2brouter_customer_nonce', 'nonce');
+
+        // Get order ID
+        $order_id = isset($_POST['order_id']) ? intval($_POST['order_id']) : 0;
+
+        if (!$order_id) {
+            wp_send_json_error(array(
+                'message' => __('Invalid order ID', 'b2brouter-for-woocommerce')
+            ));
+        }
+
+        // Get order
+        $order = wc_get_order($order_id);
+
+        if (!$order) {
+            wp_send_json_error(array(
+                'message' => __('Order not found', 'b2brouter-for-woocommerce')
+            ));
+        }
+
+        // Check customer permissions
+        if (!$this->can_customer_access_order($order)) {
+            wp_send_json_error(array(
+                'message' => __('You do not have permission to access this order', 'b2brouter-for-woocommerce')
+            ));
+        }
+
+        if (empty($order->get_meta('_b2brouter_invoice_id'))) {
+            wp_send_json_error(array(
+                'message' => __('No invoice found for this order', 'b2brouter-for-woocommerce')
+            ));
+        }
+
+        wp_send_json_success(self::get_invoice_timeline($order));
+    }
+
     /**
      * Check if customer can access order
      *
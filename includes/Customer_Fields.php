@@ -40,12 +40,22 @@ class Customer_Fields {
      */
     const TIN_META_KEY = '_billing_tin';
 
+    /**
+     * Settings instance
+     *
+     * @since 1.0.0
+     * @var Settings
+     */
+    private $settings;
+
     /**
      * Constructor
      *
      * @since 1.0.0
+     * @param Settings $settings Settings instance
      */
-    public function __construct() {
+    public function __construct(Settings $settings) {
+        $this->settings = $settings;
         $this->init_hooks();
     }
 
@@ -71,6 +81,11 @@ class Customer_Fields {
         // Add TIN field to admin order billing fields (manual order creation/editing)
         add_filter('woocommerce_admin_billing_fields', array($this, 'add_tin_to_admin_billing_fields'), 10, 1);
 
+        // Validate TIN format at checkout (classic and block checkout)
+        add_action('woocommerce_after_checkout_validation', array($this, 'validate_checkout_tin'), 10, 2);
+        add_action('woocommerce_validate_additional_field', array($this, 'validate_blocks_tin'), 10, 3);
+        add_action('wp_enqueue_scripts', array($this, 'enqueue_scripts'));
+
         // Save TIN to order meta (classic checkout)
         add_action('woocommerce_checkout_update_order_meta', array($this, 'save_tin_to_order_meta'), 10, 1);
 
@@ -174,6 +189,88 @@ class Customer_Fields {
         return $fields;
     }
 
+    /**
+     * Enqueue inline TIN validation on the checkout page
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function enqueue_scripts() {
+        $mode = $this->settings->get_tin_validation_mode();
+
+        if ($mode === 'off' || !is_checkout() || is_order_received_page()) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'b2brouter-tin-validation',
+            B2BROUTER_WC_PLUGIN_URL . 'assets/css/tin-validation.css',
+            array(),
+            B2BROUTER_WC_VERSION
+        );
+
+        wp_enqueue_script(
+            'b2brouter-tin-validation',
+            B2BROUTER_WC_PLUGIN_URL . 'assets/js/tin-validation.js',
+            array('jquery'),
+            B2BROUTER_WC_VERSION,
+            true
+        );
+
+        wp_localize_script('b2brouter-tin-validation', 'b2brouterTinValidation', array(
+            'mode' => $mode,
+            'rules' => Tin_Validator::FORMAT_RULES,
+            'prefixOverrides' => Tin_Validator::PREFIX_OVERRIDES,
+            'strings' => Tin_Validator::get_messages(),
+        ));
+    }
+
+    /**
+     * Reject an invalid TIN on classic checkout when validation is required
+     *
+     * @since 1.0.0
+     * @param array $data Posted checkout data
+     * @param \WP_Error $errors Checkout validation errors
+     * @return void
+     */
+    public function validate_checkout_tin($data, $errors) {
+        if ($this->settings->get_tin_validation_mode() !== 'require' || empty($data[self::TIN_FIELD_KEY])) {
+            return;
+        }
+
+        $country = isset($data['billing_country']) ? $data['billing_country'] : '';
+        $result = Tin_Validator::validate($data[self::TIN_FIELD_KEY], $country);
+
+        if (!$result['valid']) {
+            $errors->add('validation', $result['message'], array('id' => self::TIN_FIELD_KEY));
+        }
+    }
+
+    /**
+     * Reject an invalid TIN on block checkout when validation is required
+     *
+     * The Store API has already applied the submitted billing address to the
+     * session customer, so its country is the one entered at checkout.
+     *
+     * @since 1.0.0
+     * @param \WP_Error $errors Field validation errors
+     * @param string $field_key Additional field ID
+     * @param mixed $field_value Submitted value
+     * @return void
+     */
+    public function validate_blocks_tin($errors, $field_key, $field_value) {
+        if ($field_key !== 'b2brouter/tin' || empty($field_value) || $this->settings->get_tin_validation_mode() !== 'require') {
+            return;
+        }
+
+        $country = function_exists('WC') && WC()->customer ? WC()->customer->get_billing_country() : '';
+        $result = Tin_Validator::validate($field_value, $country);
+
+        if (!$result['valid']) {
+            $errors->add('b2brouter_invalid_tin', $result['message']);
+        }
+    }
+
     /**
      * Save TIN to order meta (for classic checkout)
      *
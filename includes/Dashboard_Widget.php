@@ -0,0 +1,369 @@
+<?php
+/**
+ * Dashboard Widget
+ *
+ * Invoice KPIs on the WordPress dashboard
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Dashboard_Widget class
+ *
+ * Adds a "B2Brouter Invoices" widget to the WordPress dashboard. The widget
+ * is an empty shell; assets/js/dashboard-widget.js fills it from a single
+ * aggregated AJAX response so the dashboard itself never waits on the order
+ * queries. Every figure links to the invoice list filtered to match it.
+ *
+ * @since 1.0.0
+ */
+class Dashboard_Widget {
+
+    /**
+     * Widget ID
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const WIDGET_ID = 'b2brouter_dashboard_widget';
+
+    /**
+     * Script and style handle
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const HANDLE = 'b2brouter-dashboard-widget';
+
+    /**
+     * Transient caching the aggregated stats
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const CACHE_TRANSIENT = 'b2brouter_dashboard_stats';
+
+    /**
+     * How long the aggregated stats are cached
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const CACHE_TTL = 10 * MINUTE_IN_SECONDS;
+
+    /**
+     * Statuses shown in the breakdown
+     *
+     * @since 1.0.0
+     * @var string[]
+     */
+    const STATUSES = array('sent', 'accepted', 'refused', 'error');
+
+    /**
+     * Number of daily buckets in the issued chart
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const DAYS = 7;
+
+    /**
+     * Number of weekly buckets in the issued chart
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const WEEKS = 8;
+
+    /**
+     * Constructor
+     *
+     * @since 1.0.0
+     */
+    public function __construct() {
+        add_action('wp_dashboard_setup', array($this, 'register_widget'));
+        add_action('admin_enqueue_scripts', array($this, 'enqueue_assets'));
+        add_action('wp_ajax_b2brouter_dashboard_stats', array($this, 'ajax_get_stats'));
+    }
+
+    /**
+     * Register the dashboard widget for users who can see the invoice list
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function register_widget() {
+        if (!current_user_can('manage_woocommerce')) {
+            return;
+        }
+
+        wp_add_dashboard_widget(
+            self::WIDGET_ID,
+            __('B2Brouter Invoices', 'b2brouter-for-woocommerce'),
+            array($this, 'render_widget')
+        );
+    }
+
+    /**
+     * Enqueue the widget script and style on the dashboard
+     *
+     * @since 1.0.0
+     * @param string $hook Current admin page hook
+     * @return void
+     */
+    public function enqueue_assets($hook) {
+        if ($hook !== 'index.php' || !current_user_can('manage_woocommerce')) {
+            return;
+        }
+
+        wp_enqueue_style(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/css/dashboard-widget.css',
+            array(),
+            B2BROUTER_WC_VERSION
+        );
+
+        wp_enqueue_script(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/js/dashboard-widget.js',
+            array('jquery'),
+            B2BROUTER_WC_VERSION,
+            true
+        );
+
+        wp_localize_script(self::HANDLE, 'b2brouterDashboard', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('b2brouter_nonce'),
+            'strings' => array(
+                'error' => __('The invoice statistics could not be loaded.', 'b2brouter-for-woocommerce'),
+                'empty' => __('No invoices issued yet.', 'b2brouter-for-woocommerce'),
+                'issued' => __('Issued', 'b2brouter-for-woocommerce'),
+                'per_day' => __('Per day', 'b2brouter-for-woocommerce'),
+                'per_week' => __('Per week', 'b2brouter-for-woocommerce'),
+                'status_breakdown' => __('Status', 'b2brouter-for-woocommerce'),
+                'credit_note_ratio' => __('Credit notes', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: credit notes issued, %2$d: invoices issued */
+                'credit_note_detail' => __('%1$d credit notes for %2$d invoices', 'b2brouter-for-woocommerce'),
+                'stuck' => __('Stuck awaiting sync', 'b2brouter-for-woocommerce'),
+                'stuck_none' => __('Every invoice issued over a day ago has reached a final status.', 'b2brouter-for-woocommerce'),
+                /* translators: %1$s: day or week label, %2$d: number of invoices */
+                'bar_label' => __('%1$s: %2$d invoices', 'b2brouter-for-woocommerce'),
+                /* translators: %1$s: status, %2$d: number of invoices */
+                'segment_label' => __('%1$s: %2$d invoices', 'b2brouter-for-woocommerce'),
+                /* translators: %s: time of day the figures were computed */
+                'updated' => __('Updated %s', 'b2brouter-for-woocommerce'),
+                'refresh' => __('Refresh', 'b2brouter-for-woocommerce'),
+                'view_all' => __('View all invoices', 'b2brouter-for-woocommerce'),
+            ),
+        ));
+    }
+
+    /**
+     * Render the widget shell
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function render_widget() {
+        ?>
+        <div id="b2brouter-dashboard" class="b2brouter-dashboard" aria-busy="true">
+            <p class="b2brouter-dashboard-loading">
+                <span class="spinner is-active"></span>
+                <?php esc_html_e('Loading invoice statistics...', 'b2brouter-for-woocommerce'); ?>
+            </p>
+        </div>
+        <?php
+    }
+
+    /**
+     * Get the aggregated stats, cached for CACHE_TTL
+     *
+     * @since 1.0.0
+     * @param bool $refresh Recompute even if a cached copy exists
+     * @return array Stats, see compute_stats()
+     */
+    public function get_stats($refresh = false) {
+        $stats = $refresh ? false : get_transient(self::CACHE_TRANSIENT);
+
+        if (!is_array($stats)) {
+            $stats = $this->compute_stats(time());
+            set_transient(self::CACHE_TRANSIENT, $stats, self::CACHE_TTL);
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Compute the widget figures
+     *
+     * Every figure is a paginated query for a single ID whose total comes
+     * from a COUNT query, so no ID list is loaded however many invoices match.
+     *
+     * @since 1.0.0
+     * @param int $now Current time (injected for testability)
+     * @return array{generated_at: int, total: int, issued: array, statuses: array, credit_notes: array, stuck: array, list_url: string}
+     */
+    public function compute_stats($now) {
+        $statuses = array();
+
+        foreach (self::STATUSES as $status) {
+            $statuses[] = array(
+                'status' => $status,
+                'label'  => ucfirst($status),
+                'count'  => $this->count_invoices(array(
+                    array(
+                        'key'   => '_b2brouter_invoice_status',
+                        'value' => $status,
+                    ),
+                )),
+                'url'    => self::get_list_url(array('invoice_status' => $status)),
+            );
+        }
+
+        $invoices = $this->count_invoices(array(), array('shop_order'));
+        $credit_notes = $this->count_invoices(array(), array('shop_order_refund'));
+
+        return array(
+            'generated_at' => $now,
+            'total'        => $invoices + $credit_notes,
+            'issued'       => array(
+                'day'  => $this->get_issued_buckets($now, 'day'),
+                'week' => $this->get_issued_buckets($now, 'week'),
+            ),
+            'statuses'     => $statuses,
+            'credit_notes' => array(
+                'invoices'     => $invoices,
+                'credit_notes' => $credit_notes,
+                'ratio'        => $invoices > 0 ? round($credit_notes / $invoices * 100, 1) : 0,
+                'url'          => self::get_list_url(array('invoice_type' => 'credit_note')),
+            ),
+            'stuck'        => array(
+                'count' => $this->count_invoices(Status_Sync::get_stuck_meta_query($now)),
+                'url'   => self::get_list_url(array('invoice_status' => 'stuck')),
+            ),
+            'list_url'     => self::get_list_url(),
+        );
+    }
+
+    /**
+     * Count invoices issued in each recent day or week, oldest first
+     *
+     * Weeks start on the site's "Week Starts On" day.
+     *
+     * @since 1.0.0
+     * @param int $now Current time
+     * @param string $period 'day' or 'week'
+     * @return array[] Buckets with label, from, to, count and url
+     */
+    private function get_issued_buckets($now, $period) {
+        $today = (new \DateTimeImmutable('@' . $now))->setTimezone(wp_timezone())->setTime(0, 0);
+
+        if ($period === 'week') {
+            $offset = ((int) $today->format('w') - (int) get_option('start_of_week', 1) + 7) % 7;
+            $start = $today->modify('-' . $offset . ' days')->modify('-' . (self::WEEKS - 1) . ' weeks');
+            $count = self::WEEKS;
+            $step = '+1 week';
+        } else {
+            $start = $today->modify('-' . (self::DAYS - 1) . ' days');
+            $count = self::DAYS;
+            $step = '+1 day';
+        }
+
+        $buckets = array();
+
+        for ($i = 0; $i < $count; $i++) {
+            $end = $start->modify($step);
+            $from = $start->format('Y-m-d');
+            $to = $end->modify('-1 day')->format('Y-m-d');
+
+            $buckets[] = array(
+                'label' => $period === 'week'
+                    ? wp_date(get_option('date_format', 'F j, Y'), $start->getTimestamp())
+                    : wp_date('D j', $start->getTimestamp()),
+                'from'  => $from,
+                'to'    => $to,
+                // _b2brouter_invoice_date is stored in site time, like $start
+                'count' => $this->count_invoices(array(
+                    array(
+                        'key'     => '_b2brouter_invoice_date',
+                        'value'   => array($from . ' 00:00:00', $to . ' 23:59:59'),
+                        'compare' => 'BETWEEN',
+                        'type'    => 'DATETIME',
+                    ),
+                )),
+                'url'   => self::get_list_url(array('date_from' => $from, 'date_to' => $to)),
+            );
+
+            $start = $end;
+        }
+
+        return $buckets;
+    }
+
+    /**
+     * Count orders and refunds carrying a B2Brouter invoice
+     *
+     * @since 1.0.0
+     * @param array $meta_query Extra meta query clauses
+     * @param string[] $types Order types to count
+     * @return int Number of invoices
+     */
+    private function count_invoices(array $meta_query, array $types = array('shop_order', 'shop_order_refund')) {
+        $results = wc_get_orders(array(
+            'limit'      => 1,
+            'paginate'   => true,
+            'type'       => $types,
+            'return'     => 'ids',
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- invoice KPIs are counts over invoice meta; cached by get_stats().
+            'meta_query' => array_merge(array(
+                'relation' => 'AND',
+                array(
+                    'key'     => '_b2brouter_invoice_id',
+                    'compare' => 'EXISTS',
+                ),
+            ), $meta_query),
+        ));
+
+        return isset($results->total) ? (int) $results->total : 0;
+    }
+
+    /**
+     * Get the invoice list URL with filters applied
+     *
+     * @since 1.0.0
+     * @param array $filters Filters understood by Invoice_List_Table::get_filters()
+     * @return string URL
+     */
+    public static function get_list_url(array $filters = array()) {
+        return add_query_arg(
+            array_merge(array('page' => 'b2brouter-invoices'), $filters),
+            admin_url('admin.php')
+        );
+    }
+
+    /**
+     * AJAX handler: get the widget figures
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_get_stats() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $stats = $this->get_stats(!empty($_POST['refresh']));
+        $stats['updated'] = wp_date(get_option('time_format', 'g:i a'), $stats['generated_at']);
+
+        wp_send_json_success($stats);
+    }
+}
@@ -0,0 +1,362 @@
+<?php
+/**
+ * Event Log
+ *
+ * Keeps the plugin's recent log entries where the admin can read them
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Event_Log class
+ *
+ * Logger sends everything to the WooCommerce log, which shop managers
+ * without file access cannot read, and mirrors each entry here for the
+ * Logs page (see Log_Viewer). Entries go to their own table, one INSERT per
+ * entry, so concurrent requests neither lose entries nor share IDs; the
+ * auto-increment ID doubles as the tailing cursor. Only the newest
+ * MAX_ENTRIES are read, and older rows are pruned every PRUNE_EVERY inserts.
+ *
+ * Messages are redacted before they are stored, with the secrets configured
+ * at the time. They are redacted again when read back, so a secret that was
+ * only configured later is caught as well.
+ *
+ * @since 1.0.0
+ */
+class Event_Log {
+
+    /**
+     * Table name, without the site's table prefix
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const TABLE = 'b2brouter_event_log';
+
+    /**
+     * Schema version; bump when the CREATE TABLE statement changes
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const DB_VERSION = '1';
+
+    /**
+     * Option holding the installed schema version
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const DB_VERSION_OPTION = 'b2brouter_event_log_db_version';
+
+    /**
+     * Option that held the log before it moved to its own table
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const LEGACY_OPTION = 'b2brouter_event_log';
+
+    /**
+     * Number of entries kept
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const MAX_ENTRIES = 500;
+
+    /**
+     * Longest message kept, in characters
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const MAX_MESSAGE_LENGTH = 1000;
+
+    /**
+     * Rows older than the newest MAX_ENTRIES are deleted once every this many inserts
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const PRUNE_EVERY = 50;
+
+    /**
+     * Levels Logger writes, most severe first
+     *
+     * @since 1.0.0
+     * @var string[]
+     */
+    const LEVELS = array('error', 'warning', 'info');
+
+    /**
+     * Placeholder written in place of a secret
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const REDACTED = '[redacted]';
+
+    /**
+     * Full table name, with the site's table prefix
+     *
+     * @since 1.0.0
+     * @return string Table name
+     */
+    public static function get_table_name() {
+        global $wpdb;
+
+        return $wpdb->prefix . self::TABLE;
+    }
+
+    /**
+     * Create or update the table when the schema version changed
+     *
+     * Runs on every load (one autoloaded option read), since the
+     * activation hook does not fire when the plugin is updated in place.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public static function maybe_install() {
+        if (get_option(self::DB_VERSION_OPTION) === self::DB_VERSION) {
+            return;
+        }
+
+        global $wpdb;
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        dbDelta('CREATE TABLE ' . self::get_table_name() . ' (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            logged_at int(10) unsigned NOT NULL,
+            level varchar(10) NOT NULL,
+            message text NOT NULL,
+            order_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            invoice_id varchar(50) NOT NULL DEFAULT \'\',
+            PRIMARY KEY  (id)
+        ) ' . $wpdb->get_charset_collate() . ';');
+
+        // The option-based log was stored unredacted; it is not migrated
+        delete_option(self::LEGACY_OPTION);
+        update_option(self::DB_VERSION_OPTION, self::DB_VERSION);
+    }
+
+    /**
+     * Record an entry
+     *
+     * @since 1.0.0
+     * @param string $level One of LEVELS
+     * @param string $message Message
+     * @param array $context Logger context; 'order_id' and 'invoice_id' are kept for filtering
+     * @return void
+     */
+    public static function record($level, $message, array $context = array()) {
+        global $wpdb;
+
+        $inserted = $wpdb->insert(
+            self::get_table_name(),
+            array(
+                'logged_at'  => time(),
+                'level'      => in_array($level, self::LEVELS, true) ? $level : 'info',
+                'message'    => substr(self::redact((string) $message, self::get_configured_secrets()), 0, self::MAX_MESSAGE_LENGTH),
+                'order_id'   => isset($context['order_id']) ? absint($context['order_id']) : 0,
+                'invoice_id' => isset($context['invoice_id']) ? substr((string) $context['invoice_id'], 0, 50) : '',
+            ),
+            array('%d', '%s', '%s', '%d', '%s')
+        );
+
+        if ($inserted && $wpdb->insert_id % self::PRUNE_EVERY === 0) {
+            // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- pruning a plugin-owned table
+            $wpdb->query($wpdb->prepare(
+                'DELETE FROM ' . self::get_table_name() . ' WHERE id <= %d', // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared -- table name is not user input
+                $wpdb->insert_id - self::MAX_ENTRIES
+            ));
+        }
+    }
+
+    /**
+     * Secrets currently configured, redacted from messages before they are stored
+     *
+     * Read straight from the options: Logger is static and has no Settings
+     * instance, and the previous webhook secret is redacted even after its
+     * grace period.
+     *
+     * @since 1.0.0
+     * @return string[] API key and current and previous webhook secrets
+     */
+    private static function get_configured_secrets() {
+        return array(
+            (string) get_option(Settings::OPTION_API_KEY, ''),
+            (string) get_option(Settings::OPTION_WEBHOOK_SECRET, ''),
+            (string) get_option(Settings::OPTION_WEBHOOK_PREVIOUS_SECRET, ''),
+        );
+    }
+
+    /**
+     * Get the newest MAX_ENTRIES entries, newest first
+     *
+     * @since 1.0.0
+     * @return array[] Log entries
+     */
+    public static function get_entries() {
+        global $wpdb;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- plugin-owned table, read by the Logs page only
+        $rows = $wpdb->get_results($wpdb->prepare(
+            'SELECT id, logged_at, level, message, order_id, invoice_id FROM ' . self::get_table_name() . ' ORDER BY id DESC LIMIT %d', // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared -- table name is not user input
+            self::MAX_ENTRIES
+        ), ARRAY_A);
+
+        if (!is_array($rows)) {
+            return array();
+        }
+
+        return array_map(function($row) {
+            return array(
+                'id'         => (int) $row['id'],
+                'time'       => (int) $row['logged_at'],
+                'level'      => $row['level'],
+                'message'    => $row['message'],
+                'order_id'   => (int) $row['order_id'],
+                'invoice_id' => (string) $row['invoice_id'],
+            );
+        }, $rows);
+    }
+
+    /**
+     * Get the newest entries matching the filters, with secrets redacted
+     *
+     * @since 1.0.0
+     * @param array $filters {
+     *     @type string $level      Level to match, or '' for any
+     *     @type int    $order_id   Order ID to match, or 0 for any
+     *     @type string $invoice_id Invoice ID to match, or '' for any
+     *     @type string $search     Case-insensitive text the redacted message must contain, or '' for any
+     *     @type int    $after_id   Only entries newer than this ID (tailing), or 0
+     *     @type int    $before_id  Only entries older than this ID (loading older ones), or 0
+     * }
+     * @param string[] $secrets Values to redact, e.g. the API key and webhook secrets
+     * @param int $limit Maximum number of entries returned
+     * @return array{entries: array[], has_more: bool}
+     */
+    public static function query(array $filters, array $secrets, $limit = 100) {
+        $filters = array_merge(array(
+            'level'      => '',
+            'order_id'   => 0,
+            'invoice_id' => '',
+            'search'     => '',
+            'after_id'   => 0,
+            'before_id'  => 0,
+        ), $filters);
+
+        $matches = array();
+
+        foreach (self::get_entries() as $entry) {
+            if ($filters['after_id'] && $entry['id'] <= $filters['after_id']) {
+                break;
+            }
+
+            if ($filters['before_id'] && $entry['id'] >= $filters['before_id']) {
+                continue;
+            }
+
+            if ($filters['level'] !== '' && $entry['level'] !== $filters['level']) {
+                continue;
+            }
+
+            if ($filters['order_id'] && (int) $entry['order_id'] !== (int) $filters['order_id']) {
+                continue;
+            }
+
+            if ($filters['invoice_id'] !== '' && (string) $entry['invoice_id'] !== (string) $filters['invoice_id']) {
+                continue;
+            }
+
+            // Search the redacted text, so the search box cannot be used to guess a secret
+            $entry['message'] = self::redact($entry['message'], $secrets);
+
+            if ($filters['search'] !== '' && stripos($entry['message'], $filters['search']) === false) {
+                continue;
+            }
+
+            if (count($matches) === $limit) {
+                return array('entries' => $matches, 'has_more' => true);
+            }
+
+            $matches[] = $entry;
+        }
+
+        return array('entries' => $matches, 'has_more' => false);
+    }
+
+    /**
+     * Strip secrets from a message
+     *
+     * Removes the given values wherever they appear, plus anything that
+     * looks like a credential assignment ("api_key=...", "Authorization:
+     * Bearer ...") since exception messages can echo request headers.
+     *
+     * @since 1.0.0
+     * @param string $text Message
+     * @param string[] $secrets Values to redact
+     * @return string Redacted message
+     */
+    public static function redact($text, array $secrets) {
+        foreach (array_filter($secrets, 'strlen') as $secret) {
+            $text = str_replace($secret, self::REDACTED, $text);
+        }
+
+        return preg_replace(
+            '/\b(api[_-]?key|x-b2b-api-key|secret|token|password|authorization)(["\']?\s*[:=]\s*["\']?)(bearer\s+)?[^\s"\',;&]+/i',
+            '$1$2$3' . self::REDACTED,
+            $text
+        );
+    }
+
+    /**
+     * Build a plain-text export of the entries matching the filters
+     *
+     * @since 1.0.0
+     * @param array $filters See query(); after_id and before_id are ignored
+     * @param string[] $secrets Values to redact
+     * @return string One line per entry, oldest first, after a header naming the versions in use
+     */
+    public static function export(array $filters, array $secrets) {
+        $filters['after_id'] = 0;
+        $filters['before_id'] = 0;
+
+        $result = self::query($filters, $secrets, self::MAX_ENTRIES);
+
+        $lines = array(
+            sprintf(
+                '# B2Brouter for WooCommerce %s, WordPress %s, WooCommerce %s, PHP %s',
+                B2BROUTER_WC_VERSION,
+                get_bloginfo('version'),
+                defined('WC_VERSION') ? WC_VERSION : '-',
+                PHP_VERSION
+            ),
+            '# Exported ' . gmdate('Y-m-d H:i:s') . ' UTC; API keys and secrets are redacted',
+        );
+
+        foreach (array_reverse($result['entries']) as $entry) {
+            $lines[] = sprintf(
+                '%s %-7s order=%s invoice=%s %s',
+                gmdate('Y-m-d\TH:i:s\Z', $entry['time']),
+                strtoupper($entry['level']),
+                $entry['order_id'] ? $entry['order_id'] : '-',
+                $entry['invoice_id'] !== '' ? $entry['invoice_id'] : '-',
+                str_replace(array("\r", "\n"), ' ', $entry['message'])
+            );
+        }
+
+        return implode("\n", $lines) . "\n";
+    }
+}
@@ -0,0 +1,744 @@
+<?php
+/**
+ * Invoice Register Export Handler
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Invoice_Export class
+ *
+ * Exports the invoice register (one row per invoice or credit note) as CSV or
+ * XLSX for accounting. Like Bulk_Download, the job lives in a transient and is
+ * advanced in chunks by admin.js polling. Each chunk writes its rows to a part
+ * file; the last one assembles the final file, because the tax-per-rate
+ * columns are only known once every invoice has been read.
+ *
+ * @since 1.0.0
+ */
+class Invoice_Export {
+
+    /**
+     * Transient prefix for job state
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const TRANSIENT_PREFIX = 'b2brouter_invoice_export_';
+
+    /**
+     * Invoices read per polling request
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const CHUNK_SIZE = 50;
+
+    /**
+     * Subdirectory of the PDF storage path holding in-progress exports
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const EXPORT_DIRECTORY = 'exports';
+
+    /**
+     * Supported formats and their MIME types
+     *
+     * @since 1.0.0
+     * @var array<string, string>
+     */
+    const FORMATS = array(
+        'csv'  => 'text/csv; charset=utf-8',
+        'xlsx' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    );
+
+    /**
+     * Settings instance
+     *
+     * @since 1.0.0
+     * @var Settings
+     */
+    private $settings;
+
+    /**
+     * Constructor
+     *
+     * @since 1.0.0
+     * @param Settings $settings Settings instance
+     */
+    public function __construct(Settings $settings) {
+        $this->settings = $settings;
+
+        add_action('wp_ajax_b2brouter_invoice_export_process', array($this, 'ajax_process'));
+        add_action('wp_ajax_b2brouter_invoice_export_file', array($this, 'ajax_download_file'));
+    }
+
+    /**
+     * Create an export job for the given orders and refunds
+     *
+     * @since 1.0.0
+     * @param int[] $order_ids Order or refund IDs, in register order
+     * @param string $format 'csv' or 'xlsx'
+     * @param int $user_id User who owns the job
+     * @return string Job ID
+     */
+    public static function create_job(array $order_ids, $format, $user_id) {
+        $job = array(
+            'user_id'     => (int) $user_id,
+            'format'      => isset(self::FORMATS[$format]) ? $format : 'csv',
+            'order_ids'   => array_values(array_unique(array_filter(array_map('intval', $order_ids)))),
+            'position'    => 0,
+            'parts'       => 0,
+            'rows'        => 0,
+            'tax_columns' => array(),
+            'failures'    => array(),
+            'created'     => time(),
+        );
+
+        return Job_Store::create(self::TRANSIENT_PREFIX, $job);
+    }
+
+    /**
+     * Get a job, only if it belongs to the given user
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param int $user_id Requesting user ID
+     * @return array|null Job data or null if missing or owned by someone else
+     */
+    public static function get_job($job_id, $user_id) {
+        return Job_Store::get(self::TRANSIENT_PREFIX, $job_id, $user_id);
+    }
+
+    /**
+     * Build the progress summary sent to admin.js
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param array $job Job data
+     * @return array{job_id: string, format: string, total: int, processed: int, rows: int, failures: array, complete: bool}
+     */
+    public static function get_summary($job_id, array $job) {
+        $total = count($job['order_ids']);
+
+        return array(
+            'job_id'    => $job_id,
+            'format'    => $job['format'],
+            'total'     => $total,
+            'processed' => min($job['position'], $total),
+            'rows'      => $job['rows'],
+            'failures'  => $job['failures'],
+            'complete'  => $job['position'] >= $total,
+        );
+    }
+
+    /**
+     * Read the next chunk of invoices, assembling the file after the last one
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param int $user_id Requesting user ID
+     * @return array{success: bool, message?: string, job_id?: string, format?: string, total?: int, processed?: int, rows?: int, failures?: array, complete?: bool}
+     */
+    public function process_chunk($job_id, $user_id) {
+        $job = self::get_job($job_id, $user_id);
+
+        if (!$job) {
+            return array(
+                'success' => false,
+                'message' => __('This export has expired. Please start it again.', 'b2brouter-for-woocommerce'),
+            );
+        }
+
+        $total = count($job['order_ids']);
+
+        if ($job['position'] < $total) {
+            if ($job['format'] === 'xlsx' && !class_exists('ZipArchive')) {
+                return array(
+                    'success' => false,
+                    'message' => __('The PHP Zip extension is required to export XLSX files. Export as CSV instead.', 'b2brouter-for-woocommerce'),
+                );
+            }
+
+            if ($job['position'] === 0) {
+                $this->delete_stale_exports();
+            }
+
+            $directory = $this->get_export_directory(true);
+
+            if (!$directory) {
+                return array(
+                    'success' => false,
+                    'message' => __('Failed to create PDF storage directory', 'b2brouter-for-woocommerce'),
+                );
+            }
+
+            global $wp_filesystem;
+
+            $chunk = array_slice($job['order_ids'], $job['position'], self::CHUNK_SIZE);
+            $rows = array();
+
+            foreach ($chunk as $order_id) {
+                $row = $this->get_register_row($order_id, $job);
+
+                if ($row) {
+                    $rows[] = $row;
+                }
+
+                $job['position']++;
+            }
+
+            if (!$wp_filesystem->put_contents($this->get_part_path($job_id, $job['parts']), wp_json_encode($rows), FS_CHMOD_FILE)) {
+                Logger::error('B2Brouter Invoice Export: could not write part ' . $job['parts'] . ' of ' . $job_id);
+                return array(
+                    'success' => false,
+                    'message' => __('Failed to write the export file.', 'b2brouter-for-woocommerce'),
+                );
+            }
+
+            $job['parts']++;
+            $job['rows'] += count($rows);
+
+            if ($job['position'] >= $total && !$this->write_export($job_id, $job)) {
+                return array(
+                    'success' => false,
+                    'message' => __('Failed to write the export file.', 'b2brouter-for-woocommerce'),
+                );
+            }
+
+            Job_Store::save(self::TRANSIENT_PREFIX, $job_id, $job);
+        }
+
+        return array_merge(array('success' => true), self::get_summary($job_id, $job));
+    }
+
+    /**
+     * Read one invoice or credit note into a register row
+     *
+     * Amounts keep WooCommerce's signs, so credit notes for refunds are negative.
+     *
+     * @since 1.0.0
+     * @param int $order_id Order or refund ID
+     * @param array $job Job data; failures and tax columns are updated in place
+     * @return array|null Row keyed by column, or null when the invoice is skipped
+     */
+    public function get_register_row($order_id, array &$job) {
+        $order = wc_get_order($order_id);
+
+        if (!$order) {
+            $job['failures'][] = array(
+                'order_id'     => $order_id,
+                'order_number' => (string) $order_id,
+                'message'      => __('Order not found', 'b2brouter-for-woocommerce'),
+            );
+            return null;
+        }
+
+        if (empty($order->get_meta('_b2brouter_invoice_id'))) {
+            $job['failures'][] = array(
+                'order_id'     => $order_id,
+                'order_number' => $order->get_order_number(),
+                'message'      => __('No invoice has been generated for this order.', 'b2brouter-for-woocommerce'),
+            );
+            return null;
+        }
+
+        $is_refund = $order->get_type() === 'shop_order_refund';
+        $parent_order = $is_refund ? wc_get_order($order->get_parent_id()) : null;
+
+        // Refunds carry no billing details of their own
+        $billing_order = $parent_order ? $parent_order : $order;
+
+        $customer = trim($billing_order->get_billing_first_name() . ' ' . $billing_order->get_billing_last_name());
+        if ($customer === '') {
+            $customer = $billing_order->get_billing_company();
+        }
+
+        $tin = Customer_Fields::get_order_tin($order);
+        if (empty($tin) && $parent_order) {
+            $tin = Customer_Fields::get_order_tin($parent_order);
+        }
+
+        $taxes = array();
+        $tax_total = 0.0;
+
+        foreach ($order->get_items('tax') as $tax_item) {
+            $percent = (float) $tax_item->get_rate_percent();
+            $key = $tax_item->get_label() . '|' . $percent;
+            $amount = (float) $tax_item->get_tax_total() + (float) $tax_item->get_shipping_tax_total();
+
+            if (!isset($job['tax_columns'][$key])) {
+                /* translators: %1$s: tax label (e.g. VAT), %2$s: tax rate percentage */
+                $job['tax_columns'][$key] = sprintf(__('%1$s %2$s%%', 'b2brouter-for-woocommerce'), $tax_item->get_label(), $percent);
+            }
+
+            $taxes[$key] = (isset($taxes[$key]) ? $taxes[$key] : 0.0) + $amount;
+            $tax_total += $amount;
+        }
+
+        $invoice_date = (string) $order->get_meta('_b2brouter_invoice_date');
+        $status = $order->get_meta('_b2brouter_invoice_status');
+
+        return array(
+            'invoice_number' => (string) $order->get_meta('_b2brouter_invoice_number'),
+            'series'         => (string) $order->get_meta('_b2brouter_invoice_series_code'),
+            'date'           => substr($invoice_date, 0, 10),
+            'type'           => $is_refund ? __('Credit note', 'b2brouter-for-woocommerce') : __('Invoice', 'b2brouter-for-woocommerce'),
+            'order_number'   => $billing_order->get_order_number(),
+            'customer'       => $customer,
+            'tin'            => (string) $tin,
+            'net'            => (float) $order->get_total() - $tax_total,
+            'taxes'          => $taxes,
+            'total'          => (float) $order->get_total(),
+            'currency'       => $order->get_currency(),
+            'status'         => !empty($status) ? $status : 'pending',
+            'parent_invoice' => $parent_order ? Invoice_Generator::get_formatted_invoice_number($parent_order) : '',
+        );
+    }
+
+    /**
+     * Get the register header, with one column per tax rate seen in the export
+     *
+     * @since 1.0.0
+     * @param array $tax_columns Tax column labels keyed by tax key
+     * @return string[] Column labels
+     */
+    public function get_header(array $tax_columns) {
+        return array_merge(
+            array(
+                __('Invoice number', 'b2brouter-for-woocommerce'),
+                __('Series', 'b2brouter-for-woocommerce'),
+                __('Date', 'b2brouter-for-woocommerce'),
+                __('Type', 'b2brouter-for-woocommerce'),
+                __('Order', 'b2brouter-for-woocommerce'),
+                __('Customer', 'b2brouter-for-woocommerce'),
+                __('TIN', 'b2brouter-for-woocommerce'),
+                __('Net', 'b2brouter-for-woocommerce'),
+            ),
+            array_values($tax_columns),
+            array(
+                __('Total', 'b2brouter-for-woocommerce'),
+                __('Currency', 'b2brouter-for-woocommerce'),
+                __('Status', 'b2brouter-for-woocommerce'),
+                __('Parent invoice', 'b2brouter-for-woocommerce'),
+            )
+        );
+    }
+
+    /**
+     * Flatten a register row into cells in header order
+     *
+     * Amounts become numbers and everything else text, so the XLSX writer
+     * can type its cells.
+     *
+     * @since 1.0.0
+     * @param array $row Row from get_register_row()
+     * @param array $tax_columns Tax column labels keyed by tax key
+     * @return array Cells
+     */
+    public function get_cells(array $row, array $tax_columns) {
+        $decimals = wc_get_price_decimals();
+        $cells = array(
+            $row['invoice_number'],
+            $row['series'],
+            $row['date'],
+            $row['type'],
+            (string) $row['order_number'],
+            $row['customer'],
+            $row['tin'],
+            round($row['net'], $decimals),
+        );
+
+        foreach (array_keys($tax_columns) as $key) {
+            $cells[] = isset($row['taxes'][$key]) ? round($row['taxes'][$key], $decimals) : 0.0;
+        }
+
+        $cells[] = round($row['total'], $decimals);
+        $cells[] = $row['currency'];
+        $cells[] = $row['status'];
+        $cells[] = $row['parent_invoice'];
+
+        return $cells;
+    }
+
+    /**
+     * Assemble the final file from the job's part files, then drop the parts
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param array $job Job data
+     * @return bool Whether the file was written, or there was nothing to write
+     */
+    private function write_export($job_id, array $job) {
+        global $wp_filesystem;
+
+        $rows = array();
+
+        for ($part = 0; $part < $job['parts']; $part++) {
+            $part_path = $this->get_part_path($job_id, $part);
+            $part_rows = json_decode((string) $wp_filesystem->get_contents($part_path), true);
+
+            foreach ((array) $part_rows as $row) {
+                $rows[] = $this->get_cells($row, $job['tax_columns']);
+            }
+
+            $wp_filesystem->delete($part_path);
+        }
+
+        // Every invoice failed; admin.js reports that instead of downloading
+        if (empty($rows)) {
+            return true;
+        }
+
+        $path = $this->get_export_path($job_id, $job['format']);
+        $header = $this->get_header($job['tax_columns']);
+        $written = $job['format'] === 'xlsx' ? $this->write_xlsx($path, $header, $rows) : $this->write_csv($path, $header, $rows);
+
+        if (!$written) {
+            Logger::error('B2Brouter Invoice Export: could not write ' . $path);
+        }
+
+        return $written;
+    }
+
+    /**
+     * Write rows as a UTF-8 CSV file
+     *
+     * @since 1.0.0
+     * @param string $path File path
+     * @param string[] $header Column labels
+     * @param array[] $rows Cell rows from get_cells()
+     * @return bool Whether the file was written
+     */
+    private function write_csv($path, array $header, array $rows) {
+        global $wp_filesystem;
+
+        // The byte order mark makes Excel read the file as UTF-8
+        $csv = "\xEF\xBB\xBF";
+
+        foreach (array_merge(array($header), $rows) as $row) {
+            $csv .= implode(',', array_map(array($this, 'format_csv_cell'), $row)) . "\r\n";
+        }
+
+        return (bool) $wp_filesystem->put_contents($path, $csv, FS_CHMOD_FILE);
+    }
+
+    /**
+     * Quote a CSV cell and neutralise spreadsheet formulas in text
+     *
+     * @since 1.0.0
+     * @param mixed $value Cell value
+     * @return string
+     */
+    private function format_csv_cell($value) {
+        if (is_float($value) || is_int($value)) {
+            return (string) $value;
+        }
+
+        $value = (string) $value;
+
+        // Customer names come from checkout; keep them from running as formulas
+        if ($value !== '' && in_array($value[0], array('=', '+', '-', '@', "\t", "\r"), true)) {
+            $value = "'" . $value;
+        }
+
+        return '"' . str_replace('"', '""', $value) . '"';
+    }
+
+    /**
+     * Write rows as a single-sheet XLSX workbook
+     *
+     * Only the handful of parts Excel, LibreOffice and Google Sheets require
+     * are written; text uses inline strings so no shared string table is needed.
+     *
+     * @since 1.0.0
+     * @param string $path File path
+     * @param string[] $header Column labels
+     * @param array[] $rows Cell rows from get_cells()
+     * @return bool Whether the file was written
+     */
+    private function write_xlsx($path, array $header, array $rows) {
+        $sheet = '';
+
+        foreach (array_merge(array($header), $rows) as $index => $row) {
+            // Style 1 is the bold header font from styles.xml
+            $style = $index === 0 ? ' s="1"' : '';
+
+            $sheet .= '<row r="' . ($index + 1) . '">';
+
+            foreach ($row as $column => $value) {
+                $ref = $this->get_column_letter($column) . ($index + 1);
+
+                if (is_float($value) || is_int($value)) {
+                    $sheet .= '<c r="' . $ref . '"' . $style . '><v>' . $value . '</v></c>';
+                } else {
+                    $sheet .= '<c r="' . $ref . '" t="inlineStr"' . $style . '><is><t xml:space="preserve">' . $this->escape_xml($value) . '</t></is></c>';
+                }
+            }
+
+            $sheet .= '</row>';
+        }
+
+        $parts = array(
+            '[Content_Types].xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                . '<Default Extension="xml" ContentType="application/xml"/>'
+                . '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                . '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                . '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                . '</Types>',
+            '_rels/.rels' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                . '</Relationships>',
+            'xl/workbook.xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                . '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                . '<sheets><sheet name="' . $this->escape_xml(__('Invoices', 'b2brouter-for-woocommerce')) . '" sheetId="1" r:id="rId1"/></sheets>'
+                . '</workbook>',
+            'xl/_rels/workbook.xml.rels' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                . '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+                . '</Relationships>',
+            'xl/styles.xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                . '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                . '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                . '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                . '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                . '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                . '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+                . '</styleSheet>',
+            'xl/worksheets/sheet1.xml' => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                . '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+                . '<sheetData>' . $sheet . '</sheetData>'
+                . '</worksheet>',
+        );
+
+        // ZipArchive needs a real local path; WP_Filesystem has no archive API.
+        $zip = new \ZipArchive();
+
+        if ($zip->open($path, \ZipArchive::CREATE | \ZipArchive::OVERWRITE) !== true) {
+            return false;
+        }
+
+        foreach ($parts as $name => $contents) {
+            $zip->addFromString($name, $contents);
+        }
+
+        return $zip->close();
+    }
+
+    /**
+     * Convert a zero-based column index into a spreadsheet column letter
+     *
+     * @since 1.0.0
+     * @param int $index Column index (0 = A)
+     * @return string
+     */
+    private function get_column_letter($index) {
+        $letter = '';
+
+        for ($index++; $index > 0; $index = intdiv($index - 1, 26)) {
+            $letter = chr(65 + ($index - 1) % 26) . $letter;
+        }
+
+        return $letter;
+    }
+
+    /**
+     * Escape text for an XML element, dropping characters XML 1.0 cannot hold
+     *
+     * @since 1.0.0
+     * @param string $value Text
+     * @return string
+     */
+    private function escape_xml($value) {
+        $value = preg_replace('/[^\x{9}\x{A}\x{D}\x{20}-\x{D7FF}\x{E000}-\x{FFFD}\x{10000}-\x{10FFFF}]/u', '', (string) $value);
+
+        return htmlspecialchars((string) $value, ENT_XML1 | ENT_QUOTES, 'UTF-8');
+    }
+
+    /**
+     * Get the directory holding exports, optionally creating it
+     *
+     * @since 1.0.0
+     * @param bool $create Create and protect the directory if missing
+     * @return string|false Directory path, or false if it could not be created
+     */
+    private function get_export_directory($create = false) {
+        $directory = $this->settings->get_pdf_storage_path() . '/' . self::EXPORT_DIRECTORY;
+
+        if (!function_exists('WP_Filesystem')) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+
+        if (!WP_Filesystem()) {
+            return false;
+        }
+
+        // Exports are only ever served through ajax_download_file().
+        if ($create && !is_dir($directory) && !Job_Store::create_protected_directory($directory)) {
+            Logger::error('B2Brouter Invoice Export: could not create ' . $directory);
+            return false;
+        }
+
+        return $directory;
+    }
+
+    /**
+     * Get the path of one chunk's part file
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param int $part Part number
+     * @return string
+     */
+    private function get_part_path($job_id, $part) {
+        return $this->settings->get_pdf_storage_path() . '/' . self::EXPORT_DIRECTORY . '/' . $job_id . '-' . $part . '.json';
+    }
+
+    /**
+     * Get the path of a job's finished file
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param string $format 'csv' or 'xlsx'
+     * @return string
+     */
+    private function get_export_path($job_id, $format) {
+        return $this->settings->get_pdf_storage_path() . '/' . self::EXPORT_DIRECTORY . '/' . $job_id . '.' . $format;
+    }
+
+    /**
+     * Remove files left behind by abandoned exports
+     *
+     * Jobs expire after an hour, so anything older than a day is unreachable.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    private function delete_stale_exports() {
+        $directory = $this->get_export_directory();
+
+        if (!$directory || !is_dir($directory)) {
+            return;
+        }
+
+        global $wp_filesystem;
+
+        $entries = $wp_filesystem->dirlist($directory);
+
+        if (empty($entries)) {
+            return;
+        }
+
+        $cutoff_time = time() - DAY_IN_SECONDS;
+
+        foreach ($entries as $entry) {
+            if ($entry['type'] !== 'f' || !preg_match('/\.(csv|xlsx|json)$/', $entry['name'])) {
+                continue;
+            }
+
+            if ((int) $entry['lastmodunix'] < $cutoff_time) {
+                $wp_filesystem->delete($directory . '/' . $entry['name']);
+            }
+        }
+    }
+
+    /**
+     * AJAX: Process the next chunk of an export job
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_process() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $job_id = isset($_POST['job_id']) ? sanitize_key(wp_unslash($_POST['job_id'])) : '';
+
+        $result = $this->process_chunk($job_id, get_current_user_id());
+
+        if ($result['success']) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+    }
+
+    /**
+     * AJAX: Stream the finished export and discard the job
+     *
+     * @since 1.0.0
+     * @return void Outputs the file and exits
+     */
+    public function ajax_download_file() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(
+                esc_html__('You do not have sufficient permissions to access this page.', 'b2brouter-for-woocommerce'),
+                esc_html__('Permission Denied', 'b2brouter-for-woocommerce'),
+                array('response' => 403)
+            );
+        }
+
+        $job_id = isset($_POST['job_id']) ? sanitize_key(wp_unslash($_POST['job_id'])) : '';
+        $job = self::get_job($job_id, get_current_user_id());
+        $export_path = $job ? $this->get_export_path($job_id, $job['format']) : '';
+
+        if (!$job || !file_exists($export_path)) {
+            wp_die(
+                esc_html__('This export has expired. Please start it again.', 'b2brouter-for-woocommerce'),
+                esc_html__('Error', 'b2brouter-for-woocommerce'),
+                array('response' => 404)
+            );
+        }
+
+        global $wp_filesystem;
+
+        $data = $this->get_export_directory() ? $wp_filesystem->get_contents($export_path) : false;
+
+        if ($data === false) {
+            wp_die(
+                esc_html__('Failed to read the export file.', 'b2brouter-for-woocommerce'),
+                esc_html__('Error', 'b2brouter-for-woocommerce'),
+                array('response' => 500)
+            );
+        }
+
+        // The export is single-use: drop it and the job before sending.
+        $wp_filesystem->delete($export_path);
+        Job_Store::delete(self::TRANSIENT_PREFIX, $job_id);
+
+        if (ob_get_level()) {
+            ob_end_clean();
+        }
+
+        $filename = 'b2brouter-invoice-register-' . wp_date('Y-m-d') . '.' . $job['format'];
+
+        header('Content-Type: ' . self::FORMATS[$job['format']]);
+        header('Content-Length: ' . strlen($data));
+        header('Content-Disposition: attachment; filename="' . $filename . '"');
+        header('Cache-Control: private, max-age=0, must-revalidate');
+        header('Pragma: public');
+        header('Expires: 0');
+
+        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- raw CSV/XLSX body, not HTML; Content-Type header set above.
+        echo $data;
+        exit;
+    }
+}
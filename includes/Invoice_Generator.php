@@ -65,6 +65,27 @@ class Invoice_Generator {
         'default' => 'VAT'
     );
 
+    /**
+     * Order meta describing the current invoice, cleared when it is replaced
+     *
+     * @since 1.0.0
+     * @var string[]
+     */
+    const INVOICE_META_KEYS = array(
+        '_b2brouter_invoice_id',
+        '_b2brouter_invoice_number',
+        '_b2brouter_invoice_series_code',
+        '_b2brouter_invoice_date',
+        '_b2brouter_invoice_status',
+        '_b2brouter_invoice_status_updated',
+        '_b2brouter_invoice_status_error',
+        '_b2brouter_invoice_status_history',
+        '_b2brouter_invoice_pdf_path',
+        '_b2brouter_invoice_pdf_filename',
+        '_b2brouter_invoice_pdf_size',
+        '_b2brouter_invoice_pdf_date',
+    );
+
     /**
      * Settings instance
      *
@@ -186,10 +207,14 @@ class Invoice_Generator {
                 $initial_status = strtolower($invoice['state']);
                 $order->add_meta_data('_b2brouter_invoice_status', $initial_status, true);
                 $order->add_meta_data('_b2brouter_invoice_status_updated', time(), true);
+                Status_Sync::record_status_history($order, $initial_status);
             }
 
             $order->save();
 
+            // A queued retry is no longer needed, however the invoice got generated
+            Retry_Queue::remove($order_id);
+
             // Schedule a single status check 10 seconds in the future (only if webhooks disabled)
             if (!$this->settings->get_webhook_enabled()) {
                 wp_schedule_single_event(time() + 10, 'b2brouter_sync_single_invoice', array($order_id));
@@ -251,7 +276,7 @@ class Invoice_Generator {
                 } catch (\Exception $e) {
                     // PDF download failed after retries, but invoice was created successfully
                     // Log the error but don't fail the entire operation
-                    Logger::error('B2Brouter auto-save PDF failed after retries: ' . $e->getMessage());
+                    Logger::error('B2Brouter auto-save PDF failed after retries: ' . $e->getMessage(), array('order_id' => $order_id, 'invoice_id' => $invoice['id']));
                 }
             }
 
@@ -269,7 +294,7 @@ class Invoice_Generator {
 
         } catch (\Exception $e) {
             // Log error
-            Logger::error('B2Brouter Invoice Generation Error: ' . $e->getMessage());
+            Logger::error('B2Brouter Invoice Generation Error: ' . $e->getMessage(), array('order_id' => $order_id));
 
             // Add order note with error
             if (isset($order) && $order) {
@@ -301,14 +326,293 @@ class Invoice_Generator {
         }
     }
 
+    /**
+     * Replace a failed invoice with a newly generated one
+     *
+     * Only invoices that B2Brouter reports in the "error" state can be
+     * regenerated. The failed invoice stays in B2Brouter for reference; its ID
+     * is kept in an order note before the local invoice metadata is cleared.
+     * Since it also keeps its number, regenerations are counted in
+     * _b2brouter_invoice_regenerations and generate_invoice_number() gives
+     * the replacement a "-N" suffix.
+     *
+     * @since 1.0.0
+     * @param int $order_id The WooCommerce order or refund ID
+     * @return array{success: bool, invoice_id?: string, invoice_number?: string, message: string} Generation result
+     */
+    public function regenerate_invoice($order_id) {
+        $order = wc_get_order($order_id);
+
+        if (!$order) {
+            return array(
+                'success' => false,
+                'message' => __('Order not found', 'b2brouter-for-woocommerce')
+            );
+        }
+
+        $old_invoice_id = $order->get_meta('_b2brouter_invoice_id');
+
+        if (empty($old_invoice_id)) {
+            return $this->generate_invoice($order_id);
+        }
+
+        if ($order->get_meta('_b2brouter_invoice_status') !== 'error') {
+            return array(
+                'success' => false,
+                'message' => __('Only invoices in error state can be regenerated.', 'b2brouter-for-woocommerce')
+            );
+        }
+
+        $old_number = self::get_formatted_invoice_number($order);
+
+        // Drop the cached PDF of the failed invoice before its metadata goes away
+        $this->delete_invoice_pdf($order_id);
+        $order = wc_get_order($order_id);
+
+        foreach (self::INVOICE_META_KEYS as $meta_key) {
+            $order->delete_meta_data($meta_key);
+        }
+        $order->update_meta_data('_b2brouter_invoice_regenerations', (int) $order->get_meta('_b2brouter_invoice_regenerations') + 1);
+        $order->save();
+
+        // Refunds don't carry notes; record the replacement on the parent order
+        $note_target = $this->is_refund($order) ? wc_get_order($order->get_parent_id()) : $order;
+        if ($note_target) {
+            $note_target->add_order_note(sprintf(
+                /* translators: 1: formatted number of the failed invoice, 2: B2Brouter internal ID of the failed invoice */
+                __('B2Brouter invoice %1$s (ID: %2$s) failed and is being replaced by a new invoice.', 'b2brouter-for-woocommerce'),
+                $old_number,
+                $old_invoice_id
+            ));
+        }
+
+        return $this->generate_invoice($order_id);
+    }
+
+    /**
+     * Cancel an issued invoice and reissue it with corrected billing details
+     *
+     * The invoice is first cancelled by a document amending it in full, with
+     * the original contact, lines and invoice type: a rectificative invoice
+     * with negative quantities in countries that use them, a credit note
+     * otherwise, as for refunds. Only once B2Brouter has accepted it are the
+     * corrected billing details set on the order and a new invoice generated.
+     * Cancelling documents are kept in order meta (get_corrective_invoices()).
+     * Orders with refunds that already have a credit note are refused.
+     *
+     * @since 1.0.0
+     * @param int $order_id The WooCommerce order ID
+     * @param array<string, string> $billing Corrected billing details, keyed as Customer::get_billing_details()
+     * @param string $reason Why the invoice is corrected, sent as the amended reason
+     * @return array{success: bool, message: string, corrective_invoice_id?: string, invoice_id?: string, invoice_number?: string}
+     *         corrective_invoice_id is set once the invoice was cancelled, even if reissuing it failed
+     */
+    public function correct_invoice($order_id, array $billing, $reason) {
+        $order = wc_get_order($order_id);
+
+        if (!$order || $this->is_refund($order)) {
+            return array(
+                'success' => false,
+                'message' => __('Order not found', 'b2brouter-for-woocommerce')
+            );
+        }
+
+        $old_invoice_id = $order->get_meta('_b2brouter_invoice_id');
+
+        if (empty($old_invoice_id)) {
+            return array(
+                'success' => false,
+                'message' => __('This order has no invoice to correct.', 'b2brouter-for-woocommerce')
+            );
+        }
+
+        // The corrective document amends the invoice in full; refunds already credited
+        // would be credited a second time
+        foreach ($order->get_refunds() as $refund) {
+            if ($refund->get_meta('_b2brouter_invoice_id')) {
+                return array(
+                    'success' => false,
+                    'message' => __('This invoice cannot be corrected because credit notes were already issued for refunds of this order. Correct it in B2Brouter instead.', 'b2brouter-for-woocommerce')
+                );
+            }
+        }
+
+        $old_number = self::get_formatted_invoice_number($order);
+
+        try {
+            $client = $this->get_client();
+            $account_id = $this->settings->get_account_id();
+
+            if (empty($account_id)) {
+                throw new \Exception(__('Account ID not configured. Please validate your API key.', 'b2brouter-for-woocommerce'));
+            }
+
+            $invoice_data = $this->prepare_corrective_invoice_data($order, $reason);
+
+            $corrective = $client->invoices->create($account_id, array(
+                'invoice' => $invoice_data,
+                'send_after_import' => true
+            ));
+        } catch (\Exception $e) {
+            Logger::error('B2Brouter invoice correction failed: ' . $e->getMessage(), array('order_id' => $order_id, 'invoice_id' => $old_invoice_id));
+
+            $order->add_order_note(sprintf(
+                /* translators: 1: formatted invoice number, 2: error message returned by the B2Brouter API */
+                __('B2Brouter invoice %1$s could not be cancelled for correction: %2$s', 'b2brouter-for-woocommerce'),
+                $old_number,
+                $e->getMessage()
+            ));
+
+            return array(
+                'success' => false,
+                'message' => $e->getMessage()
+            );
+        }
+
+        $is_credit_note = !empty($invoice_data['is_credit_note']);
+        $corrective_invoices = self::get_corrective_invoices($order);
+        $corrective_invoices[] = array(
+            'invoice_id'         => $corrective['id'],
+            'number'             => $corrective['number'] ?? '',
+            'series_code'        => $invoice_data['series_code'] ?? '',
+            'date'               => current_time('mysql'),
+            'is_credit_note'     => $is_credit_note,
+            'amended_invoice_id' => $old_invoice_id,
+            'amended_number'     => $old_number,
+            'reason'             => $reason,
+        );
+
+        // Drop the cached PDF of the cancelled invoice before its metadata goes away
+        $this->delete_invoice_pdf($order_id);
+        $order = wc_get_order($order_id);
+
+        foreach (self::INVOICE_META_KEYS as $meta_key) {
+            $order->delete_meta_data($meta_key);
+        }
+        $order->update_meta_data('_b2brouter_corrective_invoices', $corrective_invoices);
+
+        $changes = Customer::apply_billing_details($order, $billing);
+        $order->save();
+
+        $corrective_number = self::format_invoice_number($corrective['number'] ?? '', $invoice_data['series_code'] ?? '');
+
+        $note_message = $is_credit_note
+            ? sprintf(
+                /* translators: 1: formatted credit note number, 2: its B2Brouter ID, 3: formatted number of the cancelled invoice, 4: reason for the correction */
+                __('B2Brouter credit note %1$s (ID: %2$s) issued, cancelling invoice %3$s for correction: %4$s', 'b2brouter-for-woocommerce'),
+                $corrective_number,
+                $corrective['id'],
+                $old_number,
+                $reason
+              )
+            : sprintf(
+                /* translators: 1: formatted rectificative invoice number, 2: its B2Brouter ID, 3: formatted number of the cancelled invoice, 4: reason for the correction */
+                __('B2Brouter rectificative invoice %1$s (ID: %2$s) issued, cancelling invoice %3$s for correction: %4$s', 'b2brouter-for-woocommerce'),
+                $corrective_number,
+                $corrective['id'],
+                $old_number,
+                $reason
+              );
+
+        $order->add_order_note($note_message);
+
+        if ($changes) {
+            $order->add_order_note(
+                __('Billing details corrected before reissuing the invoice:', 'b2brouter-for-woocommerce') . "\n" . implode("\n", $changes)
+            );
+        }
+
+        $this->settings->increment_transaction_count();
+
+        $result = $this->generate_invoice($order_id);
+        $result['corrective_invoice_id'] = $corrective['id'];
+        $result['message'] = $result['success']
+            ? __('Invoice cancelled and reissued with the corrected details', 'b2brouter-for-woocommerce')
+            : sprintf(
+                /* translators: %s: error message returned by the B2Brouter API */
+                __('The invoice was cancelled, but the corrected invoice could not be generated: %s', 'b2brouter-for-woocommerce'),
+                $result['message']
+              );
+
+        return $result;
+    }
+
+    /**
+     * Get the documents that cancelled earlier invoices of an order
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order object
+     * @return array[] Oldest first; each with invoice_id, number, series_code, date, is_credit_note, amended_invoice_id, amended_number and reason
+     */
+    public static function get_corrective_invoices($order) {
+        $invoices = $order->get_meta('_b2brouter_corrective_invoices');
+
+        return is_array($invoices) ? $invoices : array();
+    }
+
+    /**
+     * Prepare the document cancelling an order's invoice for correction
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order The order, still carrying the invoice and billing details to cancel
+     * @param string $reason Why the invoice is corrected
+     * @return array The invoice data array for B2Brouter API
+     */
+    private function prepare_corrective_invoice_data($order, $reason) {
+        // Same contact, lines and invoice type as the invoice being cancelled
+        $invoice_data = $this->prepare_invoice_data($order);
+
+        if ($this->uses_rectificative_invoices($order->get_billing_country())) {
+            foreach ($invoice_data['invoice_lines_attributes'] as &$line) {
+                $line['quantity'] = -$line['quantity'];
+            }
+            unset($line);
+        } else {
+            // Undocumented B2Brouter parameter, as for refund credit notes
+            $invoice_data['is_credit_note'] = true;
+        }
+
+        unset($invoice_data['series_code'], $invoice_data['number']);
+
+        $series_code = $this->get_series_code_for_invoice(true);
+        if (!empty($series_code)) {
+            $invoice_data['series_code'] = $series_code;
+        }
+
+        $number = $this->generate_invoice_number($order, true);
+        if ($number !== null) {
+            // Refund credit notes are numbered by refund ID; suffix the order ID with the correction count instead
+            $invoice_data['number'] = $number . '-' . (count(self::get_corrective_invoices($order)) + 1);
+        }
+
+        $invoice_data['extra_info'] = sprintf(
+            /* translators: %s: WooCommerce order number */
+            __('Correction of WooCommerce Order #%s', 'b2brouter-for-woocommerce'),
+            $order->get_order_number()
+        );
+
+        $invoice_data['amended_number'] = $order->get_meta('_b2brouter_invoice_number');
+
+        $invoice_date = $order->get_meta('_b2brouter_invoice_date');
+        if (!empty($invoice_date)) {
+            $date_obj = new \DateTime($invoice_date);
+            $invoice_data['amended_date'] = $date_obj->format('Y-m-d');
+        }
+
+        $invoice_data['amended_reason'] = $reason;
+
+        return $invoice_data;
+    }
+
     /**
      * Prepare invoice data from WooCommerce order
      *
      * @since 1.0.0
      * @param \WC_Order|\WC_Order_Refund $order The WooCommerce order or refund
+     * @param array $trace Filled with the tax decisions behind each line (used by preview_invoice_data())
      * @return array The invoice data array for B2Brouter API
      */
-    private function prepare_invoice_data($order) {
+    private function prepare_invoice_data($order, &$trace = array()) {
         $is_refund = $this->is_refund($order);
         $parent_order = null;
         $parent_invoice_info = null;
@@ -377,6 +681,15 @@ class Invoice_Generator {
         // Determine which order object to use for item calculations
         $item_order = $use_parent_items ? $parent_order : $order;
 
+        $trace = array(
+            'is_rectificative' => $is_rectificative,
+            'uses_parent_items' => $use_parent_items,
+            'reverse_charge' => $this->is_reverse_charge($item_order),
+            'merchant_country' => $this->get_merchant_country(),
+            'customer_country' => $country,
+            'lines' => array(),
+        );
+
         foreach ($items as $item) {
             $quantity = $item->get_quantity();
             $price = (float) $item_order->get_item_subtotal($item, false, false);
@@ -411,6 +724,7 @@ class Invoice_Generator {
             );
 
             $invoice_lines[] = $line;
+            $trace['lines'][] = array('source' => 'item', 'tax_rate' => $tax_rate);
         }
 
         // Add shipping as line item if exists
@@ -470,6 +784,7 @@ class Invoice_Generator {
             }
 
             $invoice_lines[] = $shipping_line;
+            $trace['lines'][] = array('source' => 'shipping', 'tax_rate' => $shipping_tax_rate);
         }
 
         // Determine invoice type (IssuedInvoice or IssuedSimplifiedInvoice)
@@ -534,6 +849,80 @@ class Invoice_Generator {
         return $invoice_data;
     }
 
+    /**
+     * Build the invoice payload for an order without sending it
+     *
+     * Returns exactly what generate_invoice() would send, plus the decisions
+     * behind it (invoice type, reverse charge, per-line tax rate and Peppol
+     * category, amended invoice for refunds), so a rejected invoice can be
+     * diagnosed from the order screen.
+     *
+     * @since 1.0.0
+     * @param int $order_id Order or refund ID
+     * @return array{success: bool, message: string, payload?: array, details?: array}
+     */
+    public function preview_invoice_data($order_id) {
+        $order = wc_get_order($order_id);
+
+        if (!$order) {
+            return array(
+                'success' => false,
+                'message' => __('Order not found', 'b2brouter-for-woocommerce'),
+            );
+        }
+
+        try {
+            $trace = array();
+            $payload = $this->prepare_invoice_data($order, $trace);
+        } catch (\Exception $e) {
+            return array(
+                'success' => false,
+                'message' => $e->getMessage(),
+            );
+        }
+
+        $lines = array();
+
+        foreach ($payload['invoice_lines_attributes'] as $index => $line) {
+            $tax = $line['taxes_attributes'][0];
+
+            $lines[] = array(
+                'description' => $line['description'],
+                'quantity' => $line['quantity'],
+                'price' => $line['price'],
+                'source' => $trace['lines'][$index]['source'],
+                'tax_rate' => $trace['lines'][$index]['tax_rate'],
+                'tax_name' => $tax['name'],
+                'category' => $tax['category'],
+                'percent' => $tax['percent'],
+            );
+        }
+
+        $is_refund = $this->is_refund($order);
+
+        return array(
+            'success' => true,
+            'message' => '',
+            'payload' => array('invoice' => $payload, 'send_after_import' => true),
+            'details' => array(
+                'invoice_type' => $payload['type'],
+                'is_refund' => $is_refund,
+                'is_credit_note' => !empty($payload['is_credit_note']),
+                'is_rectificative' => $is_refund && $trace['is_rectificative'],
+                'uses_parent_items' => $trace['uses_parent_items'],
+                'reverse_charge' => $trace['reverse_charge'],
+                'merchant_country' => $trace['merchant_country'],
+                'customer_country' => $trace['customer_country'],
+                'series_code' => isset($payload['series_code']) ? $payload['series_code'] : '',
+                'number' => isset($payload['number']) ? (string) $payload['number'] : '',
+                'amended_number' => isset($payload['amended_number']) ? $payload['amended_number'] : '',
+                'amended_date' => isset($payload['amended_date']) ? $payload['amended_date'] : '',
+                'amended_reason' => isset($payload['amended_reason']) ? $payload['amended_reason'] : '',
+                'lines' => $lines,
+            ),
+        );
+    }
+
     /**
      * Get tax rate for order item
      *
@@ -720,28 +1109,28 @@ class Invoice_Generator {
             );
 
         } catch (\B2BRouter\Exception\ResourceNotFoundException $e) {
-            Logger::error('B2Brouter PDF Download - Invoice not found: ' . $invoice_id);
+            Logger::error('B2Brouter PDF Download - Invoice not found: ' . $invoice_id, array('invoice_id' => $invoice_id));
             return array(
                 'success' => false,
                 'message' => __('Invoice not found', 'b2brouter-for-woocommerce')
             );
 
         } catch (\B2BRouter\Exception\AuthenticationException $e) {
-            Logger::error('B2Brouter PDF Download - Authentication failed: ' . $e->getMessage());
+            Logger::error('B2Brouter PDF Download - Authentication failed: ' . $e->getMessage(), array('invoice_id' => $invoice_id));
             return array(
                 'success' => false,
                 'message' => __('API authentication failed. Please check your API key.', 'b2brouter-for-woocommerce')
             );
 
         } catch (\B2BRouter\Exception\PermissionException $e) {
-            Logger::error('B2Brouter PDF Download - Permission denied: ' . $e->getMessage());
+            Logger::error('B2Brouter PDF Download - Permission denied: ' . $e->getMessage(), array('invoice_id' => $invoice_id));
             return array(
                 'success' => false,
                 'message' => __('You do not have permission to download this invoice.', 'b2brouter-for-woocommerce')
             );
 
         } catch (\B2BRouter\Exception\ApiErrorException $e) {
-            Logger::error('B2Brouter PDF Download - API error: ' . $e->getMessage());
+            Logger::error('B2Brouter PDF Download - API error: ' . $e->getMessage(), array('invoice_id' => $invoice_id));
             return array(
                 'success' => false,
                 'message' => sprintf(
@@ -752,7 +1141,7 @@ class Invoice_Generator {
             );
 
         } catch (\Exception $e) {
-            Logger::error('B2Brouter PDF Download - Error: ' . $e->getMessage());
+            Logger::error('B2Brouter PDF Download - Error: ' . $e->getMessage(), array('invoice_id' => $invoice_id));
             return array(
                 'success' => false,
                 'message' => $e->getMessage()
@@ -862,7 +1251,7 @@ class Invoice_Generator {
             );
 
         } catch (\Exception $e) {
-            Logger::error('B2Brouter Save PDF Error: ' . $e->getMessage());
+            Logger::error('B2Brouter Save PDF Error: ' . $e->getMessage(), array('order_id' => $order_id));
             return array(
                 'success' => false,
                 'message' => $e->getMessage()
@@ -1003,6 +1392,8 @@ class Invoice_Generator {
             // Set headers
             header('Content-Type: application/pdf');
             header('Content-Length: ' . strlen($pdf_data));
+            // Read by assets/js/pdf-viewer.js for its page navigation
+            header('X-B2Brouter-Page-Count: ' . self::count_pdf_pages($pdf_data));
 
             if ($download) {
                 header('Content-Disposition: attachment; filename="' . $filename . '"');
@@ -1020,7 +1411,7 @@ class Invoice_Generator {
             exit;
 
         } catch (\Exception $e) {
-            Logger::error('B2Brouter Stream PDF Error: ' . $e->getMessage());
+            Logger::error('B2Brouter Stream PDF Error: ' . $e->getMessage(), array('order_id' => $order_id));
             wp_die(
                 esc_html($e->getMessage()),
                 esc_html__('Error', 'b2brouter-for-woocommerce'),
@@ -1029,6 +1420,21 @@ class Invoice_Generator {
         }
     }
 
+    /**
+     * Count the pages of a PDF document
+     *
+     * Counts `/Type /Page` objects (not the `/Pages` tree nodes). PDFs that
+     * keep their objects in compressed object streams report 0, which the
+     * PDF viewer treats as an unknown page count.
+     *
+     * @since 1.0.0
+     * @param string $pdf_data Raw PDF contents
+     * @return int Number of pages, or 0 if it cannot be determined
+     */
+    public static function count_pdf_pages($pdf_data) {
+        return (int) preg_match_all('#/Type\s*/Page(?![A-Za-z])#', (string) $pdf_data);
+    }
+
     /**
      * Check if current user can access invoice for order
      *
@@ -1221,7 +1627,7 @@ class Invoice_Generator {
             if ($save_result['success']) {
                 $pdf_path = $save_result['file_path'];
             } else {
-                Logger::warning('B2Brouter Email Attachment: Failed to get PDF for order ' . $order->get_id());
+                Logger::warning('B2Brouter Email Attachment: Failed to get PDF for order ' . $order->get_id(), array('order_id' => $order->get_id()));
                 return $attachments;
             }
         }
@@ -1296,11 +1702,14 @@ class Invoice_Generator {
     /**
      * Clean up order metadata for deleted PDF file
      *
+     * Also used by Pdf_Storage to clear references to files that are
+     * already gone.
+     *
      * @since 1.0.0
      * @param string $file_path The deleted file path
      * @return void
      */
-    private function cleanup_order_metadata_for_file($file_path) {
+    public function cleanup_order_metadata_for_file($file_path) {
         // Find orders that point at this PDF file via meta. wc_get_orders()
         // is HPOS-aware; the previous direct postmeta SELECT silently missed
         // orders stored only in the HPOS tables.
@@ -1360,17 +1769,25 @@ class Invoice_Generator {
      *
      * @since 1.0.0
      * @param bool $is_credit_note Whether this is a credit note
+     * @param array|null $series_codes Unsaved 'invoice' and 'credit_note' codes to use instead of the settings (preview only)
      * @return string The series code to use
      */
-    private function get_series_code_for_invoice($is_credit_note) {
+    private function get_series_code_for_invoice($is_credit_note, $series_codes = null) {
+        if ($series_codes === null) {
+            $series_codes = array(
+                'invoice' => $this->settings->get_invoice_series_code(),
+                'credit_note' => $this->settings->get_credit_note_series_code(),
+            );
+        }
+
         if ($is_credit_note) {
-            $series_code = $this->settings->get_credit_note_series_code();
+            $series_code = $series_codes['credit_note'];
             // Fall back to invoice series code if credit note series is not set
             if (empty($series_code)) {
-                $series_code = $this->settings->get_invoice_series_code();
+                $series_code = $series_codes['invoice'];
             }
         } else {
-            $series_code = $this->settings->get_invoice_series_code();
+            $series_code = $series_codes['invoice'];
         }
 
         return $series_code;
@@ -1385,24 +1802,185 @@ class Invoice_Generator {
      * @return string|null The invoice number, or null for automatic numbering
      */
     private function generate_invoice_number($order, $is_credit_note) {
-        $pattern = $this->settings->get_invoice_numbering_pattern();
-
-        switch ($pattern) {
+        switch ($this->settings->get_invoice_numbering_pattern()) {
             case 'automatic':
                 // Don't send number field, let B2Brouter assign it
                 return null;
 
             case 'woocommerce':
             default:
+                $regenerations = (int) $order->get_meta('_b2brouter_invoice_regenerations');
+
                 // Use WooCommerce order number
                 // For credit notes (refunds), use the refund ID to ensure uniqueness
                 if ($is_credit_note) {
+                    // Corrective documents are passed the order and suffixed by the caller
+                    if ($regenerations > 0 && $this->is_refund($order)) {
+                        return $order->get_id() . '-' . ($regenerations + 1);
+                    }
                     return (string) $order->get_id();
                 }
+
+                // A corrected or regenerated invoice is reissued under a new number; the cancelled or failed one keeps its own
+                $reissues = count(self::get_corrective_invoices($order)) + $regenerations;
+                if ($reissues > 0) {
+                    return $order->get_order_number() . '-' . ($reissues + 1);
+                }
                 return $order->get_order_number();
         }
     }
 
+    /**
+     * Preview the next invoice and credit note numbers for unsaved settings
+     *
+     * Uses the same series logic as prepare_invoice_data() and the number
+     * the next new order and refund would get (get_next_document_number()),
+     * without calling the API or saving anything. Numbers already issued in
+     * the same series from that number on are reported, since new invoices
+     * would be given them again. With the automatic pattern B2Brouter picks
+     * the number when the document is created: number is null and nothing
+     * is checked.
+     *
+     * @since 1.0.0
+     * @param string $invoice_series_code Invoice series code
+     * @param string $credit_note_series_code Credit note series code
+     * @param string $pattern Numbering pattern ('automatic' or 'woocommerce')
+     * @return array{invoice: array, credit_note: array, warnings: string[]}
+     */
+    public function preview_invoice_numbers($invoice_series_code, $credit_note_series_code, $pattern) {
+        $series_codes = array(
+            'invoice' => $invoice_series_code,
+            'credit_note' => $credit_note_series_code,
+        );
+        $preview = array('warnings' => array());
+
+        foreach (array('invoice' => false, 'credit_note' => true) as $type => $is_credit_note) {
+            $series_code = $this->get_series_code_for_invoice($is_credit_note, $series_codes);
+            $next = $pattern === 'automatic'
+                ? array('number' => null, 'latest' => '')
+                : $this->get_next_document_number($is_credit_note);
+            $number = $next['number'];
+
+            $collisions = $number !== null ? $this->find_issued_numbers($series_code, $number, $is_credit_note) : array();
+
+            $preview[$type] = array(
+                'series_code' => $series_code,
+                'number' => $number,
+                'formatted' => $number !== null ? self::format_invoice_number($number, $series_code) : '',
+                'sample' => $next['latest'],
+                'collisions' => $collisions,
+            );
+
+            if (!empty($collisions)) {
+                $preview['warnings'][] = sprintf(
+                    /* translators: %1$s: series code, %2$s: comma-separated invoice numbers */
+                    __('Series %1$s already contains numbers that new documents would be given again: %2$s', 'b2brouter-for-woocommerce'),
+                    $series_code,
+                    implode(', ', $collisions)
+                );
+            }
+        }
+
+        if ($preview['invoice']['series_code'] !== '' && strcasecmp($preview['invoice']['series_code'], $preview['credit_note']['series_code']) === 0) {
+            $preview['warnings'][] = sprintf(
+                /* translators: %s: series code */
+                __('Invoices and credit notes would share series %s. B2Brouter allows one series per invoice type, and order numbers and refund IDs can overlap.', 'b2brouter-for-woocommerce'),
+                $preview['invoice']['series_code']
+            );
+        }
+
+        return $preview;
+    }
+
+    /**
+     * Get the number the next new order or refund would be invoiced under with the WooCommerce pattern
+     *
+     * Invoices carry the order number, so the next one follows the latest
+     * order's number; order numbers rewritten by a sequential-numbering
+     * plugin are followed by incrementing their trailing digits. Credit
+     * notes carry the refund ID, which is taken from the same sequence as
+     * order IDs, so the next one is at least the latest order or refund ID
+     * plus one.
+     *
+     * @since 1.0.0
+     * @param bool $is_credit_note Whether to look at refunds
+     * @return array{number: string|null, latest: string} Next number, null when the store has no orders
+     *         or the order number does not end in digits; latest order number or ID it follows
+     */
+    private function get_next_document_number($is_credit_note) {
+        $ids = wc_get_orders(array(
+            'limit' => 1,
+            'type' => $is_credit_note ? array('shop_order', 'shop_order_refund') : 'shop_order',
+            'orderby' => 'ID',
+            'order' => 'DESC',
+            'return' => 'ids',
+        ));
+
+        if (empty($ids)) {
+            return array('number' => null, 'latest' => '');
+        }
+
+        if ($is_credit_note) {
+            return array('number' => (string) ($ids[0] + 1), 'latest' => (string) $ids[0]);
+        }
+
+        $order = wc_get_order($ids[0]);
+        $latest = $order ? (string) $order->get_order_number() : (string) $ids[0];
+
+        if (!preg_match('/^(.*?)(\d+)$/', $latest, $matches)) {
+            return array('number' => null, 'latest' => $latest);
+        }
+
+        // Keep zero padding: "WC-0099" is followed by "WC-0100"
+        $digits = str_pad((string) ((int) $matches[2] + 1), strlen($matches[2]), '0', STR_PAD_LEFT);
+
+        return array('number' => $matches[1] . $digits, 'latest' => $latest);
+    }
+
+    /**
+     * Find numbers already issued in a series from a given number on
+     *
+     * @since 1.0.0
+     * @param string $series_code Series code
+     * @param string $number First number that would be issued
+     * @param bool $is_credit_note Whether to look at credit notes
+     * @return string[] Up to five formatted invoice numbers
+     */
+    private function find_issued_numbers($series_code, $number, $is_credit_note) {
+        $numeric = is_numeric($number);
+
+        $ids = wc_get_orders(array(
+            'limit' => 5,
+            'type' => $is_credit_note ? 'shop_order_refund' : 'shop_order',
+            'return' => 'ids',
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- settings-page preview only, run when the admin edits the numbering fields.
+            'meta_query' => array(
+                array(
+                    'key' => '_b2brouter_invoice_series_code',
+                    'value' => $series_code,
+                ),
+                array(
+                    'key' => '_b2brouter_invoice_number',
+                    'value' => $number,
+                    'compare' => $numeric ? '>=' : '=',
+                    'type' => $numeric ? 'NUMERIC' : 'CHAR',
+                ),
+            ),
+        ));
+
+        $numbers = array();
+
+        foreach ($ids as $id) {
+            $order = wc_get_order($id);
+
+            if ($order) {
+                $numbers[] = self::get_formatted_invoice_number($order);
+            }
+        }
+
+        return $numbers;
+    }
+
     /**
      * Get merchant (supplier) country from WooCommerce settings
      *
@@ -26,6 +26,43 @@ if (!class_exists('WP_List_Table')) {
  */
 class Invoice_List_Table extends \WP_List_Table {
 
+    /**
+     * Default rows per page
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const PER_PAGE = 20;
+
+    /**
+     * User option holding the rows per page chosen in Screen Options
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const PER_PAGE_OPTION = 'b2brouter_invoices_per_page';
+
+    /**
+     * B2Brouter statuses offered in the status filter
+     *
+     * 'pending' (not synced yet) and 'stuck' (see Status_Sync::get_stuck_meta_query())
+     * are added on top of these.
+     *
+     * @since 1.0.0
+     * @var string[]
+     */
+    const STATUS_FILTERS = array('new', 'sending', 'sent', 'registered', 'delivered', 'accepted', 'refused', 'paid', 'cancelled', 'closed', 'error');
+
+    /**
+     * Request parameters that make up the list state (filters, sorting, page)
+     *
+     * admin.js mirrors these in the URL so a filtered page can be shared.
+     *
+     * @since 1.0.0
+     * @var string[]
+     */
+    const STATE_KEYS = array('invoice_status', 'invoice_type', 'date_from', 'date_to', 'customer', 'invoice_number', 'orderby', 'order', 'paged');
+
     /**
      * Settings instance
      *
@@ -48,8 +85,9 @@ class Invoice_List_Table extends \WP_List_Table {
      * @since 1.0.0
      * @param Settings $settings Settings instance
      * @param Invoice_Generator $invoice_generator Invoice generator instance
+     * @param string|null $screen Screen ID; required when rendering rows outside the list page (AJAX)
      */
-    public function __construct(Settings $settings, Invoice_Generator $invoice_generator) {
+    public function __construct(Settings $settings, Invoice_Generator $invoice_generator, $screen = null) {
         $this->settings = $settings;
         $this->invoice_generator = $invoice_generator;
 
@@ -57,6 +95,7 @@ class Invoice_List_Table extends \WP_List_Table {
             'singular' => __('Invoice', 'b2brouter-for-woocommerce'),
             'plural'   => __('Invoices', 'b2brouter-for-woocommerce'),
             'ajax'     => false,
+            'screen'   => $screen,
         ));
     }
 
@@ -89,6 +128,8 @@ class Invoice_List_Table extends \WP_List_Table {
         return array(
             'order_number' => array('ID', false),
             'date'         => array('date', true), // true = already sorted
+            'status'       => array('status', false),
+            'amount'       => array('amount', false),
         );
     }
 
@@ -100,7 +141,9 @@ class Invoice_List_Table extends \WP_List_Table {
      */
     public function get_bulk_actions() {
         return array(
-            'download' => __('Download PDFs', 'b2brouter-for-woocommerce'),
+            'download'    => __('Download PDFs', 'b2brouter-for-woocommerce'),
+            'export_csv'  => __('Export register (CSV)', 'b2brouter-for-woocommerce'),
+            'export_xlsx' => __('Export register (XLSX)', 'b2brouter-for-woocommerce'),
         );
     }
 
@@ -121,7 +164,7 @@ class Invoice_List_Table extends \WP_List_Table {
         $this->process_bulk_action();
 
         // Get pagination parameters
-        $per_page     = 20;
+        $per_page     = $this->get_items_per_page(self::PER_PAGE_OPTION, self::PER_PAGE);
         $current_page = $this->get_pagenum();
         $offset       = ($current_page - 1) * $per_page;
 
@@ -131,33 +174,27 @@ class Invoice_List_Table extends \WP_List_Table {
         // phpcs:ignore WordPress.Security.NonceVerification.Recommended
         $order   = isset($_REQUEST['order']) ? sanitize_text_field(wp_unslash($_REQUEST['order'])) : 'DESC';
 
-        // Query orders with invoices
-        $args = array(
+        // Query orders with invoices, narrowed by the filters
+        $query_args = $this->get_filter_query_args($this->get_filters());
+        $sort_args = $this->get_sort_args($orderby, $order);
+
+        // A sort on invoice meta adds its clause to the filters' meta_query instead of replacing it
+        if (isset($sort_args['meta_query'])) {
+            $query_args['meta_query'] = array_merge($query_args['meta_query'], $sort_args['meta_query']);
+            unset($sort_args['meta_query']);
+        }
+
+        // One paginated query, so the total is counted with the same joins as the page
+        $results = wc_get_orders(array_merge(array(
             'limit'      => $per_page,
             'offset'     => $offset,
-            'orderby'    => $orderby,
-            'order'      => $order,
-            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key -- listing orders by invoice meta is the page's entire purpose.
-            'meta_key'   => '_b2brouter_invoice_id',
-            'meta_compare' => 'EXISTS',
-            'type'       => array('shop_order', 'shop_order_refund'),
-        );
+            'paginate'   => true,
+        ), $query_args, $sort_args));
 
-        $orders = wc_get_orders($args);
-
-        // Get total count for pagination
-        $total_args = array(
-            'limit'      => -1,
-            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key -- pagination count for the listing above.
-            'meta_key'   => '_b2brouter_invoice_id',
-            'meta_compare' => 'EXISTS',
-            'type'       => array('shop_order', 'shop_order_refund'),
-            'return'     => 'ids',
-        );
-        $total_items = count(wc_get_orders($total_args));
+        $total_items = (int) $results->total;
 
         // Prepare items
-        $this->items = $orders;
+        $this->items = $results->orders;
 
         // Set pagination
         $this->set_pagination_args(array(
@@ -167,6 +204,285 @@ class Invoice_List_Table extends \WP_List_Table {
         ));
     }
 
+    /**
+     * Read the list filters from the request
+     *
+     * These are plain GET parameters so a filtered list can be linked to,
+     * e.g. from the dashboard widget. Unknown values are dropped.
+     *
+     * @since 1.0.0
+     * @return array{invoice_status: string, invoice_type: string, date_from: string, date_to: string, customer: string, invoice_number: string}
+     */
+    public function get_filters() {
+        // Read-only table navigation; no state change.
+        // phpcs:disable WordPress.Security.NonceVerification.Recommended
+        $filters = array(
+            'invoice_status' => isset($_GET['invoice_status']) ? sanitize_key(wp_unslash($_GET['invoice_status'])) : '',
+            'invoice_type'   => isset($_GET['invoice_type']) ? sanitize_key(wp_unslash($_GET['invoice_type'])) : '',
+            'date_from'      => isset($_GET['date_from']) ? sanitize_text_field(wp_unslash($_GET['date_from'])) : '',
+            'date_to'        => isset($_GET['date_to']) ? sanitize_text_field(wp_unslash($_GET['date_to'])) : '',
+            'customer'       => isset($_GET['customer']) ? sanitize_text_field(wp_unslash($_GET['customer'])) : '',
+            'invoice_number' => isset($_GET['invoice_number']) ? sanitize_text_field(wp_unslash($_GET['invoice_number'])) : '',
+        );
+        // phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+        if (!in_array($filters['invoice_type'], array('invoice', 'credit_note'), true)) {
+            $filters['invoice_type'] = '';
+        }
+
+        foreach (array('date_from', 'date_to') as $key) {
+            if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $filters[$key])) {
+                $filters[$key] = '';
+            }
+        }
+
+        return $filters;
+    }
+
+    /**
+     * Translate list filters into wc_get_orders() arguments
+     *
+     * @since 1.0.0
+     * @param array $filters Filters from get_filters()
+     * @return array Query arguments shared by the page query and the total count
+     */
+    public function get_filter_query_args(array $filters) {
+        $meta_query = array(
+            'relation' => 'AND',
+            array(
+                'key'     => '_b2brouter_invoice_id',
+                'compare' => 'EXISTS',
+            ),
+        );
+
+        if ($filters['invoice_status'] === 'stuck') {
+            $meta_query = array_merge($meta_query, Status_Sync::get_stuck_meta_query());
+        } elseif ($filters['invoice_status'] === 'pending') {
+            $meta_query[] = array(
+                'key'     => '_b2brouter_invoice_status',
+                'compare' => 'NOT EXISTS',
+            );
+        } elseif ($filters['invoice_status'] !== '') {
+            $meta_query[] = array(
+                'key'   => '_b2brouter_invoice_status',
+                'value' => $filters['invoice_status'],
+            );
+        }
+
+        // _b2brouter_invoice_date is a site-time 'Y-m-d H:i:s' string
+        if ($filters['date_from'] !== '') {
+            $meta_query[] = array(
+                'key'     => '_b2brouter_invoice_date',
+                'value'   => $filters['date_from'] . ' 00:00:00',
+                'compare' => '>=',
+                'type'    => 'DATETIME',
+            );
+        }
+
+        if ($filters['date_to'] !== '') {
+            $meta_query[] = array(
+                'key'     => '_b2brouter_invoice_date',
+                'value'   => $filters['date_to'] . ' 23:59:59',
+                'compare' => '<=',
+                'type'    => 'DATETIME',
+            );
+        }
+
+        if ($filters['invoice_number'] !== '') {
+            $meta_query[] = array(
+                'key'     => '_b2brouter_invoice_number',
+                'value'   => $filters['invoice_number'],
+                'compare' => 'LIKE',
+            );
+        }
+
+        $types = array(
+            'invoice'     => array('shop_order'),
+            'credit_note' => array('shop_order_refund'),
+        );
+
+        $args = array(
+            'type'       => $filters['invoice_type'] !== '' ? $types[$filters['invoice_type']] : array('shop_order', 'shop_order_refund'),
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- listing orders by invoice meta is the page's entire purpose.
+            'meta_query' => $meta_query,
+        );
+
+        if ($filters['customer'] !== '') {
+            // post__in is mapped to the order ID column under HPOS as well
+            $args['post__in'] = $this->find_customer_order_ids($filters['customer']);
+        }
+
+        return $args;
+    }
+
+    /**
+     * Find orders, and the refunds of those orders, whose customer matches a search
+     *
+     * Refunds carry no billing details of their own, so their credit notes are
+     * found through the parent order.
+     *
+     * @since 1.0.0
+     * @param string $term Customer name, email, company or address fragment
+     * @return int[] Order and refund IDs; array(0) when nothing matches so the query stays empty
+     */
+    private function find_customer_order_ids($term) {
+        $order_ids = array_map('intval', wc_order_search($term));
+
+        if (empty($order_ids)) {
+            return array(0);
+        }
+
+        $refund_ids = wc_get_orders(array(
+            'type'            => 'shop_order_refund',
+            'post_parent__in' => $order_ids,
+            'limit'           => -1,
+            'return'          => 'ids',
+        ));
+
+        return array_merge($order_ids, array_map('intval', (array) $refund_ids));
+    }
+
+    /**
+     * Get every invoice matching the filters, oldest first, for the register export
+     *
+     * @since 1.0.0
+     * @param array $filters Filters from get_filters()
+     * @return int[] Order and refund IDs
+     */
+    public function get_export_order_ids(array $filters) {
+        $ids = wc_get_orders(array_merge(array(
+            'limit'   => -1,
+            'return'  => 'ids',
+            'orderby' => 'date',
+            'order'   => 'ASC',
+        ), $this->get_filter_query_args($filters)));
+
+        return array_map('intval', (array) $ids);
+    }
+
+    /**
+     * Translate a sortable column into wc_get_orders() ordering arguments
+     *
+     * @since 1.0.0
+     * @param string $orderby Column key from get_sortable_columns()
+     * @param string $order 'ASC' or 'DESC'
+     * @return array Ordering arguments, possibly with a named meta_query clause to add to the
+     *               filters' meta_query; unknown columns fall back to date
+     */
+    public function get_sort_args($orderby, $order) {
+        $order = strtoupper($order) === 'ASC' ? 'ASC' : 'DESC';
+
+        switch ($orderby) {
+            case 'ID':
+                return array('orderby' => 'ID', 'order' => $order);
+
+            case 'status':
+                // Invoices not synced yet have no status meta (shown as pending); the
+                // NOT EXISTS branch keeps them in the list instead of an inner join dropping them
+                return array(
+                    // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- user-requested sort on invoice status.
+                    'meta_query' => array(
+                        'b2brouter_status_sort' => array(
+                            'relation' => 'OR',
+                            'b2brouter_status' => array(
+                                'key'     => '_b2brouter_invoice_status',
+                                'compare' => 'EXISTS',
+                            ),
+                            array(
+                                'key'     => '_b2brouter_invoice_status',
+                                'compare' => 'NOT EXISTS',
+                            ),
+                        ),
+                    ),
+                    'orderby'    => array('b2brouter_status' => $order),
+                );
+
+            case 'amount':
+                // The order total is a column of the orders table under HPOS, a meta value otherwise
+                if (class_exists('Automattic\WooCommerce\Utilities\OrderUtil') &&
+                    \Automattic\WooCommerce\Utilities\OrderUtil::custom_orders_table_usage_is_enabled()) {
+                    return array('orderby' => 'total', 'order' => $order);
+                }
+
+                return array(
+                    // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key -- user-requested sort on order total.
+                    'meta_key' => '_order_total',
+                    'orderby'  => 'meta_value_num',
+                    'order'    => $order,
+                );
+
+            default:
+                return array('orderby' => 'date', 'order' => $order);
+        }
+    }
+
+    /**
+     * Render the filter controls above the table
+     *
+     * @since 1.0.0
+     * @param string $which 'top' or 'bottom'
+     * @return void
+     */
+    protected function extra_tablenav($which) {
+        if ($which !== 'top') {
+            return;
+        }
+
+        $filters = $this->get_filters();
+        $statuses = array(
+            'pending' => __('Pending (not synced)', 'b2brouter-for-woocommerce'),
+            'stuck'   => __('Stuck awaiting sync', 'b2brouter-for-woocommerce'),
+        );
+
+        foreach (self::STATUS_FILTERS as $status) {
+            $statuses[$status] = ucfirst($status);
+        }
+        ?>
+        <div class="alignleft actions b2brouter-list-filters">
+            <label for="b2brouter-filter-status" class="screen-reader-text"><?php esc_html_e('Filter by status', 'b2brouter-for-woocommerce'); ?></label>
+            <select name="invoice_status" id="b2brouter-filter-status">
+                <option value=""><?php esc_html_e('All statuses', 'b2brouter-for-woocommerce'); ?></option>
+                <?php foreach ($statuses as $value => $label) : ?>
+                    <option value="<?php echo esc_attr($value); ?>" <?php selected($filters['invoice_status'], $value); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+
+            <label for="b2brouter-filter-type" class="screen-reader-text"><?php esc_html_e('Filter by document type', 'b2brouter-for-woocommerce'); ?></label>
+            <select name="invoice_type" id="b2brouter-filter-type">
+                <option value=""><?php esc_html_e('Invoices and credit notes', 'b2brouter-for-woocommerce'); ?></option>
+                <option value="invoice" <?php selected($filters['invoice_type'], 'invoice'); ?>><?php esc_html_e('Invoices', 'b2brouter-for-woocommerce'); ?></option>
+                <option value="credit_note" <?php selected($filters['invoice_type'], 'credit_note'); ?>><?php esc_html_e('Credit notes', 'b2brouter-for-woocommerce'); ?></option>
+            </select>
+
+            <label for="b2brouter-filter-date-from"><?php esc_html_e('From', 'b2brouter-for-woocommerce'); ?></label>
+            <input type="date" name="date_from" id="b2brouter-filter-date-from" value="<?php echo esc_attr($filters['date_from']); ?>" />
+            <label for="b2brouter-filter-date-to"><?php esc_html_e('to', 'b2brouter-for-woocommerce'); ?></label>
+            <input type="date" name="date_to" id="b2brouter-filter-date-to" value="<?php echo esc_attr($filters['date_to']); ?>" />
+
+            <label for="b2brouter-filter-customer" class="screen-reader-text"><?php esc_html_e('Search customer', 'b2brouter-for-woocommerce'); ?></label>
+            <input type="search" name="customer" id="b2brouter-filter-customer" value="<?php echo esc_attr($filters['customer']); ?>" placeholder="<?php esc_attr_e('Customer', 'b2brouter-for-woocommerce'); ?>" />
+
+            <label for="b2brouter-filter-number" class="screen-reader-text"><?php esc_html_e('Search invoice number', 'b2brouter-for-woocommerce'); ?></label>
+            <input type="search" name="invoice_number" id="b2brouter-filter-number" value="<?php echo esc_attr($filters['invoice_number']); ?>" placeholder="<?php esc_attr_e('Invoice #', 'b2brouter-for-woocommerce'); ?>" />
+
+            <input type="submit" name="filter_action" id="b2brouter-filter-submit" class="button" value="<?php esc_attr_e('Filter', 'b2brouter-for-woocommerce'); ?>" />
+
+            <?php if (array_filter($filters) !== array()) : ?>
+                <a href="<?php echo esc_url(admin_url('admin.php?page=b2brouter-invoices')); ?>" class="button-link b2brouter-filter-reset"><?php esc_html_e('Reset', 'b2brouter-for-woocommerce'); ?></a>
+            <?php endif; ?>
+        </div>
+
+        <div class="alignleft actions b2brouter-list-export">
+            <?php
+            // Exports every invoice matching the filters above; the bulk actions export selected rows
+            foreach (array('csv' => __('Export CSV', 'b2brouter-for-woocommerce'), 'xlsx' => __('Export XLSX', 'b2brouter-for-woocommerce')) as $format => $label) :
+                ?>
+                <button type="submit" name="invoice_export" value="<?php echo esc_attr($format); ?>" class="button b2brouter-export-button" title="<?php esc_attr_e('Export the invoice register for the current filters', 'b2brouter-for-woocommerce'); ?>"><?php echo esc_html($label); ?></button>
+            <?php endforeach; ?>
+        </div>
+        <?php
+    }
+
     /**
      * Column default
      *
@@ -397,9 +713,59 @@ class Invoice_List_Table extends \WP_List_Table {
             esc_html__('Download', 'b2brouter-for-woocommerce')
         );
 
+        // Refresh status button
+        $actions[] = sprintf(
+            '<button type="button" class="button button-small b2brouter-list-refresh-status" data-order-id="%d" title="%s">
+                <span class="dashicons dashicons-update" style="line-height: 1.4;"></span> %s
+            </button>',
+            esc_attr($order_id),
+            esc_attr__('Refresh status from B2Brouter', 'b2brouter-for-woocommerce'),
+            esc_html__('Refresh', 'b2brouter-for-woocommerce')
+        );
+
+        // Regenerate button, only for invoices B2Brouter rejected
+        if ($order->get_meta('_b2brouter_invoice_status') === 'error') {
+            $actions[] = sprintf(
+                '<button type="button" class="button button-small b2brouter-list-regenerate" data-order-id="%d" title="%s">
+                    <span class="dashicons dashicons-controls-repeat" style="line-height: 1.4;"></span> %s
+                </button>',
+                esc_attr($order_id),
+                esc_attr__('Replace the failed invoice with a new one', 'b2brouter-for-woocommerce'),
+                esc_html__('Regenerate', 'b2brouter-for-woocommerce')
+            );
+        }
+
+        // Open the invoice record in the B2Brouter web app
+        $invoice_id = $order->get_meta('_b2brouter_invoice_id');
+        if (!empty($invoice_id)) {
+            $actions[] = sprintf(
+                '<a href="%s" target="_blank" rel="noopener noreferrer" class="button button-small" title="%s">
+                    <span class="dashicons dashicons-external" style="line-height: 1.4;"></span> %s
+                </a>',
+                esc_url($this->settings->get_web_app_base_url() . '/invoices/' . rawurlencode($invoice_id)),
+                esc_attr__('View in B2Brouter', 'b2brouter-for-woocommerce'),
+                esc_html__('B2Brouter', 'b2brouter-for-woocommerce')
+            );
+        }
+
         return implode(' ', $actions);
     }
 
+    /**
+     * Render a single row for in-place replacement by admin.js
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order Order object
+     * @return string Row HTML
+     */
+    public function get_row_html($order) {
+        $this->_column_headers = array($this->get_columns(), array(), $this->get_sortable_columns());
+
+        ob_start();
+        $this->single_row($order);
+        return ob_get_clean();
+    }
+
     /**
      * Process bulk actions
      *
@@ -417,15 +783,15 @@ class Invoice_List_Table extends \WP_List_Table {
                 return;
             }
 
-            // For now, we'll handle bulk download via JavaScript
-            // Add a transient to signal JS to download multiple PDFs
-            set_transient('b2brouter_bulk_download_' . get_current_user_id(), $invoice_ids, 300);
+            // The ZIP archive is built in chunks by admin.js polling Bulk_Download
+            $job_id = Bulk_Download::create_job($invoice_ids, get_current_user_id());
 
-            // Redirect back with a success notice
+            // Redirect back so the progress panel can pick up the job
             $redirect_url = add_query_arg(
                 array(
                     'page' => 'b2brouter-invoices',
                     'bulk_download' => count($invoice_ids),
+                    'bulk_download_job' => $job_id,
                 ),
                 admin_url('admin.php')
             );
@@ -433,10 +799,53 @@ class Invoice_List_Table extends \WP_List_Table {
             wp_safe_redirect($redirect_url);
             exit;
         }
+
+        // Register export: selected rows through the bulk actions, or the whole filtered list
+        $action = $this->current_action();
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- nonce checked below before anything is created.
+        $export_format = isset($_REQUEST['invoice_export']) ? sanitize_key(wp_unslash($_REQUEST['invoice_export'])) : '';
+
+        if (in_array($action, array('export_csv', 'export_xlsx'), true)) {
+            check_admin_referer('bulk-' . $this->_args['plural']);
+
+            $order_ids = isset($_REQUEST['invoice']) ? array_map('intval', (array) wp_unslash($_REQUEST['invoice'])) : array();
+            $export_format = substr($action, strlen('export_'));
+        } elseif (isset(Invoice_Export::FORMATS[$export_format])) {
+            check_admin_referer('bulk-' . $this->_args['plural']);
+
+            $order_ids = $this->get_export_order_ids($this->get_filters());
+        } else {
+            return;
+        }
+
+        if (empty($order_ids)) {
+            return;
+        }
+
+        // The file is built in chunks by admin.js polling Invoice_Export
+        $job_id = Invoice_Export::create_job($order_ids, $export_format, get_current_user_id());
+
+        // Keep the filters so the list behind the progress panel stays the same
+        $redirect_url = add_query_arg(
+            array_merge(
+                array_filter($this->get_filters()),
+                array(
+                    'page' => 'b2brouter-invoices',
+                    'invoice_export_count' => count($order_ids),
+                    'invoice_export_job' => $job_id,
+                )
+            ),
+            admin_url('admin.php')
+        );
+
+        wp_safe_redirect($redirect_url);
+        exit;
     }
 
     /**
-     * Display bulk download notice
+     * Display bulk download progress panel
+     *
+     * admin.js fills in the progress bar and failure list while it polls the job.
      *
      * @since 1.0.0
      * @return void
@@ -447,22 +856,74 @@ class Invoice_List_Table extends \WP_List_Table {
         if (isset($_GET['bulk_download'])) {
             // phpcs:ignore WordPress.Security.NonceVerification.Recommended
             $count = intval(wp_unslash($_GET['bulk_download']));
-            printf(
-                '<div class="notice notice-success is-dismissible"><p>%s</p></div>',
-                sprintf(
+            ?>
+            <div id="b2brouter-bulk-download" class="notice notice-info b2brouter-bulk-download">
+                <p class="b2brouter-bulk-download-message">
+                    <?php
+                    printf(
+                        esc_html(
+                            /* translators: %d: number of invoice PDFs queued for download */
+                            _n(
+                                'Preparing to download %d invoice PDF.',
+                                'Preparing to download %d invoice PDFs.',
+                                $count,
+                                'b2brouter-for-woocommerce'
+                            )
+                        ),
+                        (int) $count
+                    );
+                    ?>
+                </p>
+                <div class="b2brouter-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                    <div class="b2brouter-progress-bar"></div>
+                </div>
+                <ul class="b2brouter-bulk-download-failures" hidden></ul>
+            </div>
+            <?php
+        }
+    }
+
+    /**
+     * Display the register export progress panel
+     *
+     * admin.js fills in the progress bar and skipped invoices while it polls the job.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function invoice_export_notice() {
+        // Read-only notice from query param set by self::process_bulk_action() after redirect.
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+        if (!isset($_GET['invoice_export_job'], $_GET['invoice_export_count'])) {
+            return;
+        }
+
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+        $count = intval(wp_unslash($_GET['invoice_export_count']));
+        ?>
+        <div id="b2brouter-invoice-export" class="notice notice-info b2brouter-bulk-download b2brouter-invoice-export">
+            <p class="b2brouter-bulk-download-message">
+                <?php
+                printf(
                     esc_html(
-                        /* translators: %d: number of invoice PDFs queued for download */
+                        /* translators: %d: number of invoices queued for export */
                         _n(
-                            'Preparing to download %d invoice PDF.',
-                            'Preparing to download %d invoice PDFs.',
+                            'Preparing to export %d invoice.',
+                            'Preparing to export %d invoices.',
                             $count,
                             'b2brouter-for-woocommerce'
                         )
                     ),
                     (int) $count
-                )
-            );
-        }
+                );
+                ?>
+            </p>
+            <div class="b2brouter-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                <div class="b2brouter-progress-bar"></div>
+            </div>
+            <ul class="b2brouter-bulk-download-failures" hidden></ul>
+        </div>
+        <?php
     }
 
     /**
@@ -0,0 +1,120 @@
+<?php
+/**
+ * Job Store
+ *
+ * Shared state and file handling for the chunked admin jobs
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Job_Store class
+ *
+ * Bulk_Download, Invoice_Export, Pdf_Storage and Bulk_Generation keep each
+ * job in a transient under their own prefix, bound to the user who created
+ * it: a job ID from the browser only reaches the job of the user sending it.
+ * Jobs that write files keep them in a directory that cannot be served
+ * directly, so they only ever leave through the feature's own download action.
+ *
+ * @since 1.0.0
+ */
+class Job_Store {
+
+    /**
+     * Store a new job under a fresh ID
+     *
+     * @since 1.0.0
+     * @param string $prefix Transient prefix of the feature
+     * @param array $job Job data; must contain the owner's 'user_id'
+     * @param int $expiration Seconds the job is kept
+     * @return string Job ID
+     */
+    public static function create($prefix, array $job, $expiration = HOUR_IN_SECONDS) {
+        // sanitize_key() lowercases its input, so keep the ID lowercase from the start.
+        $job_id = strtolower(wp_generate_password(24, false));
+
+        self::save($prefix, $job_id, $job, $expiration);
+
+        return $job_id;
+    }
+
+    /**
+     * Get a job, only if it belongs to the given user
+     *
+     * @since 1.0.0
+     * @param string $prefix Transient prefix of the feature
+     * @param string $job_id Job ID
+     * @param int $user_id Requesting user ID
+     * @return array|null Job data or null if missing or owned by someone else
+     */
+    public static function get($prefix, $job_id, $user_id) {
+        if (empty($job_id)) {
+            return null;
+        }
+
+        $job = get_transient($prefix . $job_id);
+
+        if (!is_array($job) || (int) $job['user_id'] !== (int) $user_id) {
+            return null;
+        }
+
+        return $job;
+    }
+
+    /**
+     * Save a job's progress
+     *
+     * @since 1.0.0
+     * @param string $prefix Transient prefix of the feature
+     * @param string $job_id Job ID
+     * @param array $job Job data
+     * @param int $expiration Seconds the job is kept
+     * @return void
+     */
+    public static function save($prefix, $job_id, array $job, $expiration = HOUR_IN_SECONDS) {
+        set_transient($prefix . $job_id, $job, $expiration);
+    }
+
+    /**
+     * Forget a job
+     *
+     * @since 1.0.0
+     * @param string $prefix Transient prefix of the feature
+     * @param string $job_id Job ID
+     * @return void
+     */
+    public static function delete($prefix, $job_id) {
+        delete_transient($prefix . $job_id);
+    }
+
+    /**
+     * Create a directory for job files that the web server refuses to serve
+     *
+     * @since 1.0.0
+     * @param string $directory Absolute directory path
+     * @return bool Whether the directory exists and is protected
+     */
+    public static function create_protected_directory($directory) {
+        if (!function_exists('WP_Filesystem')) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+
+        global $wp_filesystem;
+
+        if (!WP_Filesystem() || !wp_mkdir_p($directory)) {
+            return false;
+        }
+
+        $wp_filesystem->put_contents($directory . '/.htaccess', "Require all denied\n", FS_CHMOD_FILE);
+        $wp_filesystem->put_contents($directory . '/index.php', "<?php\n// Silence is golden.", FS_CHMOD_FILE);
+
+        return true;
+    }
+}
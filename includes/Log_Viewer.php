@@ -0,0 +1,357 @@
+<?php
+/**
+ * Log Viewer
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Log_Viewer class
+ *
+ * The Invoices → Logs page: reads Event_Log over AJAX with level, order,
+ * invoice and text filters, tails new entries, and exports the filtered
+ * entries as a redacted text file for support tickets.
+ *
+ * @since 1.0.0
+ */
+class Log_Viewer {
+
+    /**
+     * Admin page slug
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const PAGE = 'b2brouter-logs';
+
+    /**
+     * Script and style handle
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const HANDLE = 'b2brouter-logs';
+
+    /**
+     * Entries per request
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const PER_PAGE = 100;
+
+    /**
+     * Seconds between checks for new entries while tailing
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const TAIL_INTERVAL = 10;
+
+    /**
+     * Settings instance
+     *
+     * @since 1.0.0
+     * @var Settings
+     */
+    private $settings;
+
+    /**
+     * Constructor
+     *
+     * @since 1.0.0
+     * @param Settings $settings Settings instance, read for the secrets to redact
+     */
+    public function __construct(Settings $settings) {
+        $this->settings = $settings;
+
+        // After Admin::add_admin_menu(), so Logs comes last in the menu
+        add_action('admin_menu', array($this, 'add_menu_page'), 20);
+        add_action('admin_enqueue_scripts', array($this, 'enqueue_assets'));
+        add_action('wp_ajax_b2brouter_logs', array($this, 'ajax_get_entries'));
+        add_action('wp_ajax_b2brouter_logs_export', array($this, 'ajax_export'));
+    }
+
+    /**
+     * Register the Logs page under the Invoices menu
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function add_menu_page() {
+        add_submenu_page(
+            'b2brouter',
+            __('Logs', 'b2brouter-for-woocommerce'),
+            __('Logs', 'b2brouter-for-woocommerce'),
+            'manage_woocommerce',
+            self::PAGE,
+            array($this, 'render_page')
+        );
+    }
+
+    /**
+     * Values that must never leave the site in a log
+     *
+     * @since 1.0.0
+     * @return string[] API key and current and previous webhook secrets
+     */
+    private function get_secrets() {
+        return array(
+            (string) $this->settings->get_api_key(),
+            (string) $this->settings->get_webhook_secret(),
+            (string) $this->settings->get_webhook_previous_secret(),
+        );
+    }
+
+    /**
+     * Read the filters from the request
+     *
+     * @since 1.0.0
+     * @param array $input Unslashed request data
+     * @return array Filters for Event_Log::query()
+     */
+    public function get_filters(array $input) {
+        $level = isset($input['level']) ? sanitize_key($input['level']) : '';
+
+        return array(
+            'level'      => in_array($level, Event_Log::LEVELS, true) ? $level : '',
+            'order_id'   => isset($input['order_id']) ? absint(ltrim((string) $input['order_id'], '#')) : 0,
+            'invoice_id' => isset($input['invoice_id']) ? sanitize_text_field($input['invoice_id']) : '',
+            'search'     => isset($input['search']) ? sanitize_text_field($input['search']) : '',
+            'after_id'   => isset($input['after_id']) ? absint($input['after_id']) : 0,
+            'before_id'  => isset($input['before_id']) ? absint($input['before_id']) : 0,
+        );
+    }
+
+    /**
+     * Get entries for the viewer, with display dates and order links
+     *
+     * @since 1.0.0
+     * @param array $filters See Event_Log::query()
+     * @return array{entries: array[], has_more: bool}
+     */
+    public function get_entries(array $filters) {
+        $result = Event_Log::query($filters, $this->get_secrets(), self::PER_PAGE);
+        $date_format = get_option('date_format') . ' ' . get_option('time_format');
+        $order_urls = array();
+
+        foreach ($result['entries'] as &$entry) {
+            $entry['date'] = wp_date($date_format, $entry['time']);
+            $entry['order_url'] = '';
+
+            if ($entry['order_id']) {
+                if (!isset($order_urls[$entry['order_id']])) {
+                    $order_urls[$entry['order_id']] = $this->get_order_url($entry['order_id']);
+                }
+                $entry['order_url'] = $order_urls[$entry['order_id']];
+            }
+        }
+        unset($entry);
+
+        return $result;
+    }
+
+    /**
+     * Edit screen of an order, or of the parent order for a refund
+     *
+     * @since 1.0.0
+     * @param int $order_id Order or refund ID
+     * @return string URL, or '' if the order no longer exists
+     */
+    private function get_order_url($order_id) {
+        $order = wc_get_order($order_id);
+
+        if ($order && $order->get_type() === 'shop_order_refund') {
+            $order = wc_get_order($order->get_parent_id());
+        }
+
+        return $order ? $order->get_edit_order_url() : '';
+    }
+
+    /**
+     * Enqueue the viewer script and style on the Logs page
+     *
+     * @since 1.0.0
+     * @param string $hook Current admin page hook
+     * @return void
+     */
+    public function enqueue_assets($hook) {
+        if (strpos($hook, self::PAGE) === false) {
+            return;
+        }
+
+        wp_enqueue_style(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/css/logs.css',
+            array(),
+            B2BROUTER_WC_VERSION
+        );
+
+        wp_enqueue_script(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/js/logs.js',
+            array('jquery'),
+            B2BROUTER_WC_VERSION,
+            true
+        );
+
+        wp_localize_script(self::HANDLE, 'b2brouterLogs', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('b2brouter_nonce'),
+            'tail_interval' => self::TAIL_INTERVAL * 1000,
+            'levels' => array(
+                'error' => __('Error', 'b2brouter-for-woocommerce'),
+                'warning' => __('Warning', 'b2brouter-for-woocommerce'),
+                'info' => __('Info', 'b2brouter-for-woocommerce'),
+            ),
+            'strings' => array(
+                'error' => __('Could not load the log. Please try again.', 'b2brouter-for-woocommerce'),
+                'empty' => __('No log entries match these filters.', 'b2brouter-for-woocommerce'),
+                /* translators: %d: order ID */
+                'order' => __('Order #%d', 'b2brouter-for-woocommerce'),
+                'filter_invoice' => __('Show only this invoice', 'b2brouter-for-woocommerce'),
+                /* translators: %d: number of new entries */
+                'new_entries' => __('%d new entries', 'b2brouter-for-woocommerce'),
+            ),
+        ));
+    }
+
+    /**
+     * Render the Logs page
+     *
+     * The filter bar is also the export form, so the export always matches
+     * what is on screen.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function render_page() {
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(esc_html__('You do not have sufficient permissions to access this page.', 'b2brouter-for-woocommerce'));
+        }
+        ?>
+        <div class="wrap b2brouter-logs">
+            <h1><?php esc_html_e('Logs', 'b2brouter-for-woocommerce'); ?></h1>
+            <p class="description">
+                <?php
+                printf(
+                    /* translators: %d: number of entries kept */
+                    esc_html__('The last %d warnings, errors and notices from invoicing, PDF downloads, status sync and webhooks. API keys and secrets are hidden.', 'b2brouter-for-woocommerce'),
+                    (int) Event_Log::MAX_ENTRIES
+                );
+                ?>
+            </p>
+
+            <form class="b2brouter-logs-filters" method="post" action="<?php echo esc_url(admin_url('admin-ajax.php')); ?>">
+                <input type="hidden" name="action" value="b2brouter_logs_export" />
+                <input type="hidden" name="nonce" value="<?php echo esc_attr(wp_create_nonce('b2brouter_nonce')); ?>" />
+
+                <label for="b2brouter_logs_level" class="screen-reader-text"><?php esc_html_e('Filter by level', 'b2brouter-for-woocommerce'); ?></label>
+                <select id="b2brouter_logs_level" name="level">
+                    <option value=""><?php esc_html_e('All levels', 'b2brouter-for-woocommerce'); ?></option>
+                    <option value="error"><?php esc_html_e('Errors', 'b2brouter-for-woocommerce'); ?></option>
+                    <option value="warning"><?php esc_html_e('Warnings', 'b2brouter-for-woocommerce'); ?></option>
+                    <option value="info"><?php esc_html_e('Info', 'b2brouter-for-woocommerce'); ?></option>
+                </select>
+
+                <label for="b2brouter_logs_order" class="screen-reader-text"><?php esc_html_e('Filter by order ID', 'b2brouter-for-woocommerce'); ?></label>
+                <input type="search" id="b2brouter_logs_order" name="order_id" class="small-text" placeholder="<?php esc_attr_e('Order ID', 'b2brouter-for-woocommerce'); ?>" />
+
+                <label for="b2brouter_logs_invoice" class="screen-reader-text"><?php esc_html_e('Filter by invoice ID', 'b2brouter-for-woocommerce'); ?></label>
+                <input type="search" id="b2brouter_logs_invoice" name="invoice_id" class="small-text" placeholder="<?php esc_attr_e('Invoice ID', 'b2brouter-for-woocommerce'); ?>" />
+
+                <label for="b2brouter_logs_search" class="screen-reader-text"><?php esc_html_e('Search messages', 'b2brouter-for-woocommerce'); ?></label>
+                <input type="search" id="b2brouter_logs_search" name="search" placeholder="<?php esc_attr_e('Search messages', 'b2brouter-for-woocommerce'); ?>" />
+
+                <label class="b2brouter-logs-tail">
+                    <input type="checkbox" id="b2brouter_logs_tail" checked />
+                    <?php esc_html_e('Show new entries as they arrive', 'b2brouter-for-woocommerce'); ?>
+                </label>
+
+                <button type="submit" class="button b2brouter-logs-export">
+                    <?php esc_html_e('Export redacted log', 'b2brouter-for-woocommerce'); ?>
+                </button>
+            </form>
+
+            <p class="b2brouter-logs-status" role="status" aria-live="polite"></p>
+
+            <table class="widefat striped b2brouter-logs-table">
+                <thead>
+                    <tr>
+                        <th scope="col" class="column-date"><?php esc_html_e('Date', 'b2brouter-for-woocommerce'); ?></th>
+                        <th scope="col" class="column-level"><?php esc_html_e('Level', 'b2brouter-for-woocommerce'); ?></th>
+                        <th scope="col" class="column-order"><?php esc_html_e('Order', 'b2brouter-for-woocommerce'); ?></th>
+                        <th scope="col" class="column-invoice"><?php esc_html_e('Invoice ID', 'b2brouter-for-woocommerce'); ?></th>
+                        <th scope="col"><?php esc_html_e('Message', 'b2brouter-for-woocommerce'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr><td colspan="5"><?php esc_html_e('Loading...', 'b2brouter-for-woocommerce'); ?></td></tr>
+                </tbody>
+            </table>
+
+            <p class="b2brouter-logs-more" hidden>
+                <button type="button" class="button"><?php esc_html_e('Load older entries', 'b2brouter-for-woocommerce'); ?></button>
+            </p>
+        </div>
+        <?php
+    }
+
+    /**
+     * AJAX: Get log entries matching the filters
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_get_entries() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        wp_send_json_success($this->get_entries($this->get_filters(wp_unslash($_POST))));
+    }
+
+    /**
+     * AJAX: Download the entries matching the filters as a redacted text file
+     *
+     * @since 1.0.0
+     * @return void Outputs the file and exits
+     */
+    public function ajax_export() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(
+                esc_html__('You do not have sufficient permissions to access this page.', 'b2brouter-for-woocommerce'),
+                esc_html__('Permission Denied', 'b2brouter-for-woocommerce'),
+                array('response' => 403)
+            );
+        }
+
+        $data = Event_Log::export($this->get_filters(wp_unslash($_POST)), $this->get_secrets());
+
+        if (ob_get_level()) {
+            ob_end_clean();
+        }
+
+        header('Content-Type: text/plain; charset=utf-8');
+        header('Content-Length: ' . strlen($data));
+        header('Content-Disposition: attachment; filename="b2brouter-log-' . wp_date('Y-m-d') . '.txt"');
+        header('Cache-Control: private, max-age=0, must-revalidate');
+        header('Pragma: public');
+        header('Expires: 0');
+
+        // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- plain-text download, not HTML; Content-Type header set above.
+        echo $data;
+        exit;
+    }
+}
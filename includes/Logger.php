@@ -62,7 +62,10 @@ class Logger {
     }
 
     /**
-     * Dispatch to wc_get_logger(). No-ops if WooCommerce hasn't loaded.
+     * Dispatch to wc_get_logger(), which no-ops if WooCommerce hasn't loaded.
+     *
+     * Every entry is also kept in Event_Log for the Logs page; pass
+     * 'order_id' and/or 'invoice_id' in the context to make it filterable.
      *
      * @since 0.9.4
      * @param string $level   PSR-3 level ('error', 'warning', 'info', ...)
@@ -71,6 +74,8 @@ class Logger {
      * @return void
      */
     private static function log($level, $message, array $context) {
+        Event_Log::record($level, $message, $context);
+
         if (!function_exists('wc_get_logger')) {
             return;
         }
@@ -111,8 +111,12 @@ class Order_Handler {
             return;
         }
 
-        // Generate invoice
-        $this->invoice_generator->generate_invoice($order_id);
+        // Generate invoice; nobody is watching, so a failure goes to the retry queue
+        $result = $this->invoice_generator->generate_invoice($order_id);
+
+        if (empty($result['success'])) {
+            Retry_Queue::add($order_id, isset($result['message']) ? $result['message'] : '');
+        }
     }
 
     /**
@@ -180,8 +184,64 @@ class Order_Handler {
             $parent_has_invoice = $parent_order ? $this->invoice_generator->has_invoice($parent_id) : false;
         }
 
+        // Non-final statuses tell admin.js to keep polling for updates
+        $status_final = in_array(strtolower((string) $order->get_meta('_b2brouter_invoice_status')), Status_Sync::FINAL_STATES, true);
+
+        // A customer's pending request to correct the issued invoice
+        $correction_request = !$is_refund && Correction_Request::is_pending($order) ? Correction_Request::get($order) : null;
+
         ?>
-        <div class="b2brouter-invoice-meta-box">
+        <div class="b2brouter-invoice-meta-box"
+             data-order-id="<?php echo esc_attr($order_id); ?>"
+             <?php if ($has_invoice): ?>data-status-final="<?php echo $status_final ? '1' : '0'; ?>"<?php endif; ?>>
+            <?php if ($correction_request): ?>
+                <div class="notice notice-warning inline b2brouter-correction-request" style="margin: 0 0 12px; padding: 8px 12px;">
+                    <p style="margin: 0 0 5px;">
+                        <strong><?php esc_html_e('Correction requested', 'b2brouter-for-woocommerce'); ?></strong>
+                        <br>
+                        <small style="color: #666;">
+                            <?php
+                            printf(
+                                /* translators: 1: formatted invoice number, 2: human-readable time since the request (e.g. "3 hours") */
+                                esc_html__('Invoice %1$s, %2$s ago', 'b2brouter-for-woocommerce'),
+                                esc_html($correction_request['invoice_number']),
+                                esc_html(human_time_diff($correction_request['requested_at'], time()))
+                            );
+                            ?>
+                        </small>
+                    </p>
+                    <p style="margin: 0 0 5px;"><?php echo nl2br(esc_html($correction_request['message'])); ?></p>
+                    <ul style="margin: 0 0 8px; font-size: 11px;">
+                        <?php foreach (Customer::describe_billing_changes($correction_request['current'], $correction_request['proposed']) as $change): ?>
+                            <li><?php echo esc_html($change); ?></li>
+                        <?php endforeach; ?>
+                    </ul>
+                    <p style="margin: 0 0 5px;">
+                        <label class="screen-reader-text" for="b2brouter_correction_response_<?php echo esc_attr($order_id); ?>">
+                            <?php esc_html_e('Reason for declining', 'b2brouter-for-woocommerce'); ?>
+                        </label>
+                        <textarea id="b2brouter_correction_response_<?php echo esc_attr($order_id); ?>"
+                                  class="widefat b2brouter-correction-response"
+                                  rows="2"
+                                  placeholder="<?php esc_attr_e('Reason for declining (sent to the customer)', 'b2brouter-for-woocommerce'); ?>"></textarea>
+                    </p>
+                    <p style="margin: 0;">
+                        <button type="button"
+                                class="button button-primary button-small b2brouter-resolve-correction"
+                                data-order-id="<?php echo esc_attr($order_id); ?>"
+                                data-decision="approve">
+                            <?php esc_html_e('Approve and reissue', 'b2brouter-for-woocommerce'); ?>
+                        </button>
+                        <button type="button"
+                                class="button button-small b2brouter-resolve-correction"
+                                data-order-id="<?php echo esc_attr($order_id); ?>"
+                                data-decision="reject">
+                            <?php esc_html_e('Decline', 'b2brouter-for-woocommerce'); ?>
+                        </button>
+                    </p>
+                </div>
+            <?php endif; ?>
+
             <?php if ($is_refund && $parent_order): ?>
                 <!-- Parent Order Invoice Info -->
                 <p>
@@ -300,6 +360,21 @@ class Order_Handler {
 
                 <?php endif; ?>
 
+                <p>
+                    <button type="button"
+                            class="button button-small b2brouter-refresh-status"
+                            data-order-id="<?php echo esc_attr($order_id); ?>">
+                        <span class="dashicons dashicons-update"></span>
+                        <?php esc_html_e('Refresh status', 'b2brouter-for-woocommerce'); ?>
+                    </button>
+                    <button type="button"
+                            class="button button-small b2brouter-preview-invoice-data"
+                            data-order-id="<?php echo esc_attr($order_id); ?>">
+                        <span class="dashicons dashicons-visibility"></span>
+                        <?php esc_html_e('Preview invoice data', 'b2brouter-for-woocommerce'); ?>
+                    </button>
+                </p>
+
                 <!-- PDF Download Section -->
                 <hr style="margin: 15px 0;">
                 <p>
@@ -388,6 +463,14 @@ class Order_Handler {
                         }
                         ?>
                     </p>
+                    <p>
+                        <button type="button"
+                                class="button button-small b2brouter-preview-invoice-data"
+                                data-order-id="<?php echo esc_attr($order_id); ?>">
+                            <span class="dashicons dashicons-visibility"></span>
+                            <?php esc_html_e('Preview invoice data', 'b2brouter-for-woocommerce'); ?>
+                        </button>
+                    </p>
                 <?php endif; ?>
             <?php endif; ?>
 
@@ -449,6 +532,27 @@ class Order_Handler {
                         <?php
                     }
                 }
+
+                // Invoices cancelled and reissued at the customer's request
+                $corrective_invoices = Invoice_Generator::get_corrective_invoices($order);
+                if (!empty($corrective_invoices)) {
+                    ?>
+                    <hr style="margin: 15px 0;">
+                    <h4 style="margin-top: 0;"><?php esc_html_e('Corrected Invoices', 'b2brouter-for-woocommerce'); ?></h4>
+                    <?php foreach ($corrective_invoices as $corrective_invoice): ?>
+                        <p class="description" style="font-size: 11px;">
+                            <?php
+                            printf(
+                                /* translators: 1: formatted number of the cancelled invoice, 2: formatted number of the cancelling document */
+                                esc_html__('%1$s, cancelled by %2$s', 'b2brouter-for-woocommerce'),
+                                esc_html($corrective_invoice['amended_number']),
+                                esc_html(Invoice_Generator::format_invoice_number($corrective_invoice['number'], $corrective_invoice['series_code']))
+                            );
+                            ?>
+                        </p>
+                    <?php endforeach; ?>
+                    <?php
+                }
             }
             ?>
 
@@ -477,6 +581,22 @@ class Order_Handler {
         <?php
     }
 
+    /**
+     * Get invoice meta box markup
+     *
+     * Used by Admin::ajax_generate_invoice() so admin.js can swap the
+     * meta box contents without reloading the order screen.
+     *
+     * @since 1.0.0
+     * @param \WC_Order|\WC_Order_Refund $order Order object
+     * @return string Meta box HTML
+     */
+    public function get_invoice_meta_box_html($order) {
+        ob_start();
+        $this->render_invoice_meta_box($order);
+        return ob_get_clean();
+    }
+
     /**
      * Add invoice column to orders list
      *
@@ -517,41 +637,7 @@ class Order_Handler {
             return;
         }
 
-        $invoice_id = $order->get_meta('_b2brouter_invoice_id');
-
-        if (empty($invoice_id)) {
-            echo '<span style="color: #999;">—</span>';
-            return;
-        }
-
-        // Get status from meta
-        $status = $order->get_meta('_b2brouter_invoice_status');
-
-        if (empty($status)) {
-            $status = 'pending'; // Status not yet fetched
-        }
-
-        // Display status badge with color
-        $status_colors = array(
-            'pending' => '#999',
-            'draft' => '#999',
-            'sent' => '#00a32a',
-            'accepted' => '#00a32a',
-            'registered' => '#00a32a',
-            'paid' => '#00a32a',
-            'error' => '#d63638',
-            'cancelled' => '#dba617',
-            'closed' => '#999'
-        );
-
-        $color = isset($status_colors[$status]) ? $status_colors[$status] : '#2271b1';
-
-        printf(
-            '<span style="color: %s; font-weight: 500;" title="%s">%s</span>',
-            esc_attr($color),
-            esc_attr(ucfirst($status)),
-            esc_html(ucfirst($status))
-        );
+        echo wp_kses_post($this->get_invoice_column_html($order));
     }
 
     /**
@@ -571,11 +657,24 @@ class Order_Handler {
             return;
         }
 
+        echo wp_kses_post($this->get_invoice_column_html($order));
+    }
+
+    /**
+     * Get invoice column cell content
+     *
+     * Shared by the legacy and HPOS orders lists, and returned by
+     * Admin::ajax_generate_invoice() so admin.js can refresh the cell in place.
+     *
+     * @since 1.0.0
+     * @param \WC_Order $order Order object
+     * @return string Cell HTML
+     */
+    public function get_invoice_column_html($order) {
         $invoice_id = $order->get_meta('_b2brouter_invoice_id');
 
         if (empty($invoice_id)) {
-            echo '<span style="color: #999;">—</span>';
-            return;
+            return '<span style="color: #999;">—</span>';
         }
 
         // Get status from meta
@@ -600,7 +699,7 @@ class Order_Handler {
 
         $color = isset($status_colors[$status]) ? $status_colors[$status] : '#2271b1';
 
-        printf(
+        return sprintf(
             '<span style="color: %s; font-weight: 500;" title="%s">%s</span>',
             esc_attr($color),
             esc_attr(ucfirst($status)),
@@ -634,7 +733,7 @@ class Order_Handler {
             return $redirect_to;
         }
 
-        $queued_count = 0;
+        $queued_ids = array();
         $skipped_count = 0;
 
         foreach ($post_ids as $post_id) {
@@ -657,23 +756,18 @@ class Order_Handler {
                 continue;
             }
 
-            $args = array('order_id' => (int) $post_id);
-
-            // Dedupe: if an action for this order is already pending (e.g. the
-            // merchant re-submitted the bulk form before the queue drained),
-            // don't enqueue a second copy. Still count it as queued so the
-            // notice reflects that the work is in flight.
-            if (as_has_scheduled_action('b2brouter_bulk_generate_invoice', $args, 'b2brouter')) {
-                $queued_count++;
-                continue;
-            }
+            // Orders already pending in the queue are not enqueued twice but
+            // still join the batch so the progress panel reflects the work in flight.
+            Bulk_Generation::enqueue($post_id);
+            $queued_ids[] = (int) $post_id;
+        }
 
-            as_enqueue_async_action('b2brouter_bulk_generate_invoice', $args, 'b2brouter');
-            $queued_count++;
+        if (!empty($queued_ids)) {
+            Bulk_Generation::create_batch($queued_ids, get_current_user_id());
         }
 
         $redirect_to = add_query_arg(array(
-            'b2brouter_bulk_queued' => $queued_count,
+            'b2brouter_bulk_queued' => count($queued_ids),
             'b2brouter_bulk_skipped' => $skipped_count,
         ), $redirect_to);
 
@@ -690,10 +784,17 @@ class Order_Handler {
     public function process_queued_invoice($order_id) {
         $result = $this->invoice_generator->generate_invoice((int) $order_id);
         if (empty($result['success'])) {
-            throw new \RuntimeException(
-                esc_html(isset($result['message']) ? $result['message'] : 'Invoice generation failed')
-            );
+            $message = isset($result['message']) ? $result['message'] : 'Invoice generation failed';
+
+            // Keep the reason for the orders screen progress panel; Action
+            // Scheduler only shows it in its own log.
+            Bulk_Generation::record_failure($order_id, $message);
+            Retry_Queue::add($order_id, $message);
+
+            throw new \RuntimeException(esc_html($message));
         }
+
+        Bulk_Generation::clear_failure($order_id);
     }
 
     /**
@@ -703,6 +804,8 @@ class Order_Handler {
      * @return void
      */
     public function bulk_action_notices() {
+        $panel_rendered = $this->render_bulk_generation_panel();
+
         // Read-only notice display from query params set after the bulk-action redirect.
         // The bulk action itself is gated by WordPress's bulk-action nonce in handle_bulk_action().
         // phpcs:ignore WordPress.Security.NonceVerification.Recommended
@@ -715,7 +818,8 @@ class Order_Handler {
         // phpcs:ignore WordPress.Security.NonceVerification.Recommended
         $skipped_count = isset($_GET['b2brouter_bulk_skipped']) ? intval(wp_unslash($_GET['b2brouter_bulk_skipped'])) : 0;
 
-        if ($queued_count > 0) {
+        // The progress panel already covers queued orders and links to Scheduled Actions.
+        if ($queued_count > 0 && !$panel_rendered) {
             // Deep link to the Action Scheduler UI, filtered to our hook so
             // merchants can watch progress and inspect per-action logs. AS does
             // not honor a ?group= filter param; the `s` (search) param is what
@@ -753,6 +857,50 @@ class Order_Handler {
         }
     }
 
+    /**
+     * Render the bulk generation progress panel on the orders screens
+     *
+     * The panel stays until the merchant dismisses it, so progress can be
+     * followed across page loads while the queue drains. admin.js fills in
+     * the per-order results by polling Bulk_Generation.
+     *
+     * @since 1.0.0
+     * @return bool True if the panel was rendered
+     */
+    private function render_bulk_generation_panel() {
+        $screen = function_exists('get_current_screen') ? get_current_screen() : null;
+
+        if (!$screen || !in_array($screen->id, array('edit-shop_order', 'woocommerce_page_wc-orders'), true)) {
+            return false;
+        }
+
+        $batch_id = Bulk_Generation::get_active_batch_id(get_current_user_id());
+
+        if ($batch_id === '') {
+            return false;
+        }
+
+        $scheduled_actions_url = admin_url('admin.php?page=wc-status&tab=action-scheduler&s=b2brouter_bulk_generate_invoice');
+        ?>
+        <div id="b2brouter-bulk-generate" class="notice notice-info b2brouter-bulk-generate" data-batch-id="<?php echo esc_attr($batch_id); ?>">
+            <button type="button" class="notice-dismiss b2brouter-bulk-generate-dismiss">
+                <span class="screen-reader-text"><?php esc_html_e('Dismiss this notice.', 'b2brouter-for-woocommerce'); ?></span>
+            </button>
+            <p class="b2brouter-bulk-generate-message"><?php esc_html_e('Generating invoices in the background...', 'b2brouter-for-woocommerce'); ?></p>
+            <div class="b2brouter-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                <div class="b2brouter-progress-bar"></div>
+            </div>
+            <ul class="b2brouter-bulk-generate-results" hidden></ul>
+            <p class="b2brouter-bulk-generate-actions">
+                <button type="button" class="button b2brouter-bulk-generate-retry" hidden><?php esc_html_e('Retry failed', 'b2brouter-for-woocommerce'); ?></button>
+                <a href="<?php echo esc_url($scheduled_actions_url); ?>"><?php esc_html_e('View Scheduled Actions', 'b2brouter-for-woocommerce'); ?></a>
+            </p>
+        </div>
+        <?php
+
+        return true;
+    }
+
     /**
      * Attach PDF to WooCommerce emails
      *
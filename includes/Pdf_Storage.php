@@ -0,0 +1,857 @@
+<?php
+/**
+ * PDF Storage Management
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Pdf_Storage class
+ *
+ * Backs the storage panel under the PDF options of the settings page. A scan
+ * reads every order that points at a cached PDF and compares the references
+ * with the files on disk, which finds orphan files (no order points at them)
+ * and orders whose file is gone. The panel then deletes files, re-downloads
+ * PDFs or clears stale references from the browser. Like Invoice_Export, each
+ * of these is a job kept in a transient and advanced one chunk per request,
+ * so large stores do not hit the request time limit.
+ *
+ * A daily snapshot of the cache size, taken after the scheduled cleanup, is
+ * kept so the panel can chart how the cache grows.
+ *
+ * @since 1.0.0
+ */
+class Pdf_Storage {
+
+    /**
+     * Script and style handle
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const HANDLE = 'b2brouter-pdf-storage';
+
+    /**
+     * Transient prefix for job state
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const TRANSIENT_PREFIX = 'b2brouter_pdf_storage_';
+
+    /**
+     * Option holding the daily size snapshots
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const OPTION_HISTORY = 'b2brouter_pdf_storage_history';
+
+    /**
+     * Number of daily snapshots kept
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const HISTORY_DAYS = 30;
+
+    /**
+     * Orders read, files deleted or references cleared per request
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const CHUNK_SIZE = 100;
+
+    /**
+     * PDFs re-downloaded from B2Brouter per request
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const DOWNLOAD_CHUNK_SIZE = 5;
+
+    /**
+     * Rows of each list sent to the browser; counts and sizes cover all of them
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const LIST_LIMIT = 50;
+
+    /**
+     * Actions that run on the result of a scan
+     *
+     * @since 1.0.0
+     * @var string[]
+     */
+    const ACTIONS = array('cleanup', 'delete_orphans', 'redownload', 'forget_missing');
+
+    /**
+     * Settings instance
+     *
+     * @since 1.0.0
+     * @var Settings
+     */
+    private $settings;
+
+    /**
+     * Invoice Generator instance
+     *
+     * @since 1.0.0
+     * @var Invoice_Generator
+     */
+    private $invoice_generator;
+
+    /**
+     * Constructor
+     *
+     * @since 1.0.0
+     * @param Settings $settings Settings instance
+     * @param Invoice_Generator $invoice_generator Invoice generator instance, used to re-download PDFs and clear references
+     */
+    public function __construct(Settings $settings, Invoice_Generator $invoice_generator) {
+        $this->settings = $settings;
+        $this->invoice_generator = $invoice_generator;
+
+        add_action('admin_enqueue_scripts', array($this, 'enqueue_assets'));
+        add_action('wp_ajax_b2brouter_pdf_storage_start', array($this, 'ajax_start'));
+        add_action('wp_ajax_b2brouter_pdf_storage_process', array($this, 'ajax_process'));
+        add_action('wp_ajax_b2brouter_pdf_storage_preview', array($this, 'ajax_preview'));
+
+        // After Order_Handler::run_scheduled_cleanup(), so the snapshot reflects it
+        add_action('b2brouter_cleanup_old_pdfs', array($this, 'record_snapshot'), 20);
+    }
+
+    /**
+     * List the cached PDF files
+     *
+     * @since 1.0.0
+     * @return array|null File name => array{size: int, modified: int}, or null if the directory cannot be read
+     */
+    public function list_files() {
+        $storage_path = $this->settings->get_pdf_storage_path();
+
+        if (!file_exists($storage_path)) {
+            return null;
+        }
+
+        if (!function_exists('WP_Filesystem')) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+
+        global $wp_filesystem;
+
+        if (!WP_Filesystem()) {
+            return null;
+        }
+
+        $entries = $wp_filesystem->dirlist($storage_path);
+        $files = array();
+
+        foreach ((array) $entries as $entry) {
+            if ($entry['type'] !== 'f' || substr($entry['name'], -4) !== '.pdf') {
+                continue;
+            }
+
+            $files[$entry['name']] = array(
+                'size'     => (int) $entry['size'],
+                'modified' => (int) $entry['lastmodunix'],
+            );
+        }
+
+        return $files;
+    }
+
+    /**
+     * Store today's file count and cache size, replacing an earlier snapshot of the same day
+     *
+     * @since 1.0.0
+     * @param array|null $files Listing from list_files(), read again when omitted (do_action() passes '')
+     * @return void
+     */
+    public function record_snapshot($files = null) {
+        if (!is_array($files)) {
+            $files = $this->list_files();
+        }
+
+        if ($files === null) {
+            return;
+        }
+
+        $history = $this->get_history();
+        $history[wp_date('Y-m-d')] = array(
+            'count' => count($files),
+            'size'  => array_sum(array_column($files, 'size')),
+        );
+
+        ksort($history);
+
+        update_option(self::OPTION_HISTORY, array_slice($history, -self::HISTORY_DAYS, null, true), false);
+    }
+
+    /**
+     * Get the stored snapshots
+     *
+     * @since 1.0.0
+     * @return array Date (Y-m-d) => array{count: int, size: int}, oldest first
+     */
+    public function get_history() {
+        $history = get_option(self::OPTION_HISTORY, array());
+
+        return is_array($history) ? $history : array();
+    }
+
+    /**
+     * Get the snapshots as chart bars
+     *
+     * @since 1.0.0
+     * @return array[] List of array{date: string, label: string, count: int, size: int, size_label: string}, oldest first
+     */
+    public function get_history_for_chart() {
+        $bars = array();
+
+        foreach ($this->get_history() as $date => $snapshot) {
+            $bars[] = array(
+                'date'       => $date,
+                'label'      => wp_date('M j', strtotime($date . ' 12:00:00')),
+                'count'      => (int) $snapshot['count'],
+                'size'       => (int) $snapshot['size'],
+                'size_label' => size_format((int) $snapshot['size'], 1),
+            );
+        }
+
+        return $bars;
+    }
+
+    /**
+     * Create a scan job over every order or refund that points at a cached PDF
+     *
+     * @since 1.0.0
+     * @param int $user_id User who owns the job
+     * @return string Job ID
+     */
+    public function create_scan_job($user_id) {
+        $files = $this->list_files();
+
+        $order_ids = wc_get_orders(array(
+            'limit'      => -1,
+            'return'     => 'ids',
+            'status'     => 'any',
+            'type'       => array('shop_order', 'shop_order_refund'),
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- admin-triggered scan, read in chunks afterwards.
+            'meta_query' => array(
+                array(
+                    'key'     => '_b2brouter_invoice_pdf_path',
+                    'compare' => 'EXISTS',
+                ),
+            ),
+        ));
+
+        $this->record_snapshot($files);
+
+        return $this->save_new_job(array(
+            'user_id'    => (int) $user_id,
+            'type'       => 'scan',
+            'items'      => array_values(array_map('intval', (array) $order_ids)),
+            'files'      => $files === null ? array() : $files,
+            'referenced' => array(),
+            'missing'    => array(),
+        ));
+    }
+
+    /**
+     * Create a job acting on the result of a finished scan
+     *
+     * The files and orders come from the scan, never from the request, so
+     * the job only touches what the panel previewed.
+     *
+     * @since 1.0.0
+     * @param string $scan_job_id ID of a finished scan job
+     * @param string $action One of self::ACTIONS
+     * @param int $days Age in days beyond which 'cleanup' deletes a file
+     * @param int $user_id User who owns both jobs
+     * @return string|null Job ID, or null when the scan is missing or unfinished or the action unknown
+     */
+    public function create_action_job($scan_job_id, $action, $days, $user_id) {
+        $scan = self::get_job($scan_job_id, $user_id);
+
+        if (!$scan || $scan['type'] !== 'scan' || $scan['position'] < count($scan['items']) || !in_array($action, self::ACTIONS, true)) {
+            return null;
+        }
+
+        switch ($action) {
+            case 'cleanup':
+                $items = array_keys($this->get_old_files($scan['files'], $days, time()));
+                break;
+
+            case 'delete_orphans':
+                $items = array_keys($this->get_orphan_files($scan));
+                break;
+
+            case 'redownload':
+                $items = array_values(array_unique(array_column($scan['missing'], 'order_id')));
+                break;
+
+            default:
+                $items = array_values(array_unique(array_column($scan['missing'], 'path')));
+        }
+
+        return $this->save_new_job(array(
+            'user_id'  => (int) $user_id,
+            'type'     => $action,
+            'items'    => $items,
+            'done'     => 0,
+            'failures' => array(),
+        ));
+    }
+
+    /**
+     * Store a new job under a fresh ID
+     *
+     * @since 1.0.0
+     * @param array $job Job data without progress fields
+     * @return string Job ID
+     */
+    private function save_new_job(array $job) {
+        $job['position'] = 0;
+        $job['created'] = time();
+
+        return Job_Store::create(self::TRANSIENT_PREFIX, $job);
+    }
+
+    /**
+     * Get a job, only if it belongs to the given user
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param int $user_id Requesting user ID
+     * @return array|null Job data or null if missing or owned by someone else
+     */
+    public static function get_job($job_id, $user_id) {
+        return Job_Store::get(self::TRANSIENT_PREFIX, $job_id, $user_id);
+    }
+
+    /**
+     * Advance a job by one chunk
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param int $user_id Requesting user ID
+     * @param int $days Age in days used for the cleanup preview of a finished scan
+     * @return array{success: bool, message?: string} Merged with get_summary() on success
+     */
+    public function process_chunk($job_id, $user_id, $days) {
+        $job = self::get_job($job_id, $user_id);
+
+        if (!$job) {
+            return array(
+                'success' => false,
+                'message' => __('This storage task has expired. Please scan again.', 'b2brouter-for-woocommerce'),
+            );
+        }
+
+        $total = count($job['items']);
+
+        if ($job['position'] < $total) {
+            $size = $job['type'] === 'redownload' ? self::DOWNLOAD_CHUNK_SIZE : self::CHUNK_SIZE;
+
+            foreach (array_slice($job['items'], $job['position'], $size) as $item) {
+                if ($job['type'] === 'scan') {
+                    $this->scan_order($item, $job);
+                } else {
+                    $this->run_action($item, $job);
+                }
+
+                $job['position']++;
+            }
+
+            Job_Store::save(self::TRANSIENT_PREFIX, $job_id, $job);
+
+            // Scans record theirs when created; these change the cache size
+            if ($job['position'] >= $total && in_array($job['type'], array('cleanup', 'delete_orphans', 'redownload'), true)) {
+                $this->record_snapshot();
+            }
+        }
+
+        return array_merge(array('success' => true), $this->get_summary($job_id, $job, $days));
+    }
+
+    /**
+     * Record where one order's PDF reference points
+     *
+     * @since 1.0.0
+     * @param int $order_id Order or refund ID
+     * @param array $job Scan job; references and missing files are added in place
+     * @return void
+     */
+    private function scan_order($order_id, array &$job) {
+        $order = wc_get_order($order_id);
+
+        if (!$order) {
+            return;
+        }
+
+        $path = (string) $order->get_meta('_b2brouter_invoice_pdf_path');
+
+        if ($path === '') {
+            return;
+        }
+
+        if (file_exists($path)) {
+            $job['referenced'][] = $path;
+            return;
+        }
+
+        // Refunds have no edit screen of their own
+        $edit_order = $order->get_type() === 'shop_order_refund' ? wc_get_order($order->get_parent_id()) : $order;
+
+        $job['missing'][] = array(
+            'order_id'     => (int) $order_id,
+            'order_number' => $edit_order ? $edit_order->get_order_number() : (string) $order_id,
+            'is_refund'    => $order->get_type() === 'shop_order_refund',
+            'file'         => basename($path),
+            'path'         => $path,
+            'edit_url'     => $edit_order ? $edit_order->get_edit_order_url() : '',
+        );
+    }
+
+    /**
+     * Run an action on one file, order or reference
+     *
+     * @since 1.0.0
+     * @param string|int $item File name, order ID or stale PDF path, depending on the job type
+     * @param array $job Action job; counters and failures are updated in place
+     * @return void
+     */
+    private function run_action($item, array &$job) {
+        if ($job['type'] === 'redownload') {
+            $result = $this->invoice_generator->save_invoice_pdf((int) $item, true);
+
+            if ($result['success']) {
+                $job['done']++;
+            } else {
+                $job['failures'][] = array(
+                    /* translators: %d: order or refund ID */
+                    'label'   => sprintf(__('Order #%d', 'b2brouter-for-woocommerce'), (int) $item),
+                    'message' => $result['message'],
+                );
+            }
+            return;
+        }
+
+        if ($job['type'] === 'forget_missing') {
+            $this->invoice_generator->cleanup_order_metadata_for_file($item);
+            $job['done']++;
+            return;
+        }
+
+        if (!function_exists('WP_Filesystem')) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+
+        global $wp_filesystem;
+
+        if (!WP_Filesystem()) {
+            $job['failures'][] = array(
+                'label'   => $item,
+                'message' => __('WordPress Filesystem API is not available.', 'b2brouter-for-woocommerce'),
+            );
+            return;
+        }
+
+        $path = $this->settings->get_pdf_storage_path() . '/' . basename($item);
+
+        // Already gone, e.g. removed by the scheduled cleanup since the scan
+        if (!file_exists($path)) {
+            $job['done']++;
+            return;
+        }
+
+        if (!$wp_filesystem->delete($path)) {
+            Logger::warning('B2Brouter Storage: Failed to delete ' . $path);
+            $job['failures'][] = array(
+                'label'   => $item,
+                'message' => __('The file could not be deleted.', 'b2brouter-for-woocommerce'),
+            );
+            return;
+        }
+
+        $this->invoice_generator->cleanup_order_metadata_for_file($path);
+        $job['done']++;
+    }
+
+    /**
+     * Files no scanned order points at
+     *
+     * @since 1.0.0
+     * @param array $scan Scan job
+     * @return array File name => array{size: int, modified: int}
+     */
+    private function get_orphan_files(array $scan) {
+        $storage_path = $this->settings->get_pdf_storage_path();
+        $referenced = array_flip($scan['referenced']);
+        $orphans = array();
+
+        foreach ($scan['files'] as $name => $file) {
+            if (!isset($referenced[$storage_path . '/' . $name])) {
+                $orphans[$name] = $file;
+            }
+        }
+
+        return $orphans;
+    }
+
+    /**
+     * Files a cleanup with the given age would delete
+     *
+     * @since 1.0.0
+     * @param array $files File name => array{size: int, modified: int}
+     * @param int $days Delete files older than this many days
+     * @param int $now Current time (injected for testability)
+     * @return array File name => array{size: int, modified: int}
+     */
+    private function get_old_files(array $files, $days, $now) {
+        $cutoff_time = $now - max(1, (int) $days) * DAY_IN_SECONDS;
+
+        return array_filter($files, function($file) use ($cutoff_time) {
+            return $file['modified'] && $file['modified'] < $cutoff_time;
+        });
+    }
+
+    /**
+     * Preview what a cleanup of a finished scan would delete
+     *
+     * @since 1.0.0
+     * @param string $scan_job_id Scan job ID
+     * @param int $days Delete files older than this many days
+     * @param int $user_id Requesting user ID
+     * @return array|null See describe_files(), plus 'days'; null when the scan is missing
+     */
+    public function get_cleanup_preview($scan_job_id, $days, $user_id) {
+        $scan = self::get_job($scan_job_id, $user_id);
+
+        if (!$scan || $scan['type'] !== 'scan') {
+            return null;
+        }
+
+        return array_merge(
+            array('days' => max(1, (int) $days)),
+            $this->describe_files($this->get_old_files($scan['files'], $days, time()))
+        );
+    }
+
+    /**
+     * Summarise a set of files for the panel, oldest first
+     *
+     * @since 1.0.0
+     * @param array $files File name => array{size: int, modified: int}
+     * @return array{count: int, size: int, size_label: string, files: array[]}
+     */
+    private function describe_files(array $files) {
+        uasort($files, function($a, $b) {
+            return $a['modified'] - $b['modified'];
+        });
+
+        $size = array_sum(array_column($files, 'size'));
+        $rows = array();
+
+        foreach (array_slice($files, 0, self::LIST_LIMIT, true) as $name => $file) {
+            $rows[] = array(
+                'name'       => $name,
+                'size_label' => size_format($file['size'], 1),
+                'modified'   => $file['modified'] ? wp_date(get_option('date_format'), $file['modified']) : '',
+            );
+        }
+
+        return array(
+            'count'      => count($files),
+            'size'       => $size,
+            'size_label' => size_format($size, 1),
+            'files'      => $rows,
+        );
+    }
+
+    /**
+     * Build the progress summary sent to the panel
+     *
+     * @since 1.0.0
+     * @param string $job_id Job ID
+     * @param array $job Job data
+     * @param int $days Age in days used for the cleanup preview of a finished scan
+     * @return array{job_id: string, type: string, total: int, processed: int, complete: bool}
+     */
+    public function get_summary($job_id, array $job, $days) {
+        $total = count($job['items']);
+
+        $summary = array(
+            'job_id'    => $job_id,
+            'type'      => $job['type'],
+            'total'     => $total,
+            'processed' => min($job['position'], $total),
+            'complete'  => $job['position'] >= $total,
+        );
+
+        if ($job['type'] !== 'scan') {
+            $summary['done'] = $job['done'];
+            $summary['failures'] = $job['failures'];
+            return $summary;
+        }
+
+        if ($summary['complete']) {
+            $missing = array_map(function($entry) {
+                unset($entry['path']);
+                return $entry;
+            }, $job['missing']);
+
+            $summary['storage'] = $this->describe_files($job['files']);
+            $summary['orphans'] = $this->describe_files($this->get_orphan_files($job));
+            $summary['missing'] = array(
+                'count'  => count($missing),
+                'orders' => array_slice($missing, 0, self::LIST_LIMIT),
+            );
+            $summary['cleanup'] = array_merge(
+                array('days' => max(1, (int) $days)),
+                $this->describe_files($this->get_old_files($job['files'], $days, time()))
+            );
+            $summary['history'] = $this->get_history_for_chart();
+        }
+
+        return $summary;
+    }
+
+    /**
+     * Enqueue the panel script and style on the settings page
+     *
+     * @since 1.0.0
+     * @param string $hook Current admin page hook
+     * @return void
+     */
+    public function enqueue_assets($hook) {
+        if (strpos($hook, 'b2brouter-settings') === false) {
+            return;
+        }
+
+        wp_enqueue_style(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/css/pdf-storage.css',
+            array(),
+            B2BROUTER_WC_VERSION
+        );
+
+        wp_enqueue_script(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/js/pdf-storage.js',
+            array('jquery'),
+            B2BROUTER_WC_VERSION,
+            true
+        );
+
+        wp_localize_script(self::HANDLE, 'b2brouterPdfStorage', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('b2brouter_nonce'),
+            'history' => $this->get_history_for_chart(),
+            'strings' => array(
+                'error' => __('The storage task failed. Please try again.', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: items processed so far, %2$d: items in total */
+                'scan_progress' => __('Checking orders: %1$d of %2$d', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: items processed so far, %2$d: items in total */
+                'action_progress' => __('Working: %1$d of %2$d', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: number of files, %2$s: total size (e.g. "1.2 MB") */
+                'files_summary' => __('%1$d PDF(s), %2$s', 'b2brouter-for-woocommerce'),
+                /* translators: %d: number of orders */
+                'missing_summary' => __('%d order(s) point at a missing file', 'b2brouter-for-woocommerce'),
+                /* translators: %d: number of rows not listed */
+                'more' => __('and %d more', 'b2brouter-for-woocommerce'),
+                'none' => __('None found.', 'b2brouter-for-woocommerce'),
+                /* translators: %1$s: date, %2$s: cache size, %3$d: number of files */
+                'bar_label' => __('%1$s: %2$s in %3$d PDF(s)', 'b2brouter-for-woocommerce'),
+                'history_empty' => __('No size history yet. A snapshot is taken every day and after each scan.', 'b2brouter-for-woocommerce'),
+                'refund' => __('refund', 'b2brouter-for-woocommerce'),
+                /* translators: %d: number of files */
+                'confirm_cleanup' => __('Delete %d cached PDF(s)? Invoices stay in B2Brouter and can be downloaded again.', 'b2brouter-for-woocommerce'),
+                /* translators: %d: number of files */
+                'confirm_orphans' => __('Delete %d orphan PDF(s)?', 'b2brouter-for-woocommerce'),
+                /* translators: %d: number of orders */
+                'confirm_forget' => __('Clear the PDF reference of %d order(s)? The PDF is downloaded again the next time it is needed.', 'b2brouter-for-woocommerce'),
+                /* translators: %d: number of files or orders handled */
+                'action_done' => __('Done: %d handled.', 'b2brouter-for-woocommerce'),
+                /* translators: %d: number of failures */
+                'action_failures' => __('%d could not be handled:', 'b2brouter-for-woocommerce'),
+            ),
+        ));
+    }
+
+    /**
+     * Render the storage panel
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function render_panel() {
+        ?>
+        <div id="b2brouter_pdf_storage" class="b2brouter-pdf-storage">
+            <h3><?php esc_html_e('Storage Management', 'b2brouter-for-woocommerce'); ?></h3>
+
+            <h4><?php esc_html_e('Cache size over time', 'b2brouter-for-woocommerce'); ?></h4>
+            <div class="b2brouter-pdf-storage-history"></div>
+
+            <p>
+                <button type="button" class="button button-secondary b2brouter-pdf-storage-scan">
+                    <?php esc_html_e('Scan storage', 'b2brouter-for-woocommerce'); ?>
+                </button>
+                <span class="description">
+                    <?php esc_html_e('Compares the cached PDFs with the orders that reference them. Nothing is changed until you choose an action below.', 'b2brouter-for-woocommerce'); ?>
+                </span>
+            </p>
+
+            <div class="b2brouter-pdf-storage-progress" hidden>
+                <progress max="100" value="0"></progress>
+                <span class="b2brouter-pdf-storage-progress-text" role="status"></span>
+            </div>
+
+            <div class="b2brouter-pdf-storage-results" hidden>
+                <p class="b2brouter-pdf-storage-total"></p>
+
+                <div class="b2brouter-pdf-storage-group" data-group="cleanup">
+                    <h4><?php esc_html_e('Cleanup preview', 'b2brouter-for-woocommerce'); ?></h4>
+                    <p>
+                        <label for="b2brouter_pdf_storage_days"><?php esc_html_e('PDFs older than', 'b2brouter-for-woocommerce'); ?></label>
+                        <input type="number" id="b2brouter_pdf_storage_days" min="1" max="365" value="<?php echo esc_attr($this->settings->get_auto_cleanup_days()); ?>" class="small-text">
+                        <?php esc_html_e('days', 'b2brouter-for-woocommerce'); ?>
+                    </p>
+                    <p class="b2brouter-pdf-storage-summary" aria-live="polite"></p>
+                    <ul class="b2brouter-pdf-storage-list"></ul>
+                    <button type="button" class="button b2brouter-pdf-storage-action" data-action="cleanup">
+                        <?php esc_html_e('Delete these PDFs', 'b2brouter-for-woocommerce'); ?>
+                    </button>
+                </div>
+
+                <div class="b2brouter-pdf-storage-group" data-group="orphans">
+                    <h4><?php esc_html_e('Orphan PDFs', 'b2brouter-for-woocommerce'); ?></h4>
+                    <p class="description"><?php esc_html_e('Files in the storage directory that no order points at.', 'b2brouter-for-woocommerce'); ?></p>
+                    <p class="b2brouter-pdf-storage-summary"></p>
+                    <ul class="b2brouter-pdf-storage-list"></ul>
+                    <button type="button" class="button b2brouter-pdf-storage-action" data-action="delete_orphans">
+                        <?php esc_html_e('Delete orphan PDFs', 'b2brouter-for-woocommerce'); ?>
+                    </button>
+                </div>
+
+                <div class="b2brouter-pdf-storage-group" data-group="missing">
+                    <h4><?php esc_html_e('Missing files', 'b2brouter-for-woocommerce'); ?></h4>
+                    <p class="description"><?php esc_html_e('Orders whose cached PDF no longer exists on disk.', 'b2brouter-for-woocommerce'); ?></p>
+                    <p class="b2brouter-pdf-storage-summary"></p>
+                    <ul class="b2brouter-pdf-storage-list"></ul>
+                    <button type="button" class="button b2brouter-pdf-storage-action" data-action="redownload">
+                        <?php esc_html_e('Download again from B2Brouter', 'b2brouter-for-woocommerce'); ?>
+                    </button>
+                    <button type="button" class="button b2brouter-pdf-storage-action" data-action="forget_missing">
+                        <?php esc_html_e('Clear references', 'b2brouter-for-woocommerce'); ?>
+                    </button>
+                </div>
+            </div>
+
+            <div class="b2brouter-pdf-storage-outcome" role="status"></div>
+        </div>
+        <?php
+    }
+
+    /**
+     * AJAX: Start a scan, or an action on the result of a scan
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_start() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $task = isset($_POST['task']) ? sanitize_key(wp_unslash($_POST['task'])) : '';
+        $days = $this->get_requested_days();
+        $user_id = get_current_user_id();
+
+        if ($task === 'scan') {
+            $job_id = $this->create_scan_job($user_id);
+        } else {
+            $scan_job_id = isset($_POST['scan_job_id']) ? sanitize_key(wp_unslash($_POST['scan_job_id'])) : '';
+            $job_id = $this->create_action_job($scan_job_id, $task, $days, $user_id);
+        }
+
+        if (!$job_id) {
+            wp_send_json_error(array('message' => __('This storage task has expired. Please scan again.', 'b2brouter-for-woocommerce')));
+        }
+
+        wp_send_json_success($this->get_summary($job_id, self::get_job($job_id, $user_id), $days));
+    }
+
+    /**
+     * AJAX: Advance a storage job by one chunk
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_process() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $job_id = isset($_POST['job_id']) ? sanitize_key(wp_unslash($_POST['job_id'])) : '';
+
+        $result = $this->process_chunk($job_id, get_current_user_id(), $this->get_requested_days());
+
+        if ($result['success']) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+    }
+
+    /**
+     * AJAX: Preview a cleanup of the last scan with another age
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_preview() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $scan_job_id = isset($_POST['scan_job_id']) ? sanitize_key(wp_unslash($_POST['scan_job_id'])) : '';
+
+        $preview = $this->get_cleanup_preview($scan_job_id, $this->get_requested_days(), get_current_user_id());
+
+        if ($preview === null) {
+            wp_send_json_error(array('message' => __('This storage task has expired. Please scan again.', 'b2brouter-for-woocommerce')));
+        }
+
+        wp_send_json_success($preview);
+    }
+
+    /**
+     * Cleanup age from the request, defaulting to the automatic cleanup setting
+     *
+     * @since 1.0.0
+     * @return int Days, at least 1
+     */
+    private function get_requested_days() {
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- callers verify the nonce.
+        $days = isset($_POST['days']) ? absint(wp_unslash($_POST['days'])) : 0;
+
+        return $days > 0 ? $days : max(1, (int) $this->settings->get_auto_cleanup_days());
+    }
+}
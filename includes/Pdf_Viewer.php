@@ -0,0 +1,78 @@
+<?php
+/**
+ * PDF Viewer Assets
+ *
+ * Registers the modal PDF viewer (assets/js/pdf-viewer.js) used by both
+ * admin.js and customer.js to preview invoices without leaving the page.
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Pdf_Viewer class
+ *
+ * @since 1.0.0
+ */
+class Pdf_Viewer {
+
+    /**
+     * Script and style handle
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const HANDLE = 'b2brouter-pdf-viewer';
+
+    /**
+     * Register the viewer script and style
+     *
+     * Callers list self::HANDLE as a dependency of their own script, so the
+     * viewer is only printed on pages that need it.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public static function register_assets() {
+        wp_register_style(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/css/pdf-viewer.css',
+            array('dashicons'),
+            B2BROUTER_WC_VERSION
+        );
+
+        wp_register_script(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/js/pdf-viewer.js',
+            array('jquery'),
+            B2BROUTER_WC_VERSION,
+            true
+        );
+
+        wp_localize_script(self::HANDLE, 'b2brouterPdfViewerL10n', array(
+            'strings' => array(
+                'title' => __('Invoice PDF', 'b2brouter-for-woocommerce'),
+                'toolbar' => __('PDF viewer controls', 'b2brouter-for-woocommerce'),
+                'loading' => __('Loading PDF...', 'b2brouter-for-woocommerce'),
+                'error' => __('The PDF could not be loaded. Please try again later.', 'b2brouter-for-woocommerce'),
+                'previous_page' => __('Previous page', 'b2brouter-for-woocommerce'),
+                'next_page' => __('Next page', 'b2brouter-for-woocommerce'),
+                /* translators: %d: current page number */
+                'page' => __('Page %d', 'b2brouter-for-woocommerce'),
+                /* translators: %1$d: current page number, %2$d: number of pages */
+                'page_of' => __('Page %1$d of %2$d', 'b2brouter-for-woocommerce'),
+                'zoom_in' => __('Zoom in', 'b2brouter-for-woocommerce'),
+                'zoom_out' => __('Zoom out', 'b2brouter-for-woocommerce'),
+                'download' => __('Download PDF', 'b2brouter-for-woocommerce'),
+                'print' => __('Print', 'b2brouter-for-woocommerce'),
+                'close' => __('Close', 'b2brouter-for-woocommerce'),
+            ),
+        ));
+    }
+}
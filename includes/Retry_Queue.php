@@ -0,0 +1,393 @@
+<?php
+/**
+ * Invoice Retry Queue
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Retry_Queue class
+ *
+ * Invoices that fail to generate without anyone watching (automatic mode on
+ * an order status change, or a bulk-queued job) are added here with the
+ * reason, instead of leaving the order silently without an invoice. A
+ * single cron event, always set for the next entry due, retries them with
+ * growing delays (BACKOFF) until MAX_ATTEMPTS is reached; after that an
+ * entry stays in the queue until an admin retries or dismisses it from
+ * Invoices → Retry Queue. Any successful generation of the order removes it.
+ *
+ * Entries live in a non-autoloaded option keyed by order ID, like the
+ * webhook log.
+ *
+ * @since 1.0.0
+ */
+class Retry_Queue {
+
+    /**
+     * Option holding the queue, keyed by order ID
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const OPTION = 'b2brouter_retry_queue';
+
+    /**
+     * Cron hook that retries the entries due
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const CRON_HOOK = 'b2brouter_process_retry_queue';
+
+    /**
+     * Generation attempts, including the one that first failed, before giving up
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const MAX_ATTEMPTS = 5;
+
+    /**
+     * Seconds to wait after the 1st, 2nd, 3rd and 4th failed attempt
+     *
+     * @since 1.0.0
+     * @var int[]
+     */
+    const BACKOFF = array(300, 1800, 7200, 43200);
+
+    /**
+     * Entries retried per cron run
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const BATCH_SIZE = 10;
+
+    /**
+     * Invoice Generator instance
+     *
+     * @since 1.0.0
+     * @var Invoice_Generator
+     */
+    private $invoice_generator;
+
+    /**
+     * Constructor
+     *
+     * @since 1.0.0
+     * @param Invoice_Generator $invoice_generator Invoice generator instance
+     */
+    public function __construct(Invoice_Generator $invoice_generator) {
+        $this->invoice_generator = $invoice_generator;
+
+        add_action(self::CRON_HOOK, array($this, 'process_due'));
+        add_action('wp_ajax_b2brouter_retry_queue', array($this, 'ajax_get_queue'));
+        add_action('wp_ajax_b2brouter_retry_queue_retry', array($this, 'ajax_retry'));
+        add_action('wp_ajax_b2brouter_retry_queue_dismiss', array($this, 'ajax_dismiss'));
+    }
+
+    /**
+     * Record a failed generation and schedule the next attempt
+     *
+     * @since 1.0.0
+     * @param int $order_id Order or refund ID
+     * @param string $reason Error message of the failed attempt
+     * @return array The updated entry
+     */
+    public static function add($order_id, $reason) {
+        $order_id = (int) $order_id;
+        $entries = self::get_entries();
+        $now = time();
+
+        $attempts = isset($entries[$order_id]) ? $entries[$order_id]['attempts'] + 1 : 1;
+
+        $entries[$order_id] = array(
+            'order_id'     => $order_id,
+            'reason'       => substr(sanitize_text_field($reason), 0, 255),
+            'attempts'     => $attempts,
+            'first_failed' => isset($entries[$order_id]) ? $entries[$order_id]['first_failed'] : $now,
+            'last_attempt' => $now,
+            // 0 once the automatic retries are used up
+            'next_run'     => $attempts < self::MAX_ATTEMPTS ? $now + self::BACKOFF[$attempts - 1] : 0,
+        );
+
+        self::save($entries);
+
+        return $entries[$order_id];
+    }
+
+    /**
+     * Remove an order from the queue
+     *
+     * @since 1.0.0
+     * @param int $order_id Order or refund ID
+     * @return void
+     */
+    public static function remove($order_id) {
+        $entries = self::get_entries();
+
+        if (!isset($entries[(int) $order_id])) {
+            return;
+        }
+
+        unset($entries[(int) $order_id]);
+        self::save($entries);
+    }
+
+    /**
+     * Get all entries, keyed by order ID
+     *
+     * @since 1.0.0
+     * @return array[] Entries
+     */
+    public static function get_entries() {
+        $entries = get_option(self::OPTION, array());
+
+        return is_array($entries) ? $entries : array();
+    }
+
+    /**
+     * Number of orders in the queue
+     *
+     * @since 1.0.0
+     * @return int Count
+     */
+    public static function count() {
+        return count(self::get_entries());
+    }
+
+    /**
+     * Schedule the next due entry again (called on plugin activation)
+     *
+     * Entries survive deactivation; only their cron event is cleared.
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function activate() {
+        self::save(self::get_entries());
+    }
+
+    /**
+     * Clear the retry cron event (called on plugin deactivation)
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function deactivate() {
+        wp_clear_scheduled_hook(self::CRON_HOOK);
+    }
+
+    /**
+     * Store the queue and point the cron event at the next entry due
+     *
+     * @since 1.0.0
+     * @param array[] $entries Entries keyed by order ID
+     * @return void
+     */
+    private static function save(array $entries) {
+        // Not autoloaded: read by cron and the queue screen only
+        update_option(self::OPTION, $entries, false);
+
+        $due = array_filter(array_column($entries, 'next_run'));
+        $next = $due ? max(time(), min($due)) : 0;
+        $scheduled = wp_next_scheduled(self::CRON_HOOK);
+
+        if ($scheduled && (int) $scheduled === $next) {
+            return;
+        }
+
+        if ($scheduled) {
+            wp_clear_scheduled_hook(self::CRON_HOOK);
+        }
+
+        if ($next) {
+            wp_schedule_single_event($next, self::CRON_HOOK);
+        }
+    }
+
+    /**
+     * Cron: retry the entries that are due
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function process_due() {
+        $now = time();
+
+        $due = array_filter(self::get_entries(), function($entry) use ($now) {
+            return $entry['next_run'] && $entry['next_run'] <= $now;
+        });
+
+        uasort($due, function($a, $b) {
+            return $a['next_run'] - $b['next_run'];
+        });
+
+        foreach (array_slice(array_keys($due), 0, self::BATCH_SIZE) as $order_id) {
+            $this->retry($order_id);
+        }
+
+        // Re-arm for what is left; retry() only saves when an entry changes
+        self::save(self::get_entries());
+    }
+
+    /**
+     * Try to generate the invoice of a queued order now
+     *
+     * @since 1.0.0
+     * @param int $order_id Order or refund ID
+     * @return array{success: bool, message: string, entry: array|null} entry is null once the order left the queue
+     */
+    public function retry($order_id) {
+        $order_id = (int) $order_id;
+
+        if (!wc_get_order($order_id)) {
+            self::remove($order_id);
+
+            return array(
+                'success' => false,
+                'message' => __('The order no longer exists and was removed from the queue.', 'b2brouter-for-woocommerce'),
+                'entry'   => null,
+            );
+        }
+
+        // Generated some other way since it was queued
+        if ($this->invoice_generator->has_invoice($order_id)) {
+            self::remove($order_id);
+
+            return array(
+                'success' => true,
+                'message' => __('The invoice was already generated.', 'b2brouter-for-woocommerce'),
+                'entry'   => null,
+            );
+        }
+
+        $result = $this->invoice_generator->generate_invoice($order_id);
+
+        if ($result['success']) {
+            // generate_invoice() already took the order out of the queue
+            return array(
+                'success' => true,
+                'message' => $result['message'],
+                'entry'   => null,
+            );
+        }
+
+        return array(
+            'success' => false,
+            'message' => $result['message'],
+            'entry'   => self::add($order_id, $result['message']),
+        );
+    }
+
+    /**
+     * Describe an entry for the queue screen
+     *
+     * @since 1.0.0
+     * @param array $entry Queue entry
+     * @return array Entry plus order_number, edit_url, is_refund, status ('scheduled' or 'gave_up') and display dates
+     */
+    public static function format_entry(array $entry) {
+        $order = wc_get_order($entry['order_id']);
+        $is_refund = $order && $order->get_type() === 'shop_order_refund';
+        $edit_order = $is_refund ? wc_get_order($order->get_parent_id()) : $order;
+        $date_format = get_option('date_format') . ' ' . get_option('time_format');
+
+        return array_merge($entry, array(
+            'order_number'      => $edit_order ? (string) $edit_order->get_order_number() : (string) $entry['order_id'],
+            'edit_url'          => $edit_order ? $edit_order->get_edit_order_url() : '',
+            'is_refund'         => $is_refund,
+            'status'            => $entry['next_run'] ? 'scheduled' : 'gave_up',
+            'max_attempts'      => self::MAX_ATTEMPTS,
+            'last_attempt_date' => wp_date($date_format, $entry['last_attempt']),
+            'next_run_date'     => $entry['next_run'] ? wp_date($date_format, $entry['next_run']) : '',
+            'next_run_in'       => $entry['next_run'] ? human_time_diff(time(), max(time(), $entry['next_run'])) : '',
+        ));
+    }
+
+    /**
+     * AJAX: Get the queue, next attempt first and given-up entries last
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_get_queue() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $entries = self::get_entries();
+
+        uasort($entries, function($a, $b) {
+            $a_run = $a['next_run'] ? $a['next_run'] : PHP_INT_MAX;
+            $b_run = $b['next_run'] ? $b['next_run'] : PHP_INT_MAX;
+
+            return $a_run === $b_run ? $b['last_attempt'] - $a['last_attempt'] : ($a_run < $b_run ? -1 : 1);
+        });
+
+        wp_send_json_success(array(
+            'entries' => array_values(array_map(array(__CLASS__, 'format_entry'), $entries)),
+        ));
+    }
+
+    /**
+     * AJAX: Retry one queued order now
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_retry() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $order_id = isset($_POST['order_id']) ? absint($_POST['order_id']) : 0;
+        $entries = self::get_entries();
+
+        if (!isset($entries[$order_id])) {
+            wp_send_json_error(array('message' => __('This order is no longer in the retry queue.', 'b2brouter-for-woocommerce')));
+        }
+
+        $result = $this->retry($order_id);
+
+        if ($result['entry']) {
+            $result['entry'] = self::format_entry($result['entry']);
+        }
+
+        wp_send_json_success($result);
+    }
+
+    /**
+     * AJAX: Remove an order from the queue without retrying it
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_dismiss() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $order_id = isset($_POST['order_id']) ? absint($_POST['order_id']) : 0;
+
+        self::remove($order_id);
+
+        wp_send_json_success(array(
+            'message' => __('Removed from the retry queue.', 'b2brouter-for-woocommerce'),
+            'count'   => self::count(),
+        ));
+    }
+}
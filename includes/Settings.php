@@ -39,9 +39,20 @@ class Settings {
     const OPTION_CREDIT_NOTE_SERIES_CODE = 'b2brouter_credit_note_series_code';
     const OPTION_INVOICE_NUMBERING_PATTERN = 'b2brouter_invoice_numbering_pattern';
     const OPTION_WEBHOOK_SECRET = 'b2brouter_webhook_secret';
+    const OPTION_WEBHOOK_PREVIOUS_SECRET = 'b2brouter_webhook_previous_secret';
+    const OPTION_WEBHOOK_SECRET_GRACE_UNTIL = 'b2brouter_webhook_secret_grace_until';
     const OPTION_WEBHOOK_ENABLED = 'b2brouter_webhook_enabled';
     const OPTION_WEBHOOK_FALLBACK_POLLING = 'b2brouter_webhook_fallback_polling';
     const OPTION_DELETE_ARCHIVAL_DATA = 'b2brouter_delete_archival_data';
+    const OPTION_TIN_VALIDATION = 'b2brouter_tin_validation';
+
+    /**
+     * How long the previous webhook secret keeps working after a rotation
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const WEBHOOK_SECRET_GRACE_PERIOD = 7 * DAY_IN_SECONDS;
 
     /**
      * Constructor
@@ -165,13 +176,16 @@ class Settings {
      *
      * @since 1.0.0
      * @param string $mode The invoice mode ('automatic' or 'manual')
-     * @return bool True on success, false on failure
+     * @return bool|\WP_Error update_option() result, or WP_Error for an unknown mode
      */
     public function set_invoice_mode($mode) {
         if (in_array($mode, array('automatic', 'manual'))) {
             return update_option(self::OPTION_INVOICE_MODE, $mode);
         }
-        return false;
+        return new \WP_Error(
+            'invalid_invoice_mode',
+            __('Choose automatic or manual invoice generation.', 'b2brouter-for-woocommerce')
+        );
     }
 
     /**
@@ -504,11 +518,19 @@ class Settings {
     /**
      * Set auto cleanup days setting
      *
+     * Numbers below one day are raised to one.
+     *
      * @since 1.0.0
-     * @param int $days
-     * @return bool
+     * @param int|string $days
+     * @return bool|\WP_Error update_option() result, or WP_Error when $days is not a number
      */
     public function set_auto_cleanup_days($days) {
+        if (!is_numeric($days)) {
+            return new \WP_Error(
+                'invalid_auto_cleanup_days',
+                __('Enter the number of days as a whole number.', 'b2brouter-for-woocommerce')
+            );
+        }
         return update_option(self::OPTION_AUTO_CLEANUP_DAYS, max(1, intval($days)));
     }
 
@@ -527,12 +549,15 @@ class Settings {
      *
      * @since 1.0.0
      * @param string $code
-     * @return bool False if the code is empty after sanitization.
+     * @return bool|\WP_Error update_option() result, or WP_Error if the code is empty after sanitization.
      */
     public function set_invoice_series_code($code) {
         $code = sanitize_text_field($code);
         if (trim($code) === '') {
-            return false;
+            return new \WP_Error(
+                'empty_invoice_series_code',
+                __('Invoice series code is required and cannot be empty.', 'b2brouter-for-woocommerce')
+            );
         }
         return update_option(self::OPTION_INVOICE_SERIES_CODE, $code);
     }
@@ -552,12 +577,15 @@ class Settings {
      *
      * @since 1.0.0
      * @param string $code
-     * @return bool False if the code is empty after sanitization.
+     * @return bool|\WP_Error update_option() result, or WP_Error if the code is empty after sanitization.
      */
     public function set_credit_note_series_code($code) {
         $code = sanitize_text_field($code);
         if (trim($code) === '') {
-            return false;
+            return new \WP_Error(
+                'empty_credit_note_series_code',
+                __('Credit note series code is required and cannot be empty.', 'b2brouter-for-woocommerce')
+            );
         }
         return update_option(self::OPTION_CREDIT_NOTE_SERIES_CODE, $code);
     }
@@ -577,14 +605,17 @@ class Settings {
      *
      * @since 1.0.0
      * @param string $pattern
-     * @return bool
+     * @return bool|\WP_Error update_option() result, or WP_Error for an unknown pattern
      */
     public function set_invoice_numbering_pattern($pattern) {
         $valid_patterns = array('automatic', 'woocommerce');
         if (in_array($pattern, $valid_patterns)) {
             return update_option(self::OPTION_INVOICE_NUMBERING_PATTERN, $pattern);
         }
-        return false;
+        return new \WP_Error(
+            'invalid_invoice_numbering_pattern',
+            __('Choose an invoice numbering pattern.', 'b2brouter-for-woocommerce')
+        );
     }
 
     /**
@@ -608,6 +639,79 @@ class Settings {
         return update_option(self::OPTION_WEBHOOK_SECRET, sanitize_text_field($secret));
     }
 
+    /**
+     * Generate a random webhook secret
+     *
+     * Letters and digits only, so it survives copy/paste into the B2Brouter
+     * dashboard unchanged. Nothing is stored.
+     *
+     * @since 1.0.0
+     * @return string New secret
+     */
+    public function generate_webhook_secret() {
+        return wp_generate_password(40, false);
+    }
+
+    /**
+     * Replace the webhook secret with a new random one
+     *
+     * The old secret stays valid for WEBHOOK_SECRET_GRACE_PERIOD so deliveries
+     * keep verifying until the new secret has been entered in B2Brouter.
+     *
+     * @since 1.0.0
+     * @return string The new secret
+     */
+    public function rotate_webhook_secret() {
+        $previous = $this->get_webhook_secret();
+        $secret = $this->generate_webhook_secret();
+
+        if (!empty($previous)) {
+            update_option(self::OPTION_WEBHOOK_PREVIOUS_SECRET, $previous);
+            update_option(self::OPTION_WEBHOOK_SECRET_GRACE_UNTIL, time() + self::WEBHOOK_SECRET_GRACE_PERIOD);
+        }
+
+        $this->set_webhook_secret($secret);
+
+        return $secret;
+    }
+
+    /**
+     * Get the previous webhook secret while its grace period lasts
+     *
+     * @since 1.0.0
+     * @return string Previous secret, or '' when none is accepted
+     */
+    public function get_webhook_previous_secret() {
+        if ($this->get_webhook_secret_grace_until() === 0) {
+            return '';
+        }
+
+        return get_option(self::OPTION_WEBHOOK_PREVIOUS_SECRET, '');
+    }
+
+    /**
+     * Get when the previous webhook secret stops being accepted
+     *
+     * @since 1.0.0
+     * @return int Unix timestamp, or 0 when no grace period is running
+     */
+    public function get_webhook_secret_grace_until() {
+        $until = (int) get_option(self::OPTION_WEBHOOK_SECRET_GRACE_UNTIL, 0);
+
+        return $until > time() ? $until : 0;
+    }
+
+    /**
+     * Stop accepting the previous webhook secret
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function end_webhook_secret_grace_period() {
+        delete_option(self::OPTION_WEBHOOK_PREVIOUS_SECRET);
+        delete_option(self::OPTION_WEBHOOK_SECRET_GRACE_UNTIL);
+    }
+
     /**
      * Check if webhooks are enabled
      *
@@ -660,6 +764,36 @@ class Settings {
         return rest_url('b2brouter/v1/webhook');
     }
 
+    /**
+     * Get TIN validation mode at checkout
+     *
+     * 'off' skips validation, 'warn' only shows inline feedback, and
+     * 'require' also rejects orders whose TIN fails the format check.
+     *
+     * @since 1.0.0
+     * @return string The TIN validation mode ('off', 'warn' or 'require')
+     */
+    public function get_tin_validation_mode() {
+        return get_option(self::OPTION_TIN_VALIDATION, 'warn');
+    }
+
+    /**
+     * Set TIN validation mode at checkout
+     *
+     * @since 1.0.0
+     * @param string $mode The TIN validation mode ('off', 'warn' or 'require')
+     * @return bool|\WP_Error update_option() result, or WP_Error for an unknown mode
+     */
+    public function set_tin_validation_mode($mode) {
+        if (in_array($mode, array('off', 'warn', 'require'), true)) {
+            return update_option(self::OPTION_TIN_VALIDATION, $mode);
+        }
+        return new \WP_Error(
+            'invalid_tin_validation_mode',
+            __('Choose off, warn or require for checkout TIN validation.', 'b2brouter-for-woocommerce')
+        );
+    }
+
     /**
      * Get whether archival invoice data should be deleted on uninstall
      *
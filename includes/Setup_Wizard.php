@@ -0,0 +1,882 @@
+<?php
+/**
+ * Setup Wizard
+ *
+ * Guided first-time configuration on the welcome page
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Setup_Wizard class
+ *
+ * Walks a new merchant through the settings needed to issue a first invoice,
+ * one step at a time. Each step is checked in the browser through the same
+ * AJAX actions the settings page uses (key validation, account selection,
+ * number preview, webhook test) and then saved here, so the wizard can be
+ * left half-way and resumed at the first unfinished step.
+ *
+ * The numbering and webhook secret fields keep the settings page IDs so the
+ * number preview and secret generation in admin.js work here unchanged.
+ *
+ * @since 1.0.0
+ */
+class Setup_Wizard {
+
+    /**
+     * Script and style handle
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const HANDLE = 'b2brouter-setup-wizard';
+
+    /**
+     * Option holding the wizard progress
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const OPTION_PROGRESS = 'b2brouter_setup_progress';
+
+    /**
+     * Steps, in order
+     *
+     * @since 1.0.0
+     * @var string[]
+     */
+    const STEPS = array('api_key', 'account', 'mode', 'numbering', 'webhook', 'emails', 'summary');
+
+    /**
+     * Fields a step may submit
+     *
+     * @since 1.0.0
+     * @var string[]
+     */
+    const FIELDS = array(
+        'api_key',
+        'invoice_mode',
+        'invoice_series_code',
+        'credit_note_series_code',
+        'numbering_pattern',
+        'webhook_enabled',
+        'webhook_secret',
+        'attach_to_order_completed',
+        'attach_to_customer_invoice',
+        'attach_to_refunded_order',
+    );
+
+    /**
+     * Settings instance
+     *
+     * @since 1.0.0
+     * @var Settings
+     */
+    private $settings;
+
+    /**
+     * Status_Sync instance
+     *
+     * @since 1.0.0
+     * @var Status_Sync|null
+     */
+    private $status_sync;
+
+    /**
+     * Constructor
+     *
+     * @since 1.0.0
+     * @param Settings $settings Settings instance
+     * @param Status_Sync|null $status_sync Status sync instance, to reschedule polling when webhooks change
+     */
+    public function __construct(Settings $settings, ?Status_Sync $status_sync = null) {
+        $this->settings = $settings;
+        $this->status_sync = $status_sync;
+
+        add_action('admin_enqueue_scripts', array($this, 'enqueue_assets'));
+        add_action('wp_ajax_b2brouter_setup_save_step', array($this, 'ajax_save_step'));
+    }
+
+    /**
+     * Get the wizard progress
+     *
+     * @since 1.0.0
+     * @return array{step: string, completed: string[], finished: bool} Current step is the first one not completed
+     */
+    public function get_progress() {
+        $stored = get_option(self::OPTION_PROGRESS, array());
+        $completed = isset($stored['completed']) && is_array($stored['completed'])
+            ? array_values(array_intersect(self::STEPS, $stored['completed']))
+            : array();
+
+        $step = 'summary';
+        foreach (self::STEPS as $candidate) {
+            if (!in_array($candidate, $completed, true)) {
+                $step = $candidate;
+                break;
+            }
+        }
+
+        return array(
+            'step' => $step,
+            'completed' => $completed,
+            'finished' => !empty($stored['finished']),
+        );
+    }
+
+    /**
+     * Validate and save one step
+     *
+     * @since 1.0.0
+     * @param string $step Step key, one of STEPS
+     * @param array $data Sanitized field values, keyed by FIELDS
+     * @return array{success: bool, message: string, progress?: array, summary?: array}
+     */
+    public function save_step($step, array $data) {
+        if (!in_array($step, self::STEPS, true)) {
+            return array(
+                'success' => false,
+                'message' => __('Unknown setup step.', 'b2brouter-for-woocommerce'),
+            );
+        }
+
+        $progress = $this->get_progress();
+        $completed = $progress['completed'];
+        $error = '';
+
+        switch ($step) {
+            case 'api_key':
+                $error = $this->save_api_key($data, $completed);
+                break;
+            case 'account':
+                if ($this->settings->get_account_id() === '') {
+                    $error = __('Select the B2Brouter account to invoice from.', 'b2brouter-for-woocommerce');
+                }
+                break;
+            case 'mode':
+                $error = $this->save_mode($data);
+                break;
+            case 'numbering':
+                $error = $this->save_numbering($data);
+                break;
+            case 'webhook':
+                $error = $this->save_webhook($data);
+                break;
+            case 'emails':
+                $this->settings->set_attach_to_order_completed(!empty($data['attach_to_order_completed']));
+                $this->settings->set_attach_to_customer_invoice(!empty($data['attach_to_customer_invoice']));
+                $this->settings->set_attach_to_refunded_order(!empty($data['attach_to_refunded_order']));
+                break;
+            case 'summary':
+                // The summary can be posted directly; it only finishes a wizard whose steps are all done
+                $missing = array_diff(self::STEPS, $completed, array('summary'));
+
+                if ($missing) {
+                    $labels = $this->get_step_labels();
+                    $error = sprintf(
+                        /* translators: %s: name of the first setup step not completed yet */
+                        __('Complete the "%s" step before finishing the setup.', 'b2brouter-for-woocommerce'),
+                        $labels[reset($missing)]
+                    );
+                }
+                break;
+        }
+
+        if ($error !== '') {
+            return array(
+                'success' => false,
+                'message' => $error,
+            );
+        }
+
+        $completed[] = $step;
+
+        update_option(self::OPTION_PROGRESS, array(
+            'completed' => array_values(array_unique($completed)),
+            'finished' => $progress['finished'] || $step === 'summary',
+        ));
+
+        return array(
+            'success' => true,
+            'message' => $step === 'summary'
+                ? __('Setup complete. You are ready to issue electronic invoices.', 'b2brouter-for-woocommerce')
+                : __('Saved.', 'b2brouter-for-woocommerce'),
+            'progress' => $this->get_progress(),
+            'summary' => $this->get_summary(),
+        );
+    }
+
+    /**
+     * Save the API key step
+     *
+     * The key is validated against B2Brouter again here: the step can be
+     * posted without going through b2brouter_validate_api_key first. A
+     * different key invalidates the account step.
+     *
+     * @since 1.0.0
+     * @param array $data Step fields
+     * @param string[] $completed Completed steps, updated in place
+     * @return string Error message, or '' on success
+     */
+    private function save_api_key(array $data, array &$completed) {
+        $api_key = isset($data['api_key']) ? trim($data['api_key']) : '';
+        $validation = $this->settings->validate_api_key($api_key);
+
+        if (empty($validation['valid'])) {
+            return $validation['message'];
+        }
+
+        if ($api_key !== $this->settings->get_api_key()) {
+            $completed = array_diff($completed, array('account'));
+        }
+
+        $this->settings->set_api_key($api_key);
+
+        return '';
+    }
+
+    /**
+     * Save the invoice generation mode step
+     *
+     * @since 1.0.0
+     * @param array $data Step fields
+     * @return string Error message, or '' on success
+     */
+    private function save_mode(array $data) {
+        $result = $this->settings->set_invoice_mode(isset($data['invoice_mode']) ? $data['invoice_mode'] : '');
+
+        return is_wp_error($result) ? $result->get_error_message() : '';
+    }
+
+    /**
+     * Save the series and numbering step
+     *
+     * Saved field by field, stopping at the first one the setter rejects.
+     *
+     * @since 1.0.0
+     * @param array $data Step fields
+     * @return string Error message, or '' on success
+     */
+    private function save_numbering(array $data) {
+        $setters = array(
+            'invoice_series_code'     => 'set_invoice_series_code',
+            'credit_note_series_code' => 'set_credit_note_series_code',
+            'numbering_pattern'       => 'set_invoice_numbering_pattern',
+        );
+
+        foreach ($setters as $field => $setter) {
+            $result = $this->settings->$setter(isset($data[$field]) ? $data[$field] : '');
+
+            if (is_wp_error($result)) {
+                return $result->get_error_message();
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Save the webhook step
+     *
+     * Unlike the settings page, an enabled webhook without a secret is
+     * rejected: the wizard is meant to end with a working setup.
+     *
+     * @since 1.0.0
+     * @param array $data Step fields
+     * @return string Error message, or '' on success
+     */
+    private function save_webhook(array $data) {
+        $enabled = isset($data['webhook_enabled']) && $data['webhook_enabled'] === 'yes';
+        $secret = isset($data['webhook_secret']) ? trim($data['webhook_secret']) : $this->settings->get_webhook_secret();
+
+        if ($enabled && $secret === '') {
+            return __('Webhook secret is required when webhooks are enabled.', 'b2brouter-for-woocommerce');
+        }
+
+        $enabled_changed = $enabled !== $this->settings->get_webhook_enabled();
+
+        $this->settings->set_webhook_enabled($enabled);
+        $this->settings->set_webhook_secret($secret);
+
+        if ($enabled_changed && $this->status_sync) {
+            $this->status_sync->reschedule_cron();
+        }
+
+        return '';
+    }
+
+    /**
+     * Describe the saved configuration for the summary step
+     *
+     * @since 1.0.0
+     * @return array[] Rows of {label, value}
+     */
+    public function get_summary() {
+        $account_id = $this->settings->get_account_id();
+        $account_name = $this->settings->get_account_name();
+
+        $attachments = array();
+        if ($this->settings->get_attach_to_order_completed()) {
+            $attachments[] = __('Completed order', 'b2brouter-for-woocommerce');
+        }
+        if ($this->settings->get_attach_to_customer_invoice()) {
+            $attachments[] = __('Customer invoice', 'b2brouter-for-woocommerce');
+        }
+        if ($this->settings->get_attach_to_refunded_order()) {
+            $attachments[] = __('Refunded order', 'b2brouter-for-woocommerce');
+        }
+
+        return array(
+            array(
+                'label' => __('Account', 'b2brouter-for-woocommerce'),
+                'value' => $account_id === ''
+                    ? __('Not selected', 'b2brouter-for-woocommerce')
+                    /* translators: %1$s: account name, %2$s: account ID */
+                    : sprintf(__('%1$s (ID: %2$s)', 'b2brouter-for-woocommerce'), $account_name !== '' ? $account_name : __('Unknown', 'b2brouter-for-woocommerce'), $account_id),
+            ),
+            array(
+                'label' => __('Invoice generation', 'b2brouter-for-woocommerce'),
+                'value' => $this->settings->get_invoice_mode() === 'automatic'
+                    ? __('Automatic, when an order is completed', 'b2brouter-for-woocommerce')
+                    : __('Manual, from the order screen', 'b2brouter-for-woocommerce'),
+            ),
+            array(
+                'label' => __('Series', 'b2brouter-for-woocommerce'),
+                /* translators: %1$s: invoice series code, %2$s: credit note series code */
+                'value' => sprintf(__('Invoices %1$s, credit notes %2$s', 'b2brouter-for-woocommerce'), $this->settings->get_invoice_series_code(), $this->settings->get_credit_note_series_code()),
+            ),
+            array(
+                'label' => __('Numbering', 'b2brouter-for-woocommerce'),
+                'value' => $this->settings->get_invoice_numbering_pattern() === 'automatic'
+                    ? __('Assigned by B2Brouter', 'b2brouter-for-woocommerce')
+                    : __('WooCommerce order number', 'b2brouter-for-woocommerce'),
+            ),
+            array(
+                'label' => __('Webhook', 'b2brouter-for-woocommerce'),
+                'value' => $this->settings->get_webhook_enabled()
+                    ? __('Enabled', 'b2brouter-for-woocommerce')
+                    : __('Disabled, statuses are polled', 'b2brouter-for-woocommerce'),
+            ),
+            array(
+                'label' => __('PDF attached to', 'b2brouter-for-woocommerce'),
+                'value' => $attachments ? implode(', ', $attachments) : __('No emails', 'b2brouter-for-woocommerce'),
+            ),
+        );
+    }
+
+    /**
+     * Find the most recent order that could be invoiced as a test
+     *
+     * @since 1.0.0
+     * @return \WC_Order|null Latest processing or completed order without an invoice
+     */
+    public function get_test_order() {
+        $orders = wc_get_orders(array(
+            'limit' => 1,
+            'type' => 'shop_order',
+            'status' => array('wc-processing', 'wc-completed'),
+            'orderby' => 'date',
+            'order' => 'DESC',
+            // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- limit 1, run only when the wizard offers a test invoice.
+            'meta_query' => array(
+                array(
+                    'key' => '_b2brouter_invoice_id',
+                    'compare' => 'NOT EXISTS',
+                ),
+            ),
+        ));
+
+        return !empty($orders) ? reset($orders) : null;
+    }
+
+    /**
+     * Enqueue the wizard script and style on the welcome page
+     *
+     * @since 1.0.0
+     * @param string $hook Current admin page hook
+     * @return void
+     */
+    public function enqueue_assets($hook) {
+        if ($hook !== 'toplevel_page_b2brouter' || !current_user_can('manage_options')) {
+            return;
+        }
+
+        wp_enqueue_style(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/css/setup-wizard.css',
+            array('b2brouter-admin'),
+            B2BROUTER_WC_VERSION
+        );
+
+        wp_enqueue_script(
+            self::HANDLE,
+            B2BROUTER_WC_PLUGIN_URL . 'assets/js/setup-wizard.js',
+            array('jquery', 'b2brouter-admin'),
+            B2BROUTER_WC_VERSION,
+            true
+        );
+
+        wp_localize_script(self::HANDLE, 'b2brouterSetupWizard', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('b2brouter_nonce'),
+            'steps' => self::STEPS,
+            'progress' => $this->get_progress(),
+            'strings' => array(
+                'error' => __('Error', 'b2brouter-for-woocommerce'),
+                'saving' => __('Saving...', 'b2brouter-for-woocommerce'),
+                'validating' => __('Validating...', 'b2brouter-for-woocommerce'),
+                'loading_accounts' => __('Loading your accounts...', 'b2brouter-for-woocommerce'),
+                'api_key_required' => __('API key is required', 'b2brouter-for-woocommerce'),
+                'select_account' => __('Select an account and click "Use this account".', 'b2brouter-for-woocommerce'),
+                'webhook_testing' => __('Sending...', 'b2brouter-for-woocommerce'),
+                'generating' => __('Generating invoice...', 'b2brouter-for-woocommerce'),
+                'view_order' => __('View order', 'b2brouter-for-woocommerce'),
+            ),
+        ));
+    }
+
+    /**
+     * Step names shown in the step list
+     *
+     * @since 1.0.0
+     * @return array<string, string> Label keyed by step
+     */
+    private function get_step_labels() {
+        return array(
+            'api_key' => __('API key', 'b2brouter-for-woocommerce'),
+            'account' => __('Account', 'b2brouter-for-woocommerce'),
+            'mode' => __('Invoicing', 'b2brouter-for-woocommerce'),
+            'numbering' => __('Numbering', 'b2brouter-for-woocommerce'),
+            'webhook' => __('Webhook', 'b2brouter-for-woocommerce'),
+            'emails' => __('Emails', 'b2brouter-for-woocommerce'),
+            'summary' => __('Summary', 'b2brouter-for-woocommerce'),
+        );
+    }
+
+    /**
+     * Render the wizard
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function render() {
+        $progress = $this->get_progress();
+        $current = $progress['step'];
+
+        $labels = $this->get_step_labels();
+        ?>
+        <div id="b2brouter-setup-wizard" class="b2brouter-card b2brouter-wizard">
+            <h2><?php esc_html_e('Set up electronic invoicing', 'b2brouter-for-woocommerce'); ?></h2>
+
+            <ol class="b2brouter-wizard-steps">
+                <?php foreach (self::STEPS as $index => $step) : ?>
+                    <?php
+                    $done = in_array($step, $progress['completed'], true);
+                    $reachable = $done || $step === $current;
+                    ?>
+                    <li class="<?php echo esc_attr(trim(($done ? 'is-done ' : '') . ($step === $current ? 'is-current' : ''))); ?>" data-step="<?php echo esc_attr($step); ?>">
+                        <button type="button"
+                                class="button-link b2brouter-wizard-goto"
+                                data-step="<?php echo esc_attr($step); ?>"
+                                <?php echo $step === $current ? 'aria-current="step"' : ''; ?>
+                                <?php echo $reachable ? '' : 'disabled'; ?>>
+                            <span class="b2brouter-wizard-step-number"><?php echo esc_html($index + 1); ?></span>
+                            <?php echo esc_html($labels[$step]); ?>
+                        </button>
+                    </li>
+                <?php endforeach; ?>
+            </ol>
+
+            <?php $this->render_api_key_step($current); ?>
+            <?php $this->render_account_step($current); ?>
+            <?php $this->render_mode_step($current); ?>
+            <?php $this->render_numbering_step($current); ?>
+            <?php $this->render_webhook_step($current); ?>
+            <?php $this->render_emails_step($current); ?>
+            <?php $this->render_summary_step($current, $progress['finished']); ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Open a step panel
+     *
+     * @since 1.0.0
+     * @param string $step Step key
+     * @param string $current Current step key
+     * @param string $title Step heading
+     * @return void
+     */
+    private function open_step($step, $current, $title) {
+        ?>
+        <section class="b2brouter-wizard-step" data-step="<?php echo esc_attr($step); ?>" <?php echo $step === $current ? '' : 'hidden'; ?>>
+            <h3 tabindex="-1"><?php echo esc_html($title); ?></h3>
+        <?php
+    }
+
+    /**
+     * Close a step panel with its navigation buttons
+     *
+     * @since 1.0.0
+     * @param string $step Step key
+     * @param string $next_label Label of the primary button
+     * @return void
+     */
+    private function close_step($step, $next_label = '') {
+        ?>
+            <p class="b2brouter-wizard-result" role="status"></p>
+            <div class="b2brouter-wizard-actions">
+                <?php if ($step !== self::STEPS[0]) : ?>
+                    <button type="button" class="button button-secondary b2brouter-wizard-back"><?php esc_html_e('Back', 'b2brouter-for-woocommerce'); ?></button>
+                <?php endif; ?>
+                <button type="button" class="button button-primary b2brouter-wizard-next">
+                    <?php echo esc_html($next_label !== '' ? $next_label : __('Save and continue', 'b2brouter-for-woocommerce')); ?>
+                </button>
+            </div>
+        </section>
+        <?php
+    }
+
+    /**
+     * Render the API key step
+     *
+     * @since 1.0.0
+     * @param string $current Current step key
+     * @return void
+     */
+    private function render_api_key_step($current) {
+        $this->open_step('api_key', $current, __('Connect your B2Brouter account', 'b2brouter-for-woocommerce'));
+        ?>
+            <p><?php esc_html_e('You need a B2Brouter account with an active eDocExchange subscription. The first month is free.', 'b2brouter-for-woocommerce'); ?></p>
+            <ol>
+                <li><a href="https://app.b2brouter.net" target="_blank"><?php esc_html_e('Register at app.b2brouter.net', 'b2brouter-for-woocommerce'); ?></a></li>
+                <li><?php esc_html_e('Go to Developers → API Keys in your B2Brouter dashboard.', 'b2brouter-for-woocommerce'); ?></li>
+                <li><?php esc_html_e('Copy the API key and paste it below.', 'b2brouter-for-woocommerce'); ?></li>
+            </ol>
+            <p>
+                <label for="b2brouter_wizard_api_key"><?php esc_html_e('API Key', 'b2brouter-for-woocommerce'); ?></label><br>
+                <input type="text"
+                       id="b2brouter_wizard_api_key"
+                       name="api_key"
+                       value="<?php echo esc_attr($this->settings->get_api_key()); ?>"
+                       class="regular-text"
+                       autocomplete="off"
+                       placeholder="<?php esc_attr_e('Enter your B2Brouter API key', 'b2brouter-for-woocommerce'); ?>">
+            </p>
+            <p class="description"><?php esc_html_e('The key is checked with B2Brouter before it is saved.', 'b2brouter-for-woocommerce'); ?></p>
+        <?php
+        $this->close_step('api_key', __('Validate and continue', 'b2brouter-for-woocommerce'));
+    }
+
+    /**
+     * Render the account step
+     *
+     * @since 1.0.0
+     * @param string $current Current step key
+     * @return void
+     */
+    private function render_account_step($current) {
+        $account_id = $this->settings->get_account_id();
+        $account_name = $this->settings->get_account_name();
+
+        $this->open_step('account', $current, __('Choose the invoicing account', 'b2brouter-for-woocommerce'));
+        ?>
+            <p><?php esc_html_e('Invoices are issued from this B2Brouter account. Keys with access to several accounts list them all here.', 'b2brouter-for-woocommerce'); ?></p>
+            <p id="b2brouter_wizard_current_account" class="b2brouter-wizard-current-account">
+                <?php if ($account_id !== '') : ?>
+                    <?php echo esc_html(sprintf(
+                        /* translators: %1$s: account name, %2$s: account ID */
+                        __('Current account: %1$s (ID: %2$s)', 'b2brouter-for-woocommerce'),
+                        $account_name !== '' ? $account_name : __('Unknown', 'b2brouter-for-woocommerce'),
+                        $account_id
+                    )); ?>
+                <?php endif; ?>
+            </p>
+            <div id="b2brouter_wizard_account_selector" style="display:none;">
+                <select id="b2brouter_wizard_account_select" class="regular-text"></select>
+                <button type="button" id="b2brouter_wizard_select_account" class="button button-secondary">
+                    <?php esc_html_e('Use this account', 'b2brouter-for-woocommerce'); ?>
+                </button>
+            </div>
+        <?php
+        $this->close_step('account');
+    }
+
+    /**
+     * Render the invoice generation mode step
+     *
+     * @since 1.0.0
+     * @param string $current Current step key
+     * @return void
+     */
+    private function render_mode_step($current) {
+        $invoice_mode = $this->settings->get_invoice_mode();
+
+        $this->open_step('mode', $current, __('When should invoices be issued?', 'b2brouter-for-woocommerce'));
+        ?>
+            <fieldset>
+                <label>
+                    <input type="radio" name="invoice_mode" value="automatic" <?php checked($invoice_mode, 'automatic'); ?>>
+                    <?php esc_html_e('Automatic', 'b2brouter-for-woocommerce'); ?>
+                </label>
+                <p class="description"><?php esc_html_e('Generate invoice automatically when order is completed', 'b2brouter-for-woocommerce'); ?></p>
+
+                <label>
+                    <input type="radio" name="invoice_mode" value="manual" <?php checked($invoice_mode, 'manual'); ?>>
+                    <?php esc_html_e('Manual', 'b2brouter-for-woocommerce'); ?>
+                </label>
+                <p class="description"><?php esc_html_e('Generate invoice manually using a button in the order admin', 'b2brouter-for-woocommerce'); ?></p>
+            </fieldset>
+            <p><?php esc_html_e('Credit notes are generated automatically when you process a refund of an invoiced order.', 'b2brouter-for-woocommerce'); ?></p>
+        <?php
+        $this->close_step('mode');
+    }
+
+    /**
+     * Render the series and numbering step
+     *
+     * @since 1.0.0
+     * @param string $current Current step key
+     * @return void
+     */
+    private function render_numbering_step($current) {
+        $numbering_pattern = $this->settings->get_invoice_numbering_pattern();
+
+        $this->open_step('numbering', $current, __('Series and numbering', 'b2brouter-for-woocommerce'));
+        ?>
+            <p>
+                <label for="b2brouter_invoice_series_code"><?php esc_html_e('Invoice Series Code', 'b2brouter-for-woocommerce'); ?></label><br>
+                <input type="text"
+                       id="b2brouter_invoice_series_code"
+                       name="invoice_series_code"
+                       value="<?php echo esc_attr($this->settings->get_invoice_series_code()); ?>"
+                       class="regular-text"
+                       placeholder="INV"
+                       required
+                       aria-required="true">
+            </p>
+            <p>
+                <label for="b2brouter_credit_note_series_code"><?php esc_html_e('Credit Note Series Code', 'b2brouter-for-woocommerce'); ?></label><br>
+                <input type="text"
+                       id="b2brouter_credit_note_series_code"
+                       name="credit_note_series_code"
+                       value="<?php echo esc_attr($this->settings->get_credit_note_series_code()); ?>"
+                       class="regular-text"
+                       placeholder="CN"
+                       required
+                       aria-required="true">
+            </p>
+            <fieldset>
+                <legend><?php esc_html_e('Invoice Numbering Pattern', 'b2brouter-for-woocommerce'); ?></legend>
+                <label>
+                    <input type="radio" name="b2brouter_invoice_numbering_pattern" value="automatic" <?php checked($numbering_pattern, 'automatic'); ?>>
+                    <?php esc_html_e('Automatic (B2Brouter manages numbering)', 'b2brouter-for-woocommerce'); ?>
+                </label><br>
+                <label>
+                    <input type="radio" name="b2brouter_invoice_numbering_pattern" value="woocommerce" <?php checked($numbering_pattern, 'woocommerce'); ?>>
+                    <?php esc_html_e('WooCommerce Order Number', 'b2brouter-for-woocommerce'); ?>
+                </label>
+            </fieldset>
+            <div id="b2brouter_numbering_preview" class="b2brouter-numbering-preview" aria-live="polite">
+                <dl>
+                    <dt><?php esc_html_e('Invoice', 'b2brouter-for-woocommerce'); ?></dt>
+                    <dd class="b2brouter-numbering-preview-invoice">&hellip;</dd>
+                    <dt><?php esc_html_e('Credit note', 'b2brouter-for-woocommerce'); ?></dt>
+                    <dd class="b2brouter-numbering-preview-credit-note">&hellip;</dd>
+                </dl>
+                <div class="b2brouter-numbering-preview-warnings"></div>
+            </div>
+        <?php
+        $this->close_step('numbering');
+    }
+
+    /**
+     * Render the webhook step
+     *
+     * @since 1.0.0
+     * @param string $current Current step key
+     * @return void
+     */
+    private function render_webhook_step($current) {
+        $has_webhook_secret = $this->settings->get_webhook_secret() !== '';
+
+        $this->open_step('webhook', $current, __('Real-time status updates', 'b2brouter-for-woocommerce'));
+        ?>
+            <p><?php esc_html_e('With the webhook, B2Brouter tells your store as soon as an invoice is sent, accepted or refused. Without it, statuses are polled every hour.', 'b2brouter-for-woocommerce'); ?></p>
+            <p>
+                <label>
+                    <input type="checkbox" id="b2brouter_wizard_webhook_enabled" name="webhook_enabled" value="yes" <?php checked($this->settings->get_webhook_enabled()); ?>>
+                    <?php esc_html_e('Enable Webhooks', 'b2brouter-for-woocommerce'); ?>
+                </label>
+            </p>
+            <div class="b2brouter-wizard-webhook-fields">
+                <p>
+                    <label for="b2brouter_wizard_webhook_url"><?php esc_html_e('Webhook URL', 'b2brouter-for-woocommerce'); ?></label><br>
+                    <input type="text"
+                           id="b2brouter_wizard_webhook_url"
+                           value="<?php echo esc_attr($this->settings->get_webhook_url()); ?>"
+                           readonly
+                           class="regular-text">
+                    <button type="button" class="button button-secondary b2brouter-copy" data-copy-target="#b2brouter_wizard_webhook_url">
+                        <?php esc_html_e('Copy', 'b2brouter-for-woocommerce'); ?>
+                    </button>
+                </p>
+                <p>
+                    <label for="b2brouter_webhook_secret"><?php esc_html_e('Webhook Secret', 'b2brouter-for-woocommerce'); ?></label><br>
+                    <input type="password"
+                           id="b2brouter_webhook_secret"
+                           name="webhook_secret"
+                           value="<?php echo esc_attr($this->settings->get_webhook_secret()); ?>"
+                           class="regular-text"
+                           autocomplete="off">
+                    <button type="button" class="button button-secondary b2brouter-copy" data-copy-target="#b2brouter_webhook_secret">
+                        <?php esc_html_e('Copy', 'b2brouter-for-woocommerce'); ?>
+                    </button>
+                    <button type="button"
+                            id="b2brouter_generate_webhook_secret"
+                            class="button button-secondary"
+                            <?php echo $has_webhook_secret ? 'style="display:none;"' : ''; ?>>
+                        <?php esc_html_e('Generate secret', 'b2brouter-for-woocommerce'); ?>
+                    </button>
+                    <button type="button"
+                            id="b2brouter_rotate_webhook_secret"
+                            class="button button-secondary"
+                            <?php echo $has_webhook_secret ? '' : 'style="display:none;"'; ?>>
+                        <?php esc_html_e('Rotate secret', 'b2brouter-for-woocommerce'); ?>
+                    </button>
+                    <span id="b2brouter_webhook_secret_result" role="status"></span>
+                </p>
+                <p class="description"><?php esc_html_e('Add the URL and secret to the webhook settings of your B2Brouter dashboard, then send a test event to check that your store accepts signed deliveries.', 'b2brouter-for-woocommerce'); ?></p>
+                <p>
+                    <button type="button" id="b2brouter_wizard_webhook_test" class="button button-secondary">
+                        <?php esc_html_e('Send test event', 'b2brouter-for-woocommerce'); ?>
+                    </button>
+                    <span id="b2brouter_wizard_webhook_test_result" role="status"></span>
+                </p>
+            </div>
+        <?php
+        $this->close_step('webhook');
+    }
+
+    /**
+     * Render the email attachments step
+     *
+     * @since 1.0.0
+     * @param string $current Current step key
+     * @return void
+     */
+    private function render_emails_step($current) {
+        $this->open_step('emails', $current, __('Attach invoices to emails', 'b2brouter-for-woocommerce'));
+        ?>
+            <p><?php esc_html_e('Attach the invoice PDF to these WooCommerce customer emails:', 'b2brouter-for-woocommerce'); ?></p>
+            <fieldset>
+                <label>
+                    <input type="checkbox" name="attach_to_order_completed" value="1" <?php checked($this->settings->get_attach_to_order_completed()); ?>>
+                    <?php esc_html_e('Completed order', 'b2brouter-for-woocommerce'); ?>
+                </label><br>
+                <label>
+                    <input type="checkbox" name="attach_to_customer_invoice" value="1" <?php checked($this->settings->get_attach_to_customer_invoice()); ?>>
+                    <?php esc_html_e('Customer invoice', 'b2brouter-for-woocommerce'); ?>
+                </label><br>
+                <label>
+                    <input type="checkbox" name="attach_to_refunded_order" value="1" <?php checked($this->settings->get_attach_to_refunded_order()); ?>>
+                    <?php esc_html_e('Refunded order (credit note)', 'b2brouter-for-woocommerce'); ?>
+                </label>
+            </fieldset>
+        <?php
+        $this->close_step('emails');
+    }
+
+    /**
+     * Render the summary step
+     *
+     * @since 1.0.0
+     * @param string $current Current step key
+     * @param bool $finished Whether the wizard was finished before
+     * @return void
+     */
+    private function render_summary_step($current, $finished) {
+        $test_order = $this->get_test_order();
+
+        $this->open_step('summary', $current, __('Review and finish', 'b2brouter-for-woocommerce'));
+        ?>
+            <dl class="b2brouter-wizard-summary">
+                <?php foreach ($this->get_summary() as $row) : ?>
+                    <dt><?php echo esc_html($row['label']); ?></dt>
+                    <dd><?php echo esc_html($row['value']); ?></dd>
+                <?php endforeach; ?>
+            </dl>
+
+            <div class="b2brouter-wizard-test-invoice">
+                <h4><?php esc_html_e('Generate a test invoice', 'b2brouter-for-woocommerce'); ?></h4>
+                <?php if ($test_order) : ?>
+                    <p>
+                        <?php echo esc_html(sprintf(
+                            /* translators: %s: order number */
+                            __('Issue the invoice for your latest order, #%s, to check the whole chain. This is a real invoice, sent to the customer through your B2Brouter transport.', 'b2brouter-for-woocommerce'),
+                            $test_order->get_order_number()
+                        )); ?>
+                    </p>
+                    <p>
+                        <button type="button"
+                                id="b2brouter_wizard_test_invoice"
+                                class="button button-secondary"
+                                data-order-id="<?php echo esc_attr($test_order->get_id()); ?>"
+                                data-order-url="<?php echo esc_url($test_order->get_edit_order_url()); ?>">
+                            <?php esc_html_e('Generate test invoice', 'b2brouter-for-woocommerce'); ?>
+                        </button>
+                        <span id="b2brouter_wizard_test_invoice_result" role="status"></span>
+                    </p>
+                <?php else : ?>
+                    <p class="description"><?php esc_html_e('There is no processing or completed order without an invoice yet. Once there is, you can issue its invoice from the order screen.', 'b2brouter-for-woocommerce'); ?></p>
+                <?php endif; ?>
+            </div>
+
+            <div class="b2brouter-wizard-finished" <?php echo $finished ? '' : 'hidden'; ?>>
+                <p>
+                    <a href="<?php echo esc_url(admin_url('admin.php?page=b2brouter-settings')); ?>" class="button button-secondary"><?php esc_html_e('All settings', 'b2brouter-for-woocommerce'); ?></a>
+                    <a href="<?php echo esc_url(admin_url('admin.php?page=b2brouter-invoices')); ?>" class="button button-secondary"><?php esc_html_e('List of Invoices', 'b2brouter-for-woocommerce'); ?></a>
+                </p>
+            </div>
+        <?php
+        $this->close_step('summary', __('Finish setup', 'b2brouter-for-woocommerce'));
+    }
+
+    /**
+     * AJAX: Validate and save one wizard step
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_save_step() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $step = isset($_POST['step']) ? sanitize_key(wp_unslash($_POST['step'])) : '';
+
+        $data = array();
+        foreach (self::FIELDS as $field) {
+            if (isset($_POST[$field])) {
+                $data[$field] = sanitize_text_field(wp_unslash($_POST[$field]));
+            }
+        }
+
+        $result = $this->save_step($step, $data);
+
+        if ($result['success']) {
+            wp_send_json_success($result);
+        }
+
+        wp_send_json_error($result);
+    }
+}
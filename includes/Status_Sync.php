@@ -29,6 +29,30 @@ class Status_Sync {
      */
     const FINAL_STATES = array('sent', 'accepted', 'registered', 'paid', 'cancelled', 'closed');
 
+    /**
+     * Maximum number of status changes kept per invoice
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const HISTORY_LIMIT = 50;
+
+    /**
+     * States that need the merchant's attention rather than another poll
+     *
+     * @since 1.0.0
+     * @var array
+     */
+    const ATTENTION_STATES = array('error', 'refused');
+
+    /**
+     * Age after which an invoice still short of a final state counts as stuck
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const STUCK_AFTER = DAY_IN_SECONDS;
+
     /**
      * Settings instance
      *
@@ -381,6 +405,7 @@ class Status_Sync {
             // Store status in order meta
             $order->update_meta_data('_b2brouter_invoice_status', $status);
             $order->update_meta_data('_b2brouter_invoice_status_updated', time());
+            self::record_status_history($order, $status);
 
             // If status is error, store error message if available
             if ($status === 'error' && isset($invoice['error_message'])) {
@@ -399,21 +424,21 @@ class Status_Sync {
             );
 
         } catch (\B2BRouter\Exception\ResourceNotFoundException $e) {
-            Logger::warning('B2Brouter Status Sync - Invoice not found for order ' . $order_id . ' (invoice ' . $invoice_id . ')');
+            Logger::warning('B2Brouter Status Sync - Invoice not found for order ' . $order_id . ' (invoice ' . $invoice_id . ')', array('order_id' => $order_id, 'invoice_id' => $invoice_id));
             return array(
                 'success' => false,
                 'message' => __('Invoice not found in B2Brouter', 'b2brouter-for-woocommerce')
             );
 
         } catch (\B2BRouter\Exception\AuthenticationException $e) {
-            Logger::error('B2Brouter Status Sync - Authentication failed: ' . $e->getMessage());
+            Logger::error('B2Brouter Status Sync - Authentication failed: ' . $e->getMessage(), array('order_id' => $order_id));
             return array(
                 'success' => false,
                 'message' => __('API authentication failed', 'b2brouter-for-woocommerce')
             );
 
         } catch (\B2BRouter\Exception\ApiErrorException $e) {
-            Logger::error('B2Brouter Status Sync - API error for order ' . $order_id . ': ' . $e->getMessage());
+            Logger::error('B2Brouter Status Sync - API error for order ' . $order_id . ': ' . $e->getMessage(), array('order_id' => $order_id));
             return array(
                 'success' => false,
                 /* translators: %s: error message returned by the B2Brouter API */
@@ -421,7 +446,7 @@ class Status_Sync {
             );
 
         } catch (\Exception $e) {
-            Logger::error('B2Brouter Status Sync - Error for order ' . $order_id . ': ' . $e->getMessage());
+            Logger::error('B2Brouter Status Sync - Error for order ' . $order_id . ': ' . $e->getMessage(), array('order_id' => $order_id));
             return array(
                 'success' => false,
                 'message' => $e->getMessage()
@@ -459,6 +484,81 @@ class Status_Sync {
         return in_array(strtolower($status), self::FINAL_STATES, true);
     }
 
+    /**
+     * Build the meta query matching stuck invoices
+     *
+     * An invoice is stuck when it was issued more than STUCK_AFTER ago and
+     * has neither reached a final state nor failed in a way the merchant
+     * already sees (ATTENTION_STATES), i.e. it is still waiting on sync.
+     *
+     * @since 1.0.0
+     * @param int|null $now Current time, defaults to time()
+     * @return array Meta query clauses, to be combined with the invoice ID check
+     */
+    public static function get_stuck_meta_query($now = null) {
+        $now = $now === null ? time() : (int) $now;
+
+        return array(
+            // _b2brouter_invoice_date is stored in site time (current_time('mysql'))
+            array(
+                'key'     => '_b2brouter_invoice_date',
+                'value'   => wp_date('Y-m-d H:i:s', $now - self::STUCK_AFTER),
+                'compare' => '<',
+                'type'    => 'DATETIME',
+            ),
+            array(
+                'relation' => 'OR',
+                array(
+                    'key'     => '_b2brouter_invoice_status',
+                    'compare' => 'NOT EXISTS',
+                ),
+                array(
+                    'key'     => '_b2brouter_invoice_status',
+                    'value'   => array_merge(self::FINAL_STATES, self::ATTENTION_STATES),
+                    'compare' => 'NOT IN',
+                ),
+            ),
+        );
+    }
+
+    /**
+     * Append a status change to the order's invoice status history
+     *
+     * Consecutive duplicates are ignored so repeated polls of an unchanged
+     * invoice don't grow the history. The caller is responsible for saving
+     * the order.
+     *
+     * @since 1.0.0
+     * @param \WC_Order|\WC_Order_Refund $order Order or refund holding the invoice
+     * @param string $status New invoice status
+     * @param int|null $time Unix timestamp of the change, defaults to now
+     * @return bool True if an entry was added
+     */
+    public static function record_status_history($order, $status, $time = null) {
+        $status = strtolower((string) $status);
+
+        if ($status === '') {
+            return false;
+        }
+
+        $history = $order->get_meta('_b2brouter_invoice_status_history');
+        $history = is_array($history) ? $history : array();
+        $last = end($history);
+
+        if ($last && $last['status'] === $status) {
+            return false;
+        }
+
+        $history[] = array(
+            'status' => $status,
+            'time'   => $time === null ? time() : (int) $time,
+        );
+
+        $order->update_meta_data('_b2brouter_invoice_status_history', array_slice($history, -self::HISTORY_LIMIT));
+
+        return true;
+    }
+
     /**
      * Get B2Brouter client instance
      *
@@ -0,0 +1,243 @@
+<?php
+/**
+ * TIN Validator
+ *
+ * Format checks for Tax ID / VAT numbers entered at checkout
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Tin_Validator class
+ *
+ * Checks a TIN against the VAT number format of its country, taken from an
+ * EU-style prefix ("DE123456789") or, without one, from the billing country.
+ * Spanish NIF, NIE and CIF numbers also get their check digit verified.
+ *
+ * This is a format check only: it cannot tell whether a number is actually
+ * registered (that needs a VIES lookup). The same rules are passed to
+ * assets/js/tin-validation.js so checkout feedback matches the server.
+ *
+ * @since 1.0.0
+ */
+class Tin_Validator {
+
+    /**
+     * VAT number formats keyed by VAT prefix, without the prefix itself
+     *
+     * Patterns are written in the subset shared by PCRE and JavaScript so
+     * they can be sent to the browser unchanged.
+     *
+     * @since 1.0.0
+     * @var array<string, string>
+     */
+    const FORMAT_RULES = array(
+        'AT' => 'U\d{8}',
+        'BE' => '[01]\d{9}',
+        'BG' => '\d{9,10}',
+        'CY' => '\d{8}[A-Z]',
+        'CZ' => '\d{8,10}',
+        'DE' => '\d{9}',
+        'DK' => '\d{8}',
+        'EE' => '\d{9}',
+        'EL' => '\d{9}',
+        'ES' => '[A-Z0-9]\d{7}[A-Z0-9]',
+        'FI' => '\d{8}',
+        'FR' => '[A-HJ-NP-Z0-9]{2}\d{9}',
+        'HR' => '\d{11}',
+        'HU' => '\d{8}',
+        'IE' => '\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W]',
+        'IT' => '\d{11}',
+        'LT' => '\d{9}|\d{12}',
+        'LU' => '\d{8}',
+        'LV' => '\d{11}',
+        'MT' => '\d{8}',
+        'NL' => '\d{9}B\d{2}',
+        'PL' => '\d{10}',
+        'PT' => '\d{9}',
+        'RO' => '\d{2,10}',
+        'SE' => '\d{10}01',
+        'SI' => '\d{8}',
+        'SK' => '\d{10}',
+        'XI' => '\d{9}|\d{12}|GD\d{3}|HA\d{3}',
+        // Non-EU VAT registers using the same prefix convention
+        'GB' => '\d{9}|\d{12}|GD\d{3}|HA\d{3}',
+        'CH' => 'E\d{9}(MWST|TVA|IVA)?',
+        'NO' => '\d{9}(MVA)?',
+    );
+
+    /**
+     * Countries whose VAT prefix differs from their ISO code
+     *
+     * @since 1.0.0
+     * @var array<string, string>
+     */
+    const PREFIX_OVERRIDES = array(
+        'GR' => 'EL',
+    );
+
+    /**
+     * Check letters for Spanish DNI/NIE numbers (number mod 23)
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const SPANISH_NIF_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+    /**
+     * Strip the separators people type into tax numbers and uppercase them
+     *
+     * @since 1.0.0
+     * @param string $tin Raw TIN
+     * @return string Normalized TIN
+     */
+    public static function normalize($tin) {
+        return strtoupper((string) preg_replace('/[\s.\-\/]/', '', (string) $tin));
+    }
+
+    /**
+     * Get the VAT prefix for a billing country
+     *
+     * @since 1.0.0
+     * @param string $country Two-letter country code
+     * @return string VAT prefix
+     */
+    public static function get_vat_prefix($country) {
+        $country = strtoupper((string) $country);
+
+        return isset(self::PREFIX_OVERRIDES[$country]) ? self::PREFIX_OVERRIDES[$country] : $country;
+    }
+
+    /**
+     * Validate a TIN
+     *
+     * An empty TIN is valid: the field is optional and simplified invoices
+     * don't need one. So is a TIN from a country without a known format.
+     *
+     * @since 1.0.0
+     * @param string $tin TIN as entered
+     * @param string $country Billing country, used when the TIN has no prefix
+     * @return array{valid: bool, tin: string, scheme: string, message: string}
+     */
+    public static function validate($tin, $country = '') {
+        $normalized = self::normalize($tin);
+        $result = array(
+            'valid'   => true,
+            'tin'     => $normalized,
+            'scheme'  => '',
+            'message' => '',
+        );
+
+        if ($normalized === '') {
+            return $result;
+        }
+
+        $prefix = substr($normalized, 0, 2);
+
+        if (isset(self::FORMAT_RULES[$prefix])) {
+            $scheme = $prefix;
+            $number = substr($normalized, 2);
+        } else {
+            $scheme = self::get_vat_prefix($country);
+            $number = $normalized;
+        }
+
+        if (!isset(self::FORMAT_RULES[$scheme])) {
+            return $result;
+        }
+
+        $result['scheme'] = $scheme;
+
+        if (!preg_match('/^(?:' . self::FORMAT_RULES[$scheme] . ')$/', $number)) {
+            $result['valid'] = false;
+            $result['message'] = sprintf(self::get_messages()['format'], $scheme);
+            return $result;
+        }
+
+        if ($scheme === 'ES' && !self::is_valid_spanish_tin($number)) {
+            $result['valid'] = false;
+            $result['message'] = self::get_messages()['checksum'];
+        }
+
+        return $result;
+    }
+
+    /**
+     * Get the validation messages, shared with tin-validation.js
+     *
+     * @since 1.0.0
+     * @return array{format: string, checksum: string}
+     */
+    public static function get_messages() {
+        return array(
+            /* translators: %s: VAT country prefix, e.g. "DE" */
+            'format'   => __('This Tax ID / VAT number does not match the %s format.', 'b2brouter-for-woocommerce'),
+            'checksum' => __('The check digit of this Spanish NIF / CIF is not valid.', 'b2brouter-for-woocommerce'),
+        );
+    }
+
+    /**
+     * Verify the check digit of a Spanish NIF (DNI, NIE, K/L/M) or CIF
+     *
+     * @since 1.0.0
+     * @param string $number Normalized number without the ES prefix
+     * @return bool True if the check digit matches
+     */
+    public static function is_valid_spanish_tin($number) {
+        // DNI: 8 digits + letter
+        if (preg_match('/^(\d{8})([A-Z])$/', $number, $matches)) {
+            return self::SPANISH_NIF_LETTERS[(int) $matches[1] % 23] === $matches[2];
+        }
+
+        // NIE: X/Y/Z stand for 0/1/2 in front of the 7 digits
+        if (preg_match('/^([XYZ])(\d{7})([A-Z])$/', $number, $matches)) {
+            $digits = strpos('XYZ', $matches[1]) . $matches[2];
+            return self::SPANISH_NIF_LETTERS[(int) $digits % 23] === $matches[3];
+        }
+
+        // K/L/M NIFs (minors, non-residents) use the DNI letter on their 7 digits
+        if (preg_match('/^[KLM](\d{7})([A-Z])$/', $number, $matches)) {
+            return self::SPANISH_NIF_LETTERS[(int) $matches[1] % 23] === $matches[2];
+        }
+
+        // CIF: organisation letter + 7 digits + control digit or letter
+        if (preg_match('/^([ABCDEFGHJNPQRSUVW])(\d{7})([0-9A-J])$/', $number, $matches)) {
+            $sum = 0;
+
+            for ($i = 0; $i < 7; $i++) {
+                $digit = (int) $matches[2][$i];
+
+                if ($i % 2 === 0) {
+                    $digit *= 2;
+                    $digit = intdiv($digit, 10) + ($digit % 10);
+                }
+
+                $sum += $digit;
+            }
+
+            $control = (10 - ($sum % 10)) % 10;
+            $control_letter = 'JABCDEFGHI'[$control];
+
+            // Public bodies and non-resident entities use a letter; companies
+            // such as S.A. and S.L. use a digit; the rest may use either.
+            if (strpos('NPQRSW', $matches[1]) !== false) {
+                return $matches[3] === $control_letter;
+            }
+
+            if (strpos('ABEH', $matches[1]) !== false) {
+                return $matches[3] === (string) $control;
+            }
+
+            return $matches[3] === (string) $control || $matches[3] === $control_letter;
+        }
+
+        return false;
+    }
+}
@@ -33,11 +33,13 @@ class Uninstaller {
         '_b2brouter_invoice_status',
         '_b2brouter_invoice_status_updated',
         '_b2brouter_invoice_status_error',
+        '_b2brouter_invoice_status_history',
         '_b2brouter_last_webhook_received',
         '_b2brouter_invoice_pdf_path',
         '_b2brouter_invoice_pdf_filename',
         '_b2brouter_invoice_pdf_size',
         '_b2brouter_invoice_pdf_date',
+        '_b2brouter_correction_request',
     );
 
     /**
@@ -49,6 +51,8 @@ class Uninstaller {
         '_b2brouter_invoice_number',
         '_b2brouter_invoice_series_code',
         '_b2brouter_invoice_date',
+        '_b2brouter_corrective_invoices',
+        '_b2brouter_invoice_regenerations',
     );
 
     /**
@@ -58,6 +62,7 @@ class Uninstaller {
         'b2brouter_sync_invoice_status',
         'b2brouter_cleanup_old_pdfs',
         'b2brouter_sync_single_invoice',
+        'b2brouter_process_retry_queue',
     );
 
     /**
@@ -87,10 +92,20 @@ class Uninstaller {
         'b2brouter_invoice_numbering_pattern',
         'b2brouter_custom_numbering_pattern',
         'b2brouter_webhook_secret',
+        'b2brouter_webhook_previous_secret',
+        'b2brouter_webhook_secret_grace_until',
         'b2brouter_webhook_enabled',
         'b2brouter_webhook_fallback_polling',
         'b2brouter_status_sync_last_run',
         'b2brouter_delete_archival_data',
+        'b2brouter_tin_validation',
+        'b2brouter_webhook_log',
+        'b2brouter_webhook_rejected',
+        'b2brouter_setup_progress',
+        'b2brouter_pdf_storage_history',
+        'b2brouter_event_log',
+        'b2brouter_event_log_db_version',
+        'b2brouter_retry_queue',
     );
 
     /**
@@ -98,6 +113,7 @@ class Uninstaller {
      */
     const TRANSIENT_KEYS = array(
         'b2brouter_validated_accounts',
+        'b2brouter_dashboard_stats',
     );
 
     /**
@@ -136,6 +152,7 @@ class Uninstaller {
         $this->unschedule_cron();
         $this->delete_order_meta($delete_archival);
         $this->delete_pdf_directory();
+        $this->drop_tables();
         $this->delete_options_and_transients();
     }
 
@@ -297,6 +314,22 @@ class Uninstaller {
         return $upload_dir['basedir'] . '/b2brouter-invoices';
     }
 
+    /**
+     * Drop the plugin's own tables.
+     *
+     * @return void
+     */
+    public function drop_tables() {
+        global $wpdb;
+
+        if (!isset($wpdb)) {
+            return;
+        }
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange, WordPress.DB.PreparedSQL.NotPrepared -- fixed table name
+        $wpdb->query('DROP TABLE IF EXISTS ' . Event_Log::get_table_name());
+    }
+
     /**
      * Delete all plugin options and transients.
      *
@@ -52,6 +52,10 @@ class Webhook_Handler {
 
         // Register REST API endpoint
         add_action('rest_api_init', array($this, 'register_webhook_endpoint'));
+
+        // Settings page connectivity test and delivery log
+        add_action('wp_ajax_b2brouter_webhook_test', array($this, 'ajax_send_test_event'));
+        add_action('wp_ajax_b2brouter_webhook_log', array($this, 'ajax_get_delivery_log'));
     }
 
     /**
@@ -71,29 +75,53 @@ class Webhook_Handler {
     /**
      * Handle incoming webhook request
      *
+     * Verified deliveries are recorded in Webhook_Log with the response they
+     * got; rejected requests only go to its rate-limited rejected store.
+     *
      * @since 1.0.0
      * @param \WP_REST_Request $request REST request object
      * @return \WP_REST_Response REST response
      */
     public function handle_webhook_request($request) {
-        // Check if webhooks are enabled
-        if (!$this->settings->get_webhook_enabled()) {
-            return new \WP_REST_Response(array(
-                'error' => 'Webhooks are disabled'
-            ), 403);
-        }
-
         // Get raw body for signature verification
         $raw_body = $request->get_body();
+        $entry = $this->describe_delivery($raw_body);
 
-        // Verify webhook signature
-        if (!$this->verify_webhook_signature($request, $raw_body)) {
+        if (!$this->settings->get_webhook_enabled()) {
+            $response = new \WP_REST_Response(array(
+                'error' => 'Webhooks are disabled'
+            ), 403);
+        } elseif (!$this->verify_webhook_signature($request, $raw_body)) {
             Logger::error('B2Brouter webhook signature verification failed');
-            return new \WP_REST_Response(array(
+            $entry['signature'] = 'invalid';
+            $response = new \WP_REST_Response(array(
                 'error' => 'Invalid signature'
             ), 401);
+        } else {
+            $entry['signature'] = 'valid';
+            $response = $this->handle_verified_payload($raw_body);
+        }
+
+        $data = $response->get_data();
+        $entry['status'] = $response->get_status();
+        $entry['message'] = isset($data['error']) ? $data['error'] : $data['message'];
+        if ($entry['signature'] === 'valid') {
+            Webhook_Log::record($entry);
+        } else {
+            Webhook_Log::record_rejected($entry);
         }
 
+        return $response;
+    }
+
+    /**
+     * Handle a payload whose signature has been verified
+     *
+     * @since 1.0.0
+     * @param string $raw_body Raw request body
+     * @return \WP_REST_Response REST response
+     */
+    private function handle_verified_payload($raw_body) {
         // Parse JSON payload
         $payload = json_decode($raw_body, true);
 
@@ -112,6 +140,14 @@ class Webhook_Handler {
             ), 400);
         }
 
+        // Test events from the settings page only prove the signature round-trip
+        if (!empty($payload['test'])) {
+            return new \WP_REST_Response(array(
+                'success' => true,
+                'message' => 'Test event received'
+            ), 200);
+        }
+
         // Process based on event type
         $result = $this->process_webhook_event($payload);
 
@@ -127,6 +163,187 @@ class Webhook_Handler {
         }
     }
 
+    /**
+     * Pick the event code and invoice ID out of a raw body for the delivery log
+     *
+     * The body is not trusted yet at this point; Webhook_Log sanitizes
+     * whatever is found.
+     *
+     * @since 1.0.0
+     * @param string $raw_body Raw request body
+     * @return array{event: string, invoice_id: string, signature: string, test: bool}
+     */
+    private function describe_delivery($raw_body) {
+        $payload = json_decode($raw_body, true);
+        $entry = array(
+            'event'      => '',
+            'invoice_id' => '',
+            'signature'  => 'skipped',
+            'test'       => false,
+        );
+
+        if (!is_array($payload)) {
+            return $entry;
+        }
+
+        if (isset($payload['code']) && is_string($payload['code'])) {
+            $entry['event'] = $payload['code'];
+        }
+
+        if (!empty($payload['data']['invoice_id']) && is_scalar($payload['data']['invoice_id'])) {
+            $entry['invoice_id'] = (string) $payload['data']['invoice_id'];
+        }
+
+        $entry['test'] = !empty($payload['test']);
+
+        return $entry;
+    }
+
+    /**
+     * Build the X-B2Brouter-Signature header value for a body
+     *
+     * @since 1.0.0
+     * @param string $raw_body Raw request body
+     * @param string $secret Webhook secret
+     * @param int $timestamp Unix timestamp of the delivery
+     * @return string Header value: t={timestamp},s={signature}
+     */
+    public static function sign_payload($raw_body, $secret, $timestamp) {
+        return 't=' . $timestamp . ',s=' . hash_hmac('sha256', $timestamp . '.' . $raw_body, $secret);
+    }
+
+    /**
+     * Send a signed test event to this site's own webhook endpoint
+     *
+     * Goes through the public REST URL, so a pass also proves the endpoint is
+     * reachable over HTTP (no security plugin or proxy blocking it) and that
+     * the stored secret verifies.
+     *
+     * @since 1.0.0
+     * @return array{success: bool, status: int, message: string}
+     */
+    public function send_test_event() {
+        $secret = $this->settings->get_webhook_secret();
+
+        if (!$this->settings->get_webhook_enabled() || empty($secret)) {
+            return array(
+                'success' => false,
+                'status' => 0,
+                'message' => __('Enable webhooks and save a webhook secret before sending a test event.', 'b2brouter-for-woocommerce'),
+            );
+        }
+
+        $body = wp_json_encode(array(
+            'code' => 'issued_invoice.state_change',
+            'test' => true,
+            'data' => array(
+                'invoice_id' => 0,
+                'state' => 'sent',
+            ),
+        ));
+
+        $response = wp_remote_post($this->settings->get_webhook_url(), array(
+            'timeout' => 15,
+            'headers' => array(
+                'Content-Type' => 'application/json',
+                'X-B2Brouter-Signature' => self::sign_payload($body, $secret, time()),
+            ),
+            'body' => $body,
+            // Loopback request: same filter WordPress core uses for its own
+            'sslverify' => apply_filters('https_local_ssl_verify', false),
+        ));
+
+        if (is_wp_error($response)) {
+            Logger::error(sprintf('B2Brouter webhook test event failed: %s', $response->get_error_message()));
+            return array(
+                'success' => false,
+                'status' => 0,
+                'message' => sprintf(
+                    /* translators: %s: HTTP error message */
+                    __('The webhook URL could not be reached: %s', 'b2brouter-for-woocommerce'),
+                    $response->get_error_message()
+                ),
+            );
+        }
+
+        $status = intval(wp_remote_retrieve_response_code($response));
+        $data = json_decode(wp_remote_retrieve_body($response), true);
+
+        if ($status === 200) {
+            return array(
+                'success' => true,
+                'status' => $status,
+                'message' => __('Test event delivered and its signature verified.', 'b2brouter-for-woocommerce'),
+            );
+        }
+
+        return array(
+            'success' => false,
+            'status' => $status,
+            'message' => sprintf(
+                /* translators: %1$d: HTTP status code, %2$s: error returned by the endpoint */
+                __('The webhook endpoint answered HTTP %1$d: %2$s', 'b2brouter-for-woocommerce'),
+                $status,
+                isset($data['error']) ? sanitize_text_field($data['error']) : __('unexpected response', 'b2brouter-for-woocommerce')
+            ),
+        );
+    }
+
+    /**
+     * AJAX handler: send a test event from the settings page
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_send_test_event() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $result = $this->send_test_event();
+
+        if ($result['success']) {
+            wp_send_json_success($result);
+        }
+
+        wp_send_json_error($result);
+    }
+
+    /**
+     * AJAX handler: one page of the webhook delivery log
+     *
+     * @since 1.0.0
+     * @return void
+     */
+    public function ajax_get_delivery_log() {
+        check_ajax_referer('b2brouter_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Permission denied', 'b2brouter-for-woocommerce')));
+        }
+
+        $signature = isset($_POST['signature']) ? sanitize_key(wp_unslash($_POST['signature'])) : '';
+        $outcome = isset($_POST['outcome']) ? sanitize_key(wp_unslash($_POST['outcome'])) : '';
+        $page = isset($_POST['page']) ? intval($_POST['page']) : 1;
+
+        $log = Webhook_Log::query(array(
+            'signature' => in_array($signature, Webhook_Log::SIGNATURE_RESULTS, true) ? $signature : '',
+            'outcome' => in_array($outcome, array('success', 'failure'), true) ? $outcome : '',
+            'invoice_id' => isset($_POST['invoice_id']) ? sanitize_text_field(wp_unslash($_POST['invoice_id'])) : '',
+        ), $page);
+
+        $date_format = get_option('date_format') . ' ' . get_option('time_format');
+
+        foreach ($log['entries'] as &$entry) {
+            $entry['date'] = wp_date($date_format, $entry['time']);
+        }
+        unset($entry);
+
+        wp_send_json_success($log);
+    }
+
     /**
      * Verify webhook signature using HMAC-SHA256
      *
@@ -177,11 +394,20 @@ class Webhook_Handler {
         // Reconstruct signed payload: {timestamp}.{raw_body}
         $signed_payload = $timestamp . '.' . $raw_body;
 
-        // Calculate expected signature
-        $expected_signature = hash_hmac('sha256', $signed_payload, $webhook_secret);
+        // Timing-safe comparison against the current secret
+        if (hash_equals(hash_hmac('sha256', $signed_payload, $webhook_secret), $signature)) {
+            return true;
+        }
+
+        // After a rotation, B2Brouter may still sign with the old secret
+        $previous_secret = $this->settings->get_webhook_previous_secret();
+
+        if (!empty($previous_secret) && hash_equals(hash_hmac('sha256', $signed_payload, $previous_secret), $signature)) {
+            Logger::info('B2Brouter webhook signed with the previous secret during its grace period');
+            return true;
+        }
 
-        // Timing-safe comparison
-        return hash_equals($expected_signature, $signature);
+        return false;
     }
 
     /**
@@ -236,7 +462,7 @@ class Webhook_Handler {
             Logger::warning(sprintf(
                 'B2Brouter webhook received for unknown invoice ID: %d',
                 $invoice_id
-            ));
+            ), array('invoice_id' => $invoice_id));
             return array(
                 'success' => false,
                 'message' => 'Invoice not found',
@@ -261,6 +487,7 @@ class Webhook_Handler {
         // Update order status
         $order->update_meta_data('_b2brouter_invoice_status', $new_status);
         $order->update_meta_data('_b2brouter_invoice_status_updated', time());
+        Status_Sync::record_status_history($order, $new_status);
 
         // Mark webhook receipt for fallback polling
         $order->update_meta_data('_b2brouter_last_webhook_received', time());
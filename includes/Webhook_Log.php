@@ -0,0 +1,230 @@
+<?php
+/**
+ * Webhook Delivery Log
+ *
+ * Keeps a short history of incoming webhook deliveries for the settings page
+ *
+ * @package B2Brouter\WooCommerce
+ * @since 1.0.0
+ */
+
+namespace B2Brouter\WooCommerce;
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Webhook_Log class
+ *
+ * Deliveries that pass signature verification are recorded here with the
+ * response they got; only the newest MAX_ENTRIES are kept. Requests
+ * rejected before the payload is trusted (bad signature, webhooks disabled)
+ * go to a separate store of MAX_REJECTED entries written at most once per
+ * REJECTED_INTERVAL, so unauthenticated requests can neither push real
+ * deliveries out of the log nor write to the database on every hit. That
+ * is still enough to tell "B2Brouter never called us" apart from "the
+ * secret does not match".
+ *
+ * @since 1.0.0
+ */
+class Webhook_Log {
+
+    /**
+     * Option holding the log entries, newest first
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const OPTION = 'b2brouter_webhook_log';
+
+    /**
+     * Number of deliveries kept
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const MAX_ENTRIES = 100;
+
+    /**
+     * Option holding the rejected requests, newest first
+     *
+     * @since 1.0.0
+     * @var string
+     */
+    const REJECTED_OPTION = 'b2brouter_webhook_rejected';
+
+    /**
+     * Number of rejected requests kept
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const MAX_REJECTED = 10;
+
+    /**
+     * Minimum seconds between two recorded rejected requests
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const REJECTED_INTERVAL = 60;
+
+    /**
+     * Entries per page on the settings screen
+     *
+     * @since 1.0.0
+     * @var int
+     */
+    const PER_PAGE = 20;
+
+    /**
+     * Signature results a delivery can be logged with
+     *
+     * 'skipped' means the request was rejected before the signature was
+     * checked (webhooks disabled).
+     *
+     * @since 1.0.0
+     * @var string[]
+     */
+    const SIGNATURE_RESULTS = array('valid', 'invalid', 'skipped');
+
+    /**
+     * Record a delivery whose signature was verified
+     *
+     * @since 1.0.0
+     * @param array $entry {
+     *     @type string $event      Event code from the payload
+     *     @type string $invoice_id B2Brouter invoice ID from the payload
+     *     @type string $signature  One of SIGNATURE_RESULTS
+     *     @type int    $status     HTTP status returned to the sender
+     *     @type string $message    Response message or error
+     *     @type bool   $test       Whether this was a test event from the settings page
+     * }
+     * @return void
+     */
+    public static function record(array $entry) {
+        $entries = self::get_entries();
+        array_unshift($entries, self::sanitize_entry($entry));
+
+        // Not autoloaded: only the settings page reads it
+        update_option(self::OPTION, array_slice($entries, 0, self::MAX_ENTRIES), false);
+    }
+
+    /**
+     * Record a request rejected before its payload was trusted
+     *
+     * Skipped when another rejected request was recorded less than
+     * REJECTED_INTERVAL seconds ago.
+     *
+     * @since 1.0.0
+     * @param array $entry Same keys as record()
+     * @return bool True if the request was recorded
+     */
+    public static function record_rejected(array $entry) {
+        $entries = self::get_rejected_entries();
+
+        if (!empty($entries) && $entries[0]['time'] > time() - self::REJECTED_INTERVAL) {
+            return false;
+        }
+
+        array_unshift($entries, self::sanitize_entry($entry));
+        update_option(self::REJECTED_OPTION, array_slice($entries, 0, self::MAX_REJECTED), false);
+
+        return true;
+    }
+
+    /**
+     * Normalize an untrusted entry before it is stored
+     *
+     * @since 1.0.0
+     * @param array $entry Entry as passed to record()
+     * @return array Stored entry, with the current time
+     */
+    private static function sanitize_entry(array $entry) {
+        return array(
+            'time'       => time(),
+            'event'      => isset($entry['event']) ? substr(sanitize_text_field($entry['event']), 0, 100) : '',
+            'invoice_id' => isset($entry['invoice_id']) ? substr(sanitize_text_field((string) $entry['invoice_id']), 0, 50) : '',
+            'signature'  => isset($entry['signature']) && in_array($entry['signature'], self::SIGNATURE_RESULTS, true) ? $entry['signature'] : 'skipped',
+            'status'     => isset($entry['status']) ? intval($entry['status']) : 0,
+            'message'    => isset($entry['message']) ? substr(sanitize_text_field($entry['message']), 0, 255) : '',
+            'test'       => !empty($entry['test']),
+        );
+    }
+
+    /**
+     * Get all logged deliveries, newest first
+     *
+     * @since 1.0.0
+     * @return array[] Log entries
+     */
+    public static function get_entries() {
+        $entries = get_option(self::OPTION, array());
+
+        return is_array($entries) ? $entries : array();
+    }
+
+    /**
+     * Get the recorded rejected requests, newest first
+     *
+     * @since 1.0.0
+     * @return array[] Log entries
+     */
+    public static function get_rejected_entries() {
+        $entries = get_option(self::REJECTED_OPTION, array());
+
+        return is_array($entries) ? $entries : array();
+    }
+
+    /**
+     * Get one page of deliveries matching the filters
+     *
+     * @since 1.0.0
+     * @param array $filters {
+     *     @type string $signature  Signature result to match, or '' for any
+     *     @type string $outcome    'success' (2xx), 'failure' (anything else), or '' for any
+     *     @type string $invoice_id Invoice ID to match, or '' for any
+     * }
+     * @param int $page 1-based page number
+     * @param int $per_page Entries per page
+     * @return array{entries: array[], total: int, page: int, total_pages: int}
+     */
+    public static function query(array $filters = array(), $page = 1, $per_page = self::PER_PAGE) {
+        $signature = isset($filters['signature']) ? $filters['signature'] : '';
+        $outcome = isset($filters['outcome']) ? $filters['outcome'] : '';
+        $invoice_id = isset($filters['invoice_id']) ? (string) $filters['invoice_id'] : '';
+
+        $entries = array_merge(self::get_entries(), self::get_rejected_entries());
+
+        usort($entries, function ($a, $b) {
+            return $b['time'] - $a['time'];
+        });
+
+        $entries = array_values(array_filter($entries, function ($entry) use ($signature, $outcome, $invoice_id) {
+            if ($signature !== '' && $entry['signature'] !== $signature) {
+                return false;
+            }
+
+            $succeeded = $entry['status'] >= 200 && $entry['status'] < 300;
+
+            if (($outcome === 'success' && !$succeeded) || ($outcome === 'failure' && $succeeded)) {
+                return false;
+            }
+
+            return $invoice_id === '' || (string) $entry['invoice_id'] === $invoice_id;
+        }));
+
+        $per_page = max(1, intval($per_page));
+        $total = count($entries);
+        $total_pages = max(1, (int) ceil($total / $per_page));
+        $page = min(max(1, intval($page)), $total_pages);
+
+        return array(
+            'entries'     => array_slice($entries, ($page - 1) * $per_page, $per_page),
+            'total'       => $total,
+            'page'        => $page,
+            'total_pages' => $total_pages,
+        );
+    }
+}
@@ -9,6 +9,12 @@ use PHPUnit\Framework\TestCase;
 use B2Brouter\WooCommerce\Admin;
 use B2Brouter\WooCommerce\Settings;
 use B2Brouter\WooCommerce\Invoice_Generator;
+use B2Brouter\WooCommerce\Order_Handler;
+use B2Brouter\WooCommerce\Status_Sync;
+use B2Brouter\WooCommerce\Setup_Wizard;
+use B2Brouter\WooCommerce\Retry_Queue;
+use B2Brouter\WooCommerce\Customer;
+use B2Brouter\WooCommerce\Correction_Request;
 
 
 /**
@@ -86,6 +92,8 @@ class AdminTest extends TestCase {
         $this->assertArrayHasKey('admin_enqueue_scripts', $wp_actions);
         $this->assertArrayHasKey('wp_ajax_b2brouter_validate_api_key', $wp_actions);
         $this->assertArrayHasKey('wp_ajax_b2brouter_generate_invoice', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_resolve_correction', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_save_settings_section', $wp_actions);
 
         // Check filters
         $this->assertArrayHasKey('plugin_action_links_' . B2BROUTER_WC_PLUGIN_BASENAME, $wp_filters);
@@ -201,6 +209,22 @@ class AdminTest extends TestCase {
         $this->assertStringContainsString('electronic invoices', $output);
     }
 
+    /**
+     * Test render_welcome_page hosts the setup wizard
+     *
+     * @return void
+     */
+    public function test_render_welcome_page_renders_setup_wizard() {
+        $setup_wizard = $this->createMock(Setup_Wizard::class);
+        $setup_wizard->expects($this->once())->method('render');
+
+        $admin = new Admin($this->mock_settings, $this->mock_invoice_generator, null, null, $setup_wizard);
+
+        ob_start();
+        $admin->render_welcome_page();
+        ob_end_clean();
+    }
+
     /**
      * Test render_invoices_page outputs list table
      *
@@ -241,6 +265,26 @@ class AdminTest extends TestCase {
         $this->assertEquals('manage_woocommerce', $invoices_page['capability']);
     }
 
+    /**
+     * Test add_admin_menu adds the retry queue page with a count bubble
+     *
+     * @return void
+     */
+    public function test_add_admin_menu_includes_retry_queue_page() {
+        global $wp_submenu_pages, $wp_options;
+        $wp_options = array();
+
+        $this->admin->add_admin_menu();
+        $this->assertSame('Retry Queue', $wp_submenu_pages['b2brouter']['b2brouter-retry-queue']['menu_title']);
+
+        Retry_Queue::add(12, 'Service unavailable');
+        $this->admin->add_admin_menu();
+
+        $page = $wp_submenu_pages['b2brouter']['b2brouter-retry-queue'];
+        $this->assertStringContainsString('<span class="awaiting-mod">1</span>', $page['menu_title']);
+        $this->assertEquals('manage_options', $page['capability']);
+    }
+
     /**
      * Helper to call an AJAX handler and capture the JSON response
      *
@@ -260,6 +304,218 @@ class AdminTest extends TestCase {
         $this->fail('AJAX handler did not call wp_send_json');
     }
 
+    /**
+     * Test ajax_generate_invoice returns meta box and column fragments
+     *
+     * @return void
+     */
+    public function test_ajax_generate_invoice_returns_rendered_fragments() {
+        global $wc_mock_orders;
+
+        $order = new WC_Order(301);
+        $order->add_meta_data('_b2brouter_invoice_id', 'inv-301', true);
+        $wc_mock_orders[301] = $order;
+
+        $this->mock_invoice_generator->method('generate_invoice')
+            ->willReturn(array('success' => true, 'message' => 'Invoice generated'));
+
+        $order_handler = $this->createMock(Order_Handler::class);
+        $order_handler->method('get_invoice_meta_box_html')->willReturn('<div class="b2brouter-invoice-meta-box">new</div>');
+        $order_handler->method('get_invoice_column_html')->willReturn('<span>Pending</span>');
+
+        $admin = new Admin($this->mock_settings, $this->mock_invoice_generator, null, $order_handler);
+
+        $_POST['order_id'] = '301';
+        $response = $this->callAjaxHandler(array($admin, 'ajax_generate_invoice'));
+        unset($_POST['order_id'], $wc_mock_orders[301]);
+
+        $this->assertTrue($response['success']);
+        $this->assertSame('<div class="b2brouter-invoice-meta-box">new</div>', $response['data']['meta_box_html']);
+        $this->assertSame('<span>Pending</span>', $response['data']['column_html']);
+    }
+
+    /**
+     * Test ajax_generate_invoice does not render fragments on failure
+     *
+     * @return void
+     */
+    public function test_ajax_generate_invoice_failure_has_no_fragments() {
+        $this->mock_invoice_generator->method('generate_invoice')
+            ->willReturn(array('success' => false, 'message' => 'API error'));
+
+        $_POST['order_id'] = '302';
+        $response = $this->callAjaxHandler(array($this->admin, 'ajax_generate_invoice'));
+        unset($_POST['order_id']);
+
+        $this->assertFalse($response['success']);
+        $this->assertArrayNotHasKey('meta_box_html', $response['data']);
+    }
+
+    /**
+     * Create an invoiced order with a pending correction request
+     *
+     * @param int $order_id Order ID
+     * @return WC_Order
+     */
+    private function create_order_with_correction_request($order_id) {
+        global $wc_mock_orders;
+
+        $order = new WC_Order($order_id);
+        $order->add_meta_data('_b2brouter_invoice_id', 'inv-' . $order_id, true);
+        $wc_mock_orders[$order_id] = $order;
+
+        $proposed = Customer::get_billing_details($order);
+        $proposed['company'] = 'Acme SL';
+        Correction_Request::create($order, 'Company name missing', Customer::get_billing_details($order), $proposed);
+
+        return $order;
+    }
+
+    /**
+     * Test approving a correction request reissues the invoice and notifies the customer
+     *
+     * @return void
+     */
+    public function test_ajax_resolve_correction_approve() {
+        global $wc_mock_orders;
+
+        $order = $this->create_order_with_correction_request(310);
+
+        $this->mock_invoice_generator->expects($this->once())
+            ->method('correct_invoice')
+            ->with(310, $this->callback(function($billing) {
+                return $billing['company'] === 'Acme SL';
+            }), 'Company name missing')
+            ->willReturn(array('success' => true, 'message' => 'Invoice cancelled and reissued', 'corrective_invoice_id' => 'inv-cancel'));
+
+        $_POST = array('order_id' => '310', 'decision' => 'approve');
+        $response = $this->callAjaxHandler(array($this->admin, 'ajax_resolve_correction'));
+        $_POST = array();
+        unset($wc_mock_orders[310]);
+
+        $this->assertTrue($response['success']);
+        $this->assertSame(Correction_Request::STATUS_APPROVED, Correction_Request::get($order)['status']);
+        $this->assertCount(1, $order->get_test_customer_notes());
+    }
+
+    /**
+     * Test a correction request stays pending when the invoice cannot be cancelled
+     *
+     * @return void
+     */
+    public function test_ajax_resolve_correction_approve_failure_keeps_request_pending() {
+        global $wc_mock_orders;
+
+        $order = $this->create_order_with_correction_request(311);
+
+        $this->mock_invoice_generator->method('correct_invoice')
+            ->willReturn(array('success' => false, 'message' => 'Service unavailable'));
+
+        $_POST = array('order_id' => '311', 'decision' => 'approve');
+        $response = $this->callAjaxHandler(array($this->admin, 'ajax_resolve_correction'));
+        $_POST = array();
+        unset($wc_mock_orders[311]);
+
+        $this->assertFalse($response['success']);
+        $this->assertSame('Service unavailable', $response['data']['message']);
+        $this->assertTrue(Correction_Request::is_pending($order));
+        $this->assertSame(array(), $order->get_test_customer_notes());
+    }
+
+    /**
+     * Test declining a correction request passes the reason on without touching the invoice
+     *
+     * @return void
+     */
+    public function test_ajax_resolve_correction_reject() {
+        global $wc_mock_orders;
+
+        $order = $this->create_order_with_correction_request(312);
+
+        $this->mock_invoice_generator->expects($this->never())->method('correct_invoice');
+
+        $_POST = array('order_id' => '312', 'decision' => 'reject', 'response' => 'The invoice is correct.');
+        $response = $this->callAjaxHandler(array($this->admin, 'ajax_resolve_correction'));
+
+        $this->assertTrue($response['success']);
+        $this->assertSame('The invoice is correct.', Correction_Request::get($order)['response']);
+        $this->assertStringContainsString('The invoice is correct.', $order->get_test_customer_notes()[0]);
+
+        // Already resolved
+        $response = $this->callAjaxHandler(array($this->admin, 'ajax_resolve_correction'));
+        $_POST = array();
+        unset($wc_mock_orders[312]);
+
+        $this->assertFalse($response['success']);
+    }
+
+    /**
+     * Test ajax_refresh_status wraps manual_sync and reports final states
+     *
+     * @return void
+     */
+    public function test_ajax_refresh_status_returns_status_and_final_flag() {
+        global $wc_mock_orders;
+
+        $order = new WC_Order(303);
+        $order->add_meta_data('_b2brouter_invoice_id', 'inv-303', true);
+        $wc_mock_orders[303] = $order;
+
+        $status_sync = $this->createMock(Status_Sync::class);
+        $status_sync->expects($this->once())
+            ->method('manual_sync')
+            ->with(303)
+            ->willReturn(array('success' => true, 'message' => 'Status updated to: accepted', 'status' => 'accepted'));
+        $status_sync->method('is_final_state')->with('accepted')->willReturn(true);
+
+        $order_handler = $this->createMock(Order_Handler::class);
+        $order_handler->method('get_invoice_meta_box_html')->willReturn('<div class="b2brouter-invoice-meta-box"></div>');
+        $order_handler->method('get_invoice_column_html')->willReturn('<span>Accepted</span>');
+
+        $admin = new Admin($this->mock_settings, $this->mock_invoice_generator, $status_sync, $order_handler);
+
+        $_POST['order_id'] = '303';
+        $response = $this->callAjaxHandler(array($admin, 'ajax_refresh_status'));
+        unset($_POST['order_id'], $wc_mock_orders[303]);
+
+        $this->assertTrue($response['success']);
+        $this->assertSame('accepted', $response['data']['status']);
+        $this->assertTrue($response['data']['final']);
+        $this->assertSame('<span>Accepted</span>', $response['data']['column_html']);
+    }
+
+    /**
+     * Test ajax_refresh_status passes through sync failures
+     *
+     * @return void
+     */
+    public function test_ajax_refresh_status_returns_error_on_sync_failure() {
+        $status_sync = $this->createMock(Status_Sync::class);
+        $status_sync->method('manual_sync')
+            ->willReturn(array('success' => false, 'message' => 'API authentication failed'));
+
+        $admin = new Admin($this->mock_settings, $this->mock_invoice_generator, $status_sync);
+
+        $_POST['order_id'] = '304';
+        $response = $this->callAjaxHandler(array($admin, 'ajax_refresh_status'));
+        unset($_POST['order_id']);
+
+        $this->assertFalse($response['success']);
+        $this->assertSame('API authentication failed', $response['data']['message']);
+    }
+
+    /**
+     * Test ajax_refresh_status rejects a missing order ID
+     *
+     * @return void
+     */
+    public function test_ajax_refresh_status_rejects_missing_order_id() {
+        $response = $this->callAjaxHandler(array($this->admin, 'ajax_refresh_status'));
+
+        $this->assertFalse($response['success']);
+        $this->assertSame('Invalid order ID', $response['data']['message']);
+    }
+
     /**
      * Test ajax_select_account rejects when no transient exists
      *
@@ -416,7 +672,7 @@ class AdminTest extends TestCase {
     }
 
     /**
-     * Test enqueue_admin_scripts passes bulk download IDs
+     * Test enqueue_admin_scripts passes the bulk download job
      *
      * @return void
      */
@@ -510,4 +766,199 @@ class AdminTest extends TestCase {
             rmdir($temp_dir);
         }
     }
+
+    /**
+     * Test ajax_rotate_webhook_secret returns the new secret and grace period notice
+     *
+     * @return void
+     */
+    public function test_ajax_rotate_webhook_secret() {
+        $this->mock_settings->method('get_webhook_secret')->willReturn('old_secret');
+        $this->mock_settings->expects($this->once())
+            ->method('rotate_webhook_secret')
+            ->willReturn('new_secret');
+        $this->mock_settings->method('get_webhook_secret_grace_until')->willReturn(time() + DAY_IN_SECONDS);
+
+        $response = $this->callAjaxHandler(array($this->admin, 'ajax_rotate_webhook_secret'));
+
+        $this->assertTrue($response['success']);
+        $this->assertSame('new_secret', $response['data']['secret']);
+        $this->assertNotEmpty($response['data']['grace_message']);
+    }
+
+    /**
+     * Test ajax_end_webhook_secret_grace ends the grace period
+     *
+     * @return void
+     */
+    public function test_ajax_end_webhook_secret_grace() {
+        $this->mock_settings->expects($this->once())->method('end_webhook_secret_grace_period');
+
+        $response = $this->callAjaxHandler(array($this->admin, 'ajax_end_webhook_secret_grace'));
+
+        $this->assertTrue($response['success']);
+    }
+
+    /**
+     * Test save_settings_section saves valid fields and reports rejected ones
+     *
+     * @return void
+     */
+    public function test_save_settings_section_reports_setter_errors() {
+        $this->mock_settings->method('set_invoice_series_code')
+            ->willReturn(new WP_Error('empty_invoice_series_code', 'Invoice series code is required and cannot be empty.'));
+        $this->mock_settings->expects($this->once())
+            ->method('set_credit_note_series_code')
+            ->with('R26')
+            ->willReturn(true);
+
+        $issues = $this->admin->save_settings_section('numbering', array(
+            'b2brouter_invoice_series_code' => ' ',
+            'b2brouter_credit_note_series_code' => 'R26',
+        ));
+
+        $this->assertCount(1, $issues);
+        $this->assertSame('b2brouter_invoice_series_code', $issues[0]['field']);
+        $this->assertSame('empty_invoice_series_code', $issues[0]['code']);
+        $this->assertSame('error', $issues[0]['type']);
+    }
+
+    /**
+     * Test save_settings_section rejects a non-numeric cleanup period
+     *
+     * @return void
+     */
+    public function test_save_settings_section_reports_invalid_cleanup_days() {
+        $this->mock_settings->expects($this->once())
+            ->method('set_auto_cleanup_days')
+            ->with('ninety')
+            ->willReturn(new WP_Error('invalid_auto_cleanup_days', 'Enter the number of days as a whole number.'));
+
+        $issues = $this->admin->save_settings_section('pdf', array('b2brouter_auto_cleanup_days' => 'ninety'));
+
+        $this->assertSame(array('b2brouter_auto_cleanup_days'), array_column($issues, 'field'));
+    }
+
+    /**
+     * Test save_settings_section treats missing checkboxes as unchecked
+     *
+     * @return void
+     */
+    public function test_save_settings_section_unchecks_missing_checkboxes() {
+        $this->mock_settings->expects($this->once())->method('set_auto_save_pdf')->with(true);
+        $this->mock_settings->expects($this->once())->method('set_attach_to_order_completed')->with(false);
+        $this->mock_settings->expects($this->once())->method('set_auto_cleanup_enabled')->with(false);
+        $this->mock_settings->expects($this->never())->method('set_api_key');
+
+        $issues = $this->admin->save_settings_section('pdf', array('b2brouter_auto_save_pdf' => '1'));
+
+        $this->assertSame(array(), $issues);
+    }
+
+    /**
+     * Test save_settings_section warns about an empty webhook secret and reschedules polling
+     *
+     * @return void
+     */
+    public function test_save_settings_section_webhook_warns_about_empty_secret() {
+        $status_sync = $this->createMock(Status_Sync::class);
+        $status_sync->expects($this->once())->method('reschedule_cron');
+        $this->mock_settings->method('get_webhook_enabled')->willReturn(false);
+        $this->mock_settings->expects($this->once())->method('set_webhook_secret')->with('');
+
+        $admin = new Admin($this->mock_settings, $this->mock_invoice_generator, $status_sync);
+        $issues = $admin->save_settings_section('webhook', array(
+            'b2brouter_webhook_enabled' => 'yes',
+            'b2brouter_webhook_secret' => '',
+        ));
+
+        $this->assertCount(1, $issues);
+        $this->assertSame('warning', $issues[0]['type']);
+    }
+
+    /**
+     * Test save_settings_section rejects an unknown section
+     *
+     * @return void
+     */
+    public function test_save_settings_section_rejects_unknown_section() {
+        $issues = $this->admin->save_settings_section('nope', array());
+
+        $this->assertSame('unknown_section', $issues[0]['code']);
+    }
+
+    /**
+     * Test ajax_save_settings_section returns field errors with the stored values
+     *
+     * @return void
+     */
+    public function test_ajax_save_settings_section_returns_field_errors() {
+        $this->mock_settings->method('set_invoice_numbering_pattern')
+            ->willReturn(new WP_Error('invalid_invoice_numbering_pattern', 'Choose an invoice numbering pattern.'));
+        $this->mock_settings->method('get_invoice_numbering_pattern')->willReturn('woocommerce');
+        $this->mock_settings->method('get_invoice_series_code')->willReturn('INV');
+
+        $_POST = array(
+            'section' => 'numbering',
+            'b2brouter_invoice_numbering_pattern' => 'sequential',
+        );
+        $response = $this->callAjaxHandler(array($this->admin, 'ajax_save_settings_section'));
+        $_POST = array();
+
+        $this->assertFalse($response['success']);
+        $this->assertSame('b2brouter_invoice_numbering_pattern', $response['data']['errors'][0]['field']);
+        $this->assertSame('woocommerce', $response['data']['values']['b2brouter_invoice_numbering_pattern']);
+        $this->assertSame('INV', $response['data']['values']['b2brouter_invoice_series_code']);
+    }
+
+    /**
+     * Test ajax_save_settings_section saves a section
+     *
+     * @return void
+     */
+    public function test_ajax_save_settings_section_success() {
+        $this->mock_settings->expects($this->once())->method('set_delete_archival_data')->with(true);
+        $this->mock_settings->method('get_delete_archival_data')->willReturn(true);
+
+        $_POST = array(
+            'section' => 'uninstall',
+            'b2brouter_delete_archival_data' => '1',
+        );
+        $response = $this->callAjaxHandler(array($this->admin, 'ajax_save_settings_section'));
+        $_POST = array();
+
+        $this->assertTrue($response['success']);
+        $this->assertSame(array('b2brouter_delete_archival_data' => true), $response['data']['values']);
+    }
+
+    /**
+     * Test ajax_save_settings_section rejects an unknown section
+     *
+     * @return void
+     */
+    public function test_ajax_save_settings_section_rejects_unknown_section() {
+        $_POST = array('section' => 'nope');
+        $response = $this->callAjaxHandler(array($this->admin, 'ajax_save_settings_section'));
+        $_POST = array();
+
+        $this->assertFalse($response['success']);
+        $this->assertArrayNotHasKey('values', $response['data']);
+    }
+
+    /**
+     * Test render_settings_page wraps each section with its own save button
+     *
+     * @return void
+     */
+    public function test_render_settings_page_renders_sections() {
+        ob_start();
+        $this->admin->render_settings_page();
+        $output = ob_get_clean();
+
+        foreach (array_keys(Admin::SETTINGS_SECTIONS) as $section) {
+            $this->assertStringContainsString('data-section="' . $section . '"', $output);
+        }
+        $this->assertSame(count(Admin::SETTINGS_SECTIONS), substr_count($output, 'b2brouter-save-section'));
+        $this->assertStringContainsString('name="b2brouter_save_settings"', $output);
+    }
 }
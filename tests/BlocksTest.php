@@ -0,0 +1,185 @@
+<?php
+/**
+ * Tests for Blocks class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Blocks;
+
+/**
+ * Blocks test case
+ *
+ * @since 1.0.0
+ */
+class BlocksTest extends TestCase {
+
+    /**
+     * @var Blocks
+     */
+    private $blocks;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_actions, $wc_mock_orders, $wp_current_user_id, $wp_query_vars, $wp_registered_block_types,
+               $wp_registered_scripts, $wp_enqueued_scripts, $wp_localized_scripts;
+        $wp_actions = array();
+        $wc_mock_orders = array();
+        $wp_current_user_id = 0;
+        $wp_query_vars = array();
+        $wp_registered_block_types = array();
+        $wp_registered_scripts = array();
+        $wp_enqueued_scripts = array();
+        $wp_localized_scripts = array();
+        $_GET = array();
+
+        $this->blocks = new Blocks();
+    }
+
+    public function tearDown(): void {
+        $_GET = array();
+
+        parent::tearDown();
+    }
+
+    /**
+     * Create an invoiced order placed by a customer, shown on its order-received page
+     *
+     * @param int $customer_id Customer user ID (0 for a guest order)
+     * @return WC_Order
+     */
+    private function create_received_order($customer_id = 0) {
+        global $wc_mock_orders, $wp_query_vars;
+
+        $order = new WC_Order(42);
+        $order->set_customer_id($customer_id);
+        $order->set_order_key('wc_order_abc');
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $order->update_meta_data('_b2brouter_invoice_number', '12');
+        $order->update_meta_data('_b2brouter_invoice_series_code', 'F');
+        $wc_mock_orders[42] = $order;
+
+        $wp_query_vars['order-received'] = '42';
+        $_GET['key'] = 'wc_order_abc';
+
+        return $order;
+    }
+
+    public function test_register_blocks_without_jquery() {
+        global $wp_actions, $wp_registered_block_types, $wp_registered_scripts;
+
+        $this->assertArrayHasKey('init', $wp_actions);
+
+        $this->blocks->register_blocks();
+
+        $this->assertSame(
+            array('b2brouter/invoice-download', 'b2brouter/invoice-status'),
+            array_keys($wp_registered_block_types)
+        );
+        $this->assertSame(Blocks::EDITOR_HANDLE, $wp_registered_block_types['b2brouter/invoice-status']['editor_script']);
+        $this->assertTrue(is_callable($wp_registered_block_types['b2brouter/invoice-download']['render_callback']));
+        $this->assertSame(array(), $wp_registered_scripts[Blocks::HANDLE]['deps']);
+        $this->assertNotContains('jquery', $wp_registered_scripts[Blocks::EDITOR_HANDLE]['deps']);
+    }
+
+    public function test_current_order_on_order_received_needs_the_key() {
+        $order = $this->create_received_order();
+
+        $this->assertSame($order, Blocks::get_current_order());
+
+        $_GET['key'] = 'wc_order_other';
+        $this->assertNull(Blocks::get_current_order());
+    }
+
+    public function test_current_order_of_registered_customer_only_for_that_customer() {
+        global $wp_current_user_id;
+        $order = $this->create_received_order(7);
+
+        $this->assertNull(Blocks::get_current_order());
+
+        $wp_current_user_id = 7;
+        $this->assertSame($order, Blocks::get_current_order());
+    }
+
+    public function test_current_order_on_view_order_needs_the_owner() {
+        global $wc_mock_orders, $wp_query_vars, $wp_current_user_id;
+        $wc_mock_orders[42] = new WC_Order(42);
+        $wp_query_vars['view-order'] = '42';
+        $wp_current_user_id = 7;
+
+        // Guest order, and nobody's page to view
+        $this->assertNull(Blocks::get_current_order());
+
+        $wc_mock_orders[42]->set_customer_id(7);
+        $this->assertSame($wc_mock_orders[42], Blocks::get_current_order());
+
+        $wp_query_vars = array();
+        $this->assertNull(Blocks::get_current_order());
+    }
+
+    public function test_download_block_renders_signed_buttons_and_enqueues_script_once() {
+        global $wp_enqueued_scripts, $wp_localized_scripts;
+        $this->create_received_order();
+
+        $output = $this->blocks->render_download_block(array('showCreditNotes' => true));
+        $this->blocks->render_download_block(array('showCreditNotes' => true));
+
+        $this->assertStringContainsString('F-12', $output);
+        $this->assertStringContainsString('class="wp-element-button b2brouter-invoice-block-download"', $output);
+        $this->assertStringContainsString('data-b2brouter-document="invoice"', $output);
+        $this->assertStringContainsString('data-b2brouter-token="', $output);
+        $this->assertArrayHasKey(Blocks::HANDLE, $wp_enqueued_scripts);
+        $this->assertSame('b2brouterInvoiceBlocks', $wp_localized_scripts[Blocks::HANDLE]['name']);
+    }
+
+    public function test_download_block_can_leave_out_credit_notes() {
+        global $wc_mock_orders, $wp_query_vars;
+
+        $refund = new WC_Order_Refund(43);
+        $refund->update_meta_data('_b2brouter_invoice_id', 'credit_1');
+        $refund->update_meta_data('_b2brouter_invoice_number', '7');
+
+        $order = $this->getMockBuilder(WC_Order::class)
+            ->setConstructorArgs(array(42))
+            ->onlyMethods(array('get_refunds'))
+            ->getMock();
+        $order->set_order_key('wc_order_abc');
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $order->method('get_refunds')->willReturn(array($refund));
+        $wc_mock_orders[42] = $order;
+        $wp_query_vars['order-received'] = '42';
+        $_GET['key'] = 'wc_order_abc';
+
+        $this->assertStringContainsString('data-b2brouter-document="credit_note"', $this->blocks->render_download_block(array()));
+        $this->assertStringNotContainsString('data-b2brouter-document="credit_note"', $this->blocks->render_download_block(array('showCreditNotes' => false)));
+    }
+
+    public function test_blocks_render_nothing_without_invoice() {
+        global $wp_enqueued_scripts;
+        $order = $this->create_received_order();
+        $order->delete_meta_data('_b2brouter_invoice_id');
+
+        $this->assertSame('', $this->blocks->render_download_block(array()));
+        $this->assertSame('', $this->blocks->render_status_block(array()));
+        $this->assertArrayNotHasKey(Blocks::HANDLE, $wp_enqueued_scripts);
+    }
+
+    public function test_status_block_renders_timeline() {
+        $order = $this->create_received_order();
+        $order->update_meta_data('_b2brouter_invoice_status', 'sent');
+        $order->update_meta_data('_b2brouter_invoice_status_history', array(
+            array('status' => 'new', 'time' => time() - 60),
+            array('status' => 'sent', 'time' => time()),
+        ));
+
+        $output = $this->blocks->render_status_block(array('showDates' => true));
+
+        $this->assertSame(2, substr_count($output, 'b2brouter-invoice-block-step is-complete'));
+        $this->assertSame(2, substr_count($output, 'b2brouter-invoice-block-step is-upcoming'));
+        $this->assertStringContainsString('b2brouter-invoice-block-step-date', $output);
+
+        $this->assertStringNotContainsString('b2brouter-invoice-block-step-date', $this->blocks->render_status_block(array('showDates' => false)));
+    }
+}
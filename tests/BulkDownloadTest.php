@@ -0,0 +1,222 @@
+<?php
+/**
+ * Tests for Bulk_Download class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Bulk_Download;
+use B2Brouter\WooCommerce\Settings;
+use B2Brouter\WooCommerce\Invoice_Generator;
+
+/**
+ * Bulk_Download test case
+ *
+ * @since 1.0.0
+ */
+class BulkDownloadTest extends TestCase {
+
+    /**
+     * @var Bulk_Download
+     */
+    private $bulk_download;
+
+    /**
+     * @var Settings
+     */
+    private $mock_settings;
+
+    /**
+     * @var Invoice_Generator
+     */
+    private $mock_invoice_generator;
+
+    /**
+     * Temporary PDF storage directory
+     *
+     * @var string
+     */
+    private $temp_dir;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_actions, $wp_transients, $wc_mock_orders, $wp_current_user_id;
+        $wp_actions = array();
+        $wp_transients = array();
+        $wc_mock_orders = array();
+        $wp_current_user_id = 1;
+
+        $this->temp_dir = sys_get_temp_dir() . '/b2brouter-bulk-' . uniqid();
+        mkdir($this->temp_dir);
+
+        $this->mock_settings = $this->createMock(Settings::class);
+        $this->mock_settings->method('get_pdf_storage_path')->willReturn($this->temp_dir);
+        $this->mock_invoice_generator = $this->createMock(Invoice_Generator::class);
+
+        $this->bulk_download = new Bulk_Download($this->mock_settings, $this->mock_invoice_generator);
+    }
+
+    public function tearDown(): void {
+        parent::tearDown();
+        $this->remove_directory($this->temp_dir);
+    }
+
+    /**
+     * Recursively remove a temp directory
+     *
+     * @param string $path Directory path
+     * @return void
+     */
+    private function remove_directory($path) {
+        if (!is_dir($path)) {
+            return;
+        }
+        foreach (array_diff(scandir($path), array('.', '..')) as $entry) {
+            $full = $path . '/' . $entry;
+            is_dir($full) ? $this->remove_directory($full) : unlink($full);
+        }
+        rmdir($path);
+    }
+
+    /**
+     * Register a mock order with an invoice and a cached PDF on disk
+     *
+     * @param int $order_id Order ID
+     * @param string $number Invoice number
+     * @return void
+     */
+    private function add_order_with_pdf($order_id, $number) {
+        global $wc_mock_orders;
+
+        $order = new WC_Order($order_id);
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv-' . $order_id);
+        $order->update_meta_data('_b2brouter_invoice_number', $number);
+        $order->update_meta_data('_b2brouter_invoice_series_code', 'INV');
+        $wc_mock_orders[$order_id] = $order;
+
+        file_put_contents($this->temp_dir . '/invoice-order-' . $order_id . '.pdf', '%PDF-1.4 ' . $order_id);
+    }
+
+    public function test_constructor_registers_ajax_hooks() {
+        global $wp_actions;
+
+        $this->assertArrayHasKey('wp_ajax_b2brouter_bulk_download_process', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_bulk_download_archive', $wp_actions);
+    }
+
+    public function test_create_job_stores_unique_order_ids_for_user() {
+        $job_id = Bulk_Download::create_job(array(5, '7', 5, 0), 1);
+
+        $this->assertMatchesRegularExpression('/^[a-z0-9]{24}$/', $job_id);
+
+        $job = Bulk_Download::get_job($job_id, 1);
+        $this->assertSame(array(5, 7), $job['order_ids']);
+        $this->assertSame(0, $job['position']);
+    }
+
+    public function test_get_job_rejects_other_users() {
+        $job_id = Bulk_Download::create_job(array(5), 1);
+
+        $this->assertNull(Bulk_Download::get_job($job_id, 2));
+        $this->assertNull(Bulk_Download::get_job('', 1));
+    }
+
+    public function test_process_chunk_fails_for_unknown_job() {
+        $result = $this->bulk_download->process_chunk('missing', 1);
+
+        $this->assertFalse($result['success']);
+        $this->assertStringContainsString('expired', $result['message']);
+    }
+
+    public function test_process_chunk_builds_archive_and_records_failures() {
+        if (!class_exists('ZipArchive')) {
+            $this->markTestSkipped('ZipArchive not available');
+        }
+
+        $this->add_order_with_pdf(101, '1');
+        $this->add_order_with_pdf(102, '2');
+
+        $temp_dir = $this->temp_dir;
+        $this->mock_invoice_generator->method('save_invoice_pdf')
+            ->willReturnCallback(function($order_id) use ($temp_dir) {
+                if ($order_id === 102) {
+                    return array('success' => false, 'message' => 'Invoice not found');
+                }
+                return array('success' => true, 'file_path' => $temp_dir . '/invoice-order-' . $order_id . '.pdf');
+            });
+
+        $job_id = Bulk_Download::create_job(array(101, 102, 999), 1);
+        $result = $this->bulk_download->process_chunk($job_id, 1);
+
+        $this->assertTrue($result['success']);
+        $this->assertTrue($result['complete']);
+        $this->assertSame(3, $result['processed']);
+        $this->assertSame(1, $result['added']);
+        $this->assertCount(2, $result['failures']);
+        $this->assertSame(102, $result['failures'][0]['order_id']);
+        $this->assertSame('Invoice not found', $result['failures'][0]['message']);
+        $this->assertSame(999, $result['failures'][1]['order_id']);
+
+        $archive_path = $this->temp_dir . '/bulk-downloads/' . $job_id . '.zip';
+        $this->assertFileExists($archive_path);
+        $this->assertFileExists($this->temp_dir . '/bulk-downloads/.htaccess');
+
+        $zip = new ZipArchive();
+        $zip->open($archive_path);
+        $this->assertSame(1, $zip->numFiles);
+        $this->assertSame('INV-1.pdf', $zip->getNameIndex(0));
+        $zip->close();
+    }
+
+    public function test_process_chunk_stops_after_chunk_size() {
+        if (!class_exists('ZipArchive')) {
+            $this->markTestSkipped('ZipArchive not available');
+        }
+
+        $order_ids = array();
+        for ($i = 1; $i <= Bulk_Download::CHUNK_SIZE + 2; $i++) {
+            $this->add_order_with_pdf($i, (string) $i);
+            $order_ids[] = $i;
+        }
+
+        $temp_dir = $this->temp_dir;
+        $this->mock_invoice_generator->method('save_invoice_pdf')
+            ->willReturnCallback(function($order_id) use ($temp_dir) {
+                return array('success' => true, 'file_path' => $temp_dir . '/invoice-order-' . $order_id . '.pdf');
+            });
+
+        $job_id = Bulk_Download::create_job($order_ids, 1);
+
+        $first = $this->bulk_download->process_chunk($job_id, 1);
+        $this->assertFalse($first['complete']);
+        $this->assertSame(Bulk_Download::CHUNK_SIZE, $first['processed']);
+
+        $second = $this->bulk_download->process_chunk($job_id, 1);
+        $this->assertTrue($second['complete']);
+        $this->assertSame(count($order_ids), $second['added']);
+        $this->assertEmpty($second['failures']);
+    }
+
+    public function test_duplicate_invoice_numbers_get_unique_entry_names() {
+        if (!class_exists('ZipArchive')) {
+            $this->markTestSkipped('ZipArchive not available');
+        }
+
+        $this->add_order_with_pdf(201, '7');
+        $this->add_order_with_pdf(202, '7');
+
+        $temp_dir = $this->temp_dir;
+        $this->mock_invoice_generator->method('save_invoice_pdf')
+            ->willReturnCallback(function($order_id) use ($temp_dir) {
+                return array('success' => true, 'file_path' => $temp_dir . '/invoice-order-' . $order_id . '.pdf');
+            });
+
+        $job_id = Bulk_Download::create_job(array(201, 202), 1);
+        $this->bulk_download->process_chunk($job_id, 1);
+
+        $job = Bulk_Download::get_job($job_id, 1);
+        $this->assertSame(array('INV-7.pdf', 'INV-7-2.pdf'), $job['entries']);
+    }
+}
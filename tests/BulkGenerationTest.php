@@ -0,0 +1,225 @@
+<?php
+/**
+ * Tests for Bulk_Generation class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Bulk_Generation;
+use B2Brouter\WooCommerce\Invoice_Generator;
+
+/**
+ * Bulk_Generation test case
+ *
+ * @since 1.0.0
+ */
+class BulkGenerationTest extends TestCase {
+
+    /**
+     * @var Bulk_Generation
+     */
+    private $bulk_generation;
+
+    /**
+     * @var Invoice_Generator
+     */
+    private $mock_invoice_generator;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_actions, $wp_transients, $wc_mock_orders, $wp_current_user_id, $as_async_actions;
+        $wp_actions = array();
+        $wp_transients = array();
+        $wc_mock_orders = array();
+        $wp_current_user_id = 1;
+        $as_async_actions = array();
+
+        $this->mock_invoice_generator = $this->createMock(Invoice_Generator::class);
+        $this->bulk_generation = new Bulk_Generation($this->mock_invoice_generator);
+    }
+
+    /**
+     * Register mock orders
+     *
+     * @param int[] $order_ids Order IDs
+     * @return void
+     */
+    private function add_orders(array $order_ids) {
+        global $wc_mock_orders;
+
+        foreach ($order_ids as $order_id) {
+            $wc_mock_orders[$order_id] = new WC_Order($order_id);
+        }
+    }
+
+    /**
+     * Call an AJAX handler and return the decoded JSON response
+     *
+     * @param callable $callback Handler
+     * @return array Decoded response
+     */
+    private function callAjaxHandler($callback) {
+        global $wp_send_json_throw;
+        $wp_send_json_throw = true;
+        try {
+            call_user_func($callback);
+        } catch (\WpJsonResponseException $e) {
+            $wp_send_json_throw = false;
+            return json_decode($e->response, true);
+        }
+        $wp_send_json_throw = false;
+        $this->fail('AJAX handler did not call wp_send_json');
+    }
+
+    public function test_constructor_registers_ajax_hooks() {
+        global $wp_actions;
+
+        $this->assertArrayHasKey('wp_ajax_b2brouter_bulk_generate_status', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_bulk_generate_retry', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_bulk_generate_dismiss', $wp_actions);
+    }
+
+    public function test_create_batch_becomes_active_batch_for_user() {
+        $batch_id = Bulk_Generation::create_batch(array(5, '7', 5, 0), 1);
+
+        $this->assertMatchesRegularExpression('/^[a-z0-9]{24}$/', $batch_id);
+        $this->assertSame($batch_id, Bulk_Generation::get_active_batch_id(1));
+        $this->assertSame('', Bulk_Generation::get_active_batch_id(2));
+
+        $batch = Bulk_Generation::get_batch($batch_id, 1);
+        $this->assertSame(array(5, 7), $batch['order_ids']);
+    }
+
+    public function test_get_batch_rejects_other_users() {
+        $batch_id = Bulk_Generation::create_batch(array(5), 1);
+
+        $this->assertNull(Bulk_Generation::get_batch($batch_id, 2));
+        $this->assertNull(Bulk_Generation::get_batch('', 1));
+    }
+
+    public function test_enqueue_skips_orders_already_pending() {
+        global $as_async_actions;
+
+        $this->assertTrue(Bulk_Generation::enqueue(10));
+        $this->assertFalse(Bulk_Generation::enqueue(10));
+
+        $this->assertCount(1, $as_async_actions);
+        $this->assertSame(array('order_id' => 10), $as_async_actions[0]['args']);
+        $this->assertSame(Bulk_Generation::ACTION_GROUP, $as_async_actions[0]['group']);
+    }
+
+    public function test_enqueue_clears_previous_failure() {
+        Bulk_Generation::record_failure(10, 'Timeout');
+        Bulk_Generation::enqueue(10);
+
+        $this->assertFalse(get_transient(Bulk_Generation::FAILURE_TRANSIENT_PREFIX . '10'));
+    }
+
+    public function test_get_summary_reports_each_order_state() {
+        $this->add_orders(array(11, 12, 13));
+        $this->mock_invoice_generator->method('has_invoice')
+            ->willReturnCallback(function($order_id) {
+                return $order_id === 11;
+            });
+
+        Bulk_Generation::record_failure(12, 'Customer TIN is missing');
+        $batch_id = Bulk_Generation::create_batch(array(11, 12, 13, 999), 1);
+
+        $summary = $this->bulk_generation->get_summary($batch_id, Bulk_Generation::get_batch($batch_id, 1));
+
+        $this->assertSame(4, $summary['total']);
+        $this->assertSame(3, $summary['processed']);
+        $this->assertSame(1, $summary['succeeded']);
+        $this->assertSame(2, $summary['failed']);
+        $this->assertFalse($summary['complete']);
+
+        $statuses = array_column($summary['orders'], 'status', 'order_id');
+        $this->assertSame(array(11 => 'success', 12 => 'failed', 13 => 'pending', 999 => 'failed'), $statuses);
+        $this->assertSame('Customer TIN is missing', $summary['orders'][1]['message']);
+        $this->assertStringContainsString('post=12', $summary['orders'][1]['edit_url']);
+        $this->assertSame('', $summary['orders'][3]['edit_url']);
+    }
+
+    public function test_invoice_takes_precedence_over_stale_failure() {
+        $this->add_orders(array(14));
+        $this->mock_invoice_generator->method('has_invoice')->willReturn(true);
+
+        Bulk_Generation::record_failure(14, 'Timeout');
+        $batch_id = Bulk_Generation::create_batch(array(14), 1);
+
+        $summary = $this->bulk_generation->get_summary($batch_id, Bulk_Generation::get_batch($batch_id, 1));
+
+        $this->assertTrue($summary['complete']);
+        $this->assertSame('success', $summary['orders'][0]['status']);
+    }
+
+    public function test_retry_failed_requeues_only_failed_orders() {
+        global $as_async_actions;
+
+        $this->add_orders(array(21, 22, 23));
+        $this->mock_invoice_generator->method('has_invoice')
+            ->willReturnCallback(function($order_id) {
+                return $order_id === 21;
+            });
+
+        Bulk_Generation::record_failure(22, 'Timeout');
+        Bulk_Generation::record_failure(23, 'Timeout');
+        $batch_id = Bulk_Generation::create_batch(array(21, 22, 23, 999), 1);
+
+        $result = $this->bulk_generation->retry_failed($batch_id, 1);
+
+        $this->assertTrue($result['success']);
+        $this->assertSame(2, $result['retried']);
+        $this->assertSame(array(22, 23), array_map(
+            function ($entry) { return $entry['args']['order_id']; },
+            $as_async_actions
+        ));
+
+        $summary = $this->bulk_generation->get_summary($batch_id, Bulk_Generation::get_batch($batch_id, 1));
+        $statuses = array_column($summary['orders'], 'status', 'order_id');
+        $this->assertSame('pending', $statuses[22]);
+        $this->assertSame('pending', $statuses[23]);
+    }
+
+    public function test_retry_failed_rejects_unknown_batch() {
+        $result = $this->bulk_generation->retry_failed('missing', 1);
+
+        $this->assertFalse($result['success']);
+        $this->assertStringContainsString('expired', $result['message']);
+    }
+
+    public function test_ajax_status_rejects_batch_of_other_user() {
+        $batch_id = Bulk_Generation::create_batch(array(31), 2);
+        $_POST['batch_id'] = $batch_id;
+
+        $response = $this->callAjaxHandler(array($this->bulk_generation, 'ajax_status'));
+        unset($_POST['batch_id']);
+
+        $this->assertFalse($response['success']);
+        $this->assertStringContainsString('expired', $response['data']['message']);
+    }
+
+    public function test_ajax_status_returns_summary() {
+        $this->add_orders(array(32));
+        $batch_id = Bulk_Generation::create_batch(array(32), 1);
+        $_POST['batch_id'] = $batch_id;
+
+        $response = $this->callAjaxHandler(array($this->bulk_generation, 'ajax_status'));
+        unset($_POST['batch_id']);
+
+        $this->assertTrue($response['success']);
+        $this->assertSame($batch_id, $response['data']['batch_id']);
+        $this->assertSame('pending', $response['data']['orders'][0]['status']);
+    }
+
+    public function test_ajax_dismiss_clears_active_batch() {
+        Bulk_Generation::create_batch(array(33), 1);
+
+        $response = $this->callAjaxHandler(array($this->bulk_generation, 'ajax_dismiss'));
+
+        $this->assertTrue($response['success']);
+        $this->assertSame('', Bulk_Generation::get_active_batch_id(1));
+    }
+}
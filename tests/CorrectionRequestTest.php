@@ -0,0 +1,85 @@
+<?php
+/**
+ * Tests for Correction_Request class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Correction_Request;
+use B2Brouter\WooCommerce\Customer;
+
+/**
+ * Correction_Request test case
+ *
+ * @since 1.0.0
+ */
+class CorrectionRequestTest extends TestCase {
+
+    /**
+     * Create an invoiced order with a pending request to change the city
+     *
+     * @return WC_Order
+     */
+    private function create_order_with_request() {
+        $order = new WC_Order(42);
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $order->update_meta_data('_b2brouter_invoice_number', '42');
+        $order->update_meta_data('_b2brouter_invoice_series_code', 'INV');
+
+        $proposed = Customer::get_billing_details($order);
+        $proposed['city'] = 'Boston';
+        Correction_Request::create($order, 'Wrong city', Customer::get_billing_details($order), $proposed);
+
+        return $order;
+    }
+
+    public function test_create_stores_pending_request() {
+        $order = $this->create_order_with_request();
+        $request = Correction_Request::get($order);
+
+        $this->assertTrue(Correction_Request::is_pending($order));
+        $this->assertSame('INV-42', $request['invoice_number']);
+        $this->assertSame('New York', $request['current']['city']);
+        $this->assertSame('Boston', $request['proposed']['city']);
+        $this->assertEqualsWithDelta(time(), $request['requested_at'], 2);
+        $this->assertStringContainsString('Town / City: "New York" → "Boston"', $order->get_test_notes()[0]);
+    }
+
+    public function test_resolve_approved_tells_customer_the_new_invoice() {
+        $order = $this->create_order_with_request();
+
+        // As Invoice_Generator::correct_invoice() leaves the order
+        $order->update_meta_data('_b2brouter_invoice_number', '42-2');
+
+        $request = Correction_Request::resolve($order, Correction_Request::STATUS_APPROVED);
+
+        $this->assertSame(Correction_Request::STATUS_APPROVED, $request['status']);
+        $this->assertFalse(Correction_Request::is_pending($order));
+
+        $customer_notes = $order->get_test_customer_notes();
+        $this->assertCount(1, $customer_notes);
+        $this->assertStringContainsString('INV-42 was approved', $customer_notes[0]);
+        $this->assertStringContainsString('replaced by invoice INV-42-2', $customer_notes[0]);
+    }
+
+    public function test_resolve_rejected_passes_reason_on_and_only_once() {
+        $order = $this->create_order_with_request();
+
+        $request = Correction_Request::resolve($order, Correction_Request::STATUS_REJECTED, 'The invoice matches your order.');
+
+        $this->assertSame(Correction_Request::STATUS_REJECTED, $request['status']);
+        $this->assertSame('The invoice matches your order.', $request['response']);
+        $this->assertStringContainsString('declined: The invoice matches your order.', $order->get_test_customer_notes()[0]);
+
+        $this->assertNull(Correction_Request::resolve($order, Correction_Request::STATUS_APPROVED));
+        $this->assertCount(1, $order->get_test_customer_notes());
+    }
+
+    public function test_get_ignores_orders_without_request() {
+        $order = new WC_Order(42);
+
+        $this->assertNull(Correction_Request::get($order));
+        $this->assertFalse(Correction_Request::is_pending($order));
+    }
+}
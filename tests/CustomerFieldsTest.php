@@ -7,6 +7,7 @@
 
 use PHPUnit\Framework\TestCase;
 use B2Brouter\WooCommerce\Customer_Fields;
+use B2Brouter\WooCommerce\Settings;
 
 /**
  * Customer_Fields test case
@@ -24,6 +25,13 @@ class CustomerFieldsTest extends TestCase {
      */
     private $customer_fields;
 
+    /**
+     * Settings instance
+     *
+     * @var Settings
+     */
+    private $settings;
+
     /**
      * Set up test
      *
@@ -33,12 +41,17 @@ class CustomerFieldsTest extends TestCase {
         parent::setUp();
 
         // Reset global state
-        global $wp_actions, $wp_filters;
+        global $wp_actions, $wp_filters, $wp_options, $wp_enqueued_scripts, $wp_localized_scripts, $wp_is_checkout;
         $wp_actions = array();
         $wp_filters = array();
+        $wp_options = array();
+        $wp_enqueued_scripts = array();
+        $wp_localized_scripts = array();
+        $wp_is_checkout = false;
 
         // Create instance
-        $this->customer_fields = new Customer_Fields();
+        $this->settings = new Settings();
+        $this->customer_fields = new Customer_Fields($this->settings);
     }
 
     /**
@@ -471,5 +484,108 @@ class CustomerFieldsTest extends TestCase {
         // Check that actions are registered
         $this->assertArrayHasKey('woocommerce_checkout_update_order_meta', $wp_actions);
         $this->assertArrayHasKey('woocommerce_set_additional_field_value', $wp_actions);
+        $this->assertArrayHasKey('woocommerce_after_checkout_validation', $wp_actions);
+        $this->assertArrayHasKey('woocommerce_validate_additional_field', $wp_actions);
+        $this->assertArrayHasKey('wp_enqueue_scripts', $wp_actions);
+    }
+
+    // ========== TIN validation ==========
+
+    /**
+     * Test classic checkout rejects an invalid TIN when validation is required
+     *
+     * @return void
+     */
+    public function test_validate_checkout_tin_rejects_invalid_tin_in_require_mode() {
+        $this->settings->set_tin_validation_mode('require');
+        $errors = new WP_Error();
+
+        $this->customer_fields->validate_checkout_tin(
+            array('billing_tin' => '12345678A', 'billing_country' => 'ES'),
+            $errors
+        );
+
+        $this->assertTrue($errors->has_errors());
+        $this->assertStringContainsString('check digit', $errors->get_error_messages('validation')[0]);
+    }
+
+    /**
+     * Test classic checkout accepts valid and empty TINs when validation is required
+     *
+     * @return void
+     */
+    public function test_validate_checkout_tin_accepts_valid_or_empty_tin() {
+        $this->settings->set_tin_validation_mode('require');
+        $errors = new WP_Error();
+
+        $this->customer_fields->validate_checkout_tin(
+            array('billing_tin' => '12345678-Z', 'billing_country' => 'ES'),
+            $errors
+        );
+        $this->customer_fields->validate_checkout_tin(
+            array('billing_tin' => '', 'billing_country' => 'ES'),
+            $errors
+        );
+
+        $this->assertFalse($errors->has_errors());
+    }
+
+    /**
+     * Test classic checkout lets invalid TINs through in warn mode
+     *
+     * @return void
+     */
+    public function test_validate_checkout_tin_only_warns_by_default() {
+        $errors = new WP_Error();
+
+        $this->customer_fields->validate_checkout_tin(
+            array('billing_tin' => 'DE123', 'billing_country' => 'DE'),
+            $errors
+        );
+
+        $this->assertFalse($errors->has_errors());
+    }
+
+    /**
+     * Test block checkout rejects an invalid prefixed VAT number when required
+     *
+     * @return void
+     */
+    public function test_validate_blocks_tin_rejects_invalid_tin_in_require_mode() {
+        $this->settings->set_tin_validation_mode('require');
+        $errors = new WP_Error();
+
+        $this->customer_fields->validate_blocks_tin($errors, 'b2brouter/tin', 'DE12345');
+        $this->assertTrue($errors->has_errors());
+        $this->assertStringContainsString('DE', $errors->get_error_messages('b2brouter_invalid_tin')[0]);
+
+        $other_errors = new WP_Error();
+        $this->customer_fields->validate_blocks_tin($other_errors, 'some/other-field', 'DE12345');
+        $this->assertFalse($other_errors->has_errors());
+    }
+
+    /**
+     * Test the validation script is only loaded on checkout and honours the mode
+     *
+     * @return void
+     */
+    public function test_enqueue_scripts_loads_validation_on_checkout_only() {
+        global $wp_enqueued_scripts, $wp_localized_scripts, $wp_is_checkout;
+
+        $this->customer_fields->enqueue_scripts();
+        $this->assertArrayNotHasKey('b2brouter-tin-validation', $wp_enqueued_scripts);
+
+        $wp_is_checkout = true;
+        $this->customer_fields->enqueue_scripts();
+        $this->assertArrayHasKey('b2brouter-tin-validation', $wp_enqueued_scripts);
+
+        $data = $wp_localized_scripts['b2brouter-tin-validation']['data'];
+        $this->assertSame('warn', $data['mode']);
+        $this->assertArrayHasKey('ES', $data['rules']);
+
+        $wp_enqueued_scripts = array();
+        $this->settings->set_tin_validation_mode('off');
+        $this->customer_fields->enqueue_scripts();
+        $this->assertArrayNotHasKey('b2brouter-tin-validation', $wp_enqueued_scripts);
     }
 }
@@ -7,8 +7,10 @@
 
 use PHPUnit\Framework\TestCase;
 use B2Brouter\WooCommerce\Customer;
+use B2Brouter\WooCommerce\Correction_Request;
 use B2Brouter\WooCommerce\Settings;
 use B2Brouter\WooCommerce\Invoice_Generator;
+use B2Brouter\WooCommerce\Pdf_Viewer;
 
 /**
  * Customer test case
@@ -98,6 +100,13 @@ class CustomerTest extends TestCase {
         $this->assertArrayHasKey('wp_ajax_b2brouter_customer_download_pdf', $wp_actions);
         $this->assertArrayHasKey('wp_ajax_nopriv_b2brouter_customer_download_pdf', $wp_actions);
         $this->assertArrayHasKey('wp_ajax_b2brouter_customer_generate_invoice', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_customer_billing_details', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_customer_update_billing', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_customer_request_correction', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_customer_invoice_timeline', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_nopriv_b2brouter_customer_invoice_timeline', $wp_actions);
+        $this->assertArrayHasKey('woocommerce_view_order', $wp_actions);
+        $this->assertArrayHasKey('woocommerce_my_account_my_orders_column_order-actions', $wp_actions);
         $this->assertArrayHasKey('woocommerce_thankyou', $wp_actions);
         $this->assertArrayHasKey('wp_enqueue_scripts', $wp_actions);
         $this->assertArrayHasKey('woocommerce_my_account_my_orders_actions', $wp_filters);
@@ -303,6 +312,94 @@ class CustomerTest extends TestCase {
         $this->customer->ajax_customer_download_pdf();
     }
 
+    // ========== Signed document tokens ==========
+
+    /**
+     * Helper: put a document's signed attributes into $_POST as customer.js does.
+     */
+    private function post_document_request($document_order, $document) {
+        $attributes = $this->customer->get_document_attributes($document_order, $document);
+
+        $_POST['order_id'] = $attributes['data-b2brouter-order-id'];
+        $_POST['document'] = $attributes['data-b2brouter-document'];
+        $_POST['expires'] = $attributes['data-b2brouter-expires'];
+        $_POST['token'] = $attributes['data-b2brouter-token'];
+    }
+
+    public function test_download_pdf_accepts_valid_document_token_without_order_key() {
+        global $wc_mock_orders, $wp_current_user_id;
+
+        $order = new WC_Order(42);
+        $order->set_customer_id(7);
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $wc_mock_orders[42] = $order;
+        $wp_current_user_id = 0;
+
+        $this->post_document_request($order, 'invoice');
+
+        $this->mock_invoice_generator->expects($this->once())
+            ->method('stream_invoice_pdf')
+            ->with(42, true);
+
+        $this->customer->ajax_customer_download_pdf();
+    }
+
+    public function test_download_pdf_rejects_expired_document_token() {
+        global $wc_mock_orders, $wp_current_user_id;
+
+        $order = new WC_Order(42);
+        $order->set_customer_id(7);
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $wc_mock_orders[42] = $order;
+        $wp_current_user_id = 0;
+
+        $this->post_document_request($order, 'invoice');
+        $_POST['expires'] = (string) (time() - 1);
+
+        $response = $this->callAjaxHandler(array($this->customer, 'ajax_customer_download_pdf'));
+
+        $this->assertFalse($response['success']);
+        $this->assertStringContainsString('permission', $response['data']['message']);
+    }
+
+    public function test_download_pdf_rejects_token_for_another_order() {
+        global $wc_mock_orders, $wp_current_user_id;
+
+        $order = new WC_Order(42);
+        $other = new WC_Order(43);
+        $other->set_customer_id(7);
+        $other->update_meta_data('_b2brouter_invoice_id', 'inv_456');
+        $wc_mock_orders[42] = $order;
+        $wc_mock_orders[43] = $other;
+        $wp_current_user_id = 0;
+
+        $this->post_document_request($order, 'invoice');
+        $_POST['order_id'] = '43';
+
+        $response = $this->callAjaxHandler(array($this->customer, 'ajax_customer_download_pdf'));
+
+        $this->assertFalse($response['success']);
+        $this->assertStringContainsString('permission', $response['data']['message']);
+    }
+
+    public function test_download_pdf_rejects_document_type_mismatch() {
+        global $wc_mock_orders, $wp_current_user_id;
+
+        $order = new WC_Order(42);
+        $order->set_customer_id(7);
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $wc_mock_orders[42] = $order;
+        $wp_current_user_id = 0;
+
+        // A correctly signed token, but for a document type the order cannot hold
+        $this->post_document_request($order, 'credit_note');
+
+        $response = $this->callAjaxHandler(array($this->customer, 'ajax_customer_download_pdf'));
+
+        $this->assertFalse($response['success']);
+        $this->assertStringContainsString('permission', $response['data']['message']);
+    }
+
     // ========== ajax_customer_generate_invoice ==========
 
     public function test_generate_invoice_rejects_when_not_manual_mode() {
@@ -416,9 +513,278 @@ class CustomerTest extends TestCase {
         $this->assertEquals('API returned 500', $response['data']['message']);
     }
 
+    // ========== Billing details review before the invoice ==========
+
+    /**
+     * Helper: put the shop and order in the state where the customer may request the invoice
+     */
+    private function allow_invoice_request(WC_Order $order) {
+        $order->set_status('processing');
+        $this->mock_settings->method('get_invoice_mode')->willReturn('manual');
+    }
+
+    public function test_update_billing_details_records_changes_in_order_note() {
+        $order = new WC_Order(42);
+        $this->allow_invoice_request($order);
+        $order->update_meta_data('_billing_tin', 'B1234567');
+
+        $result = $this->customer->update_billing_details($order, array(
+            'company' => 'Acme SL',
+            'tin' => 'B12345674',
+            'city' => 'New York',
+        ));
+
+        $this->assertTrue($result['success']);
+        $this->assertSame('Acme SL', $order->get_billing_company());
+        $this->assertSame('B12345674', $order->get_meta('_billing_tin'));
+        $this->assertSame('John', $order->get_billing_first_name());
+
+        $notes = $order->get_test_notes();
+        $this->assertCount(1, $notes);
+        $this->assertStringContainsString('Company name: "" → "Acme SL"', $notes[0]);
+        $this->assertStringContainsString('Tax ID / VAT Number: "B1234567" → "B12345674"', $notes[0]);
+        $this->assertStringNotContainsString('Town / City', $notes[0]);
+    }
+
+    public function test_update_billing_details_without_changes_adds_no_note() {
+        $order = new WC_Order(42);
+        $this->allow_invoice_request($order);
+
+        $result = $this->customer->update_billing_details($order, $this->customer->get_billing_details($order));
+
+        $this->assertTrue($result['success']);
+        $this->assertSame(array(), $order->get_test_notes());
+    }
+
+    public function test_update_billing_details_refused_once_invoice_exists() {
+        $order = new WC_Order(42);
+        $this->mock_invoice_generator->method('has_invoice')->with(42)->willReturn(true);
+
+        $result = $this->customer->update_billing_details($order, array('company' => 'Acme SL'));
+
+        $this->assertFalse($result['success']);
+        $this->assertStringContainsString('already been issued', $result['message']);
+        $this->assertSame('', $order->get_billing_company());
+        $this->assertSame(array(), $order->get_test_notes());
+    }
+
+    public function test_update_billing_details_refused_in_automatic_mode() {
+        $order = new WC_Order(42);
+        $order->set_status('completed');
+        $this->mock_settings->method('get_invoice_mode')->willReturn('automatic');
+
+        $result = $this->customer->update_billing_details($order, array('company' => 'Acme SL'));
+
+        $this->assertFalse($result['success']);
+        $this->assertStringContainsString('automatically', $result['message']);
+        $this->assertSame('', $order->get_billing_company());
+    }
+
+    public function test_update_billing_details_refused_for_unpaid_order() {
+        $order = new WC_Order(42);
+        $order->set_status('pending');
+        $this->mock_settings->method('get_invoice_mode')->willReturn('manual');
+
+        $result = $this->customer->update_billing_details($order, array('company' => 'Acme SL'));
+
+        $this->assertFalse($result['success']);
+        $this->assertStringContainsString('completed or processing', $result['message']);
+        $this->assertSame('', $order->get_billing_company());
+        $this->assertSame(array(), $order->get_test_notes());
+    }
+
+    public function test_update_billing_details_validates_fields() {
+        $order = new WC_Order(42);
+        $this->allow_invoice_request($order);
+
+        $result = $this->customer->update_billing_details($order, array(
+            'first_name' => '',
+            'last_name' => '',
+            'address_1' => ' ',
+            'country' => 'Spain',
+        ));
+
+        $this->assertFalse($result['success']);
+        $this->assertSame(array('first_name', 'address_1', 'country'), array_keys($result['errors']));
+        $this->assertSame('John', $order->get_billing_first_name());
+    }
+
+    public function test_update_billing_details_rejects_invalid_tin_only_when_required() {
+        $order = new WC_Order(42);
+        $order->set_billing_country('ES');
+        $this->allow_invoice_request($order);
+
+        $this->mock_settings->method('get_tin_validation_mode')->willReturnOnConsecutiveCalls('warn', 'require');
+
+        $this->assertTrue($this->customer->update_billing_details($order, array('tin' => 'B12345678'))['success']);
+
+        $result = $this->customer->update_billing_details($order, array('tin' => 'B12345679'));
+        $this->assertFalse($result['success']);
+        $this->assertArrayHasKey('tin', $result['errors']);
+    }
+
+    public function test_ajax_billing_details_returns_fields_to_the_owner() {
+        global $wc_mock_orders, $wp_current_user_id;
+
+        $order = new WC_Order(42);
+        $order->set_customer_id(7);
+        $order->update_meta_data('_billing_tin', 'B12345674');
+        $wc_mock_orders[42] = $order;
+        $wp_current_user_id = 7;
+
+        $_POST['order_id'] = 42;
+
+        $response = $this->callAjaxHandler(array($this->customer, 'ajax_customer_billing_details'));
+
+        $this->assertTrue($response['success']);
+        $this->assertSame('B12345674', $response['data']['details']['tin']);
+        $this->assertSame('123 Main St', $response['data']['details']['address_1']);
+        $this->assertArrayHasKey('tin', $response['data']['labels']);
+    }
+
+    public function test_ajax_billing_details_denied_to_non_owner() {
+        global $wc_mock_orders, $wp_current_user_id;
+
+        $order = new WC_Order(42);
+        $order->set_customer_id(7);
+        $wc_mock_orders[42] = $order;
+        $wp_current_user_id = 8;
+
+        $_POST['order_id'] = 42;
+
+        $response = $this->callAjaxHandler(array($this->customer, 'ajax_customer_billing_details'));
+
+        $this->assertFalse($response['success']);
+        $this->assertStringContainsString('permission', $response['data']['message']);
+    }
+
+    public function test_ajax_update_billing_saves_and_reports_field_errors() {
+        global $wc_mock_orders, $wp_current_user_id;
+
+        $order = new WC_Order(42);
+        $order->set_customer_id(7);
+        $this->allow_invoice_request($order);
+        $wc_mock_orders[42] = $order;
+        $wp_current_user_id = 7;
+
+        $_POST = array('order_id' => 42, 'billing' => array('company' => 'Acme \\"Ltd\\"'));
+        $response = $this->callAjaxHandler(array($this->customer, 'ajax_customer_update_billing'));
+
+        $this->assertTrue($response['success']);
+        $this->assertSame('Acme "Ltd"', $order->get_billing_company());
+
+        $_POST = array('order_id' => 42, 'billing' => array('city' => ''));
+        $response = $this->callAjaxHandler(array($this->customer, 'ajax_customer_update_billing'));
+
+        $this->assertFalse($response['success']);
+        $this->assertArrayHasKey('city', $response['data']['errors']);
+    }
+
+    // ========== Invoice correction requests ==========
+
+    public function test_request_correction_stores_pending_request_without_changing_order() {
+        $order = new WC_Order(42);
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $order->update_meta_data('_b2brouter_invoice_number', '42');
+        $this->mock_invoice_generator->method('has_invoice')->willReturn(true);
+
+        $result = $this->customer->request_correction($order, "Wrong company name\non the invoice", array('company' => 'Acme SL'));
+
+        $this->assertTrue($result['success']);
+        $this->assertSame('', $order->get_billing_company());
+
+        $request = Correction_Request::get($order);
+        $this->assertSame(Correction_Request::STATUS_PENDING, $request['status']);
+        $this->assertSame("Wrong company name\non the invoice", $request['message']);
+        $this->assertSame('Acme SL', $request['proposed']['company']);
+        $this->assertSame('', $request['current']['company']);
+
+        $notes = $order->get_test_notes();
+        $this->assertCount(1, $notes);
+        $this->assertStringContainsString('Company name: "" → "Acme SL"', $notes[0]);
+        $this->assertSame(array(), $order->get_test_customer_notes());
+    }
+
+    public function test_request_correction_needs_an_invoice_and_no_pending_request() {
+        $order = new WC_Order(42);
+        $this->mock_invoice_generator->method('has_invoice')->willReturnOnConsecutiveCalls(false, true);
+
+        $result = $this->customer->request_correction($order, 'Wrong company', array('company' => 'Acme SL'));
+        $this->assertFalse($result['success']);
+        $this->assertNull(Correction_Request::get($order));
+
+        Correction_Request::create($order, 'Wrong city', Customer::get_billing_details($order), array('city' => 'Boston'));
+
+        $result = $this->customer->request_correction($order, 'Wrong company', array('company' => 'Acme SL'));
+        $this->assertFalse($result['success']);
+        $this->assertStringContainsString('already been requested', $result['message']);
+        $this->assertSame('Wrong city', Correction_Request::get($order)['message']);
+    }
+
+    public function test_request_correction_validates_message_and_changes() {
+        $order = new WC_Order(42);
+        $this->mock_invoice_generator->method('has_invoice')->willReturn(true);
+
+        $result = $this->customer->request_correction($order, '  ', array('city' => ''));
+        $this->assertFalse($result['success']);
+        $this->assertSame(array('city', 'message'), array_keys($result['errors']));
+
+        $result = $this->customer->request_correction($order, 'Please fix it', array('city' => 'New York'));
+        $this->assertFalse($result['success']);
+        $this->assertSame(array(), $result['errors']);
+        $this->assertNull(Correction_Request::get($order));
+    }
+
+    public function test_ajax_request_correction() {
+        global $wc_mock_orders, $wp_current_user_id;
+
+        $order = new WC_Order(42);
+        $order->set_customer_id(7);
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $wc_mock_orders[42] = $order;
+        $wp_current_user_id = 7;
+        $this->mock_invoice_generator->method('has_invoice')->willReturn(true);
+
+        $_POST = array('order_id' => 42, 'message' => 'Missing VAT number', 'billing' => array('tin' => 'B12345674'));
+        $response = $this->callAjaxHandler(array($this->customer, 'ajax_customer_request_correction'));
+
+        $this->assertTrue($response['success']);
+        $this->assertSame('B12345674', Correction_Request::get($order)['proposed']['tin']);
+
+        $wp_current_user_id = 8;
+        $response = $this->callAjaxHandler(array($this->customer, 'ajax_customer_request_correction'));
+
+        $this->assertFalse($response['success']);
+        $this->assertStringContainsString('permission', $response['data']['message']);
+    }
+
+    public function test_view_order_offers_correction_until_requested() {
+        global $wc_mock_orders, $wp_options;
+        $wp_options['date_format'] = 'Y-m-d';
+
+        $order = new WC_Order(42);
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $wc_mock_orders[42] = $order;
+
+        ob_start();
+        $this->customer->add_documents_to_view_order(42);
+        $output = ob_get_clean();
+
+        $this->assertStringContainsString('b2brouter-request-correction', $output);
+
+        Correction_Request::create($order, 'Wrong city', Customer::get_billing_details($order), array('city' => 'Boston'));
+
+        ob_start();
+        $this->customer->add_documents_to_view_order(42);
+        $output = ob_get_clean();
+
+        $this->assertStringNotContainsString('b2brouter-request-correction', $output);
+        $this->assertStringContainsString('b2brouter-correction-status', $output);
+    }
+
     // ========== add_pdf_download_to_my_account ==========
 
-    public function test_my_account_action_uses_new_fragment_url_format() {
+    public function test_my_account_action_emits_signed_document_attributes() {
         $order = new WC_Order(42);
         $order->set_order_key('wc_order_abc123');
         $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
@@ -426,10 +792,14 @@ class CustomerTest extends TestCase {
         $actions = $this->customer->add_pdf_download_to_my_account(array(), $order);
 
         $this->assertArrayHasKey('b2brouter_download_invoice', $actions);
-        $this->assertEquals(
-            '#b2brouter-invoice-42-wc_order_abc123',
-            $actions['b2brouter_download_invoice']['url']
-        );
+        // The URL is only the no-JS fallback
+        $this->assertEquals($order->get_view_order_url(), $actions['b2brouter_download_invoice']['url']);
+
+        $attributes = $actions['b2brouter_download_invoice']['b2brouter_attributes'];
+        $this->assertSame('42', $attributes['data-b2brouter-order-id']);
+        $this->assertSame('invoice', $attributes['data-b2brouter-document']);
+        $this->assertGreaterThan(time(), (int) $attributes['data-b2brouter-expires']);
+        $this->assertNotEmpty($attributes['data-b2brouter-token']);
     }
 
     public function test_my_account_action_shows_generate_button_in_manual_mode_with_no_invoice() {
@@ -487,7 +857,28 @@ class CustomerTest extends TestCase {
 
         $this->assertArrayHasKey('b2brouter_download_credit_note_43', $actions);
         $this->assertArrayNotHasKey('b2brouter_download_credit_note_44', $actions);
-        $this->assertEquals('#refund-43', $actions['b2brouter_download_credit_note_43']['url']);
+        $attributes = $actions['b2brouter_download_credit_note_43']['b2brouter_attributes'];
+        $this->assertSame('43', $attributes['data-b2brouter-order-id']);
+        $this->assertSame('credit_note', $attributes['data-b2brouter-document']);
+    }
+
+    public function test_my_account_actions_cell_adds_attributes_only_to_our_links() {
+        global $wc_mock_account_orders_actions;
+
+        $order = new WC_Order(42);
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+
+        $wc_mock_account_orders_actions = $this->customer->add_pdf_download_to_my_account(array(
+            'view' => array('url' => 'http://example.com/view/42', 'name' => 'View'),
+        ), $order);
+
+        ob_start();
+        $this->customer->render_my_account_order_actions($order);
+        $output = ob_get_clean();
+        $wc_mock_account_orders_actions = array();
+
+        $this->assertStringContainsString('<a href="http://example.com/view/42" aria-label="View order number 42" class="woocommerce-button button view">View</a>', $output);
+        $this->assertMatchesRegularExpression('/class="woocommerce-button button b2brouter_download_invoice" data-b2brouter-order-id="42" data-b2brouter-document="invoice"/', $output);
     }
 
     // ========== add_pdf_to_thankyou_page ==========
@@ -514,7 +905,7 @@ class CustomerTest extends TestCase {
         $this->assertEmpty($output);
     }
 
-    public function test_thankyou_renders_invoice_section_with_order_key_in_button() {
+    public function test_thankyou_renders_invoice_section_with_signed_button() {
         global $wc_mock_orders;
 
         $order = new WC_Order(42);
@@ -529,12 +920,261 @@ class CustomerTest extends TestCase {
         $output = ob_get_clean();
 
         $this->assertStringContainsString('b2brouter-invoice-section', $output);
-        $this->assertStringContainsString('data-order-id="42"', $output);
-        $this->assertStringContainsString('data-order-key="wc_order_abc123"', $output);
+        $this->assertStringContainsString('data-b2brouter-order-id="42"', $output);
+        $this->assertStringContainsString('data-b2brouter-document="invoice"', $output);
+        $this->assertStringContainsString('data-b2brouter-token="', $output);
         // Invoice number ("INV-0001" or similar formatted) should appear
         $this->assertStringContainsString('0001', $output);
     }
 
+    public function test_thankyou_renders_invoice_timeline_placeholder() {
+        global $wc_mock_orders;
+
+        $order = new WC_Order(42);
+        $order->set_order_key('wc_order_abc123');
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $wc_mock_orders[42] = $order;
+
+        ob_start();
+        $this->customer->add_pdf_to_thankyou_page(42);
+        $output = ob_get_clean();
+
+        $this->assertStringContainsString('class="b2brouter-invoice-timeline"', $output);
+    }
+
+    // ========== Documents section ==========
+
+    /**
+     * Build an order with an invoice and two refunds, only one of them credited
+     *
+     * @param string $country Billing country
+     * @return WC_Order
+     */
+    private function create_order_with_credit_note($country = 'US') {
+        $refund_old = new WC_Order_Refund(43);
+        $refund_old->set_total(-5);
+        $refund_old->update_meta_data('_b2brouter_invoice_id', 'credit_1');
+        $refund_old->update_meta_data('_b2brouter_invoice_number', '7');
+        $refund_old->update_meta_data('_b2brouter_invoice_series_code', 'R');
+        $refund_old->update_meta_data('_b2brouter_invoice_date', '2026-03-02 10:00:00');
+
+        $refund_new = new WC_Order_Refund(44);
+        $refund_new->set_total(-2);
+
+        $order = $this->getMockBuilder(WC_Order::class)
+            ->setConstructorArgs(array(42))
+            ->onlyMethods(array('get_refunds'))
+            ->getMock();
+        $order->set_total(25);
+        $order->set_billing_country($country);
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $order->update_meta_data('_b2brouter_invoice_number', '12');
+        $order->update_meta_data('_b2brouter_invoice_series_code', 'F');
+        $order->update_meta_data('_b2brouter_invoice_date', '2026-03-01 09:00:00');
+        // WooCommerce returns refunds newest first
+        $order->method('get_refunds')->willReturn(array($refund_new, $refund_old));
+
+        return $order;
+    }
+
+    public function test_constructor_registers_documents_before_timeline_on_view_order() {
+        global $wp_actions;
+
+        $priorities = array();
+        foreach ($wp_actions['woocommerce_view_order'] as $action) {
+            $priorities[$action['callback'][1]] = $action['priority'];
+        }
+
+        $this->assertLessThan(
+            $priorities['add_invoice_timeline_to_view_order'],
+            $priorities['add_documents_to_view_order']
+        );
+    }
+
+    public function test_get_order_documents_lists_invoice_then_credit_notes() {
+        global $wp_options;
+        $wp_options['date_format'] = 'Y-m-d';
+
+        $documents = $this->customer->get_order_documents($this->create_order_with_credit_note());
+
+        $this->assertCount(2, $documents);
+
+        $this->assertSame('invoice', $documents[0]['type']);
+        $this->assertSame('Invoice', $documents[0]['label']);
+        $this->assertSame('F-12', $documents[0]['number']);
+        $this->assertSame('2026-03-01', $documents[0]['date']);
+        $this->assertSame('$25.00', $documents[0]['amount']);
+        $this->assertSame('42', $documents[0]['attributes']['data-b2brouter-order-id']);
+
+        $this->assertSame('credit_note', $documents[1]['type']);
+        $this->assertSame('Credit note', $documents[1]['label']);
+        $this->assertSame('R-7', $documents[1]['number']);
+        $this->assertSame('2026-03-02', $documents[1]['date']);
+        $this->assertSame('43', $documents[1]['attributes']['data-b2brouter-order-id']);
+        $this->assertSame('credit_note', $documents[1]['attributes']['data-b2brouter-document']);
+    }
+
+    public function test_get_order_documents_labels_rectificative_invoices_in_spain() {
+        global $wp_options;
+        $wp_options['date_format'] = 'Y-m-d';
+
+        $documents = $this->customer->get_order_documents($this->create_order_with_credit_note('es'));
+
+        $this->assertSame('Rectificative invoice', $documents[1]['label']);
+    }
+
+    public function test_view_order_renders_download_button_per_document() {
+        global $wc_mock_orders, $wp_options;
+        $wp_options['date_format'] = 'Y-m-d';
+
+        $wc_mock_orders[42] = $this->create_order_with_credit_note();
+
+        ob_start();
+        $this->customer->add_documents_to_view_order(42);
+        $output = ob_get_clean();
+
+        $this->assertStringContainsString('b2brouter-documents-section', $output);
+        $this->assertSame(2, substr_count($output, 'b2brouter-customer-download-pdf'));
+        $this->assertStringContainsString('data-b2brouter-document="invoice"', $output);
+        $this->assertStringContainsString('data-b2brouter-order-id="43"', $output);
+        $this->assertStringNotContainsString('data-b2brouter-order-id="44"', $output);
+    }
+
+    public function test_view_order_renders_no_documents_without_invoice() {
+        global $wc_mock_orders;
+
+        $wc_mock_orders[42] = new WC_Order(42);
+
+        ob_start();
+        $this->customer->add_documents_to_view_order(42);
+
+        $this->assertEmpty(ob_get_clean());
+    }
+
+    // ========== Invoice status timeline ==========
+
+    public function test_view_order_renders_timeline_only_with_invoice() {
+        global $wc_mock_orders;
+
+        $order = new WC_Order(42);
+        $wc_mock_orders[42] = $order;
+
+        ob_start();
+        $this->customer->add_invoice_timeline_to_view_order(42);
+        $this->assertEmpty(ob_get_clean());
+
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+
+        ob_start();
+        $this->customer->add_invoice_timeline_to_view_order(42);
+        $output = ob_get_clean();
+
+        $this->assertStringContainsString('b2brouter-invoice-status-section', $output);
+        $this->assertStringContainsString('data-order-id="42"', $output);
+    }
+
+    public function test_timeline_marks_stages_reached_from_history() {
+        $order = new WC_Order(42);
+        $order->update_meta_data('_b2brouter_invoice_status', 'registered');
+        $order->update_meta_data('_b2brouter_invoice_status_history', array(
+            array('status' => 'new', 'time' => 1000),
+            array('status' => 'sent', 'time' => 2000),
+            array('status' => 'registered', 'time' => 3000),
+        ));
+
+        $timeline = $this->customer->get_invoice_timeline($order);
+
+        $this->assertSame('registered', $timeline['status']);
+        $this->assertSame(
+            array('complete', 'complete', 'complete', 'upcoming'),
+            array_column($timeline['steps'], 'state')
+        );
+        $this->assertSame(array('issued', 'sent', 'delivered', 'accepted'), array_column($timeline['steps'], 'key'));
+        $this->assertNotSame('', $timeline['steps'][1]['date']);
+        $this->assertSame('', $timeline['steps'][3]['date']);
+    }
+
+    public function test_timeline_counts_skipped_stages_as_reached() {
+        $order = new WC_Order(42);
+        $order->update_meta_data('_b2brouter_invoice_status', 'accepted');
+        $order->update_meta_data('_b2brouter_invoice_status_history', array(
+            array('status' => 'new', 'time' => 1000),
+            array('status' => 'accepted', 'time' => 5000),
+        ));
+
+        $timeline = $this->customer->get_invoice_timeline($order);
+
+        $this->assertSame(
+            array('complete', 'complete', 'complete', 'complete'),
+            array_column($timeline['steps'], 'state')
+        );
+    }
+
+    public function test_timeline_shows_refused_as_failed_final_step() {
+        $order = new WC_Order(42);
+        $order->update_meta_data('_b2brouter_invoice_status', 'refused');
+
+        $timeline = $this->customer->get_invoice_timeline($order);
+
+        $this->assertSame('refused', $timeline['steps'][3]['key']);
+        $this->assertSame('failed', $timeline['steps'][3]['state']);
+    }
+
+    public function test_timeline_hides_error_details_from_customer() {
+        $order = new WC_Order(42);
+        $order->update_meta_data('_b2brouter_invoice_status', 'error');
+        $order->update_meta_data('_b2brouter_invoice_status_error', 'Invalid receiver endpoint');
+        $order->update_meta_data('_b2brouter_invoice_status_history', array(
+            array('status' => 'sent', 'time' => 2000),
+            array('status' => 'error', 'time' => 3000),
+        ));
+
+        $timeline = $this->customer->get_invoice_timeline($order);
+
+        $this->assertSame(
+            array('complete', 'complete', 'failed', 'upcoming'),
+            array_column($timeline['steps'], 'state')
+        );
+        $this->assertStringNotContainsString('Invalid receiver endpoint', json_encode($timeline));
+    }
+
+    public function test_timeline_ajax_denied_to_non_owner() {
+        global $wc_mock_orders, $wp_current_user_id;
+
+        $order = new WC_Order(42);
+        $order->set_customer_id(7);
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $wc_mock_orders[42] = $order;
+        $wp_current_user_id = 8;
+
+        $_POST['order_id'] = 42;
+
+        $response = $this->callAjaxHandler(array($this->customer, 'ajax_customer_invoice_timeline'));
+
+        $this->assertFalse($response['success']);
+        $this->assertStringContainsString('permission', $response['data']['message']);
+    }
+
+    public function test_timeline_ajax_returns_steps_to_guest_with_order_key() {
+        global $wc_mock_orders, $wp_current_user_id;
+
+        $order = new WC_Order(42);
+        $order->set_order_key('wc_order_abc123');
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv_123');
+        $order->update_meta_data('_b2brouter_invoice_status', 'sent');
+        $wc_mock_orders[42] = $order;
+        $wp_current_user_id = 0;
+
+        $_POST['order_id'] = 42;
+        $_POST['order_key'] = 'wc_order_abc123';
+
+        $response = $this->callAjaxHandler(array($this->customer, 'ajax_customer_invoice_timeline'));
+
+        $this->assertTrue($response['success']);
+        $this->assertCount(4, $response['data']['steps']);
+        $this->assertSame('complete', $response['data']['steps'][1]['state']);
+    }
+
     // ========== enqueue_scripts ==========
 
     public function test_enqueue_scripts_skipped_on_unrelated_pages() {
@@ -560,6 +1200,17 @@ class CustomerTest extends TestCase {
         $this->assertArrayHasKey('nonce', $wp_localized_scripts['b2brouter-customer']['data']);
     }
 
+    public function test_enqueue_scripts_loads_pdf_viewer_as_dependency() {
+        global $wp_is_account_page, $wp_enqueued_scripts, $wp_registered_scripts, $wp_localized_scripts;
+        $wp_is_account_page = true;
+
+        $this->customer->enqueue_scripts();
+
+        $this->assertContains(Pdf_Viewer::HANDLE, $wp_enqueued_scripts['b2brouter-customer']['deps']);
+        $this->assertArrayHasKey(Pdf_Viewer::HANDLE, $wp_registered_scripts);
+        $this->assertSame('b2brouterPdfViewerL10n', $wp_localized_scripts[Pdf_Viewer::HANDLE]['name']);
+    }
+
     public function test_enqueue_scripts_loads_assets_on_order_received_page() {
         global $wp_is_order_received_page, $wp_enqueued_scripts;
         $wp_is_order_received_page = true;
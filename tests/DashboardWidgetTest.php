@@ -0,0 +1,208 @@
+<?php
+/**
+ * Tests for Dashboard_Widget class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Dashboard_Widget;
+
+/**
+ * Dashboard_Widget test case
+ *
+ * @since 1.0.0
+ */
+class DashboardWidgetTest extends TestCase {
+
+    /**
+     * @var Dashboard_Widget
+     */
+    private $widget;
+
+    /**
+     * wc_get_orders() calls seen by the query callback
+     *
+     * @var array[]
+     */
+    private $queries = array();
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_actions, $wp_transients, $wp_options, $wp_dashboard_widgets;
+        $wp_actions = array();
+        $wp_transients = array();
+        $wp_options = array();
+        $wp_dashboard_widgets = array();
+
+        $this->queries = array();
+        $GLOBALS['test_wc_get_orders_callback'] = array($this, 'answer_query');
+
+        $this->widget = new Dashboard_Widget();
+    }
+
+    public function tearDown(): void {
+        unset($GLOBALS['test_wc_get_orders_callback']);
+
+        parent::tearDown();
+    }
+
+    /**
+     * Fake order store: 8 invoices, 2 credit notes, 3 stuck, 1 per day,
+     * and as many invoices per status as the status name has letters
+     *
+     * @param array $args wc_get_orders() arguments
+     * @return object Paginated result, as wc_get_orders() returns with 'paginate'
+     */
+    public function answer_query($args) {
+        $this->queries[] = $args;
+        $ids = $this->match_orders($args);
+
+        return (object) array('orders' => array_slice($ids, 0, 1), 'total' => count($ids), 'max_num_pages' => count($ids));
+    }
+
+    /**
+     * IDs of the fake orders matching a query
+     *
+     * @param array $args wc_get_orders() arguments
+     * @return int[] Order IDs
+     */
+    private function match_orders($args) {
+        $clause = isset($args['meta_query'][1]) ? $args['meta_query'][1] : array();
+
+        if (isset($clause['key']) && $clause['key'] === '_b2brouter_invoice_status') {
+            return range(1, strlen($clause['value']));
+        }
+
+        // Stuck: date clause followed by the OR group on the status
+        if (isset($args['meta_query'][2]['relation'])) {
+            return array(1, 2, 3);
+        }
+
+        if (isset($clause['compare']) && $clause['compare'] === 'BETWEEN') {
+            return array(1);
+        }
+
+        return $args['type'] === array('shop_order_refund') ? array(9, 10) : range(1, 8);
+    }
+
+    /**
+     * Call an AJAX handler and return the decoded JSON response
+     *
+     * @param callable $callback Handler
+     * @return array Decoded response
+     */
+    private function callAjaxHandler($callback) {
+        global $wp_send_json_throw;
+        $wp_send_json_throw = true;
+        try {
+            call_user_func($callback);
+        } catch (\WpJsonResponseException $e) {
+            $wp_send_json_throw = false;
+            return json_decode($e->response, true);
+        }
+        $wp_send_json_throw = false;
+        $this->fail('AJAX handler did not call wp_send_json');
+    }
+
+    public function test_constructor_registers_hooks() {
+        global $wp_actions;
+
+        $this->assertArrayHasKey('wp_dashboard_setup', $wp_actions);
+        $this->assertArrayHasKey('admin_enqueue_scripts', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_dashboard_stats', $wp_actions);
+    }
+
+    public function test_register_widget() {
+        global $wp_dashboard_widgets;
+
+        $this->widget->register_widget();
+
+        $this->assertArrayHasKey(Dashboard_Widget::WIDGET_ID, $wp_dashboard_widgets);
+    }
+
+    public function test_compute_stats_counts_and_deep_links() {
+        $stats = $this->widget->compute_stats(strtotime('2026-03-11 12:00:00 UTC'));
+
+        $this->assertSame(10, $stats['total']);
+        $this->assertSame(8, $stats['credit_notes']['invoices']);
+        $this->assertSame(2, $stats['credit_notes']['credit_notes']);
+        $this->assertEquals(25, $stats['credit_notes']['ratio']);
+        $this->assertStringContainsString('invoice_type=credit_note', $stats['credit_notes']['url']);
+
+        $this->assertSame(3, $stats['stuck']['count']);
+        $this->assertStringContainsString('invoice_status=stuck', $stats['stuck']['url']);
+
+        $this->assertSame(array('sent', 'accepted', 'refused', 'error'), array_column($stats['statuses'], 'status'));
+        $this->assertSame(array(4, 8, 7, 5), array_column($stats['statuses'], 'count'));
+        $this->assertStringContainsString('page=b2brouter-invoices&invoice_status=refused', $stats['statuses'][2]['url']);
+    }
+
+    public function test_compute_stats_issued_buckets() {
+        $stats = $this->widget->compute_stats(strtotime('2026-03-11 12:00:00 UTC'));
+
+        $days = $stats['issued']['day'];
+        $this->assertCount(Dashboard_Widget::DAYS, $days);
+        $this->assertSame('2026-03-05', $days[0]['from']);
+        $this->assertSame('2026-03-11', $days[6]['to']);
+        $this->assertSame(1, $days[6]['count']);
+        $this->assertStringContainsString('date_from=2026-03-11&date_to=2026-03-11', $days[6]['url']);
+
+        // 2026-03-11 is a Wednesday; weeks start on Monday by default
+        $weeks = $stats['issued']['week'];
+        $this->assertCount(Dashboard_Widget::WEEKS, $weeks);
+        $this->assertSame('2026-03-09', $weeks[7]['from']);
+        $this->assertSame('2026-03-15', $weeks[7]['to']);
+        $this->assertSame('2026-01-19', $weeks[0]['from']);
+    }
+
+    public function test_weeks_follow_start_of_week_option() {
+        update_option('start_of_week', 0);
+
+        $weeks = $this->widget->compute_stats(strtotime('2026-03-11 12:00:00 UTC'))['issued']['week'];
+
+        $this->assertSame('2026-03-08', $weeks[7]['from']);
+    }
+
+    public function test_ratio_without_invoices() {
+        $GLOBALS['test_wc_get_orders_callback'] = function() {
+            return (object) array('orders' => array(), 'total' => 0, 'max_num_pages' => 0);
+        };
+
+        $stats = $this->widget->compute_stats(time());
+
+        $this->assertSame(0, $stats['total']);
+        $this->assertSame(0, $stats['credit_notes']['ratio']);
+    }
+
+    public function test_counts_read_the_total_of_a_single_id_page() {
+        $stats = $this->widget->compute_stats(time());
+
+        $this->assertSame(10, $stats['total']);
+        foreach ($this->queries as $args) {
+            $this->assertTrue($args['paginate']);
+            $this->assertSame(1, $args['limit']);
+            $this->assertSame('ids', $args['return']);
+        }
+    }
+
+    public function test_get_stats_is_cached_until_refresh() {
+        $this->widget->get_stats();
+        $query_count = count($this->queries);
+
+        $this->widget->get_stats();
+        $this->assertCount($query_count, $this->queries);
+
+        $this->widget->get_stats(true);
+        $this->assertCount($query_count * 2, $this->queries);
+    }
+
+    public function test_ajax_get_stats() {
+        $response = $this->callAjaxHandler(array($this->widget, 'ajax_get_stats'));
+
+        $this->assertTrue($response['success']);
+        $this->assertSame(10, $response['data']['total']);
+        $this->assertArrayHasKey('updated', $response['data']);
+    }
+}
@@ -0,0 +1,128 @@
+<?php
+/**
+ * Tests for Event_Log class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Event_Log;
+use B2Brouter\WooCommerce\Logger;
+
+/**
+ * Event_Log test case
+ *
+ * @since 1.0.0
+ */
+class EventLogTest extends TestCase {
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_options, $wpdb;
+        $wp_options = array();
+        $wpdb = new B2BRouter_Test_WPDB_Stub();
+    }
+
+    public function test_logger_records_entries_with_context() {
+        Logger::warning('Invoice not found for order 12', array('order_id' => 12, 'invoice_id' => 345));
+
+        $entries = Event_Log::get_entries();
+
+        $this->assertCount(1, $entries);
+        $this->assertSame(1, $entries[0]['id']);
+        $this->assertSame('warning', $entries[0]['level']);
+        $this->assertSame(12, $entries[0]['order_id']);
+        $this->assertSame('345', $entries[0]['invoice_id']);
+    }
+
+    public function test_record_numbers_entries_and_prunes_oldest() {
+        global $wpdb;
+
+        for ($i = 0; $i < Event_Log::MAX_ENTRIES + Event_Log::PRUNE_EVERY; $i++) {
+            Event_Log::record('info', 'Entry ' . $i);
+        }
+
+        $entries = Event_Log::get_entries();
+
+        $this->assertCount(Event_Log::MAX_ENTRIES, $entries);
+        $this->assertSame(Event_Log::MAX_ENTRIES + Event_Log::PRUNE_EVERY, $entries[0]['id']);
+        $this->assertSame('Entry ' . (Event_Log::MAX_ENTRIES + Event_Log::PRUNE_EVERY - 1), $entries[0]['message']);
+        $this->assertCount(Event_Log::MAX_ENTRIES, $wpdb->tables[Event_Log::get_table_name()]);
+    }
+
+    public function test_record_redacts_configured_secrets_before_saving() {
+        global $wp_options, $wpdb;
+        $wp_options['b2brouter_api_key'] = 'sk_live_123';
+        $wp_options['b2brouter_webhook_previous_secret'] = 'whsec_old';
+
+        Event_Log::record('error', 'Key sk_live_123 rejected, signed with whsec_old, token=abc');
+
+        $this->assertSame(
+            'Key [redacted] rejected, signed with [redacted], token=[redacted]',
+            $wpdb->tables[Event_Log::get_table_name()][0]['message']
+        );
+    }
+
+    public function test_record_truncates_long_messages() {
+        Event_Log::record('error', str_repeat('x', Event_Log::MAX_MESSAGE_LENGTH + 10));
+
+        $this->assertSame(Event_Log::MAX_MESSAGE_LENGTH, strlen(Event_Log::get_entries()[0]['message']));
+    }
+
+    public function test_query_filters() {
+        Event_Log::record('error', 'Sync failed', array('order_id' => 1));
+        Event_Log::record('warning', 'Webhook for unknown invoice', array('invoice_id' => 99));
+        Event_Log::record('error', 'PDF download failed', array('order_id' => 2, 'invoice_id' => 98));
+
+        $this->assertCount(2, Event_Log::query(array('level' => 'error'), array())['entries']);
+        $this->assertSame('Sync failed', Event_Log::query(array('order_id' => 1), array())['entries'][0]['message']);
+        $this->assertCount(1, Event_Log::query(array('invoice_id' => '99'), array())['entries']);
+        $this->assertCount(1, Event_Log::query(array('search' => 'pdf DOWNLOAD'), array())['entries']);
+    }
+
+    public function test_query_tails_and_pages() {
+        for ($i = 1; $i <= 5; $i++) {
+            Event_Log::record('info', 'Entry ' . $i);
+        }
+
+        $newer = Event_Log::query(array('after_id' => 3), array());
+        $this->assertSame(array(5, 4), array_column($newer['entries'], 'id'));
+
+        $page = Event_Log::query(array(), array(), 2);
+        $this->assertSame(array(5, 4), array_column($page['entries'], 'id'));
+        $this->assertTrue($page['has_more']);
+
+        $older = Event_Log::query(array('before_id' => 4), array(), 2);
+        $this->assertSame(array(3, 2), array_column($older['entries'], 'id'));
+    }
+
+    public function test_query_redacts_and_does_not_search_secrets() {
+        Event_Log::record('error', 'Authentication failed for key sk_live_123');
+
+        $result = Event_Log::query(array(), array('sk_live_123'));
+        $this->assertSame('Authentication failed for key [redacted]', $result['entries'][0]['message']);
+
+        $this->assertCount(0, Event_Log::query(array('search' => 'sk_live'), array('sk_live_123'))['entries']);
+    }
+
+    public function test_redact_credential_assignments() {
+        $this->assertSame(
+            'Request failed: Authorization: Bearer [redacted], api_key=[redacted]',
+            Event_Log::redact('Request failed: Authorization: Bearer abc.def, api_key=xyz', array())
+        );
+        $this->assertSame('{"secret":"[redacted]"}', Event_Log::redact('{"secret":"s3cr3t"}', array('')));
+        $this->assertSame('Webhook secret not configured', Event_Log::redact('Webhook secret not configured', array()));
+    }
+
+    public function test_export() {
+        Event_Log::record('error', "Sync failed\nwith key k-1", array('order_id' => 7));
+        Event_Log::record('info', 'Cleanup done');
+
+        $lines = explode("\n", trim(Event_Log::export(array('level' => 'error', 'after_id' => 1), array('k-1'))));
+
+        $this->assertStringStartsWith('# B2Brouter for WooCommerce', $lines[0]);
+        $this->assertCount(3, $lines);
+        $this->assertStringContainsString('ERROR   order=7 invoice=- Sync failed with key [redacted]', $lines[2]);
+    }
+}
@@ -0,0 +1,275 @@
+<?php
+/**
+ * Tests for Invoice_Export class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Invoice_Export;
+use B2Brouter\WooCommerce\Settings;
+
+/**
+ * Invoice_Export test case
+ *
+ * @since 1.0.0
+ */
+class InvoiceExportTest extends TestCase {
+
+    /**
+     * @var Invoice_Export
+     */
+    private $export;
+
+    /**
+     * Temporary PDF storage directory
+     *
+     * @var string
+     */
+    private $temp_dir;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_actions, $wp_transients, $wc_mock_orders, $wp_current_user_id;
+        $wp_actions = array();
+        $wp_transients = array();
+        $wc_mock_orders = array();
+        $wp_current_user_id = 1;
+
+        $this->temp_dir = sys_get_temp_dir() . '/b2brouter-export-' . uniqid();
+        mkdir($this->temp_dir);
+
+        $settings = $this->createMock(Settings::class);
+        $settings->method('get_pdf_storage_path')->willReturn($this->temp_dir);
+
+        $this->export = new Invoice_Export($settings);
+    }
+
+    public function tearDown(): void {
+        parent::tearDown();
+        $this->remove_directory($this->temp_dir);
+    }
+
+    /**
+     * Recursively remove a temp directory
+     *
+     * @param string $path Directory path
+     * @return void
+     */
+    private function remove_directory($path) {
+        if (!is_dir($path)) {
+            return;
+        }
+        foreach (array_diff(scandir($path), array('.', '..')) as $entry) {
+            $full = $path . '/' . $entry;
+            is_dir($full) ? $this->remove_directory($full) : unlink($full);
+        }
+        rmdir($path);
+    }
+
+    /**
+     * Register a mock order with an invoice: 100 net, 21 VAT on items, 2.10 VAT on shipping
+     *
+     * @param int $order_id Order ID
+     * @param string $number Invoice number
+     * @return WC_Order
+     */
+    private function add_invoiced_order($order_id, $number) {
+        global $wc_mock_orders;
+
+        $order = new WC_Order($order_id);
+        $order->set_total(123.10);
+        $order->add_item(new WC_Order_Item_Product());
+        $order->add_item(new WC_Order_Item_Tax('VAT', 21, 21, 2.10));
+        $order->update_meta_data('_b2brouter_invoice_id', 'inv-' . $order_id);
+        $order->update_meta_data('_b2brouter_invoice_number', $number);
+        $order->update_meta_data('_b2brouter_invoice_series_code', 'INV');
+        $order->update_meta_data('_b2brouter_invoice_date', '2026-03-10 09:30:00');
+        $order->update_meta_data('_b2brouter_invoice_status', 'accepted');
+        $order->update_meta_data('_billing_tin', 'ESB12345678');
+        $wc_mock_orders[$order_id] = $order;
+
+        return $order;
+    }
+
+    /**
+     * Register a credit note for a refund of the given order, taxed at a reduced rate
+     *
+     * @param int $refund_id Refund ID
+     * @param int $parent_id Parent order ID
+     * @return WC_Order_Refund
+     */
+    private function add_credit_note($refund_id, $parent_id) {
+        global $wc_mock_orders;
+
+        $refund = new WC_Order_Refund($refund_id);
+        $refund->set_parent_id($parent_id);
+        $refund->set_total(-11.00);
+        $refund->add_item(new WC_Order_Item_Tax('VAT', 10, -1.00));
+        $refund->update_meta_data('_b2brouter_invoice_id', 'inv-' . $refund_id);
+        $refund->update_meta_data('_b2brouter_invoice_number', '1');
+        $refund->update_meta_data('_b2brouter_invoice_series_code', 'CN');
+        $refund->update_meta_data('_b2brouter_invoice_date', '2026-03-12 10:00:00');
+        $wc_mock_orders[$refund_id] = $refund;
+
+        return $refund;
+    }
+
+    /**
+     * Run a job until it completes
+     *
+     * @param string $job_id Job ID
+     * @return array Last process_chunk() result
+     */
+    private function run_job($job_id) {
+        do {
+            $result = $this->export->process_chunk($job_id, 1);
+        } while ($result['success'] && !$result['complete']);
+
+        return $result;
+    }
+
+    public function test_constructor_registers_ajax_hooks() {
+        global $wp_actions;
+
+        $this->assertArrayHasKey('wp_ajax_b2brouter_invoice_export_process', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_invoice_export_file', $wp_actions);
+    }
+
+    public function test_create_job_normalises_ids_and_format() {
+        $job_id = Invoice_Export::create_job(array(5, '7', 5, 0), 'pdf', 1);
+
+        $job = Invoice_Export::get_job($job_id, 1);
+        $this->assertSame(array(5, 7), $job['order_ids']);
+        $this->assertSame('csv', $job['format']);
+        $this->assertNull(Invoice_Export::get_job($job_id, 2));
+    }
+
+    public function test_process_chunk_fails_for_unknown_job() {
+        $result = $this->export->process_chunk('missing', 1);
+
+        $this->assertFalse($result['success']);
+        $this->assertStringContainsString('expired', $result['message']);
+    }
+
+    public function test_register_row_for_invoice() {
+        $this->add_invoiced_order(101, '42');
+        $job = array('tax_columns' => array(), 'failures' => array());
+
+        $row = $this->export->get_register_row(101, $job);
+
+        $this->assertSame('42', $row['invoice_number']);
+        $this->assertSame('INV', $row['series']);
+        $this->assertSame('2026-03-10', $row['date']);
+        $this->assertSame('John Doe', $row['customer']);
+        $this->assertSame('ESB12345678', $row['tin']);
+        $this->assertEqualsWithDelta(100.0, $row['net'], 0.001);
+        $this->assertEqualsWithDelta(23.10, $row['taxes']['VAT|21'], 0.001);
+        $this->assertSame('USD', $row['currency']);
+        $this->assertSame('accepted', $row['status']);
+        $this->assertSame('', $row['parent_invoice']);
+        $this->assertSame(array('VAT|21' => 'VAT 21%'), $job['tax_columns']);
+    }
+
+    public function test_register_row_for_credit_note_uses_parent_order() {
+        $this->add_invoiced_order(101, '42');
+        $this->add_credit_note(102, 101);
+        $job = array('tax_columns' => array(), 'failures' => array());
+
+        $row = $this->export->get_register_row(102, $job);
+
+        $this->assertSame('Credit note', $row['type']);
+        $this->assertSame('John Doe', $row['customer']);
+        $this->assertSame('ESB12345678', $row['tin']);
+        $this->assertSame('INV-42', $row['parent_invoice']);
+        $this->assertEqualsWithDelta(-10.0, $row['net'], 0.001);
+        $this->assertSame('pending', $row['status']);
+    }
+
+    public function test_register_row_records_skipped_invoices() {
+        global $wc_mock_orders;
+        $wc_mock_orders[103] = new WC_Order(103);
+        $job = array('tax_columns' => array(), 'failures' => array());
+
+        $this->assertNull($this->export->get_register_row(103, $job));
+        $this->assertNull($this->export->get_register_row(999, $job));
+        $this->assertSame(array(103, 999), array_column($job['failures'], 'order_id'));
+    }
+
+    public function test_csv_export_has_a_column_per_tax_rate() {
+        $this->add_invoiced_order(101, '42');
+        $this->add_credit_note(102, 101);
+        $GLOBALS['wc_mock_orders'][101]->set_billing_first_name('=HYPERLINK("x")');
+
+        $job_id = Invoice_Export::create_job(array(101, 102), 'csv', 1);
+        $result = $this->run_job($job_id);
+
+        $this->assertTrue($result['complete']);
+        $this->assertSame(2, $result['rows']);
+
+        $csv = file_get_contents($this->temp_dir . '/exports/' . $job_id . '.csv');
+        $lines = explode("\r\n", trim(substr($csv, 3)));
+
+        $this->assertSame("\xEF\xBB\xBF", substr($csv, 0, 3));
+        $this->assertCount(3, $lines);
+        $this->assertStringContainsString('"Net","VAT 21%","VAT 10%","Total"', $lines[0]);
+        $this->assertStringContainsString('"\'=HYPERLINK(""x"") Doe"', $lines[1]);
+        $this->assertStringContainsString(',100,23.1,0,123.1,"USD","accepted",""', $lines[1]);
+        $this->assertStringContainsString(',-10,0,-1,-11,"USD","pending","INV-42"', $lines[2]);
+        $this->assertEmpty(glob($this->temp_dir . '/exports/*.json'));
+    }
+
+    public function test_xlsx_export_is_a_workbook() {
+        if (!class_exists('ZipArchive')) {
+            $this->markTestSkipped('ZipArchive not available');
+        }
+
+        $this->add_invoiced_order(101, '42');
+
+        $job_id = Invoice_Export::create_job(array(101), 'xlsx', 1);
+        $this->run_job($job_id);
+
+        $zip = new ZipArchive();
+        $this->assertTrue($zip->open($this->temp_dir . '/exports/' . $job_id . '.xlsx'));
+        $this->assertNotFalse($zip->locateName('xl/workbook.xml'));
+
+        $sheet = $zip->getFromName('xl/worksheets/sheet1.xml');
+        $zip->close();
+
+        $this->assertStringContainsString('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Invoice number</t></is></c>', $sheet);
+        $this->assertStringContainsString('<c r="H2"><v>100</v></c>', $sheet);
+        $this->assertNotFalse(simplexml_load_string($sheet));
+    }
+
+    public function test_export_runs_in_chunks() {
+        $order_ids = array();
+        for ($i = 1; $i <= Invoice_Export::CHUNK_SIZE + 1; $i++) {
+            $this->add_invoiced_order($i, (string) $i);
+            $order_ids[] = $i;
+        }
+
+        $job_id = Invoice_Export::create_job($order_ids, 'csv', 1);
+
+        $first = $this->export->process_chunk($job_id, 1);
+        $this->assertFalse($first['complete']);
+        $this->assertSame(Invoice_Export::CHUNK_SIZE, $first['processed']);
+        $this->assertFileDoesNotExist($this->temp_dir . '/exports/' . $job_id . '.csv');
+
+        $second = $this->export->process_chunk($job_id, 1);
+        $this->assertTrue($second['complete']);
+        $this->assertSame(count($order_ids), $second['rows']);
+        $this->assertFileExists($this->temp_dir . '/exports/' . $job_id . '.csv');
+        $this->assertFileExists($this->temp_dir . '/exports/.htaccess');
+    }
+
+    public function test_export_without_rows_writes_no_file() {
+        $job_id = Invoice_Export::create_job(array(999), 'csv', 1);
+        $result = $this->run_job($job_id);
+
+        $this->assertTrue($result['complete']);
+        $this->assertSame(0, $result['rows']);
+        $this->assertCount(1, $result['failures']);
+        $this->assertFileDoesNotExist($this->temp_dir . '/exports/' . $job_id . '.csv');
+    }
+}
@@ -7,6 +7,7 @@
 
 use PHPUnit\Framework\TestCase;
 use B2Brouter\WooCommerce\Invoice_Generator;
+use B2Brouter\WooCommerce\Customer;
 use B2Brouter\WooCommerce\Settings;
 
 /**
@@ -238,6 +239,299 @@ class InvoiceGeneratorTest extends TestCase {
         unset($wc_mock_orders[101]);
     }
 
+    /**
+     * Test regenerate_invoice refuses invoices that are not in error state
+     *
+     * @return void
+     */
+    public function test_regenerate_invoice_rejects_non_error_status() {
+        global $wc_mock_orders;
+
+        $order = new WC_Order(105);
+        $order->add_meta_data('_b2brouter_invoice_id', 'existing-invoice-id', true);
+        $order->add_meta_data('_b2brouter_invoice_status', 'sent', true);
+        $wc_mock_orders[105] = $order;
+
+        $result = $this->generator->regenerate_invoice(105);
+
+        $this->assertFalse($result['success']);
+        $this->assertStringContainsString('error state', $result['message']);
+        $this->assertEquals('existing-invoice-id', $order->get_meta('_b2brouter_invoice_id'));
+
+        unset($wc_mock_orders[105]);
+    }
+
+    /**
+     * Test regenerate_invoice replaces a failed invoice with a new one
+     *
+     * @return void
+     */
+    public function test_regenerate_invoice_replaces_failed_invoice() {
+        global $wc_mock_orders;
+
+        $order = new WC_Order(106);
+        $order->add_item(new WC_Order_Item_Product('Test Product'));
+        $order->add_meta_data('_b2brouter_invoice_id', 'failed-invoice-id', true);
+        $order->add_meta_data('_b2brouter_invoice_status', 'error', true);
+        $order->add_meta_data('_b2brouter_invoice_status_error', 'Invalid recipient VAT number', true);
+        $wc_mock_orders[106] = $order;
+
+        $this->mock_settings->method('get_api_key')->willReturn('valid-api-key');
+        $this->mock_settings->method('get_account_id')->willReturn('211162');
+        $this->mock_settings->method('get_auto_save_pdf')->willReturn(false);
+        $this->injectMockClient();
+
+        $result = $this->generator->regenerate_invoice(106);
+
+        $this->assertTrue($result['success']);
+        $this->assertEquals(354754, $order->get_meta('_b2brouter_invoice_id'));
+        $this->assertEquals('', $order->get_meta('_b2brouter_invoice_status_error'));
+
+        unset($wc_mock_orders[106]);
+    }
+
+    /**
+     * Test each regenerated invoice gets a number of its own under the WooCommerce pattern
+     *
+     * @return void
+     */
+    public function test_regenerate_invoice_numbers_replacement_after_failed_one() {
+        global $wc_mock_orders;
+
+        $order = new WC_Order(108);
+        $order->add_item(new WC_Order_Item_Product('Test Product'));
+        $order->add_meta_data('_b2brouter_invoice_id', 'failed-invoice-id', true);
+        $order->add_meta_data('_b2brouter_invoice_number', '108', true);
+        $order->add_meta_data('_b2brouter_invoice_status', 'error', true);
+        $wc_mock_orders[108] = $order;
+
+        $this->mock_settings->method('get_api_key')->willReturn('valid-api-key');
+        $this->mock_settings->method('get_account_id')->willReturn('211162');
+        $this->mock_settings->method('get_auto_save_pdf')->willReturn(false);
+        $this->mock_settings->method('get_invoice_numbering_pattern')->willReturn('woocommerce');
+        $client = $this->injectRecordingClient();
+
+        $this->assertTrue($this->generator->regenerate_invoice(108)['success']);
+
+        $order->update_meta_data('_b2brouter_invoice_status', 'error');
+        $this->assertTrue($this->generator->regenerate_invoice(108)['success']);
+
+        $this->assertSame(array('108-2', '108-3'), array_column($client->invoices->created, 'number'));
+        $this->assertSame(2, $order->get_meta('_b2brouter_invoice_regenerations'));
+
+        unset($wc_mock_orders[108]);
+    }
+
+    /**
+     * Inject a client that records every invoice it is asked to create
+     *
+     * @param bool $fail Throw instead of creating the invoice
+     * @return object Client; created payloads are in $client->invoices->created
+     */
+    private function injectRecordingClient($fail = false) {
+        $client = new class($fail) {
+            public $invoices;
+            public function __construct($fail) {
+                $this->invoices = new class($fail) {
+                    public $created = array();
+                    private $fail;
+                    public function __construct($fail) {
+                        $this->fail = $fail;
+                    }
+                    public function create($account, $params) {
+                        if ($this->fail) {
+                            throw new \Exception('Service unavailable');
+                        }
+                        $this->created[] = $params['invoice'];
+                        return array(
+                            'id' => count($this->created),
+                            'number' => $params['invoice']['number'] ?? '',
+                        );
+                    }
+                };
+            }
+        };
+
+        $reflection = new \ReflectionClass($this->generator);
+        $clientProperty = $reflection->getProperty('client');
+        $clientProperty->setAccessible(true);
+        $clientProperty->setValue($this->generator, $client);
+
+        return $client;
+    }
+
+    /**
+     * Create an invoiced order to correct, and configure numbering for it
+     *
+     * @param int $order_id Order ID
+     * @param string $country Billing country
+     * @return WC_Order
+     */
+    private function createOrderToCorrect($order_id, $country) {
+        global $wc_mock_orders;
+
+        $order = new WC_Order($order_id);
+        $order->add_item(new WC_Order_Item_Product('Test Product'));
+        $order->set_billing_country($country);
+        $order->add_meta_data('_b2brouter_invoice_id', 'original-invoice-id', true);
+        $order->add_meta_data('_b2brouter_invoice_number', (string) $order_id, true);
+        $order->add_meta_data('_b2brouter_invoice_series_code', 'INV', true);
+        $order->add_meta_data('_b2brouter_invoice_date', '2026-10-01 10:00:00', true);
+        $order->add_meta_data('_b2brouter_invoice_status', 'sent', true);
+        $wc_mock_orders[$order_id] = $order;
+
+        $this->mock_settings->method('get_api_key')->willReturn('valid-api-key');
+        $this->mock_settings->method('get_account_id')->willReturn('211162');
+        $this->mock_settings->method('get_auto_save_pdf')->willReturn(false);
+        $this->mock_settings->method('get_invoice_numbering_pattern')->willReturn('woocommerce');
+        $this->mock_settings->method('get_invoice_series_code')->willReturn('INV');
+        $this->mock_settings->method('get_credit_note_series_code')->willReturn('R');
+
+        return $order;
+    }
+
+    /**
+     * Test correct_invoice cancels with a rectificative invoice, then reissues with the new details
+     *
+     * @return void
+     */
+    public function test_correct_invoice_cancels_and_reissues_with_corrected_details() {
+        global $wc_mock_orders;
+
+        $order = $this->createOrderToCorrect(107, 'ES');
+        $client = $this->injectRecordingClient();
+
+        $billing = Customer::get_billing_details($order);
+        $billing['first_name'] = '';
+        $billing['last_name'] = '';
+        $billing['company'] = 'Acme SL';
+
+        $result = $this->generator->correct_invoice(107, $billing, 'Wrong customer name');
+
+        $this->assertTrue($result['success']);
+        $this->assertSame(1, $result['corrective_invoice_id']);
+        $this->assertCount(2, $client->invoices->created);
+
+        list($cancel, $reissue) = $client->invoices->created;
+
+        // The original invoice, amended in full with negative quantities
+        $this->assertSame('John Doe', $cancel['contact']['name']);
+        $this->assertSame('R', $cancel['series_code']);
+        $this->assertSame('107-1', $cancel['number']);
+        $this->assertSame('107', $cancel['amended_number']);
+        $this->assertSame('2026-10-01', $cancel['amended_date']);
+        $this->assertSame('Wrong customer name', $cancel['amended_reason']);
+        $this->assertArrayNotHasKey('is_credit_note', $cancel);
+        $this->assertLessThan(0, $cancel['invoice_lines_attributes'][0]['quantity']);
+
+        // Reissued under a new number with the corrected details
+        $this->assertSame('Acme SL', $reissue['contact']['name']);
+        $this->assertSame('INV', $reissue['series_code']);
+        $this->assertSame('107-2', $reissue['number']);
+        $this->assertArrayNotHasKey('amended_number', $reissue);
+
+        $this->assertSame(2, $order->get_meta('_b2brouter_invoice_id'));
+        $this->assertSame('', $order->get_meta('_b2brouter_invoice_status'));
+
+        $corrective_invoices = Invoice_Generator::get_corrective_invoices($order);
+        $this->assertCount(1, $corrective_invoices);
+        $this->assertSame('original-invoice-id', $corrective_invoices[0]['amended_invoice_id']);
+        $this->assertSame('INV-107', $corrective_invoices[0]['amended_number']);
+        $this->assertFalse($corrective_invoices[0]['is_credit_note']);
+
+        unset($wc_mock_orders[107]);
+    }
+
+    /**
+     * Test correct_invoice cancels with a positive credit note outside rectificative countries
+     *
+     * @return void
+     */
+    public function test_correct_invoice_uses_credit_note_outside_rectificative_countries() {
+        global $wc_mock_orders;
+
+        $order = $this->createOrderToCorrect(108, 'FR');
+        $client = $this->injectRecordingClient();
+
+        $billing = Customer::get_billing_details($order);
+        $billing['city'] = 'Paris';
+
+        $this->generator->correct_invoice(108, $billing, 'Wrong city');
+
+        $cancel = $client->invoices->created[0];
+        $this->assertTrue($cancel['is_credit_note']);
+        $this->assertGreaterThan(0, $cancel['invoice_lines_attributes'][0]['quantity']);
+        $this->assertSame('New York', $cancel['contact']['city']);
+        $this->assertSame('Paris', $client->invoices->created[1]['contact']['city']);
+
+        unset($wc_mock_orders[108]);
+    }
+
+    /**
+     * Test correct_invoice leaves the order untouched when the invoice cannot be cancelled
+     *
+     * @return void
+     */
+    public function test_correct_invoice_keeps_invoice_when_cancellation_fails() {
+        global $wc_mock_orders;
+
+        $order = $this->createOrderToCorrect(109, 'ES');
+        $this->injectRecordingClient(true);
+
+        $billing = Customer::get_billing_details($order);
+        $billing['city'] = 'Madrid';
+
+        $result = $this->generator->correct_invoice(109, $billing, 'Wrong city');
+
+        $this->assertFalse($result['success']);
+        $this->assertArrayNotHasKey('corrective_invoice_id', $result);
+        $this->assertSame('original-invoice-id', $order->get_meta('_b2brouter_invoice_id'));
+        $this->assertSame('New York', $order->get_billing_city());
+        $this->assertSame(array(), Invoice_Generator::get_corrective_invoices($order));
+
+        unset($wc_mock_orders[109]);
+    }
+
+    /**
+     * Test correct_invoice refuses a partially refunded order whose refund already has a credit note
+     *
+     * @return void
+     */
+    public function test_correct_invoice_refuses_order_with_refund_credit_notes() {
+        global $wc_mock_orders;
+
+        $this->createOrderToCorrect(110, 'ES');
+        $client = $this->injectRecordingClient();
+
+        $refund = new WC_Order_Refund(111);
+        $refund->set_parent_id(110);
+        $refund->update_meta_data('_b2brouter_invoice_id', 'refund-credit-note-id');
+
+        $order = $this->getMockBuilder(WC_Order::class)
+            ->setConstructorArgs(array(110))
+            ->onlyMethods(array('get_refunds'))
+            ->getMock();
+        $order->add_item(new WC_Order_Item_Product('Test Product'));
+        $order->set_billing_country('ES');
+        $order->add_meta_data('_b2brouter_invoice_id', 'original-invoice-id', true);
+        $order->method('get_refunds')->willReturn(array($refund));
+        $wc_mock_orders[110] = $order;
+
+        $billing = Customer::get_billing_details($order);
+        $billing['city'] = 'Madrid';
+
+        $result = $this->generator->correct_invoice(110, $billing, 'Wrong city');
+
+        unset($wc_mock_orders[110]);
+
+        $this->assertFalse($result['success']);
+        $this->assertStringContainsString('credit notes were already issued', $result['message']);
+        $this->assertSame(array(), $client->invoices->created);
+        $this->assertSame('original-invoice-id', $order->get_meta('_b2brouter_invoice_id'));
+        $this->assertSame('New York', $order->get_billing_city());
+        $this->assertSame(array(), Invoice_Generator::get_corrective_invoices($order));
+    }
+
     /**
      * Test generate_invoice when API key not configured
      *
@@ -1131,6 +1425,31 @@ class InvoiceGeneratorTest extends TestCase {
         $this->assertEquals('', $formatted);
     }
 
+    /**
+     * Test count_pdf_pages counts page objects but not the page tree
+     *
+     * @return void
+     */
+    public function test_count_pdf_pages_ignores_pages_tree() {
+        $pdf = "%PDF-1.4\n"
+            . "1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj\n"
+            . "2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >> endobj\n"
+            . "3 0 obj << /Type /Page /Parent 2 0 R >> endobj\n"
+            . "4 0 obj <</Type/Page/Parent 2 0 R>> endobj\n";
+
+        $this->assertSame(2, Invoice_Generator::count_pdf_pages($pdf));
+    }
+
+    /**
+     * Test count_pdf_pages reports 0 when no page objects are visible
+     *
+     * @return void
+     */
+    public function test_count_pdf_pages_returns_zero_when_unknown() {
+        $this->assertSame(0, Invoice_Generator::count_pdf_pages("%PDF-1.5\n1 0 obj << /Type /ObjStm >> endobj"));
+        $this->assertSame(0, Invoice_Generator::count_pdf_pages(''));
+    }
+
     /**
      * Test get_formatted_invoice_number from order
      *
@@ -1703,4 +2022,170 @@ class InvoiceGeneratorTest extends TestCase {
         unset($wc_mock_orders[516]);
         delete_option('woocommerce_default_country');
     }
+
+    // ========== Invoice Number Preview Tests ==========
+
+    /**
+     * Answer the preview's order queries from a fixed set of orders
+     *
+     * @param array $issued Order IDs returned for the collision query, keyed by type
+     * @return void
+     */
+    private function mockPreviewQueries(array $issued = array()) {
+        $GLOBALS['test_wc_get_orders_callback'] = function ($args) use ($issued) {
+            if (!isset($args['meta_query'])) {
+                // Latest order, or latest order or refund for credit notes
+                return is_array($args['type']) ? array(1600) : array(1500);
+            }
+
+            return isset($issued[$args['type']]) ? $issued[$args['type']] : array();
+        };
+    }
+
+    /**
+     * Set up the latest order and refund the preview is based on
+     *
+     * @return void
+     */
+    private function createPreviewOrders() {
+        global $wc_mock_orders;
+
+        $wc_mock_orders[1500] = new WC_Order(1500);
+        $wc_mock_orders[1600] = new WC_Order_Refund(1600);
+    }
+
+    /**
+     * Clean up after preview tests
+     *
+     * @return void
+     */
+    private function cleanUpPreview() {
+        global $wc_mock_orders;
+
+        unset($GLOBALS['test_wc_get_orders_callback']);
+        $wc_mock_orders = array();
+    }
+
+    /**
+     * Test the preview uses the unsaved series codes with the WooCommerce pattern
+     *
+     * @return void
+     */
+    public function test_preview_invoice_numbers_with_woocommerce_pattern() {
+        $this->createPreviewOrders();
+        $this->mockPreviewQueries();
+
+        $preview = $this->generator->preview_invoice_numbers('F2026', 'R2026', 'woocommerce');
+        $this->cleanUpPreview();
+
+        $this->assertSame('F2026-1501', $preview['invoice']['formatted']);
+        $this->assertSame('1500', $preview['invoice']['sample']);
+        $this->assertSame('R2026-1601', $preview['credit_note']['formatted']);
+        $this->assertSame('1600', $preview['credit_note']['sample']);
+        $this->assertSame(array(), $preview['warnings']);
+    }
+
+    /**
+     * Test the preview follows order numbers rewritten by a numbering plugin
+     *
+     * @return void
+     */
+    public function test_preview_invoice_numbers_follows_custom_order_numbers() {
+        global $wc_mock_orders;
+
+        $this->createPreviewOrders();
+        $wc_mock_orders[1500] = $this->getMockBuilder(WC_Order::class)
+            ->setConstructorArgs(array(1500))
+            ->onlyMethods(array('get_order_number'))
+            ->getMock();
+        $wc_mock_orders[1500]->method('get_order_number')->willReturn('WC-0099');
+        $this->mockPreviewQueries();
+
+        $preview = $this->generator->preview_invoice_numbers('INV', 'CN', 'woocommerce');
+
+        $wc_mock_orders[1500] = $this->getMockBuilder(WC_Order::class)
+            ->setConstructorArgs(array(1500))
+            ->onlyMethods(array('get_order_number'))
+            ->getMock();
+        $wc_mock_orders[1500]->method('get_order_number')->willReturn('2026/A');
+        $unknown = $this->generator->preview_invoice_numbers('INV', 'CN', 'woocommerce');
+        $this->cleanUpPreview();
+
+        $this->assertSame('INV-WC-0100', $preview['invoice']['formatted']);
+        $this->assertNull($unknown['invoice']['number']);
+        $this->assertSame('2026/A', $unknown['invoice']['sample']);
+    }
+
+    /**
+     * Test the preview leaves the number to B2Brouter with the automatic pattern
+     *
+     * @return void
+     */
+    public function test_preview_invoice_numbers_with_automatic_pattern() {
+        $this->createPreviewOrders();
+        $this->mockPreviewQueries();
+
+        $preview = $this->generator->preview_invoice_numbers('INV', 'CN', 'automatic');
+        $this->cleanUpPreview();
+
+        $this->assertNull($preview['invoice']['number']);
+        $this->assertSame('', $preview['invoice']['formatted']);
+        $this->assertSame(array(), $preview['invoice']['collisions']);
+        $this->assertNull($preview['credit_note']['number']);
+        $this->assertSame('CN', $preview['credit_note']['series_code']);
+    }
+
+    /**
+     * Test the preview reports numbers already issued in the series
+     *
+     * @return void
+     */
+    public function test_preview_invoice_numbers_warns_about_collisions() {
+        global $wc_mock_orders;
+
+        $this->createPreviewOrders();
+        $issued = new WC_Order(900);
+        $issued->update_meta_data('_b2brouter_invoice_number', '1502');
+        $issued->update_meta_data('_b2brouter_invoice_series_code', 'INV');
+        $wc_mock_orders[900] = $issued;
+        $this->mockPreviewQueries(array('shop_order' => array(900)));
+
+        $preview = $this->generator->preview_invoice_numbers('INV', 'CN', 'woocommerce');
+        $this->cleanUpPreview();
+
+        $this->assertSame(array('INV-1502'), $preview['invoice']['collisions']);
+        $this->assertSame(array(), $preview['credit_note']['collisions']);
+        $this->assertCount(1, $preview['warnings']);
+        $this->assertStringContainsString('INV-1502', $preview['warnings'][0]);
+    }
+
+    /**
+     * Test the preview warns when invoices and credit notes share a series
+     *
+     * @return void
+     */
+    public function test_preview_invoice_numbers_warns_about_shared_series() {
+        $this->createPreviewOrders();
+        $this->mockPreviewQueries();
+
+        $preview = $this->generator->preview_invoice_numbers('INV', 'inv', 'woocommerce');
+        $this->cleanUpPreview();
+
+        $this->assertCount(1, $preview['warnings']);
+    }
+
+    /**
+     * Test the preview without any orders in the store
+     *
+     * @return void
+     */
+    public function test_preview_invoice_numbers_without_orders() {
+        unset($GLOBALS['test_wc_get_orders_return']);
+
+        $preview = $this->generator->preview_invoice_numbers('INV', 'CN', 'woocommerce');
+
+        $this->assertNull($preview['invoice']['number']);
+        $this->assertSame('', $preview['invoice']['sample']);
+        $this->assertSame(array(), $preview['invoice']['collisions']);
+    }
 }
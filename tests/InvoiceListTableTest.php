@@ -116,6 +116,8 @@ class InvoiceListTableTest extends TestCase {
         $this->assertIsArray($actions);
         $this->assertArrayHasKey('download', $actions);
         $this->assertEquals('Download PDFs', $actions['download']);
+        $this->assertArrayHasKey('export_csv', $actions);
+        $this->assertArrayHasKey('export_xlsx', $actions);
     }
 
     /**
@@ -352,6 +354,49 @@ class InvoiceListTableTest extends TestCase {
         $this->assertStringContainsString('dashicons-download', $result);
     }
 
+    /**
+     * Test column_actions offers refresh and web app link, and regenerate only for errors
+     *
+     * @return void
+     */
+    public function test_column_actions_row_actions_depend_on_status() {
+        $this->mock_settings->method('get_web_app_base_url')->willReturn('https://app.b2brouter.net');
+
+        $order = new WC_Order(124);
+        $order->add_meta_data('_b2brouter_invoice_id', 'inv-124', true);
+        $order->add_meta_data('_b2brouter_invoice_status', 'sent', true);
+
+        $method = new ReflectionMethod(Invoice_List_Table::class, 'column_actions');
+        $method->setAccessible(true);
+
+        $result = $method->invoke($this->list_table, $order);
+
+        $this->assertStringContainsString('b2brouter-list-refresh-status', $result);
+        $this->assertStringContainsString('https://app.b2brouter.net/invoices/inv-124', $result);
+        $this->assertStringNotContainsString('b2brouter-list-regenerate', $result);
+
+        $order->update_meta_data('_b2brouter_invoice_status', 'error');
+        $result = $method->invoke($this->list_table, $order);
+
+        $this->assertStringContainsString('b2brouter-list-regenerate', $result);
+    }
+
+    /**
+     * Test get_row_html renders a full table row
+     *
+     * @return void
+     */
+    public function test_get_row_html_renders_row() {
+        $order = new WC_Order(125);
+        $order->add_meta_data('_b2brouter_invoice_id', 'inv-125', true);
+
+        $result = $this->list_table->get_row_html($order);
+
+        $this->assertStringStartsWith('<tr>', $result);
+        $this->assertStringContainsString('value="125"', $result);
+        $this->assertStringContainsString('b2brouter-list-refresh-status', $result);
+    }
+
     /**
      * Test column_cb generates checkbox
      *
@@ -386,4 +431,339 @@ class InvoiceListTableTest extends TestCase {
 
         $this->assertStringContainsString('No invoices found', $result);
     }
+
+    /**
+     * Test bulk_download_notice renders the progress panel
+     *
+     * @return void
+     */
+    public function test_bulk_download_notice_renders_progress_panel() {
+        $_GET['bulk_download'] = '3';
+
+        ob_start();
+        $this->list_table->bulk_download_notice();
+        $result = ob_get_clean();
+
+        unset($_GET['bulk_download']);
+
+        $this->assertStringContainsString('id="b2brouter-bulk-download"', $result);
+        $this->assertStringContainsString('role="progressbar"', $result);
+        $this->assertStringContainsString('Preparing to download 3 invoice PDFs.', $result);
+    }
+
+    /**
+     * Test bulk_download_notice outputs nothing without the query param
+     *
+     * @return void
+     */
+    public function test_bulk_download_notice_silent_without_query_param() {
+        ob_start();
+        $this->list_table->bulk_download_notice();
+        $result = ob_get_clean();
+
+        $this->assertSame('', $result);
+    }
+
+    /**
+     * Test get_filters drops unknown values
+     *
+     * @return void
+     */
+    public function test_get_filters_sanitizes_request() {
+        $_GET['invoice_status'] = 'Refused';
+        $_GET['invoice_type'] = 'quote';
+        $_GET['date_from'] = '2026-03-01';
+        $_GET['date_to'] = 'yesterday';
+
+        $filters = $this->list_table->get_filters();
+
+        unset($_GET['invoice_status'], $_GET['invoice_type'], $_GET['date_from'], $_GET['date_to']);
+
+        $this->assertSame('refused', $filters['invoice_status']);
+        $this->assertSame('', $filters['invoice_type']);
+        $this->assertSame('2026-03-01', $filters['date_from']);
+        $this->assertSame('', $filters['date_to']);
+    }
+
+    /**
+     * Test get_filter_query_args maps filters onto invoice meta and order type
+     *
+     * @return void
+     */
+    public function test_get_filter_query_args() {
+        $args = $this->list_table->get_filter_query_args(array(
+            'invoice_status' => 'error',
+            'invoice_type'   => 'credit_note',
+            'date_from'      => '2026-03-01',
+            'date_to'        => '2026-03-07',
+            'customer'       => '',
+            'invoice_number' => 'INV-2026',
+        ));
+
+        $this->assertSame(array('shop_order_refund'), $args['type']);
+        $this->assertSame('_b2brouter_invoice_id', $args['meta_query'][0]['key']);
+        $this->assertSame(array('key' => '_b2brouter_invoice_status', 'value' => 'error'), $args['meta_query'][1]);
+        $this->assertSame('2026-03-01 00:00:00', $args['meta_query'][2]['value']);
+        $this->assertSame('>=', $args['meta_query'][2]['compare']);
+        $this->assertSame('2026-03-07 23:59:59', $args['meta_query'][3]['value']);
+        $this->assertSame(array('key' => '_b2brouter_invoice_number', 'value' => 'INV-2026', 'compare' => 'LIKE'), $args['meta_query'][4]);
+        $this->assertArrayNotHasKey('post__in', $args);
+    }
+
+    /**
+     * Test the stuck filter uses the Status_Sync definition
+     *
+     * @return void
+     */
+    public function test_get_filter_query_args_stuck() {
+        $args = $this->list_table->get_filter_query_args(array(
+            'invoice_status' => 'stuck',
+            'invoice_type'   => '',
+            'date_from'      => '',
+            'date_to'        => '',
+            'customer'       => '',
+            'invoice_number' => '',
+        ));
+
+        $this->assertSame(array('shop_order', 'shop_order_refund'), $args['type']);
+        $this->assertSame('_b2brouter_invoice_date', $args['meta_query'][1]['key']);
+        $this->assertSame('OR', $args['meta_query'][2]['relation']);
+    }
+
+    /**
+     * Test the customer search includes credit notes of matching orders
+     *
+     * @return void
+     */
+    public function test_get_filter_query_args_customer_search() {
+        $GLOBALS['test_wc_order_search_return'] = array('12', 15);
+        $GLOBALS['test_wc_get_orders_callback'] = function($args) {
+            $this->assertSame('shop_order_refund', $args['type']);
+            $this->assertSame(array(12, 15), $args['post_parent__in']);
+            return array(40);
+        };
+
+        $args = $this->list_table->get_filter_query_args(array(
+            'invoice_status' => '',
+            'invoice_type'   => '',
+            'date_from'      => '',
+            'date_to'        => '',
+            'customer'       => 'acme',
+            'invoice_number' => '',
+        ));
+
+        unset($GLOBALS['test_wc_order_search_return'], $GLOBALS['test_wc_get_orders_callback']);
+
+        $this->assertSame('acme', $GLOBALS['test_wc_order_search_term']);
+        $this->assertSame(array(12, 15, 40), $args['post__in']);
+    }
+
+    /**
+     * Test a customer search without matches yields an empty list
+     *
+     * @return void
+     */
+    public function test_get_filter_query_args_customer_search_without_matches() {
+        $args = $this->list_table->get_filter_query_args(array(
+            'invoice_status' => '',
+            'invoice_type'   => '',
+            'date_from'      => '',
+            'date_to'        => '',
+            'customer'       => 'nobody',
+            'invoice_number' => '',
+        ));
+
+        $this->assertSame(array(0), $args['post__in']);
+    }
+
+    /**
+     * Test sortable status and amount columns map onto order queries
+     *
+     * @return void
+     */
+    public function test_get_sort_args() {
+        $this->assertSame(array('orderby' => 'date', 'order' => 'DESC'), $this->list_table->get_sort_args('date', 'desc'));
+        $this->assertSame(array('orderby' => 'ID', 'order' => 'ASC'), $this->list_table->get_sort_args('ID', 'asc'));
+        $this->assertSame(array('orderby' => 'date', 'order' => 'DESC'), $this->list_table->get_sort_args('post_title', 'sideways'));
+
+        $status = $this->list_table->get_sort_args('status', 'asc');
+        $clause = $status['meta_query']['b2brouter_status_sort'];
+        $this->assertSame('OR', $clause['relation']);
+        $this->assertSame('EXISTS', $clause['b2brouter_status']['compare']);
+        $this->assertSame('NOT EXISTS', $clause[0]['compare']);
+        $this->assertSame(array('b2brouter_status' => 'ASC'), $status['orderby']);
+        $this->assertArrayNotHasKey('meta_key', $status);
+
+        $amount = $this->list_table->get_sort_args('amount', 'desc');
+        $this->assertSame('_order_total', $amount['meta_key']);
+        $this->assertSame('meta_value_num', $amount['orderby']);
+        $this->assertSame('DESC', $amount['order']);
+    }
+
+    /**
+     * Test prepare_items applies per-page option, filters and sorting
+     *
+     * @return void
+     */
+    public function test_prepare_items_queries() {
+        global $wp_user_meta, $wp_current_user_id;
+        $wp_current_user_id = 7;
+        $wp_user_meta[7][Invoice_List_Table::PER_PAGE_OPTION] = 50;
+
+        $_REQUEST['orderby'] = 'amount';
+        $_REQUEST['order'] = 'asc';
+        $_REQUEST['paged'] = 2;
+        $_GET['invoice_status'] = 'refused';
+
+        $queries = array();
+        $GLOBALS['test_wc_get_orders_callback'] = function($args) use (&$queries) {
+            $queries[] = $args;
+            return (object) array('orders' => array(new WC_Order(61)), 'total' => 60, 'max_num_pages' => 2);
+        };
+
+        $this->list_table->prepare_items();
+
+        unset($GLOBALS['test_wc_get_orders_callback'], $_REQUEST['orderby'], $_REQUEST['order'], $_REQUEST['paged'], $_GET['invoice_status']);
+        unset($wp_user_meta[7]);
+
+        $this->assertCount(1, $queries);
+        $this->assertTrue($queries[0]['paginate']);
+        $this->assertSame(50, $queries[0]['limit']);
+        $this->assertSame(50, $queries[0]['offset']);
+        $this->assertSame('meta_value_num', $queries[0]['orderby']);
+        $this->assertSame('ASC', $queries[0]['order']);
+        $this->assertSame('refused', $queries[0]['meta_query'][1]['value']);
+        $this->assertSame(60, $this->list_table->get_pagination_arg('total_items'));
+        $this->assertCount(1, $this->list_table->items);
+    }
+
+    /**
+     * Test sorting by status keeps invoices that have no status yet, on the page and in the total
+     *
+     * @return void
+     */
+    public function test_prepare_items_sorted_by_status_keeps_invoices_without_status() {
+        $_REQUEST['orderby'] = 'status';
+        $_REQUEST['order'] = 'desc';
+
+        $synced = new WC_Order(71);
+        $synced->update_meta_data('_b2brouter_invoice_id', 'inv-71');
+        $synced->update_meta_data('_b2brouter_invoice_status', 'accepted');
+        $unsynced = new WC_Order(72);
+        $unsynced->update_meta_data('_b2brouter_invoice_id', 'inv-72');
+
+        $queries = array();
+        $GLOBALS['test_wc_get_orders_callback'] = function($args) use (&$queries, $synced, $unsynced) {
+            $queries[] = $args;
+            return (object) array('orders' => array($synced, $unsynced), 'total' => 2, 'max_num_pages' => 1);
+        };
+
+        $this->list_table->prepare_items();
+
+        unset($GLOBALS['test_wc_get_orders_callback'], $_REQUEST['orderby'], $_REQUEST['order']);
+
+        // The page and the total come from the same query
+        $this->assertCount(1, $queries);
+        $meta_query = $queries[0]['meta_query'];
+
+        // The filters' clauses are kept alongside the sort clause
+        $this->assertSame('AND', $meta_query['relation']);
+        $this->assertSame('_b2brouter_invoice_id', $meta_query[0]['key']);
+
+        // The status clause matches invoices with and without the status meta
+        $sort = $meta_query['b2brouter_status_sort'];
+        $this->assertSame('OR', $sort['relation']);
+        $this->assertSame(array('key' => '_b2brouter_invoice_status', 'compare' => 'EXISTS'), $sort['b2brouter_status']);
+        $this->assertSame(array('key' => '_b2brouter_invoice_status', 'compare' => 'NOT EXISTS'), $sort[0]);
+        $this->assertSame(array('b2brouter_status' => 'DESC'), $queries[0]['orderby']);
+        $this->assertArrayNotHasKey('meta_key', $queries[0]);
+
+        $this->assertSame(array($synced, $unsynced), $this->list_table->items);
+        $this->assertSame(2, $this->list_table->get_pagination_arg('total_items'));
+    }
+
+    /**
+     * Test the filter bar reflects the current filters
+     *
+     * @return void
+     */
+    public function test_extra_tablenav_renders_filters() {
+        $_GET['invoice_status'] = 'stuck';
+        $_GET['customer'] = 'Acme "Corp"';
+
+        $method = new ReflectionMethod(Invoice_List_Table::class, 'extra_tablenav');
+        $method->setAccessible(true);
+
+        ob_start();
+        $method->invoke($this->list_table, 'top');
+        $top = ob_get_clean();
+
+        ob_start();
+        $method->invoke($this->list_table, 'bottom');
+        $bottom = ob_get_clean();
+
+        unset($_GET['invoice_status'], $_GET['customer']);
+
+        $this->assertStringContainsString('name="invoice_status"', $top);
+        $this->assertMatchesRegularExpression('/value="stuck"\s+selected/', $top);
+        $this->assertStringContainsString('value="Acme &quot;Corp&quot;"', $top);
+        $this->assertStringContainsString('b2brouter-filter-reset', $top);
+        $this->assertStringContainsString('name="invoice_export" value="csv"', $top);
+        $this->assertStringContainsString('name="invoice_export" value="xlsx"', $top);
+        $this->assertSame('', $bottom);
+    }
+
+    /**
+     * Test the register export covers every filtered invoice, oldest first
+     *
+     * @return void
+     */
+    public function test_get_export_order_ids() {
+        $queries = array();
+        $GLOBALS['test_wc_get_orders_callback'] = function($args) use (&$queries) {
+            $queries[] = $args;
+            return array('12', '15');
+        };
+
+        $ids = $this->list_table->get_export_order_ids(array(
+            'invoice_status' => 'accepted',
+            'invoice_type'   => 'credit_note',
+            'date_from'      => '',
+            'date_to'        => '',
+            'customer'       => '',
+            'invoice_number' => '',
+        ));
+
+        unset($GLOBALS['test_wc_get_orders_callback']);
+
+        $this->assertSame(array(12, 15), $ids);
+        $this->assertSame(-1, $queries[0]['limit']);
+        $this->assertSame('ASC', $queries[0]['order']);
+        $this->assertSame(array('shop_order_refund'), $queries[0]['type']);
+        $this->assertSame('accepted', $queries[0]['meta_query'][1]['value']);
+    }
+
+    /**
+     * Test invoice_export_notice renders the progress panel
+     *
+     * @return void
+     */
+    public function test_invoice_export_notice_renders_progress_panel() {
+        ob_start();
+        $this->list_table->invoice_export_notice();
+        $silent = ob_get_clean();
+
+        $_GET['invoice_export_job'] = 'abc';
+        $_GET['invoice_export_count'] = '4';
+
+        ob_start();
+        $this->list_table->invoice_export_notice();
+        $result = ob_get_clean();
+
+        unset($_GET['invoice_export_job'], $_GET['invoice_export_count']);
+
+        $this->assertSame('', $silent);
+        $this->assertStringContainsString('id="b2brouter-invoice-export"', $result);
+        $this->assertStringContainsString('Preparing to export 4 invoices.', $result);
+    }
 }
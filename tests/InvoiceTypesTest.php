@@ -381,4 +381,82 @@ class InvoiceTypesTest extends TestCase {
         $mock_order_with_tin->method('get_meta')->willReturn('ES12345678');
         $this->assertEquals('IssuedInvoice', $method->invoke($this->invoice_generator, $mock_order_with_tin));
     }
+
+    /**
+     * Test preview_invoice_data explains each line without sending anything
+     *
+     * @return void
+     */
+    public function test_preview_invoice_data_details() {
+        $order = new \WC_Order(300);
+        $order->set_shipping_total(5.00);
+        $order->set_shipping_tax(1.05);
+
+        $mock_item = $this->createMock(\WC_Order_Item_Product::class);
+        $mock_item->method('get_name')->willReturn('Widget');
+        $mock_item->method('get_quantity')->willReturn(2);
+        $mock_item->method('get_total')->willReturn(20.00);
+        $mock_item->method('get_taxes')->willReturn([
+            'total' => [1 => 4.20]
+        ]);
+        $order->add_item($mock_item);
+
+        global $wc_mock_orders;
+        $wc_mock_orders[300] = $order;
+
+        $result = $this->invoice_generator->preview_invoice_data(300);
+
+        $this->assertTrue($result['success']);
+        $this->assertTrue($result['payload']['send_after_import']);
+        $this->assertEquals('IssuedSimplifiedInvoice', $result['payload']['invoice']['type']);
+
+        $details = $result['details'];
+        $this->assertEquals('IssuedSimplifiedInvoice', $details['invoice_type']);
+        $this->assertFalse($details['is_refund']);
+        $this->assertFalse($details['uses_parent_items']);
+        $this->assertEquals('US', $details['customer_country']);
+        $this->assertCount(2, $details['lines']);
+
+        $this->assertEquals('item', $details['lines'][0]['source']);
+        $this->assertEquals(21, $details['lines'][0]['tax_rate']);
+        $this->assertEquals('Widget', $details['lines'][0]['description']);
+
+        $this->assertEquals('shipping', $details['lines'][1]['source']);
+        $this->assertEquals(21, $details['lines'][1]['tax_rate']);
+        $this->assertEquals(5.00, $details['lines'][1]['price']);
+    }
+
+    /**
+     * Test preview_invoice_data with an unknown order
+     *
+     * @return void
+     */
+    public function test_preview_invoice_data_order_not_found() {
+        $result = $this->invoice_generator->preview_invoice_data(999);
+
+        $this->assertFalse($result['success']);
+        $this->assertEquals('Order not found', $result['message']);
+    }
+
+    /**
+     * Test preview_invoice_data reports why a refund can't be invoiced yet
+     *
+     * @return void
+     */
+    public function test_preview_invoice_data_refund_without_parent_invoice() {
+        $parent = new \WC_Order(400);
+
+        $refund = new \WC_Order_Refund(401);
+        $refund->set_parent_id(400);
+
+        global $wc_mock_orders;
+        $wc_mock_orders[400] = $parent;
+        $wc_mock_orders[401] = $refund;
+
+        $result = $this->invoice_generator->preview_invoice_data(401);
+
+        $this->assertFalse($result['success']);
+        $this->assertArrayNotHasKey('payload', $result);
+        $this->assertStringContainsString('Parent order has no invoice', $result['message']);
+    }
 }
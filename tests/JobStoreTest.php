@@ -0,0 +1,94 @@
+<?php
+/**
+ * Tests for Job_Store class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Job_Store;
+
+/**
+ * Job_Store test case
+ *
+ * @since 1.0.0
+ */
+class JobStoreTest extends TestCase {
+
+    /**
+     * Temporary directory
+     *
+     * @var string
+     */
+    private $temp_dir;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_transients;
+        $wp_transients = array();
+
+        $this->temp_dir = sys_get_temp_dir() . '/b2brouter-jobs-' . uniqid();
+    }
+
+    public function tearDown(): void {
+        foreach (array('/files/.htaccess', '/files/index.php') as $file) {
+            if (file_exists($this->temp_dir . $file)) {
+                unlink($this->temp_dir . $file);
+            }
+        }
+        foreach (array('/files', '') as $directory) {
+            if (is_dir($this->temp_dir . $directory)) {
+                rmdir($this->temp_dir . $directory);
+            }
+        }
+
+        parent::tearDown();
+    }
+
+    public function test_create_returns_lowercase_id_that_survives_sanitize_key() {
+        $job_id = Job_Store::create('b2brouter_test_', array('user_id' => 3));
+
+        $this->assertMatchesRegularExpression('/^[a-z0-9]{24}$/', $job_id);
+        $this->assertSame($job_id, sanitize_key($job_id));
+        $this->assertSame(array('user_id' => 3), Job_Store::get('b2brouter_test_', $job_id, 3));
+    }
+
+    public function test_get_only_returns_the_owners_job() {
+        $job_id = Job_Store::create('b2brouter_test_', array('user_id' => 3));
+
+        $this->assertNull(Job_Store::get('b2brouter_test_', $job_id, 4));
+        $this->assertNull(Job_Store::get('b2brouter_other_', $job_id, 3));
+        $this->assertNull(Job_Store::get('b2brouter_test_', '', 3));
+    }
+
+    public function test_save_and_delete() {
+        $job_id = Job_Store::create('b2brouter_test_', array('user_id' => 3, 'position' => 0));
+
+        Job_Store::save('b2brouter_test_', $job_id, array('user_id' => 3, 'position' => 5));
+        $this->assertSame(5, Job_Store::get('b2brouter_test_', $job_id, 3)['position']);
+
+        Job_Store::delete('b2brouter_test_', $job_id);
+        $this->assertNull(Job_Store::get('b2brouter_test_', $job_id, 3));
+    }
+
+    public function test_create_protected_directory() {
+        $directory = $this->temp_dir . '/files';
+
+        $this->assertTrue(Job_Store::create_protected_directory($directory));
+        $this->assertDirectoryExists($directory);
+        $this->assertSame("Require all denied\n", file_get_contents($directory . '/.htaccess'));
+        $this->assertFileExists($directory . '/index.php');
+    }
+
+    public function test_create_protected_directory_fails_without_filesystem() {
+        $GLOBALS['wp_filesystem_init_failure'] = true;
+
+        $created = Job_Store::create_protected_directory($this->temp_dir . '/files');
+
+        unset($GLOBALS['wp_filesystem_init_failure']);
+
+        $this->assertFalse($created);
+        $this->assertDirectoryDoesNotExist($this->temp_dir . '/files');
+    }
+}
@@ -0,0 +1,139 @@
+<?php
+/**
+ * Tests for Log_Viewer class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Log_Viewer;
+use B2Brouter\WooCommerce\Event_Log;
+use B2Brouter\WooCommerce\Settings;
+
+/**
+ * Log_Viewer test case
+ *
+ * @since 1.0.0
+ */
+class LogViewerTest extends TestCase {
+
+    /**
+     * @var Log_Viewer
+     */
+    private $viewer;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_actions, $wp_options, $wc_mock_orders, $wpdb;
+        $wp_actions = array();
+        $wp_options = array();
+        $wc_mock_orders = array();
+        $wpdb = new B2BRouter_Test_WPDB_Stub();
+
+        $settings = $this->createMock(Settings::class);
+        $settings->method('get_api_key')->willReturn('api-key-123');
+        $settings->method('get_webhook_secret')->willReturn('whsec-456');
+        $settings->method('get_webhook_previous_secret')->willReturn('');
+
+        $this->viewer = new Log_Viewer($settings);
+    }
+
+    public function tearDown(): void {
+        $_POST = array();
+
+        parent::tearDown();
+    }
+
+    /**
+     * Call an AJAX handler and return the decoded JSON response
+     *
+     * @param callable $callback Handler
+     * @return array Decoded response
+     */
+    private function callAjaxHandler($callback) {
+        global $wp_send_json_throw;
+        $wp_send_json_throw = true;
+        try {
+            call_user_func($callback);
+        } catch (\WpJsonResponseException $e) {
+            $wp_send_json_throw = false;
+            return json_decode($e->response, true);
+        }
+        $wp_send_json_throw = false;
+        $this->fail('AJAX handler did not call wp_send_json');
+    }
+
+    public function test_constructor_registers_hooks() {
+        global $wp_actions;
+
+        $this->assertArrayHasKey('admin_menu', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_logs', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_logs_export', $wp_actions);
+    }
+
+    public function test_get_filters_sanitizes_input() {
+        $filters = $this->viewer->get_filters(array(
+            'level' => 'critical',
+            'order_id' => '#42',
+            'invoice_id' => ' 77 ',
+            'search' => 'failed',
+            'after_id' => '-3',
+        ));
+
+        $this->assertSame('', $filters['level']);
+        $this->assertSame(42, $filters['order_id']);
+        $this->assertSame('77', $filters['invoice_id']);
+        $this->assertSame('failed', $filters['search']);
+        $this->assertSame(3, $filters['after_id']);
+    }
+
+    public function test_get_entries_links_orders_and_redacts() {
+        global $wc_mock_orders;
+        $wc_mock_orders[42] = new WC_Order(42);
+
+        Event_Log::record('error', 'Authentication failed with api-key-123', array('order_id' => 42));
+        Event_Log::record('warning', 'Order gone', array('order_id' => 43));
+
+        $entries = $this->viewer->get_entries(array())['entries'];
+
+        $this->assertSame('', $entries[0]['order_url']);
+        $this->assertStringContainsString('post=42', $entries[1]['order_url']);
+        $this->assertSame('Authentication failed with [redacted]', $entries[1]['message']);
+        $this->assertNotEmpty($entries[1]['date']);
+    }
+
+    public function test_get_entries_links_refunds_to_parent_order() {
+        global $wc_mock_orders;
+        $refund = new WC_Order_Refund(50);
+        $refund->set_parent_id(42);
+        $wc_mock_orders[42] = new WC_Order(42);
+        $wc_mock_orders[50] = $refund;
+
+        Event_Log::record('error', 'Credit note failed', array('order_id' => 50));
+
+        $this->assertStringContainsString('post=42', $this->viewer->get_entries(array())['entries'][0]['order_url']);
+    }
+
+    public function test_ajax_get_entries() {
+        Event_Log::record('error', 'Sync failed', array('invoice_id' => 9));
+        Event_Log::record('info', 'Cleanup done');
+        $_POST = array('level' => 'error');
+
+        $response = $this->callAjaxHandler(array($this->viewer, 'ajax_get_entries'));
+
+        $this->assertTrue($response['success']);
+        $this->assertCount(1, $response['data']['entries']);
+        $this->assertSame('9', $response['data']['entries'][0]['invoice_id']);
+    }
+
+    public function test_render_page() {
+        ob_start();
+        $this->viewer->render_page();
+        $output = ob_get_clean();
+
+        $this->assertStringContainsString('name="action" value="b2brouter_logs_export"', $output);
+        $this->assertStringContainsString('id="b2brouter_logs_tail"', $output);
+        $this->assertStringContainsString('b2brouter-logs-table', $output);
+    }
+}
@@ -9,6 +9,10 @@ use PHPUnit\Framework\TestCase;
 use B2Brouter\WooCommerce\Order_Handler;
 use B2Brouter\WooCommerce\Settings;
 use B2Brouter\WooCommerce\Invoice_Generator;
+use B2Brouter\WooCommerce\Bulk_Generation;
+use B2Brouter\WooCommerce\Retry_Queue;
+use B2Brouter\WooCommerce\Customer;
+use B2Brouter\WooCommerce\Correction_Request;
 
 /**
  * Order_Handler test case
@@ -111,13 +115,37 @@ class OrderHandlerTest extends TestCase {
                                     ->willReturn(false);
         $this->mock_invoice_generator->expects($this->once())
                                     ->method('generate_invoice')
-                                    ->with(200);
+                                    ->with(200)
+                                    ->willReturn(array('success' => true));
 
         $this->handler->maybe_generate_invoice_automatic(200);
 
         unset($wc_mock_orders[200]);
     }
 
+    /**
+     * Test a failed automatic generation is added to the retry queue
+     *
+     * @return void
+     */
+    public function test_maybe_generate_invoice_automatic_queues_failure() {
+        global $wp_options;
+        $wp_options = array();
+
+        $this->mock_settings->method('get_invoice_mode')
+                           ->willReturn('automatic');
+        $this->mock_settings->method('is_api_key_configured')
+                           ->willReturn(true);
+        $this->mock_invoice_generator->method('generate_invoice')
+                                    ->willReturn(array('success' => false, 'message' => 'Service unavailable'));
+
+        $this->handler->maybe_generate_invoice_automatic(201);
+
+        $entries = Retry_Queue::get_entries();
+        $this->assertSame('Service unavailable', $entries[201]['reason']);
+        $this->assertSame(1, $entries[201]['attempts']);
+    }
+
     /**
      * Test maybe_generate_invoice_automatic when mode is manual
      *
@@ -214,6 +242,67 @@ class OrderHandlerTest extends TestCase {
         unset($wc_mock_orders[201]);
     }
 
+    /**
+     * Test render_invoice_meta_box flags non-final statuses for polling
+     *
+     * @return void
+     */
+    public function test_render_invoice_meta_box_marks_status_for_polling() {
+        $order = new WC_Order(208);
+        $order->add_meta_data('_b2brouter_invoice_id', 'inv-208', true);
+        $order->add_meta_data('_b2brouter_invoice_status', 'draft', true);
+
+        $this->mock_invoice_generator->method('has_invoice')->willReturn(true);
+        $this->mock_invoice_generator->method('get_invoice_id')->willReturn('inv-208');
+
+        $output = $this->handler->get_invoice_meta_box_html($order);
+
+        $this->assertStringContainsString('data-status-final="0"', $output);
+        $this->assertStringContainsString('b2brouter-refresh-status', $output);
+
+        $order->update_meta_data('_b2brouter_invoice_status', 'accepted');
+        $output = $this->handler->get_invoice_meta_box_html($order);
+
+        $this->assertStringContainsString('data-status-final="1"', $output);
+    }
+
+    /**
+     * Test render_invoice_meta_box shows a pending correction request and cancelled invoices
+     *
+     * @return void
+     */
+    public function test_render_invoice_meta_box_shows_correction_request() {
+        $order = new WC_Order(209);
+        $order->add_meta_data('_b2brouter_invoice_id', 'inv-209', true);
+        $order->add_meta_data('_b2brouter_invoice_number', '209', true);
+
+        $this->mock_invoice_generator->method('has_invoice')->willReturn(true);
+        $this->mock_invoice_generator->method('get_invoice_id')->willReturn('inv-209');
+
+        $proposed = Customer::get_billing_details($order);
+        $proposed['city'] = 'Boston';
+        Correction_Request::create($order, 'Wrong <b>city</b>', Customer::get_billing_details($order), $proposed);
+
+        $output = $this->handler->get_invoice_meta_box_html($order);
+
+        $this->assertStringContainsString('b2brouter-correction-request', $output);
+        $this->assertStringContainsString('Wrong &lt;b&gt;city&lt;/b&gt;', $output);
+        $this->assertStringContainsString('Town / City: &quot;New York&quot; → &quot;Boston&quot;', $output);
+        $this->assertSame(2, substr_count($output, 'b2brouter-resolve-correction'));
+
+        Correction_Request::resolve($order, Correction_Request::STATUS_APPROVED);
+        $order->update_meta_data('_b2brouter_corrective_invoices', array(array(
+            'number' => '209-1',
+            'series_code' => 'R',
+            'amended_number' => '209',
+        )));
+
+        $output = $this->handler->get_invoice_meta_box_html($order);
+
+        $this->assertStringNotContainsString('b2brouter-correction-request', $output);
+        $this->assertStringContainsString('209, cancelled by R-209-1', $output);
+    }
+
     /**
      * Test render_invoice_meta_box with order without invoice
      *
@@ -357,6 +446,46 @@ class OrderHandlerTest extends TestCase {
         $this->assertEmpty($output);
     }
 
+    /**
+     * Test get_invoice_column_html renders the status for HPOS and legacy lists alike
+     *
+     * @return void
+     */
+    public function test_get_invoice_column_html_shows_status() {
+        $order = new WC_Order(206);
+        $order->add_meta_data('_b2brouter_invoice_id', 'test-invoice-206', true);
+        $order->add_meta_data('_b2brouter_invoice_status', 'error', true);
+
+        $output = $this->handler->get_invoice_column_html($order);
+
+        $this->assertStringContainsString('Error', $output);
+        $this->assertStringContainsString('#d63638', $output);
+
+        ob_start();
+        $this->handler->render_invoice_column_hpos('b2brouter_invoice', $order);
+        $this->assertSame($output, ob_get_clean());
+    }
+
+    /**
+     * Test get_invoice_meta_box_html returns the rendered meta box
+     *
+     * @return void
+     */
+    public function test_get_invoice_meta_box_html_returns_markup() {
+        $order = new WC_Order(207);
+        $order->add_meta_data('_b2brouter_invoice_id', 'inv-207', true);
+        $order->add_meta_data('_b2brouter_invoice_number', 'INV-207', true);
+
+        $this->mock_invoice_generator->method('has_invoice')->willReturn(true);
+        $this->mock_invoice_generator->method('get_invoice_id')->willReturn('inv-207');
+
+        $output = $this->handler->get_invoice_meta_box_html($order);
+
+        $this->assertStringContainsString('class="b2brouter-invoice-meta-box"', $output);
+        $this->assertStringContainsString('INV-207', $output);
+        $this->assertStringContainsString('b2brouter-download-pdf', $output);
+    }
+
     /**
      * Test add_bulk_action adds action
      *
@@ -415,6 +544,49 @@ class OrderHandlerTest extends TestCase {
         }
     }
 
+    /**
+     * Test handle_bulk_action records the queued orders as the user's active batch
+     *
+     * @return void
+     */
+    public function test_handle_bulk_action_creates_batch_for_queued_orders() {
+        global $wc_mock_orders, $as_async_actions, $wp_transients;
+        $as_async_actions = array();
+        $wp_transients = array();
+
+        foreach (array(110, 111) as $id) {
+            $order = new WC_Order($id);
+            $order->set_status($id === 110 ? 'completed' : 'processing');
+            $wc_mock_orders[$id] = $order;
+        }
+
+        $this->mock_invoice_generator->method('has_invoice')->willReturn(false);
+
+        $this->handler->handle_bulk_action('http://example.com/wp-admin/edit.php', 'b2brouter_generate_invoices', array(110, 111));
+
+        $batch_id = Bulk_Generation::get_active_batch_id(get_current_user_id());
+        $this->assertNotSame('', $batch_id);
+
+        $batch = Bulk_Generation::get_batch($batch_id, get_current_user_id());
+        $this->assertSame(array(110), $batch['order_ids']);
+
+        unset($wc_mock_orders[110], $wc_mock_orders[111]);
+    }
+
+    /**
+     * Test handle_bulk_action does not create a batch when nothing was queued
+     *
+     * @return void
+     */
+    public function test_handle_bulk_action_skips_batch_when_nothing_queued() {
+        global $wp_transients;
+        $wp_transients = array();
+
+        $this->handler->handle_bulk_action('http://example.com/wp-admin/edit.php', 'b2brouter_generate_invoices', array(9999));
+
+        $this->assertSame('', Bulk_Generation::get_active_batch_id(get_current_user_id()));
+    }
+
     /**
      * Test handle_bulk_action skips non-completed orders and does not enqueue them.
      *
@@ -602,6 +774,46 @@ class OrderHandlerTest extends TestCase {
         $this->handler->process_queued_invoice(789);
     }
 
+    /**
+     * Test process_queued_invoice keeps the failure message for the progress panel
+     *
+     * @return void
+     */
+    public function test_process_queued_invoice_records_failure() {
+        $this->mock_invoice_generator->method('generate_invoice')
+                                    ->willReturn(array(
+                                        'success' => false,
+                                        'message' => 'Customer TIN is missing',
+                                    ));
+
+        try {
+            $this->handler->process_queued_invoice(457);
+            $this->fail('Expected RuntimeException');
+        } catch (\RuntimeException $e) {
+            $this->assertSame(
+                'Customer TIN is missing',
+                get_transient(Bulk_Generation::FAILURE_TRANSIENT_PREFIX . '457')
+            );
+            $this->assertArrayHasKey(457, Retry_Queue::get_entries());
+        }
+    }
+
+    /**
+     * Test process_queued_invoice clears an earlier failure once it succeeds
+     *
+     * @return void
+     */
+    public function test_process_queued_invoice_clears_failure_on_success() {
+        Bulk_Generation::record_failure(458, 'Timeout');
+
+        $this->mock_invoice_generator->method('generate_invoice')
+                                    ->willReturn(array('success' => true));
+
+        $this->handler->process_queued_invoice(458);
+
+        $this->assertFalse(get_transient(Bulk_Generation::FAILURE_TRANSIENT_PREFIX . '458'));
+    }
+
     /**
      * Test the worker is wired to the AS hook end-to-end: firing
      * b2brouter_bulk_generate_invoice with an order_id reaches the generator.
@@ -707,6 +919,55 @@ class OrderHandlerTest extends TestCase {
         unset($_GET['b2brouter_bulk_skipped']);
     }
 
+    /**
+     * Test bulk_action_notices renders the progress panel on the orders list
+     * in place of the one-shot queued notice
+     *
+     * @return void
+     */
+    public function test_bulk_action_notices_renders_progress_panel_on_orders_screen() {
+        global $wp_current_screen, $wp_transients;
+        $wp_transients = array();
+
+        $batch_id = Bulk_Generation::create_batch(array(120), get_current_user_id());
+        $wp_current_screen = (object) array('id' => 'woocommerce_page_wc-orders');
+        $_GET['b2brouter_bulk_queued'] = '1';
+
+        ob_start();
+        $this->handler->bulk_action_notices();
+        $output = ob_get_clean();
+
+        $wp_current_screen = null;
+        unset($_GET['b2brouter_bulk_queued']);
+
+        $this->assertStringContainsString('id="b2brouter-bulk-generate"', $output);
+        $this->assertStringContainsString('data-batch-id="' . $batch_id . '"', $output);
+        $this->assertStringContainsString('b2brouter-bulk-generate-retry', $output);
+        $this->assertStringContainsString('s=b2brouter_bulk_generate_invoice', $output);
+        $this->assertStringNotContainsString('1 invoice queued', $output);
+    }
+
+    /**
+     * Test the progress panel stays off screens other than the orders list
+     *
+     * @return void
+     */
+    public function test_bulk_action_notices_hides_progress_panel_on_other_screens() {
+        global $wp_current_screen, $wp_transients;
+        $wp_transients = array();
+
+        Bulk_Generation::create_batch(array(121), get_current_user_id());
+        $wp_current_screen = (object) array('id' => 'dashboard');
+
+        ob_start();
+        $this->handler->bulk_action_notices();
+        $output = ob_get_clean();
+
+        $wp_current_screen = null;
+
+        $this->assertStringNotContainsString('b2brouter-bulk-generate', $output);
+    }
+
     // ========== Phase 5 Tests ==========
 
     /**
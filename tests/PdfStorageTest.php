@@ -0,0 +1,348 @@
+<?php
+/**
+ * Tests for Pdf_Storage class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Pdf_Storage;
+use B2Brouter\WooCommerce\Settings;
+use B2Brouter\WooCommerce\Invoice_Generator;
+
+/**
+ * Pdf_Storage test case
+ *
+ * @since 1.0.0
+ */
+class PdfStorageTest extends TestCase {
+
+    /**
+     * @var Pdf_Storage
+     */
+    private $storage;
+
+    /**
+     * @var Invoice_Generator|\PHPUnit\Framework\MockObject\MockObject
+     */
+    private $invoice_generator;
+
+    /**
+     * Temporary PDF storage directory
+     *
+     * @var string
+     */
+    private $temp_dir;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_actions, $wp_transients, $wp_options, $wc_mock_orders, $wp_current_user_id;
+        $wp_actions = array();
+        $wp_transients = array();
+        $wp_options = array();
+        $wc_mock_orders = array();
+        $wp_current_user_id = 1;
+
+        $this->temp_dir = sys_get_temp_dir() . '/b2brouter-storage-' . uniqid();
+        mkdir($this->temp_dir);
+
+        $settings = $this->createMock(Settings::class);
+        $settings->method('get_pdf_storage_path')->willReturn($this->temp_dir);
+        $settings->method('get_auto_cleanup_days')->willReturn(30);
+
+        $this->invoice_generator = $this->createMock(Invoice_Generator::class);
+
+        // Answer the scan query with every mock order that has a PDF path
+        $GLOBALS['test_wc_get_orders_callback'] = function($args) {
+            global $wc_mock_orders;
+            return array_keys(array_filter($wc_mock_orders, function($order) {
+                return $order->get_meta('_b2brouter_invoice_pdf_path') !== '';
+            }));
+        };
+
+        $this->storage = new Pdf_Storage($settings, $this->invoice_generator);
+    }
+
+    public function tearDown(): void {
+        unset($GLOBALS['test_wc_get_orders_callback'], $GLOBALS['wp_filesystem_fail_methods']);
+        $_POST = array();
+        $this->remove_directory($this->temp_dir);
+
+        parent::tearDown();
+    }
+
+    /**
+     * Recursively remove a temp directory
+     *
+     * @param string $path Directory path
+     * @return void
+     */
+    private function remove_directory($path) {
+        if (!is_dir($path)) {
+            return;
+        }
+        foreach (array_diff(scandir($path), array('.', '..')) as $entry) {
+            $full = $path . '/' . $entry;
+            is_dir($full) ? $this->remove_directory($full) : unlink($full);
+        }
+        rmdir($path);
+    }
+
+    /**
+     * Write a PDF into the storage directory
+     *
+     * @param string $name File name
+     * @param int $age_days Age of the file in days
+     * @return string Full path
+     */
+    private function add_file($name, $age_days = 0) {
+        $path = $this->temp_dir . '/' . $name;
+        file_put_contents($path, str_repeat('x', 100));
+        touch($path, time() - $age_days * DAY_IN_SECONDS);
+
+        return $path;
+    }
+
+    /**
+     * Register a mock order pointing at a PDF path
+     *
+     * @param int $order_id Order ID
+     * @param string $path PDF path
+     * @return WC_Order
+     */
+    private function add_order($order_id, $path) {
+        global $wc_mock_orders;
+
+        $order = new WC_Order($order_id);
+        $order->update_meta_data('_b2brouter_invoice_pdf_path', $path);
+        $wc_mock_orders[$order_id] = $order;
+
+        return $order;
+    }
+
+    /**
+     * Run a job to completion
+     *
+     * @param string $job_id Job ID
+     * @param int $days Cleanup age
+     * @return array Last summary
+     */
+    private function run_job($job_id, $days = 30) {
+        do {
+            $result = $this->storage->process_chunk($job_id, 1, $days);
+            $this->assertTrue($result['success']);
+        } while (!$result['complete']);
+
+        return $result;
+    }
+
+    /**
+     * Call an AJAX handler and return the decoded JSON response
+     *
+     * @param callable $callback Handler
+     * @return array Decoded response
+     */
+    private function callAjaxHandler($callback) {
+        global $wp_send_json_throw;
+        $wp_send_json_throw = true;
+        try {
+            call_user_func($callback);
+        } catch (\WpJsonResponseException $e) {
+            $wp_send_json_throw = false;
+            return json_decode($e->response, true);
+        }
+        $wp_send_json_throw = false;
+        $this->fail('AJAX handler did not call wp_send_json');
+    }
+
+    public function test_constructor_registers_hooks() {
+        global $wp_actions;
+
+        $this->assertArrayHasKey('admin_enqueue_scripts', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_pdf_storage_start', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_pdf_storage_process', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_pdf_storage_preview', $wp_actions);
+        $this->assertArrayHasKey('b2brouter_cleanup_old_pdfs', $wp_actions);
+    }
+
+    public function test_list_files_only_lists_pdfs() {
+        $this->add_file('invoice-order-1-10.pdf');
+        file_put_contents($this->temp_dir . '/.htaccess', 'deny from all');
+
+        $files = $this->storage->list_files();
+
+        $this->assertSame(array('invoice-order-1-10.pdf'), array_keys($files));
+        $this->assertSame(100, $files['invoice-order-1-10.pdf']['size']);
+    }
+
+    public function test_scan_finds_orphans_and_missing_files() {
+        $this->add_order(1, $this->add_file('invoice-order-1-10.pdf'));
+        $this->add_order(2, $this->temp_dir . '/invoice-order-2-20.pdf');
+        $this->add_file('invoice-order-3-30.pdf', 45);
+
+        $result = $this->run_job($this->storage->create_scan_job(1));
+
+        $this->assertSame(2, $result['total']);
+        $this->assertSame(2, $result['storage']['count']);
+        $this->assertSame(1, $result['orphans']['count']);
+        $this->assertSame('invoice-order-3-30.pdf', $result['orphans']['files'][0]['name']);
+        $this->assertSame(1, $result['missing']['count']);
+        $this->assertSame(2, $result['missing']['orders'][0]['order_id']);
+        $this->assertSame('invoice-order-2-20.pdf', $result['missing']['orders'][0]['file']);
+        $this->assertArrayNotHasKey('path', $result['missing']['orders'][0]);
+        $this->assertSame(1, $result['cleanup']['count']);
+        $this->assertSame(30, $result['cleanup']['days']);
+    }
+
+    public function test_scan_records_snapshot() {
+        $this->add_file('invoice-order-1-10.pdf');
+
+        $result = $this->run_job($this->storage->create_scan_job(1));
+
+        $history = $this->storage->get_history();
+        $this->assertSame(array('count' => 1, 'size' => 100), $history[wp_date('Y-m-d')]);
+        $this->assertCount(1, $result['history']);
+    }
+
+    public function test_record_snapshot_keeps_a_limited_history() {
+        $history = array();
+        for ($i = Pdf_Storage::HISTORY_DAYS + 5; $i > 0; $i--) {
+            $history[date('Y-m-d', strtotime("-$i days"))] = array('count' => 1, 'size' => 1);
+        }
+        update_option(Pdf_Storage::OPTION_HISTORY, $history);
+
+        $this->storage->record_snapshot();
+
+        $history = $this->storage->get_history();
+        $this->assertCount(Pdf_Storage::HISTORY_DAYS, $history);
+        $this->assertSame(wp_date('Y-m-d'), array_key_last($history));
+    }
+
+    public function test_cleanup_preview_uses_requested_age() {
+        $this->add_file('a.pdf', 10);
+        $this->add_file('b.pdf', 100);
+
+        $scan_id = $this->storage->create_scan_job(1);
+        $this->run_job($scan_id);
+
+        $this->assertSame(1, $this->storage->get_cleanup_preview($scan_id, 30, 1)['count']);
+        $this->assertSame(2, $this->storage->get_cleanup_preview($scan_id, 5, 1)['count']);
+        $this->assertSame('b.pdf', $this->storage->get_cleanup_preview($scan_id, 5, 1)['files'][0]['name']);
+        $this->assertNull($this->storage->get_cleanup_preview($scan_id, 5, 2));
+    }
+
+    public function test_action_requires_finished_scan_of_same_user() {
+        $this->add_order(1, $this->temp_dir . '/gone.pdf');
+        $scan_id = $this->storage->create_scan_job(1);
+
+        $this->assertNull($this->storage->create_action_job($scan_id, 'redownload', 30, 1));
+
+        $this->run_job($scan_id);
+
+        $this->assertNull($this->storage->create_action_job($scan_id, 'redownload', 30, 2));
+        $this->assertNull($this->storage->create_action_job($scan_id, 'bogus', 30, 1));
+        $this->assertNotNull($this->storage->create_action_job($scan_id, 'redownload', 30, 1));
+    }
+
+    public function test_cleanup_deletes_old_files_and_their_references() {
+        $old = $this->add_file('old.pdf', 60);
+        $this->add_file('new.pdf', 1);
+
+        $scan_id = $this->storage->create_scan_job(1);
+        $this->run_job($scan_id);
+
+        $this->invoice_generator->expects($this->once())
+            ->method('cleanup_order_metadata_for_file')
+            ->with($old);
+
+        $result = $this->run_job($this->storage->create_action_job($scan_id, 'cleanup', 30, 1));
+
+        $this->assertSame(1, $result['done']);
+        $this->assertFileDoesNotExist($old);
+        $this->assertFileExists($this->temp_dir . '/new.pdf');
+    }
+
+    public function test_delete_orphans_reports_failures() {
+        $this->add_order(1, $this->add_file('kept.pdf'));
+        $orphan = $this->add_file('orphan.pdf');
+
+        $scan_id = $this->storage->create_scan_job(1);
+        $this->run_job($scan_id);
+
+        $GLOBALS['wp_filesystem_fail_methods'] = array('delete');
+
+        $result = $this->run_job($this->storage->create_action_job($scan_id, 'delete_orphans', 30, 1));
+
+        $this->assertSame(0, $result['done']);
+        $this->assertSame('orphan.pdf', $result['failures'][0]['label']);
+        $this->assertFileExists($orphan);
+    }
+
+    public function test_redownload_forces_download_of_missing_pdfs() {
+        $this->add_order(7, $this->temp_dir . '/gone.pdf');
+
+        $scan_id = $this->storage->create_scan_job(1);
+        $this->run_job($scan_id);
+
+        $this->invoice_generator->expects($this->once())
+            ->method('save_invoice_pdf')
+            ->with(7, true)
+            ->willReturn(array('success' => false, 'message' => 'Invoice not found'));
+
+        $result = $this->run_job($this->storage->create_action_job($scan_id, 'redownload', 30, 1));
+
+        $this->assertSame(0, $result['done']);
+        $this->assertSame('Invoice not found', $result['failures'][0]['message']);
+    }
+
+    public function test_forget_missing_clears_references() {
+        $this->add_order(7, $this->temp_dir . '/gone.pdf');
+
+        $scan_id = $this->storage->create_scan_job(1);
+        $this->run_job($scan_id);
+
+        $this->invoice_generator->expects($this->once())
+            ->method('cleanup_order_metadata_for_file')
+            ->with($this->temp_dir . '/gone.pdf');
+
+        $this->assertSame(1, $this->run_job($this->storage->create_action_job($scan_id, 'forget_missing', 30, 1))['done']);
+    }
+
+    public function test_process_chunk_rejects_unknown_job() {
+        $result = $this->storage->process_chunk('nope', 1, 30);
+
+        $this->assertFalse($result['success']);
+    }
+
+    public function test_ajax_start_scan() {
+        $this->add_file('a.pdf');
+        $_POST = array('task' => 'scan', 'days' => '10');
+
+        $response = $this->callAjaxHandler(array($this->storage, 'ajax_start'));
+
+        $this->assertTrue($response['success']);
+        $this->assertSame('scan', $response['data']['type']);
+        $this->assertSame(10, $response['data']['cleanup']['days']);
+    }
+
+    public function test_ajax_start_action_without_scan_fails() {
+        $_POST = array('task' => 'cleanup', 'scan_job_id' => 'missing');
+
+        $response = $this->callAjaxHandler(array($this->storage, 'ajax_start'));
+
+        $this->assertFalse($response['success']);
+    }
+
+    public function test_render_panel() {
+        ob_start();
+        $this->storage->render_panel();
+        $output = ob_get_clean();
+
+        $this->assertStringContainsString('id="b2brouter_pdf_storage"', $output);
+        $this->assertStringContainsString('data-action="redownload"', $output);
+        $this->assertStringContainsString('value="30"', $output);
+        // Panel inputs must not be picked up by the settings form
+        $this->assertStringNotContainsString(' name="', $output);
+    }
+}
@@ -0,0 +1,282 @@
+<?php
+/**
+ * Tests for Retry_Queue class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Retry_Queue;
+use B2Brouter\WooCommerce\Invoice_Generator;
+
+/**
+ * Retry_Queue test case
+ *
+ * @since 1.0.0
+ */
+class RetryQueueTest extends TestCase {
+
+    /**
+     * @var Retry_Queue
+     */
+    private $queue;
+
+    /**
+     * @var Invoice_Generator|\PHPUnit\Framework\MockObject\MockObject
+     */
+    private $invoice_generator;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_actions, $wp_options, $wp_cron_events, $wc_mock_orders;
+        $wp_actions = array();
+        $wp_options = array();
+        $wp_cron_events = array();
+        $wc_mock_orders = array();
+
+        $this->invoice_generator = $this->createMock(Invoice_Generator::class);
+        $this->queue = new Retry_Queue($this->invoice_generator);
+    }
+
+    public function tearDown(): void {
+        $_POST = array();
+
+        parent::tearDown();
+    }
+
+    /**
+     * Call an AJAX handler and return the decoded JSON response
+     *
+     * @param callable $callback Handler
+     * @return array Decoded response
+     */
+    private function callAjaxHandler($callback) {
+        global $wp_send_json_throw;
+        $wp_send_json_throw = true;
+        try {
+            call_user_func($callback);
+        } catch (\WpJsonResponseException $e) {
+            $wp_send_json_throw = false;
+            return json_decode($e->response, true);
+        }
+        $wp_send_json_throw = false;
+        $this->fail('AJAX handler did not call wp_send_json');
+    }
+
+    /**
+     * Move an entry's next attempt into the past
+     *
+     * @param int $order_id Order ID
+     * @return void
+     */
+    private function make_due($order_id) {
+        $entries = Retry_Queue::get_entries();
+        $entries[$order_id]['next_run'] = time() - 1;
+        update_option(Retry_Queue::OPTION, $entries, false);
+    }
+
+    public function test_constructor_registers_hooks() {
+        global $wp_actions;
+
+        $this->assertArrayHasKey(Retry_Queue::CRON_HOOK, $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_retry_queue', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_retry_queue_retry', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_retry_queue_dismiss', $wp_actions);
+    }
+
+    public function test_add_backs_off_and_gives_up() {
+        $entry = Retry_Queue::add(10, 'Service unavailable');
+
+        $this->assertSame(1, $entry['attempts']);
+        $this->assertSame('Service unavailable', $entry['reason']);
+        $this->assertEqualsWithDelta(time() + Retry_Queue::BACKOFF[0], $entry['next_run'], 2);
+
+        $entry = Retry_Queue::add(10, 'Timeout');
+
+        $this->assertSame(2, $entry['attempts']);
+        $this->assertSame('Timeout', $entry['reason']);
+        $this->assertEqualsWithDelta(time() + Retry_Queue::BACKOFF[1], $entry['next_run'], 2);
+
+        for ($i = 2; $i < Retry_Queue::MAX_ATTEMPTS; $i++) {
+            $entry = Retry_Queue::add(10, 'Timeout');
+        }
+
+        $this->assertSame(Retry_Queue::MAX_ATTEMPTS, $entry['attempts']);
+        $this->assertSame(0, $entry['next_run']);
+        $this->assertSame(1, Retry_Queue::count());
+    }
+
+    public function test_cron_event_follows_next_entry_due() {
+        global $wp_cron_events;
+
+        Retry_Queue::add(10, 'Timeout');
+        Retry_Queue::add(10, 'Timeout');
+        Retry_Queue::add(11, 'Timeout');
+
+        $this->assertEqualsWithDelta(time() + Retry_Queue::BACKOFF[0], $wp_cron_events[Retry_Queue::CRON_HOOK]['timestamp'], 2);
+
+        Retry_Queue::remove(11);
+        $this->assertEqualsWithDelta(time() + Retry_Queue::BACKOFF[1], $wp_cron_events[Retry_Queue::CRON_HOOK]['timestamp'], 2);
+
+        Retry_Queue::remove(10);
+        $this->assertArrayNotHasKey(Retry_Queue::CRON_HOOK, $wp_cron_events);
+    }
+
+    public function test_deactivation_clears_cron_and_activation_restores_it() {
+        global $wp_cron_events;
+
+        Retry_Queue::add(10, 'Timeout');
+
+        $this->queue->deactivate();
+        $this->assertArrayNotHasKey(Retry_Queue::CRON_HOOK, $wp_cron_events);
+        $this->assertSame(1, Retry_Queue::count());
+
+        $this->queue->activate();
+        $this->assertEqualsWithDelta(time() + Retry_Queue::BACKOFF[0], $wp_cron_events[Retry_Queue::CRON_HOOK]['timestamp'], 2);
+    }
+
+    public function test_retry_success_leaves_the_queue() {
+        global $wc_mock_orders;
+        $wc_mock_orders[10] = new WC_Order(10);
+
+        Retry_Queue::add(10, 'Timeout');
+
+        $this->invoice_generator->method('has_invoice')->willReturn(false);
+        $this->invoice_generator->expects($this->once())
+            ->method('generate_invoice')
+            ->with(10)
+            ->willReturnCallback(function($order_id) {
+                // As Invoice_Generator::generate_invoice() does on success
+                Retry_Queue::remove($order_id);
+                return array('success' => true, 'message' => 'Invoice generated');
+            });
+
+        $result = $this->queue->retry(10);
+
+        $this->assertTrue($result['success']);
+        $this->assertNull($result['entry']);
+        $this->assertSame(0, Retry_Queue::count());
+    }
+
+    public function test_retry_failure_counts_an_attempt() {
+        global $wc_mock_orders;
+        $wc_mock_orders[10] = new WC_Order(10);
+
+        Retry_Queue::add(10, 'Timeout');
+
+        $this->invoice_generator->method('generate_invoice')
+            ->willReturn(array('success' => false, 'message' => 'Customer TIN is missing'));
+
+        $result = $this->queue->retry(10);
+
+        $this->assertFalse($result['success']);
+        $this->assertSame(2, $result['entry']['attempts']);
+        $this->assertSame('Customer TIN is missing', $result['entry']['reason']);
+    }
+
+    public function test_retry_drops_deleted_and_already_invoiced_orders() {
+        global $wc_mock_orders;
+        $wc_mock_orders[11] = new WC_Order(11);
+
+        Retry_Queue::add(10, 'Timeout');
+        Retry_Queue::add(11, 'Timeout');
+
+        $this->invoice_generator->method('has_invoice')->willReturn(true);
+        $this->invoice_generator->expects($this->never())->method('generate_invoice');
+
+        $this->assertFalse($this->queue->retry(10)['success']);
+        $this->assertTrue($this->queue->retry(11)['success']);
+        $this->assertSame(0, Retry_Queue::count());
+    }
+
+    public function test_process_due_retries_only_due_entries() {
+        global $wc_mock_orders;
+        $wc_mock_orders[10] = new WC_Order(10);
+        $wc_mock_orders[11] = new WC_Order(11);
+        $wc_mock_orders[12] = new WC_Order(12);
+
+        Retry_Queue::add(10, 'Timeout');
+        Retry_Queue::add(11, 'Timeout');
+        for ($i = 0; $i < Retry_Queue::MAX_ATTEMPTS; $i++) {
+            Retry_Queue::add(12, 'Timeout');
+        }
+        $this->make_due(10);
+
+        $this->invoice_generator->expects($this->once())
+            ->method('generate_invoice')
+            ->with(10)
+            ->willReturn(array('success' => false, 'message' => 'Timeout'));
+
+        $this->queue->process_due();
+
+        $entries = Retry_Queue::get_entries();
+        $this->assertSame(2, $entries[10]['attempts']);
+        $this->assertSame(1, $entries[11]['attempts']);
+        $this->assertSame(Retry_Queue::MAX_ATTEMPTS, $entries[12]['attempts']);
+    }
+
+    public function test_format_entry_links_refunds_to_parent_order() {
+        global $wc_mock_orders;
+        $refund = new WC_Order_Refund(50);
+        $refund->set_parent_id(42);
+        $wc_mock_orders[42] = new WC_Order(42);
+        $wc_mock_orders[50] = $refund;
+
+        $entry = Retry_Queue::format_entry(Retry_Queue::add(50, 'Timeout'));
+
+        $this->assertTrue($entry['is_refund']);
+        $this->assertSame('42', $entry['order_number']);
+        $this->assertStringContainsString('post=42', $entry['edit_url']);
+        $this->assertSame('scheduled', $entry['status']);
+        $this->assertNotEmpty($entry['next_run_in']);
+    }
+
+    public function test_ajax_get_queue_lists_given_up_entries_last() {
+        for ($i = 0; $i < Retry_Queue::MAX_ATTEMPTS; $i++) {
+            Retry_Queue::add(10, 'Timeout');
+        }
+        Retry_Queue::add(11, 'Timeout');
+
+        $response = $this->callAjaxHandler(array($this->queue, 'ajax_get_queue'));
+
+        $this->assertTrue($response['success']);
+        $this->assertSame(array(11, 10), array_column($response['data']['entries'], 'order_id'));
+        $this->assertSame('gave_up', $response['data']['entries'][1]['status']);
+    }
+
+    public function test_ajax_retry() {
+        global $wc_mock_orders;
+        $wc_mock_orders[10] = new WC_Order(10);
+
+        Retry_Queue::add(10, 'Timeout');
+
+        $this->invoice_generator->method('generate_invoice')
+            ->willReturn(array('success' => false, 'message' => 'Timeout'));
+
+        $_POST = array('order_id' => '10');
+        $response = $this->callAjaxHandler(array($this->queue, 'ajax_retry'));
+
+        $this->assertTrue($response['success']);
+        $this->assertFalse($response['data']['success']);
+        $this->assertSame(2, $response['data']['entry']['attempts']);
+        $this->assertSame('scheduled', $response['data']['entry']['status']);
+
+        $_POST = array('order_id' => '99');
+        $response = $this->callAjaxHandler(array($this->queue, 'ajax_retry'));
+
+        $this->assertFalse($response['success']);
+    }
+
+    public function test_ajax_dismiss() {
+        Retry_Queue::add(10, 'Timeout');
+        Retry_Queue::add(11, 'Timeout');
+
+        $_POST = array('order_id' => '10');
+        $response = $this->callAjaxHandler(array($this->queue, 'ajax_dismiss'));
+
+        $this->assertTrue($response['success']);
+        $this->assertSame(1, $response['data']['count']);
+        $this->assertArrayNotHasKey(10, Retry_Queue::get_entries());
+    }
+}
@@ -305,16 +305,16 @@ class SettingsTest extends TestCase {
      */
     public function test_set_invoice_mode_rejects_invalid_values() {
         $result = $this->settings->set_invoice_mode('invalid');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
 
         $result = $this->settings->set_invoice_mode('');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
 
         $result = $this->settings->set_invoice_mode('AUTO');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
 
         $result = $this->settings->set_invoice_mode('something_random');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
     }
 
     /**
@@ -324,10 +324,10 @@ class SettingsTest extends TestCase {
      */
     public function test_invoice_mode_is_case_sensitive() {
         $result = $this->settings->set_invoice_mode('Automatic');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
 
         $result = $this->settings->set_invoice_mode('MANUAL');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
     }
 
     // ========== Transaction Count Tests ==========
@@ -918,6 +918,21 @@ class SettingsTest extends TestCase {
         $this->assertEquals(30, $this->settings->get_auto_cleanup_days());
     }
 
+    /**
+     * Test set_auto_cleanup_days rejects non-numeric input
+     *
+     * @return void
+     */
+    public function test_set_auto_cleanup_days_rejects_non_numeric() {
+        $this->settings->set_auto_cleanup_days(60);
+
+        $result = $this->settings->set_auto_cleanup_days('sixty');
+
+        $this->assertInstanceOf(WP_Error::class, $result);
+        $this->assertStringContainsString('whole number', $result->get_error_message());
+        $this->assertEquals(60, $this->settings->get_auto_cleanup_days());
+    }
+
     /**
      * Test cleanup settings work independently
      *
@@ -1070,7 +1085,7 @@ class SettingsTest extends TestCase {
     public function test_set_invoice_series_code_rejects_empty() {
         $this->settings->set_invoice_series_code('S01');
         $result = $this->settings->set_invoice_series_code('');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
         $this->assertEquals('S01', $this->settings->get_invoice_series_code());
     }
 
@@ -1082,7 +1097,7 @@ class SettingsTest extends TestCase {
     public function test_set_invoice_series_code_rejects_whitespace() {
         $this->settings->set_invoice_series_code('S01');
         $result = $this->settings->set_invoice_series_code('   ');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
         $this->assertEquals('S01', $this->settings->get_invoice_series_code());
     }
 
@@ -1127,7 +1142,7 @@ class SettingsTest extends TestCase {
     public function test_set_credit_note_series_code_rejects_empty() {
         $this->settings->set_credit_note_series_code('R01');
         $result = $this->settings->set_credit_note_series_code('');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
         $this->assertEquals('R01', $this->settings->get_credit_note_series_code());
     }
 
@@ -1139,7 +1154,7 @@ class SettingsTest extends TestCase {
     public function test_set_credit_note_series_code_rejects_whitespace() {
         $this->settings->set_credit_note_series_code('R01');
         $result = $this->settings->set_credit_note_series_code('   ');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
         $this->assertEquals('R01', $this->settings->get_credit_note_series_code());
     }
 
@@ -1197,7 +1212,7 @@ class SettingsTest extends TestCase {
      */
     public function test_set_invoice_numbering_pattern_rejects_sequential() {
         $result = $this->settings->set_invoice_numbering_pattern('sequential');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
     }
 
     /**
@@ -1207,7 +1222,7 @@ class SettingsTest extends TestCase {
      */
     public function test_set_invoice_numbering_pattern_rejects_custom() {
         $result = $this->settings->set_invoice_numbering_pattern('custom');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
     }
 
     /**
@@ -1217,13 +1232,13 @@ class SettingsTest extends TestCase {
      */
     public function test_set_invoice_numbering_pattern_rejects_invalid_values() {
         $result = $this->settings->set_invoice_numbering_pattern('invalid');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
 
         $result = $this->settings->set_invoice_numbering_pattern('');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
 
         $result = $this->settings->set_invoice_numbering_pattern('AUTOMATIC');
-        $this->assertFalse($result);
+        $this->assertInstanceOf(WP_Error::class, $result);
     }
 
     // ========== Integration Tests: Series Codes & Numbering ==========
@@ -1249,4 +1264,105 @@ class SettingsTest extends TestCase {
         $this->settings->set_invoice_numbering_pattern('woocommerce');
         $this->assertEquals('woocommerce', $this->settings->get_invoice_numbering_pattern());
     }
+
+    // ========== TIN Validation Mode Tests ==========
+
+    /**
+     * Test get_tin_validation_mode returns 'warn' by default
+     *
+     * @return void
+     */
+    public function test_get_tin_validation_mode_returns_warn_by_default() {
+        $this->assertEquals('warn', $this->settings->get_tin_validation_mode());
+    }
+
+    /**
+     * Test set_tin_validation_mode accepts the known modes and rejects others
+     *
+     * @return void
+     */
+    public function test_set_tin_validation_mode_accepts_only_known_modes() {
+        $this->assertTrue($this->settings->set_tin_validation_mode('require'));
+        $this->assertEquals('require', $this->settings->get_tin_validation_mode());
+
+        $this->assertTrue($this->settings->set_tin_validation_mode('off'));
+        $this->assertEquals('off', $this->settings->get_tin_validation_mode());
+
+        $this->assertInstanceOf(WP_Error::class, $this->settings->set_tin_validation_mode('strict'));
+        $this->assertEquals('off', $this->settings->get_tin_validation_mode());
+    }
+
+    // ========== Webhook Secret Rotation Tests ==========
+
+    /**
+     * Test generate_webhook_secret returns a random alphanumeric secret without storing it
+     *
+     * @return void
+     */
+    public function test_generate_webhook_secret() {
+        $secret = $this->settings->generate_webhook_secret();
+
+        $this->assertMatchesRegularExpression('/^[A-Za-z0-9]{40}$/', $secret);
+        $this->assertNotEquals($secret, $this->settings->generate_webhook_secret());
+        $this->assertEquals('', $this->settings->get_webhook_secret());
+    }
+
+    /**
+     * Test the first rotation just sets a secret, without a grace period
+     *
+     * @return void
+     */
+    public function test_rotate_webhook_secret_without_previous_secret() {
+        $secret = $this->settings->rotate_webhook_secret();
+
+        $this->assertEquals($secret, $this->settings->get_webhook_secret());
+        $this->assertEquals('', $this->settings->get_webhook_previous_secret());
+        $this->assertSame(0, $this->settings->get_webhook_secret_grace_until());
+    }
+
+    /**
+     * Test rotation keeps the old secret during the grace period
+     *
+     * @return void
+     */
+    public function test_rotate_webhook_secret_starts_grace_period() {
+        $this->settings->set_webhook_secret('old_secret');
+
+        $secret = $this->settings->rotate_webhook_secret();
+
+        $this->assertNotEquals('old_secret', $secret);
+        $this->assertEquals($secret, $this->settings->get_webhook_secret());
+        $this->assertEquals('old_secret', $this->settings->get_webhook_previous_secret());
+        $this->assertGreaterThan(time(), $this->settings->get_webhook_secret_grace_until());
+    }
+
+    /**
+     * Test the previous secret is dropped once the grace period has passed
+     *
+     * @return void
+     */
+    public function test_previous_webhook_secret_expires() {
+        $this->settings->set_webhook_secret('old_secret');
+        $this->settings->rotate_webhook_secret();
+
+        update_option(Settings::OPTION_WEBHOOK_SECRET_GRACE_UNTIL, time() - 1);
+
+        $this->assertEquals('', $this->settings->get_webhook_previous_secret());
+        $this->assertSame(0, $this->settings->get_webhook_secret_grace_until());
+    }
+
+    /**
+     * Test ending the grace period explicitly
+     *
+     * @return void
+     */
+    public function test_end_webhook_secret_grace_period() {
+        $this->settings->set_webhook_secret('old_secret');
+        $this->settings->rotate_webhook_secret();
+
+        $this->settings->end_webhook_secret_grace_period();
+
+        $this->assertEquals('', $this->settings->get_webhook_previous_secret());
+        $this->assertSame(0, $this->settings->get_webhook_secret_grace_until());
+    }
 }
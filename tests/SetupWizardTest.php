@@ -0,0 +1,335 @@
+<?php
+/**
+ * Tests for Setup_Wizard class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Setup_Wizard;
+use B2Brouter\WooCommerce\Settings;
+use B2Brouter\WooCommerce\Status_Sync;
+
+/**
+ * Setup_Wizard test case
+ *
+ * @since 1.0.0
+ */
+class SetupWizardTest extends TestCase {
+
+    /**
+     * @var Settings|\PHPUnit\Framework\MockObject\MockObject
+     */
+    private $settings;
+
+    /**
+     * @var Status_Sync|\PHPUnit\Framework\MockObject\MockObject
+     */
+    private $status_sync;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_actions, $wp_options;
+        $wp_actions = array();
+        $wp_options = array();
+
+        unset($GLOBALS['test_wc_get_orders_return']);
+    }
+
+    public function tearDown(): void {
+        unset($GLOBALS['test_wc_get_orders_return']);
+        $_POST = array();
+
+        parent::tearDown();
+    }
+
+    /**
+     * Build a wizard over a Settings mock returning the given values
+     *
+     * @param array $values Getter name => return value, merged over the defaults
+     * @return Setup_Wizard
+     */
+    private function create_wizard(array $values = array()) {
+        $values = array_merge(array(
+            'get_api_key' => '',
+            'get_account_id' => '',
+            'get_account_name' => '',
+            'get_invoice_mode' => 'manual',
+            'get_invoice_series_code' => 'INV',
+            'get_credit_note_series_code' => 'CN',
+            'get_invoice_numbering_pattern' => 'woocommerce',
+            'get_webhook_enabled' => false,
+            'get_webhook_secret' => '',
+            'get_webhook_url' => 'https://example.com/wp-json/b2brouter/v1/webhook',
+            'get_attach_to_order_completed' => false,
+            'get_attach_to_customer_invoice' => false,
+            'get_attach_to_refunded_order' => false,
+            'validate_api_key' => array('valid' => true, 'message' => 'API key is valid.'),
+        ), $values);
+
+        $this->settings = $this->createMock(Settings::class);
+        foreach ($values as $method => $value) {
+            $this->settings->method($method)->willReturn($value);
+        }
+
+        $this->status_sync = $this->createMock(Status_Sync::class);
+
+        return new Setup_Wizard($this->settings, $this->status_sync);
+    }
+
+    /**
+     * Call an AJAX handler and return the decoded JSON response
+     *
+     * @param callable $callback Handler
+     * @return array Decoded response
+     */
+    private function callAjaxHandler($callback) {
+        global $wp_send_json_throw;
+        $wp_send_json_throw = true;
+        try {
+            call_user_func($callback);
+        } catch (\WpJsonResponseException $e) {
+            $wp_send_json_throw = false;
+            return json_decode($e->response, true);
+        }
+        $wp_send_json_throw = false;
+        $this->fail('AJAX handler did not call wp_send_json');
+    }
+
+    public function test_constructor_registers_hooks() {
+        global $wp_actions;
+
+        $this->create_wizard();
+
+        $this->assertArrayHasKey('admin_enqueue_scripts', $wp_actions);
+        $this->assertArrayHasKey('wp_ajax_b2brouter_setup_save_step', $wp_actions);
+    }
+
+    public function test_progress_starts_at_api_key() {
+        $progress = $this->create_wizard()->get_progress();
+
+        $this->assertSame('api_key', $progress['step']);
+        $this->assertSame(array(), $progress['completed']);
+        $this->assertFalse($progress['finished']);
+    }
+
+    public function test_progress_resumes_at_first_unfinished_step() {
+        update_option(Setup_Wizard::OPTION_PROGRESS, array(
+            'completed' => array('mode', 'api_key', 'bogus'),
+            'finished' => false,
+        ));
+
+        $progress = $this->create_wizard()->get_progress();
+
+        $this->assertSame('account', $progress['step']);
+        $this->assertSame(array('api_key', 'mode'), $progress['completed']);
+    }
+
+    public function test_save_step_rejects_unknown_step() {
+        $result = $this->create_wizard()->save_step('nope', array());
+
+        $this->assertFalse($result['success']);
+    }
+
+    public function test_save_api_key() {
+        $wizard = $this->create_wizard();
+
+        $this->settings->expects($this->once())->method('set_api_key')->with('key-123');
+
+        $result = $wizard->save_step('api_key', array('api_key' => ' key-123 '));
+
+        $this->assertTrue($result['success']);
+        $this->assertSame('account', $result['progress']['step']);
+        $this->assertNotEmpty($result['summary']);
+    }
+
+    public function test_save_api_key_requires_a_valid_key() {
+        $wizard = $this->create_wizard(array(
+            'validate_api_key' => array('valid' => false, 'message' => 'Invalid API key'),
+        ));
+
+        $this->settings->expects($this->once())->method('validate_api_key')->with('bad-key');
+        $this->settings->expects($this->never())->method('set_api_key');
+
+        $result = $wizard->save_step('api_key', array('api_key' => 'bad-key'));
+
+        $this->assertFalse($result['success']);
+        $this->assertSame('Invalid API key', $result['message']);
+        $this->assertSame(array(), $wizard->get_progress()['completed']);
+    }
+
+    public function test_new_api_key_reopens_account_step() {
+        update_option(Setup_Wizard::OPTION_PROGRESS, array('completed' => array('api_key', 'account', 'mode')));
+
+        $wizard = $this->create_wizard(array('get_api_key' => 'old-key', 'get_account_id' => '77'));
+
+        $this->assertSame('account', $wizard->save_step('api_key', array('api_key' => 'new-key'))['progress']['step']);
+
+        update_option(Setup_Wizard::OPTION_PROGRESS, array('completed' => array('api_key', 'account')));
+
+        $this->assertSame('mode', $wizard->save_step('api_key', array('api_key' => 'old-key'))['progress']['step']);
+    }
+
+    public function test_account_step_requires_selected_account() {
+        $this->assertFalse($this->create_wizard()->save_step('account', array())['success']);
+        $this->assertTrue($this->create_wizard(array('get_account_id' => '77'))->save_step('account', array())['success']);
+    }
+
+    public function test_save_mode() {
+        $wizard = $this->create_wizard();
+
+        $this->settings->expects($this->exactly(2))->method('set_invoice_mode')->willReturnCallback(function($mode) {
+            return $mode === 'automatic' ? true : new WP_Error('invalid_invoice_mode', 'Choose automatic or manual invoice generation.');
+        });
+
+        $result = $wizard->save_step('mode', array('invoice_mode' => 'sometimes'));
+        $this->assertFalse($result['success']);
+        $this->assertSame('Choose automatic or manual invoice generation.', $result['message']);
+
+        $this->assertTrue($wizard->save_step('mode', array('invoice_mode' => 'automatic'))['success']);
+    }
+
+    public function test_save_numbering_reports_setter_errors() {
+        $wizard = $this->create_wizard();
+
+        $this->settings->method('set_credit_note_series_code')
+            ->willReturn(new WP_Error('empty_credit_note_series_code', 'Credit note series code is required and cannot be empty.'));
+        $this->settings->expects($this->never())->method('set_invoice_numbering_pattern');
+
+        $result = $wizard->save_step('numbering', array(
+            'invoice_series_code' => 'INV',
+            'credit_note_series_code' => ' ',
+            'numbering_pattern' => 'automatic',
+        ));
+
+        $this->assertFalse($result['success']);
+        $this->assertStringContainsString('Credit note series code', $result['message']);
+    }
+
+    public function test_save_numbering() {
+        $wizard = $this->create_wizard();
+
+        $this->settings->expects($this->once())->method('set_invoice_series_code')->with('F26');
+        $this->settings->expects($this->once())->method('set_credit_note_series_code')->with('R26');
+        $this->settings->expects($this->once())->method('set_invoice_numbering_pattern')->with('automatic');
+
+        $this->assertTrue($wizard->save_step('numbering', array(
+            'invoice_series_code' => 'F26',
+            'credit_note_series_code' => 'R26',
+            'numbering_pattern' => 'automatic',
+        ))['success']);
+    }
+
+    public function test_webhook_requires_secret_when_enabled() {
+        $wizard = $this->create_wizard();
+
+        $this->settings->expects($this->never())->method('set_webhook_enabled');
+
+        $result = $wizard->save_step('webhook', array('webhook_enabled' => 'yes', 'webhook_secret' => ''));
+
+        $this->assertFalse($result['success']);
+    }
+
+    public function test_enabling_webhook_reschedules_polling() {
+        $wizard = $this->create_wizard();
+
+        $this->settings->expects($this->once())->method('set_webhook_enabled')->with(true);
+        $this->settings->expects($this->once())->method('set_webhook_secret')->with('s3cret');
+        $this->status_sync->expects($this->once())->method('reschedule_cron');
+
+        $this->assertTrue($wizard->save_step('webhook', array('webhook_enabled' => 'yes', 'webhook_secret' => 's3cret'))['success']);
+    }
+
+    public function test_save_email_attachments() {
+        $wizard = $this->create_wizard();
+
+        $this->settings->expects($this->once())->method('set_attach_to_order_completed')->with(true);
+        $this->settings->expects($this->once())->method('set_attach_to_customer_invoice')->with(false);
+        $this->settings->expects($this->once())->method('set_attach_to_refunded_order')->with(true);
+
+        $wizard->save_step('emails', array('attach_to_order_completed' => '1', 'attach_to_refunded_order' => '1'));
+    }
+
+    public function test_summary_step_finishes_the_wizard() {
+        global $wp_options;
+        $wp_options[Setup_Wizard::OPTION_PROGRESS] = array(
+            'completed' => array('api_key', 'account', 'mode', 'numbering', 'webhook', 'emails'),
+            'finished' => false,
+        );
+        $wizard = $this->create_wizard();
+
+        $result = $wizard->save_step('summary', array());
+
+        $this->assertTrue($result['success']);
+        $this->assertTrue($result['progress']['finished']);
+    }
+
+    public function test_summary_step_names_the_first_missing_step() {
+        global $wp_options;
+        $wp_options[Setup_Wizard::OPTION_PROGRESS] = array(
+            'completed' => array('api_key', 'account', 'numbering', 'emails'),
+            'finished' => false,
+        );
+        $wizard = $this->create_wizard();
+
+        $result = $wizard->save_step('summary', array());
+
+        $this->assertFalse($result['success']);
+        $this->assertSame('Complete the "Invoicing" step before finishing the setup.', $result['message']);
+        $this->assertFalse($wizard->get_progress()['finished']);
+        $this->assertNotContains('summary', $wp_options[Setup_Wizard::OPTION_PROGRESS]['completed']);
+    }
+
+    public function test_get_summary() {
+        $summary = $this->create_wizard(array(
+            'get_account_id' => '77',
+            'get_account_name' => 'Acme',
+            'get_invoice_mode' => 'automatic',
+            'get_webhook_enabled' => true,
+            'get_attach_to_customer_invoice' => true,
+        ))->get_summary();
+
+        $values = array_column($summary, 'value', 'label');
+
+        $this->assertSame('Acme (ID: 77)', $values['Account']);
+        $this->assertStringContainsString('Automatic', $values['Invoice generation']);
+        $this->assertSame('Invoices INV, credit notes CN', $values['Series']);
+        $this->assertSame('Enabled', $values['Webhook']);
+        $this->assertSame('Customer invoice', $values['PDF attached to']);
+    }
+
+    public function test_render_opens_the_resume_step() {
+        update_option(Setup_Wizard::OPTION_PROGRESS, array('completed' => array('api_key', 'account')));
+        $GLOBALS['test_wc_get_orders_return'] = array(new WC_Order(55));
+
+        ob_start();
+        $this->create_wizard(array('get_api_key' => 'key-123'))->render();
+        $output = ob_get_clean();
+
+        $this->assertMatchesRegularExpression('/<section class="b2brouter-wizard-step" data-step="mode"\s*>/', $output);
+        $this->assertMatchesRegularExpression('/<section class="b2brouter-wizard-step" data-step="api_key"\s+hidden>/', $output);
+        $this->assertStringContainsString('value="key-123"', $output);
+        $this->assertStringContainsString('id="b2brouter_numbering_preview"', $output);
+        $this->assertStringContainsString('id="b2brouter_wizard_test_invoice"', $output);
+        $this->assertStringContainsString('data-order-id="55"', $output);
+    }
+
+    public function test_render_without_test_order() {
+        ob_start();
+        $this->create_wizard()->render();
+        $output = ob_get_clean();
+
+        $this->assertStringNotContainsString('id="b2brouter_wizard_test_invoice"', $output);
+    }
+
+    public function test_ajax_save_step() {
+        $wizard = $this->create_wizard();
+        $_POST = array('step' => 'mode', 'invoice_mode' => 'manual', 'unrelated' => 'x');
+
+        $response = $this->callAjaxHandler(array($wizard, 'ajax_save_step'));
+
+        $this->assertTrue($response['success']);
+        $this->assertSame(array('mode'), $response['data']['progress']['completed']);
+    }
+}
@@ -132,6 +132,60 @@ class StatusSyncTest extends TestCase {
         $this->assertNotContains('pending', $final_states);
     }
 
+    // ========== record_status_history Tests ==========
+
+    public function test_record_status_history_appends_changes() {
+        $order = new WC_Order(501);
+
+        $this->assertTrue(Status_Sync::record_status_history($order, 'new', 100));
+        $this->assertTrue(Status_Sync::record_status_history($order, 'SENT', 200));
+
+        $this->assertSame(array(
+            array('status' => 'new', 'time' => 100),
+            array('status' => 'sent', 'time' => 200),
+        ), $order->get_meta('_b2brouter_invoice_status_history'));
+    }
+
+    public function test_record_status_history_ignores_unchanged_status() {
+        $order = new WC_Order(502);
+
+        Status_Sync::record_status_history($order, 'sent', 100);
+
+        $this->assertFalse(Status_Sync::record_status_history($order, 'sent', 200));
+        $this->assertFalse(Status_Sync::record_status_history($order, ''));
+        $this->assertCount(1, $order->get_meta('_b2brouter_invoice_status_history'));
+    }
+
+    public function test_record_status_history_keeps_latest_entries() {
+        $order = new WC_Order(503);
+
+        for ($i = 0; $i < Status_Sync::HISTORY_LIMIT + 5; $i++) {
+            Status_Sync::record_status_history($order, $i % 2 ? 'sent' : 'error', $i);
+        }
+
+        $history = $order->get_meta('_b2brouter_invoice_status_history');
+        $this->assertCount(Status_Sync::HISTORY_LIMIT, $history);
+        $this->assertSame(Status_Sync::HISTORY_LIMIT + 4, end($history)['time']);
+    }
+
+    // ========== get_stuck_meta_query Tests ==========
+
+    public function test_get_stuck_meta_query() {
+        $now = 1773230400;
+        $query = Status_Sync::get_stuck_meta_query($now);
+
+        $this->assertSame('_b2brouter_invoice_date', $query[0]['key']);
+        $this->assertSame(wp_date('Y-m-d H:i:s', $now - Status_Sync::STUCK_AFTER), $query[0]['value']);
+        $this->assertSame('<', $query[0]['compare']);
+
+        // Unsynced invoices count, and so does anything not final or already flagged
+        $this->assertSame('OR', $query[1]['relation']);
+        $this->assertSame('NOT EXISTS', $query[1][0]['compare']);
+        $this->assertContains('accepted', $query[1][1]['value']);
+        $this->assertContains('refused', $query[1][1]['value']);
+        $this->assertNotContains('new', $query[1][1]['value']);
+    }
+
     // ========== should_sync (polling eligibility) Tests ==========
 
     /**
@@ -0,0 +1,88 @@
+<?php
+/**
+ * Tests for Tin_Validator class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Tin_Validator;
+
+/**
+ * Tin_Validator test case
+ *
+ * @since 1.0.0
+ */
+class TinValidatorTest extends TestCase {
+
+    public function test_normalize_strips_separators_and_uppercases() {
+        $this->assertSame('ESB12345674', Tin_Validator::normalize(' es b-12.345/674 '));
+    }
+
+    public function test_empty_tin_is_valid() {
+        $result = Tin_Validator::validate('', 'ES');
+
+        $this->assertTrue($result['valid']);
+        $this->assertSame('', $result['scheme']);
+    }
+
+    public function test_prefix_takes_precedence_over_billing_country() {
+        $result = Tin_Validator::validate('DE123456789', 'FR');
+
+        $this->assertTrue($result['valid']);
+        $this->assertSame('DE', $result['scheme']);
+    }
+
+    public function test_billing_country_is_used_without_prefix() {
+        $this->assertTrue(Tin_Validator::validate('123456789', 'DE')['valid']);
+        $this->assertFalse(Tin_Validator::validate('12345678', 'DE')['valid']);
+    }
+
+    public function test_greece_uses_el_prefix() {
+        $this->assertSame('EL', Tin_Validator::get_vat_prefix('gr'));
+
+        $result = Tin_Validator::validate('123456789', 'GR');
+        $this->assertTrue($result['valid']);
+        $this->assertSame('EL', $result['scheme']);
+    }
+
+    public function test_format_mismatch_names_the_scheme() {
+        $result = Tin_Validator::validate('NL123456789', '');
+
+        $this->assertFalse($result['valid']);
+        $this->assertStringContainsString('NL', $result['message']);
+    }
+
+    public function test_unknown_country_is_not_checked() {
+        $result = Tin_Validator::validate('12-3456789', 'US');
+
+        $this->assertTrue($result['valid']);
+        $this->assertSame('', $result['scheme']);
+    }
+
+    public function test_swiss_uid_with_vat_suffix() {
+        $this->assertTrue(Tin_Validator::validate('CHE-123.456.789 MWST', 'CH')['valid']);
+    }
+
+    /**
+     * @dataProvider spanish_tin_provider
+     */
+    public function test_spanish_check_digits($tin, $expected) {
+        $this->assertSame($expected, Tin_Validator::validate($tin, 'ES')['valid']);
+    }
+
+    public function spanish_tin_provider() {
+        return array(
+            'DNI'                   => array('12345678Z', true),
+            'DNI wrong letter'      => array('12345678A', false),
+            'NIE'                   => array('X1234567L', true),
+            'NIE wrong letter'      => array('X1234567A', false),
+            'CIF digit'             => array('B12345674', true),
+            'CIF wrong digit'       => array('B12345675', false),
+            'CIF letter required'   => array('Q2826000H', true),
+            'CIF letter as digit'   => array('Q28260008', false),
+            'CIF with ES prefix'    => array('ESA39000013', true),
+            'Unknown first letter'  => array('I1234567Z', false),
+        );
+    }
+}
@@ -6,6 +6,7 @@
  */
 
 use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Event_Log;
 use B2Brouter\WooCommerce\Uninstaller;
 
 class UninstallerTest extends TestCase {
@@ -233,16 +234,29 @@ class UninstallerTest extends TestCase {
         $this->assertArrayHasKey('unrelated_transient', $wp_transients);
     }
 
+    public function test_drop_tables_removes_event_log_table(): void {
+        global $wpdb;
+        $wpdb = new B2BRouter_Test_WPDB_Stub();
+
+        Event_Log::record('info', 'Entry');
+        $this->uninstaller->drop_tables();
+
+        $this->assertContains('DROP TABLE IF EXISTS wp_b2brouter_event_log', $wpdb->queries);
+        $this->assertArrayNotHasKey('wp_b2brouter_event_log', $wpdb->tables);
+    }
+
     public function test_ephemeral_keys_constant_matches_documented_keys(): void {
         $expected = array(
             '_b2brouter_invoice_status',
             '_b2brouter_invoice_status_updated',
             '_b2brouter_invoice_status_error',
+            '_b2brouter_invoice_status_history',
             '_b2brouter_last_webhook_received',
             '_b2brouter_invoice_pdf_path',
             '_b2brouter_invoice_pdf_filename',
             '_b2brouter_invoice_pdf_size',
             '_b2brouter_invoice_pdf_date',
+            '_b2brouter_correction_request',
         );
         $this->assertSame($expected, Uninstaller::EPHEMERAL_META_KEYS);
     }
@@ -253,6 +267,8 @@ class UninstallerTest extends TestCase {
             '_b2brouter_invoice_number',
             '_b2brouter_invoice_series_code',
             '_b2brouter_invoice_date',
+            '_b2brouter_corrective_invoices',
+            '_b2brouter_invoice_regenerations',
         );
         $this->assertSame($expected, Uninstaller::ARCHIVAL_META_KEYS);
     }
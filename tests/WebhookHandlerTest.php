@@ -10,6 +10,7 @@ use B2Brouter\WooCommerce\Webhook_Handler;
 use B2Brouter\WooCommerce\Settings;
 use B2Brouter\WooCommerce\Status_Sync;
 use B2Brouter\WooCommerce\Invoice_Generator;
+use B2Brouter\WooCommerce\Webhook_Log;
 
 /**
  * Webhook_Handler test case
@@ -64,11 +65,13 @@ class WebhookHandlerTest extends TestCase {
         parent::setUp();
 
         // Reset globals
-        global $wp_options, $wp_rest_routes, $wc_mock_orders, $wp_actions;
+        global $wp_options, $wp_rest_routes, $wc_mock_orders, $wp_actions, $wp_remote_requests, $wp_remote_post_response;
         $wp_options = array();
         $wp_rest_routes = array();
         $wc_mock_orders = array();
         $wp_actions = array();
+        $wp_remote_requests = array();
+        $wp_remote_post_response = null;
 
         // Create Settings instance
         $this->settings = new Settings();
@@ -94,11 +97,13 @@ class WebhookHandlerTest extends TestCase {
         parent::tearDown();
 
         // Clean up globals
-        global $wp_options, $wp_rest_routes, $wc_mock_orders, $wp_actions;
+        global $wp_options, $wp_rest_routes, $wc_mock_orders, $wp_actions, $wp_remote_requests, $wp_remote_post_response;
         $wp_options = array();
         $wp_rest_routes = array();
         $wc_mock_orders = array();
         $wp_actions = array();
+        $wp_remote_requests = array();
+        $wp_remote_post_response = null;
     }
 
     // ========== Instantiation Tests ==========
@@ -484,6 +489,10 @@ class WebhookHandlerTest extends TestCase {
         $this->assertEquals('sent', $order->get_meta('_b2brouter_invoice_status'));
         $this->assertNotEmpty($order->get_meta('_b2brouter_invoice_status_updated'));
         $this->assertNotEmpty($order->get_meta('_b2brouter_last_webhook_received'));
+
+        // Status change is appended to the customer-facing history
+        $history = $order->get_meta('_b2brouter_invoice_status_history');
+        $this->assertSame('sent', end($history)['status']);
     }
 
     /**
@@ -723,4 +732,274 @@ class WebhookHandlerTest extends TestCase {
         $this->assertEquals('sent', $order->get_meta('_b2brouter_invoice_status'));
         $this->assertEmpty($order->get_meta('_b2brouter_invoice_status_error'));
     }
+
+    // ========== Delivery Log & Test Event Tests ==========
+
+    /**
+     * Build a signed request for a payload
+     *
+     * @param array $payload Payload
+     * @param string|null $secret Secret to sign with (defaults to the configured one)
+     * @return WP_REST_Request
+     */
+    private function build_signed_request($payload, $secret = null) {
+        $body = json_encode($payload);
+        $request = new WP_REST_Request('POST', '/b2brouter/v1/webhook');
+        $request->set_body($body);
+        $request->set_header('X-B2Brouter-Signature', Webhook_Handler::sign_payload($body, $secret ?: $this->webhook_secret, time()));
+
+        return $request;
+    }
+
+    /**
+     * Test sign_payload builds the header verify_webhook_signature expects
+     *
+     * @return void
+     */
+    public function test_sign_payload_format() {
+        $header = Webhook_Handler::sign_payload('{"a":1}', 'secret', 1700000000);
+
+        $this->assertSame('t=1700000000,s=' . hash_hmac('sha256', '1700000000.{"a":1}', 'secret'), $header);
+    }
+
+    /**
+     * Test a processed delivery is logged with its outcome
+     *
+     * @return void
+     */
+    public function test_delivery_is_logged() {
+        $request = $this->build_signed_request(array(
+            'code' => 'issued_invoice.state_change',
+            'data' => array('invoice_id' => 999, 'state' => 'sent'),
+        ));
+        $GLOBALS['test_wc_get_orders_return'] = array();
+
+        $response = $this->webhook_handler->handle_webhook_request($request);
+        $entry = Webhook_Log::get_entries()[0];
+
+        $this->assertEquals(404, $response->get_status());
+        $this->assertSame('issued_invoice.state_change', $entry['event']);
+        $this->assertSame('999', $entry['invoice_id']);
+        $this->assertSame('valid', $entry['signature']);
+        $this->assertSame(404, $entry['status']);
+        $this->assertSame('Invoice not found', $entry['message']);
+    }
+
+    /**
+     * Test a delivery with a bad signature only reaches the rejected store
+     *
+     * @return void
+     */
+    public function test_invalid_signature_is_logged_as_rejected() {
+        $request = $this->build_signed_request(array(
+            'code' => 'issued_invoice.state_change',
+            'data' => array('invoice_id' => 123, 'state' => 'sent'),
+        ), 'wrong_secret');
+
+        $this->webhook_handler->handle_webhook_request($request);
+        $entry = Webhook_Log::get_rejected_entries()[0];
+
+        $this->assertSame(array(), Webhook_Log::get_entries());
+        $this->assertSame('invalid', $entry['signature']);
+        $this->assertSame(401, $entry['status']);
+        $this->assertSame('123', $entry['invoice_id']);
+    }
+
+    /**
+     * Test a delivery while webhooks are disabled is kept out of the delivery log
+     *
+     * @return void
+     */
+    public function test_disabled_delivery_is_logged_as_skipped() {
+        $this->settings->set_webhook_enabled(false);
+
+        $this->webhook_handler->handle_webhook_request($this->build_signed_request(array(
+            'code' => 'issued_invoice.state_change',
+            'data' => array('invoice_id' => 123, 'state' => 'sent'),
+        )));
+        $entry = Webhook_Log::get_rejected_entries()[0];
+
+        $this->assertSame(array(), Webhook_Log::get_entries());
+        $this->assertSame('skipped', $entry['signature']);
+        $this->assertSame(403, $entry['status']);
+    }
+
+    /**
+     * Test a flood of forged requests writes once and leaves real deliveries alone
+     *
+     * @return void
+     */
+    public function test_rejected_requests_are_rate_limited() {
+        Webhook_Log::record(array('invoice_id' => '1', 'signature' => 'valid', 'status' => 200));
+
+        for ($i = 0; $i < 5; $i++) {
+            $this->webhook_handler->handle_webhook_request($this->build_signed_request(array(
+                'code' => 'issued_invoice.state_change',
+                'data' => array('invoice_id' => 123, 'state' => 'sent'),
+            ), 'wrong_secret'));
+        }
+
+        $this->assertCount(1, Webhook_Log::get_rejected_entries());
+        $this->assertCount(1, Webhook_Log::get_entries());
+    }
+
+    /**
+     * Test a signed test event is accepted without touching any order
+     *
+     * @return void
+     */
+    public function test_test_event_is_not_processed() {
+        $GLOBALS['test_wc_get_orders_return'] = array(123);
+        $order = new WC_Order(123);
+        $order->update_meta_data('_b2brouter_invoice_status', 'pending');
+        global $wc_mock_orders;
+        $wc_mock_orders[123] = $order;
+
+        $response = $this->webhook_handler->handle_webhook_request($this->build_signed_request(array(
+            'code' => 'issued_invoice.state_change',
+            'test' => true,
+            'data' => array('invoice_id' => 123, 'state' => 'paid'),
+        )));
+
+        $this->assertEquals(200, $response->get_status());
+        $this->assertSame('pending', $order->get_meta('_b2brouter_invoice_status'));
+        $this->assertTrue(Webhook_Log::get_entries()[0]['test']);
+    }
+
+    /**
+     * Test send_test_event posts a signed event the endpoint accepts
+     *
+     * @return void
+     */
+    public function test_send_test_event_round_trip() {
+        global $wp_remote_requests;
+
+        $result = $this->webhook_handler->send_test_event();
+
+        $this->assertTrue($result['success']);
+        $this->assertCount(1, $wp_remote_requests);
+        $this->assertSame($this->settings->get_webhook_url(), $wp_remote_requests[0]['url']);
+
+        // Replay the outgoing request against the handler
+        $args = $wp_remote_requests[0]['args'];
+        $request = new WP_REST_Request('POST', '/b2brouter/v1/webhook');
+        $request->set_body($args['body']);
+        $request->set_header('X-B2Brouter-Signature', $args['headers']['X-B2Brouter-Signature']);
+
+        $response = $this->webhook_handler->handle_webhook_request($request);
+
+        $this->assertEquals(200, $response->get_status());
+        $this->assertSame('issued_invoice.state_change', Webhook_Log::get_entries()[0]['event']);
+    }
+
+    /**
+     * Test send_test_event reports the endpoint's error
+     *
+     * @return void
+     */
+    public function test_send_test_event_reports_http_error() {
+        global $wp_remote_post_response;
+        $wp_remote_post_response = array(
+            'response' => array('code' => 401),
+            'body' => json_encode(array('error' => 'Invalid signature')),
+        );
+
+        $result = $this->webhook_handler->send_test_event();
+
+        $this->assertFalse($result['success']);
+        $this->assertSame(401, $result['status']);
+        $this->assertStringContainsString('Invalid signature', $result['message']);
+    }
+
+    /**
+     * Test send_test_event reports connection failures
+     *
+     * @return void
+     */
+    public function test_send_test_event_reports_connection_error() {
+        global $wp_remote_post_response;
+        $wp_remote_post_response = new WP_Error('http_request_failed', 'cURL error 7: Connection refused');
+
+        $result = $this->webhook_handler->send_test_event();
+
+        $this->assertFalse($result['success']);
+        $this->assertSame(0, $result['status']);
+        $this->assertStringContainsString('Connection refused', $result['message']);
+    }
+
+    /**
+     * Test send_test_event needs webhooks enabled and a secret
+     *
+     * @return void
+     */
+    public function test_send_test_event_requires_secret() {
+        global $wp_remote_requests;
+        $this->settings->set_webhook_secret('');
+
+        $result = $this->webhook_handler->send_test_event();
+
+        $this->assertFalse($result['success']);
+        $this->assertEmpty($wp_remote_requests);
+    }
+
+    /**
+     * Test the delivery log AJAX handler applies filters and formats dates
+     *
+     * @return void
+     */
+    public function test_ajax_get_delivery_log() {
+        global $wp_send_json_throw;
+
+        Webhook_Log::record(array('invoice_id' => '1', 'signature' => 'valid', 'status' => 200));
+        Webhook_Log::record(array('invoice_id' => '2', 'signature' => 'invalid', 'status' => 401));
+
+        $_POST['signature'] = 'invalid';
+        $wp_send_json_throw = true;
+        try {
+            $this->webhook_handler->ajax_get_delivery_log();
+            $this->fail('AJAX handler did not call wp_send_json');
+        } catch (\WpJsonResponseException $e) {
+            $response = json_decode($e->response, true);
+        } finally {
+            $wp_send_json_throw = false;
+            unset($_POST['signature']);
+        }
+
+        $this->assertTrue($response['success']);
+        $this->assertSame(1, $response['data']['total']);
+        $this->assertSame('2', $response['data']['entries'][0]['invoice_id']);
+        $this->assertArrayHasKey('date', $response['data']['entries'][0]);
+    }
+
+    // ========== Secret Rotation Tests ==========
+
+    /**
+     * Test deliveries signed with the old secret verify during the grace period
+     *
+     * @return void
+     */
+    public function test_previous_secret_accepted_during_grace_period() {
+        $old_secret = $this->settings->get_webhook_secret();
+        $this->settings->rotate_webhook_secret();
+
+        $payload = array('code' => 'issued_invoice.state_change', 'test' => true, 'data' => array('invoice_id' => 1, 'state' => 'sent'));
+
+        $this->assertEquals(200, $this->webhook_handler->handle_webhook_request($this->build_signed_request($payload, $old_secret))->get_status());
+        $this->assertEquals(200, $this->webhook_handler->handle_webhook_request($this->build_signed_request($payload, $this->settings->get_webhook_secret()))->get_status());
+    }
+
+    /**
+     * Test the old secret is rejected once the grace period is ended
+     *
+     * @return void
+     */
+    public function test_previous_secret_rejected_after_grace_period() {
+        $old_secret = $this->settings->get_webhook_secret();
+        $this->settings->rotate_webhook_secret();
+        $this->settings->end_webhook_secret_grace_period();
+
+        $payload = array('code' => 'issued_invoice.state_change', 'test' => true, 'data' => array('invoice_id' => 1, 'state' => 'sent'));
+
+        $this->assertEquals(401, $this->webhook_handler->handle_webhook_request($this->build_signed_request($payload, $old_secret))->get_status());
+    }
 }
@@ -0,0 +1,145 @@
+<?php
+/**
+ * Tests for Webhook_Log class
+ *
+ * @package B2Brouter\WooCommerce\Tests
+ */
+
+use PHPUnit\Framework\TestCase;
+use B2Brouter\WooCommerce\Webhook_Log;
+
+/**
+ * Webhook_Log test case
+ *
+ * @since 1.0.0
+ */
+class WebhookLogTest extends TestCase {
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_options;
+        $wp_options = array();
+    }
+
+    public function tearDown(): void {
+        parent::tearDown();
+
+        global $wp_options;
+        $wp_options = array();
+    }
+
+    public function test_record_stores_newest_first() {
+        Webhook_Log::record(array('event' => 'issued_invoice.state_change', 'invoice_id' => '1', 'signature' => 'valid', 'status' => 200));
+        Webhook_Log::record(array('event' => 'issued_invoice.state_change', 'invoice_id' => '2', 'signature' => 'invalid', 'status' => 401));
+
+        $entries = Webhook_Log::get_entries();
+
+        $this->assertCount(2, $entries);
+        $this->assertSame('2', $entries[0]['invoice_id']);
+        $this->assertSame(401, $entries[0]['status']);
+        $this->assertSame('invalid', $entries[0]['signature']);
+    }
+
+    public function test_record_sanitizes_untrusted_values() {
+        Webhook_Log::record(array(
+            'event' => '<script>alert(1)</script>',
+            'signature' => 'forged',
+            'status' => '200abc',
+        ));
+
+        $entry = Webhook_Log::get_entries()[0];
+
+        $this->assertSame('alert(1)', $entry['event']);
+        $this->assertSame('skipped', $entry['signature']);
+        $this->assertSame(200, $entry['status']);
+        $this->assertFalse($entry['test']);
+    }
+
+    public function test_log_is_capped() {
+        for ($i = 0; $i < Webhook_Log::MAX_ENTRIES + 5; $i++) {
+            Webhook_Log::record(array('invoice_id' => (string) $i, 'status' => 200));
+        }
+
+        $entries = Webhook_Log::get_entries();
+
+        $this->assertCount(Webhook_Log::MAX_ENTRIES, $entries);
+        $this->assertSame((string) (Webhook_Log::MAX_ENTRIES + 4), $entries[0]['invoice_id']);
+    }
+
+    public function test_query_paginates() {
+        for ($i = 1; $i <= 25; $i++) {
+            Webhook_Log::record(array('invoice_id' => (string) $i, 'status' => 200));
+        }
+
+        $page = Webhook_Log::query(array(), 2, 10);
+
+        $this->assertSame(25, $page['total']);
+        $this->assertSame(3, $page['total_pages']);
+        $this->assertSame(2, $page['page']);
+        $this->assertCount(10, $page['entries']);
+        $this->assertSame('15', $page['entries'][0]['invoice_id']);
+    }
+
+    public function test_query_clamps_page_number() {
+        Webhook_Log::record(array('status' => 200));
+
+        $this->assertSame(1, Webhook_Log::query(array(), 9)['page']);
+        $this->assertSame(1, Webhook_Log::query(array(), -3)['page']);
+    }
+
+    public function test_query_filters_by_signature_outcome_and_invoice() {
+        Webhook_Log::record(array('invoice_id' => '10', 'signature' => 'valid', 'status' => 200));
+        Webhook_Log::record(array('invoice_id' => '10', 'signature' => 'valid', 'status' => 404));
+        Webhook_Log::record(array('invoice_id' => '20', 'signature' => 'invalid', 'status' => 401));
+
+        $this->assertSame(1, Webhook_Log::query(array('signature' => 'invalid'))['total']);
+        $this->assertSame(2, Webhook_Log::query(array('outcome' => 'failure'))['total']);
+        $this->assertSame(1, Webhook_Log::query(array('outcome' => 'success'))['total']);
+        $this->assertSame(2, Webhook_Log::query(array('invoice_id' => '10'))['total']);
+        $this->assertSame(1, Webhook_Log::query(array('invoice_id' => '10', 'outcome' => 'failure'))['total']);
+    }
+
+    public function test_record_rejected_is_rate_limited_and_capped() {
+        global $wp_options;
+
+        $this->assertTrue(Webhook_Log::record_rejected(array('invoice_id' => '1', 'signature' => 'invalid', 'status' => 401)));
+        $this->assertFalse(Webhook_Log::record_rejected(array('invoice_id' => '2', 'signature' => 'invalid', 'status' => 401)));
+        $this->assertCount(1, Webhook_Log::get_rejected_entries());
+
+        // Older entries no longer hold back the next one
+        $entries = array();
+        for ($i = 0; $i < Webhook_Log::MAX_REJECTED; $i++) {
+            $entries[] = array('time' => time() - Webhook_Log::REJECTED_INTERVAL - $i, 'event' => '', 'invoice_id' => 'old', 'signature' => 'invalid', 'status' => 401, 'message' => '', 'test' => false);
+        }
+        $wp_options[Webhook_Log::REJECTED_OPTION] = $entries;
+
+        $this->assertTrue(Webhook_Log::record_rejected(array('invoice_id' => '3', 'signature' => 'skipped', 'status' => 403)));
+
+        $rejected = Webhook_Log::get_rejected_entries();
+        $this->assertCount(Webhook_Log::MAX_REJECTED, $rejected);
+        $this->assertSame('3', $rejected[0]['invoice_id']);
+    }
+
+    public function test_query_merges_rejected_requests_newest_first() {
+        global $wp_options;
+
+        Webhook_Log::record(array('invoice_id' => '1', 'signature' => 'valid', 'status' => 200));
+        $wp_options[Webhook_Log::REJECTED_OPTION] = array(
+            array('time' => time() - 100, 'event' => '', 'invoice_id' => '2', 'signature' => 'invalid', 'status' => 401, 'message' => '', 'test' => false),
+        );
+
+        $page = Webhook_Log::query();
+
+        $this->assertSame(array('1', '2'), array_column($page['entries'], 'invoice_id'));
+        $this->assertSame(1, Webhook_Log::query(array('signature' => 'invalid'))['total']);
+    }
+
+    public function test_empty_log() {
+        $page = Webhook_Log::query();
+
+        $this->assertSame(array(), $page['entries']);
+        $this->assertSame(0, $page['total']);
+        $this->assertSame(1, $page['total_pages']);
+    }
+}
@@ -92,6 +92,18 @@ if (!function_exists('sanitize_text_field')) {
     }
 }
 
+if (!function_exists('sanitize_textarea_field')) {
+    /**
+     * Mock sanitize_textarea_field function (keeps line breaks)
+     *
+     * @param string $str String to sanitize
+     * @return string Sanitized string
+     */
+    function sanitize_textarea_field($str) {
+        return trim(strip_tags($str));
+    }
+}
+
 if (!function_exists('wp_unslash')) {
     /**
      * Mock wp_unslash function — reverses the slashes that WordPress's
@@ -185,6 +197,20 @@ if (!function_exists('wp_date')) {
     }
 }
 
+if (!function_exists('mysql2date')) {
+    /**
+     * Mock mysql2date function
+     *
+     * @param string $format Format accepted by date()
+     * @param string $date   Date in MySQL format
+     * @return string|false
+     */
+    function mysql2date($format, $date) {
+        $timestamp = strtotime($date);
+        return $timestamp === false ? false : date($format, $timestamp);
+    }
+}
+
 if (!function_exists('current_time')) {
     /**
      * Mock current_time function
@@ -363,6 +389,24 @@ if (!function_exists('add_filter')) {
     }
 }
 
+if (!function_exists('wp_add_dashboard_widget')) {
+    /**
+     * Mock wp_add_dashboard_widget function
+     *
+     * @param string $widget_id Widget ID
+     * @param string $widget_name Title
+     * @param callable $callback Callback
+     * @return void
+     */
+    function wp_add_dashboard_widget($widget_id, $widget_name, $callback) {
+        global $wp_dashboard_widgets;
+        $wp_dashboard_widgets[$widget_id] = array(
+            'name' => $widget_name,
+            'callback' => $callback,
+        );
+    }
+}
+
 if (!function_exists('add_meta_box')) {
     /**
      * Mock add_meta_box function
@@ -925,6 +969,7 @@ if (!class_exists('WC_Order')) {
         private $meta_data = array();
         private $items = array();
         private $notes = array();
+        private $customer_notes = array();
 
         public function __construct($order_id = 0) {
             $this->id = $order_id;
@@ -962,16 +1007,25 @@ if (!class_exists('WC_Order')) {
         public function get_billing_address_2() { return isset($this->data['billing_address_2']) ? $this->data['billing_address_2'] : ''; }
         public function get_billing_city() { return $this->data['billing_city']; }
         public function get_billing_postcode() { return $this->data['billing_postcode']; }
+        public function get_billing_state() { return isset($this->data['billing_state']) ? $this->data['billing_state'] : ''; }
         public function get_billing_country() { return $this->data['billing_country']; }
         public function get_currency() { return $this->data['currency']; }
         public function get_order_number() { return $this->data['order_number']; }
         public function get_shipping_total() { return $this->data['shipping_total']; }
         public function get_shipping_tax() { return $this->data['shipping_tax']; }
+        public function get_total() { return isset($this->data['total']) ? $this->data['total'] : 0; }
+        public function get_date_created() { return isset($this->data['date_created']) ? $this->data['date_created'] : null; }
 
         public function set_billing_first_name($value) { $this->data['billing_first_name'] = $value; }
         public function set_billing_last_name($value) { $this->data['billing_last_name'] = $value; }
         public function set_billing_company($value) { $this->data['billing_company'] = $value; }
+        public function set_billing_address_1($value) { $this->data['billing_address_1'] = $value; }
+        public function set_billing_address_2($value) { $this->data['billing_address_2'] = $value; }
+        public function set_billing_city($value) { $this->data['billing_city'] = $value; }
+        public function set_billing_postcode($value) { $this->data['billing_postcode'] = $value; }
+        public function set_billing_state($value) { $this->data['billing_state'] = $value; }
         public function set_billing_country($value) { $this->data['billing_country'] = $value; }
+        public function set_total($value) { $this->data['total'] = $value; }
         public function set_shipping_total($value) { $this->data['shipping_total'] = $value; }
         public function set_shipping_tax($value) { $this->data['shipping_tax'] = $value; }
 
@@ -1003,8 +1057,21 @@ if (!class_exists('WC_Order')) {
             return $meta_objects;
         }
 
-        public function add_order_note($note) {
+        public function add_order_note($note, $is_customer_note = 0) {
             $this->notes[] = $note;
+            if ($is_customer_note) {
+                $this->customer_notes[] = $note;
+            }
+        }
+
+        // Test helper: notes added through add_order_note()
+        public function get_test_notes() {
+            return $this->notes;
+        }
+
+        // Test helper: the subset of notes sent to the customer
+        public function get_test_customer_notes() {
+            return $this->customer_notes;
         }
 
         public function save() {
@@ -1012,7 +1079,10 @@ if (!class_exists('WC_Order')) {
         }
 
         public function get_items($type = 'line_item') {
-            return $this->items;
+            // Tax items are only returned when asked for, like WooCommerce's typed item lists
+            return array_values(array_filter($this->items, function($item) use ($type) {
+                return ($item instanceof WC_Order_Item_Tax) === ($type === 'tax');
+            }));
         }
 
         public function add_item($item) {
@@ -1038,6 +1108,10 @@ if (!class_exists('WC_Order')) {
         public function get_edit_order_url() {
             return admin_url('post.php?post=' . $this->get_id() . '&action=edit');
         }
+
+        public function get_view_order_url() {
+            return 'http://example.com/my-account/view-order/' . $this->get_id() . '/';
+        }
     }
 }
 
@@ -1069,6 +1143,27 @@ if (!class_exists('WC_Order_Item_Product')) {
     }
 }
 
+// Mock WC_Order_Item_Tax class
+if (!class_exists('WC_Order_Item_Tax')) {
+    class WC_Order_Item_Tax {
+        private $data = array();
+
+        public function __construct($label = 'VAT', $rate_percent = 21, $tax_total = 0, $shipping_tax_total = 0) {
+            $this->data = array(
+                'label' => $label,
+                'rate_percent' => $rate_percent,
+                'tax_total' => $tax_total,
+                'shipping_tax_total' => $shipping_tax_total,
+            );
+        }
+
+        public function get_label() { return $this->data['label']; }
+        public function get_rate_percent() { return $this->data['rate_percent']; }
+        public function get_tax_total() { return $this->data['tax_total']; }
+        public function get_shipping_tax_total() { return $this->data['shipping_tax_total']; }
+    }
+}
+
 // Mock WC_Product class
 if (!class_exists('WC_Product')) {
     class WC_Product {
@@ -1317,6 +1412,22 @@ if (!class_exists('WP_Error')) {
     class WP_Error {
         private $errors = array();
 
+        public function __construct($code = '', $message = '', $data = '') {
+            if (!empty($code)) {
+                $this->add($code, $message, $data);
+            }
+        }
+
+        public function get_error_message($code = '') {
+            $messages = $this->get_error_messages($code);
+            return isset($messages[0]) ? $messages[0] : '';
+        }
+
+        public function get_error_code() {
+            $codes = array_keys($this->errors);
+            return isset($codes[0]) ? $codes[0] : '';
+        }
+
         public function add($code, $message, $data = '') {
             $this->errors[$code] = array(
                 'message' => $message,
@@ -1395,7 +1506,8 @@ if (!class_exists('WC_Order_Refund')) {
         }
 
         public function get_items($type = 'line_item') {
-            return $this->items;
+            // Tax items are added with add_item(), line items with set_items()
+            return $type === 'tax' ? parent::get_items('tax') : $this->items;
         }
 
         public function set_items($items) {
@@ -1469,7 +1581,8 @@ if (!class_exists('WP_List_Table')) {
     class WP_List_Table {
         protected $_args;
         protected $_column_headers;
-        protected $items;
+        protected $_pagination_args = array();
+        public $items;
 
         public function __construct($args = array()) {
             $this->_args = $args;
@@ -1498,7 +1611,16 @@ if (!class_exists('WP_List_Table')) {
         }
 
         public function set_pagination_args($args) {
-            // Mock implementation
+            $this->_pagination_args = $args;
+        }
+
+        public function get_pagination_arg($key) {
+            return isset($this->_pagination_args[$key]) ? $this->_pagination_args[$key] : 0;
+        }
+
+        protected function get_items_per_page($option, $default_value = 20) {
+            $per_page = (int) get_user_meta(get_current_user_id(), $option, true);
+            return $per_page > 0 ? $per_page : $default_value;
         }
 
         public function get_pagenum() {
@@ -1526,6 +1648,22 @@ if (!class_exists('WP_List_Table')) {
         public function no_items() {
             echo 'No items found.';
         }
+
+        public function single_row($item) {
+            echo '<tr>';
+            $this->single_row_columns($item);
+            echo '</tr>';
+        }
+
+        protected function single_row_columns($item) {
+            list($columns) = $this->_column_headers;
+            foreach (array_keys($columns) as $column_name) {
+                $method = 'column_' . $column_name;
+                echo '<td class="column-' . $column_name . '">';
+                echo method_exists($this, $method) ? $this->$method($item) : $this->column_default($item, $column_name);
+                echo '</td>';
+            }
+        }
     }
 }
 
@@ -1551,6 +1689,11 @@ if (!function_exists('wc_get_orders')) {
      * @return array Orders
      */
     function wc_get_orders($args = array()) {
+        // Allow tests to answer queries themselves
+        if (isset($GLOBALS['test_wc_get_orders_callback'])) {
+            return call_user_func($GLOBALS['test_wc_get_orders_callback'], $args);
+        }
+
         // Allow tests to override return value
         if (isset($GLOBALS['test_wc_get_orders_return'])) {
             return $GLOBALS['test_wc_get_orders_return'];
@@ -1578,11 +1721,70 @@ if (!function_exists('wc_get_orders')) {
             return $results;
         }
 
-        // Return empty array for other cases
+        // Return an empty result for other cases, in the shape 'paginate' asks for
+        if (!empty($args['paginate'])) {
+            return (object) array('orders' => array(), 'total' => 0, 'max_num_pages' => 0);
+        }
+
         return array();
     }
 }
 
+// Mock absint function
+if (!function_exists('absint')) {
+    /**
+     * Mock absint function
+     *
+     * @param mixed $maybeint Value
+     * @return int Non-negative integer
+     */
+    function absint($maybeint) {
+        return abs((int) $maybeint);
+    }
+}
+
+// Mock wc_order_search function
+if (!function_exists('wc_order_search')) {
+    /**
+     * Mock wc_order_search function
+     *
+     * @param string $term Search term
+     * @return int[] Matching order IDs from $GLOBALS['test_wc_order_search_return']
+     */
+    function wc_order_search($term) {
+        $GLOBALS['test_wc_order_search_term'] = $term;
+        return isset($GLOBALS['test_wc_order_search_return']) ? $GLOBALS['test_wc_order_search_return'] : array();
+    }
+}
+
+// Mock add_screen_option function
+if (!function_exists('add_screen_option')) {
+    /**
+     * Mock add_screen_option function
+     *
+     * @param string $option Option name
+     * @param mixed $args Option arguments
+     * @return void
+     */
+    function add_screen_option($option, $args = array()) {
+        global $wp_screen_options;
+        $wp_screen_options[$option] = $args;
+    }
+}
+
+// Mock wp_make_link_relative function
+if (!function_exists('wp_make_link_relative')) {
+    /**
+     * Mock wp_make_link_relative function
+     *
+     * @param string $link URL
+     * @return string URL without scheme and host
+     */
+    function wp_make_link_relative($link) {
+        return preg_replace('|^(https?:)?//[^/]+(/?.*)|i', '$2', $link);
+    }
+}
+
 // Mock wc_price function
 if (!function_exists('wc_price')) {
     /**
@@ -1596,6 +1798,18 @@ if (!function_exists('wc_price')) {
     }
 }
 
+// Mock wc_get_price_decimals function
+if (!function_exists('wc_get_price_decimals')) {
+    /**
+     * Mock wc_get_price_decimals function
+     *
+     * @return int Number of decimals
+     */
+    function wc_get_price_decimals() {
+        return 2;
+    }
+}
+
 // Mock get_transient function
 if (!function_exists('get_transient')) {
     global $wp_transients;
@@ -1678,6 +1892,24 @@ if (!function_exists('get_current_user_id')) {
     }
 }
 
+// Mock get_current_screen function
+$wp_current_screen = null;
+
+if (!function_exists('get_current_screen')) {
+    /**
+     * Mock get_current_screen function
+     *
+     * Returns the $wp_current_screen global; tests set it to an object
+     * with an `id` property to simulate a specific admin screen.
+     *
+     * @return object|null Screen object or null outside admin screens
+     */
+    function get_current_screen() {
+        global $wp_current_screen;
+        return $wp_current_screen;
+    }
+}
+
 // Mock human_time_diff function
 if (!function_exists('human_time_diff')) {
     /**
@@ -1702,6 +1934,20 @@ if (!function_exists('human_time_diff')) {
     }
 }
 
+// Mock number_format_i18n function
+if (!function_exists('number_format_i18n')) {
+    /**
+     * Mock number_format_i18n function
+     *
+     * @param float $number Number to format
+     * @param int $decimals Decimal places
+     * @return string Formatted number
+     */
+    function number_format_i18n($number, $decimals = 0) {
+        return number_format($number, $decimals);
+    }
+}
+
 // Define time constants
 if (!defined('MINUTE_IN_SECONDS')) {
     define('MINUTE_IN_SECONDS', 60);
@@ -1874,6 +2120,13 @@ if (!function_exists('is_account_page')) {
     }
 }
 
+if (!function_exists('is_checkout')) {
+    function is_checkout() {
+        global $wp_is_checkout;
+        return !empty($wp_is_checkout);
+    }
+}
+
 if (!function_exists('is_order_received_page')) {
     function is_order_received_page() {
         global $wp_is_order_received_page;
@@ -1891,11 +2144,49 @@ if (!function_exists('is_wc_endpoint_url')) {
     }
 }
 
+// Query var and block registration mocks used by Blocks
+global $wp_query_vars, $wp_registered_block_types;
+$wp_query_vars = array();
+$wp_registered_block_types = array();
+
+if (!function_exists('get_query_var')) {
+    function get_query_var($var, $default = '') {
+        global $wp_query_vars;
+        return isset($wp_query_vars[$var]) ? $wp_query_vars[$var] : $default;
+    }
+}
+
+if (!function_exists('register_block_type')) {
+    function register_block_type($block_type, $args = array()) {
+        global $wp_registered_block_types;
+        $wp_registered_block_types[$block_type] = $args;
+        return true;
+    }
+}
+
 // Asset enqueueing mocks — record into globals so tests can assert
-global $wp_enqueued_styles, $wp_enqueued_scripts, $wp_localized_scripts;
+global $wp_enqueued_styles, $wp_enqueued_scripts, $wp_localized_scripts, $wp_registered_styles, $wp_registered_scripts;
 $wp_enqueued_styles = array();
 $wp_enqueued_scripts = array();
 $wp_localized_scripts = array();
+$wp_registered_styles = array();
+$wp_registered_scripts = array();
+
+if (!function_exists('wp_register_style')) {
+    function wp_register_style($handle, $src = '', $deps = array(), $ver = false, $media = 'all') {
+        global $wp_registered_styles;
+        $wp_registered_styles[$handle] = compact('src', 'deps', 'ver', 'media');
+        return true;
+    }
+}
+
+if (!function_exists('wp_register_script')) {
+    function wp_register_script($handle, $src = '', $deps = array(), $ver = false, $in_footer = false) {
+        global $wp_registered_scripts;
+        $wp_registered_scripts[$handle] = compact('src', 'deps', 'ver', 'in_footer');
+        return true;
+    }
+}
 
 if (!function_exists('wp_enqueue_style')) {
     function wp_enqueue_style($handle, $src = '', $deps = array(), $ver = false, $media = 'all') {
@@ -2087,3 +2378,278 @@ if (!function_exists('WP_Filesystem')) {
         return true;
     }
 }
+
+// Mock wp_mkdir_p function
+if (!function_exists('wp_mkdir_p')) {
+    /**
+     * Mock wp_mkdir_p function
+     *
+     * @param string $target Directory path
+     * @return bool Whether the directory exists afterwards
+     */
+    function wp_mkdir_p($target) {
+        return is_dir($target) || @mkdir($target, 0755, true);
+    }
+}
+
+// Mock wp_generate_password function
+if (!function_exists('wp_generate_password')) {
+    /**
+     * Mock wp_generate_password function
+     *
+     * @param int $length Password length
+     * @param bool $special_chars Include special characters (ignored)
+     * @return string Random alphanumeric string
+     */
+    function wp_generate_password($length = 12, $special_chars = true) {
+        $chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+        $password = '';
+        for ($i = 0; $i < $length; $i++) {
+            $password .= $chars[random_int(0, strlen($chars) - 1)];
+        }
+        return $password;
+    }
+}
+
+// Mock wp_hash function
+if (!function_exists('wp_hash')) {
+    /**
+     * Mock wp_hash function
+     *
+     * @param string $data Data to hash
+     * @param string $scheme Salt scheme
+     * @return string HMAC of the data
+     */
+    function wp_hash($data, $scheme = 'auth') {
+        return hash_hmac('md5', $data, 'test-salt-' . $scheme);
+    }
+}
+
+// Mock sanitize_html_class function
+if (!function_exists('sanitize_html_class')) {
+    /**
+     * Mock sanitize_html_class function
+     *
+     * @param string $class Class name
+     * @return string Sanitized class name
+     */
+    function sanitize_html_class($class) {
+        return preg_replace('/[^A-Za-z0-9_-]/', '', (string) $class);
+    }
+}
+
+// Mock wc_get_account_orders_actions function
+$wc_mock_account_orders_actions = array();
+
+if (!function_exists('wc_get_account_orders_actions')) {
+    /**
+     * Mock wc_get_account_orders_actions function
+     *
+     * Returns the $wc_mock_account_orders_actions global so tests can
+     * supply the already-filtered actions for an order.
+     *
+     * @param WC_Order $order Order
+     * @return array Actions
+     */
+    function wc_get_account_orders_actions($order) {
+        global $wc_mock_account_orders_actions;
+        return $wc_mock_account_orders_actions;
+    }
+}
+
+// Mock sanitize_key function
+if (!function_exists('sanitize_key')) {
+    /**
+     * Mock sanitize_key function
+     *
+     * @param string $key Key
+     * @return string Sanitized key
+     */
+    function sanitize_key($key) {
+        return preg_replace('/[^a-z0-9_\-]/', '', strtolower((string) $key));
+    }
+}
+
+// Mock sanitize_file_name function
+if (!function_exists('sanitize_file_name')) {
+    /**
+     * Mock sanitize_file_name function
+     *
+     * @param string $filename File name
+     * @return string Sanitized file name
+     */
+    function sanitize_file_name($filename) {
+        return trim(preg_replace('/[^A-Za-z0-9._\-]+/', '-', (string) $filename), '.-_');
+    }
+}
+
+// Mock is_wp_error function
+if (!function_exists('is_wp_error')) {
+    /**
+     * Mock is_wp_error function
+     *
+     * @param mixed $thing Value to check
+     * @return bool True if WP_Error
+     */
+    function is_wp_error($thing) {
+        return $thing instanceof WP_Error;
+    }
+}
+
+// Mock apply_filters function (no filters are registered in tests)
+if (!function_exists('apply_filters')) {
+    /**
+     * Mock apply_filters function
+     *
+     * @param string $hook_name Filter name
+     * @param mixed $value Value to filter
+     * @return mixed Unfiltered value
+     */
+    function apply_filters($hook_name, $value) {
+        return $value;
+    }
+}
+
+// Mock wp_json_encode function
+if (!function_exists('wp_json_encode')) {
+    /**
+     * Mock wp_json_encode function
+     *
+     * @param mixed $data Data to encode
+     * @return string|false JSON
+     */
+    function wp_json_encode($data) {
+        return json_encode($data);
+    }
+}
+
+// HTTP API mocks. Requests are recorded in $wp_remote_requests; the response
+// is taken from $wp_remote_post_response (an array or a WP_Error).
+global $wp_remote_requests, $wp_remote_post_response;
+$wp_remote_requests = array();
+$wp_remote_post_response = null;
+
+if (!function_exists('wp_remote_post')) {
+    /**
+     * Mock wp_remote_post function
+     *
+     * @param string $url URL
+     * @param array $args Request arguments
+     * @return array|WP_Error Response
+     */
+    function wp_remote_post($url, $args = array()) {
+        global $wp_remote_requests, $wp_remote_post_response;
+        $wp_remote_requests[] = array('url' => $url, 'args' => $args);
+
+        if ($wp_remote_post_response !== null) {
+            return $wp_remote_post_response;
+        }
+
+        return array('response' => array('code' => 200), 'body' => '');
+    }
+}
+
+if (!function_exists('wp_remote_retrieve_response_code')) {
+    /**
+     * Mock wp_remote_retrieve_response_code function
+     *
+     * @param array $response Response
+     * @return int|string Status code
+     */
+    function wp_remote_retrieve_response_code($response) {
+        return isset($response['response']['code']) ? $response['response']['code'] : '';
+    }
+}
+
+if (!function_exists('wp_remote_retrieve_body')) {
+    /**
+     * Mock wp_remote_retrieve_body function
+     *
+     * @param array $response Response
+     * @return string Body
+     */
+    function wp_remote_retrieve_body($response) {
+        return isset($response['body']) ? $response['body'] : '';
+    }
+}
+
+if (!function_exists('get_bloginfo')) {
+    /**
+     * Mock get_bloginfo function
+     *
+     * @param string $show Site info to retrieve
+     * @return string Value
+     */
+    function get_bloginfo($show = '') {
+        return $show === 'version' ? '6.6' : 'Test Site';
+    }
+}
+
+if (!defined('ARRAY_A')) {
+    define('ARRAY_A', 'ARRAY_A');
+}
+
+if (!class_exists('B2BRouter_Test_WPDB_Stub')) {
+    /**
+     * In-memory $wpdb covering what Event_Log and Uninstaller use
+     *
+     * Rows live in $tables, keyed by table name, in insertion order. Only the
+     * statements the plugin sends are understood: SELECT ... ORDER BY id DESC
+     * LIMIT n, DELETE ... WHERE id <= n and DROP TABLE IF EXISTS.
+     */
+    class B2BRouter_Test_WPDB_Stub {
+        public $prefix = 'wp_';
+        public $insert_id = 0;
+        public $tables = array();
+        public $queries = array();
+        private $auto_increment = array();
+
+        public function get_charset_collate() {
+            return 'DEFAULT CHARSET=utf8mb4';
+        }
+
+        public function insert($table, $data, $format = null) {
+            $this->auto_increment[$table] = (isset($this->auto_increment[$table]) ? $this->auto_increment[$table] : 0) + 1;
+            $this->insert_id = $this->auto_increment[$table];
+            $this->tables[$table][] = array_merge(array('id' => $this->insert_id), $data);
+            return 1;
+        }
+
+        public function prepare($query, ...$args) {
+            return vsprintf(str_replace(array('%d', '%s'), array('%d', "'%s'"), $query), $args);
+        }
+
+        public function get_results($query, $output = null) {
+            $this->queries[] = $query;
+
+            if (!preg_match('/FROM (\S+) ORDER BY id DESC LIMIT (\d+)/', $query, $m)) {
+                return array();
+            }
+
+            $rows = isset($this->tables[$m[1]]) ? array_reverse($this->tables[$m[1]]) : array();
+            return array_slice($rows, 0, (int) $m[2]);
+        }
+
+        public function query($query) {
+            $this->queries[] = $query;
+
+            if (preg_match('/^DELETE FROM (\S+) WHERE id <= (-?\d+)/', $query, $m)) {
+                $rows = isset($this->tables[$m[1]]) ? $this->tables[$m[1]] : array();
+                $this->tables[$m[1]] = array_values(array_filter($rows, function($row) use ($m) {
+                    return $row['id'] > (int) $m[2];
+                }));
+                return count($rows) - count($this->tables[$m[1]]);
+            }
+
+            if (preg_match('/^DROP TABLE IF EXISTS (\S+)/', $query, $m)) {
+                unset($this->tables[$m[1]], $this->auto_increment[$m[1]]);
+                return true;
+            }
+
+            return 0;
+        }
+    }
+}
+
+global $wpdb;
+$wpdb = new B2BRouter_Test_WPDB_Stub();